@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+const LearnedClassifier = require('../src/core/learned-classifier');
+const DatabaseManager = require('../database/DatabaseManager');
+const { scoreTaskTypeRules } = require('../src/core/routing-engine');
+
+/**
+ * Classifier CLI
+ * Trains the learned task classifier from routing history and compares it with the keyword rules
+ */
+class ClassifierCLI {
+    /**
+     * @param {object} options - {dbManager}; defaults to database/steward.db
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                 THE STEWARD TASK CLASSIFIER                  ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js classifier <command> [options]
+
+COMMANDS:
+  train      Train on routing history, feedback corrections and --task overrides
+  evaluate   Compare keyword rules, the learned model and the blend
+  help       Show this help message
+
+OPTIONS:
+  --days <n>    Days of routing history to use (default: 365)
+
+Training data, strongest first: task types corrected in feedback, task types
+picked with --task, and classified decisions that held up (no fallback, no
+failure, no wrong-model feedback). Accuracy is measured on held-out folds for
+train and on all labelled prompts for evaluate.
+
+EXAMPLES:
+  node cli/steward.js classifier train
+  node cli/steward.js classifier evaluate --days 90
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the classifier subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'help',
+            days: 365
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--days') {
+                parsed.days = parseInt(args[++i]) || parsed.days;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                parsed.command = arg;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Train a classifier and store it as the latest model
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Training metrics
+     */
+    async train(args) {
+        const examples = LearnedClassifier.toExamples(await this.dbManager.getClassifierExamples(args.days));
+        const classifier = new LearnedClassifier();
+        const metrics = classifier.train(examples);
+
+        const modelId = await this.dbManager.saveClassifierModel({
+            model_type: 'naive_bayes',
+            model_data: classifier.toJSON(),
+            training_examples: examples.length,
+            metrics
+        });
+
+        const sources = examples.reduce((counts, example) => {
+            counts[example.source] = (counts[example.source] || 0) + 1;
+            return counts;
+        }, {});
+
+        console.log(`🧠 Trained task classifier #${modelId}`);
+        console.log(`   Examples: ${examples.length} (${Object.entries(sources).map(([source, n]) => `${n} ${source}`).join(', ')})`);
+        console.log(`   Task types: ${metrics.labels}`);
+        console.log(`   Cross-validated accuracy: ${this.percent(metrics.accuracy)} (${metrics.correct}/${metrics.total})`);
+        console.log(`   Calibration error: ${this.percent(metrics.calibration_error)} (temperature ${metrics.temperature})`);
+        return metrics;
+    }
+
+    /**
+     * Compare the keyword rules, the latest learned model and the blend on labelled prompts
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Evaluation report
+     */
+    async evaluate(args) {
+        const classifier = await LearnedClassifier.loadLatest(this.dbManager);
+        if (!classifier) {
+            throw new Error('No trained classifier - run "classifier train" first');
+        }
+
+        const examples = LearnedClassifier.toExamples(await this.dbManager.getClassifierExamples(args.days));
+        if (examples.length === 0) {
+            throw new Error('No labelled prompts in routing history');
+        }
+
+        const report = classifier.evaluate(examples, text => scoreTaskTypeRules(text).scores);
+
+        console.log(`📊 Task classifier on ${report.examples} labelled prompts (trained ${classifier.trainedAt || 'unknown'})`);
+        console.log('   Method     Accuracy   Calibration error');
+        for (const method of ['rules', 'learned', 'blended']) {
+            const { accuracy, calibration_error } = report[method];
+            console.log(`   ${method.padEnd(10)} ${this.percent(accuracy).padStart(8)}   ${this.percent(calibration_error).padStart(17)}`);
+        }
+        return report;
+    }
+
+    /**
+     * Format a 0-1 ratio as a percentage
+     * @private
+     */
+    percent(value) {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Run a classifier command
+     * @param {string[]} argv - Arguments after the classifier subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            train: () => this.train(args),
+            evaluate: () => this.evaluate(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown classifier command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new ClassifierCLI().run(process.argv.slice(2));
+}
+
+module.exports = ClassifierCLI;
@@ -0,0 +1,84 @@
+# The Steward context hook
+# Reports each command you run, with its directory, git repo and branch, to the local
+# context collector (POST /api/context/events) so routing knows which project you are in.
+#
+# Add to ~/.bashrc or ~/.zshrc:
+#   source "/path/to/The-Steward/cli/context-hook.sh"
+#
+# STEWARD_CONTEXT_URL   Collector URL (default: http://localhost:3002/api/context/events)
+# STEWARD_API_KEY       API key to send (needed unless the backend runs on this machine;
+#                       create one with "steward users key <username>")
+# STEWARD_CONTEXT_OFF=1 Pause reporting in the current shell
+
+STEWARD_CONTEXT_URL="${STEWARD_CONTEXT_URL:-http://localhost:3002/api/context/events}"
+
+# Escape a string for a JSON value
+_steward_json() {
+    local value="$1"
+    value="${value//\\/\\\\}"
+    value="${value//\"/\\\"}"
+    value="${value//$'\t'/\\t}"
+    value="${value//$'\n'/\\n}"
+    printf '%s' "$value"
+}
+
+# Send the last command in the background; never slows down or breaks the prompt
+_steward_report() {
+    local exit_code="$1" command="$2" started="$3"
+    [ -n "$STEWARD_CONTEXT_OFF" ] && return
+    [ -z "$command" ] && return
+    command -v curl > /dev/null 2>&1 || return
+
+    local git_root branch duration
+    git_root="$(git rev-parse --show-toplevel 2> /dev/null)"
+    branch="$(git rev-parse --abbrev-ref HEAD 2> /dev/null)"
+    duration=$(( $(date +%s) - ${started:-$(date +%s)} ))
+
+    local body
+    body="{\"source_type\":\"terminal\",\"activity_type\":\"command\",\"duration_seconds\":$duration,"
+    body+="\"session_id\":\"$(_steward_json "${TERM_SESSION_ID:-$$}")\","
+    body+="\"source_details\":{\"shell\":\"$(_steward_json "${SHELL##*/}")\",\"git_root\":\"$(_steward_json "$git_root")\",\"git_branch\":\"$(_steward_json "$branch")\"},"
+    body+="\"activity_data\":{\"command\":\"$(_steward_json "$command")\",\"cwd\":\"$(_steward_json "$PWD")\",\"exit_code\":$exit_code}}"
+
+    # The key goes in on stdin so it never shows up in the process list
+    ( printf 'Authorization: Bearer %s\n' "$STEWARD_API_KEY" | \
+        curl -s -m 2 -o /dev/null -X POST -H 'Content-Type: application/json' \
+        ${STEWARD_API_KEY:+-H} ${STEWARD_API_KEY:+@-} --data-binary "$body" "$STEWARD_CONTEXT_URL" > /dev/null 2>&1 & )
+}
+
+if [ -n "$ZSH_VERSION" ]; then
+    _steward_preexec() {
+        _steward_command="$1"
+        _steward_started="$(date +%s)"
+    }
+    _steward_precmd() {
+        local exit_code=$?
+        _steward_report "$exit_code" "$_steward_command" "$_steward_started"
+        _steward_command=""
+    }
+    autoload -Uz add-zsh-hook
+    add-zsh-hook preexec _steward_preexec
+    add-zsh-hook precmd _steward_precmd
+elif [ -n "$BASH_VERSION" ]; then
+    _steward_debug() {
+        # Armed at the end of PROMPT_COMMAND, so only the command typed at the prompt starts the clock
+        [ -z "$_steward_armed" ] && return
+        unset _steward_armed
+        _steward_started="$(date +%s)"
+    }
+    _steward_prompt() {
+        local exit_code=$?
+        local entry number
+        entry="$(HISTTIMEFORMAT= history 1)"
+        number="$(printf '%s' "$entry" | awk '{print $1}')"
+        # An empty line leaves history unchanged; don't report the previous command again
+        if [ -n "$_steward_started" ] && [ "$number" != "$_steward_history" ]; then
+            _steward_report "$exit_code" "$(printf '%s' "$entry" | sed 's/^ *[0-9]* *//')" "$_steward_started"
+        fi
+        _steward_history="$number"
+        _steward_started=""
+        return $exit_code
+    }
+    trap '_steward_debug' DEBUG
+    PROMPT_COMMAND="_steward_prompt${PROMPT_COMMAND:+; $PROMPT_COMMAND}; _steward_armed=1"
+fi
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const ContextCollector = require('../src/memory/ContextCollector');
+const DatabaseManager = require('../database/DatabaseManager');
+
+// Directories whose changes are never edits worth reporting
+const IGNORED_PATHS = /(^|[/\\])(node_modules|\.git|dist|build|coverage|\.next|\.cache|__pycache__)([/\\]|$)/;
+// Editor swap and backup files
+const IGNORED_FILES = /(\.swp|\.swx|~|\.tmp|\.DS_Store)$/;
+const HOOK_SCRIPT = path.join(__dirname, 'context-hook.sh');
+
+/**
+ * Context CLI
+ * File watcher and inspection commands for the context_data table in database/steward.db
+ */
+class ContextCLI {
+    /**
+     * @param {object} options - {collector}; defaults to a ContextCollector on database/steward.db
+     */
+    constructor(options = {}) {
+        this.collector = options.collector || new ContextCollector({ dbManager: new DatabaseManager() });
+        this.gitRoots = new Map();
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                  THE STEWARD CONTEXT COLLECTOR               ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js context <command> [options]
+
+COMMANDS:
+  watch <paths...>  Report file edits under the given directories, per project
+                    (project = git repository name; runs until Ctrl+C)
+  current           Show the project recent activity points to
+  events            List recent activity events
+  prune             Delete events past their retention
+  hook              Print how to install the shell hook
+  help              Show this help message
+
+OPTIONS:
+  --minutes <n>      current/events: activity window (default: 15 / 60)
+  --source <type>    events: only this source (${ContextCollector.SOURCE_TYPES.join(', ')})
+  --project <name>   events: only this project
+  --limit <n>        events: events to show (default: 20)
+  --debounce <ms>    watch: wait for edits to settle before reporting (default: 2000)
+  --retention <days> watch: keep reported edits this many days (default: 30)
+
+Routing uses the project from the last 15 minutes of activity instead of
+guessing it from the prompt. Commands and files that look sensitive are
+redacted and kept for at most a day.
+
+EXAMPLES:
+  node cli/steward.js context watch ~/code/the-steward ~/code/notes
+  node cli/steward.js context current
+  node cli/steward.js context events --source terminal --limit 50
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the context subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'current',
+            paths: [],
+            minutes: null,
+            source_type: null,
+            project: null,
+            limit: 20,
+            debounce: 2000,
+            retention_days: null
+        };
+
+        let commandSet = false;
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--minutes') {
+                parsed.minutes = parseInt(args[++i]) || null;
+            } else if (arg === '--source') {
+                parsed.source_type = args[++i];
+            } else if (arg === '--project') {
+                parsed.project = args[++i];
+            } else if (arg === '--limit') {
+                parsed.limit = parseInt(args[++i]) || parsed.limit;
+            } else if (arg === '--debounce') {
+                parsed.debounce = parseInt(args[++i]) || parsed.debounce;
+            } else if (arg === '--retention') {
+                parsed.retention_days = parseInt(args[++i]) || null;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+                commandSet = true;
+            } else if (!arg.startsWith('--')) {
+                if (commandSet) {
+                    parsed.paths.push(arg);
+                } else {
+                    parsed.command = arg;
+                    commandSet = true;
+                }
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Report file edits under the given directories until interrupted
+     * @param {object} args - Parsed arguments
+     */
+    async watch(args) {
+        if (args.paths.length === 0) {
+            throw new Error('watch needs at least one directory, e.g. context watch ~/code/project');
+        }
+
+        const roots = args.paths.map(dir => path.resolve(dir));
+        for (const root of roots) {
+            if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+                throw new Error(`Not a directory: ${root}`);
+            }
+        }
+
+        const pending = new Map();
+        let timer = null;
+
+        const flush = async () => {
+            timer = null;
+            const edits = [...pending.values()];
+            pending.clear();
+            if (edits.length === 0) return;
+
+            try {
+                await this.collector.record(edits.map(edit => ({
+                    source_type: 'file_watcher',
+                    activity_type: 'file_edit',
+                    project_name: edit.project,
+                    file_path: edit.file_path,
+                    source_details: { watch_root: edit.root, git_root: edit.git_root },
+                    activity_data: { change: edit.change, edits: edit.count },
+                    retention_days: args.retention_days || undefined
+                })));
+                const projects = [...new Set(edits.map(edit => edit.project))];
+                console.log(`📝 ${edits.length} file${edits.length === 1 ? '' : 's'} edited in ${projects.join(', ')}`);
+            } catch (error) {
+                console.error('❌ Could not record edits:', error.message);
+            }
+        };
+
+        const watchers = roots.map(root => fs.watch(root, { recursive: true }, (change, filename) => {
+            if (!filename) return;
+            const filePath = path.join(root, filename.toString());
+            if (IGNORED_PATHS.test(filePath) || IGNORED_FILES.test(filePath)) return;
+
+            const gitRoot = this.findGitRoot(path.dirname(filePath));
+            const existing = pending.get(filePath);
+            pending.set(filePath, {
+                root,
+                git_root: gitRoot,
+                project: path.basename(gitRoot || root),
+                file_path: filePath,
+                change: existing?.change === 'rename' ? 'rename' : change,
+                count: (existing?.count || 0) + 1
+            });
+
+            if (!timer) {
+                timer = setTimeout(flush, args.debounce);
+            }
+        }));
+
+        console.log(`👀 Watching ${roots.join(', ')} (Ctrl+C to stop)`);
+
+        // Replace the CLI's exit-on-SIGINT handler so pending edits are recorded before stopping
+        process.removeAllListeners('SIGINT');
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        watchers.forEach(watcher => watcher.close());
+        clearTimeout(timer);
+        await flush();
+        console.log('\n👋 Stopped watching');
+    }
+
+    /**
+     * Find the git repository containing a directory
+     * @private
+     * @returns {string|null} Repository root, or null outside a repository
+     */
+    findGitRoot(dir) {
+        if (this.gitRoots.has(dir)) {
+            return this.gitRoots.get(dir);
+        }
+
+        let gitRoot = null;
+        if (fs.existsSync(path.join(dir, '.git'))) {
+            gitRoot = dir;
+        } else {
+            const parent = path.dirname(dir);
+            gitRoot = parent !== dir ? this.findGitRoot(parent) : null;
+        }
+
+        this.gitRoots.set(dir, gitRoot);
+        return gitRoot;
+    }
+
+    /**
+     * Show the project recent activity points to
+     * @param {object} args - Parsed arguments
+     */
+    async current(args) {
+        const minutes = args.minutes || 15;
+        const activity = await this.collector.recentActivity({ minutes });
+
+        if (!activity.current_project) {
+            console.log(`No project activity in the last ${minutes} minutes.`);
+            console.log('Install the shell hook (context hook) or run context watch <paths>.');
+            return;
+        }
+
+        console.log(`\n🛰️  Current project: ${activity.current_project.project}`);
+        console.log(`   ${activity.event_count} events in the last ${minutes} minutes, ${activity.switches} project switches`);
+        for (const project of activity.projects) {
+            console.log(`   ${project.project.padEnd(30)} ${String(project.events).padStart(4)} events  ${Math.round(project.share * 100)}%  (${project.sources.join(', ')})`);
+        }
+    }
+
+    /**
+     * List recent activity events
+     * @param {object} args - Parsed arguments
+     */
+    async events(args) {
+        const events = await this.collector.dbManager.getContextEvents({
+            minutes: args.minutes || 60,
+            source_type: args.source_type,
+            project_name: args.project,
+            limit: args.limit
+        });
+
+        if (events.length === 0) {
+            console.log('No activity events.');
+            return;
+        }
+
+        for (const event of events) {
+            const detail = event.activity_data.command || event.file_path || event.activity_data.url || '';
+            const sensitive = event.contains_sensitive ? ' 🔒' : '';
+            console.log(`${event.timestamp}  ${event.source_type.padEnd(12)} ${(event.project_name || '-').padEnd(20)} ${event.activity_type}: ${detail}${sensitive}`);
+        }
+    }
+
+    /**
+     * Delete events past their retention
+     */
+    async prune() {
+        const deleted = await this.collector.prune();
+        console.log(`🧹 Deleted ${deleted} expired activity events`);
+    }
+
+    /**
+     * Print how to install the shell hook
+     */
+    hook() {
+        console.log(`Add this line to ~/.bashrc or ~/.zshrc:
+
+  source "${HOOK_SCRIPT}"
+
+Each command is then reported with its directory, git repository and branch
+to ${process.env.STEWARD_CONTEXT_URL || 'http://localhost:3002/api/context/events'}.
+Set STEWARD_API_KEY when the backend runs on another machine, and
+STEWARD_CONTEXT_OFF=1 to pause reporting in a shell.`);
+    }
+
+    /**
+     * Run a context command
+     * @param {string[]} argv - Arguments after the context subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            watch: () => this.watch(args),
+            current: () => this.current(args),
+            events: () => this.events(args),
+            prune: () => this.prune(),
+            hook: () => this.hook(),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown context command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.collector.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new ContextCLI().run(process.argv.slice(2));
+}
+
+module.exports = ContextCLI;
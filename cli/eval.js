@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const EvalSuite = require('../src/evals/EvalSuite');
+const EvalRunner = require('../src/evals/EvalRunner');
+const DatabaseManager = require('../database/DatabaseManager');
+
+/**
+ * Eval CLI
+ * Runs the YAML eval suites against chosen models and reports the stored scores
+ */
+class EvalCLI {
+    /**
+     * @param {object} options - {dbManager, runner}; defaults to database/steward.db
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        this.runner = options.runner || null;
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                   THE STEWARD MODEL EVALS                    ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js eval <command> [options]
+
+COMMANDS:
+  run        Run suites against models and store the scores
+  list       List suites with their task type and case count
+  results    Show average scores per model and task type
+  help       Show this help message
+
+OPTIONS:
+  --models <a,b>      Models to evaluate, as named in models.yaml (run)
+  --suite <name>      Only this suite (run, list)
+  --task <type>       Only suites for this task type (run, list)
+  --dir <path>        Suites directory (default: evals/)
+  --judge <model>     Local model that scores rubric checks (default: smollm3)
+  --mock              Answer with the mock adapter; nothing is sent to any model
+  --update-ratings    Write each model's score to performance_rating in models.yaml
+  --run <id>          Only this run (results)
+  --days <n>          Only results from the last n days (results)
+  --json              Print the full report as JSON
+
+Every case is sent to every model with the response cache bypassed. Rubric
+checks are scored by the judge model, which must be local. Mock runs are
+stored but left out of results unless --run picks them, and never update
+ratings.
+
+EXAMPLES:
+  node cli/steward.js eval run --models smollm3,qwen2.5-coder:7b
+  node cli/steward.js eval run --models smollm3 --suite debug --update-ratings
+  node cli/steward.js eval run --models smollm3 --mock
+  node cli/steward.js eval results --days 30
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the eval subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'help',
+            models: [],
+            suite: null,
+            task_type: null,
+            dir: EvalSuite.SUITES_DIR,
+            judge: null,
+            mock: false,
+            update_ratings: false,
+            run_id: null,
+            days: null,
+            json: false
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--models') {
+                parsed.models = (args[++i] || '').split(',').map(model => model.trim()).filter(Boolean);
+            } else if (arg === '--suite') {
+                parsed.suite = args[++i];
+            } else if (arg === '--task') {
+                parsed.task_type = args[++i];
+            } else if (arg === '--dir') {
+                parsed.dir = path.resolve(args[++i]);
+            } else if (arg === '--judge') {
+                parsed.judge = args[++i];
+            } else if (arg === '--mock') {
+                parsed.mock = true;
+            } else if (arg === '--update-ratings') {
+                parsed.update_ratings = true;
+            } else if (arg === '--run') {
+                parsed.run_id = args[++i];
+            } else if (arg === '--days') {
+                parsed.days = parseInt(args[++i]) || null;
+            } else if (arg === '--json') {
+                parsed.json = true;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                parsed.command = arg;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Load the suites the arguments pick
+     * @private
+     */
+    loadSuites(args) {
+        const suites = EvalSuite.loadAll(args.dir, { suite: args.suite, task_type: args.task_type });
+        if (suites.length === 0) {
+            throw new Error(`No eval suites match${args.suite ? ` suite ${args.suite}` : ''}${args.task_type ? ` task type ${args.task_type}` : ''} in ${args.dir}`);
+        }
+        return suites;
+    }
+
+    /**
+     * Run suites against models and print the scores
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Run report
+     */
+    async runEvals(args) {
+        if (args.models.length === 0) {
+            throw new Error('Choose models with --models a,b');
+        }
+        if (args.mock && args.update_ratings) {
+            throw new Error('Mock runs do not update performance_rating; drop --mock or --update-ratings');
+        }
+
+        const suites = this.loadSuites(args);
+        this.runner = this.runner || new EvalRunner({ dbManager: this.dbManager, mock: args.mock, judgeModel: args.judge });
+
+        if (!args.json) {
+            const cases = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+            console.log(`\n🧪 Running ${cases} cases from ${suites.length} suites against ${args.models.join(', ')}${args.mock ? ' (mock)' : ''}`);
+        }
+        const report = await this.runner.run({
+            suites,
+            models: args.models,
+            onResult: args.json ? null : result => {
+                const status = result.error_message ? '⚠️ ' : result.passed ? '✅' : '❌';
+                console.log(`   ${status} ${result.suite}/${result.case_id} ${result.model_name}: ${this.percent(result.score)}${result.error_message ? ` (${result.error_message})` : ''}`);
+            }
+        });
+
+        if (args.update_ratings) {
+            report.ratings = this.runner.updateRatings(report);
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+            return report;
+        }
+
+        console.log(`\n📊 Run ${report.run_id}`);
+        this.printSummary(report.summary);
+
+        if (report.ratings) {
+            console.log('\n⭐ performance_rating in models.yaml');
+            for (const [model, change] of Object.entries(report.ratings)) {
+                console.log(change.skipped
+                    ? `   ${model}: unchanged (${change.skipped})`
+                    : `   ${model}: ${change.before ?? 'unset'} → ${change.after}`);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * List the suites
+     * @param {object} args - Parsed arguments
+     * @returns {EvalSuite[]} Suites
+     */
+    list(args) {
+        const suites = this.loadSuites(args);
+        console.log(`\n📚 Eval suites in ${args.dir}`);
+        for (const suite of suites) {
+            console.log(`   ${suite.name.padEnd(16)} ${suite.task_type.padEnd(12)} ${String(suite.cases.length).padStart(3)} cases  ${suite.description}`);
+        }
+        return suites;
+    }
+
+    /**
+     * Show stored scores per model and task type
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} {summary, runs}
+     */
+    async results(args) {
+        const summary = await this.dbManager.getEvalSummary({ run_id: args.run_id, days: args.days });
+        const runs = args.run_id ? [] : await this.dbManager.getEvalRuns(5);
+
+        if (args.json) {
+            console.log(JSON.stringify({ summary, runs }, null, 2));
+            return { summary, runs };
+        }
+
+        if (summary.length === 0) {
+            console.log('No eval results yet - run "eval run --models <names>" first');
+            return { summary, runs };
+        }
+
+        console.log(`\n📊 Eval scores${args.run_id ? ` for run ${args.run_id}` : args.days ? ` from the last ${args.days} days` : ''}`);
+        this.printSummary(summary);
+
+        if (runs.length > 0) {
+            console.log('\n🕒 Recent runs');
+            for (const run of runs) {
+                console.log(`   ${run.run_id}  ${run.started_at}  ${run.models.join(', ')}  ${run.cases} cases  ${this.percent(run.avg_score)}${run.mock ? '  (mock)' : ''}`);
+            }
+        }
+        return { summary, runs };
+    }
+
+    /**
+     * Print a model x task type score table
+     * @private
+     */
+    printSummary(summary) {
+        console.log('   Model                  Task type     Cases  Passed  Avg score');
+        for (const row of summary) {
+            console.log(`   ${row.model_name.padEnd(22)} ${row.task_type.padEnd(12)} ${String(row.cases).padStart(6)}  ${String(row.passed).padStart(6)}  ${this.percent(row.avg_score).padStart(9)}`);
+        }
+    }
+
+    /**
+     * Format a 0-1 ratio as a percentage
+     * @private
+     */
+    percent(value) {
+        return `${((value || 0) * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Run an eval command
+     * @param {string[]} argv - Arguments after the eval subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            run: () => this.runEvals(args),
+            list: () => this.list(args),
+            results: () => this.results(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown eval command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new EvalCLI().run(process.argv.slice(2));
+}
+
+module.exports = EvalCLI;
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+const readline = require('readline');
+const Journal = require('../models/Journal');
+const DatabaseManager = require('../database/DatabaseManager');
+
+// Command line flags that set a journal field, and how to read their value
+const FIELD_FLAGS = {
+    '--energy': { field: 'energy_level' },
+    '--mood': { field: 'mood' },
+    '--frustration': { field: 'frustration_level', parse: value => parseInt(value) },
+    '--hours': { field: 'productive_hours', parse: value => value.split(',').map(hours => hours.trim()).filter(Boolean) },
+    '--goal': { field: 'goals_set', list: true },
+    '--achieved': { field: 'goals_achieved', list: true },
+    '--blocker': { field: 'blockers_encountered', list: true },
+    '--notes': { field: 'workflow_notes' },
+    '--reflection': { field: 'daily_reflection' },
+    '--tomorrow': { field: 'tomorrow_focus' }
+};
+
+/**
+ * Journal CLI
+ * Daily check-ins and end-of-day summaries in the journal_entries table of database/steward.db
+ */
+class JournalCLI {
+    /**
+     * @param {object} options - {journal}; defaults to a Journal on database/steward.db
+     */
+    constructor(options = {}) {
+        this.journal = options.journal || new Journal({ dbManager: new DatabaseManager() });
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                    THE STEWARD JOURNAL                       ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js journal <command> [options]
+
+COMMANDS:
+  checkin   Record today's energy, mood, frustration, productive hours and goals
+            (asks for each when no field options are given)
+  update    Change fields of an entry (default: today)
+  show      Print an entry (default: today)
+  list      Print recent entries
+  summary   Fill an entry's AI usage from the logs (default: today)
+  delete    Delete an entry (needs --date)
+  help      Show this help message
+
+FIELD OPTIONS:
+  --energy <high|medium|low>    Energy level
+  --mood <mood>                 e.g. focused, scattered, creative, analytical
+  --frustration <1-5>           Frustration level
+  --hours <ranges>              Productive hours, e.g. "9-11,14-16"
+  --goal <text>                 A goal for the day (repeatable)
+  --achieved <text>             A goal achieved (repeatable)
+  --blocker <text>              Something that blocked progress (repeatable)
+  --notes <text>                Workflow notes
+  --reflection <text>           Reflection on the day
+  --tomorrow <text>             What to focus on tomorrow
+
+OTHER OPTIONS:
+  --date <YYYY-MM-DD>           Entry date for update, show, summary and delete
+  --from <date>, --to <date>    list: date range
+  --limit <n>                   list: entries to show (default: 7)
+
+Today's entry replaces the time-of-day defaults when routing estimates your
+cognitive capacity. Past days are summarized automatically at the next check-in.
+
+EXAMPLES:
+  node cli/steward.js journal checkin
+  node cli/steward.js journal checkin --energy low --mood scattered --frustration 4
+  node cli/steward.js journal update --achieved "Shipped the journal" --reflection "Good day"
+  node cli/steward.js journal list --limit 14
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the journal subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'show',
+            date: null,
+            fields: {},
+            from: null,
+            to: null,
+            limit: 7,
+            offset: 0
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const flag = FIELD_FLAGS[arg];
+
+            if (flag) {
+                const value = flag.parse ? flag.parse(args[++i] || '') : args[++i];
+                parsed.fields[flag.field] = flag.list ? [...(parsed.fields[flag.field] || []), value] : value;
+            } else if (arg === '--date') {
+                parsed.date = args[++i];
+            } else if (arg === '--from') {
+                parsed.from = args[++i];
+            } else if (arg === '--to') {
+                parsed.to = args[++i];
+            } else if (arg === '--limit') {
+                parsed.limit = parseInt(args[++i]) || parsed.limit;
+            } else if (arg === '--offset') {
+                parsed.offset = parseInt(args[++i]) || 0;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                parsed.command = arg;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Record today's check-in from options, or by asking when none were given
+     * @param {object} args - Parsed arguments
+     */
+    async checkin(args) {
+        const fields = Object.keys(args.fields).length > 0 ? args.fields : await this.askCheckin();
+        const entry = await this.journal.checkIn(fields);
+        console.log(`📓 Checked in for ${entry.date}`);
+        this.printEntry(entry);
+    }
+
+    /**
+     * Ask for the check-in fields
+     * @returns {Promise<object>} Journal fields; blank answers are left out
+     */
+    async askCheckin() {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const ask = (question) => new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+
+        try {
+            console.log(`\n📓 DAILY CHECK-IN (${Journal.today()})`);
+            console.log('='.repeat(40));
+
+            const fields = {};
+            const energy = (await ask(`Energy (${Journal.ENERGY_LEVELS.join('/')}): `)).toLowerCase();
+            const mood = await ask('Mood (e.g. focused, scattered, creative): ');
+            const frustration = await ask('Frustration (1-5): ');
+            const hours = await ask('Productive hours (e.g. 9-11,14-16): ');
+            const goals = await ask('Goals for today (separate with ;): ');
+
+            if (energy) fields.energy_level = energy;
+            if (mood) fields.mood = mood;
+            if (frustration) fields.frustration_level = parseInt(frustration);
+            if (hours) fields.productive_hours = FIELD_FLAGS['--hours'].parse(hours);
+            if (goals) fields.goals_set = goals.split(';').map(goal => goal.trim()).filter(Boolean);
+            return fields;
+        } finally {
+            rl.close();
+        }
+    }
+
+    /**
+     * Change fields of an entry
+     * @param {object} args - Parsed arguments
+     */
+    async update(args) {
+        if (Object.keys(args.fields).length === 0) {
+            throw new Error('update needs at least one field option, e.g. --reflection "..."');
+        }
+        const entry = await this.journal.save(args.date || Journal.today(), args.fields);
+        console.log(`📓 Updated ${entry.date}`);
+        this.printEntry(entry);
+    }
+
+    /**
+     * Print an entry
+     * @param {object} args - Parsed arguments
+     */
+    async show(args) {
+        const date = args.date || Journal.today();
+        const entry = await this.journal.get(date);
+        if (!entry) {
+            console.log(`No journal entry for ${date}. Check in with: node cli/steward.js journal checkin`);
+            return;
+        }
+        this.printEntry(entry);
+    }
+
+    /**
+     * Print recent entries
+     * @param {object} args - Parsed arguments
+     */
+    async list(args) {
+        const { entries, total } = await this.journal.list({
+            from: args.from,
+            to: args.to,
+            limit: args.limit,
+            offset: args.offset
+        });
+
+        if (entries.length === 0) {
+            console.log('No journal entries.');
+            return;
+        }
+
+        for (const entry of entries) {
+            const mood = [entry.energy_level && `${entry.energy_level} energy`, entry.mood].filter(Boolean).join(', ') || 'no check-in';
+            const usage = entry.ai_requests_count ? `, ${entry.ai_requests_count} AI requests` : '';
+            const frustration = entry.frustration_level ? `, frustration ${entry.frustration_level}/5` : '';
+            console.log(`${entry.date}  ${mood}${frustration}${usage}`);
+        }
+        if (total > entries.length) {
+            console.log(`(${entries.length} of ${total} entries)`);
+        }
+    }
+
+    /**
+     * Fill an entry's AI usage from the logs
+     * @param {object} args - Parsed arguments
+     */
+    async summary(args) {
+        const date = args.date || Journal.today();
+        const entry = await this.journal.summarizeDay(date);
+        if (!entry) {
+            console.log(`Nothing to summarize for ${date}: no journal entry and no AI requests.`);
+            return;
+        }
+        console.log(`📊 Summarized ${date}`);
+        this.printEntry(entry);
+    }
+
+    /**
+     * Delete an entry
+     * @param {object} args - Parsed arguments
+     */
+    async delete(args) {
+        if (!args.date) {
+            throw new Error('delete needs --date');
+        }
+        const deleted = await this.journal.remove(args.date);
+        console.log(deleted ? `🧹 Deleted journal entry for ${args.date}` : `No journal entry for ${args.date}`);
+    }
+
+    /**
+     * Print the filled-in fields of an entry
+     * @private
+     */
+    printEntry(entry) {
+        const lines = [
+            ['Energy', entry.energy_level],
+            ['Mood', entry.mood],
+            ['Frustration', entry.frustration_level && `${entry.frustration_level}/5`],
+            ['Productive hours', entry.productive_hours.join(', ')],
+            ['Goals', entry.goals_set.join('; ')],
+            ['Achieved', entry.goals_achieved.join('; ')],
+            ['Blockers', entry.blockers_encountered.join('; ')],
+            ['Task types', entry.preferred_task_types.join(', ')],
+            ['AI requests', entry.ai_requests_count],
+            ['Most helpful', entry.most_helpful_model],
+            ['Least helpful', entry.least_helpful_model],
+            ['Notes', entry.workflow_notes],
+            ['Reflection', entry.daily_reflection],
+            ['Tomorrow', entry.tomorrow_focus]
+        ];
+
+        console.log(`\n📅 ${entry.date} (${Math.round((entry.completion_percentage || 0) * 100)}% filled in)`);
+        for (const [label, value] of lines) {
+            if (value !== null && value !== undefined && value !== '') {
+                console.log(`   ${label.padEnd(17)} ${value}`);
+            }
+        }
+    }
+
+    /**
+     * Run a journal command
+     * @param {string[]} argv - Arguments after the journal subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            checkin: () => this.checkin(args),
+            update: () => this.update(args),
+            show: () => this.show(args),
+            list: () => this.list(args),
+            summary: () => this.summary(args),
+            delete: () => this.delete(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown journal command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.journal.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new JournalCLI().run(process.argv.slice(2));
+}
+
+module.exports = JournalCLI;
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const MemoryStore = require('../models/MemoryStore');
+const DatabaseManager = require('../database/DatabaseManager');
+
+/**
+ * Memory CLI
+ * Lists, prunes and exports the project, loadout and global memory in database/steward.db
+ */
+class MemoryCLI {
+    /**
+     * @param {object} options - {store}; defaults to a MemoryStore on database/steward.db
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore({ dbManager: new DatabaseManager() });
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                    THE STEWARD MEMORY                        ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js memory <command> [scope] [options]
+
+COMMANDS:
+  list      Show stored entries, newest first
+  prune     Delete entries
+  export    Write entries as json, jsonl or markdown
+  stats     Entry counts per scope
+  help      Show this help message
+
+SCOPE (one of):
+  --project <name>   A project's memory
+  --loadout <name>   A loadout's memory
+  --global           The global memory
+  --all              Every scope (list, export and prune)
+
+OPTIONS:
+  --kind <kind>          Only entries of this kind (note, task, routing)
+  --limit <n>            Entries to list or export (default: 20 / 1000)
+  --offset <n>           Skip the first n entries
+  --older-than <days>    prune: only entries older than this
+  --keep <n>             prune: keep the newest n entries of each scope
+  --id <id>              prune: only this entry (repeatable)
+  --format <format>      export: json (default), jsonl or markdown
+  --output <file>        export: write to a file instead of stdout
+
+EXAMPLES:
+  node cli/steward.js memory list --project steward
+  node cli/steward.js memory prune --loadout creative --older-than 90
+  node cli/steward.js memory export --project steward --format markdown --output steward-memory.md
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the memory subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'list',
+            context: {},
+            kind: null,
+            limit: null,
+            offset: 0,
+            older_than: null,
+            keep: null,
+            ids: null,
+            format: 'json',
+            output: null
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--project') {
+                parsed.context = { scope: 'project', project: args[++i] };
+            } else if (arg === '--loadout') {
+                parsed.context = { scope: 'loadout', loadout: args[++i] };
+            } else if (arg === '--global') {
+                parsed.context = { scope: 'global' };
+            } else if (arg === '--all') {
+                parsed.context = { all: true };
+            } else if (arg === '--kind') {
+                parsed.kind = args[++i];
+            } else if (arg === '--limit') {
+                parsed.limit = parseInt(args[++i]);
+            } else if (arg === '--offset') {
+                parsed.offset = parseInt(args[++i]);
+            } else if (arg === '--older-than') {
+                parsed.older_than = parseFloat(args[++i]);
+            } else if (arg === '--keep') {
+                parsed.keep = parseInt(args[++i]);
+            } else if (arg === '--id') {
+                parsed.ids = [...(parsed.ids || []), parseInt(args[++i])];
+            } else if (arg === '--format') {
+                parsed.format = args[++i];
+            } else if (arg === '--output' || arg === '-o') {
+                parsed.output = args[++i];
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                parsed.command = arg;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Print entries of one or more scopes
+     * @param {object} args - Parsed arguments
+     */
+    async list(args) {
+        const entries = await this.store.list(this.scopeOf(args), {
+            kind: args.kind,
+            limit: args.limit || 20,
+            offset: args.offset
+        });
+
+        if (entries.length === 0) {
+            console.log('No memory entries.');
+            return;
+        }
+
+        for (const entry of entries) {
+            const recalls = entry.recall_count ? `, recalled ${entry.recall_count}x` : '';
+            console.log(`#${entry.id}  ${entry.timestamp}  ${entry.scope_type}:${entry.scope_name}  [${entry.kind}${recalls}]`);
+            console.log(`    ${entry.content.replace(/\n/g, '\n    ')}`);
+        }
+    }
+
+    /**
+     * Delete entries of one or more scopes
+     * @param {object} args - Parsed arguments
+     */
+    async prune(args) {
+        const context = args.context;
+        if (!context.all && !context.scope) {
+            throw new Error('prune needs a scope: --project, --loadout, --global or --all');
+        }
+
+        const deleted = await this.store.prune(context, {
+            kind: args.kind,
+            ids: args.ids,
+            olderThanDays: args.older_than,
+            keep: args.keep
+        });
+        console.log(`🧹 Deleted ${deleted} memory ${deleted === 1 ? 'entry' : 'entries'}`);
+    }
+
+    /**
+     * Write entries of one or more scopes to stdout or a file
+     * @param {object} args - Parsed arguments
+     */
+    async export(args) {
+        const entries = await this.store.list(this.scopeOf(args), {
+            kind: args.kind,
+            limit: args.limit || 1000,
+            offset: args.offset
+        });
+
+        let output;
+        if (args.format === 'json') {
+            output = JSON.stringify(entries, null, 2);
+        } else if (args.format === 'jsonl') {
+            output = entries.map(entry => JSON.stringify(entry)).join('\n');
+        } else if (args.format === 'markdown') {
+            output = entries
+                .map(entry => `## ${entry.timestamp} · ${entry.scope_type}: ${entry.scope_name} · ${entry.kind}\n\n${entry.content}\n`)
+                .join('\n');
+        } else {
+            throw new Error(`Unknown export format: ${args.format} (expected json, jsonl or markdown)`);
+        }
+
+        if (args.output) {
+            fs.writeFileSync(args.output, `${output}\n`);
+            console.log(`📝 Exported ${entries.length} memory entries to ${args.output}`);
+        } else {
+            console.log(output);
+        }
+    }
+
+    /**
+     * Print entry counts per scope
+     */
+    async stats() {
+        const scopes = await this.store.stats();
+        if (scopes.length === 0) {
+            console.log('No memory entries.');
+            return;
+        }
+
+        for (const scope of scopes) {
+            console.log(`${scope.scope_type}:${scope.scope_name}  ${scope.entries} entries, ${scope.recalls || 0} recalls, last ${scope.last_entry}`);
+        }
+    }
+
+    /**
+     * Scope for list and export; every scope when none was given
+     * @private
+     */
+    scopeOf(args) {
+        return args.context.scope || args.context.all ? args.context : { all: true };
+    }
+
+    /**
+     * Run a memory command
+     * @param {string[]} argv - Arguments after the memory subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            list: () => this.list(args),
+            prune: () => this.prune(args),
+            export: () => this.export(args),
+            stats: () => this.stats(),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown memory command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.store.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new MemoryCLI().run(process.argv.slice(2));
+}
+
+module.exports = MemoryCLI;
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const RoutingReplay = require('../src/core/routing-replay');
+
+/**
+ * Replay CLI
+ * Re-runs stored prompts through the current routing stack and prints which decisions would change
+ */
+class ReplayCLI {
+    /**
+     * @param {object} options - {replay}; defaults to a RoutingReplay on database/steward.db
+     */
+    constructor(options = {}) {
+        this.replayer = options.replay || new RoutingReplay();
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                 THE STEWARD ROUTING REPLAY                   ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js replay [options]
+
+OPTIONS:
+  --days <n>                Replay decisions from the last n days (default: 30)
+  --limit <n>               Replay at most n decisions, newest first (default: 200)
+  --task <type>             Only decisions originally classified as this task type
+  --character-sheet <path>  Route with this character sheet instead of the saved one
+  --loadout <name>          Route with this loadout, or a stack such as a+b, active
+                            ("default" for none)
+  --show <n>                Changed decisions to list (default: 10)
+  --json                    Print the full report as JSON
+  --help, -h                Show this help message
+
+Stored prompt snippets are routed again with the hour and journal check-in
+they were made with. No model is called and nothing is logged. Costs are
+estimated at 1000 tokens per request because snippets are truncated.
+
+EXAMPLES:
+  node cli/steward.js replay --days 7
+  node cli/steward.js replay --loadout frugal_mode
+  node cli/steward.js replay --character-sheet ./character-sheet.next.yaml --json
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the replay subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'replay',
+            days: 30,
+            limit: 200,
+            task_type: null,
+            character_sheet: null,
+            loadout: null,
+            show: 10,
+            json: false
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--days') {
+                parsed.days = parseInt(args[++i]) || parsed.days;
+            } else if (arg === '--limit') {
+                parsed.limit = parseInt(args[++i]) || parsed.limit;
+            } else if (arg === '--task') {
+                parsed.task_type = args[++i];
+            } else if (arg === '--character-sheet') {
+                parsed.character_sheet = args[++i];
+            } else if (arg === '--loadout') {
+                parsed.loadout = args[++i];
+            } else if (arg === '--show') {
+                parsed.show = parseInt(args[++i]) || 0;
+            } else if (arg === '--json') {
+                parsed.json = true;
+            } else if (arg === '--help' || arg === '-h' || arg === 'help') {
+                parsed.command = 'help';
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Replay stored decisions and print the diff report
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Diff report
+     */
+    async replay(args) {
+        let characterSheet = null;
+        if (args.character_sheet) {
+            const sheetPath = path.resolve(args.character_sheet);
+            if (!fs.existsSync(sheetPath)) {
+                throw new Error(`Character sheet not found: ${sheetPath}`);
+            }
+            characterSheet = fs.readFileSync(sheetPath, 'utf8');
+        }
+
+        const report = await this.replayer.replay({
+            days: args.days,
+            limit: args.limit,
+            task_type: args.task_type,
+            character_sheet: characterSheet,
+            loadout: args.loadout
+        });
+
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+            return report;
+        }
+
+        const { summary } = report;
+        const candidate = args.character_sheet ? path.basename(args.character_sheet) : 'saved character sheet';
+        console.log(`\n🔁 Replayed ${summary.replayed} decisions from the last ${args.days} days with ${candidate}, loadout ${report.candidate.loadout}`);
+        if (summary.replayed === 0) {
+            console.log('   No stored decisions with a prompt to replay.');
+            return report;
+        }
+
+        console.log(`   Changed: ${summary.changed} (${this.percent(summary.change_rate)}), unchanged: ${summary.unchanged}${summary.failed ? `, failed: ${summary.failed}` : ''}`);
+        console.log(`   Estimated cost at ${summary.tokens_per_request} tokens per request: ${this.dollars(summary.estimated_cost.before)} → ${this.dollars(summary.estimated_cost.after)} (${this.signedDollars(summary.estimated_cost.delta)})`);
+
+        console.log('\n📋 By task type');
+        console.log('   Task type        Replayed  Changed  Reclassified  Cost change');
+        for (const group of report.by_task_type) {
+            console.log(`   ${group.task_type.padEnd(16)} ${String(group.replayed).padStart(8)}  ${String(group.changed).padStart(7)}  ${String(group.reclassified).padStart(12)}  ${this.signedDollars(group.cost_delta).padStart(11)}`);
+        }
+
+        console.log('\n🏷️  By tier');
+        const tiers = [...new Set([...Object.keys(report.by_tier.before), ...Object.keys(report.by_tier.after)])];
+        for (const tier of tiers) {
+            console.log(`   ${tier.padEnd(16)} ${String(report.by_tier.before[tier] || 0).padStart(4)} → ${report.by_tier.after[tier] || 0}`);
+        }
+        for (const shift of report.by_tier.shifts) {
+            console.log(`   ${shift.count} moved ${shift.from} → ${shift.to}`);
+        }
+
+        if (args.show > 0 && report.changes.length > 0) {
+            console.log(`\n🔀 Changed decisions${report.changes.length > args.show ? ` (first ${args.show} of ${report.changes.length})` : ''}`);
+            for (const change of report.changes.slice(0, args.show)) {
+                const snippet = change.prompt_snippet.replace(/\s+/g, ' ').substring(0, 60);
+                console.log(`   #${change.id} "${snippet}"`);
+                console.log(`      ${change.before.model} (${change.before.task_type}) → ${change.after.model} (${change.after.task_type})`);
+                if (change.reason) {
+                    console.log(`      ${change.reason}`);
+                }
+            }
+        }
+
+        for (const failure of report.failures) {
+            console.log(`⚠️  #${failure.id} could not be replayed: ${failure.error}`);
+        }
+        return report;
+    }
+
+    /**
+     * Format a 0-1 ratio as a percentage
+     * @private
+     */
+    percent(value) {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Format a dollar amount
+     * @private
+     */
+    dollars(value) {
+        return `$${value.toFixed(4)}`;
+    }
+
+    /**
+     * Format a dollar change with its sign
+     * @private
+     */
+    signedDollars(value) {
+        return `${value < 0 ? '-' : '+'}${this.dollars(Math.abs(value))}`;
+    }
+
+    /**
+     * Run the replay command
+     * @param {string[]} argv - Arguments after the replay subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            replay: () => this.replay(args),
+            help: () => this.showHelp()
+        };
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.replayer.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new ReplayCLI().run(process.argv.slice(2));
+}
+
+module.exports = ReplayCLI;
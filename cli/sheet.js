@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CharacterSheetStore = require('../src/core/character-sheet-store');
+
+/**
+ * Character Sheet CLI
+ * Validates character-sheet.yaml and browses, diffs and rolls back its versions
+ */
+class SheetCLI {
+    /**
+     * @param {object} options - {store}; defaults to character-sheet.yaml and database/steward.db
+     */
+    constructor(options = {}) {
+        this.store = options.store || new CharacterSheetStore();
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                 THE STEWARD CHARACTER SHEET                  ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js sheet <command> [options]
+
+COMMANDS:
+  validate [path]          Check a sheet against the schema and models.yaml
+                           (default: character-sheet.yaml)
+  history                  List versions and who made each change
+  show <version>           Print a version as it was written
+  diff <from> [to]         Show what changed between two versions
+                           (default to: the current sheet)
+  rollback <version>       Restore a version; recorded as a new version
+  help                     Show this help message
+
+OPTIONS:
+  --limit <n>       Versions to list (default: 20)
+  --reason <text>   Why you are rolling back
+  --json            Print results as JSON
+
+Versions are recorded by the web interface, accepted suggestions and
+rollbacks. Editing character-sheet.yaml by hand is not recorded; run
+"validate" afterwards to check the edit.
+
+EXAMPLES:
+  node cli/steward.js sheet validate
+  node cli/steward.js sheet history
+  node cli/steward.js sheet diff 3
+  node cli/steward.js sheet rollback 3 --reason "debug suggestion picked a missing model"
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the sheet subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'help',
+            positional: [],
+            limit: 20,
+            reason: null,
+            json: false
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--limit') {
+                parsed.limit = parseInt(args[++i]) || parsed.limit;
+            } else if (arg === '--reason') {
+                parsed.reason = args[++i];
+            } else if (arg === '--json') {
+                parsed.json = true;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                if (parsed.positional.length === 0 && parsed.command === 'help') {
+                    parsed.command = arg;
+                } else {
+                    parsed.positional.push(arg);
+                }
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Read a version number argument
+     * @private
+     */
+    version(value, name) {
+        const version = Number(value);
+        if (!Number.isInteger(version) || version <= 0) {
+            throw new Error(`${name} must be a version number - see "sheet history"`);
+        }
+        return version;
+    }
+
+    /**
+     * Validate a character sheet file
+     * @param {object} args - Parsed arguments
+     * @returns {string[]} Problems
+     */
+    validate(args) {
+        const sheetPath = args.positional[0] ? path.resolve(args.positional[0]) : this.store.sheetPath;
+        if (!fs.existsSync(sheetPath)) {
+            throw new Error(`Character sheet not found: ${sheetPath}`);
+        }
+
+        let problems;
+        try {
+            problems = this.store.validate(CharacterSheetStore.toSheet(fs.readFileSync(sheetPath, 'utf8')));
+        } catch (error) {
+            problems = [error.message];
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify({ path: sheetPath, valid: problems.length === 0, problems }, null, 2));
+        } else if (problems.length === 0) {
+            console.log(`✅ ${sheetPath} is valid`);
+        } else {
+            console.log(`❌ ${sheetPath} has ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+            problems.forEach(problem => console.log(`   - ${problem}`));
+        }
+
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+        return problems;
+    }
+
+    /**
+     * List versions
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<Array>} Versions
+     */
+    async history(args) {
+        const versions = await this.store.getHistory(args.limit);
+        if (args.json) {
+            console.log(JSON.stringify(versions, null, 2));
+            return versions;
+        }
+
+        if (versions.length === 0) {
+            console.log('No character sheet versions yet - changes are recorded from the first save through the API, a suggestion or a rollback');
+            return versions;
+        }
+
+        console.log('\n📜 Character sheet versions');
+        for (const version of versions) {
+            const author = version.source_id ? `${version.author} ${version.source_id}` : version.author;
+            console.log(`   v${version.version}  ${version.timestamp}  ${author.padEnd(16)} ${version.changes.length} changes${version.reason ? `  ${version.reason}` : ''}`);
+        }
+        return versions;
+    }
+
+    /**
+     * Print one version
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Version
+     */
+    async show(args) {
+        const number = this.version(args.positional[0], 'version');
+        const version = await this.store.getVersion(number);
+        if (!version) {
+            throw new Error(`Character sheet version ${number} not found`);
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(version, null, 2));
+        } else {
+            console.log(`# v${version.version} ${version.timestamp} by ${version.author}${version.source_id ? ` ${version.source_id}` : ''}`);
+            console.log(version.content);
+        }
+        return version;
+    }
+
+    /**
+     * Show what changed between two versions
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} {from, to, changes}
+     */
+    async diff(args) {
+        const from = this.version(args.positional[0], 'from');
+        const to = args.positional[1] ? this.version(args.positional[1], 'to') : null;
+        const report = await this.store.compare(from, to);
+
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+            return report;
+        }
+
+        console.log(`\n🔀 v${report.from} → ${report.to === 'current' ? 'current sheet' : `v${report.to}`}: ${report.changes.length} changes`);
+        this.printChanges(report.changes);
+        return report;
+    }
+
+    /**
+     * Restore a version
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} {version, changes}
+     */
+    async rollback(args) {
+        const number = this.version(args.positional[0], 'version');
+        const result = await this.store.rollback(number, { reason: args.reason });
+
+        if (args.json) {
+            console.log(JSON.stringify({ version: result.version, changes: result.changes }, null, 2));
+            return result;
+        }
+
+        console.log(`⏪ Rolled back to v${number} (recorded as v${result.version})`);
+        this.printChanges(result.changes);
+        return result;
+    }
+
+    /**
+     * Print changed paths
+     * @private
+     */
+    printChanges(changes) {
+        const format = value => JSON.stringify(value);
+        for (const change of changes) {
+            if (change.op === 'added') {
+                console.log(`   + ${change.path}: ${format(change.after)}`);
+            } else if (change.op === 'removed') {
+                console.log(`   - ${change.path}: ${format(change.before)}`);
+            } else {
+                console.log(`   ~ ${change.path}: ${format(change.before)} → ${format(change.after)}`);
+            }
+        }
+    }
+
+    /**
+     * Run a sheet command
+     * @param {string[]} argv - Arguments after the sheet subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            validate: () => this.validate(args),
+            history: () => this.history(args),
+            show: () => this.show(args),
+            diff: () => this.diff(args),
+            rollback: () => this.rollback(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown sheet command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.store.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new SheetCLI().run(process.argv.slice(2));
+}
+
+module.exports = SheetCLI;
@@ -3,6 +3,21 @@
 const path = require('path');
 const ModelInterface = require('../models/ModelInterface');
 const SmartRoutingEngine = require('../src/core/smart-routing-engine');
+const FailoverExecutor = require('../src/core/failover-executor');
+const LoadoutManager = require('../src/core/loadout-manager');
+
+// Subcommands handled by their own CLI module: node cli/steward.js <subcommand> ...
+const SUBCOMMANDS = {
+    memory: './memory',
+    classifier: './classifier',
+    journal: './journal',
+    context: './context',
+    replay: './replay',
+    eval: './eval',
+    sheet: './sheet',
+    users: './users',
+    workflow: './workflow'
+};
 
 /**
  * The Steward CLI Interface
@@ -12,6 +27,9 @@ class StewardCLI {
     constructor() {
         this.modelInterface = new ModelInterface(); // Keep for backward compatibility
         this.smartRouter = new SmartRoutingEngine(); // Smart routing engine
+        this.failoverExecutor = new FailoverExecutor(this.modelInterface, {
+            mapModelName: (modelName) => this.mapModelName(modelName)
+        });
         this.useSmartRouting = true; // Enable smart routing by default
         this.defaultModel = 'ai/smollm3:latest'; // Updated default for smart routing
         this.defaultOptions = {
@@ -19,49 +37,6 @@ class StewardCLI {
             temperature: 0.7,
             top_p: 0.9
         };
-        
-        // Smart routing to ModelInterface model name mapping
-        this.modelNameMapping = {
-            // SmolLM variants - all map to the available model in ModelInterface
-            'smollm3': 'ai/smollm3:latest',
-            'smollm3-1.7b': 'ai/smollm3:latest',
-            'smollm3-8b': 'ai/smollm3:latest',
-            
-            // Local models - direct mapping
-            'llama': 'llama',
-            'mistral': 'mistral', 
-            'codellama': 'codellama',
-            'vicuna': 'vicuna',
-            'alpaca': 'alpaca',
-            'local': 'local',
-            
-            // Open WebUI models
-            'gpt-4o': 'gpt-4o',
-            'lewd': 'lewd',
-            
-            // Cloud models - direct mapping
-            'gpt-3.5-turbo': 'gpt-3.5-turbo',
-            'gpt-4': 'gpt-4',
-            'gpt-4-turbo': 'gpt-4-turbo',
-            'claude-3-haiku': 'claude-3-haiku',
-            'claude-3-sonnet': 'claude-3-sonnet',
-            'claude-3-opus': 'claude-3-opus',
-            'claude-3.5-sonnet': 'claude-3.5-sonnet',
-            'claude': 'claude-3.5-sonnet', // Smart routing sometimes uses 'claude' as shorthand
-            'perplexity': 'gpt-4', // Map to available cloud model if perplexity not available
-            
-            // HuggingFace models - map to available local models
-            'deepseek-r1-distill': 'ai/smollm3:latest',
-            'deepcoder-preview': 'ai/smollm3:latest',
-            'hf-spaces-framework': 'local',
-            'hf-clip-analysis': 'local',
-            'hf-whisper-transcription': 'local',
-            'hf-pro-llama3-70b': 'gpt-4',
-            'hf-pro-mixtral-8x22b': 'gpt-4',
-            
-            // Legacy model mappings for backward compatibility
-            'devstral': 'codellama'
-        };
     }
 
     /**
@@ -78,6 +53,15 @@ USAGE:
   node cli/steward.js "your prompt here"
   node cli/steward.js --model gpt-4 "your prompt here"
   node cli/steward.js --help
+  node cli/steward.js memory <list|prune|export|stats> [options]
+  node cli/steward.js classifier <train|evaluate> [--days n]
+  node cli/steward.js journal <checkin|update|show|list|summary> [options]
+  node cli/steward.js context <watch|current|events|prune|hook> [options]
+  node cli/steward.js replay [--days n] [--character-sheet path] [--loadout name] [--json]
+  node cli/steward.js eval <run|list|results> [--models a,b] [--suite name] [--mock]
+  node cli/steward.js sheet <validate|history|show|diff|rollback> [options]
+  node cli/steward.js users <add|list|key|keys|revoke|alias> [options]
+  node cli/steward.js workflow <validate|list|run|export> [options]
 
 EXAMPLES:
   node cli/steward.js "Debug this React component error"
@@ -91,12 +75,17 @@ SMART ROUTING OPTIONS (NEW):
   --show-reasoning  Display cognitive analysis and recommendations
   --local-only      Force local-first processing (privacy mode)
   --task <type>     Specify task type (debug, write, research, etc.)
+  --project <name>  Charge the request to a project budget
+  --loadout <name>  Use a loadout, or stack several: sqa_mode+local_only
+                    ("default" turns off loadouts that switch on by themselves)
 
 TRADITIONAL OPTIONS:
   --model <name>     Override model selection (bypasses smart routing)
   --temperature <n>  Set randomness 0.0-2.0 (default: 0.7)
   --max-tokens <n>   Set max response length (default: 512)
   --rate             Collect feedback after response
+  --no-stream        Wait for the full response instead of printing tokens as they arrive
+  --no-cache         Ask the model again instead of reusing a cached response
   --help            Show this help message
 
 SMART FEATURES:
@@ -108,12 +97,15 @@ SMART FEATURES:
 
 AVAILABLE MODELS:
   Local Models:  smollm3, gpt-4o, lewd, llama, mistral, codellama
+                 plus any model installed in Ollama or loaded by llama.cpp server
   Cloud Models:  gpt-4, claude-3.5-sonnet, claude-3-haiku, perplexity
 
 ENVIRONMENT VARIABLES:
   OPENWEBUI_API_KEY    API key for Open WebUI (port 3000)
   OPENAI_API_KEY      API key for OpenAI models
   ANTHROPIC_API_KEY   API key for Anthropic models
+  OLLAMA_HOST         Ollama server (default: http://localhost:11434)
+  LLAMACPP_HOST       llama.cpp server (default: http://localhost:8080)
         `);
     }
 
@@ -136,7 +128,11 @@ ENVIRONMENT VARIABLES:
             verbose: false,
             show_reasoning: false,
             local_only: false,
-            explicit_model_override: false
+            explicit_model_override: false,
+            stream: true,
+            use_cache: true,
+            project: null,
+            loadout: null
         };
 
         for (let i = 0; i < args.length; i++) {
@@ -154,6 +150,10 @@ ENVIRONMENT VARIABLES:
                 parsed.max_tokens = parseInt(args[++i]);
             } else if (arg === '--task') {
                 parsed.task_type = args[++i];
+            } else if (arg === '--project') {
+                parsed.project = args[++i];
+            } else if (arg === '--loadout') {
+                parsed.loadout = args[++i];
             } else if (arg === '--rate') {
                 parsed.collect_feedback = true;
             } else if (arg === '--no-smart') {
@@ -166,6 +166,12 @@ ENVIRONMENT VARIABLES:
                 parsed.show_reasoning = true;
             } else if (arg === '--local-only') {
                 parsed.local_only = true;
+            } else if (arg === '--stream') {
+                parsed.stream = true;
+            } else if (arg === '--no-stream') {
+                parsed.stream = false;
+            } else if (arg === '--no-cache') {
+                parsed.use_cache = false;
             } else if (!arg.startsWith('--')) {
                 // Assume it's the prompt
                 parsed.prompt = arg;
@@ -209,16 +215,14 @@ ENVIRONMENT VARIABLES:
      * @param {number} startTime - Request start time
      * @param {object} routingDecision - Smart routing decision (optional)
      * @param {object} args - Parsed CLI arguments
+     * @param {boolean} streamed - True when the header and content were already printed while streaming
      */
-    displayResponse(response, startTime, routingDecision = null, args = {}) {
+    displayResponse(response, startTime, routingDecision = null, args = {}, streamed = false) {
         const totalTime = Date.now() - startTime;
 
-        console.log('\n' + '═'.repeat(60));
-        console.log('🤖 THE STEWARD RESPONSE');
-        if (routingDecision) {
-            console.log('🧠 Enhanced with Smart Routing');
+        if (!streamed) {
+            this.displayResponseHeader(routingDecision);
         }
-        console.log('═'.repeat(60));
 
         if (response.error) {
             console.log('❌ ERROR:', response.error.message);
@@ -228,6 +232,15 @@ ENVIRONMENT VARIABLES:
                 console.log('🔑 HINT: Set OPENWEBUI_API_KEY environment variable for Open WebUI');
             }
             
+            const failover = response.metadata?.failover;
+            if (failover?.attempts?.length > 0) {
+                console.log('\n🔄 MODELS TRIED:');
+                failover.attempts.forEach(attempt => {
+                    console.log(`   ${attempt.hop}. ${attempt.mapped_model} (${attempt.outcome})`);
+                });
+                return;
+            }
+
             // Show routing fallbacks if available
             if (routingDecision?.selection?.fallbacks && routingDecision.selection.fallbacks.length > 0) {
                 console.log('\n🔄 ALTERNATIVE MODELS TO TRY:');
@@ -245,7 +258,11 @@ ENVIRONMENT VARIABLES:
         }
 
         // Display main content
-        console.log(response.content);
+        if (streamed) {
+            console.log();
+        } else {
+            console.log(response.content);
+        }
 
         // Display smart routing insights if enabled and available
         if (args.show_reasoning && routingDecision) {
@@ -260,6 +277,17 @@ ENVIRONMENT VARIABLES:
         console.log(`Duration:     ${totalTime}ms`);
         console.log(`Content:      ${response.content.length} characters`);
 
+        const cache = response.metadata?.cache;
+        if (cache?.hit) {
+            const match = cache.match === 'semantic' ? `near-duplicate, ${Math.round(cache.similarity * 100)}% similar` : 'exact';
+            console.log(`Cache:        hit (${match}, cached ${cache.cached_at})`);
+        }
+
+        const budget = response.metadata?.budget;
+        if (budget?.alerts?.length > 0) {
+            console.log(`Budget:       ${budget.action} - ${budget.alerts.map(alert => alert.message).join('; ')}`);
+        }
+
         // Show smart routing decision summary if available
         if (routingDecision) {
             const classification = routingDecision.classification;
@@ -274,6 +302,12 @@ ENVIRONMENT VARIABLES:
             if (selection?.confidence) {
                 console.log(`Selection:    ${Math.round(selection.confidence * 100)}% confidence`);
             }
+
+            const failover = response.metadata?.failover;
+            if (failover?.fallback_triggered) {
+                const hops = failover.attempts.map(attempt => `${attempt.model} (${attempt.outcome})`).join(' → ');
+                console.log(`Failover:     ${hops}`);
+            }
         }
 
         // Show usage statistics if available
@@ -298,12 +332,12 @@ ENVIRONMENT VARIABLES:
 
     /**
      * Map smart routing model name to ModelInterface model name
+     * ModelInterface resolves every models.yaml name and alias, so only a missing name needs the default
      * @param {string} smartRoutingModel - Model name from smart routing engine
      * @returns {string} - ModelInterface compatible model name
      */
     mapModelName(smartRoutingModel) {
-        if (!smartRoutingModel) return this.defaultModel;
-        return this.modelNameMapping[smartRoutingModel] || smartRoutingModel;
+        return smartRoutingModel || this.defaultModel;
     }
 
     /**
@@ -346,6 +380,10 @@ ENVIRONMENT VARIABLES:
         
         // Task classification
         console.log(`🏷️  Task Type: ${classification.type || 'unknown'} (${Math.round((classification.confidence || 0) * 100)}%)`);
+        if (classification.source && classification.source !== 'rules') {
+            const learned = classification.learned ? `, learned model says ${classification.learned.type}` : '';
+            console.log(`🧠 Classified by: ${classification.source}${learned}`);
+        }
         if (classification.characteristics && classification.characteristics.length > 0) {
             console.log(`📋 Characteristics: ${classification.characteristics.join(', ')}`);
         }
@@ -360,12 +398,26 @@ ENVIRONMENT VARIABLES:
         if (contexts.cognitive_state) {
             const cogState = contexts.cognitive_state;
             console.log(`🧠 Cognitive: ${cogState.cognitive_capacity?.level} capacity, ${cogState.task_alignment?.level} alignment`);
+            const journal = cogState.cognitive_capacity?.factors?.journal;
+            if (journal) {
+                console.log(`📓 From today's journal: ${journal.energy_level || '?'} energy${journal.mood ? `, ${journal.mood}` : ''}`);
+            }
+        }
+        
+        // Loadout, and what switched it on
+        if (routingDecision.active_loadout && routingDecision.active_loadout.source !== 'none') {
+            console.log(`🎛 Loadout: ${LoadoutManager.describe(routingDecision.active_loadout)}`);
         }
         
         // Model selection
         console.log(`🤖 Selected: ${selection.model} (${Math.round((selection.confidence || 0) * 100)}% confidence)`);
         console.log(`💡 Reason: ${selection.reason}`);
-        
+        const sensitive = routingDecision.sensitive_data;
+        if (sensitive && sensitive.action !== 'none') {
+            const handling = sensitive.action === 'force_local' ? 'kept local' : 'redacted before cloud calls';
+            console.log(`🔒 Sensitive data: ${Object.keys(sensitive.detectors).join(', ')} (${handling})`);
+        }
+
         // Fallbacks
         if (selection.fallbacks && selection.fallbacks.length > 0) {
             console.log(`🔄 Alternatives: ${selection.fallbacks.slice(0, 2).map(f => f.model).join(', ')}`);
@@ -431,6 +483,22 @@ ENVIRONMENT VARIABLES:
         console.log();
     }
 
+    /**
+     * Display the response banner
+     * @param {object} routingDecision - Smart routing decision (optional)
+     */
+    displayResponseHeader(routingDecision = null) {
+        console.log('\n' + '═'.repeat(60));
+        console.log('🤖 THE STEWARD RESPONSE');
+        if (routingDecision) {
+            console.log('🧠 Enhanced with Smart Routing');
+            if (routingDecision.active_loadout && routingDecision.active_loadout.source !== 'none') {
+                console.log(`🎛 Loadout: ${LoadoutManager.describe(routingDecision.active_loadout)}`);
+            }
+        }
+        console.log('═'.repeat(60));
+    }
+
     /**
      * Display loading animation while waiting for response
      * @param {string} model - Model being used
@@ -455,8 +523,9 @@ ENVIRONMENT VARIABLES:
     /**
      * Collect user feedback for a request
      * @param {number} performanceId - Performance record ID
+     * @param {string} taskType - Task type the request was classified as
      */
-    async collectFeedback(performanceId) {
+    async collectFeedback(performanceId, taskType = null) {
         const readline = require('readline');
         const rl = readline.createInterface({
             input: process.stdin,
@@ -480,12 +549,17 @@ ENVIRONMENT VARIABLES:
             // Collect optional feedback
             const feedback_text = await ask('Additional comments (optional): ');
 
+            // A corrected task type becomes training data for the learned classifier
+            const task_type = await ask(`Correct task type${taskType ? ` (classified as ${taskType})` : ''}, blank if right: `);
+            const corrected_task_type = task_type.trim().toLowerCase();
+
             // Parse ratings
             const feedbackData = {
                 satisfaction_rating: parseInt(satisfaction) || null,
                 quality_rating: parseInt(quality) || null,
                 speed_rating: parseInt(speed) || null,
-                feedback_text: feedback_text.trim() || null
+                feedback_text: feedback_text.trim() || null,
+                corrected_task_type: corrected_task_type && corrected_task_type !== taskType ? corrected_task_type : null
             };
 
             // Validate ratings
@@ -524,6 +598,12 @@ ENVIRONMENT VARIABLES:
      * @param {string[]} argv - Command line arguments
      */
     async run(argv) {
+        const subcommand = SUBCOMMANDS[argv[2]];
+        if (subcommand) {
+            const SubcommandCLI = require(subcommand);
+            return new SubcommandCLI().run(argv.slice(3));
+        }
+
         try {
             // Parse arguments (skip node and script name)
             const args = this.parseArgs(argv.slice(2));
@@ -534,6 +614,11 @@ ENVIRONMENT VARIABLES:
                 return;
             }
 
+            // Models installed on Ollama / llama.cpp are only known after discovery
+            if (args.model && !this.modelInterface.isModelAvailable(args.model)) {
+                await this.modelInterface.discoverLocalModels();
+            }
+
             // Validate arguments
             const validation = this.validateArgs(args);
             if (!validation.valid) {
@@ -554,6 +639,8 @@ ENVIRONMENT VARIABLES:
                     const routingOptions = {
                         task_type: args.task_type,
                         local_only: args.local_only,
+                        project: args.project,
+                        loadout: args.loadout,
                         explicit_model: args.explicit_model_override ? args.model : null,
                         user_preferences: {
                             temperature: args.temperature,
@@ -582,23 +669,58 @@ ENVIRONMENT VARIABLES:
             }
 
             // Start loading animation
-            const stopLoading = this.showLoading(selectedModel);
+            let stopLoading = this.showLoading(selectedModel);
+
+            const requestOptions = {
+                max_tokens: args.max_tokens,
+                temperature: args.temperature,
+                top_p: this.defaultOptions.top_p,
+                cache: args.use_cache,
+                project: args.project
+            };
+
+            // Print tokens as they arrive; the spinner stops at the first one
+            const onToken = (token) => {
+                if (stopLoading) {
+                    stopLoading();
+                    stopLoading = null;
+                    this.displayResponseHeader(routingDecision);
+                }
+                process.stdout.write(token);
+            };
 
             // Send request using ModelInterface
-            const response = await this.modelInterface.sendRequest(
-                selectedModel,
-                args.prompt,
-                {
-                    max_tokens: args.max_tokens,
-                    temperature: args.temperature,
-                    top_p: this.defaultOptions.top_p
-                },
-                args.task_type, // Task type for performance tracking
-                null // Session ID (auto-generated)
-            );
-
-            // Stop loading animation
-            stopLoading();
+            let response;
+            if (routingDecision) {
+                // Smart routing walks the fallback chain when the selected model fails
+                response = await this.failoverExecutor.execute(routingDecision, args.prompt, requestOptions, {
+                    taskType: args.task_type,
+                    onToken: args.stream ? onToken : null
+                });
+            } else if (args.stream) {
+                response = await this.modelInterface.streamRequest(
+                    selectedModel,
+                    args.prompt,
+                    requestOptions,
+                    args.task_type,
+                    null,
+                    onToken
+                );
+            } else {
+                response = await this.modelInterface.sendRequest(
+                    selectedModel,
+                    args.prompt,
+                    requestOptions,
+                    args.task_type, // Task type for performance tracking
+                    null // Session ID (auto-generated)
+                );
+            }
+
+            // Stop loading animation (still running if no token was streamed)
+            const streamed = args.stream && !stopLoading;
+            if (stopLoading) {
+                stopLoading();
+            }
 
             // Log smart routing performance if available
             if (routingDecision && this.smartRouter.performanceLogger) {
@@ -623,11 +745,11 @@ ENVIRONMENT VARIABLES:
             }
 
             // Display enhanced response with smart routing information
-            this.displayResponse(response, startTime, routingDecision, args);
+            this.displayResponse(response, startTime, routingDecision, args, streamed);
 
             // Collect feedback if requested
             if (args.collect_feedback && !response.error && response.metadata?.performance_id) {
-                await this.collectFeedback(response.metadata.performance_id);
+                await this.collectFeedback(response.metadata.performance_id, routingDecision?.classification?.type);
             }
 
         } catch (error) {
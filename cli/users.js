@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+const UserAccounts = require('../src/core/user-accounts');
+
+/**
+ * User Accounts CLI
+ * Creates accounts for a shared backend and issues and revokes their API keys
+ */
+class UsersCLI {
+    /**
+     * @param {object} options - {accounts}; defaults to database/steward.db
+     */
+    constructor(options = {}) {
+        this.accounts = options.accounts || new UserAccounts();
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                   THE STEWARD USER ACCOUNTS                  ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js users <command> [options]
+
+COMMANDS:
+  add <username>           Create an account; the first one is the owner and
+                           keeps character-sheet.yaml, later ones start with
+                           a copy of it
+  list                     List accounts and their active keys
+  key <username>           Issue an API key (shown only once)
+  keys [username]          List API keys (default: every account)
+  revoke <key id>          Revoke an API key
+  alias <username> <value> Map an OpenAI "user" value to the account
+  help                     Show this help message
+
+OPTIONS:
+  --role <role>     admin or member (default: member)
+  --name <text>     Display name
+  --label <text>    What the key is for, e.g. "Open WebUI"
+  --json            Print results as JSON
+
+Without a key the backend only answers requests from this machine, as the
+owner. Set STEWARD_AUTH=required to ask for a key on every request, e.g.
+when the backend sits behind a reverse proxy.
+
+EXAMPLES:
+  node cli/steward.js users add chip
+  node cli/steward.js users add sam --role member --name "Sam"
+  node cli/steward.js users key sam --label "Open WebUI"
+  node cli/steward.js users alias sam sam@example.com
+  node cli/steward.js users revoke 3
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the users subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'help',
+            positional: [],
+            role: null,
+            name: null,
+            label: null,
+            json: false
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--role') {
+                parsed.role = args[++i];
+            } else if (arg === '--name') {
+                parsed.name = args[++i];
+            } else if (arg === '--label') {
+                parsed.label = args[++i];
+            } else if (arg === '--json') {
+                parsed.json = true;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                if (parsed.positional.length === 0 && parsed.command === 'help') {
+                    parsed.command = arg;
+                } else {
+                    parsed.positional.push(arg);
+                }
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Read a required positional argument
+     * @private
+     */
+    required(args, index, name) {
+        const value = args.positional[index];
+        if (!value) {
+            throw new Error(`${name} is required - see "users help"`);
+        }
+        return value;
+    }
+
+    /**
+     * Create an account
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Account
+     */
+    async add(args) {
+        const user = await this.accounts.createUser({
+            username: this.required(args, 0, 'username'),
+            display_name: args.name,
+            role: args.role
+        });
+
+        if (args.json) {
+            console.log(JSON.stringify(user, null, 2));
+        } else if (user.role === 'owner') {
+            console.log(`👤 Created ${user.username} (owner, uses character-sheet.yaml)`);
+        } else {
+            console.log(`👤 Created ${user.username} (${user.role}) with a copy of character-sheet.yaml`);
+        }
+        return user;
+    }
+
+    /**
+     * List accounts
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<Array>} Accounts
+     */
+    async list(args) {
+        const users = await this.accounts.listUsers();
+        if (args.json) {
+            console.log(JSON.stringify(users, null, 2));
+            return users;
+        }
+
+        if (users.length === 0) {
+            console.log('No accounts yet - create the owner with "users add <username>"');
+            return users;
+        }
+
+        console.log('\n👥 Accounts');
+        for (const user of users) {
+            const aliases = user.aliases.length > 0 ? `  aliases: ${user.aliases.join(', ')}` : '';
+            console.log(`   ${user.username.padEnd(16)} ${user.role.padEnd(7)} ${user.active_keys} keys${user.last_used_at ? `  last used ${user.last_used_at}` : ''}${aliases}`);
+        }
+        return users;
+    }
+
+    /**
+     * Issue an API key
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} {id, key, key_prefix, user}
+     */
+    async key(args) {
+        const issued = await this.accounts.issueKey(this.required(args, 0, 'username'), { label: args.label });
+
+        if (args.json) {
+            console.log(JSON.stringify({ id: issued.id, key: issued.key, key_prefix: issued.key_prefix, username: issued.user.username }, null, 2));
+        } else {
+            console.log(`🔑 API key ${issued.id} for ${issued.user.username}${args.label ? ` (${args.label})` : ''}:`);
+            console.log(`\n   ${issued.key}\n`);
+            console.log('   Store it now; it cannot be shown again. Send it as "Authorization: Bearer <key>".');
+        }
+        return issued;
+    }
+
+    /**
+     * List API keys
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<Array>} Keys
+     */
+    async keys(args) {
+        const keys = await this.accounts.listKeys(args.positional[0] || null);
+        if (args.json) {
+            console.log(JSON.stringify(keys, null, 2));
+            return keys;
+        }
+
+        if (keys.length === 0) {
+            console.log('No API keys yet - issue one with "users key <username>"');
+            return keys;
+        }
+
+        console.log('\n🔑 API keys');
+        for (const key of keys) {
+            const status = key.revoked_at ? `revoked ${key.revoked_at}` : key.last_used_at ? `last used ${key.last_used_at}` : 'never used';
+            console.log(`   ${String(key.id).padStart(4)}  ${key.key_prefix}…  ${key.username.padEnd(16)} ${status}${key.label ? `  ${key.label}` : ''}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Revoke an API key
+     * @param {object} args - Parsed arguments
+     */
+    async revoke(args) {
+        const id = Number(this.required(args, 0, 'key id'));
+        if (!Number.isInteger(id) || id <= 0) {
+            throw new Error('key id must be a number - see "users keys"');
+        }
+
+        await this.accounts.revokeKey(id);
+        if (args.json) {
+            console.log(JSON.stringify({ id, revoked: true }, null, 2));
+        } else {
+            console.log(`🚫 Revoked API key ${id}`);
+        }
+    }
+
+    /**
+     * Map an OpenAI "user" value to an account
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Account
+     */
+    async alias(args) {
+        const user = await this.accounts.addAlias(this.required(args, 0, 'username'), this.required(args, 1, 'value'));
+
+        if (args.json) {
+            console.log(JSON.stringify(user, null, 2));
+        } else {
+            console.log(`🔗 Requests with user "${args.positional[1]}" now route as ${user.username}`);
+        }
+        return user;
+    }
+
+    /**
+     * Run a users command
+     * @param {string[]} argv - Arguments after the users subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            add: () => this.add(args),
+            list: () => this.list(args),
+            key: () => this.key(args),
+            keys: () => this.keys(args),
+            revoke: () => this.revoke(args),
+            alias: () => this.alias(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown users command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.accounts.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new UsersCLI().run(process.argv.slice(2));
+}
+
+module.exports = UsersCLI;
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const WorkflowDefinition = require('../src/workflows/WorkflowDefinition');
+const WorkflowOrchestrator = require('../src/autonomous/WorkflowOrchestrator');
+const CharacterSheetStore = require('../src/core/character-sheet-store');
+const DatabaseManager = require('../database/DatabaseManager');
+const AdapterRegistry = require('../models/AdapterRegistry');
+
+/**
+ * Workflow CLI
+ * Validates, runs and exports workflows in the YAML definition format (see workflows/README.md)
+ */
+class WorkflowCLI {
+    /**
+     * @param {object} options - {dbManager, registry, definitionsDir}; defaults to database/steward.db,
+     *                           models.yaml and workflows/
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        this.registry = options.registry || null;
+        this.definitionsDir = options.definitionsDir || WorkflowDefinition.DEFINITIONS_DIR;
+    }
+
+    /**
+     * Display help information
+     */
+    showHelp() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                     THE STEWARD WORKFLOWS                    ║
+╚══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node cli/steward.js workflow <command> [options]
+
+COMMANDS:
+  validate <file>             Check a workflow file against the format and
+                              the models in models.yaml
+  list                        List the shared workflows in workflows/
+  run <file|name>             Run a workflow file, or one from workflows/,
+                              on the models its steps route to
+  export <workflow id|name>   Write a workflow, run or shared, as a YAML file
+  help                        Show this help message
+
+OPTIONS:
+  --task <text>        What the workflow works on, for {{task}}
+                       (default: the workflow's description)
+  --input <name=value> Workflow input; repeat for each input
+  --strategy <name>    sequential, parallel or adaptive instead of the
+                       workflow's own
+  --out <file>         Where export writes (default: print the YAML)
+  --json               Print results as JSON
+
+EXAMPLES:
+  node cli/steward.js workflow validate workflows/bug-triage.yaml
+  node cli/steward.js workflow run bug-triage --input report="Crash on save"
+  node cli/steward.js workflow export workflow_1718000000000_abc123def --out triage.yaml
+        `);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} args - Arguments after the workflow subcommand
+     * @returns {object} Parsed arguments
+     */
+    parseArgs(args) {
+        const parsed = {
+            command: 'help',
+            positional: [],
+            task: null,
+            inputs: [],
+            strategy: null,
+            out: null,
+            json: false
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--task') {
+                parsed.task = args[++i];
+            } else if (arg === '--input') {
+                parsed.inputs.push(args[++i]);
+            } else if (arg === '--strategy') {
+                parsed.strategy = args[++i];
+            } else if (arg === '--out') {
+                parsed.out = args[++i];
+            } else if (arg === '--json') {
+                parsed.json = true;
+            } else if (arg === '--help' || arg === '-h') {
+                parsed.command = 'help';
+            } else if (!arg.startsWith('--')) {
+                if (parsed.positional.length === 0 && parsed.command === 'help') {
+                    parsed.command = arg;
+                } else {
+                    parsed.positional.push(arg);
+                }
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Read a required positional argument
+     * @private
+     */
+    required(args, index, name) {
+        const value = args.positional[index];
+        if (!value) {
+            throw new Error(`${name} is required - see "workflow help"`);
+        }
+        return value;
+    }
+
+    /**
+     * Path of a workflow given as a file or as the name of one in workflows/
+     * @private
+     * @returns {string|null} Path; null when there is no such file
+     */
+    resolveDefinitionPath(reference) {
+        const candidates = [path.resolve(reference), path.join(this.definitionsDir, `${reference}.yaml`)];
+        return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+    }
+
+    /**
+     * Turn --input name=value arguments into inputs by name
+     * @private
+     */
+    parseInputs(args) {
+        const inputs = {};
+        for (const input of args.inputs) {
+            const separator = (input || '').indexOf('=');
+            if (separator < 1) {
+                throw new Error(`--input takes name=value, got ${input}`);
+            }
+            inputs[input.slice(0, separator)] = input.slice(separator + 1);
+        }
+        return inputs;
+    }
+
+    /**
+     * Validation options checking model names against models.yaml
+     * @private
+     */
+    validationOptions() {
+        this.registry = this.registry || new AdapterRegistry();
+        return { isKnownModel: model => this.registry.has(model) };
+    }
+
+    /**
+     * Check a workflow file
+     * @param {object} args - Parsed arguments
+     * @returns {string[]} Problems
+     */
+    validate(args) {
+        const filePath = path.resolve(this.required(args, 0, 'file'));
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Workflow file not found: ${filePath}`);
+        }
+
+        let problems;
+        try {
+            problems = WorkflowDefinition.validate(WorkflowDefinition.toData(fs.readFileSync(filePath, 'utf8')), this.validationOptions());
+        } catch (error) {
+            problems = [error.message];
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify({ path: filePath, valid: problems.length === 0, problems }, null, 2));
+        } else if (problems.length === 0) {
+            console.log(`✅ ${filePath} is valid`);
+        } else {
+            console.log(`❌ ${filePath} has ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+            problems.forEach(problem => console.log(`   - ${problem}`));
+        }
+
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+        return problems;
+    }
+
+    /**
+     * List the shared workflows
+     * @param {object} args - Parsed arguments
+     * @returns {Array} Workflows
+     */
+    list(args) {
+        const workflows = [...WorkflowDefinition.loadAll(this.definitionsDir)].map(([key, definition]) => ({
+            key,
+            name: definition.name,
+            execution_strategy: definition.execution_strategy,
+            steps: definition.steps.length,
+            inputs: Object.keys(definition.inputs),
+            description: definition.description
+        }));
+
+        if (args.json) {
+            console.log(JSON.stringify(workflows, null, 2));
+            return workflows;
+        }
+
+        if (workflows.length === 0) {
+            console.log(`No workflows in ${this.definitionsDir}`);
+            return workflows;
+        }
+
+        console.log('\n🧩 Workflows');
+        for (const workflow of workflows) {
+            const inputs = workflow.inputs.length > 0 ? `  inputs: ${workflow.inputs.join(', ')}` : '';
+            console.log(`   ${workflow.key.padEnd(24)} ${workflow.steps} steps, ${workflow.execution_strategy}${inputs}`);
+            if (workflow.description) {
+                console.log(`   ${''.padEnd(24)} ${workflow.description}`);
+            }
+        }
+        return workflows;
+    }
+
+    /**
+     * Run a workflow on the owner's character sheet
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<object>} Execution result
+     */
+    async runWorkflow(args) {
+        const reference = this.required(args, 0, 'workflow file or name');
+        const definitionPath = this.resolveDefinitionPath(reference);
+        if (!definitionPath) {
+            throw new Error(`Workflow not found: ${reference}`);
+        }
+
+        const definition = WorkflowDefinition.load(definitionPath, this.validationOptions());
+        const executionStrategy = args.strategy || definition.execution_strategy;
+        if (executionStrategy === 'user_paced') {
+            throw new Error('user_paced workflows wait for a decision before each step; run them from the web interface or pick another --strategy');
+        }
+
+        const characterSheet = await new CharacterSheetStore({ dbManager: this.dbManager, registry: this.registry }).loadCurrent();
+        const orchestrator = new WorkflowOrchestrator({ dbManager: this.dbManager, definitionsDir: this.definitionsDir });
+
+        try {
+            const created = await orchestrator.createWorkflowFromDefinition(
+                definition,
+                args.task || definition.description || definition.name,
+                characterSheet,
+                { executionStrategy, inputs: this.parseInputs(args) }
+            );
+            if (!created.success) {
+                throw new Error(created.error);
+            }
+
+            if (!args.json) {
+                console.log(`\n🧩 Running ${definition.name} (${created.workflow_id}), ${definition.steps.length} steps, ${executionStrategy}`);
+            }
+            await orchestrator.scheduleWorkflow(created.workflow_id);
+
+            let result;
+            try {
+                result = await orchestrator.executeWorkflow(created.workflow_id, { characterSheet });
+            } finally {
+                if (!args.json) {
+                    this.printSteps(orchestrator.activeWorkflows.get(created.workflow_id));
+                }
+            }
+
+            if (args.json) {
+                console.log(JSON.stringify(result, null, 2));
+            } else {
+                console.log(`\n✅ ${result.steps_completed} steps completed, ${result.steps_skipped || 0} skipped`);
+            }
+            return result;
+        } finally {
+            await orchestrator.close();
+        }
+    }
+
+    /**
+     * Print each step's outcome
+     * @private
+     */
+    printSteps(workflow) {
+        const results = new Map(workflow.step_results.filter(Boolean).map(result => [result.step_id, result]));
+        const skipped = new Map(workflow.execution_log
+            .filter(entry => entry.type === 'skip')
+            .map(entry => [entry.step_id, entry.reason]));
+
+        for (const step of workflow.steps) {
+            const result = results.get(step.step_id);
+            if (skipped.has(step.step_id)) {
+                console.log(`   ⏭  ${step.step_id}: ${skipped.get(step.step_id)}`);
+            } else if (!result) {
+                console.log(`   ·  ${step.step_id}: not run`);
+            } else if (result.success) {
+                console.log(`   ✓  ${step.step_id} (${result.model})`);
+                console.log(result.output.split('\n').map(line => `      ${line}`).join('\n'));
+            } else {
+                console.log(`   ✗  ${step.step_id}${result.model ? ` (${result.model})` : ''}: ${result.error}`);
+            }
+        }
+    }
+
+    /**
+     * Export a workflow from workflows/ or the database as YAML
+     * @param {object} args - Parsed arguments
+     * @returns {Promise<string>} YAML
+     */
+    async export(args) {
+        const reference = this.required(args, 0, 'workflow id or name');
+        const definitionPath = this.resolveDefinitionPath(reference);
+
+        let definition;
+        if (definitionPath) {
+            definition = WorkflowDefinition.load(definitionPath);
+        } else {
+            const orchestrator = new WorkflowOrchestrator({ dbManager: this.dbManager, definitionsDir: this.definitionsDir });
+            try {
+                definition = await orchestrator.exportWorkflowDefinition(reference);
+            } finally {
+                await orchestrator.close();
+            }
+            if (!definition) {
+                throw new Error(`Workflow not found: ${reference}`);
+            }
+        }
+
+        const content = definition.toYaml();
+        if (args.out) {
+            fs.writeFileSync(path.resolve(args.out), content);
+            console.log(`💾 Wrote ${definition.name} to ${path.resolve(args.out)}`);
+        } else {
+            process.stdout.write(content);
+        }
+        return content;
+    }
+
+    /**
+     * Main CLI entry point
+     * @param {string[]} argv - Arguments after the workflow subcommand
+     */
+    async run(argv) {
+        const args = this.parseArgs(argv);
+        const commands = {
+            validate: () => this.validate(args),
+            list: () => this.list(args),
+            run: () => this.runWorkflow(args),
+            export: () => this.export(args),
+            help: () => this.showHelp()
+        };
+
+        if (!commands[args.command]) {
+            console.error(`❌ Unknown workflow command: ${args.command}`);
+            this.showHelp();
+            process.exit(1);
+        }
+
+        try {
+            await commands[args.command]();
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.dbManager.close();
+        }
+    }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    new WorkflowCLI().run(process.argv.slice(2));
+}
+
+module.exports = WorkflowCLI;
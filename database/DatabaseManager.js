@@ -2,6 +2,267 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
+// Columns added to existing tables after the original schema (table -> column -> definition)
+const SCHEMA_COLUMN_UPDATES = {
+    model_performance: {
+        cache_hit: 'BOOLEAN NOT NULL DEFAULT FALSE', // Served from response_cache; tokens are what the model would have used
+        user_id: 'INTEGER' // Account that made the request; NULL for the instance owner
+    },
+    routing_decisions: {
+        task_type_source: "TEXT DEFAULT 'rules'", // 'rules', 'learned', 'blended' or 'explicit' (--task)
+        sensitive_data: 'TEXT', // JSON {action, detectors}: secrets or PII found and whether they were redacted or kept local
+        user_id: 'INTEGER',
+        prompt_text: 'TEXT' // Whole prompt with secrets and PII masked, for routing replay
+    },
+    user_feedback: {
+        corrected_task_type: 'TEXT', // Task type the request should have been classified as
+        user_id: 'INTEGER'
+    },
+    cost_ledger: {
+        user_id: 'INTEGER'
+    },
+    memory_entries: {
+        user_id: 'INTEGER'
+    },
+    character_sheet_versions: {
+        user_id: 'INTEGER' // NULL for character-sheet.yaml
+    },
+    journal_entries: {
+        summarized_at: 'DATETIME' // When the end-of-day summary filled in usage from the logs
+    }
+};
+
+// Columns added to views after they were first created; a view missing one is dropped and created again from views.sql
+const SCHEMA_VIEW_UPDATES = {
+    model_usage_hourly: ['user_id'],
+    routing_outcomes: ['user_id']
+};
+
+// Tables added after the original schema; kept in sync with tables.sql and indexes.sql
+const SCHEMA_TABLE_UPDATES = `
+    CREATE TABLE IF NOT EXISTS response_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cache_key TEXT NOT NULL UNIQUE,
+        model_key TEXT NOT NULL,
+        options_hash TEXT NOT NULL,
+        task_type TEXT,
+        prompt_text TEXT NOT NULL,
+        embedding TEXT,
+        embedding_model TEXT,
+        response_content TEXT NOT NULL,
+        response_metadata TEXT,
+        tokens_total INTEGER,
+        expires_at DATETIME NOT NULL,
+        hit_count INTEGER DEFAULT 0,
+        last_hit_at DATETIME
+    );
+    CREATE INDEX IF NOT EXISTS idx_response_cache_lookup ON response_cache(model_key, options_hash, embedding_model);
+    CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+
+    CREATE TABLE IF NOT EXISTS cost_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        performance_id INTEGER,
+        model_name TEXT NOT NULL,
+        priced_model TEXT,
+        adapter_type TEXT NOT NULL,
+        task_type TEXT,
+        project_name TEXT,
+        session_id TEXT,
+        user_id INTEGER,
+        tokens_prompt INTEGER,
+        tokens_completion INTEGER,
+        tokens_total INTEGER NOT NULL,
+        tokens_estimated BOOLEAN DEFAULT FALSE,
+        cost_per_token REAL NOT NULL,
+        cost_usd REAL NOT NULL,
+        FOREIGN KEY (performance_id) REFERENCES model_performance(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_cost_ledger_timestamp ON cost_ledger(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_cost_ledger_project ON cost_ledger(project_name);
+    CREATE INDEX IF NOT EXISTS idx_cost_ledger_user ON cost_ledger(user_id, timestamp);
+
+    CREATE TABLE IF NOT EXISTS memory_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        scope_type TEXT NOT NULL,
+        scope_name TEXT NOT NULL,
+        user_id INTEGER,
+        kind TEXT DEFAULT 'note',
+        content TEXT NOT NULL,
+        data TEXT,
+        embedding TEXT,
+        embedding_model TEXT,
+        recall_count INTEGER DEFAULT 0,
+        last_recalled_at DATETIME
+    );
+    CREATE INDEX IF NOT EXISTS idx_memory_entries_scope ON memory_entries(scope_type, scope_name, timestamp);
+
+    CREATE TABLE IF NOT EXISTS classifier_models (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        model_type TEXT NOT NULL,
+        model_data TEXT NOT NULL,
+        training_examples INTEGER NOT NULL,
+        metrics TEXT
+    );
+    CREATE TABLE IF NOT EXISTS eval_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        run_id TEXT NOT NULL,
+        suite TEXT NOT NULL,
+        task_type TEXT NOT NULL,
+        case_id TEXT NOT NULL,
+        model_name TEXT NOT NULL,
+        score REAL NOT NULL,
+        passed BOOLEAN NOT NULL,
+        checks TEXT,
+        response_time_ms INTEGER,
+        response_snippet TEXT,
+        error_message TEXT,
+        mock BOOLEAN DEFAULT FALSE,
+        performance_id INTEGER,
+        FOREIGN KEY (performance_id) REFERENCES model_performance(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_eval_results_model ON eval_results(model_name, task_type, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_eval_results_run ON eval_results(run_id);
+    CREATE TABLE IF NOT EXISTS character_sheet_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        author TEXT NOT NULL,
+        source_id TEXT,
+        reason TEXT,
+        content TEXT NOT NULL,
+        changes TEXT,
+        user_id INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        username TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        role TEXT NOT NULL DEFAULT 'member',
+        aliases TEXT
+    );
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        user_id INTEGER NOT NULL,
+        label TEXT,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+    CREATE TABLE IF NOT EXISTS maintenance_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        triggered_by TEXT NOT NULL,
+        status TEXT NOT NULL,
+        deleted TEXT,
+        size_before INTEGER,
+        size_after INTEGER,
+        backup_path TEXT,
+        backup_verified BOOLEAN,
+        duration_ms INTEGER,
+        error TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS workflows (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        user_id INTEGER,
+        name TEXT,
+        state TEXT NOT NULL,
+        execution_strategy TEXT,
+        definition TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_workflows_state ON workflows(kind, state);
+
+    CREATE TABLE IF NOT EXISTS workflow_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        workflow_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        from_state TEXT,
+        to_state TEXT,
+        step_index INTEGER,
+        details TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_workflow_events_workflow ON workflow_events(workflow_id, id);
+
+    CREATE TABLE IF NOT EXISTS automation_queue (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT,
+        rule TEXT NOT NULL,
+        trigger_data TEXT,
+        queued_at DATETIME NOT NULL,
+        run_after DATETIME NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'queued',
+        error TEXT
+    );
+`;
+
+// Views are all CREATE VIEW IF NOT EXISTS, so views.sql is applied as-is
+const VIEWS_PATH = path.join(__dirname, 'views.sql');
+
+// Rows that point at rows cleanupOldData deletes: 'keep' spares the row pointed at, 'clear' sets the reference to NULL
+// Feedback keeps what it rates for as long as it is kept; cost and eval history outlive the performance log
+const RETENTION_REFERENCES = {
+    model_performance: [
+        { table: 'user_feedback', column: 'performance_id', action: 'keep' },
+        { table: 'routing_decisions', column: 'performance_id', action: 'clear' },
+        { table: 'cost_ledger', column: 'performance_id', action: 'clear' },
+        { table: 'eval_results', column: 'performance_id', action: 'clear' }
+    ],
+    routing_decisions: [
+        { table: 'user_feedback', column: 'routing_id', action: 'keep' }
+    ]
+};
+// Attempts at a backup step while another connection holds a write lock
+const BACKUP_RETRIES = 5;
+
+// Journal entry fields; list fields are stored as JSON arrays, summary fields are filled from the logs at the end of the day
+const JOURNAL_FIELDS = [
+    'energy_level', 'mood', 'frustration_level', 'productive_hours', 'preferred_task_types', 'workflow_notes',
+    'goals_set', 'goals_achieved', 'blockers_encountered', 'ai_requests_count', 'most_helpful_model',
+    'least_helpful_model', 'process_improvements', 'tools_used', 'learning_moments', 'daily_reflection', 'tomorrow_focus'
+];
+const JOURNAL_LIST_FIELDS = [
+    'productive_hours', 'preferred_task_types', 'goals_set', 'goals_achieved', 'blockers_encountered',
+    'process_improvements', 'tools_used', 'learning_moments'
+];
+const JOURNAL_SUMMARY_FIELDS = ['ai_requests_count', 'most_helpful_model', 'least_helpful_model'];
+
+// A routing decision held up when it needed no fallback, did not fail and was not rated as the wrong model
+const ROUTING_HELD_UP = `CASE WHEN fallback_triggered OR success = 0
+    OR routing_feedback IN ('wrong_model', 'should_have_fallback') THEN 0 ELSE 1 END`;
+
+// Bucket expressions per analytics source; hours are local time, as model_performance.hour_of_day records them
+const ANALYTICS_BUCKETS = {
+    day: {
+        usage: 'date',
+        performance: 'DATE(timestamp)',
+        routing: 'DATE(timestamp)',
+        feedback: 'DATE(uf.timestamp)',
+        context: 'DATE(timestamp)'
+    },
+    hour: {
+        usage: 'hour_of_day',
+        performance: 'hour_of_day',
+        routing: 'time_of_day',
+        feedback: 'mp.hour_of_day',
+        context: "CAST(strftime('%H', timestamp, 'localtime') AS INTEGER)"
+    }
+};
+
 /**
  * Database Manager for The Steward
  * Provides high-level interface for all database operations
@@ -12,6 +273,7 @@ class DatabaseManager {
         this.dbPath = dbPath || path.join(__dirname, 'steward.db');
         this.db = null;
         this.isConnected = false;
+        this.connecting = null;
     }
 
     /**
@@ -22,18 +284,71 @@ class DatabaseManager {
         if (this.isConnected) {
             return;
         }
+        if (!this.connecting) {
+            this.connecting = this._connect().finally(() => {
+                this.connecting = null;
+            });
+        }
 
-        return new Promise((resolve, reject) => {
+        return this.connecting;
+    }
+
+    /**
+     * Open the database and apply schema updates
+     * @private
+     */
+    async _connect() {
+        await new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
                     reject(new Error(`Database connection failed: ${err.message}`));
                 } else {
                     this.db.run('PRAGMA foreign_keys = ON');
-                    this.isConnected = true;
                     resolve();
                 }
             });
         });
+
+        await this._applySchemaUpdates();
+        this.isConnected = true;
+    }
+
+    /**
+     * Add tables, columns and views introduced after the original schema, so existing databases pick them up
+     * Fresh databases get the same objects from tables.sql through migrate.js
+     * @private
+     */
+    async _applySchemaUpdates() {
+        const run = (sql) => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        });
+        const columnsOf = (table) => new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => (err ? reject(err) : resolve(rows.map(row => row.name))));
+        });
+
+        for (const [table, columns] of Object.entries(SCHEMA_COLUMN_UPDATES)) {
+            const existing = await columnsOf(table);
+            if (existing.length === 0) continue; // Table is created by migrate.js
+
+            for (const [column, definition] of Object.entries(columns)) {
+                if (!existing.includes(column)) {
+                    // Another connection opened at the same time may have added it first
+                    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).catch(error => {
+                        if (!/duplicate column name/.test(error.message)) throw error;
+                    });
+                }
+            }
+        }
+
+        await run(SCHEMA_TABLE_UPDATES);
+
+        for (const [view, columns] of Object.entries(SCHEMA_VIEW_UPDATES)) {
+            const existing = await columnsOf(view);
+            if (existing.length > 0 && columns.some(column => !existing.includes(column))) {
+                await run(`DROP VIEW IF EXISTS ${view}`);
+            }
+        }
+        await run(fs.readFileSync(VIEWS_PATH, 'utf8'));
     }
 
     /**
@@ -213,7 +528,7 @@ class DatabaseManager {
         response_time_ms, tokens_prompt, tokens_completion, tokens_total,
         success, error_type, error_message,
         prompt_length, response_length, temperature, max_tokens,
-        user_rating, session_id, user_context
+        user_rating, session_id, user_context, cache_hit = false, user_id = null
     }) {
         const now = new Date();
         const hour_of_day = now.getHours();
@@ -224,8 +539,8 @@ class DatabaseManager {
             tokens_prompt, tokens_completion, tokens_total,
             success, error_type, error_message,
             prompt_length, response_length, temperature, max_tokens,
-            hour_of_day, day_of_week, user_rating, session_id, user_context
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            hour_of_day, day_of_week, user_rating, session_id, user_context, cache_hit, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
         const params = [
             model_name, adapter_type, task_type, response_time_ms,
@@ -233,7 +548,8 @@ class DatabaseManager {
             success, error_type, error_message,
             prompt_length, response_length, temperature, max_tokens,
             hour_of_day, day_of_week, user_rating, session_id,
-            user_context ? JSON.stringify(user_context) : null
+            user_context ? JSON.stringify(user_context) : null,
+            cache_hit, user_id
         ];
 
         const result = await this._query(sql, params);
@@ -248,7 +564,8 @@ class DatabaseManager {
     async logRoutingDecision({
         task_type, prompt_snippet, chosen_model, routing_reason,
         alternatives_considered, user_loadout, fallback_triggered,
-        confidence_score, performance_id
+        confidence_score, task_type_source = 'rules', performance_id, sensitive_data = null, user_id = null,
+        prompt_text = null
     }) {
         const now = new Date();
         const hour_of_day = now.getHours();
@@ -256,13 +573,19 @@ class DatabaseManager {
         const sql = `INSERT INTO routing_decisions (
             task_type, prompt_snippet, chosen_model, routing_reason,
             alternatives_considered, time_of_day, user_loadout, fallback_triggered,
-            confidence_score, performance_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            confidence_score, task_type_source, performance_id, sensitive_data, user_id, prompt_text
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        // Only what was found and done is stored, never the values themselves
+        const sensitiveSummary = sensitive_data && sensitive_data.action !== 'none'
+            ? JSON.stringify({ action: sensitive_data.action, detectors: sensitive_data.detectors })
+            : null;
 
         const params = [
             task_type, prompt_snippet, chosen_model, routing_reason,
             JSON.stringify(alternatives_considered || []), hour_of_day,
-            user_loadout, fallback_triggered, confidence_score, performance_id
+            user_loadout, fallback_triggered, confidence_score, task_type_source, performance_id, sensitiveSummary, user_id,
+            prompt_text
         ];
 
         const result = await this._query(sql, params);
@@ -285,7 +608,7 @@ class DatabaseManager {
                 AVG(user_rating) as avg_rating,
                 COUNT(CASE WHEN user_rating IS NOT NULL THEN 1 END) as rated_requests
             FROM model_performance 
-            WHERE model_name = ? AND timestamp > datetime('now', '-' || ? || ' days')
+            WHERE model_name = ? AND cache_hit = FALSE AND timestamp > datetime('now', '-' || ? || ' days')
         `;
 
         return await this._queryOne(sql, [modelName, days]);
@@ -306,7 +629,7 @@ class DatabaseManager {
                 AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) as success_rate,
                 AVG(user_rating) as avg_rating
             FROM model_performance 
-            WHERE task_type = ? AND timestamp > datetime('now', '-' || ? || ' days')
+            WHERE task_type = ? AND cache_hit = FALSE AND timestamp > datetime('now', '-' || ? || ' days')
             GROUP BY model_name
             ORDER BY request_count DESC
         `;
@@ -326,18 +649,21 @@ class DatabaseManager {
     async storeFeedback({
         performance_id, routing_id, satisfaction_rating, quality_rating, speed_rating,
         feedback_text, suggested_improvements, correction_provided,
-        original_output, corrected_output, preferred_model, routing_feedback
+        original_output, corrected_output, preferred_model, routing_feedback,
+        corrected_task_type, user_id = null
     }) {
         const sql = `INSERT INTO user_feedback (
             performance_id, routing_id, satisfaction_rating, quality_rating, speed_rating,
             feedback_text, suggested_improvements, correction_provided,
-            original_output, corrected_output, preferred_model, routing_feedback
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            original_output, corrected_output, preferred_model, routing_feedback,
+            corrected_task_type, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
         const params = [
             performance_id, routing_id, satisfaction_rating, quality_rating, speed_rating,
             feedback_text, suggested_improvements, correction_provided,
-            original_output, corrected_output, preferred_model, routing_feedback
+            original_output, corrected_output, preferred_model, routing_feedback,
+            corrected_task_type, user_id
         ];
 
         const result = await this._query(sql, params);
@@ -398,172 +724,1745 @@ class DatabaseManager {
     }
 
     // ==========================================
-    // JOURNAL OPERATIONS (Future Feature)
+    // JOURNAL OPERATIONS
     // ==========================================
 
     /**
-     * Create or update journal entry for a date
+     * Create or update the journal entry for a date
+     * Fields left undefined keep their stored value, so a check-in and the end-of-day summary can fill the same entry
      * @param {string} date - Date in YYYY-MM-DD format
      * @param {object} journalData - Journal entry data
-     * @returns {Promise<void>}
+     * @returns {Promise<object>} Saved entry
      */
     async saveJournalEntry(date, journalData) {
-        const {
-            energy_level, mood, frustration_level, productive_hours,
-            preferred_task_types, workflow_notes, goals_set, goals_achieved,
-            blockers_encountered, ai_requests_count, most_helpful_model,
-            least_helpful_model, process_improvements, tools_used,
-            learning_moments, daily_reflection, tomorrow_focus
-        } = journalData;
-
-        // Calculate word count and completion percentage
-        const textFields = [workflow_notes, daily_reflection, tomorrow_focus].filter(Boolean);
-        const word_count = textFields.join(' ').split(/\s+/).length;
-        
-        const totalFields = Object.keys(journalData).length;
-        const filledFields = Object.values(journalData).filter(val => val !== null && val !== undefined && val !== '').length;
-        const completion_percentage = filledFields / totalFields;
-
-        const sql = `INSERT OR REPLACE INTO journal_entries (
-            date, energy_level, mood, frustration_level, productive_hours,
-            preferred_task_types, workflow_notes, goals_set, goals_achieved,
-            blockers_encountered, ai_requests_count, most_helpful_model,
-            least_helpful_model, process_improvements, tools_used,
-            learning_moments, daily_reflection, tomorrow_focus,
-            word_count, completion_percentage, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+        const existing = await this.getJournalEntry(date) || {};
+        const entry = {};
+        for (const field of JOURNAL_FIELDS) {
+            entry[field] = journalData[field] !== undefined ? journalData[field] : existing[field];
+        }
+        const summarized_at = journalData.summarized_at !== undefined ? journalData.summarized_at : existing.summarized_at;
+
+        // Calculate word count and completion percentage over the fields the user fills in
+        const textFields = [entry.workflow_notes, entry.daily_reflection, entry.tomorrow_focus].filter(Boolean);
+        const word_count = textFields.length ? textFields.join(' ').split(/\s+/).length : 0;
+
+        const userFields = JOURNAL_FIELDS.filter(field => !JOURNAL_SUMMARY_FIELDS.includes(field));
+        const filledFields = userFields.filter(field => {
+            const value = entry[field];
+            return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+        }).length;
+        const completion_percentage = filledFields / userFields.length;
+
+        const sql = `INSERT INTO journal_entries (
+            date, ${JOURNAL_FIELDS.join(', ')}, word_count, completion_percentage, summarized_at, updated_at
+        ) VALUES (?, ${JOURNAL_FIELDS.map(() => '?').join(', ')}, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(date) DO UPDATE SET
+            ${JOURNAL_FIELDS.map(field => `${field} = excluded.${field}`).join(', ')},
+            word_count = excluded.word_count,
+            completion_percentage = excluded.completion_percentage,
+            summarized_at = excluded.summarized_at,
+            updated_at = CURRENT_TIMESTAMP`;
 
         const params = [
-            date, energy_level, mood, frustration_level,
-            JSON.stringify(productive_hours || []),
-            JSON.stringify(preferred_task_types || []),
-            workflow_notes,
-            JSON.stringify(goals_set || []),
-            JSON.stringify(goals_achieved || []),
-            JSON.stringify(blockers_encountered || []),
-            ai_requests_count, most_helpful_model, least_helpful_model,
-            JSON.stringify(process_improvements || []),
-            JSON.stringify(tools_used || []),
-            JSON.stringify(learning_moments || []),
-            daily_reflection, tomorrow_focus,
-            word_count, completion_percentage
+            date,
+            ...JOURNAL_FIELDS.map(field => (
+                JOURNAL_LIST_FIELDS.includes(field) ? JSON.stringify(entry[field] || []) : entry[field] ?? null
+            )),
+            word_count, completion_percentage, summarized_at || null
         ];
 
         await this._query(sql, params);
+        return this.getJournalEntry(date);
+    }
+
+    /**
+     * Get the journal entry for a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<object|null>} Entry with parsed list fields, or null when there is none
+     */
+    async getJournalEntry(date) {
+        const row = await this._queryOne('SELECT * FROM journal_entries WHERE date = ?', [date]);
+        return row ? this._parseJournalEntry(row) : null;
+    }
+
+    /**
+     * Get journal entries, most recent first
+     * @param {object} filters - {from, to (YYYY-MM-DD, inclusive), limit, offset}
+     * @returns {Promise<object>} {entries, total}
+     */
+    async getJournalEntries({ from = null, to = null, limit = 30, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (from) {
+            conditions.push('date >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('date <= ?');
+            params.push(to);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows, count] = await Promise.all([
+            this._query(`SELECT * FROM journal_entries ${where} ORDER BY date DESC LIMIT ? OFFSET ?`, [...params, limit, offset]),
+            this._queryOne(`SELECT COUNT(*) as total FROM journal_entries ${where}`, params)
+        ]);
+        return { entries: rows.map(row => this._parseJournalEntry(row)), total: count.total };
+    }
+
+    /**
+     * Delete the journal entry for a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} Whether an entry was deleted
+     */
+    async deleteJournalEntry(date) {
+        const result = await this._query('DELETE FROM journal_entries WHERE date = ?', [date]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Model usage and task types of one local day, for the end-of-day journal summary
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<object>} {models: [{model_name, requests, successes, avg_rating, ratings}], task_types: [{task_type, requests}]}
+     */
+    async getJournalDayActivity(date) {
+        const models = await this._query(`
+            SELECT
+                mp.model_name,
+                COUNT(*) as requests,
+                SUM(CASE WHEN mp.success THEN 1 ELSE 0 END) as successes,
+                AVG(COALESCE(uf.satisfaction_rating, mp.user_rating)) as avg_rating,
+                COUNT(COALESCE(uf.satisfaction_rating, mp.user_rating)) as ratings
+            FROM model_performance mp
+            LEFT JOIN user_feedback uf ON uf.id = (
+                SELECT id FROM user_feedback WHERE performance_id = mp.id ORDER BY timestamp DESC, id DESC LIMIT 1
+            )
+            WHERE DATE(mp.timestamp, 'localtime') = ?
+            GROUP BY mp.model_name
+            ORDER BY requests DESC
+        `, [date]);
+
+        const task_types = await this._query(`
+            SELECT task_type, COUNT(*) as requests
+            FROM model_performance
+            WHERE DATE(timestamp, 'localtime') = ? AND task_type IS NOT NULL
+            GROUP BY task_type
+            ORDER BY requests DESC
+        `, [date]);
+
+        return { models, task_types };
+    }
+
+    /**
+     * Past days that still need an end-of-day journal summary: days with model usage or a journal entry
+     * that has not been summarized since the day ended
+     * @param {string} today - Today's date (YYYY-MM-DD); only earlier days are returned
+     * @param {number} days - How far back to look
+     * @returns {Promise<string[]>} Dates, oldest first
+     */
+    async getUnsummarizedJournalDays(today, days = 7) {
+        const rows = await this._query(`
+            SELECT date FROM (
+                SELECT DISTINCT DATE(timestamp, 'localtime') as date FROM model_performance
+                WHERE timestamp > datetime('now', '-' || ? || ' days')
+                UNION
+                SELECT date FROM journal_entries WHERE date >= DATE(?, '-' || ? || ' days')
+            )
+            WHERE date < ? AND date NOT IN (
+                SELECT date FROM journal_entries WHERE summarized_at IS NOT NULL AND DATE(summarized_at, 'localtime') > date
+            )
+            ORDER BY date
+        `, [days + 1, today, days, today]);
+        return rows.map(row => row.date);
+    }
+
+    /**
+     * Parse JSON list fields of a journal entry row
+     * @private
+     */
+    _parseJournalEntry(row) {
+        for (const field of JOURNAL_LIST_FIELDS) {
+            try {
+                row[field] = row[field] ? JSON.parse(row[field]) : [];
+            } catch (e) {
+                row[field] = [];
+            }
+        }
+        return row;
     }
 
     // ==========================================
-    // ANALYTICS AND REPORTING
+    // CONTEXT ACTIVITY OPERATIONS
     // ==========================================
 
     /**
-     * Get usage summary for the last N days
-     * @param {number} days - Number of days to analyze
-     * @returns {Promise<object>} Usage summary
+     * Store an editor, terminal, browser or file watcher activity event
+     * @param {object} event - context_data columns; source_details and activity_data are objects
+     * @returns {Promise<number>} Context event ID
      */
-    async getUsageSummary(days = 7) {
-        const performanceSQL = `
+    async logContextEvent({
+        source_type, source_details, activity_type, activity_data, project_name, file_path, file_type,
+        duration_seconds, session_id, current_task, cognitive_load, contains_sensitive = false, retention_days = 30,
+        timestamp = null
+    }) {
+        const sql = `INSERT INTO context_data (
+            timestamp, source_type, source_details, activity_type, activity_data, project_name, file_path, file_type,
+            duration_seconds, session_id, current_task, cognitive_load, contains_sensitive, retention_days
+        ) VALUES (COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        const result = await this._query(sql, [
+            timestamp, source_type, JSON.stringify(source_details || {}), activity_type, JSON.stringify(activity_data || {}),
+            project_name || null, file_path || null, file_type || null, duration_seconds ?? null, session_id || null,
+            current_task || null, cognitive_load || null, contains_sensitive ? 1 : 0, retention_days
+        ]);
+        return result.lastID;
+    }
+
+    /**
+     * Get recent activity events, most recent first
+     * @param {object} filters - {minutes, source_type, project_name, limit}
+     * @returns {Promise<Array>} Events with parsed source_details and activity_data
+     */
+    async getContextEvents({ minutes = 60, source_type = null, project_name = null, limit = 200 } = {}) {
+        const conditions = ["timestamp > datetime('now', '-' || ? || ' minutes')"];
+        const params = [minutes];
+        if (source_type) {
+            conditions.push('source_type = ?');
+            params.push(source_type);
+        }
+        if (project_name) {
+            conditions.push('project_name = ?');
+            params.push(project_name);
+        }
+
+        const rows = await this._query(`
+            SELECT * FROM context_data
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return rows.map(row => {
+            for (const field of ['source_details', 'activity_data']) {
+                try {
+                    row[field] = row[field] ? JSON.parse(row[field]) : {};
+                } catch (e) {
+                    row[field] = {};
+                }
+            }
+            row.contains_sensitive = !!row.contains_sensitive;
+            return row;
+        });
+    }
+
+    /**
+     * Flag activity events that informed a routing decision
+     * @param {number[]} ids - Context event IDs
+     * @returns {Promise<void>}
+     */
+    async markContextUsedForRouting(ids) {
+        if (!ids.length) return;
+        await this._query(
+            `UPDATE context_data SET used_for_routing = 1, processed = 1 WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+    }
+
+    /**
+     * Delete activity events past their retention_days; sensitive events are kept at most sensitiveDays
+     * @param {object} options - {sensitiveDays, maxDays}; maxDays caps every event's retention
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async pruneContextData({ sensitiveDays = 1, maxDays = null } = {}) {
+        const retention = `MIN(
+            COALESCE(retention_days, 30),
+            CASE WHEN contains_sensitive THEN ? ELSE COALESCE(retention_days, 30) END,
+            COALESCE(?, COALESCE(retention_days, 30))
+        )`;
+        const result = await this._query(
+            `DELETE FROM context_data WHERE timestamp < datetime('now', '-' || ${retention} || ' days')`,
+            [sensitiveDays, maxDays]
+        );
+        return result.changes;
+    }
+
+    // ==========================================
+    // RESPONSE CACHE OPERATIONS
+    // ==========================================
+
+    /**
+     * Get an unexpired cached response by its exact key
+     * @param {string} cacheKey - Hash of model, sampling options and normalized prompt
+     * @returns {Promise<object|null>} Cache entry
+     */
+    async getResponseCacheEntry(cacheKey) {
+        const sql = `SELECT * FROM response_cache WHERE cache_key = ? AND expires_at > datetime('now')`;
+        return this._parseCacheEntry(await this._queryOne(sql, [cacheKey]));
+    }
+
+    /**
+     * Get unexpired cached responses that a near-duplicate prompt could match
+     * @param {object} criteria - {model_key, options_hash, embedding_model, limit}
+     * @returns {Promise<Array>} Cache entries with parsed embeddings, most recent first
+     */
+    async getResponseCacheCandidates({ model_key, options_hash, embedding_model, limit = 200 }) {
+        const sql = `
+            SELECT * FROM response_cache
+            WHERE model_key = ? AND options_hash = ? AND embedding_model = ?
+                AND expires_at > datetime('now')
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `;
+
+        const rows = await this._query(sql, [model_key, options_hash, embedding_model, limit]);
+        return rows.map(row => this._parseCacheEntry(row));
+    }
+
+    /**
+     * Store a response in the cache, replacing any entry with the same key
+     * @param {object} entryData - Cache entry
+     * @returns {Promise<number>} Cache entry ID
+     */
+    async saveResponseCacheEntry({
+        cache_key, model_key, options_hash, task_type, prompt_text,
+        embedding, embedding_model, response_content, response_metadata,
+        tokens_total, ttl_seconds
+    }) {
+        const sql = `INSERT OR REPLACE INTO response_cache (
+            cache_key, model_key, options_hash, task_type, prompt_text,
+            embedding, embedding_model, response_content, response_metadata,
+            tokens_total, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))`;
+
+        const params = [
+            cache_key, model_key, options_hash, task_type, prompt_text,
+            embedding ? JSON.stringify(embedding) : null, embedding_model || null,
+            response_content, JSON.stringify(response_metadata || {}),
+            tokens_total, ttl_seconds
+        ];
+
+        const result = await this._query(sql, params);
+        return result.lastID;
+    }
+
+    /**
+     * Count a hit on a cache entry
+     * @param {number} id - Cache entry ID
+     * @returns {Promise<void>}
+     */
+    async recordResponseCacheHit(id) {
+        await this._query(
+            'UPDATE response_cache SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+    }
+
+    /**
+     * Delete cached responses
+     * @param {object} options - {expiredOnly: true} to keep entries that are still valid
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async clearResponseCache({ expiredOnly = false } = {}) {
+        const sql = expiredOnly
+            ? `DELETE FROM response_cache WHERE expires_at <= datetime('now')`
+            : 'DELETE FROM response_cache';
+        const result = await this._query(sql);
+        return result.changes;
+    }
+
+    /**
+     * Summarize the cache and the model calls it saved
+     * @param {number} days - Number of days of hits to include
+     * @returns {Promise<object>} {entries, hits_by_model}
+     */
+    async getResponseCacheStats(days = 30) {
+        const entriesSQL = `
             SELECT 
-                COUNT(*) as total_requests,
-                COUNT(DISTINCT model_name) as unique_models,
-                AVG(response_time_ms) as avg_response_time,
-                SUM(tokens_total) as total_tokens,
-                AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) as overall_success_rate,
-                AVG(user_rating) as avg_user_rating
-            FROM model_performance 
-            WHERE timestamp > datetime('now', '-' || ? || ' days')
+                COUNT(*) as total_entries,
+                SUM(CASE WHEN expires_at > datetime('now') THEN 1 ELSE 0 END) as live_entries,
+                SUM(CASE WHEN embedding IS NOT NULL THEN 1 ELSE 0 END) as embedded_entries,
+                SUM(hit_count) as total_hits
+            FROM response_cache
         `;
 
-        const topModelsSQL = `
+        const hitsSQL = `
             SELECT 
                 model_name,
-                COUNT(*) as usage_count,
-                AVG(user_rating) as avg_rating
-            FROM model_performance 
-            WHERE timestamp > datetime('now', '-' || ? || ' days') AND success = TRUE
-            GROUP BY model_name
-            ORDER BY usage_count DESC
-            LIMIT 5
+                adapter_type,
+                COUNT(*) as hits,
+                SUM(tokens_total) as tokens_saved,
+                AVG(response_time_ms) as avg_response_time
+            FROM model_performance
+            WHERE cache_hit = TRUE AND timestamp > datetime('now', '-' || ? || ' days')
+            GROUP BY model_name, adapter_type
+            ORDER BY hits DESC
         `;
 
-        const [summary] = await Promise.all([
-            this._queryOne(performanceSQL, [days]),
-            this._query(topModelsSQL, [days])
+        const [entries, hitsByModel] = await Promise.all([
+            this._queryOne(entriesSQL),
+            this._query(hitsSQL, [days])
         ]);
 
-        const topModels = await this._query(topModelsSQL, [days]);
-
         return {
             period_days: days,
-            ...summary,
-            top_models: topModels
+            ...entries,
+            hits_by_model: hitsByModel
         };
     }
 
     /**
-     * Get model recommendations based on historical performance
-     * @param {string} taskType - Type of task
-     * @returns {Promise<Array>} Recommended models in order of preference
+     * Parse the JSON columns of a cache entry
+     * @private
      */
-    async getModelRecommendations(taskType) {
-        const sql = `
+    _parseCacheEntry(row) {
+        if (!row) return null;
+
+        for (const field of ['embedding', 'response_metadata']) {
+            try {
+                row[field] = row[field] ? JSON.parse(row[field]) : null;
+            } catch (e) {
+                row[field] = null;
+            }
+        }
+        return row;
+    }
+
+    // ==========================================
+    // COST LEDGER OPERATIONS
+    // ==========================================
+
+    /**
+     * Record what a model call cost
+     * @param {object} costData - Ledger entry
+     * @returns {Promise<number>} Ledger entry ID
+     */
+    async logCost({
+        performance_id, model_name, priced_model, adapter_type, task_type,
+        project_name, session_id, tokens_prompt, tokens_completion, tokens_total,
+        tokens_estimated, cost_per_token, cost_usd, user_id = null
+    }) {
+        const sql = `INSERT INTO cost_ledger (
+            performance_id, model_name, priced_model, adapter_type, task_type,
+            project_name, session_id, tokens_prompt, tokens_completion, tokens_total,
+            tokens_estimated, cost_per_token, cost_usd, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        const params = [
+            performance_id, model_name, priced_model, adapter_type, task_type,
+            project_name, session_id, tokens_prompt, tokens_completion, tokens_total,
+            tokens_estimated, cost_per_token, cost_usd, user_id
+        ];
+
+        const result = await this._query(sql, params);
+        return result.lastID;
+    }
+
+    /**
+     * Total spend in the current calendar month or day
+     * @param {string} period - 'month' or 'day'
+     * @param {string} projectName - Only count this project (optional)
+     * @param {number|null} userId - Only count this account; null counts the instance owner, undefined everyone
+     * @returns {Promise<number>} Spend in dollars
+     */
+    async getSpend(period = 'month', projectName = null, userId = undefined) {
+        const start = period === 'day' ? 'start of day' : 'start of month';
+        let sql = `SELECT COALESCE(SUM(cost_usd), 0) as spend FROM cost_ledger WHERE timestamp >= datetime('now', ?)`;
+        const params = [start];
+
+        if (projectName) {
+            sql += ' AND project_name = ?';
+            params.push(projectName);
+        }
+        if (userId !== undefined) {
+            sql += ' AND user_id IS ?';
+            params.push(userId);
+        }
+
+        const row = await this._queryOne(sql, params);
+        return row.spend;
+    }
+
+    /**
+     * Break spend down by model, project and day
+     * @param {number} days - Number of days to include
+     * @returns {Promise<object>} {by_model, by_project, by_day}
+     */
+    async getCostSummary(days = 30) {
+        const grouped = (column, orderBy) => `
             SELECT 
-                model_name,
-                COUNT(*) as usage_count,
-                AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) as success_rate,
-                AVG(response_time_ms) as avg_response_time,
-                AVG(user_rating) as avg_rating,
-                -- Composite score: success_rate * 0.4 + (1/avg_response_time) * 0.2 + avg_rating * 0.4
-                (AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) * 0.4 + 
-                 (1000.0 / NULLIF(AVG(response_time_ms), 0)) * 0.2 + 
-                 COALESCE(AVG(user_rating), 3.0) * 0.08) as composite_score
-            FROM model_performance
-            WHERE task_type = ? AND timestamp > datetime('now', '-30 days')
-            GROUP BY model_name
-            HAVING usage_count >= 3
-            ORDER BY composite_score DESC
+                ${column},
+                COUNT(*) as requests,
+                SUM(tokens_total) as tokens,
+                SUM(cost_usd) as cost_usd
+            FROM cost_ledger
+            WHERE timestamp > datetime('now', '-' || ? || ' days')
+            GROUP BY 1
+            ORDER BY ${orderBy}
         `;
 
-        return await this._query(sql, [taskType]);
+        const [byModel, byProject, byDay] = await Promise.all([
+            this._query(grouped('model_name', 'cost_usd DESC'), [days]),
+            this._query(grouped('project_name', 'cost_usd DESC'), [days]),
+            this._query(grouped('DATE(timestamp) as date', 'date DESC'), [days])
+        ]);
+
+        return {
+            period_days: days,
+            by_model: byModel,
+            by_project: byProject,
+            by_day: byDay
+        };
     }
 
     // ==========================================
-    // UTILITY METHODS
+    // MEMORY OPERATIONS
     // ==========================================
 
     /**
-     * Generate a session ID for grouping related requests
-     * @returns {string} Session ID
+     * Store a memory entry
+     * @param {object} entryData - Memory entry; user_id is the account it belongs to (null for the instance owner)
+     * @returns {Promise<number>} Memory entry ID
      */
-    generateSessionId() {
-        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    async saveMemoryEntry({ scope_type, scope_name, kind = 'note', content, data, embedding, embedding_model, user_id = null }) {
+        const sql = `INSERT INTO memory_entries (
+            scope_type, scope_name, kind, content, data, embedding, embedding_model, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        const params = [
+            scope_type, scope_name, kind, content,
+            data ? JSON.stringify(data) : null,
+            embedding ? JSON.stringify(embedding) : null, embedding_model || null, user_id
+        ];
+
+        const result = await this._query(sql, params);
+        return result.lastID;
     }
 
     /**
-     * Clean up old data based on retention policies
-     * @param {object} retentionPolicies - Days to keep data for each table
-     * @returns {Promise<object>} Cleanup summary
+     * Get memory entries, most recent first
+     * @param {object} filters - {scopes: [{scope_type, scope_name}], kind, days, user_id, limit, offset}; no scopes means
+     *                           every scope, no user_id every account
+     * @returns {Promise<Array>} Memory entries with parsed data and embeddings
      */
-    async cleanupOldData(retentionPolicies = {}) {
-        const defaults = {
-            model_performance: 90,
-            routing_decisions: 90,
-            user_feedback: 365,
-            learning_insights: null, // Keep forever
-            journal_entries: null,   // Keep forever
-            context_data: 30
-        };
+    async getMemoryEntries({ scopes = null, kind = null, days = null, user_id = undefined, limit = 50, offset = 0 } = {}) {
+        const { where, params } = this._memoryFilter({ scopes, kind, days, user_id });
+        const sql = `
+            SELECT * FROM memory_entries
+            ${where}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ? OFFSET ?
+        `;
 
-        const policies = { ...defaults, ...retentionPolicies };
-        const summary = {};
+        const rows = await this._query(sql, [...params, limit, offset]);
+        return rows.map(row => this._parseMemoryEntry(row));
+    }
 
-        for (const [table, days] of Object.entries(policies)) {
-            if (days === null) continue; // Skip tables that should be kept forever
+    /**
+     * Count recalls of memory entries that were injected into a prompt
+     * @param {number[]} ids - Memory entry IDs
+     * @returns {Promise<void>}
+     */
+    async recordMemoryRecall(ids) {
+        if (!ids.length) return;
+        await this._query(
+            `UPDATE memory_entries SET recall_count = recall_count + 1, last_recalled_at = CURRENT_TIMESTAMP
+             WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+    }
+
+    /**
+     * Delete memory entries
+     * @param {object} options - {scopes, kind, user_id, ids, olderThanDays, keep}; keep leaves the newest N entries of each scope
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async pruneMemory({ scopes = null, kind = null, user_id = undefined, ids = null, olderThanDays = null, keep = null } = {}) {
+        const { where, params } = this._memoryFilter({ scopes, kind, user_id });
+        const conditions = where ? [where.replace(/^WHERE /, '')] : [];
+
+        if (ids) {
+            conditions.push(`id IN (${ids.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...ids);
+        }
+        if (olderThanDays !== null) {
+            conditions.push(`timestamp < datetime('now', '-' || ? || ' days')`);
+            params.push(olderThanDays);
+        }
+        if (keep !== null) {
+            conditions.push(`id NOT IN (
+                SELECT id FROM (
+                    SELECT id, ROW_NUMBER() OVER (
+                        PARTITION BY user_id, scope_type, scope_name ORDER BY timestamp DESC, id DESC
+                    ) as position
+                    FROM memory_entries
+                ) WHERE position <= ?
+            )`);
+            params.push(keep);
+        }
 
-            const sql = `DELETE FROM ${table} WHERE timestamp < datetime('now', '-' || ? || ' days')`;
-            const result = await this._query(sql, [days]);
+        const sql = `DELETE FROM memory_entries ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+        const result = await this._query(sql, params);
+        return result.changes;
+    }
+
+    /**
+     * Summarize stored memory per scope
+     * @param {number|null} userId - Only count this account; null counts the instance owner, undefined everyone
+     * @returns {Promise<Array>} {scope_type, scope_name, entries, recalls, first_entry, last_entry} per scope
+     */
+    async getMemoryStats(userId = undefined) {
+        const { where, params } = this._memoryFilter({ user_id: userId });
+        const sql = `
+            SELECT
+                scope_type,
+                scope_name,
+                COUNT(*) as entries,
+                SUM(recall_count) as recalls,
+                MIN(timestamp) as first_entry,
+                MAX(timestamp) as last_entry
+            FROM memory_entries
+            ${where}
+            GROUP BY scope_type, scope_name
+            ORDER BY last_entry DESC
+        `;
+        return this._query(sql, params);
+    }
+
+    /**
+     * WHERE clause for memory queries
+     * @private
+     */
+    _memoryFilter({ scopes = null, kind = null, days = null, user_id = undefined }) {
+        const conditions = [];
+        const params = [];
+
+        if (scopes) {
+            conditions.push(`(${scopes.map(() => '(scope_type = ? AND scope_name = ?)').join(' OR ') || '0'})`);
+            scopes.forEach(scope => params.push(scope.scope_type, scope.scope_name));
+        }
+        if (kind) {
+            conditions.push('kind = ?');
+            params.push(kind);
+        }
+        if (days !== null) {
+            conditions.push(`timestamp > datetime('now', '-' || ? || ' days')`);
+            params.push(days);
+        }
+        if (user_id !== undefined) {
+            conditions.push('user_id IS ?');
+            params.push(user_id);
+        }
+
+        return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Parse the JSON columns of a memory entry
+     * @private
+     */
+    _parseMemoryEntry(row) {
+        for (const field of ['data', 'embedding']) {
+            try {
+                row[field] = row[field] ? JSON.parse(row[field]) : null;
+            } catch (e) {
+                row[field] = null;
+            }
+        }
+        return row;
+    }
+
+    // ==========================================
+    // TASK CLASSIFIER OPERATIONS
+    // ==========================================
+
+    /**
+     * Labelled prompts for training the task classifier
+     * Labels come from feedback corrections, explicit --task overrides, or past decisions that held up
+     * @param {number} days - Number of days of routing history to use
+     * @returns {Promise<Array>} {id, text, label, source: 'correction'|'explicit'|'history'}
+     */
+    async getClassifierExamples(days = 365) {
+        const sql = `
+            SELECT id, text, label, source FROM (
+                SELECT
+                    rd.id,
+                    rd.prompt_snippet as text,
+                    COALESCE(uf.corrected_task_type, rd.task_type) as label,
+                    CASE
+                        WHEN uf.corrected_task_type IS NOT NULL THEN 'correction'
+                        WHEN rd.task_type_source = 'explicit' THEN 'explicit'
+                        ELSE 'history'
+                    END as source,
+                    ${ROUTING_HELD_UP} as held_up
+                FROM routing_decisions rd
+                LEFT JOIN model_performance mp ON mp.id = rd.performance_id
+                LEFT JOIN user_feedback uf ON uf.id = (
+                    SELECT id FROM user_feedback
+                    WHERE routing_id = rd.id OR (rd.performance_id IS NOT NULL AND performance_id = rd.performance_id)
+                    ORDER BY corrected_task_type IS NOT NULL DESC, timestamp DESC, id DESC
+                    LIMIT 1
+                )
+                WHERE rd.timestamp > datetime('now', '-' || ? || ' days')
+                    AND rd.prompt_snippet IS NOT NULL AND TRIM(rd.prompt_snippet) != ''
+            )
+            WHERE source != 'history' OR (held_up = 1 AND label NOT IN ('general', 'unknown'))
+            ORDER BY id
+        `;
+        return this._query(sql, [days]);
+    }
+
+    /**
+     * Store a trained task classifier
+     * @param {object} modelData - {model_type, model_data, training_examples, metrics}
+     * @returns {Promise<number>} Classifier model ID
+     */
+    async saveClassifierModel({ model_type, model_data, training_examples, metrics }) {
+        const sql = `INSERT INTO classifier_models (model_type, model_data, training_examples, metrics)
+            VALUES (?, ?, ?, ?)`;
+        const result = await this._query(sql, [
+            model_type, JSON.stringify(model_data), training_examples, JSON.stringify(metrics || {})
+        ]);
+        return result.lastID;
+    }
+
+    /**
+     * Get the most recently trained task classifier
+     * @returns {Promise<object|null>} Classifier model with parsed model_data and metrics
+     */
+    async getLatestClassifierModel() {
+        const row = await this._queryOne('SELECT * FROM classifier_models ORDER BY id DESC LIMIT 1');
+        if (!row) return null;
+
+        for (const field of ['model_data', 'metrics']) {
+            try {
+                row[field] = row[field] ? JSON.parse(row[field]) : null;
+            } catch (e) {
+                row[field] = null;
+            }
+        }
+        return row;
+    }
+
+    // ==========================================
+    // ROUTING REPLAY OPERATIONS
+    // ==========================================
+
+    /**
+     * Stored routing decisions that can be routed again, newest first
+     * Failover hops are left out; each request is represented by the decision made for it
+     * @param {object} filters - {days, task_type, limit}
+     * @returns {Promise<Array>} {id, timestamp, task_type, task_type_source, prompt_snippet, prompt_text, chosen_model, time_of_day,
+     *                            user_loadout, sensitive_data}; prompt_text is null for decisions logged before it was stored
+     */
+    async getReplayableDecisions({ days = 30, task_type = null, limit = 200 } = {}) {
+        const conditions = [
+            "timestamp > datetime('now', '-' || ? || ' days')",
+            "prompt_snippet IS NOT NULL AND TRIM(prompt_snippet) != ''",
+            "(routing_reason IS NULL OR routing_reason NOT LIKE 'Failover executor:%')"
+        ];
+        const params = [days];
+        if (task_type) {
+            conditions.push('task_type = ?');
+            params.push(task_type);
+        }
+
+        const sql = `
+            SELECT id, timestamp, task_type, task_type_source, prompt_snippet, prompt_text, chosen_model,
+                time_of_day, user_loadout, sensitive_data
+            FROM routing_decisions
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ?
+        `;
+        const rows = await this._query(sql, [...params, limit]);
+        return rows.map(row => ({
+            ...row,
+            sensitive_data: row.sensitive_data ? JSON.parse(row.sensitive_data) : null
+        }));
+    }
+
+    // ==========================================
+    // CHARACTER SHEET VERSION OPERATIONS
+    // ==========================================
+
+    /**
+     * Store a character sheet snapshot
+     * @param {object} version - {author, source_id, reason, content, changes, user_id}; user_id is null for character-sheet.yaml
+     * @returns {Promise<number>} Version number
+     */
+    async saveCharacterSheetVersion({ author, source_id = null, reason = null, content, changes = [], user_id = null }) {
+        const result = await this._query(
+            'INSERT INTO character_sheet_versions (author, source_id, reason, content, changes, user_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [author, source_id === null ? null : String(source_id), reason, content, JSON.stringify(changes), user_id]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Character sheet history, newest first, without the snapshot contents
+     * @param {number} limit - Versions to return
+     * @param {number|null} userId - Account whose sheet to list; null for character-sheet.yaml
+     * @returns {Promise<Array>} {version, timestamp, author, source_id, reason, changes}
+     */
+    async getCharacterSheetVersions(limit = 50, userId = null) {
+        const rows = await this._query(
+            `SELECT id as version, timestamp, author, source_id, reason, changes
+             FROM character_sheet_versions WHERE user_id IS ? ORDER BY id DESC LIMIT ?`,
+            [userId, limit]
+        );
+        return rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : [] }));
+    }
+
+    /**
+     * One character sheet snapshot
+     * @param {number} version - Version number
+     * @param {number|null} userId - Account whose sheet it must be; null for character-sheet.yaml
+     * @returns {Promise<object|null>} {version, timestamp, author, source_id, reason, content, changes}
+     */
+    async getCharacterSheetVersion(version, userId = null) {
+        const row = await this._queryOne(
+            `SELECT id as version, timestamp, author, source_id, reason, content, changes
+             FROM character_sheet_versions WHERE id = ? AND user_id IS ?`,
+            [version, userId]
+        );
+        return row ? { ...row, changes: row.changes ? JSON.parse(row.changes) : [] } : null;
+    }
+
+    // ==========================================
+    // USER ACCOUNT OPERATIONS
+    // ==========================================
+
+    /**
+     * Create an account
+     * @param {object} user - {username, display_name, role}
+     * @returns {Promise<number>} User ID
+     */
+    async createUser({ username, display_name = null, role = 'member' }) {
+        const result = await this._query(
+            'INSERT INTO users (username, display_name, role, aliases) VALUES (?, ?, ?, ?)',
+            [username, display_name, role, '[]']
+        );
+        return result.lastID;
+    }
+
+    /**
+     * One account by ID
+     * @param {number} id - User ID
+     * @returns {Promise<object|null>} {id, created_at, username, display_name, role, aliases}
+     */
+    async getUser(id) {
+        const row = await this._queryOne('SELECT * FROM users WHERE id = ?', [id]);
+        return row ? this._parseUser(row) : null;
+    }
+
+    /**
+     * One account by username or by one of its aliases (OpenAI "user" values)
+     * @param {string} name - Username or alias
+     * @returns {Promise<object|null>}
+     */
+    async getUserByName(name) {
+        const row = await this._queryOne(
+            `SELECT * FROM users
+             WHERE username = ? OR EXISTS (SELECT 1 FROM json_each(users.aliases) WHERE value = ?)
+             ORDER BY username = ? DESC LIMIT 1`,
+            [name, name, name]
+        );
+        return row ? this._parseUser(row) : null;
+    }
+
+    /**
+     * Every account with how many active API keys it has
+     * @returns {Promise<Array>}
+     */
+    async getUsers() {
+        const rows = await this._query(`
+            SELECT u.*, COUNT(k.id) as active_keys, MAX(k.last_used_at) as last_used_at
+            FROM users u
+            LEFT JOIN api_keys k ON k.user_id = u.id AND k.revoked_at IS NULL
+            GROUP BY u.id
+            ORDER BY u.id
+        `);
+        return rows.map(row => this._parseUser(row));
+    }
+
+    /**
+     * Change an account
+     * @param {number} id - User ID
+     * @param {object} changes - Any of {display_name, role, aliases}
+     * @returns {Promise<number>} Rows changed
+     */
+    async updateUser(id, changes) {
+        const fields = ['display_name', 'role', 'aliases'].filter(field => changes[field] !== undefined);
+        if (fields.length === 0) return 0;
+
+        const params = fields.map(field => (field === 'aliases' ? JSON.stringify(changes.aliases) : changes[field]));
+        const result = await this._query(
+            `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...params, id]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Store an API key; only its hash and first characters are kept
+     * @param {object} key - {user_id, label, key_prefix, key_hash}
+     * @returns {Promise<number>} API key ID
+     */
+    async saveApiKey({ user_id, label = null, key_prefix, key_hash }) {
+        const result = await this._query(
+            'INSERT INTO api_keys (user_id, label, key_prefix, key_hash) VALUES (?, ?, ?, ?)',
+            [user_id, label, key_prefix, key_hash]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * The active key with this hash and the account it belongs to
+     * @param {string} keyHash - SHA-256 of the key
+     * @returns {Promise<object|null>} {key_id, key_label, user}
+     */
+    async getApiKeyByHash(keyHash) {
+        const row = await this._queryOne(
+            `SELECT k.id as key_id, k.label as key_label, u.*
+             FROM api_keys k JOIN users u ON u.id = k.user_id
+             WHERE k.key_hash = ? AND k.revoked_at IS NULL`,
+            [keyHash]
+        );
+        if (!row) return null;
+
+        const { key_id, key_label, ...user } = row;
+        return { key_id, key_label, user: this._parseUser(user) };
+    }
+
+    /**
+     * API keys without their hashes, newest first
+     * @param {number|null} userId - Only this account's keys; null for every account
+     * @returns {Promise<Array>} {id, created_at, user_id, username, label, key_prefix, last_used_at, revoked_at}
+     */
+    async getApiKeys(userId = null) {
+        return this._query(
+            `SELECT k.id, k.created_at, k.user_id, u.username, k.label, k.key_prefix, k.last_used_at, k.revoked_at
+             FROM api_keys k JOIN users u ON u.id = k.user_id
+             WHERE ? IS NULL OR k.user_id = ?
+             ORDER BY k.id DESC`,
+            [userId, userId]
+        );
+    }
+
+    /**
+     * Note that a key was just used
+     * @param {number} id - API key ID
+     * @returns {Promise<void>}
+     */
+    async touchApiKey(id) {
+        await this._query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    /**
+     * Revoke a key; revoked keys stay listed but no longer authenticate
+     * @param {number} id - API key ID
+     * @returns {Promise<number>} Rows changed; 0 when the key does not exist or was already revoked
+     */
+    async revokeApiKey(id) {
+        const result = await this._query(
+            'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+            [id]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Parse the JSON columns of an account
+     * @private
+     */
+    _parseUser(row) {
+        try {
+            row.aliases = row.aliases ? JSON.parse(row.aliases) : [];
+        } catch (e) {
+            row.aliases = [];
+        }
+        return row;
+    }
+
+    // ==========================================
+    // EVAL OPERATIONS
+    // ==========================================
+
+    /**
+     * Store the outcome of one eval case for one model
+     * @param {object} result - {run_id, suite, task_type, case_id, model_name, score, passed, checks, response_time_ms, response_snippet, error_message, mock, performance_id}
+     * @returns {Promise<number>} Eval result ID
+     */
+    async saveEvalResult({
+        run_id, suite, task_type, case_id, model_name, score, passed, checks = [],
+        response_time_ms = null, response_snippet = null, error_message = null, mock = false, performance_id = null
+    }) {
+        const sql = `INSERT INTO eval_results (
+            run_id, suite, task_type, case_id, model_name, score, passed, checks,
+            response_time_ms, response_snippet, error_message, mock, performance_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        const result = await this._query(sql, [
+            run_id, suite, task_type, case_id, model_name, score, passed ? 1 : 0, JSON.stringify(checks),
+            response_time_ms, response_snippet, error_message, mock ? 1 : 0, performance_id
+        ]);
+        return result.lastID;
+    }
+
+    /**
+     * Eval results, newest first
+     * @param {object} filters - {run_id, model_name, task_type, limit}
+     * @returns {Promise<Array>} Results with checks parsed
+     */
+    async getEvalResults({ run_id = null, model_name = null, task_type = null, limit = 200 } = {}) {
+        const { where, params } = this._evalFilter({ run_id, model_name, task_type });
+        const rows = await this._query(
+            `SELECT * FROM eval_results WHERE ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        return rows.map(row => ({
+            ...row,
+            passed: Boolean(row.passed),
+            mock: Boolean(row.mock),
+            checks: row.checks ? JSON.parse(row.checks) : []
+        }));
+    }
+
+    /**
+     * Average score and pass rate per model and task type
+     * @param {object} filters - {run_id, days, include_mock}; mock runs are left out unless include_mock or run_id is given
+     * @returns {Promise<Array>} {model_name, task_type, cases, passed, avg_score, pass_rate, avg_response_time, last_run_at}
+     */
+    async getEvalSummary({ run_id = null, days = null, include_mock = false } = {}) {
+        const { where, params } = this._evalFilter({ run_id, days, include_mock: include_mock || !!run_id });
+        const sql = `
+            SELECT
+                model_name,
+                task_type,
+                COUNT(*) as cases,
+                SUM(CASE WHEN passed THEN 1 ELSE 0 END) as passed,
+                AVG(score) as avg_score,
+                AVG(CASE WHEN passed THEN 1.0 ELSE 0.0 END) as pass_rate,
+                AVG(response_time_ms) as avg_response_time,
+                MAX(timestamp) as last_run_at
+            FROM eval_results
+            WHERE ${where}
+            GROUP BY model_name, task_type
+            ORDER BY model_name, task_type
+        `;
+        return this._query(sql, params);
+    }
+
+    /**
+     * Recent eval runs
+     * @param {number} limit - Runs to return
+     * @returns {Promise<Array>} {run_id, started_at, models, suites, cases, avg_score, mock}
+     */
+    async getEvalRuns(limit = 20) {
+        const sql = `
+            SELECT
+                run_id,
+                MIN(timestamp) as started_at,
+                GROUP_CONCAT(DISTINCT model_name) as models,
+                GROUP_CONCAT(DISTINCT suite) as suites,
+                COUNT(*) as cases,
+                AVG(score) as avg_score,
+                MAX(mock) as mock
+            FROM eval_results
+            GROUP BY run_id
+            ORDER BY started_at DESC
+            LIMIT ?
+        `;
+        const rows = await this._query(sql, [limit]);
+        return rows.map(row => ({
+            ...row,
+            models: row.models ? row.models.split(',') : [],
+            suites: row.suites ? row.suites.split(',') : [],
+            mock: Boolean(row.mock)
+        }));
+    }
+
+    /**
+     * WHERE clause for eval queries
+     * @private
+     */
+    _evalFilter({ run_id = null, model_name = null, task_type = null, days = null, include_mock = true }) {
+        const conditions = ['1 = 1'];
+        const params = [];
+        if (run_id) {
+            conditions.push('run_id = ?');
+            params.push(run_id);
+        }
+        if (model_name) {
+            conditions.push('model_name = ?');
+            params.push(model_name);
+        }
+        if (task_type) {
+            conditions.push('task_type = ?');
+            params.push(task_type);
+        }
+        if (days) {
+            conditions.push("timestamp > datetime('now', '-' || ? || ' days')");
+            params.push(days);
+        }
+        if (!include_mock) {
+            conditions.push('NOT mock');
+        }
+        return { where: conditions.join(' AND '), params };
+    }
+
+    // ==========================================
+    // ANALYTICS AND REPORTING
+    // ==========================================
+
+    /**
+     * Get usage summary for the last N days
+     * @param {number} days - Number of days to analyze
+     * @returns {Promise<object>} Usage summary
+     */
+    async getUsageSummary(days = 7) {
+        const performanceSQL = `
+            SELECT 
+                COUNT(*) as total_requests,
+                COUNT(DISTINCT model_name) as unique_models,
+                AVG(response_time_ms) as avg_response_time,
+                SUM(CASE WHEN cache_hit THEN 0 ELSE tokens_total END) as total_tokens,
+                AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) as overall_success_rate,
+                AVG(user_rating) as avg_user_rating,
+                SUM(CASE WHEN cache_hit THEN 1 ELSE 0 END) as cache_hits,
+                SUM(CASE WHEN cache_hit THEN tokens_total ELSE 0 END) as cache_tokens_saved
+            FROM model_performance 
+            WHERE timestamp > datetime('now', '-' || ? || ' days')
+        `;
+
+        const topModelsSQL = `
+            SELECT 
+                model_name,
+                COUNT(*) as usage_count,
+                AVG(user_rating) as avg_rating
+            FROM model_performance 
+            WHERE timestamp > datetime('now', '-' || ? || ' days') AND success = TRUE
+            GROUP BY model_name
+            ORDER BY usage_count DESC
+            LIMIT 5
+        `;
+
+        const [summary] = await Promise.all([
+            this._queryOne(performanceSQL, [days]),
+            this._query(topModelsSQL, [days])
+        ]);
+
+        const topModels = await this._query(topModelsSQL, [days]);
+
+        return {
+            period_days: days,
+            ...summary,
+            top_models: topModels
+        };
+    }
+
+    /**
+     * Get routing decisions with their outcome and feedback, newest first
+     * @param {object} filters - {hours, models, taskTypes, userId, uncensored, limit, offset}
+     * @returns {Promise<object>} {decisions, total, avg_confidence, avg_response_time, uncensored_ratio}
+     */
+    async getRoutingFeed(filters = {}) {
+        const { where, params } = this._analyticsFilter(filters, { model: 'chosen_model' });
+        let clause = where;
+        if (typeof filters.uncensored === 'boolean') {
+            clause += ' AND uncensored = ?';
+            params.push(filters.uncensored ? 1 : 0);
+        }
+
+        const decisionsSQL = `
+            SELECT * FROM routing_outcomes
+            WHERE ${clause}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        const summarySQL = `
+            SELECT 
+                COUNT(*) as total,
+                AVG(confidence_score) as avg_confidence,
+                AVG(response_time_ms) as avg_response_time,
+                AVG(uncensored * 1.0) as uncensored_ratio
+            FROM routing_outcomes
+            WHERE ${clause}
+        `;
+
+        const [decisions, summary] = await Promise.all([
+            this._query(decisionsSQL, [...params, filters.limit || 20, filters.offset || 0]),
+            this._queryOne(summarySQL, params)
+        ]);
+
+        return {
+            ...summary,
+            decisions: decisions.map(decision => ({
+                ...decision,
+                alternatives_considered: this._parseAlternatives(decision.alternatives_considered),
+                fallback_triggered: Boolean(decision.fallback_triggered),
+                uncensored: Boolean(decision.uncensored),
+                success: decision.success === null ? null : Boolean(decision.success)
+            }))
+        };
+    }
+
+    /**
+     * Get request, routing, feedback and context activity per day or per hour of day
+     * @param {object} filters - {hours, models, taskTypes, userId}; context data is filtered by time only, and is
+     *                           left out for accounts other than the owner since it is the owner's own activity
+     * @param {string} bucket - 'day' or 'hour'
+     * @returns {Promise<Array>} One row per bucket with the metrics that have data, sorted by bucket
+     */
+    async getActivitySeries(filters = {}, bucket = 'day') {
+        const keys = ANALYTICS_BUCKETS[bucket] || ANALYTICS_BUCKETS.day;
+        const usage = this._analyticsFilter(filters, { time: 'date', since: 'DATE' });
+        const routing = this._analyticsFilter(filters, { model: 'chosen_model' });
+        const feedback = this._analyticsFilter(filters, { time: 'uf.timestamp', model: 'mp.model_name', task: 'mp.task_type', user: 'mp.user_id' });
+        const performance = this._analyticsFilter(filters);
+        const context = this._analyticsFilter({ hours: filters.hours });
+
+        const usageSQL = `
+            SELECT 
+                ${keys.usage} as bucket,
+                SUM(request_count) as request_count,
+                SUM(success_count) * 1.0 / SUM(request_count) as success_rate,
+                SUM(total_response_time) * 1.0 / SUM(request_count) as avg_response_time,
+                SUM(total_tokens) as total_tokens,
+                SUM(cache_hits) as cache_hits,
+                SUM(rating_sum) * 1.0 / NULLIF(SUM(rating_count), 0) as avg_rating
+            FROM model_usage_hourly
+            WHERE ${usage.where}
+            GROUP BY 1
+        `;
+
+        const routingSQL = `
+            SELECT 
+                ${keys.routing} as bucket,
+                COUNT(*) as decisions,
+                SUM(${ROUTING_HELD_UP}) as good_decisions,
+                AVG(confidence_score) as avg_confidence
+            FROM routing_outcomes
+            WHERE ${routing.where}
+            GROUP BY 1
+        `;
+
+        const feedbackSQL = `
+            SELECT 
+                ${keys.feedback} as bucket,
+                COUNT(*) as feedback_count,
+                AVG(uf.satisfaction_rating) as avg_satisfaction
+            FROM user_feedback uf
+            JOIN model_performance mp ON mp.id = uf.performance_id
+            WHERE ${feedback.where}
+            GROUP BY 1
+        `;
+
+        // A context switch is a request whose task type differs from the request before it
+        const switchesSQL = `
+            SELECT bucket, SUM(switched) as context_switches
+            FROM (
+                SELECT 
+                    ${keys.performance} as bucket,
+                    CASE WHEN task_type != LAG(task_type) OVER (ORDER BY timestamp, id) THEN 1 ELSE 0 END as switched
+                FROM model_performance
+                WHERE ${performance.where}
+            )
+            GROUP BY bucket
+        `;
+
+        const contextSQL = `
+            SELECT 
+                ${keys.context} as bucket,
+                COUNT(*) as context_events,
+                AVG(CASE cognitive_load WHEN 'light' THEN 1.0 WHEN 'medium' THEN 3.0 WHEN 'heavy' THEN 5.0 END) as cognitive_load
+            FROM context_data
+            WHERE ${context.where}
+            GROUP BY 1
+        `;
+
+        const results = await Promise.all([
+            this._query(usageSQL, usage.params),
+            this._query(routingSQL, routing.params),
+            this._query(feedbackSQL, feedback.params),
+            this._query(switchesSQL, performance.params),
+            filters.userId ? [] : this._query(contextSQL, context.params)
+        ]);
+
+        const series = new Map();
+        for (const rows of results) {
+            for (const { bucket: key, ...values } of rows) {
+                if (key === null) continue;
+                series.set(key, { ...(series.get(key) || { bucket: key }), ...values });
+            }
+        }
+
+        return [...series.values()].sort((a, b) => (a.bucket < b.bucket ? -1 : 1));
+    }
+
+    /**
+     * Compare models by usage, speed, success and satisfaction
+     * @param {object} filters - {hours, models, taskTypes, userId, limit, offset}
+     * @returns {Promise<object>} {models, total}; models are sorted by usage
+     */
+    async getModelComparison(filters = {}) {
+        const usage = this._analyticsFilter(filters, { time: 'date', since: 'DATE' });
+        const feedback = this._analyticsFilter(filters, { time: 'uf.timestamp', model: 'mp.model_name', task: 'mp.task_type', user: 'mp.user_id' });
+
+        const modelsSQL = `
+            SELECT 
+                model_name,
+                SUM(request_count) as usage_count,
+                SUM(total_response_time) * 1.0 / SUM(request_count) as avg_response_time,
+                SUM(success_count) * 1.0 / SUM(request_count) as success_rate,
+                SUM(total_tokens) as total_tokens,
+                SUM(cache_hits) as cache_hits,
+                SUM(rating_sum) * 1.0 / NULLIF(SUM(rating_count), 0) as avg_rating
+            FROM model_usage_hourly
+            WHERE ${usage.where}
+            GROUP BY model_name
+            ORDER BY usage_count DESC, model_name
+            LIMIT ? OFFSET ?
+        `;
+
+        const totalSQL = `SELECT COUNT(DISTINCT model_name) as total FROM model_usage_hourly WHERE ${usage.where}`;
+
+        const feedbackSQL = `
+            SELECT 
+                mp.model_name,
+                COUNT(*) as feedback_count,
+                AVG(uf.satisfaction_rating) as avg_satisfaction
+            FROM user_feedback uf
+            JOIN model_performance mp ON mp.id = uf.performance_id
+            WHERE ${feedback.where}
+            GROUP BY mp.model_name
+        `;
+
+        const [models, total, feedbackRows] = await Promise.all([
+            this._query(modelsSQL, [...usage.params, filters.limit || 20, filters.offset || 0]),
+            this._queryOne(totalSQL, usage.params),
+            this._query(feedbackSQL, feedback.params)
+        ]);
+
+        const feedbackByModel = new Map(feedbackRows.map(row => [row.model_name, row]));
+        return {
+            total: total.total,
+            models: models.map(model => ({
+                ...model,
+                feedback_count: feedbackByModel.get(model.model_name)?.feedback_count || 0,
+                avg_satisfaction: feedbackByModel.get(model.model_name)?.avg_satisfaction ?? null
+            }))
+        };
+    }
+
+    /**
+     * Get how often routing reasons matching the patterns were used and how often those decisions held up
+     * @param {object} filters - {hours, models, taskTypes, userId}
+     * @param {string[]} patterns - SQL LIKE patterns matched against routing_reason
+     * @returns {Promise<object>} {usage_count, effectiveness, earlier_effectiveness, recent_effectiveness};
+     *                            earlier and recent split the timeframe in half
+     */
+    async getRoutingReasonStats(filters = {}, patterns = []) {
+        const { where, params } = this._analyticsFilter(filters, { model: 'chosen_model' });
+        const midpoint = `-${(filters.hours || 168) / 2} hours`;
+
+        const sql = `
+            SELECT 
+                COUNT(*) as usage_count,
+                AVG(1.0 * ${ROUTING_HELD_UP}) as effectiveness,
+                AVG(CASE WHEN timestamp <= datetime('now', ?) THEN 1.0 * ${ROUTING_HELD_UP} END) as earlier_effectiveness,
+                AVG(CASE WHEN timestamp > datetime('now', ?) THEN 1.0 * ${ROUTING_HELD_UP} END) as recent_effectiveness
+            FROM routing_outcomes
+            WHERE ${where} AND (${patterns.map(() => 'routing_reason LIKE ?').join(' OR ') || '0'})
+        `;
+
+        return await this._queryOne(sql, [midpoint, midpoint, ...params, ...patterns]);
+    }
+
+    /**
+     * Build the time, model, task type and account conditions shared by the analytics queries
+     * @private
+     * @param {object} filters - {hours, models, taskTypes, userId}; userId limits rows to one account (null: the
+     *                           instance owner), and leaving it out covers every account
+     * @param {object} columns - {time, model, task, user} column names; since: 'DATE' for date-only time columns
+     * @returns {object} {where, params}
+     */
+    _analyticsFilter({ hours = 168, models = [], taskTypes = [], userId } = {}, columns = {}) {
+        const { time = 'timestamp', model = 'model_name', task = 'task_type', user = 'user_id', since = 'datetime' } = columns;
+        const conditions = [`${time} >= ${since}('now', ?)`];
+        const params = [`-${hours} hours`];
+        if (userId !== undefined) {
+            conditions.push(`${user} IS ?`);
+            params.push(userId);
+        }
+
+        for (const [column, values] of [[model, models], [task, taskTypes]]) {
+            if (values.length > 0) {
+                conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+                params.push(...values);
+            }
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    /**
+     * Parse alternatives_considered, which older rows stored JSON-encoded twice
+     * @private
+     */
+    _parseAlternatives(value) {
+        try {
+            let parsed = value ? JSON.parse(value) : [];
+            if (typeof parsed === 'string') parsed = JSON.parse(parsed);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Get model recommendations based on historical performance
+     * @param {string} taskType - Type of task
+     * @returns {Promise<Array>} Recommended models in order of preference
+     */
+    async getModelRecommendations(taskType) {
+        const sql = `
+            SELECT 
+                model_name,
+                COUNT(*) as usage_count,
+                AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) as success_rate,
+                AVG(response_time_ms) as avg_response_time,
+                AVG(user_rating) as avg_rating,
+                -- Composite score: success_rate * 0.4 + (1/avg_response_time) * 0.2 + avg_rating * 0.4
+                (AVG(CASE WHEN success THEN 1.0 ELSE 0.0 END) * 0.4 + 
+                 (1000.0 / NULLIF(AVG(response_time_ms), 0)) * 0.2 + 
+                 COALESCE(AVG(user_rating), 3.0) * 0.08) as composite_score
+            FROM model_performance
+            WHERE task_type = ? AND cache_hit = FALSE AND timestamp > datetime('now', '-30 days')
+            GROUP BY model_name
+            HAVING usage_count >= 3
+            ORDER BY composite_score DESC
+        `;
+
+        return await this._query(sql, [taskType]);
+    }
+
+    // ==========================================
+    // DATABASE MAINTENANCE OPERATIONS
+    // ==========================================
+
+    /**
+     * Copy the database to a file with SQLite's online backup API; other connections keep writing meanwhile
+     * @param {string} destPath - Backup file, overwritten if it exists
+     * @returns {Promise<void>}
+     */
+    async backupTo(destPath) {
+        await this.initialize();
+        await this._copyPages((callback) => this.db.backup(destPath, callback));
+    }
+
+    /**
+     * Replace the database contents with a backup file through the backup API,
+     * so connections that are already open see the restored data
+     * @param {string} srcPath - Backup file
+     * @returns {Promise<void>}
+     */
+    async restoreFrom(srcPath) {
+        await this.initialize();
+        await this._copyPages((callback) => this.db.backup(srcPath, 'main', 'main', false, callback));
+    }
+
+    /**
+     * Run a backup to completion, retrying while another connection holds a lock
+     * @private
+     */
+    async _copyPages(start) {
+        const backup = await new Promise((resolve, reject) => {
+            const created = start((err) => (err ? reject(err) : resolve(created)));
+        });
+        const step = () => new Promise((resolve, reject) => {
+            backup.step(-1, (err) => (err ? reject(err) : resolve()));
+        });
+
+        try {
+            for (let attempt = 1; !backup.completed; attempt++) {
+                try {
+                    await step();
+                } catch (error) {
+                    if (backup.failed || attempt >= BACKUP_RETRIES) throw error;
+                    await new Promise(resolve => setTimeout(resolve, 200 * attempt));
+                }
+            }
+        } finally {
+            await new Promise(resolve => backup.finish(() => resolve()));
+        }
+    }
+
+    /**
+     * Rebuild the database file to reclaim space left by deleted rows
+     * @returns {Promise<void>}
+     */
+    async vacuum() {
+        await this._query('VACUUM');
+    }
+
+    /**
+     * Refresh the statistics the query planner uses to pick indexes
+     * @returns {Promise<void>}
+     */
+    async analyze() {
+        await this._query('ANALYZE');
+    }
+
+    /**
+     * Row counts of every table
+     * @returns {Promise<object>} table -> rows
+     */
+    async getTableCounts() {
+        const tables = await this._query(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+        );
+        const counts = {};
+        for (const { name } of tables) {
+            counts[name] = (await this._queryOne(`SELECT COUNT(*) as count FROM "${name}"`)).count;
+        }
+        return counts;
+    }
+
+    /**
+     * Record a maintenance run
+     * @param {object} run - {triggered_by, status, deleted, size_before, size_after, backup_path, backup_verified, duration_ms, error}
+     * @returns {Promise<number>} Run ID
+     */
+    async saveMaintenanceRun(run) {
+        const result = await this._query(
+            `INSERT INTO maintenance_runs (
+                triggered_by, status, deleted, size_before, size_after, backup_path, backup_verified, duration_ms, error
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                run.triggered_by,
+                run.status,
+                run.deleted ? JSON.stringify(run.deleted) : null,
+                run.size_before ?? null,
+                run.size_after ?? null,
+                run.backup_path || null,
+                run.backup_verified ?? null,
+                run.duration_ms ?? null,
+                run.error || null
+            ]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Most recent maintenance runs
+     * @param {number} limit - Runs to return
+     * @returns {Promise<Array>} Runs, newest first
+     */
+    async getMaintenanceRuns(limit = 10) {
+        const rows = await this._query('SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT ?', [limit]);
+        return rows.map(row => ({
+            ...row,
+            deleted: row.deleted ? JSON.parse(row.deleted) : {},
+            backup_verified: row.backup_verified === null ? null : !!row.backup_verified
+        }));
+    }
+
+    // ==========================================
+    // WORKFLOW STATE OPERATIONS
+    // ==========================================
+
+    /**
+     * Insert or replace a workflow snapshot
+     * @param {object} workflow - {id, kind, user_id, name, state, execution_strategy, definition, created_at}
+     * @returns {Promise<void>}
+     */
+    async saveWorkflowState(workflow) {
+        await this._query(
+            `INSERT INTO workflows (id, kind, user_id, name, state, execution_strategy, definition, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+             ON CONFLICT(id) DO UPDATE SET
+                user_id = excluded.user_id,
+                name = excluded.name,
+                state = excluded.state,
+                execution_strategy = excluded.execution_strategy,
+                definition = excluded.definition,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                workflow.id,
+                workflow.kind,
+                workflow.user_id ?? null,
+                workflow.name || null,
+                workflow.state,
+                workflow.execution_strategy || null,
+                JSON.stringify(workflow.definition),
+                workflow.created_at || null
+            ]
+        );
+    }
+
+    /**
+     * One workflow snapshot
+     * @param {string} id - Workflow ID
+     * @returns {Promise<object|null>} Row with definition parsed
+     */
+    async getWorkflowState(id) {
+        const row = await this._queryOne('SELECT * FROM workflows WHERE id = ?', [id]);
+        return row ? { ...row, definition: JSON.parse(row.definition) } : null;
+    }
+
+    /**
+     * Workflow snapshots of one kind, oldest first
+     * @param {string} kind - 'orchestrator' or 'ambient'
+     * @param {Array<string>} states - Only workflows in these states; all when empty
+     * @returns {Promise<Array>} Rows with definition parsed
+     */
+    async getWorkflowStates(kind, states = []) {
+        const stateFilter = states.length > 0 ? `AND state IN (${states.map(() => '?').join(', ')})` : '';
+        const rows = await this._query(
+            `SELECT * FROM workflows WHERE kind = ? ${stateFilter} ORDER BY created_at, id`,
+            [kind, ...states]
+        );
+        return rows.map(row => ({ ...row, definition: JSON.parse(row.definition) }));
+    }
+
+    /**
+     * Append to a workflow's audit trail
+     * @param {object} event - {workflow_id, event_type, from_state, to_state, step_index, details}
+     * @returns {Promise<number>} Event ID
+     */
+    async saveWorkflowEvent(event) {
+        const result = await this._query(
+            `INSERT INTO workflow_events (workflow_id, event_type, from_state, to_state, step_index, details)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                event.workflow_id,
+                event.event_type,
+                event.from_state || null,
+                event.to_state || null,
+                event.step_index ?? null,
+                event.details ? JSON.stringify(event.details) : null
+            ]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * A workflow's audit trail
+     * @param {string} workflowId - Workflow ID
+     * @returns {Promise<Array>} Events in the order they happened
+     */
+    async getWorkflowEvents(workflowId) {
+        const rows = await this._query('SELECT * FROM workflow_events WHERE workflow_id = ? ORDER BY id', [workflowId]);
+        return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : {} }));
+    }
+
+    /**
+     * Insert or replace a queued automation run
+     * @param {object} item - {id, rule, trigger_data, queued_at, run_after, attempts, status, error}; times in ms
+     * @returns {Promise<void>}
+     */
+    async saveAutomationQueueItem(item) {
+        await this._query(
+            `INSERT OR REPLACE INTO automation_queue (id, rule_id, rule, trigger_data, queued_at, run_after, attempts, status, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                item.id,
+                item.rule?.id ?? null,
+                JSON.stringify(item.rule),
+                item.trigger_data ? JSON.stringify(item.trigger_data) : null,
+                new Date(item.queued_at).toISOString(),
+                new Date(item.run_after ?? item.queued_at).toISOString(),
+                item.attempts || 0,
+                item.status || 'queued',
+                item.error || null
+            ]
+        );
+    }
+
+    /**
+     * Queued automation runs
+     * @param {Array<string>} statuses - Only runs with these statuses; all when empty
+     * @returns {Promise<Array>} Runs in queue order, with times in ms
+     */
+    async getAutomationQueue(statuses = []) {
+        const statusFilter = statuses.length > 0 ? `WHERE status IN (${statuses.map(() => '?').join(', ')})` : '';
+        const rows = await this._query(`SELECT * FROM automation_queue ${statusFilter} ORDER BY queued_at, rowid`, statuses);
+        return rows.map(row => ({
+            ...row,
+            rule: JSON.parse(row.rule),
+            trigger_data: row.trigger_data ? JSON.parse(row.trigger_data) : {},
+            queued_at: new Date(row.queued_at).getTime(),
+            run_after: new Date(row.run_after).getTime()
+        }));
+    }
+
+    /**
+     * Remove a run from the automation queue once it has finished
+     * @param {string} id - Queue item ID
+     * @returns {Promise<number>} Rows deleted
+     */
+    async deleteAutomationQueueItem(id) {
+        const result = await this._query('DELETE FROM automation_queue WHERE id = ?', [id]);
+        return result.changes;
+    }
+
+    // ==========================================
+    // UTILITY METHODS
+    // ==========================================
+
+    /**
+     * Generate a session ID for grouping related requests
+     * @returns {string} Session ID
+     */
+    generateSessionId() {
+        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Clean up old data based on retention policies
+     * Rows still pointed at by rows kept longer are handled as RETENTION_REFERENCES says
+     * @param {object} retentionPolicies - Days to keep data for each table
+     * @returns {Promise<object>} Cleanup summary
+     */
+    async cleanupOldData(retentionPolicies = {}) {
+        const defaults = {
+            model_performance: 90,
+            routing_decisions: 90,
+            user_feedback: 365,
+            learning_insights: null, // Keep forever
+            journal_entries: null,   // Keep forever
+            context_data: null,      // Each event's retention_days, see pruneContextData
+            response_cache: 30,
+            cost_ledger: 400 // Keeps last year's months for budget comparisons
+        };
+
+        const unknown = Object.keys(retentionPolicies).filter(table => !(table in defaults));
+        if (unknown.length > 0) {
+            throw new Error(`No retention policy for ${unknown.join(', ')}. Use one of ${Object.keys(defaults).join(', ')}`);
+        }
+
+        const policies = { ...defaults, ...retentionPolicies };
+        const summary = {};
+
+        for (const [table, days] of Object.entries(policies)) {
+            if (days === null || table === 'context_data') continue; // Kept forever, or per event below
+
+            const column = table === 'journal_entries' ? 'date' : 'timestamp';
+            const references = RETENTION_REFERENCES[table] || [];
+            const expired = `${column} < datetime('now', '-' || ? || ' days')` + references
+                .filter(reference => reference.action === 'keep')
+                .map(({ table: child, column: childColumn }) => ` AND id NOT IN (SELECT ${childColumn} FROM ${child} WHERE ${childColumn} IS NOT NULL)`)
+                .join('');
+
+            for (const { table: child, column: childColumn } of references.filter(reference => reference.action === 'clear')) {
+                await this._query(`UPDATE ${child} SET ${childColumn} = NULL WHERE ${childColumn} IN (SELECT id FROM ${table} WHERE ${expired})`, [days]);
+            }
+            const result = await this._query(`DELETE FROM ${table} WHERE ${expired}`, [days]);
             summary[table] = result.changes;
         }
+        summary.context_data = await this.pruneContextData({ maxDays: retentionPolicies.context_data ?? null });
 
         return summary;
     }
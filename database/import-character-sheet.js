@@ -4,6 +4,8 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const DatabaseManager = require('./DatabaseManager');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const { validateCharacterSheet } = require('../src/core/character-sheet-schema');
 
 /**
  * Character Sheet Importer
@@ -28,6 +30,12 @@ class CharacterSheetImporter {
             const yamlContent = fs.readFileSync(this.characterSheetPath, 'utf8');
             const characterData = yaml.load(yamlContent);
             
+            const registry = new AdapterRegistry();
+            const problems = validateCharacterSheet(characterData, { isKnownModel: model => registry.has(model) });
+            if (problems.length > 0) {
+                throw new Error(`Invalid character sheet: ${problems.join('; ')}`);
+            }
+            
             console.log('✅ Character sheet loaded successfully');
             return characterData;
 
@@ -6,6 +6,7 @@ CREATE INDEX IF NOT EXISTS idx_model_performance_model ON model_performance(mode
 CREATE INDEX IF NOT EXISTS idx_model_performance_task_type ON model_performance(task_type);
 CREATE INDEX IF NOT EXISTS idx_model_performance_success ON model_performance(success);
 CREATE INDEX IF NOT EXISTS idx_model_performance_session ON model_performance(session_id);
+CREATE INDEX IF NOT EXISTS idx_model_performance_cache_hit ON model_performance(cache_hit);
 
 CREATE INDEX IF NOT EXISTS idx_routing_decisions_timestamp ON routing_decisions(timestamp);
 CREATE INDEX IF NOT EXISTS idx_routing_decisions_task_type ON routing_decisions(task_type);
@@ -25,4 +26,15 @@ CREATE INDEX IF NOT EXISTS idx_context_data_timestamp ON context_data(timestamp)
 CREATE INDEX IF NOT EXISTS idx_context_data_source ON context_data(source_type);
 CREATE INDEX IF NOT EXISTS idx_context_data_activity ON context_data(activity_type);
 CREATE INDEX IF NOT EXISTS idx_context_data_project ON context_data(project_name);
-CREATE INDEX IF NOT EXISTS idx_context_data_processed ON context_data(processed);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_context_data_processed ON context_data(processed);
+CREATE INDEX IF NOT EXISTS idx_response_cache_lookup ON response_cache(model_key, options_hash, embedding_model);
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_timestamp ON cost_ledger(timestamp);
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_project ON cost_ledger(project_name);
+CREATE INDEX IF NOT EXISTS idx_memory_entries_scope ON memory_entries(scope_type, scope_name, timestamp);
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_user ON cost_ledger(user_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_workflows_state ON workflows(kind, state);
+CREATE INDEX IF NOT EXISTS idx_workflow_events_workflow ON workflow_events(workflow_id, id);
+CREATE INDEX IF NOT EXISTS idx_eval_results_model ON eval_results(model_name, task_type, timestamp);
+CREATE INDEX IF NOT EXISTS idx_eval_results_run ON eval_results(run_id);
\ No newline at end of file
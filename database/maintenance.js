@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const DatabaseManager = require('./DatabaseManager');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BACKUP_PATTERN = /^steward-backup-.+\.db$/;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    run_at_hour: 3,
+    retention_days: {},
+    vacuum: true,
+    analyze: true,
+    backups: { directory: 'database/backups', keep: 7 }
+};
+
+/**
+ * Database Maintenance
+ * Retention, VACUUM/ANALYZE and rotating online backups for database/steward.db
+ *
+ * Backups use SQLite's backup API, so the backend keeps serving requests while they are taken.
+ * Each backup is opened read-only afterwards and must pass PRAGMA integrity_check with every
+ * table of the live database in it before it counts as verified; restore refuses unverified files.
+ */
+class DatabaseMaintenance {
+    /**
+     * @param {object} options - {dbManager, config}; config defaults to database_maintenance in models.yaml
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        const config = options.config || DatabaseMaintenance.loadConfig();
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            backups: { ...DEFAULT_CONFIG.backups, ...(config.backups || {}) }
+        };
+        this.backupDir = path.resolve(ROOT_DIR, this.config.backups.directory);
+        this.running = null;
+        // When the schedule was first checked; stands in for the last run until there is one
+        this.scheduledSince = null;
+    }
+
+    /**
+     * Read the database_maintenance block from models.yaml
+     * @param {string} modelsPath - Path to models.yaml
+     * @returns {object} Maintenance config, or an empty object when there is none
+     */
+    static loadConfig(modelsPath = path.join(ROOT_DIR, 'models', 'models.yaml')) {
+        try {
+            const modelsData = yaml.load(fs.readFileSync(modelsPath, 'utf8')) || {};
+            return modelsData.database_maintenance || {};
+        } catch (error) {
+            console.warn('Warning: Could not load database maintenance config:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Open a database file read-only and check it
+     * @param {string} filePath - Database file
+     * @returns {Promise<object>} {integrity, tables}; integrity is 'ok' or the problems SQLite found
+     */
+    static inspect(filePath) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+                if (err) return reject(new Error(`Cannot open ${filePath}: ${err.message}`));
+
+                const all = (sql) => new Promise((done, fail) => db.all(sql, (queryErr, rows) => (queryErr ? fail(queryErr) : done(rows))));
+                (async () => {
+                    const integrity = (await all('PRAGMA integrity_check')).map(row => row.integrity_check);
+                    const names = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+                    const tables = {};
+                    for (const { name } of names) {
+                        tables[name] = (await all(`SELECT COUNT(*) as count FROM "${name}"`))[0].count;
+                    }
+                    return { integrity: integrity.join('; '), tables };
+                })()
+                    .then(result => db.close(() => resolve(result)))
+                    .catch(queryErr => db.close(() => reject(new Error(`Cannot read ${filePath}: ${queryErr.message}`))));
+            });
+        });
+    }
+
+    /**
+     * Size of the live database file
+     * @returns {number|null} Bytes
+     */
+    fileSize() {
+        try {
+            return fs.statSync(this.dbManager.dbPath).size;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Apply retention, compact the file, then back it up; runs started while one is going join it
+     * @param {object} options - {triggeredBy}: 'cli', 'schedule' or 'api'
+     * @returns {Promise<object>} The recorded run, with the backup's verification
+     */
+    async run({ triggeredBy = 'cli' } = {}) {
+        if (!this.running) {
+            this.running = this.runSteps(triggeredBy).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Run each maintenance step and record the outcome
+     * @private
+     */
+    async runSteps(triggeredBy) {
+        const startTime = Date.now();
+        const run = {
+            triggered_by: triggeredBy,
+            status: 'ok',
+            deleted: null,
+            size_before: this.fileSize(),
+            size_after: null,
+            backup_path: null,
+            backup_verified: null,
+            error: null
+        };
+        let backup = null;
+
+        try {
+            run.deleted = await this.dbManager.cleanupOldData(this.config.retention_days || {});
+            if (this.config.vacuum) await this.dbManager.vacuum();
+            if (this.config.analyze) await this.dbManager.analyze();
+            run.size_after = this.fileSize();
+
+            if (this.config.backups.keep > 0) {
+                backup = await this.backup();
+                run.backup_path = backup.path;
+                run.backup_verified = backup.verified;
+                if (!backup.verified) {
+                    throw new Error(`Backup ${path.basename(backup.path)} failed verification: ${backup.problems.join('; ')}`);
+                }
+            }
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+        }
+
+        run.duration_ms = Date.now() - startTime;
+        run.id = await this.dbManager.saveMaintenanceRun(run);
+        return { ...run, backup };
+    }
+
+    /**
+     * Run the nightly maintenance if it has not run since the last run_at_hour. Without any
+     * previous run the first one waits for the next run_at_hour rather than purging right away.
+     * @param {Date} now - Current time
+     * @returns {Promise<object|null>} The run, or null when none was due
+     */
+    async runIfDue(now = new Date()) {
+        if (!this.config.enabled) return null;
+
+        if (!this.scheduledSince) this.scheduledSince = now;
+        const [lastRun] = await this.dbManager.getMaintenanceRuns(1);
+        if (this.lastRunTime(lastRun) >= this.lastScheduledTime(now)) {
+            return null;
+        }
+        return this.run({ triggeredBy: 'schedule' });
+    }
+
+    /**
+     * When the schedule last counts as having run: the last run, or when it was first checked
+     * @param {object} lastRun - Latest maintenance_runs row, if any
+     * @returns {Date}
+     */
+    lastRunTime(lastRun) {
+        if (lastRun) return DatabaseMaintenance.parseTimestamp(lastRun.timestamp);
+        return this.scheduledSince || new Date();
+    }
+
+    /**
+     * The most recent run_at_hour at or before now, local time
+     * @param {Date} now - Current time
+     * @returns {Date}
+     */
+    lastScheduledTime(now = new Date()) {
+        const scheduled = new Date(now);
+        scheduled.setHours(this.config.run_at_hour, 0, 0, 0);
+        if (scheduled > now) {
+            scheduled.setDate(scheduled.getDate() - 1);
+        }
+        return scheduled;
+    }
+
+    /**
+     * Parse a CURRENT_TIMESTAMP value, which SQLite stores in UTC without a zone
+     * @param {string} timestamp - 'YYYY-MM-DD HH:MM:SS'
+     * @returns {Date}
+     */
+    static parseTimestamp(timestamp) {
+        return new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+    }
+
+    /**
+     * Take an online backup, verify it and delete the oldest past backups.keep
+     * @param {object} options - {rotate}; false keeps every older backup
+     * @returns {Promise<object>} {path, size, verified, integrity, tables, problems, removed}
+     */
+    async backup({ rotate = true } = {}) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const backupPath = path.join(this.backupDir, `steward-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.db`);
+
+        await this.dbManager.backupTo(backupPath);
+        const verification = await this.verifyBackup(backupPath);
+        const removed = rotate ? this.rotateBackups(backupPath) : [];
+
+        return { ...verification, size: fs.statSync(backupPath).size, removed };
+    }
+
+    /**
+     * Check that a backup opens, passes integrity_check and has every table of the live database
+     * @param {string} file - Backup path, or the name of a file in the backup directory
+     * @returns {Promise<object>} {path, verified, integrity, tables, problems}
+     */
+    async verifyBackup(file) {
+        const backupPath = this.resolveBackup(file);
+        const problems = [];
+        let inspection = { integrity: null, tables: {} };
+
+        try {
+            inspection = await DatabaseMaintenance.inspect(backupPath);
+            if (inspection.integrity !== 'ok') {
+                problems.push(`integrity_check: ${inspection.integrity}`);
+            }
+
+            const expected = Object.keys(await this.dbManager.getTableCounts());
+            const missing = expected.filter(table => !(table in inspection.tables));
+            if (missing.length > 0) {
+                problems.push(`missing tables: ${missing.join(', ')}`);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+
+        return { path: backupPath, verified: problems.length === 0, ...inspection, problems };
+    }
+
+    /**
+     * Replace the live database with a verified backup; the current contents are backed up first
+     * @param {string} file - Backup path, or the name of a file in the backup directory
+     * @returns {Promise<object>} {restored, safety_backup, tables}
+     */
+    async restore(file) {
+        const verification = await this.verifyBackup(file);
+        if (!verification.verified) {
+            throw new Error(`Refusing to restore ${path.basename(verification.path)}: ${verification.problems.join('; ')}`);
+        }
+
+        const safety = await this.backup({ rotate: false });
+        if (!safety.verified) {
+            throw new Error(`Refusing to restore: could not back up the current database first (${safety.problems.join('; ')})`);
+        }
+
+        await this.dbManager.restoreFrom(verification.path);
+        const restored = await DatabaseMaintenance.inspect(this.dbManager.dbPath);
+        if (restored.integrity !== 'ok') {
+            throw new Error(`Restored database failed integrity_check (${restored.integrity}); the previous contents are in ${safety.path}`);
+        }
+
+        return { restored: verification.path, safety_backup: safety.path, tables: restored.tables };
+    }
+
+    /**
+     * Resolve a backup argument to a file that exists
+     * @private
+     */
+    resolveBackup(file) {
+        const candidates = [path.resolve(file), path.join(this.backupDir, path.basename(file))];
+        const found = candidates.find(candidate => fs.existsSync(candidate));
+        if (!found) {
+            throw new Error(`Backup not found: ${file}`);
+        }
+        return found;
+    }
+
+    /**
+     * Delete backups past backups.keep, oldest first; never the one just taken
+     * @private
+     */
+    rotateBackups(latestPath) {
+        const stale = this.listBackups().slice(Math.max(this.config.backups.keep, 1))
+            .filter(backup => backup.path !== latestPath);
+        for (const backup of stale) {
+            fs.unlinkSync(backup.path);
+        }
+        return stale.map(backup => backup.name);
+    }
+
+    /**
+     * Backups in the backup directory
+     * @returns {Array} {name, path, size, created_at}, newest first
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        return fs.readdirSync(this.backupDir)
+            .filter(name => BACKUP_PATTERN.test(name))
+            .map(name => {
+                const filePath = path.join(this.backupDir, name);
+                const stats = fs.statSync(filePath);
+                return { name, path: filePath, size: stats.size, created_at: stats.mtime.toISOString() };
+            })
+            .sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    /**
+     * Database size, recent runs, backups and when the next nightly run is due
+     * @returns {Promise<object>}
+     */
+    async status() {
+        const runs = await this.dbManager.getMaintenanceRuns(10);
+        const lastScheduled = this.lastScheduledTime();
+        const due = this.lastRunTime(runs[0]) < lastScheduled;
+        const nextRun = new Date(lastScheduled);
+        nextRun.setDate(nextRun.getDate() + 1);
+
+        return {
+            database: { path: this.dbManager.dbPath, size: this.fileSize() },
+            config: this.config,
+            running: !!this.running,
+            last_run: runs[0] || null,
+            next_run: this.config.enabled ? (due ? 'due' : nextRun.toISOString()) : null,
+            runs,
+            backup_directory: this.backupDir,
+            backups: this.listBackups()
+        };
+    }
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+        await this.dbManager.close();
+    }
+}
+
+/**
+ * Format a byte count
+ */
+function formatSize(bytes) {
+    return bytes === null || bytes === undefined ? '?' : `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Print a maintenance run
+ */
+function printRun(run) {
+    const deleted = Object.entries(run.deleted || {}).filter(([, count]) => count > 0);
+    console.log(`${run.status === 'ok' ? '✅' : '❌'} Maintenance ${run.status} in ${run.duration_ms}ms`);
+    console.log(`   Deleted: ${deleted.length ? deleted.map(([table, count]) => `${table} ${count}`).join(', ') : 'nothing past retention'}`);
+    console.log(`   Size: ${formatSize(run.size_before)} → ${formatSize(run.size_after)}`);
+    if (run.backup_path) {
+        console.log(`   Backup: ${run.backup_path} (${run.backup_verified ? 'verified' : 'NOT verified'})`);
+    }
+    if (run.backup?.removed?.length) {
+        console.log(`   Rotated out: ${run.backup.removed.join(', ')}`);
+    }
+    if (run.error) {
+        console.log(`   Error: ${run.error}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const maintenance = new DatabaseMaintenance();
+    const [command = 'run', file] = process.argv.slice(2);
+    const json = process.argv.includes('--json');
+    const output = (result, print) => (json ? console.log(JSON.stringify(result, null, 2)) : print(result));
+
+    const commands = {
+        'run': async () => {
+            const run = await maintenance.run({ triggeredBy: 'cli' });
+            output(run, printRun);
+            if (run.status !== 'ok') process.exitCode = 1;
+        },
+        'backup': async () => {
+            const backup = await maintenance.backup();
+            output(backup, result => {
+                console.log(`${result.verified ? '✅' : '❌'} Backup ${result.path} (${formatSize(result.size)})`);
+                result.problems.forEach(problem => console.log(`   - ${problem}`));
+                if (result.removed.length) console.log(`   Rotated out: ${result.removed.join(', ')}`);
+            });
+            if (!backup.verified) process.exitCode = 1;
+        },
+        'verify': async () => {
+            if (!file) throw new Error('verify needs a backup file - see "list"');
+            const verification = await maintenance.verifyBackup(file);
+            output(verification, result => {
+                console.log(`${result.verified ? '✅' : '❌'} ${result.path}`);
+                result.problems.forEach(problem => console.log(`   - ${problem}`));
+                if (result.verified) console.log(`   ${Object.keys(result.tables).length} tables, integrity ok`);
+            });
+            if (!verification.verified) process.exitCode = 1;
+        },
+        'restore': async () => {
+            if (!file) throw new Error('restore needs a backup file - see "list"');
+            const result = await maintenance.restore(file);
+            output(result, restored => {
+                console.log(`⏪ Restored ${restored.restored}`);
+                console.log(`   The database as it was before is in ${restored.safety_backup}`);
+            });
+        },
+        'list': async () => {
+            const backups = maintenance.listBackups();
+            output(backups, list => {
+                if (list.length === 0) console.log(`No backups in ${maintenance.backupDir} yet`);
+                list.forEach(backup => console.log(`   ${backup.name}  ${formatSize(backup.size)}`));
+            });
+        },
+        'status': async () => {
+            const status = await maintenance.status();
+            output(status, result => {
+                console.log(`\n🧹 ${result.database.path}: ${formatSize(result.database.size)}`);
+                console.log(`   Next nightly run: ${result.next_run || 'disabled'}`);
+                console.log(`   Backups: ${result.backups.length} in ${result.backup_directory}`);
+                if (result.last_run) {
+                    console.log(`   Last run ${result.last_run.timestamp} UTC (${result.last_run.triggered_by}):`);
+                    printRun(result.last_run);
+                }
+            });
+        },
+        'help': async () => {
+            console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║                    DATABASE MAINTENANCE                       ║
+║                   The Steward Database                        ║
+╚═══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node database/maintenance.js [command] [file] [--json]
+
+COMMANDS:
+  run              Apply retention, VACUUM and ANALYZE, then back up (default)
+  backup           Take and verify an online backup
+  verify <file>    Check a backup's integrity and tables
+  restore <file>   Replace the database with a verified backup; the
+                   current database is backed up first
+  list             List backups
+  status           Show size, the last run and the next nightly run
+  help             Show this help message
+
+Retention, schedule and backup rotation are set in database_maintenance
+in models/models.yaml. The backend runs maintenance nightly after
+run_at_hour while it is up.
+
+EXAMPLES:
+  npm run db:maintain
+  npm run db:maintain -- status
+  npm run db:maintain -- restore steward-backup-2026-10-19T03-00-00-000Z.db
+            `);
+        }
+    };
+
+    if (commands[command]) {
+        commands[command]()
+            .catch(error => {
+                console.error('Command failed:', error.message);
+                process.exitCode = 1;
+            })
+            .finally(() => maintenance.close());
+    } else {
+        console.error(`Unknown command: ${command}`);
+        commands.help();
+        process.exit(1);
+    }
+}
+
+module.exports = DatabaseMaintenance;
@@ -94,7 +94,11 @@ CREATE TABLE IF NOT EXISTS model_performance (
     user_rating INTEGER, -- 1-5 scale, NULL if no rating
     
     -- Session tracking
-    session_id TEXT -- For grouping related requests
+    session_id TEXT, -- For grouping related requests
+    user_id INTEGER, -- Account that made the request; NULL for the instance owner
+    
+    -- Response cache
+    cache_hit BOOLEAN NOT NULL DEFAULT FALSE -- Served from response_cache; tokens are what the model would have used
 );
 
 -- Routing Decisions
@@ -106,6 +110,7 @@ CREATE TABLE IF NOT EXISTS routing_decisions (
     -- Original request
     task_type TEXT NOT NULL,
     prompt_snippet TEXT, -- First 100 chars of prompt for context
+    prompt_text TEXT, -- Whole prompt with secrets and PII masked, for routing replay
     
     -- Routing decision
     chosen_model TEXT NOT NULL,
@@ -117,10 +122,13 @@ CREATE TABLE IF NOT EXISTS routing_decisions (
     -- Context that influenced decision
     time_of_day INTEGER, -- 0-23
     user_loadout TEXT, -- 'creative', 'sqa_mode', 'frugal_mode', etc.
+    user_id INTEGER, -- Account that made the request; NULL for the instance owner
     fallback_triggered BOOLEAN DEFAULT FALSE,
     
     -- Decision confidence
     confidence_score REAL, -- 0.0-1.0 how confident the routing was
+    task_type_source TEXT DEFAULT 'rules', -- 'rules', 'learned', 'blended' or 'explicit' (--task)
+    sensitive_data TEXT, -- JSON {action, detectors}: secrets or PII found and whether they were redacted or kept local
     
     -- Link to performance result
     performance_id INTEGER,
@@ -136,6 +144,7 @@ CREATE TABLE IF NOT EXISTS user_feedback (
     -- Link to the request being rated
     performance_id INTEGER NOT NULL,
     routing_id INTEGER,
+    user_id INTEGER, -- Account that gave the feedback; NULL for the instance owner
     
     -- Feedback data
     satisfaction_rating INTEGER, -- 1-5 scale
@@ -154,6 +163,7 @@ CREATE TABLE IF NOT EXISTS user_feedback (
     -- Model preference feedback
     preferred_model TEXT, -- What model user thinks should have been used
     routing_feedback TEXT, -- 'good_choice', 'wrong_model', 'should_have_fallback'
+    corrected_task_type TEXT, -- Task type the request should have been classified as
     
     FOREIGN KEY (performance_id) REFERENCES model_performance(id),
     FOREIGN KEY (routing_id) REFERENCES routing_decisions(id)
@@ -232,7 +242,8 @@ CREATE TABLE IF NOT EXISTS journal_entries (
     
     -- Metadata
     word_count INTEGER, -- Total words written in all fields
-    completion_percentage REAL -- How much of the journal was filled out (0.0-1.0)
+    completion_percentage REAL, -- How much of the journal was filled out (0.0-1.0)
+    summarized_at DATETIME -- When the end-of-day summary filled in usage from the logs
 );
 
 -- Context Data
@@ -242,7 +253,7 @@ CREATE TABLE IF NOT EXISTS context_data (
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     
     -- Context source
-    source_type TEXT NOT NULL, -- 'vscode', 'terminal', 'browser', 'system', 'manual'
+    source_type TEXT NOT NULL, -- 'vscode', 'terminal', 'browser', 'system', 'manual', 'file_watcher'
     source_details TEXT, -- JSON object with source-specific details
     
     -- Activity data
@@ -269,4 +280,217 @@ CREATE TABLE IF NOT EXISTS context_data (
     -- Privacy and sensitivity
     contains_sensitive BOOLEAN DEFAULT FALSE, -- Flag for data that should be handled carefully
     retention_days INTEGER DEFAULT 30 -- How long to keep this context data
+);
+
+-- Response Cache
+-- Model responses reused for repeated prompts; near-duplicate lookup compares prompt embeddings
+CREATE TABLE IF NOT EXISTS response_cache (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Lookup key
+    cache_key TEXT NOT NULL UNIQUE, -- Hash of model, sampling options and normalized prompt
+    model_key TEXT NOT NULL, -- Resolved model (aliases share entries)
+    options_hash TEXT NOT NULL, -- Hash of the sampling options
+    task_type TEXT, -- Classifier task type; decides the TTL
+    
+    -- Prompt and near-duplicate data
+    prompt_text TEXT NOT NULL, -- Normalized prompt with secrets and PII masked; lookups use cache_key and embedding
+    embedding TEXT, -- JSON array, NULL when near-duplicate mode is off
+    embedding_model TEXT, -- 'hashed-256', 'ollama:nomic-embed-text', etc.
+    
+    -- Cached response
+    response_content TEXT NOT NULL,
+    response_metadata TEXT, -- JSON object (usage, finish_reason, model)
+    tokens_total INTEGER,
+    
+    -- Lifetime and usage
+    expires_at DATETIME NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    last_hit_at DATETIME
+);
+
+-- Cost Ledger
+-- What each model call cost, priced from cost_per_token in models.yaml; budgets are enforced from these rows
+CREATE TABLE IF NOT EXISTS cost_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    performance_id INTEGER,
+    
+    -- What ran
+    model_name TEXT NOT NULL, -- Requested model name
+    priced_model TEXT, -- models.yaml entry whose cost_per_token was used
+    adapter_type TEXT NOT NULL, -- 'local' or 'cloud'
+    task_type TEXT,
+    
+    -- Budget scopes
+    project_name TEXT, -- NULL when the request had no project
+    session_id TEXT,
+    user_id INTEGER, -- Account billed; NULL for the instance owner
+    
+    -- Usage and price
+    tokens_prompt INTEGER,
+    tokens_completion INTEGER,
+    tokens_total INTEGER NOT NULL,
+    tokens_estimated BOOLEAN DEFAULT FALSE, -- Adapter reported no usage; counted from text length
+    cost_per_token REAL NOT NULL,
+    cost_usd REAL NOT NULL,
+    
+    FOREIGN KEY (performance_id) REFERENCES model_performance(id)
+);
+
+-- Memory Entries
+-- Persistent memory injected into prompts; scoped per project, loadout or globally by memory_use in character-sheet.yaml
+CREATE TABLE IF NOT EXISTS memory_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Scope
+    scope_type TEXT NOT NULL, -- 'project', 'loadout' or 'global'
+    scope_name TEXT NOT NULL, -- Project or loadout name; 'global' for the global scope
+    user_id INTEGER, -- Account the memory belongs to; NULL for the instance owner
+    kind TEXT DEFAULT 'note', -- 'note', 'task', 'routing', etc.
+    
+    -- Content
+    content TEXT NOT NULL, -- Text that is matched and injected into prompts
+    data TEXT, -- JSON object written by the caller
+    embedding TEXT, -- JSON array used for relevance ranking
+    embedding_model TEXT, -- 'hashed-256', 'ollama:nomic-embed-text', etc.
+    
+    -- Usage
+    recall_count INTEGER DEFAULT 0,
+    last_recalled_at DATETIME
+);
+
+-- Classifier Models
+-- Learned task classifiers trained from routing history, feedback corrections and --task overrides
+CREATE TABLE IF NOT EXISTS classifier_models (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    model_type TEXT NOT NULL, -- 'naive_bayes'
+    model_data TEXT NOT NULL, -- JSON: labels, feature counts, calibration temperature
+    training_examples INTEGER NOT NULL,
+    metrics TEXT -- JSON: held-out accuracy and calibration at training time
+);
+
+-- Eval Results
+-- Offline eval scores per case and model; suites live in evals/*.yaml
+CREATE TABLE IF NOT EXISTS eval_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    run_id TEXT NOT NULL, -- Shared by every case and model evaluated together
+    
+    -- Case
+    suite TEXT NOT NULL,
+    task_type TEXT NOT NULL, -- Classifier task type the suite covers
+    case_id TEXT NOT NULL,
+    model_name TEXT NOT NULL,
+    
+    -- Outcome
+    score REAL NOT NULL, -- Weighted share of checks passed, 0-1
+    passed BOOLEAN NOT NULL, -- Every check passed
+    checks TEXT, -- JSON array: {type, passed, score, detail}
+    response_time_ms INTEGER,
+    response_snippet TEXT,
+    error_message TEXT,
+    mock BOOLEAN DEFAULT FALSE, -- Answered by the mock adapter, not the model
+    performance_id INTEGER,
+    
+    FOREIGN KEY (performance_id) REFERENCES model_performance(id)
+);
+
+-- Character Sheet Versions
+-- Snapshot of character-sheet.yaml after every change, for history, diffs and rollback
+CREATE TABLE IF NOT EXISTS character_sheet_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, -- Version number
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    author TEXT NOT NULL, -- user, suggestion, drift_detector, rollback or baseline (the sheet before the first tracked change)
+    source_id TEXT, -- Suggestion id or the version rolled back to
+    reason TEXT,
+    content TEXT NOT NULL, -- character-sheet.yaml as written
+    changes TEXT, -- JSON array of {path, op, before, after} against the previous version
+    user_id INTEGER -- Account whose sheet this is; NULL for character-sheet.yaml
+);
+
+-- Users
+-- Accounts on a shared instance, each with its own character sheet, loadouts, budget, feedback and memory
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    role TEXT NOT NULL DEFAULT 'member', -- 'owner' (uses character-sheet.yaml), 'admin' or 'member'
+    aliases TEXT -- JSON array of OpenAI "user" values that map to this account
+);
+
+-- API Keys
+-- Keys for /api and /v1; only a SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER NOT NULL,
+    label TEXT,
+    key_prefix TEXT NOT NULL, -- Start of the key, to tell keys apart
+    key_hash TEXT NOT NULL UNIQUE,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Maintenance Runs
+-- Retention, VACUUM/ANALYZE and backup runs from npm run db:maintain, the backend schedule or the API
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    triggered_by TEXT NOT NULL, -- 'cli', 'schedule' or 'api'
+    status TEXT NOT NULL, -- 'ok', or 'failed' when a step threw (see error)
+    deleted TEXT, -- JSON object: table -> rows removed by retention
+    size_before INTEGER, -- Database file size in bytes
+    size_after INTEGER,
+    backup_path TEXT,
+    backup_verified BOOLEAN,
+    duration_ms INTEGER,
+    error TEXT
+);
+
+-- Workflow State
+-- Snapshots of WorkflowOrchestrator and AmbientOrchestrator workflows, so the backend can pick them up after a restart
+CREATE TABLE IF NOT EXISTS workflows (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL, -- 'orchestrator' or 'ambient'
+    user_id INTEGER, -- Account the workflow belongs to; NULL for the instance owner
+    name TEXT,
+    state TEXT NOT NULL,
+    execution_strategy TEXT,
+    definition TEXT NOT NULL, -- JSON snapshot: steps, step results, schedule and progress
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Workflow Events
+-- Audit trail per workflow: state transitions, step results, decisions, resumes and restarts
+CREATE TABLE IF NOT EXISTS workflow_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    workflow_id TEXT NOT NULL,
+    event_type TEXT NOT NULL, -- 'created', 'state', 'step', 'decision', 'resume', 'skip', 'break', 'restored'
+    from_state TEXT,
+    to_state TEXT,
+    step_index INTEGER,
+    details TEXT -- JSON object
+);
+
+-- Automation Queue
+-- AutomationEngine runs waiting to start, including debounced runs and retries
+CREATE TABLE IF NOT EXISTS automation_queue (
+    id TEXT PRIMARY KEY,
+    rule_id TEXT,
+    rule TEXT NOT NULL, -- JSON rule as it was queued
+    trigger_data TEXT, -- JSON object
+    queued_at DATETIME NOT NULL,
+    run_after DATETIME NOT NULL, -- Debounce or retry delay
+    attempts INTEGER DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', or 'failed' when a restart interrupted the run
+    error TEXT
 );
\ No newline at end of file
@@ -40,4 +40,54 @@ SELECT
 FROM model_performance
 WHERE success = TRUE
 GROUP BY model_name, task_type
-ORDER BY usage_count DESC;
\ No newline at end of file
+ORDER BY usage_count DESC;
+
+-- Hourly usage per model, task type and account
+-- Columns are sums and counts so analytics can re-aggregate them over any filter
+CREATE VIEW IF NOT EXISTS model_usage_hourly AS
+SELECT 
+    DATE(timestamp) as date,
+    hour_of_day,
+    model_name,
+    task_type,
+    user_id,
+    COUNT(*) as request_count,
+    SUM(CASE WHEN success THEN 1 ELSE 0 END) as success_count,
+    SUM(response_time_ms) as total_response_time,
+    SUM(CASE WHEN cache_hit THEN 0 ELSE tokens_total END) as total_tokens,
+    SUM(CASE WHEN cache_hit THEN 1 ELSE 0 END) as cache_hits,
+    SUM(user_rating) as rating_sum,
+    COUNT(user_rating) as rating_count
+FROM model_performance
+GROUP BY DATE(timestamp), hour_of_day, model_name, task_type, user_id;
+
+-- Routing decisions with their outcome and latest feedback
+CREATE VIEW IF NOT EXISTS routing_outcomes AS
+SELECT 
+    rd.id,
+    rd.timestamp,
+    rd.task_type,
+    rd.prompt_snippet,
+    rd.chosen_model,
+    rd.routing_reason,
+    rd.alternatives_considered,
+    rd.time_of_day,
+    rd.user_loadout,
+    rd.fallback_triggered,
+    rd.confidence_score,
+    rd.performance_id,
+    rd.user_id,
+    CASE WHEN rd.task_type = 'uncensored_tasks' OR rd.routing_reason LIKE '%uncensored model%' THEN 1 ELSE 0 END as uncensored,
+    mp.response_time_ms,
+    mp.success,
+    mp.tokens_total,
+    uf.satisfaction_rating,
+    uf.quality_rating,
+    uf.routing_feedback,
+    uf.preferred_model
+FROM routing_decisions rd
+LEFT JOIN model_performance mp ON mp.id = rd.performance_id
+LEFT JOIN user_feedback uf ON uf.id = (
+    SELECT MAX(id) FROM user_feedback
+    WHERE routing_id = rd.id OR (rd.performance_id IS NOT NULL AND performance_id = rd.performance_id)
+);
\ No newline at end of file
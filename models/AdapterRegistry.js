@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const LocalDockerAdapter = require('./adapters/LocalDockerAdapter');
+const CloudAPIAdapter = require('./adapters/CloudAPIAdapter');
+const OllamaAdapter = require('./adapters/OllamaAdapter');
+const LlamaCppAdapter = require('./adapters/LlamaCppAdapter');
+const MockAdapter = require('./adapters/MockAdapter');
+const { registerDiscoveredModels } = require('./model-metadata');
+
+/**
+ * Adapter Registry
+ * Resolves model names to adapters using the `adapter` block of each models.yaml entry
+ * and loads third-party adapter types from a plugins directory
+ */
+class AdapterRegistry {
+    /**
+     * @param {object} options - {modelsPath, pluginsDir}
+     */
+    constructor(options = {}) {
+        this.modelsPath = options.modelsPath || path.join(__dirname, 'models.yaml');
+        this.pluginsDir = options.pluginsDir ||
+            process.env.STEWARD_ADAPTER_PLUGINS ||
+            path.join(__dirname, 'adapters', 'plugins');
+
+        this.adapterTypes = new Map(); // type -> {create, location}
+        this.models = new Map(); // model name or alias -> entry
+        this.adapters = new Map(); // adapter config key -> adapter instance
+
+        // Local servers whose installed models are discovered (local_discovery in models.yaml)
+        this.discoverySources = [];
+        this.discoveredNames = new Set();
+        this.discovery = null;
+        this.discoveryTtl = options.discoveryTtl || 60000;
+
+        this.registerAdapterType('local-docker', config => new LocalDockerAdapter(config), { location: 'local' });
+        this.registerAdapterType('cloud', config => new CloudAPIAdapter(config), { location: 'cloud' });
+        this.registerAdapterType('ollama', config => new OllamaAdapter(config), { location: 'local' });
+        this.registerAdapterType('llama-cpp', config => new LlamaCppAdapter(config), { location: 'local' });
+        this.registerAdapterType('mock', config => new MockAdapter(config), { location: 'local' });
+
+        this.loadPlugins();
+        this.loadModels();
+    }
+
+    /**
+     * Register an adapter type
+     * @param {string} type - Adapter type referenced by models.yaml entries
+     * @param {function} create - Factory called with the model's adapter config
+     * @param {object} options - {location: 'local'|'cloud'} used when a model has no privacy_tier
+     */
+    registerAdapterType(type, create, options = {}) {
+        if (!type || typeof create !== 'function') {
+            throw new Error('Adapter type requires a name and a create function');
+        }
+
+        this.adapterTypes.set(type, {
+            create,
+            location: options.location || 'cloud'
+        });
+    }
+
+    /**
+     * Load adapter plugins; each .js file exports {type, createAdapter(config), location}
+     */
+    loadPlugins() {
+        if (!fs.existsSync(this.pluginsDir)) {
+            return;
+        }
+
+        const files = fs.readdirSync(this.pluginsDir).filter(file => file.endsWith('.js')).sort();
+        for (const file of files) {
+            const pluginPath = path.join(this.pluginsDir, file);
+            try {
+                const plugin = require(pluginPath);
+                this.registerAdapterType(plugin.type, plugin.createAdapter, { location: plugin.location });
+            } catch (error) {
+                console.warn(`Skipping adapter plugin ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Load every models.yaml entry that declares an adapter
+     */
+    loadModels() {
+        let modelsData = {};
+        try {
+            modelsData = yaml.load(fs.readFileSync(this.modelsPath, 'utf8')) || {};
+        } catch (error) {
+            console.warn(`Could not load model registry from ${this.modelsPath}: ${error.message}`);
+            return;
+        }
+
+        if (Array.isArray(modelsData.local_discovery)) {
+            this.discoverySources = modelsData.local_discovery.filter(source => source && source.type);
+        }
+
+        for (const [name, metadata] of Object.entries(modelsData)) {
+            if (!metadata || !metadata.adapter) continue;
+            try {
+                this.registerModel(name, metadata.adapter, metadata);
+            } catch (error) {
+                console.warn(`Skipping model ${name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Register a model
+     * @param {string} name - Model name
+     * @param {object} adapterConfig - {type, model_id, endpoint, auth_env, wire_format, aliases, served_by}
+     * @param {object} metadata - Remaining models.yaml metadata (privacy_tier is used for location)
+     * @returns {object} Registered entry
+     */
+    registerModel(name, adapterConfig = {}, metadata = {}) {
+        const entry = {
+            name,
+            served_by: adapterConfig.served_by || null,
+            type: adapterConfig.type || null,
+            model_id: adapterConfig.model_id || name,
+            endpoint: adapterConfig.endpoint || null,
+            auth_env: adapterConfig.auth_env || null,
+            wire_format: adapterConfig.wire_format || null,
+            aliases: adapterConfig.aliases || [],
+            privacy_tier: metadata.privacy_tier || null
+        };
+
+        if (!entry.served_by && !entry.type) {
+            throw new Error(`Model ${name} must declare an adapter type or served_by`);
+        }
+
+        this.models.set(name, entry);
+        for (const alias of entry.aliases) {
+            this.models.set(alias, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Discover models installed on the local servers listed under local_discovery
+     * Declared models.yaml entries always win over a discovered model with the same name
+     * @param {object} options - {force: true} to ignore the cached result
+     * @returns {Promise<object>} {models, sources, timestamp}
+     */
+    async discoverModels(options = {}) {
+        if (!options.force && this.discovery && Date.now() - this.discovery.timestamp < this.discoveryTtl) {
+            return this.discovery;
+        }
+
+        // Models that are no longer installed must stop resolving
+        for (const name of this.discoveredNames) {
+            this.unregisterModel(name);
+        }
+        this.discoveredNames.clear();
+
+        const models = [];
+        const sources = [];
+
+        for (const source of this.discoverySources) {
+            const config = {
+                endpoint: source.endpoint || null,
+                auth_env: source.auth_env || null,
+                wire_format: source.wire_format || null
+            };
+
+            let adapter = null;
+            let installed;
+            try {
+                adapter = this.getAdapterForType(source.type, config);
+                if (typeof adapter.listModels !== 'function') {
+                    throw new Error(`Adapter type ${source.type} cannot list models`);
+                }
+                installed = await adapter.listModels();
+                sources.push({ type: source.type, endpoint: adapter.config.endpoint, status: 'available', model_count: installed.length });
+            } catch (error) {
+                const endpoint = adapter?.config?.endpoint || config.endpoint;
+                sources.push({ type: source.type, endpoint, status: 'unreachable', error: error.message });
+                continue;
+            }
+
+            for (const model of installed) {
+                const name = this.getDiscoveredName(model.model_id);
+                if (this.models.has(name)) {
+                    models.push({ ...model, name, source: source.type, registered: false, shadowed_by: name });
+                    continue;
+                }
+
+                // Ollama tags default to :latest; the bare name works too when it is free
+                const aliases = [];
+                const bareName = name.replace(/:latest$/, '');
+                if (bareName !== name && !this.models.has(bareName)) {
+                    aliases.push(bareName);
+                }
+
+                this.registerModel(name, { type: source.type, model_id: model.model_id, aliases, ...config }, { privacy_tier: 'local' });
+                this.discoveredNames.add(name);
+                models.push({ ...model, name, aliases, source: source.type, registered: true });
+            }
+        }
+
+        registerDiscoveredModels(models.filter(model => model.registered));
+
+        this.discovery = { models, sources, timestamp: Date.now() };
+        return this.discovery;
+    }
+
+    /**
+     * Turn a server-reported model id into a registry name
+     * llama.cpp reports file paths such as /models/SmolLM3-Q4_K_M.gguf
+     * @param {string} modelId - Model id from the server
+     * @returns {string} Model name
+     */
+    getDiscoveredName(modelId) {
+        return /\.gguf$/i.test(modelId) ? path.basename(modelId).replace(/\.gguf$/i, '') : modelId;
+    }
+
+    /**
+     * Remove a model and its aliases
+     * @param {string} name - Model name or alias
+     */
+    unregisterModel(name) {
+        const entry = this.models.get(name);
+        if (!entry) return;
+
+        for (const [key, value] of this.models) {
+            if (value === entry) {
+                this.models.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Resolve a model name or alias, following served_by substitutions
+     * @param {string} name - Model name or alias
+     * @returns {object|null} {name, entry_name, type, model_id, endpoint, auth_env, wire_format, location, key}
+     */
+    resolve(name) {
+        let entry = this.models.get(name);
+        const visited = new Set();
+
+        while (entry && entry.served_by) {
+            if (visited.has(entry.name)) {
+                throw new Error(`Circular served_by chain for model ${name}`);
+            }
+            visited.add(entry.name);
+            entry = this.models.get(entry.served_by);
+        }
+
+        if (!entry) {
+            return null;
+        }
+
+        const adapterType = this.adapterTypes.get(entry.type);
+        const location = entry.privacy_tier === 'local' || entry.privacy_tier === 'cloud'
+            ? entry.privacy_tier
+            : (adapterType ? adapterType.location : 'cloud');
+
+        return {
+            name,
+            entry_name: entry.name, // models.yaml entry that serves the request, after aliases and served_by
+            type: entry.type,
+            model_id: entry.model_id,
+            endpoint: entry.endpoint,
+            auth_env: entry.auth_env,
+            wire_format: entry.wire_format,
+            location,
+            // Names that resolve to the same key reach the same served model
+            key: [entry.type, entry.endpoint || '', entry.model_id].join('|')
+        };
+    }
+
+    /**
+     * Get the adapter instance that serves a model
+     * @param {string|object} model - Model name or resolved entry
+     * @returns {object} Adapter with sendRequest and streamRequest
+     */
+    getAdapter(model) {
+        const resolved = typeof model === 'string' ? this.resolve(model) : model;
+        if (!resolved) {
+            throw new Error(`Unknown model: ${model}`);
+        }
+
+        return this.getAdapterForType(resolved.type, {
+            endpoint: resolved.endpoint,
+            auth_env: resolved.auth_env,
+            wire_format: resolved.wire_format
+        });
+    }
+
+    /**
+     * Get a shared adapter instance for a type and connection config
+     * @param {string} type - Adapter type
+     * @param {object} config - {endpoint, auth_env, wire_format}
+     * @returns {object} Adapter instance
+     */
+    getAdapterForType(type, config = {}) {
+        const adapterType = this.adapterTypes.get(type);
+        if (!adapterType) {
+            throw new Error(`Unknown adapter type: ${type}. Registered types: ${[...this.adapterTypes.keys()].join(', ')}`);
+        }
+
+        const key = [type, config.endpoint || '', config.auth_env || '', config.wire_format || ''].join('|');
+        if (!this.adapters.has(key)) {
+            this.adapters.set(key, adapterType.create({ ...config }));
+        }
+
+        return this.adapters.get(key);
+    }
+
+    /**
+     * Check whether a model name or alias resolves
+     * @param {string} name - Model name or alias
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.resolve(name) !== null;
+    }
+
+    /**
+     * Get every registered name and alias
+     * @returns {string[]}
+     */
+    getModelNames() {
+        return [...this.models.keys()];
+    }
+
+    /**
+     * Map every registered name and alias to 'local' or 'cloud'
+     * @returns {object}
+     */
+    getRoutingTable() {
+        const table = {};
+        for (const name of this.models.keys()) {
+            try {
+                const resolved = this.resolve(name);
+                if (resolved) {
+                    table[name] = resolved.location;
+                }
+            } catch (error) {
+                // Broken served_by chains stay out of the table; resolving them reports the error
+            }
+        }
+        return table;
+    }
+}
+
+module.exports = AdapterRegistry;
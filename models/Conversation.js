@@ -0,0 +1,258 @@
+const { parseToolArguments } = require('./tool-calls');
+
+/**
+ * Conversation
+ * Ordered chat messages (system, user, assistant, tool) carried from the API layer
+ * through routing into the model adapters, which serialize them natively
+ */
+class Conversation {
+    /**
+     * @param {Array} messages - Messages in OpenAI chat format ({role, content})
+     */
+    constructor(messages = []) {
+        this.messages = [];
+
+        for (const message of messages) {
+            this.addMessage(message.role, message.content, message);
+        }
+    }
+
+    /**
+     * Roles accepted in a conversation; 'developer' is OpenAI's newer name for 'system'
+     */
+    static get ROLES() {
+        return ['system', 'user', 'assistant', 'tool'];
+    }
+
+    /**
+     * Build a conversation from a plain prompt, a message array or an existing conversation
+     * @param {string|Array|Conversation} input - Prompt, messages or conversation
+     * @returns {Conversation} Conversation instance
+     */
+    static from(input) {
+        if (input instanceof Conversation) {
+            return input;
+        }
+        if (Array.isArray(input)) {
+            return new Conversation(input);
+        }
+        return new Conversation([{ role: 'user', content: input == null ? '' : String(input) }]);
+    }
+
+    /**
+     * Extract plain text from message content (string or array of content parts)
+     * @param {string|Array} content - Message content
+     * @returns {string} Text content
+     */
+    static textOf(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content
+                .filter(part => part && (part.type === 'text' || typeof part.text === 'string'))
+                .map(part => part.text)
+                .join('\n');
+        }
+        return '';
+    }
+
+    /**
+     * Append a message
+     * @param {string} role - Message role
+     * @param {string|Array} content - Message content
+     * @param {object} extra - Original message, used to keep name, tool_calls and tool_call_id
+     * @returns {Conversation} This conversation, for chaining
+     */
+    addMessage(role, content, extra = {}) {
+        const normalizedRole = role === 'developer' ? 'system' : role;
+
+        if (!Conversation.ROLES.includes(normalizedRole)) {
+            throw new Error(`Unsupported message role: ${role}`);
+        }
+
+        if (normalizedRole === 'tool' && !extra.tool_call_id) {
+            throw new Error('Tool messages require a tool_call_id');
+        }
+
+        const hasToolCalls = Array.isArray(extra.tool_calls) && extra.tool_calls.length > 0;
+        const message = {
+            role: normalizedRole,
+            content: content == null ? (hasToolCalls ? null : '') : content
+        };
+        if (extra.name) {
+            message.name = extra.name;
+        }
+        if (normalizedRole === 'assistant' && hasToolCalls) {
+            message.tool_calls = extra.tool_calls;
+        }
+        if (normalizedRole === 'tool') {
+            message.tool_call_id = extra.tool_call_id;
+        }
+
+        this.messages.push(message);
+        return this;
+    }
+
+    /**
+     * Get the combined system prompt
+     * @returns {string|null} System prompt or null when there is none
+     */
+    getSystemPrompt() {
+        const system = this.messages
+            .filter(message => message.role === 'system')
+            .map(message => Conversation.textOf(message.content))
+            .filter(Boolean)
+            .join('\n\n');
+
+        return system || null;
+    }
+
+    /**
+     * Get the user, assistant and tool turns, without system messages
+     * @returns {Array} Messages
+     */
+    getTurns() {
+        return this.messages.filter(message => message.role !== 'system');
+    }
+
+    /**
+     * Get the text of the most recent user message
+     * @returns {string} Latest user text, or an empty string
+     */
+    getLatestUserText() {
+        for (let i = this.messages.length - 1; i >= 0; i--) {
+            if (this.messages[i].role === 'user') {
+                return Conversation.textOf(this.messages[i].content);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Check whether there is anything for a model to answer
+     * @returns {boolean} True when the conversation has no user text
+     */
+    isEmpty() {
+        return !this.messages.some(message => message.role === 'user' && Conversation.textOf(message.content).trim());
+    }
+
+    /**
+     * Flatten the conversation for endpoints that only take a single prompt string
+     * A lone user message is returned unchanged
+     * @returns {string} Prompt text
+     */
+    toPromptText() {
+        const turns = this.getTurns();
+        const system = this.getSystemPrompt();
+
+        if (!system && turns.length === 1 && turns[0].role === 'user') {
+            return Conversation.textOf(turns[0].content);
+        }
+
+        const labels = { system: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool' };
+        return this.messages
+            .map(message => {
+                let text = Conversation.textOf(message.content);
+                for (const call of message.tool_calls || []) {
+                    text += `${text ? '\n' : ''}[tool call: ${call.function?.name}(${call.function?.arguments || ''})]`;
+                }
+                return `${labels[message.role]}: ${text}`;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Serialize as an OpenAI chat messages array
+     * @param {string} defaultSystemPrompt - System prompt to add when the conversation has none (optional)
+     * @returns {Array} OpenAI-format messages
+     */
+    toOpenAIMessages(defaultSystemPrompt = null) {
+        const messages = this.messages.map(message => ({ ...message }));
+
+        if (defaultSystemPrompt && !this.getSystemPrompt()) {
+            messages.unshift({ role: 'system', content: defaultSystemPrompt });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Serialize for the Anthropic Messages API
+     * System messages move to the top-level system field, tool calls become tool_use blocks,
+     * tool results are sent back as user tool_result blocks, and consecutive turns from the
+     * same role are merged
+     * @returns {object} {system, messages}
+     */
+    toAnthropicPayload() {
+        const messages = [];
+
+        for (const turn of this.getTurns()) {
+            const role = turn.role === 'tool' ? 'user' : turn.role;
+            const text = Conversation.textOf(turn.content);
+            const blocks = [];
+
+            if (turn.role === 'tool') {
+                blocks.push({ type: 'tool_result', tool_use_id: turn.tool_call_id, content: text });
+            } else if (text) {
+                blocks.push({ type: 'text', text });
+            }
+
+            for (const call of turn.tool_calls || []) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function?.name,
+                    input: parseToolArguments(call.function?.arguments)
+                });
+            }
+
+            if (blocks.length === 0) {
+                continue;
+            }
+
+            const previous = messages[messages.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                messages.push({ role, content: blocks });
+            }
+        }
+
+        // Plain text turns are sent as strings, as before tools were supported
+        for (const message of messages) {
+            if (message.content.every(block => block.type === 'text')) {
+                message.content = message.content.map(block => block.text).join('\n\n');
+            }
+        }
+
+        return {
+            system: this.getSystemPrompt(),
+            messages
+        };
+    }
+
+    /**
+     * Total text length across all messages, for performance logging
+     * @returns {number} Character count
+     */
+    getTextLength() {
+        return this.messages.reduce((total, message) => total + Conversation.textOf(message.content).length, 0);
+    }
+
+    /**
+     * Describe the conversation shape for routing decisions and logs
+     * @returns {object} Summary
+     */
+    getSummary() {
+        return {
+            message_count: this.messages.length,
+            turn_count: this.getTurns().length,
+            has_system_prompt: !!this.getSystemPrompt(),
+            has_tool_results: this.messages.some(message => message.role === 'tool'),
+            is_multi_turn: this.getTurns().length > 1
+        };
+    }
+}
+
+module.exports = Conversation;
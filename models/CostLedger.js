@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getModelInfo } = require('./model-metadata');
+
+// Least to most severe; the most severe triggered alert decides what routing may do
+const ALERT_ACTIONS = ['none', 'warn', 'restrict_tier3', 'block_tier3'];
+
+/**
+ * Cost Ledger
+ * Prices every model call from cost_per_token in models.yaml, stores it in the cost_ledger table
+ * and evaluates the monthly, daily, per-project and per-account budgets against cost_tracking.cost_alerts
+ */
+class CostLedger {
+    /**
+     * @param {object} options - {dbManager, config}; config defaults to cost_tracking in models.yaml
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager;
+        this.config = options.config || CostLedger.loadConfig();
+        this.lastAction = new Map(); // scope -> last action, so each alert is announced once
+    }
+
+    /**
+     * Read the cost_tracking block from models.yaml
+     * @param {string} modelsPath - Path to models.yaml
+     * @returns {object} Cost tracking config, or an empty object when there is none
+     */
+    static loadConfig(modelsPath = path.join(__dirname, 'models.yaml')) {
+        try {
+            const modelsData = yaml.load(fs.readFileSync(modelsPath, 'utf8')) || {};
+            return modelsData.cost_tracking || {};
+        } catch (error) {
+            console.warn('Warning: Could not load cost tracking config:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Price per token for a model; unpriced cloud models use default_cost_per_token so they are never free
+     * @param {string} modelName - models.yaml entry name
+     * @param {string} location - 'local' or 'cloud'
+     * @returns {number} Dollars per token
+     */
+    getCostPerToken(modelName, location) {
+        const costPerToken = getModelInfo(modelName)?.cost_per_token;
+        if (typeof costPerToken === 'number') {
+            return costPerToken;
+        }
+        return this.config.default_cost_per_token?.[location] || 0;
+    }
+
+    /**
+     * Record the cost of a completed model call
+     * @param {object} call - {performanceId, modelName, pricedModel, location, taskType, project, account, sessionId,
+     *                         usage, promptLength, responseLength}
+     * @returns {Promise<object>} {id, tokens_total, tokens_estimated, cost_per_token, cost_usd}
+     */
+    async record({ performanceId, modelName, pricedModel, location, taskType, project, account = null, sessionId, usage = {}, promptLength = 0, responseLength = 0 }) {
+        // Roughly 4 characters per token when the backend does not report usage
+        const tokensEstimated = !usage.total_tokens;
+        const tokensTotal = usage.total_tokens || Math.ceil(promptLength / 4) + Math.ceil(responseLength / 4);
+        const costPerToken = this.getCostPerToken(pricedModel || modelName, location);
+        const costUsd = tokensTotal * costPerToken;
+
+        const id = await this.dbManager.logCost({
+            performance_id: performanceId,
+            model_name: modelName,
+            priced_model: pricedModel || modelName,
+            adapter_type: location,
+            task_type: taskType,
+            project_name: project || null,
+            session_id: sessionId,
+            user_id: account?.id ?? null,
+            tokens_prompt: usage.prompt_tokens || null,
+            tokens_completion: usage.completion_tokens || null,
+            tokens_total: tokensTotal,
+            tokens_estimated: tokensEstimated,
+            cost_per_token: costPerToken,
+            cost_usd: costUsd
+        });
+
+        return {
+            id,
+            tokens_total: tokensTotal,
+            tokens_estimated: tokensEstimated,
+            cost_per_token: costPerToken,
+            cost_usd: costUsd
+        };
+    }
+
+    /**
+     * Spend against every budget that applies, with the alerts they trigger
+     * The monthly, daily and project budgets cover the whole instance; an account with a monthly_budget
+     * (cost_settings.monthly_budget in its character sheet) is also held to that
+     * @param {object} options - {project, monthlyBudget, account}; monthlyBudget overrides cost_tracking.monthly_budget,
+     *                           account is {id, username, monthly_budget}
+     * @returns {Promise<object>} {action, alerts, monthly, daily, project, user}
+     */
+    async getStatus({ project = null, monthlyBudget = null, account = null } = {}) {
+        const budget = monthlyBudget || this.config.monthly_budget || 10;
+        const dailyBudget = this.config.daily_budget || null;
+        const projectBudget = project ? this.config.project_budgets?.[project] || null : null;
+        const userBudget = account?.monthly_budget || null;
+
+        const [monthlySpend, dailySpend, projectSpend, userSpend] = await Promise.all([
+            this.dbManager.getSpend('month'),
+            dailyBudget ? this.dbManager.getSpend('day') : 0,
+            projectBudget ? this.dbManager.getSpend('month', project) : 0,
+            userBudget ? this.dbManager.getSpend('month', null, account.id) : 0
+        ]);
+
+        const scopes = {
+            monthly: this.describeScope('monthly', monthlySpend, budget),
+            daily: dailyBudget ? this.describeScope('daily', dailySpend, dailyBudget) : null,
+            project: projectBudget ? { name: project, ...this.describeScope('project', projectSpend, projectBudget) } : null,
+            user: userBudget ? { name: account.username, ...this.describeScope('user', userSpend, userBudget) } : null
+        };
+
+        const alerts = Object.values(scopes)
+            .filter(Boolean)
+            .map(scope => scope.alert)
+            .filter(Boolean);
+        const action = alerts.reduce(
+            (worst, alert) => (ALERT_ACTIONS.indexOf(alert.action) > ALERT_ACTIONS.indexOf(worst) ? alert.action : worst),
+            'none'
+        );
+
+        return { action, alerts, ...scopes };
+    }
+
+    /**
+     * Spend, budget and the most severe alert triggered for one budget scope
+     * cost_alerts thresholds are dollars of cost_tracking.monthly_budget; every scope uses the same fractions
+     * @param {string} scope - 'monthly', 'daily', 'project' or 'user'
+     * @param {number} spend - Spend in dollars
+     * @param {number} budget - Budget for this scope
+     * @returns {object} {spend, budget, remaining, alert}
+     */
+    describeScope(scope, spend, budget) {
+        const alertBase = this.config.monthly_budget || 10;
+        let alert = null;
+        for (const { threshold, action } of this.config.cost_alerts || []) {
+            const limit = budget * (threshold / alertBase);
+            if (spend >= limit && (!alert || ALERT_ACTIONS.indexOf(action) > ALERT_ACTIONS.indexOf(alert.action))) {
+                alert = {
+                    scope,
+                    action,
+                    threshold: limit,
+                    message: `${scope} spend $${spend.toFixed(2)} of $${budget.toFixed(2)} reached the $${limit.toFixed(2)} ${action} threshold`
+                };
+            }
+        }
+
+        return {
+            spend,
+            budget,
+            remaining: Math.max(budget - spend, 0),
+            alert
+        };
+    }
+
+    /**
+     * Check whether a model call may go ahead under the current budgets
+     * @param {string} location - 'local' or 'cloud'; only cloud (tier 3) calls are ever refused
+     * @param {string} project - Project the request belongs to (optional)
+     * @param {object} account - Account making the request (optional)
+     * @returns {Promise<object>} {allowed, reason, status}
+     */
+    async checkRequest(location, project = null, account = null) {
+        const status = await this.getStatus({ project, account });
+        if (location === 'cloud' && status.action === 'block_tier3') {
+            const alert = status.alerts.find(item => item.action === 'block_tier3');
+            return { allowed: false, reason: `Budget exceeded: ${alert.message}`, status };
+        }
+        return { allowed: true, reason: null, status };
+    }
+
+    /**
+     * Alerts whose action changed since the last call, so a crossed threshold is reported once
+     * @param {object} status - Result of getStatus()
+     * @returns {Array} Newly triggered alerts
+     */
+    takeNewAlerts(status) {
+        const fresh = [];
+        for (const scope of ['monthly', 'daily', 'project', 'user']) {
+            const key = ['project', 'user'].includes(scope) && status[scope] ? `${scope}:${status[scope].name}` : scope;
+            const action = status[scope]?.alert?.action || 'none';
+            if (this.lastAction.get(key) !== action && action !== 'none') {
+                fresh.push(status[scope].alert);
+            }
+            if (status[scope]) {
+                this.lastAction.set(key, action);
+            }
+        }
+        return fresh;
+    }
+}
+
+module.exports = CostLedger;
@@ -0,0 +1,232 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ENERGY_LEVELS = ['high', 'medium', 'low'];
+
+// Starting capacity for each self-reported energy level, replacing the hour-of-day default
+const ENERGY_CAPACITY = { high: 0.9, medium: 0.7, low: 0.4 };
+// Moods that raise or lower capacity; anything else leaves it unchanged
+const MOOD_MODIFIERS = { focused: 1.1, scattered: 0.8, tired: 0.8, stressed: 0.85, anxious: 0.85 };
+const PRODUCTIVE_HOUR_BOOST = 1.15;
+const OUTSIDE_PRODUCTIVE_HOURS = 0.9;
+// Each frustration point above 2 (on the 1-5 scale) costs this share of capacity
+const FRUSTRATION_PENALTY = 0.1;
+
+// How many past days the end-of-day summary catches up on
+const SUMMARY_LOOKBACK_DAYS = 7;
+
+/**
+ * Journal
+ * Daily check-ins in the journal_entries table: energy, mood, frustration, productive hours and goals.
+ * Today's entry replaces the hour-of-day defaults of cognitive capacity estimates, and an end-of-day
+ * summary fills in the day's AI usage from model_performance
+ */
+class Journal {
+    /**
+     * @param {object} options - {dbManager}
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager;
+    }
+
+    /**
+     * Local date in YYYY-MM-DD format
+     * @param {Date} date - Defaults to now
+     * @returns {string}
+     */
+    static today(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Check journal data before it is saved
+     * @param {object} data - Journal entry data
+     * @param {string} date - Entry date (optional)
+     * @returns {string[]} Problems; empty when the data is valid
+     */
+    static validate(data = {}, date = null) {
+        const problems = [];
+
+        if (date !== null && (!DATE_PATTERN.test(date) || isNaN(new Date(date)))) {
+            problems.push(`date must be YYYY-MM-DD, got ${date}`);
+        }
+        if (data.energy_level != null && !ENERGY_LEVELS.includes(data.energy_level)) {
+            problems.push(`energy_level must be one of ${ENERGY_LEVELS.join(', ')}`);
+        }
+        if (data.frustration_level != null
+            && !(Number.isInteger(data.frustration_level) && data.frustration_level >= 1 && data.frustration_level <= 5)) {
+            problems.push('frustration_level must be a whole number from 1 to 5');
+        }
+        if (data.productive_hours != null && Journal.parseHours(data.productive_hours) === null) {
+            problems.push('productive_hours must be a list of hours (0-23) or ranges like "9-11"');
+        }
+        for (const field of ['goals_set', 'goals_achieved', 'blockers_encountered', 'preferred_task_types']) {
+            if (data[field] != null && !Array.isArray(data[field])) {
+                problems.push(`${field} must be a list`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Expand productive hours into individual hours
+     * @param {Array} hours - Hours (9) and ranges ("9-11", inclusive)
+     * @returns {number[]|null} Sorted unique hours, or null when an item is not an hour or range
+     */
+    static parseHours(hours) {
+        if (!Array.isArray(hours)) return null;
+
+        const expanded = new Set();
+        for (const item of hours) {
+            const match = String(item).trim().match(/^(\d{1,2})(?:\s*-\s*(\d{1,2}))?$/);
+            if (!match) return null;
+
+            const start = parseInt(match[1]);
+            const end = match[2] !== undefined ? parseInt(match[2]) : start;
+            if (start > 23 || end > 23 || end < start) return null;
+            for (let hour = start; hour <= end; hour++) {
+                expanded.add(hour);
+            }
+        }
+        return [...expanded].sort((a, b) => a - b);
+    }
+
+    /**
+     * Cognitive capacity from a journal entry
+     * @param {object} entry - Journal entry
+     * @param {number} hour - Hour of day the estimate is for
+     * @param {number} fallbackCapacity - Hour-of-day capacity, used when the entry has no energy level
+     * @returns {object|null} {capacity, factors}, or null when the entry says nothing about capacity
+     */
+    static capacityFrom(entry, hour, fallbackCapacity = 0.7) {
+        if (!entry) return null;
+
+        const productiveHours = Journal.parseHours(entry.productive_hours) || [];
+        const hasSignal = entry.energy_level || entry.mood || entry.frustration_level || productiveHours.length > 0;
+        if (!hasSignal) return null;
+
+        let capacity = ENERGY_CAPACITY[entry.energy_level] ?? fallbackCapacity;
+        capacity *= MOOD_MODIFIERS[String(entry.mood || '').toLowerCase()] ?? 1;
+        if (entry.frustration_level) {
+            capacity *= 1 - Math.max(0, entry.frustration_level - 2) * FRUSTRATION_PENALTY;
+        }
+
+        let productiveHour = null;
+        if (productiveHours.length > 0) {
+            productiveHour = productiveHours.includes(hour);
+            capacity *= productiveHour ? PRODUCTIVE_HOUR_BOOST : OUTSIDE_PRODUCTIVE_HOURS;
+        }
+
+        return {
+            capacity: Math.max(0.1, Math.min(1.0, capacity)),
+            factors: {
+                date: entry.date,
+                energy_level: entry.energy_level || null,
+                mood: entry.mood || null,
+                frustration_level: entry.frustration_level || null,
+                productive_hour: productiveHour
+            }
+        };
+    }
+
+    /**
+     * Get the entry for a date
+     * @param {string} date - YYYY-MM-DD; defaults to today
+     * @returns {Promise<object|null>}
+     */
+    async get(date = Journal.today()) {
+        return this.dbManager.getJournalEntry(date);
+    }
+
+    /**
+     * List entries, most recent first
+     * @param {object} filters - {from, to, limit, offset}
+     * @returns {Promise<object>} {entries, total}
+     */
+    async list(filters = {}) {
+        return this.dbManager.getJournalEntries(filters);
+    }
+
+    /**
+     * Create or update the entry for a date; fields that are not given keep their stored value
+     * @param {string} date - YYYY-MM-DD
+     * @param {object} data - Journal entry data
+     * @returns {Promise<object>} Saved entry
+     */
+    async save(date, data) {
+        const problems = Journal.validate(data, date);
+        if (problems.length > 0) {
+            throw new Error(`Invalid journal entry: ${problems.join('; ')}`);
+        }
+        return this.dbManager.saveJournalEntry(date, data);
+    }
+
+    /**
+     * Record today's check-in, first summarizing any past days that are still open
+     * @param {object} data - Journal entry data
+     * @returns {Promise<object>} Today's entry
+     */
+    async checkIn(data) {
+        await this.summarizePendingDays();
+        return this.save(Journal.today(), data);
+    }
+
+    /**
+     * Delete the entry for a date
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>} Whether an entry was deleted
+     */
+    async remove(date) {
+        return this.dbManager.deleteJournalEntry(date);
+    }
+
+    /**
+     * Fill a day's entry with its AI usage: request count, most and least helpful model, and the task types
+     * tackled when the check-in did not list any. Helpfulness is the average rating, or the success rate
+     * on a 1-5 scale for models nobody rated
+     * @param {string} date - YYYY-MM-DD; defaults to today
+     * @returns {Promise<object|null>} Updated entry, or null for a day with neither entry nor usage
+     */
+    async summarizeDay(date = Journal.today()) {
+        const [entry, activity] = await Promise.all([
+            this.dbManager.getJournalEntry(date),
+            this.dbManager.getJournalDayActivity(date)
+        ]);
+        if (!entry && activity.models.length === 0) return null;
+
+        const ranked = activity.models
+            .map(model => ({
+                model_name: model.model_name,
+                requests: model.requests,
+                helpfulness: model.ratings > 0 ? model.avg_rating : 1 + 4 * (model.successes / model.requests)
+            }))
+            .sort((a, b) => b.helpfulness - a.helpfulness || b.requests - a.requests);
+
+        const summary = {
+            ai_requests_count: activity.models.reduce((sum, model) => sum + model.requests, 0),
+            most_helpful_model: ranked[0]?.model_name || null,
+            least_helpful_model: ranked.length > 1 ? ranked[ranked.length - 1].model_name : null,
+            summarized_at: new Date().toISOString().replace('T', ' ').slice(0, 19)
+        };
+        if (!entry?.preferred_task_types?.length) {
+            summary.preferred_task_types = activity.task_types.map(row => row.task_type);
+        }
+
+        return this.dbManager.saveJournalEntry(date, summary);
+    }
+
+    /**
+     * Summarize past days that ended without a summary
+     * @returns {Promise<string[]>} Dates that were summarized
+     */
+    async summarizePendingDays() {
+        const dates = await this.dbManager.getUnsummarizedJournalDays(Journal.today(), SUMMARY_LOOKBACK_DAYS);
+        for (const date of dates) {
+            await this.summarizeDay(date);
+        }
+        return dates;
+    }
+}
+
+module.exports = Journal;
+module.exports.ENERGY_LEVELS = ENERGY_LEVELS;
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createEmbedder, cosineSimilarity } = require('./embeddings');
+
+const SCOPE_TYPES = ['project', 'loadout', 'global'];
+
+const DEFAULT_CONFIG = {
+    scope: 'project',
+    toggle: true,
+    long_term_bleed: false,
+    top_k: 5,
+    min_similarity: 0.1,
+    candidate_limit: 200,
+    embedding: { provider: 'hashed' }
+};
+
+// Entries from other scopes only reach a prompt when long_term_bleed is on, and count for less when they do
+const BLEED_WEIGHT = 0.5;
+// Among equally relevant entries the newer one wins; the bonus halves every RECENCY_HALF_LIFE_DAYS
+const RECENCY_WEIGHT = 0.1;
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+/**
+ * Memory Store
+ * Keeps project, loadout and global memory in database/steward.db and recalls the entries
+ * most relevant to a prompt. Scoping follows memory_use in character-sheet.yaml.
+ * Each account has its own memory; entries of other accounts are never read, bled in or pruned
+ */
+class MemoryStore {
+    /**
+     * @param {object} options - {dbManager, config, embedder, userId}; config defaults to preferences.memory_use in
+     *                           character-sheet.yaml, userId to the instance owner (null)
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...(options.config || MemoryStore.loadConfig()) };
+        this.dbManager = options.dbManager;
+        this.userId = options.userId ?? null;
+        this.embedder = options.embedder || createEmbedder(this.config.embedding || {});
+    }
+
+    /**
+     * Read the memory_use block from the character sheet
+     * @param {string} sheetPath - Path to character-sheet.yaml
+     * @returns {object} Memory config, or an empty object when there is none
+     */
+    static loadConfig(sheetPath = path.join(__dirname, '../character-sheet.yaml')) {
+        try {
+            const sheet = yaml.load(fs.readFileSync(sheetPath, 'utf8')) || {};
+            return sheet.preferences?.memory_use || sheet.memory_use || {};
+        } catch (error) {
+            console.warn('Warning: Could not load memory config:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Whether memory is switched on in the character sheet
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.config.toggle === true;
+    }
+
+    /**
+     * Scope a read or write lands in
+     * @param {object} context - {project, loadout, scope}; scope overrides memory_use.scope
+     * @returns {object} {scope_type, scope_name}
+     */
+    resolveScope(context = {}) {
+        const scopeType = context.scope || this.config.scope || 'project';
+        if (!SCOPE_TYPES.includes(scopeType)) {
+            throw new Error(`Unknown memory scope: ${scopeType} (expected ${SCOPE_TYPES.join(', ')})`);
+        }
+        if (scopeType === 'global') {
+            return { scope_type: 'global', scope_name: 'global' };
+        }
+
+        const scopeName = scopeType === 'loadout' ? context.loadout : context.project;
+        return { scope_type: scopeType, scope_name: scopeName || 'default' };
+    }
+
+    /**
+     * Store a memory entry
+     * @param {string|object} entry - Text, or an object whose content, text or task field is what gets recalled
+     * @param {object} context - {project, loadout, scope, kind}
+     * @returns {Promise<number>} Memory entry ID
+     */
+    async remember(entry, context = {}) {
+        const data = typeof entry === 'object' && entry !== null ? entry : null;
+        const content = data ? data.content || data.text || data.task || JSON.stringify(data) : String(entry ?? '');
+        if (!content.trim()) {
+            throw new Error('Memory entry has no content');
+        }
+
+        const { model, vector } = await this.embedder(content);
+        return this.dbManager.saveMemoryEntry({
+            ...this.resolveScope(context),
+            kind: context.kind || data?.kind || 'note',
+            content,
+            data,
+            embedding: vector,
+            embedding_model: model,
+            user_id: this.userId
+        });
+    }
+
+    /**
+     * Recall the entries most relevant to a query
+     * Without a query the newest entries of the scope are returned
+     * @param {string} query - Prompt or task to match against
+     * @param {object} context - {project, loadout, scope}
+     * @param {object} options - {limit}; defaults to memory_use.top_k
+     * @returns {Promise<Array>} Entries with {score, similarity, bleed}, best first
+     */
+    async recall(query = '', context = {}, options = {}) {
+        const limit = options.limit || this.config.top_k;
+        const scope = this.resolveScope(context);
+
+        if (!query || !query.trim()) {
+            const recent = await this.dbManager.getMemoryEntries({ scopes: [scope], user_id: this.userId, limit });
+            return this._markRecalled(recent.map(entry => ({ ...entry, score: null, similarity: null, bleed: false })));
+        }
+
+        const { model, vector } = await this.embedder(query);
+        const candidates = await this.dbManager.getMemoryEntries({
+            scopes: this.config.long_term_bleed ? null : [scope],
+            user_id: this.userId,
+            limit: this.config.candidate_limit
+        });
+
+        const ranked = [];
+        for (const entry of candidates) {
+            if (entry.embedding_model !== model) continue; // Vectors from another embedder are not comparable
+
+            const similarity = cosineSimilarity(vector, entry.embedding);
+            if (similarity < this.config.min_similarity) continue;
+
+            const bleed = entry.scope_type !== scope.scope_type || entry.scope_name !== scope.scope_name;
+            const score = similarity * (bleed ? BLEED_WEIGHT : 1) + RECENCY_WEIGHT * MemoryStore.recency(entry.timestamp);
+            ranked.push({ ...entry, score, similarity, bleed });
+        }
+
+        ranked.sort((a, b) => b.score - a.score);
+        return this._markRecalled(ranked.slice(0, limit));
+    }
+
+    /**
+     * Format recalled entries as context to put in front of a prompt
+     * @param {Array} entries - Result of recall()
+     * @returns {string} Context block, or an empty string when nothing was recalled
+     */
+    formatContext(entries) {
+        if (!entries.length) return '';
+
+        const lines = entries.map(entry => {
+            const source = entry.bleed ? ` (${entry.scope_type}: ${entry.scope_name})` : '';
+            return `- [${String(entry.timestamp).slice(0, 10)}]${source} ${entry.content}`;
+        });
+        const { scope_type, scope_name } = entries.find(entry => !entry.bleed) || entries[0];
+        return `Relevant memory (${scope_type}: ${scope_name}):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * List stored entries without their embeddings
+     * @param {object} context - {project, loadout, scope}, or {all: true} for every scope
+     * @param {object} options - {kind, days, limit, offset}
+     * @returns {Promise<Array>} Entries, most recent first
+     */
+    async list(context = {}, options = {}) {
+        const entries = await this.dbManager.getMemoryEntries({
+            scopes: context.all ? null : [this.resolveScope(context)],
+            ...options,
+            user_id: this.userId
+        });
+        return entries.map(({ embedding, ...entry }) => entry);
+    }
+
+    /**
+     * Delete stored entries
+     * @param {object} context - {project, loadout, scope}, or {all: true} for every scope
+     * @param {object} options - {kind, ids, olderThanDays, keep}
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async prune(context = {}, options = {}) {
+        return this.dbManager.pruneMemory({
+            scopes: context.all ? null : [this.resolveScope(context)],
+            ...options,
+            user_id: this.userId
+        });
+    }
+
+    /**
+     * Entry counts per scope
+     * @returns {Promise<Array>}
+     */
+    async stats() {
+        return this.dbManager.getMemoryStats(this.userId);
+    }
+
+    /**
+     * Recency bonus between 0 and 1 for a SQLite UTC timestamp
+     * @param {string} timestamp - 'YYYY-MM-DD HH:MM:SS'
+     * @returns {number}
+     */
+    static recency(timestamp) {
+        const ageDays = (Date.now() - new Date(`${String(timestamp).replace(' ', 'T')}Z`).getTime()) / 86400000;
+        return Number.isFinite(ageDays) ? Math.pow(0.5, Math.max(ageDays, 0) / RECENCY_HALF_LIFE_DAYS) : 0;
+    }
+
+    /**
+     * Count a recall on each returned entry
+     * @private
+     */
+    async _markRecalled(entries) {
+        await this.dbManager.recordMemoryRecall(entries.map(entry => entry.id));
+        return entries.map(({ embedding, ...entry }) => entry);
+    }
+}
+
+module.exports = MemoryStore;
@@ -1,6 +1,10 @@
-const LocalDockerAdapter = require('./adapters/LocalDockerAdapter');
-const CloudAPIAdapter = require('./adapters/CloudAPIAdapter');
+const AdapterRegistry = require('./AdapterRegistry');
 const DatabaseManager = require('../database/DatabaseManager');
+const Conversation = require('./Conversation');
+const ResponseCache = require('./ResponseCache');
+const CostLedger = require('./CostLedger');
+const SensitiveDataScanner = require('./SensitiveDataScanner');
+const { getModelInfo } = require('./model-metadata');
 
 /**
  * Main Model Interface Class
@@ -8,52 +12,77 @@ const DatabaseManager = require('../database/DatabaseManager');
  * Routes requests to appropriate adapters based on model name
  */
 class ModelInterface {
-    constructor() {
-        this.localAdapter = new LocalDockerAdapter();
-        this.cloudAdapter = new CloudAPIAdapter();
-        this.dbManager = new DatabaseManager();
+    /**
+     * @param {object} options - {registry} to share or replace the models.yaml adapter registry,
+     *                          {dbManager} to use another database, {responseCache} and {costLedger} to replace
+     *                          the cache and budgets configured in models.yaml, {sensitiveDataScanner} to replace
+     *                          the sensitive_data rules in character-sheet.yaml, {sensitiveDataScannerFor} to scan
+     *                          each account's requests with its own rules (async account => scanner)
+     */
+    constructor(options = {}) {
+        // Models, adapters and their endpoints come from models.yaml
+        this.registry = options.registry || new AdapterRegistry();
+        this.localAdapter = this.registry.getAdapterForType('local-docker');
+        this.cloudAdapter = this.registry.getAdapterForType('cloud');
+        this.dbManager = options.dbManager || new DatabaseManager();
         this.trackPerformance = true; // Can be disabled for testing
-        
-        // Define model routing - determines which adapter to use for each model
-        this.modelRouting = {
-            // Local Docker models (common HuggingFace and custom deployments)
-            'llama': 'local',
-            'mistral': 'local',
-            'codellama': 'local',
-            'vicuna': 'local',
-            'alpaca': 'local',
-            'local': 'local', // Generic local model
-            
-            // Uncensored local models
-            'dolphin-mistral': 'local',
-            'dolphin-mistral:latest': 'local',
-            
-            // Open WebUI models (served locally on port 3000)
-            'gpt-4o': 'local',
-            'lewd': 'local',
-            'ai/smollm3:latest': 'local',
-            
-            // Cloud API models
-            'gpt-3.5-turbo': 'cloud',
-            'gpt-4': 'cloud',
-            'gpt-4-turbo': 'cloud',
-            'claude-3-haiku': 'cloud',
-            'claude-3-sonnet': 'cloud',
-            'claude-3-opus': 'cloud',
-            'claude-3.5-sonnet': 'cloud'
-        };
+        this.sensitiveDataScanner = options.sensitiveDataScanner || new SensitiveDataScanner();
+        this.sensitiveDataScannerFor = options.sensitiveDataScannerFor || null;
+        this.responseCache = options.responseCache || new ResponseCache({
+            dbManager: this.dbManager,
+            sensitiveDataScanner: this.sensitiveDataScanner
+        });
+        this.costLedger = options.costLedger || new CostLedger({ dbManager: this.dbManager });
+    }
+
+    /**
+     * Model routing table - 'local' or 'cloud' for every model name and alias in the registry
+     * @returns {object} Routing table
+     */
+    get modelRouting() {
+        return this.registry.getRoutingTable();
     }
 
     /**
      * Main method to send requests to AI models
      * @param {string} modelName - Name of the model to use
-     * @param {string} prompt - The prompt/message to send
+     * @param {string|Conversation} prompt - The prompt/message or multi-turn conversation to send
      * @param {object} options - Additional options (temperature, max_tokens, etc.)
      * @param {string} taskType - Type of task for performance tracking (optional)
      * @param {string} sessionId - Session ID for grouping requests (optional)
      * @returns {object} Standardized response object
      */
     async sendRequest(modelName, prompt, options = {}, taskType = null, sessionId = null) {
+        return await this.executeRequest(modelName, prompt, options, taskType, sessionId, null, null);
+    }
+
+    /**
+     * Stream a request to an AI model, emitting tokens as they are generated
+     * @param {string} modelName - Name of the model to use
+     * @param {string|Conversation} prompt - The prompt/message or multi-turn conversation to send
+     * @param {object} options - Additional options (temperature, max_tokens, etc.)
+     * @param {string} taskType - Type of task for performance tracking (optional)
+     * @param {string} sessionId - Session ID for grouping requests (optional)
+     * @param {function} onToken - Called with each text fragment as it arrives
+     * @param {function} onToolCall - Called with OpenAI-format tool call deltas (optional)
+     * @returns {object} Standardized response object once the stream has finished
+     */
+    async streamRequest(modelName, prompt, options = {}, taskType = null, sessionId = null, onToken = () => {}, onToolCall = () => {}) {
+        return await this.executeRequest(modelName, prompt, options, taskType, sessionId, onToken, onToolCall);
+    }
+
+    /**
+     * Dispatch a request to the right adapter, or answer it from the response cache, and record its performance
+     * @param {string} modelName - Name of the model to use
+     * @param {string|Conversation} prompt - The prompt/message or multi-turn conversation to send
+     * @param {object} options - Additional options
+     * @param {string} taskType - Type of task for performance tracking
+     * @param {string} sessionId - Session ID for grouping requests
+     * @param {function|null} onToken - Token callback; null for a non-streaming request
+     * @param {function|null} onToolCall - Tool call delta callback for streaming requests
+     * @returns {object} Standardized response object
+     */
+    async executeRequest(modelName, prompt, options, taskType, sessionId, onToken, onToolCall) {
         const startTime = Date.now();
         let performanceId = null;
         
@@ -68,25 +97,78 @@ class ModelInterface {
                 throw new Error('Model name is required and must be a string');
             }
             
-            if (!prompt || typeof prompt !== 'string') {
-                throw new Error('Prompt is required and must be a string');
+            if (prompt instanceof Conversation) {
+                if (prompt.isEmpty()) {
+                    throw new Error('Conversation must contain at least one user message');
+                }
+            } else if (!prompt || typeof prompt !== 'string') {
+                throw new Error('Prompt is required and must be a string or Conversation');
             }
 
             // Determine which adapter to use
-            const adapterType = this.modelRouting[modelName];
-            if (!adapterType) {
-                throw new Error(`Unknown model: ${modelName}. Available models: ${Object.keys(this.modelRouting).join(', ')}`);
+            const model = this.registry.resolve(modelName);
+            if (!model) {
+                throw new Error(`Unknown model: ${modelName}. Add it to models/models.yaml. Available models: ${this.registry.getModelNames().join(', ')}`);
+            }
+            const adapterType = model.location;
+            const adapter = this.registry.getAdapter(model);
+
+            // options.cache steers the cache, options.project and options.account the budgets; adapters never see them
+            const { cache: cacheOption, project, account, ...adapterOptions } = options;
+            const cacheBypass = this.responseCache.getBypassReason(options, taskType);
+            let cacheKey = null;
+            if (!cacheBypass) {
+                try {
+                    cacheKey = this.responseCache.createKey(model.key, prompt, adapterOptions, account?.id);
+                    const cached = await this.responseCache.lookup(cacheKey);
+                    if (cached) {
+                        return await this.serveCachedResponse(cached, {
+                            modelName, adapterType, prompt, options, taskType, sessionId, onToken, startTime
+                        });
+                    }
+                } catch (cacheError) {
+                    console.warn('Response cache lookup failed:', cacheError.message);
+                }
+            }
+
+            // Cloud adapters never see detected secrets: the request stays local or goes out with placeholders
+            const scanner = await this.getSensitiveDataScanner(account);
+            const sensitiveData = adapterType === 'cloud' ? scanner.protect(prompt) : null;
+            if (sensitiveData?.action === 'force_local') {
+                const sensitiveError = new Error(
+                    `Sensitive data detected (${Object.keys(sensitiveData.detectors).join(', ')}); cloud models are not allowed for this request`
+                );
+                sensitiveError.name = 'SensitiveDataError';
+                throw sensitiveError;
+            }
+            const placeholders = sensitiveData?.placeholders || {};
+            const adapterPrompt = sensitiveData?.action === 'redact' ? sensitiveData.prompt : prompt;
+
+            // Cache hits are free; everything past this point is priced against the budgets
+            const budgetCheck = await this.checkBudget(adapterType, project, account);
+            if (!budgetCheck.allowed) {
+                const budgetError = new Error(budgetCheck.reason);
+                budgetError.name = 'BudgetExceededError';
+                throw budgetError;
             }
 
             let response;
-            
-            // Route to appropriate adapter
-            if (adapterType === 'local') {
-                response = await this.localAdapter.sendRequest(modelName, prompt, options);
-            } else if (adapterType === 'cloud') {
-                response = await this.cloudAdapter.sendRequest(modelName, prompt, options);
+            if (onToken) {
+                const restorer = scanner.createStreamRestorer(placeholders, onToken);
+                response = await adapter.streamRequest(model.model_id, adapterPrompt, adapterOptions, restorer.push, onToolCall || (() => {}));
+                restorer.flush();
             } else {
-                throw new Error(`Invalid adapter type: ${adapterType}`);
+                response = await adapter.sendRequest(model.model_id, adapterPrompt, adapterOptions);
+            }
+            response = scanner.restoreResponse(response, placeholders);
+
+            let cacheEntryId = null;
+            if (cacheKey) {
+                try {
+                    cacheEntryId = await this.responseCache.store(cacheKey, taskType, response);
+                } catch (cacheError) {
+                    console.warn('Failed to store response in cache:', cacheError.message);
+                }
             }
 
             // Calculate timing
@@ -107,27 +189,53 @@ class ModelInterface {
                         success: true,
                         error_type: null,
                         error_message: null,
-                        prompt_length: prompt.length,
+                        prompt_length: this.getPromptLength(prompt),
                         response_length: (response.content || '').length,
                         temperature: options.temperature || null,
                         max_tokens: options.max_tokens || null,
                         session_id: sessionId,
-                        user_context: null // Future enhancement
+                        user_context: null, // Future enhancement
+                        user_id: account?.id ?? null
                     });
                 } catch (dbError) {
                     console.warn('Failed to log performance data:', dbError.message);
                 }
             }
 
+            const cost = this.trackPerformance ? await this.recordCost({
+                performanceId,
+                modelName,
+                pricedModel: model.entry_name,
+                location: adapterType,
+                taskType,
+                project,
+                account,
+                sessionId,
+                usage: response.metadata?.usage || {},
+                promptLength: this.getPromptLength(prompt),
+                responseLength: (response.content || '').length
+            }) : null;
+
             // Return standardized response
             return {
                 content: response.content || '',
+                tool_calls: response.tool_calls || null,
                 metadata: {
                     ...(response.metadata || {}),
                     adapter_type: adapterType,
                     request_options: options,
                     performance_id: performanceId,
-                    session_id: sessionId
+                    session_id: sessionId,
+                    cache: {
+                        hit: false,
+                        stored: cacheEntryId !== null,
+                        bypass: cacheBypass
+                    },
+                    cost: cost ? cost.entry : null,
+                    budget: cost ? cost.budget : null,
+                    sensitive_data: sensitiveData && sensitiveData.action !== 'none'
+                        ? { action: sensitiveData.action, detectors: sensitiveData.detectors, placeholders: Object.keys(placeholders).length }
+                        : null
                 },
                 timing: {
                     start_time: startTime,
@@ -156,12 +264,13 @@ class ModelInterface {
                         success: false,
                         error_type: error.name || 'Error',
                         error_message: error.message,
-                        prompt_length: prompt.length,
+                        prompt_length: this.getPromptLength(prompt),
                         response_length: 0,
                         temperature: options.temperature || null,
                         max_tokens: options.max_tokens || null,
                         session_id: sessionId,
-                        user_context: null
+                        user_context: null,
+                        user_id: options.account?.id ?? null
                     });
                 } catch (dbError) {
                     console.warn('Failed to log error performance data:', dbError.message);
@@ -171,6 +280,7 @@ class ModelInterface {
             // Return standardized error response
             return {
                 content: '',
+                tool_calls: null,
                 metadata: {
                     request_options: options,
                     performance_id: performanceId,
@@ -191,6 +301,146 @@ class ModelInterface {
         }
     }
 
+    /**
+     * Scanner for an account's requests, configured by sensitive_data in its own character sheet
+     * @param {object} account - Account making the request; null is the owner
+     * @returns {Promise<SensitiveDataScanner>} The owner's scanner when there is no account or no sensitiveDataScannerFor
+     */
+    async getSensitiveDataScanner(account = null) {
+        if (!account || !this.sensitiveDataScannerFor) {
+            return this.sensitiveDataScanner;
+        }
+        return await this.sensitiveDataScannerFor(account) || this.sensitiveDataScanner;
+    }
+
+    /**
+     * Check the budgets before a model call
+     * @param {string} location - 'local' or 'cloud'
+     * @param {string} project - Project the request belongs to (optional)
+     * @param {object} account - Account making the request (optional; see CostLedger.getStatus)
+     * @returns {Promise<object>} {allowed, reason}; a ledger that cannot be read never blocks
+     */
+    async checkBudget(location, project, account = null) {
+        if (location !== 'cloud') {
+            return { allowed: true, reason: null };
+        }
+
+        try {
+            return await this.costLedger.checkRequest(location, project, account);
+        } catch (dbError) {
+            console.warn('Failed to check budget:', dbError.message);
+            return { allowed: true, reason: null };
+        }
+    }
+
+    /**
+     * Record a completed call in the cost ledger and report any budget alert it triggered
+     * @param {object} call - Cost ledger fields (see CostLedger.record)
+     * @returns {Promise<object|null>} {entry, budget} or null when the ledger could not be written
+     */
+    async recordCost(call) {
+        try {
+            const entry = await this.costLedger.record(call);
+            const status = await this.costLedger.getStatus({ project: call.project, account: call.account });
+
+            for (const alert of this.costLedger.takeNewAlerts(status)) {
+                console.warn(`Budget alert: ${alert.message}`);
+            }
+
+            return { entry, budget: status };
+        } catch (dbError) {
+            console.warn('Failed to record cost:', dbError.message);
+            return null;
+        }
+    }
+
+    /**
+     * Answer a request from a cache entry, logging the hit so cost reports count the model call it saved
+     * @param {object} cached - Cache lookup result ({entry, match, similarity})
+     * @param {object} request - {modelName, adapterType, prompt, options, taskType, sessionId, onToken, startTime}
+     * @returns {object} Standardized response object
+     */
+    async serveCachedResponse(cached, { modelName, adapterType, prompt, options, taskType, sessionId, onToken, startTime }) {
+        const { entry } = cached;
+        const cachedMetadata = entry.response_metadata || {};
+        const usage = cachedMetadata.usage || {};
+
+        if (onToken) {
+            onToken(entry.response_content);
+        }
+
+        const endTime = Date.now();
+        const duration = endTime - startTime;
+        let performanceId = null;
+
+        if (this.trackPerformance) {
+            try {
+                performanceId = await this.dbManager.logPerformance({
+                    model_name: modelName,
+                    adapter_type: adapterType,
+                    task_type: taskType,
+                    response_time_ms: duration,
+                    tokens_prompt: usage.prompt_tokens || null,
+                    tokens_completion: usage.completion_tokens || null,
+                    tokens_total: usage.total_tokens || null,
+                    success: true,
+                    error_type: null,
+                    error_message: null,
+                    prompt_length: this.getPromptLength(prompt),
+                    response_length: entry.response_content.length,
+                    temperature: options.temperature || null,
+                    max_tokens: options.max_tokens || null,
+                    session_id: sessionId,
+                    user_context: null,
+                    cache_hit: true,
+                    user_id: options.account?.id ?? null
+                });
+            } catch (dbError) {
+                console.warn('Failed to log cache hit:', dbError.message);
+            }
+        }
+
+        return {
+            content: entry.response_content,
+            tool_calls: null,
+            metadata: {
+                ...cachedMetadata,
+                streamed: !!onToken,
+                adapter_type: adapterType,
+                request_options: options,
+                performance_id: performanceId,
+                session_id: sessionId,
+                cache: {
+                    hit: true,
+                    match: cached.match,
+                    similarity: cached.similarity,
+                    entry_id: entry.id,
+                    cached_at: entry.timestamp,
+                    expires_at: entry.expires_at
+                }
+            },
+            timing: {
+                start_time: startTime,
+                end_time: endTime,
+                duration_ms: duration
+            },
+            model_used: modelName,
+            error: null
+        };
+    }
+
+    /**
+     * Measure a prompt or conversation for performance logging
+     * @param {string|Conversation} prompt - Prompt or conversation
+     * @returns {number} Character count
+     */
+    getPromptLength(prompt) {
+        if (prompt instanceof Conversation) {
+            return prompt.getTextLength();
+        }
+        return typeof prompt === 'string' ? prompt.length : 0;
+    }
+
     /**
      * Get list of available models
      * @returns {object} Object with local and cloud model lists
@@ -208,11 +458,30 @@ class ModelInterface {
      * @returns {boolean} True if model is available
      */
     isModelAvailable(modelName) {
-        return this.modelRouting.hasOwnProperty(modelName);
+        return this.registry.has(modelName);
     }
 
     /**
-     * Add a new model to the routing table
+     * Resolve a model name or alias to its adapter configuration
+     * @param {string} modelName - Name of the model
+     * @returns {object|null} Resolved model ({name, entry_name, type, model_id, endpoint, location, key}) or null
+     */
+    resolveModel(modelName) {
+        return this.registry.resolve(modelName);
+    }
+
+    /**
+     * Discover models installed on local Ollama and llama.cpp servers
+     * Discovered models become addressable by name and visible to model-metadata
+     * @param {object} options - {force: true} to skip the cached result
+     * @returns {Promise<object>} {models, sources, timestamp}
+     */
+    async discoverLocalModels(options = {}) {
+        return await this.registry.discoverModels(options);
+    }
+
+    /**
+     * Add a new model to the routing table for this session; permanent models belong in models.yaml
      * @param {string} modelName - Name of the model
      * @param {string} adapterType - Type of adapter ('local' or 'cloud')
      */
@@ -221,7 +490,11 @@ class ModelInterface {
             throw new Error('Adapter type must be either "local" or "cloud"');
         }
         
-        this.modelRouting[modelName] = adapterType;
+        this.registry.registerModel(
+            modelName,
+            { type: adapterType === 'local' ? 'local-docker' : 'cloud' },
+            { privacy_tier: adapterType }
+        );
     }
 
     /**
@@ -229,7 +502,7 @@ class ModelInterface {
      * @param {string} modelName - Name of the model to remove
      */
     removeModel(modelName) {
-        delete this.modelRouting[modelName];
+        this.registry.unregisterModel(modelName);
     }
 
     /**
@@ -240,6 +513,65 @@ class ModelInterface {
         this.trackPerformance = enabled;
     }
 
+    /**
+     * Enable or disable the response cache
+     * @param {boolean} enabled - Whether to serve and store cached responses
+     */
+    setResponseCaching(enabled) {
+        this.responseCache.config.enabled = enabled;
+    }
+
+    /**
+     * Get response cache statistics, with the tokens and cost saved per model
+     * @param {number} days - Days of cache hits to include (default: 30)
+     * @returns {Promise<object>} Cache statistics
+     */
+    async getCacheStats(days = 30) {
+        const stats = await this.dbManager.getResponseCacheStats(days);
+        let estimatedCostSaved = 0;
+
+        stats.hits_by_model = stats.hits_by_model.map(row => {
+            const costPerToken = getModelInfo(row.model_name)?.cost_per_token || 0;
+            const costSaved = (row.tokens_saved || 0) * costPerToken;
+            estimatedCostSaved += costSaved;
+            return { ...row, estimated_cost_saved: costSaved };
+        });
+
+        return {
+            ...stats,
+            enabled: this.responseCache.config.enabled,
+            semantic_enabled: this.responseCache.config.semantic.enabled,
+            estimated_cost_saved: estimatedCostSaved
+        };
+    }
+
+    /**
+     * Delete every cached response
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async clearResponseCache() {
+        return await this.responseCache.clear();
+    }
+
+    /**
+     * Get spend against the monthly, daily, project and account budgets
+     * @param {string} project - Project to include (optional)
+     * @param {object} account - Account to include (optional; see CostLedger.getStatus)
+     * @returns {Promise<object>} {action, alerts, monthly, daily, project, user}
+     */
+    async getBudgetStatus(project = null, account = null) {
+        return await this.costLedger.getStatus({ project, account });
+    }
+
+    /**
+     * Get spend from the cost ledger grouped by model, project and day
+     * @param {number} days - Days to look back (default: 30)
+     * @returns {Promise<object>} {by_model, by_project, by_day}
+     */
+    async getCostSummary(days = 30) {
+        return await this.dbManager.getCostSummary(days);
+    }
+
     /**
      * Get performance statistics for a model
      * @param {string} modelName - Model name
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Conversation = require('./Conversation');
+const SensitiveDataScanner = require('./SensitiveDataScanner');
+const { createEmbedder, cosineSimilarity } = require('./embeddings');
+
+// Request options that change what a model answers; everything else is left out of the key
+const SAMPLING_OPTIONS = [
+    'temperature', 'top_p', 'max_tokens', 'stop', 'seed', 'response_format',
+    'presence_penalty', 'frequency_penalty',
+    'openai_params', 'anthropic_params', 'openwebui_params', 'ollama_params', 'llamacpp_params', 'parameters'
+];
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    default_ttl_seconds: 3600,
+    ttl_by_task_type: { creative: 0 },
+    bypass: { max_temperature: 0.9 },
+    semantic: {
+        enabled: false,
+        similarity_threshold: 0.92,
+        candidate_limit: 200,
+        embedding: { provider: 'hashed' }
+    }
+};
+
+/**
+ * Response Cache
+ * Serves repeated prompts from database/steward.db instead of calling the model again.
+ * Exact matches use a hash of the resolved model, sampling options and normalized prompt;
+ * near-duplicate mode compares local embeddings of single-prompt requests
+ */
+class ResponseCache {
+    /**
+     * @param {object} options - {dbManager, config, embedder, sensitiveDataScanner}; config defaults to
+     *                          response_cache in models.yaml
+     */
+    constructor(options = {}) {
+        const config = options.config || ResponseCache.loadConfig();
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            bypass: { ...DEFAULT_CONFIG.bypass, ...(config.bypass || {}) },
+            semantic: { ...DEFAULT_CONFIG.semantic, ...(config.semantic || {}) }
+        };
+        this.dbManager = options.dbManager;
+        this.embedder = options.embedder || createEmbedder(this.config.semantic.embedding || {});
+        this.sensitiveDataScanner = options.sensitiveDataScanner || new SensitiveDataScanner();
+    }
+
+    /**
+     * Read the response_cache block from models.yaml
+     * @param {string} modelsPath - Path to models.yaml
+     * @returns {object} Cache config, or an empty object when there is none
+     */
+    static loadConfig(modelsPath = path.join(__dirname, 'models.yaml')) {
+        try {
+            const modelsData = yaml.load(fs.readFileSync(modelsPath, 'utf8')) || {};
+            return modelsData.response_cache || {};
+        } catch (error) {
+            console.warn('Warning: Could not load response cache config:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Seconds a response for this task type stays valid
+     * @param {string} taskType - Classifier task type
+     * @returns {number} TTL in seconds; 0 means never cache
+     */
+    getTtl(taskType) {
+        const ttls = this.config.ttl_by_task_type || {};
+        if (taskType && ttls[taskType] !== undefined) {
+            return Number(ttls[taskType]) || 0;
+        }
+        return Number(this.config.default_ttl_seconds) || 0;
+    }
+
+    /**
+     * Decide whether a request must skip the cache
+     * @param {object} options - Request options
+     * @param {string} taskType - Classifier task type
+     * @returns {string|null} Reason for skipping, or null when the request is cacheable
+     */
+    getBypassReason(options = {}, taskType = null) {
+        if (!this.config.enabled || !this.dbManager) {
+            return 'disabled';
+        }
+        if (options.cache === false) {
+            return 'requested';
+        }
+        // Tool calls act on the outside world; a replayed call could repeat a side effect
+        if (Array.isArray(options.tools) && options.tools.length > 0) {
+            return 'tools';
+        }
+        if (this.getTtl(taskType) <= 0) {
+            return 'task_type';
+        }
+        const maxTemperature = this.config.bypass.max_temperature;
+        if (maxTemperature != null && typeof options.temperature === 'number' && options.temperature > maxTemperature) {
+            return 'temperature';
+        }
+        return null;
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {string} modelKey - Resolved model key, so aliases share entries
+     * @param {string|Conversation} prompt - Prompt or conversation
+     * @param {object} options - Request options
+     * @param {number|null} accountId - Account making the request; accounts never share cached answers
+     * @returns {object} {cache_key, model_key, options_hash, prompt_text, semantic}
+     */
+    createKey(modelKey, prompt, options = {}, accountId = null) {
+        const conversation = Conversation.from(prompt);
+        const single = conversation.messages.length === 1 && conversation.messages[0].role === 'user';
+
+        const promptText = single
+            ? ResponseCache.normalizeText(conversation.messages[0].content)
+            : JSON.stringify(conversation.messages.map(message => ({
+                ...message,
+                content: ResponseCache.normalizeText(message.content)
+            })));
+
+        const sampling = {};
+        for (const option of SAMPLING_OPTIONS) {
+            if (options[option] !== undefined) sampling[option] = options[option];
+        }
+        if (accountId !== null && accountId !== undefined) {
+            sampling.account_id = accountId;
+        }
+        const optionsHash = ResponseCache.hash(ResponseCache.stableStringify(sampling));
+
+        return {
+            cache_key: ResponseCache.hash(`${modelKey}\n${optionsHash}\n${promptText}`),
+            model_key: modelKey,
+            options_hash: optionsHash,
+            prompt_text: promptText,
+            semantic: single && typeof conversation.messages[0].content === 'string'
+        };
+    }
+
+    /**
+     * Look a request up, first by exact key and then, when enabled, by near-duplicate prompt
+     * @param {object} key - Key from createKey; receives the prompt embedding for a later store()
+     * @returns {Promise<object|null>} {entry, match: 'exact'|'semantic', similarity} or null on a miss
+     */
+    async lookup(key) {
+        const exact = await this.dbManager.getResponseCacheEntry(key.cache_key);
+        if (exact) {
+            await this.dbManager.recordResponseCacheHit(exact.id);
+            return { entry: exact, match: 'exact', similarity: 1 };
+        }
+
+        if (!this.config.semantic.enabled || !key.semantic) {
+            return null;
+        }
+
+        const { model, vector } = await this.embedder(key.prompt_text);
+        key.embedding = vector;
+        key.embedding_model = model;
+
+        const candidates = await this.dbManager.getResponseCacheCandidates({
+            model_key: key.model_key,
+            options_hash: key.options_hash,
+            embedding_model: model,
+            limit: this.config.semantic.candidate_limit
+        });
+
+        let best = null;
+        for (const candidate of candidates) {
+            const similarity = cosineSimilarity(vector, candidate.embedding);
+            if (!best || similarity > best.similarity) {
+                best = { entry: candidate, similarity };
+            }
+        }
+
+        if (!best || best.similarity < this.config.semantic.similarity_threshold) {
+            return null;
+        }
+
+        await this.dbManager.recordResponseCacheHit(best.entry.id);
+        return { entry: best.entry, match: 'semantic', similarity: best.similarity };
+    }
+
+    /**
+     * Store a model response under a key
+     * Only the masked prompt is kept; lookups go by the key hash and the embedding of the original
+     * @param {object} key - Key from createKey
+     * @param {string} taskType - Classifier task type; decides the TTL
+     * @param {object} response - Adapter response ({content, tool_calls, metadata})
+     * @returns {Promise<number|null>} Cache entry ID, or null when the response is not cacheable
+     */
+    async store(key, taskType, response) {
+        const ttl = this.getTtl(taskType);
+        if (ttl <= 0 || !response.content || (response.tool_calls && response.tool_calls.length > 0)) {
+            return null;
+        }
+
+        if (this.config.semantic.enabled && key.semantic && !key.embedding) {
+            const { model, vector } = await this.embedder(key.prompt_text);
+            key.embedding = vector;
+            key.embedding_model = model;
+        }
+
+        await this.dbManager.clearResponseCache({ expiredOnly: true });
+
+        const metadata = response.metadata || {};
+        return await this.dbManager.saveResponseCacheEntry({
+            cache_key: key.cache_key,
+            model_key: key.model_key,
+            options_hash: key.options_hash,
+            task_type: taskType,
+            prompt_text: this.sensitiveDataScanner.mask(key.prompt_text),
+            embedding: key.embedding || null,
+            embedding_model: key.embedding_model || null,
+            response_content: response.content,
+            response_metadata: {
+                usage: metadata.usage || {},
+                model: metadata.model || '',
+                finish_reason: metadata.finish_reason || '',
+                format: metadata.format || ''
+            },
+            tokens_total: metadata.usage?.total_tokens || null,
+            ttl_seconds: ttl
+        });
+    }
+
+    /**
+     * Delete every cached response
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async clear() {
+        return await this.dbManager.clearResponseCache();
+    }
+
+    /**
+     * Collapse whitespace so formatting-only differences share an entry
+     * @param {string|Array} content - Message content
+     * @returns {string} Normalized text
+     */
+    static normalizeText(content) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * JSON with sorted object keys, so equal options always hash the same
+     * @param {*} value - Value to serialize
+     * @returns {string} JSON string
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ResponseCache.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${ResponseCache.stableStringify(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * SHA-256 hex digest
+     * @param {string} text - Text to hash
+     * @returns {string} Digest
+     */
+    static hash(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+}
+
+module.exports = ResponseCache;
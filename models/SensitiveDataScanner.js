@@ -0,0 +1,420 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Conversation = require('./Conversation');
+
+// Built-in detectors; a named group "secret" limits the match to the value after a label
+const BUILTIN_DETECTORS = {
+    private_key: {
+        label: 'PRIVATE_KEY',
+        pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY-----/g
+    },
+    api_key: {
+        label: 'API_KEY',
+        pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|hf_[A-Za-z0-9]{30,}|glpat-[A-Za-z0-9_-]{20,}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+    },
+    env_line: {
+        label: 'SECRET',
+        pattern: /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASSWD|PWD|CREDENTIALS?|DSN|DATABASE_URL|CONNECTION_STRING)[A-Za-z0-9_]*[ \t]*=[ \t]*(?<secret>["']?[^\s"']+["']?)/gim
+    },
+    password: {
+        label: 'PASSWORD',
+        pattern: /\b(?:password|passwd|passphrase|pwd)[ \t]*(?:is|[:=])[ \t]*(?<secret>"[^"]*"|'[^']*'|\S{4,})/gi
+    },
+    email: {
+        label: 'EMAIL',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)|\d{1,4})(?:[ .-]?\d{2,4}){2,4}|\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4})(?!\w)/g
+    },
+    iban: {
+        label: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        validate: value => isValidIban(value)
+    },
+    // Values passed to commands and URLs: --token abc, ?api_key=abc, and FOO_TOKEN=abc before a command
+    secret_param: {
+        label: 'SECRET',
+        pattern: /(?:(?<![\w-])--?(?:password|passwd|token|api-key|secret|auth)(?:=|[ \t]+)|[?&][A-Za-z0-9_.-]*(?:key|token|secret|passw(?:or)?d|pwd)[A-Za-z0-9_]*=|(?<![\w$])[A-Za-z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASSWD|PWD|CREDENTIALS?)[A-Za-z0-9_]*=)(?<secret>"[^"]*"|'[^']*'|[^\s"'&#]+)/gi
+    },
+    auth_header: {
+        label: 'SECRET',
+        pattern: /\bauthorization:[ \t]*(?:(?:bearer|basic)[ \t]+)?(?<secret>[^\s"']+)/gi
+    }
+};
+
+const ACTIONS = ['redact', 'force_local'];
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    action: 'redact',
+    detectors: Object.keys(BUILTIN_DETECTORS),
+    force_local_on: ['private_key'],
+    custom_patterns: []
+};
+
+const PLACEHOLDER = /\[REDACTED_([A-Z0-9_]+?_\d+)\]/g;
+const PLACEHOLDER_PREFIX = '[REDACTED_';
+
+/**
+ * Check an IBAN's mod-97 checksum so ordinary upper-case codes are not taken for bank accounts
+ * @param {string} value - Candidate IBAN
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+    const iban = value.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * Sensitive Data Scanner
+ * Finds API keys, private keys, .env style secrets, passwords, emails, phone numbers, IBANs, secrets
+ * passed as flags, URL parameters or Authorization headers, and user-defined patterns before a prompt
+ * reaches a cloud model. Depending on sensitive_data in character-sheet.yaml the request is kept local,
+ * or sent with reversible placeholders that are swapped back in the response
+ */
+class SensitiveDataScanner {
+    /**
+     * @param {object} options - {config}; config defaults to sensitive_data in character-sheet.yaml
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...(options.config || SensitiveDataScanner.loadConfig()) };
+        this.detectors = this.buildDetectors();
+    }
+
+    /**
+     * Read the sensitive_data block from the character sheet
+     * @param {string} sheetPath - Path to character-sheet.yaml
+     * @returns {object} Scanner config, or an empty object when there is none
+     */
+    static loadConfig(sheetPath = path.join(__dirname, '../character-sheet.yaml')) {
+        try {
+            const sheet = yaml.load(fs.readFileSync(sheetPath, 'utf8')) || {};
+            return sheet.sensitive_data || {};
+        } catch (error) {
+            console.warn('Warning: Could not load sensitive data config:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Compile the enabled built-in detectors and the custom patterns from the config
+     * @returns {Array} Detectors ({name, label, pattern, validate, action})
+     */
+    buildDetectors() {
+        const defaultAction = ACTIONS.includes(this.config.action) ? this.config.action : 'redact';
+        const forceLocal = this.config.force_local_on || [];
+        const detectors = [];
+
+        for (const name of this.config.detectors || []) {
+            const builtin = BUILTIN_DETECTORS[name];
+            if (!builtin) {
+                console.warn(`Warning: Unknown sensitive data detector: ${name}`);
+                continue;
+            }
+            detectors.push({
+                name,
+                ...builtin,
+                action: forceLocal.includes(name) ? 'force_local' : defaultAction
+            });
+        }
+
+        for (const custom of this.config.custom_patterns || []) {
+            try {
+                if (!custom.name || !custom.pattern) {
+                    throw new Error('name and pattern are required');
+                }
+                detectors.push({
+                    name: custom.name,
+                    label: custom.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+                    pattern: new RegExp(custom.pattern, custom.case_sensitive ? 'g' : 'gi'),
+                    action: ACTIONS.includes(custom.action) ? custom.action
+                        : (forceLocal.includes(custom.name) ? 'force_local' : defaultAction)
+                });
+            } catch (error) {
+                console.warn(`Warning: Skipping sensitive data pattern ${custom.name || '(unnamed)'}: ${error.message}`);
+            }
+        }
+
+        return detectors;
+    }
+
+    /**
+     * Find sensitive values in a text
+     * @param {string} text - Text to scan
+     * @returns {Array} Non-overlapping findings ({detector, label, action, start, end, value}) in text order
+     */
+    scan(text) {
+        if (!this.config.enabled || typeof text !== 'string' || !text) {
+            return [];
+        }
+
+        const candidates = [];
+        for (const detector of this.detectors) {
+            detector.pattern.lastIndex = 0;
+            for (const match of text.matchAll(detector.pattern)) {
+                const value = match.groups?.secret ?? match[0];
+                if (!value || (detector.validate && !detector.validate(value))) continue;
+
+                const start = match.index + match[0].lastIndexOf(value);
+                candidates.push({
+                    detector: detector.name,
+                    label: detector.label,
+                    action: detector.action,
+                    start,
+                    end: start + value.length,
+                    value
+                });
+            }
+        }
+
+        // Earlier detectors win overlaps, so a private key is not also reported as an email or key
+        const findings = [];
+        for (const candidate of candidates) {
+            if (!findings.some(found => candidate.start < found.end && found.start < candidate.end)) {
+                findings.push(candidate);
+            }
+        }
+        return findings.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Summarize what a prompt contains without keeping the values
+     * @param {string|Conversation} prompt - Prompt or conversation
+     * @returns {object} {action: 'none'|'redact'|'force_local', detectors: {name: count}, count}
+     */
+    inspect(prompt) {
+        const findings = this.textsOf(prompt).flatMap(text => this.scan(text));
+        return this.summarize(findings);
+    }
+
+    /**
+     * Prepare a prompt for a cloud model: redact it with placeholders, or report that it must stay local
+     * @param {string|Conversation} prompt - Prompt or conversation
+     * @returns {object} {action, detectors, count, prompt, placeholders}; prompt is redacted when action is 'redact'
+     */
+    protect(prompt) {
+        const placeholders = {};
+        const byValue = new Map();
+        const counters = {};
+        const findings = [];
+
+        const redact = (text) => {
+            const found = this.scan(text);
+            if (found.length === 0) return text;
+            findings.push(...found);
+
+            let result = '';
+            let cursor = 0;
+            for (const finding of found) {
+                let placeholder = byValue.get(finding.value);
+                if (!placeholder) {
+                    counters[finding.label] = (counters[finding.label] || 0) + 1;
+                    placeholder = `${PLACEHOLDER_PREFIX}${finding.label}_${counters[finding.label]}]`;
+                    byValue.set(finding.value, placeholder);
+                    placeholders[placeholder] = finding.value;
+                }
+                result += text.slice(cursor, finding.start) + placeholder;
+                cursor = finding.end;
+            }
+            return result + text.slice(cursor);
+        };
+
+        const redactedPrompt = this.mapPrompt(prompt, redact);
+        const summary = this.summarize(findings);
+        return {
+            ...summary,
+            prompt: summary.action === 'redact' ? redactedPrompt : prompt,
+            placeholders: summary.action === 'redact' ? placeholders : {}
+        };
+    }
+
+    /**
+     * Replace sensitive values with placeholders for logs; the values are not kept
+     * @param {string} text - Text to mask
+     * @returns {string} Masked text
+     */
+    mask(text) {
+        const found = this.scan(text);
+        let result = text;
+        for (const finding of [...found].reverse()) {
+            result = result.slice(0, finding.start) + `${PLACEHOLDER_PREFIX}${finding.label}]` + result.slice(finding.end);
+        }
+        return result;
+    }
+
+    /**
+     * Put the original values back in place of placeholders
+     * @param {string} text - Model output
+     * @param {object} placeholders - Placeholder -> original value, from protect()
+     * @returns {string} Restored text
+     */
+    restore(text, placeholders) {
+        if (typeof text !== 'string' || !placeholders || Object.keys(placeholders).length === 0) {
+            return text;
+        }
+        return text.replace(PLACEHOLDER, placeholder => placeholders[placeholder] ?? placeholder);
+    }
+
+    /**
+     * Put the original values back into JSON text, where placeholders sit inside strings
+     * Values are escaped as JSON string content, so quotes, backslashes and newlines keep the JSON valid
+     * @param {string} text - JSON text, e.g. tool call arguments
+     * @param {object} placeholders - Placeholder -> original value, from protect()
+     * @returns {string} Restored JSON text
+     */
+    restoreJson(text, placeholders) {
+        if (typeof text !== 'string' || !placeholders || Object.keys(placeholders).length === 0) {
+            return text;
+        }
+        return text.replace(PLACEHOLDER, placeholder => (placeholder in placeholders
+            ? JSON.stringify(placeholders[placeholder]).slice(1, -1)
+            : placeholder));
+    }
+
+    /**
+     * Restore placeholders in a model response's content and tool call arguments
+     * @param {object} response - Adapter response
+     * @param {object} placeholders - Placeholder -> original value
+     * @returns {object} Response with original values
+     */
+    restoreResponse(response, placeholders) {
+        if (!placeholders || Object.keys(placeholders).length === 0) {
+            return response;
+        }
+
+        return {
+            ...response,
+            content: this.restore(response.content, placeholders),
+            tool_calls: Array.isArray(response.tool_calls)
+                ? response.tool_calls.map(call => ({
+                    ...call,
+                    function: call.function
+                        ? { ...call.function, arguments: this.restoreJson(call.function.arguments, placeholders) }
+                        : call.function
+                }))
+                : response.tool_calls
+        };
+    }
+
+    /**
+     * Wrap a token callback so placeholders split across streamed tokens are restored whole
+     * @param {object} placeholders - Placeholder -> original value
+     * @param {function} onToken - Callback receiving restored text
+     * @returns {object} {push(token), flush()}; call flush() once the stream has ended
+     */
+    createStreamRestorer(placeholders, onToken) {
+        if (!placeholders || Object.keys(placeholders).length === 0) {
+            return { push: onToken, flush: () => {} };
+        }
+
+        let buffer = '';
+
+        const emit = (text) => {
+            if (text) onToken(this.restore(text, placeholders));
+        };
+
+        return {
+            push: (token) => {
+                buffer += token;
+                // Hold back a tail that could still grow into a placeholder
+                const open = buffer.lastIndexOf('[');
+                const tail = open === -1 ? '' : buffer.slice(open);
+                const couldBePlaceholder = tail && !tail.includes(']') &&
+                    (PLACEHOLDER_PREFIX.startsWith(tail) || tail.startsWith(PLACEHOLDER_PREFIX)) &&
+                    tail.length < 64;
+                if (couldBePlaceholder) {
+                    emit(buffer.slice(0, open));
+                    buffer = tail;
+                } else {
+                    emit(buffer);
+                    buffer = '';
+                }
+            },
+            flush: () => {
+                emit(buffer);
+                buffer = '';
+            }
+        };
+    }
+
+    /**
+     * Summarize findings into the action routing has to take
+     * @private
+     */
+    summarize(findings) {
+        const detectors = {};
+        for (const finding of findings) {
+            detectors[finding.detector] = (detectors[finding.detector] || 0) + 1;
+        }
+
+        let action = 'none';
+        if (findings.some(finding => finding.action === 'force_local')) {
+            action = 'force_local';
+        } else if (findings.length > 0) {
+            action = 'redact';
+        }
+
+        return { action, detectors, count: findings.length };
+    }
+
+    /**
+     * Texts of a prompt or of every message and tool call in a conversation
+     * @private
+     */
+    textsOf(prompt) {
+        const texts = [];
+        this.mapPrompt(prompt, text => {
+            texts.push(text);
+            return text;
+        });
+        return texts;
+    }
+
+    /**
+     * Apply a text transform to a prompt, or to a copy of a conversation's messages and tool call arguments
+     * @private
+     */
+    mapPrompt(prompt, transform) {
+        if (!(prompt instanceof Conversation)) {
+            return typeof prompt === 'string' ? transform(prompt) : prompt;
+        }
+
+        const messages = prompt.messages.map(message => {
+            let content = message.content;
+            if (typeof content === 'string') {
+                content = transform(content);
+            } else if (Array.isArray(content)) {
+                content = content.map(part => (typeof part?.text === 'string' ? { ...part, text: transform(part.text) } : part));
+            }
+
+            const mapped = { ...message, content };
+            if (message.tool_calls) {
+                mapped.tool_calls = message.tool_calls.map(call => ({
+                    ...call,
+                    function: call.function && typeof call.function.arguments === 'string'
+                        ? { ...call.function, arguments: transform(call.function.arguments) }
+                        : call.function
+                }));
+            }
+            return mapped;
+        });
+
+        return new Conversation(messages);
+    }
+}
+
+module.exports = SensitiveDataScanner;
+module.exports.BUILTIN_DETECTORS = BUILTIN_DETECTORS;
@@ -1,4 +1,13 @@
+const http = require('http');
 const https = require('https');
+const Conversation = require('../Conversation');
+const {
+    pickToolParams,
+    toAnthropicTools,
+    toAnthropicToolChoice,
+    fromAnthropicToolUse,
+    mergeToolCallDeltas
+} = require('../tool-calls');
 
 /**
  * Cloud API Adapter
@@ -6,7 +15,12 @@ const https = require('https');
  * Supports different API formats and provides rate limiting awareness
  */
 class CloudAPIAdapter {
-    constructor() {
+    /**
+     * @param {object} config - Adapter config from models.yaml ({endpoint, auth_env, wire_format}); all optional
+     */
+    constructor(config = {}) {
+        this.config = config;
+
         // Default timeout for requests (60 seconds for cloud APIs)
         this.timeout = 60000;
         
@@ -27,12 +41,22 @@ class CloudAPIAdapter {
             openai: 'api.openai.com',
             anthropic: 'api.anthropic.com'
         };
+        this.paths = {
+            openai: '/v1/chat/completions',
+            anthropic: '/v1/messages'
+        };
+
+        // Environment variables holding API keys when the model config names none
+        this.authEnv = {
+            openai: 'OPENAI_API_KEY',
+            anthropic: 'ANTHROPIC_API_KEY'
+        };
     }
 
     /**
      * Send request to cloud API model
      * @param {string} modelName - Name of the model
-     * @param {string} prompt - The prompt to send
+     * @param {string|Conversation} prompt - The prompt or conversation to send
      * @param {object} options - Request options
      * @returns {object} Response from the model
      */
@@ -61,12 +85,45 @@ class CloudAPIAdapter {
         return response;
     }
 
+    /**
+     * Stream request to cloud API model, emitting tokens as they arrive
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Called with each text fragment as it is generated
+     * @param {function} onToolCall - Called with OpenAI-format tool call deltas
+     * @returns {object} Response from the model once the stream has finished
+     */
+    async streamRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const provider = this.getProviderFromModel(modelName);
+
+        if (!this.checkRateLimit(provider)) {
+            throw new Error(`Rate limit exceeded for ${provider}. Please wait before making more requests.`);
+        }
+
+        let response;
+        if (provider === 'openai') {
+            response = await this.streamOpenAIRequest(modelName, prompt, options, onToken, onToolCall);
+        } else if (provider === 'anthropic') {
+            response = await this.streamAnthropicRequest(modelName, prompt, options, onToken, onToolCall);
+        } else {
+            throw new Error(`Unsupported provider: ${provider}`);
+        }
+
+        this.updateRateLimit(provider);
+
+        return response;
+    }
+
     /**
      * Determine API provider from model name
      * @param {string} modelName - Name of the model
      * @returns {string} Provider name
      */
     getProviderFromModel(modelName) {
+        if (this.config.wire_format) {
+            return this.config.wire_format;
+        }
         if (modelName.startsWith('gpt-')) {
             return 'openai';
         } else if (modelName.startsWith('claude-')) {
@@ -76,39 +133,68 @@ class CloudAPIAdapter {
         }
     }
 
+    /**
+     * Read the API key for a provider from the configured environment variable
+     * @param {string} provider - 'openai' or 'anthropic'
+     * @returns {string} API key
+     */
+    getApiKey(provider) {
+        const envVar = this.config.auth_env || this.authEnv[provider];
+        const apiKey = process.env[envVar];
+        if (!apiKey) {
+            throw new Error(`${envVar} environment variable is required`);
+        }
+        return apiKey;
+    }
+
+    /**
+     * Get the protocol, host, port and path for a provider's endpoint
+     * @param {string} provider - 'openai' or 'anthropic'
+     * @returns {object} Request target options
+     */
+    getRequestTarget(provider) {
+        if (this.config.endpoint) {
+            const url = new URL(this.config.endpoint);
+            return {
+                protocol: url.protocol,
+                hostname: url.hostname,
+                port: url.port || (url.protocol === 'http:' ? 80 : 443),
+                path: `${url.pathname}${url.search}`
+            };
+        }
+
+        return {
+            protocol: 'https:',
+            hostname: this.endpoints[provider],
+            port: 443,
+            path: this.paths[provider]
+        };
+    }
+
     /**
      * Send request to OpenAI API
      * @param {string} modelName - Name of the model
-     * @param {string} prompt - The prompt to send
+     * @param {string|Conversation} prompt - The prompt or conversation to send
      * @param {object} options - Request options
      * @returns {object} Response from OpenAI
      */
     async sendOpenAIRequest(modelName, prompt, options = {}) {
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (!apiKey) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
+        const apiKey = this.getApiKey('openai');
 
         const postData = JSON.stringify({
             model: modelName,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+            messages: Conversation.from(prompt).toOpenAIMessages(),
             max_tokens: options.max_tokens || 256,
             temperature: options.temperature || 0.7,
             top_p: options.top_p || 1,
             frequency_penalty: options.frequency_penalty || 0,
             presence_penalty: options.presence_penalty || 0,
+            ...pickToolParams(options),
             ...options.openai_params
         });
 
         const requestOptions = {
-            hostname: this.endpoints.openai,
-            port: 443,
-            path: '/v1/chat/completions',
+            ...this.getRequestTarget('openai'),
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -125,34 +211,28 @@ class CloudAPIAdapter {
     /**
      * Send request to Anthropic API
      * @param {string} modelName - Name of the model
-     * @param {string} prompt - The prompt to send
+     * @param {string|Conversation} prompt - The prompt or conversation to send
      * @param {object} options - Request options
      * @returns {object} Response from Anthropic
      */
     async sendAnthropicRequest(modelName, prompt, options = {}) {
-        const apiKey = process.env.ANTHROPIC_API_KEY;
-        if (!apiKey) {
-            throw new Error('ANTHROPIC_API_KEY environment variable is required');
-        }
+        const apiKey = this.getApiKey('anthropic');
+
+        const { system, messages } = Conversation.from(prompt).toAnthropicPayload();
 
         const postData = JSON.stringify({
             model: modelName,
             max_tokens: options.max_tokens || 256,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+            ...(system ? { system } : {}),
+            messages: messages,
             temperature: options.temperature || 0.7,
             top_p: options.top_p || 1,
+            ...this.buildAnthropicToolParams(options),
             ...options.anthropic_params
         });
 
         const requestOptions = {
-            hostname: this.endpoints.anthropic,
-            port: 443,
-            path: '/v1/messages',
+            ...this.getRequestTarget('anthropic'),
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -167,6 +247,201 @@ class CloudAPIAdapter {
         return this.parseAnthropicResponse(responseBody);
     }
 
+    /**
+     * Stream request from OpenAI API
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Accumulated response from OpenAI
+     */
+    async streamOpenAIRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const apiKey = this.getApiKey('openai');
+
+        const postData = JSON.stringify({
+            model: modelName,
+            messages: Conversation.from(prompt).toOpenAIMessages(),
+            max_tokens: options.max_tokens || 256,
+            temperature: options.temperature || 0.7,
+            top_p: options.top_p || 1,
+            frequency_penalty: options.frequency_penalty || 0,
+            presence_penalty: options.presence_penalty || 0,
+            ...pickToolParams(options),
+            ...options.openai_params,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        const requestOptions = {
+            ...this.getRequestTarget('openai'),
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Length': Buffer.byteLength(postData)
+            },
+            timeout: this.timeout
+        };
+
+        const result = {
+            content: '',
+            tool_calls: [],
+            metadata: {
+                provider: 'openai',
+                streamed: true,
+                usage: {},
+                model: '',
+                finish_reason: ''
+            }
+        };
+
+        await this.makeHttpsStreamRequest(requestOptions, postData, (eventName, data) => {
+            if (data === '[DONE]') return;
+
+            const parsed = JSON.parse(data);
+            if (parsed.error) {
+                throw new Error(`OpenAI API Error: ${parsed.error.message}`);
+            }
+
+            const choice = parsed.choices?.[0];
+            const token = choice?.delta?.content;
+            if (token) {
+                result.content += token;
+                onToken(token);
+            }
+            if (choice?.delta?.tool_calls) {
+                mergeToolCallDeltas(result.tool_calls, choice.delta.tool_calls);
+                onToolCall(choice.delta.tool_calls);
+            }
+            if (choice?.finish_reason) result.metadata.finish_reason = choice.finish_reason;
+            if (parsed.model) result.metadata.model = parsed.model;
+            if (parsed.usage) result.metadata.usage = parsed.usage;
+        });
+
+        if (result.tool_calls.length === 0) {
+            result.tool_calls = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Stream request from Anthropic API
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback, in OpenAI format
+     * @returns {object} Accumulated response from Anthropic
+     */
+    async streamAnthropicRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const apiKey = this.getApiKey('anthropic');
+
+        const { system, messages } = Conversation.from(prompt).toAnthropicPayload();
+
+        const postData = JSON.stringify({
+            model: modelName,
+            max_tokens: options.max_tokens || 256,
+            ...(system ? { system } : {}),
+            messages: messages,
+            temperature: options.temperature || 0.7,
+            top_p: options.top_p || 1,
+            ...this.buildAnthropicToolParams(options),
+            ...options.anthropic_params,
+            stream: true
+        });
+
+        const requestOptions = {
+            ...this.getRequestTarget('anthropic'),
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'Content-Length': Buffer.byteLength(postData)
+            },
+            timeout: this.timeout
+        };
+
+        const result = {
+            content: '',
+            tool_calls: [],
+            metadata: {
+                provider: 'anthropic',
+                streamed: true,
+                usage: {},
+                model: '',
+                stop_reason: ''
+            }
+        };
+
+        // Anthropic numbers content blocks across text and tool_use; OpenAI numbers tool calls only
+        const toolIndexByBlock = {};
+
+        const emitToolDelta = (delta) => {
+            mergeToolCallDeltas(result.tool_calls, [delta]);
+            onToolCall([delta]);
+        };
+
+        await this.makeHttpsStreamRequest(requestOptions, postData, (eventName, data) => {
+            const parsed = JSON.parse(data);
+            const type = parsed.type || eventName;
+
+            if (type === 'error') {
+                throw new Error(`Anthropic API Error: ${parsed.error?.message || 'stream error'}`);
+            } else if (type === 'message_start') {
+                result.metadata.model = parsed.message?.model || '';
+                result.metadata.usage = { ...(parsed.message?.usage || {}) };
+            } else if (type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+                const index = Object.keys(toolIndexByBlock).length;
+                toolIndexByBlock[parsed.index] = index;
+                emitToolDelta({
+                    index,
+                    id: parsed.content_block.id,
+                    type: 'function',
+                    function: { name: parsed.content_block.name, arguments: '' }
+                });
+            } else if (type === 'content_block_delta' && parsed.delta?.type === 'text_delta') {
+                result.content += parsed.delta.text;
+                onToken(parsed.delta.text);
+            } else if (type === 'content_block_delta' && parsed.delta?.type === 'input_json_delta') {
+                emitToolDelta({
+                    index: toolIndexByBlock[parsed.index],
+                    function: { arguments: parsed.delta.partial_json }
+                });
+            } else if (type === 'message_delta') {
+                result.metadata.stop_reason = parsed.delta?.stop_reason || '';
+                result.metadata.usage = { ...result.metadata.usage, ...(parsed.usage || {}) };
+            }
+        });
+
+        if (result.tool_calls.length === 0) {
+            result.tool_calls = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Translate OpenAI tool parameters into Anthropic request fields
+     * @param {object} options - Request options
+     * @returns {object} tools and tool_choice for the Anthropic body, or an empty object
+     */
+    buildAnthropicToolParams(options = {}) {
+        const { tools, tool_choice } = pickToolParams(options);
+        if (!tools) {
+            return {};
+        }
+
+        const params = { tools: toAnthropicTools(tools) };
+        const toolChoice = toAnthropicToolChoice(tool_choice);
+        if (toolChoice) {
+            params.tool_choice = toolChoice;
+        }
+        return params;
+    }
+
     /**
      * Make HTTPS request
      * @param {object} requestOptions - HTTPS request options
@@ -174,8 +449,9 @@ class CloudAPIAdapter {
      * @returns {Promise<string>} Response body
      */
     async makeHttpsRequest(requestOptions, postData) {
+        const transport = requestOptions.protocol === 'http:' ? http : https;
         return new Promise((resolve, reject) => {
-            const req = https.request(requestOptions, (res) => {
+            const req = transport.request(requestOptions, (res) => {
                 let data = '';
 
                 res.on('data', (chunk) => {
@@ -210,6 +486,84 @@ class CloudAPIAdapter {
         });
     }
 
+    /**
+     * Make streaming HTTPS request and dispatch server-sent events
+     * @param {object} requestOptions - HTTPS request options
+     * @param {string} postData - Data to send in POST body
+     * @param {function} onEvent - Called with (eventName, data) for each SSE data line
+     * @returns {Promise<void>} Resolves when the stream ends
+     */
+    async makeHttpsStreamRequest(requestOptions, postData, onEvent) {
+        const transport = requestOptions.protocol === 'http:' ? http : https;
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                reject(error);
+            };
+
+            const req = transport.request(requestOptions, (res) => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    let errorBody = '';
+                    res.on('data', (chunk) => {
+                        errorBody += chunk;
+                    });
+                    res.on('end', () => fail(new Error(`HTTP ${res.statusCode}: ${errorBody}`)));
+                    return;
+                }
+
+                let buffer = '';
+                let eventName = 'message';
+                res.setEncoding('utf8');
+
+                res.on('data', (chunk) => {
+                    buffer += chunk;
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+
+                    for (const rawLine of lines) {
+                        const line = rawLine.trim();
+                        if (!line) {
+                            eventName = 'message';
+                        } else if (line.startsWith('event:')) {
+                            eventName = line.slice(6).trim();
+                        } else if (line.startsWith('data:')) {
+                            try {
+                                onEvent(eventName, line.slice(5).trim());
+                            } catch (error) {
+                                req.destroy();
+                                fail(error);
+                                return;
+                            }
+                        }
+                    }
+                });
+
+                res.on('end', () => {
+                    if (settled) return;
+                    settled = true;
+                    resolve();
+                });
+
+                res.on('error', fail);
+            });
+
+            req.on('error', fail);
+
+            req.on('timeout', () => {
+                req.destroy();
+                fail(new Error('Request timeout'));
+            });
+
+            // Idle timeout between events rather than for the whole generation
+            req.setTimeout(this.timeout);
+
+            req.write(postData);
+            req.end();
+        });
+    }
+
     /**
      * Parse OpenAI API response
      * @param {string} responseBody - Raw response body
@@ -224,9 +578,11 @@ class CloudAPIAdapter {
             }
 
             const content = parsed.choices?.[0]?.message?.content || '';
+            const toolCalls = parsed.choices?.[0]?.message?.tool_calls;
             
             return {
                 content: content,
+                tool_calls: toolCalls && toolCalls.length > 0 ? toolCalls : null,
                 metadata: {
                     provider: 'openai',
                     usage: parsed.usage || {},
@@ -254,10 +610,14 @@ class CloudAPIAdapter {
                 throw new Error(`Anthropic API Error: ${parsed.error.message}`);
             }
 
-            const content = parsed.content?.[0]?.text || '';
+            // Responses may interleave text and tool_use blocks
+            const blocks = parsed.content || [];
+            const content = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+            const toolCalls = blocks.filter(block => block.type === 'tool_use').map(fromAnthropicToolUse);
             
             return {
                 content: content,
+                tool_calls: toolCalls.length > 0 ? toolCalls : null,
                 metadata: {
                     provider: 'anthropic',
                     usage: parsed.usage || {},
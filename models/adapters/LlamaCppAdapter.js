@@ -0,0 +1,244 @@
+const LocalDockerAdapter = require('./LocalDockerAdapter');
+const Conversation = require('../Conversation');
+const { pickToolParams } = require('../tool-calls');
+
+/**
+ * llama.cpp Server Adapter
+ * Talks to llama-server through its OpenAI-compatible /v1 API (default) or
+ * its native /completion endpoint, and lists loaded models through /v1/models
+ */
+class LlamaCppAdapter extends LocalDockerAdapter {
+    /**
+     * @param {object} config - Adapter config from models.yaml ({endpoint, auth_env, wire_format})
+     *                          wire_format is 'openai' (default) or 'completion'; endpoint defaults to LLAMACPP_HOST
+     */
+    constructor(config = {}) {
+        super({
+            ...config,
+            endpoint: config.endpoint || process.env.LLAMACPP_HOST || 'http://localhost:8080',
+            wire_format: null
+        });
+        this.port = this.commonPorts[0];
+        this.wireFormat = config.wire_format === 'completion' ? 'completion' : 'openai';
+        this.authEnv = config.auth_env || 'LLAMACPP_API_KEY';
+        this.discoveryTimeout = 3000;
+    }
+
+    /**
+     * Send a request and wait for the whole answer
+     * @param {string} modelName - Model id reported by the server
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @returns {object} Response from the model
+     */
+    async sendRequest(modelName, prompt, options = {}) {
+        const { requestOptions, postData } = this.buildRequest(modelName, prompt, options, false);
+        const body = await this.makeHttpRequest(requestOptions, postData);
+
+        return this.wireFormat === 'completion'
+            ? this.parseCompletionResponse(body)
+            : this.parseChatResponse(body);
+    }
+
+    /**
+     * Stream a request, emitting tokens as they arrive
+     * @param {string} modelName - Model id reported by the server
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Response from the model once the stream has finished
+     */
+    async streamRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const { requestOptions, postData } = this.buildRequest(modelName, prompt, options, true);
+        return await this.makeStreamingRequest(requestOptions, postData, 'llama-cpp', onToken, onToolCall);
+    }
+
+    /**
+     * Build the HTTP request for the configured wire format
+     * @param {string} modelName - Model id
+     * @param {string|Conversation} prompt - The prompt or conversation
+     * @param {object} options - Request options
+     * @param {boolean} stream - Whether to request a stream
+     * @returns {object} {requestOptions, postData}
+     */
+    buildRequest(modelName, prompt, options, stream) {
+        const conversation = Conversation.from(prompt);
+        let path;
+        let body;
+
+        if (this.wireFormat === 'completion') {
+            path = '/completion';
+            body = {
+                prompt: conversation.toPromptText(),
+                n_predict: options.max_tokens || 1500,
+                temperature: options.temperature || 0.7,
+                top_p: options.top_p || 0.9,
+                stream,
+                ...options.llamacpp_params
+            };
+        } else {
+            path = '/v1/chat/completions';
+            body = {
+                model: modelName,
+                messages: conversation.toOpenAIMessages(),
+                max_tokens: options.max_tokens || 1500,
+                temperature: options.temperature || 0.7,
+                top_p: options.top_p || 0.9,
+                ...pickToolParams(options),
+                ...options.llamacpp_params,
+                stream
+            };
+        }
+
+        const postData = JSON.stringify(body);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        };
+        if (process.env[this.authEnv]) {
+            headers['Authorization'] = `Bearer ${process.env[this.authEnv]}`;
+        }
+
+        return {
+            requestOptions: {
+                hostname: this.hostname,
+                port: this.port,
+                path,
+                method: 'POST',
+                headers,
+                timeout: this.timeout
+            },
+            postData
+        };
+    }
+
+    /**
+     * Parse an OpenAI-compatible chat completion
+     * @param {string} responseBody - Raw response body
+     * @returns {object} Parsed response
+     */
+    parseChatResponse(responseBody) {
+        const parsed = JSON.parse(responseBody);
+        if (parsed.error) {
+            throw new Error(`llama.cpp API Error: ${parsed.error.message || parsed.error}`);
+        }
+
+        const message = parsed.choices?.[0]?.message || {};
+        return {
+            content: message.content || '',
+            tool_calls: message.tool_calls && message.tool_calls.length > 0 ? message.tool_calls : null,
+            metadata: {
+                format: 'llama-cpp',
+                usage: parsed.usage || {},
+                model: parsed.model || '',
+                finish_reason: parsed.choices?.[0]?.finish_reason || '',
+                has_reasoning: !!message.reasoning_content,
+                reasoning_content: message.reasoning_content || ''
+            }
+        };
+    }
+
+    /**
+     * Parse a native /completion response
+     * @param {string} responseBody - Raw response body
+     * @returns {object} Parsed response
+     */
+    parseCompletionResponse(responseBody) {
+        const parsed = JSON.parse(responseBody);
+        if (parsed.error) {
+            throw new Error(`llama.cpp API Error: ${parsed.error.message || parsed.error}`);
+        }
+
+        return {
+            content: parsed.content || '',
+            tool_calls: null,
+            metadata: {
+                format: 'llama-cpp-completion',
+                usage: this.getCompletionUsage(parsed),
+                model: parsed.model || '',
+                finish_reason: parsed.stop_type || (parsed.stop ? 'stop' : '')
+            }
+        };
+    }
+
+    /**
+     * Parse a streamed line; native /completion chunks carry {content, stop}
+     * @param {string} line - Raw line from the stream
+     * @returns {object|null} Parsed event or null to skip
+     */
+    parseStreamLine(line) {
+        if (this.wireFormat !== 'completion') {
+            return super.parseStreamLine(line);
+        }
+
+        const payload = line.trim().replace(/^data:\s*/, '');
+        if (!payload || payload.startsWith(':') || payload === '[DONE]') {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(payload);
+        } catch (parseError) {
+            return null;
+        }
+
+        if (parsed.error) {
+            throw new Error(`Stream error: ${parsed.error.message || parsed.error}`);
+        }
+
+        return {
+            token: parsed.content || '',
+            reasoning: '',
+            tool_calls: null,
+            usage: parsed.stop ? this.getCompletionUsage(parsed) : null,
+            model: parsed.model || '',
+            finish_reason: parsed.stop ? (parsed.stop_type || 'stop') : ''
+        };
+    }
+
+    /**
+     * Convert llama.cpp token counters to OpenAI-style usage
+     * @param {object} parsed - Completion response or final stream chunk
+     * @returns {object} Usage
+     */
+    getCompletionUsage(parsed) {
+        const promptTokens = parsed.tokens_evaluated || 0;
+        const completionTokens = parsed.tokens_predicted || 0;
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    /**
+     * List the models loaded by the server
+     * @returns {Promise<Array>} Models ({model_id, owned_by, context_length})
+     */
+    async listModels() {
+        const headers = {};
+        if (process.env[this.authEnv]) {
+            headers['Authorization'] = `Bearer ${process.env[this.authEnv]}`;
+        }
+
+        const body = await this.makeHttpRequest({
+            hostname: this.hostname,
+            port: this.port,
+            path: '/v1/models',
+            method: 'GET',
+            headers,
+            timeout: this.discoveryTimeout
+        }, '');
+
+        const parsed = JSON.parse(body);
+        return (parsed.data || []).map(model => ({
+            model_id: model.id,
+            owned_by: model.owned_by || 'llamacpp',
+            context_length: model.meta?.n_ctx_train || null
+        }));
+    }
+}
+
+module.exports = LlamaCppAdapter;
@@ -1,4 +1,6 @@
 const http = require('http');
+const Conversation = require('../Conversation');
+const { pickToolParams, mergeToolCallDeltas } = require('../tool-calls');
 
 /**
  * Local Docker Adapter
@@ -6,9 +8,24 @@ const http = require('http');
  * Supports HuggingFace Spaces, generic text-generation endpoints, and Open WebUI API
  */
 class LocalDockerAdapter {
-    constructor() {
-        // Common ports for Docker-hosted models
+    /**
+     * @param {object} config - Adapter config from models.yaml ({endpoint, auth_env, wire_format}); all optional
+     */
+    constructor(config = {}) {
+        this.config = config;
+
+        // Common ports for Docker-hosted models; a configured endpoint replaces the port scan
+        this.hostname = 'localhost';
         this.commonPorts = [7860, 8080, 3000];
+        if (config.endpoint) {
+            const url = new URL(config.endpoint);
+            this.hostname = url.hostname;
+            this.commonPorts = [Number(url.port) || 80];
+        }
+
+        // 'openwebui', 'ollama', 'huggingface' or 'generic'; unset or 'auto' tries each in turn
+        this.wireFormat = config.wire_format && config.wire_format !== 'auto' ? config.wire_format : null;
+        this.authEnv = config.auth_env || 'OPENWEBUI_API_KEY';
         
         // Default timeout for requests (30 seconds)
         this.timeout = 30000;
@@ -21,16 +38,16 @@ class LocalDockerAdapter {
     /**
      * Send request to local Docker model
      * @param {string} modelName - Name of the model
-     * @param {string} prompt - The prompt to send
+     * @param {string|Conversation} prompt - The prompt or conversation to send
      * @param {object} options - Request options
      * @returns {object} Response from the model
      */
     async sendRequest(modelName, prompt, options = {}) {
         // For Open WebUI models, prioritize port 3000
-        const openWebUIModels = ['gpt-4o', 'lewd', 'ai/smollm3:latest'];
+        const isOpenWebUIModel = this.wireFormat === 'openwebui';
         let portsToTry = [...this.commonPorts];
         
-        if (openWebUIModels.includes(modelName)) {
+        if (isOpenWebUIModel && portsToTry.includes(3000)) {
             // Move port 3000 to the front for Open WebUI models
             portsToTry = portsToTry.filter(p => p !== 3000);
             portsToTry.unshift(3000);
@@ -45,7 +62,7 @@ class LocalDockerAdapter {
                 // Log the attempt but continue to next port unless it's an auth error on port 3000
                 if (port === 3000 && error.message.includes('authentication required')) {
                     // For auth errors on port 3000, stop trying other ports for Open WebUI models
-                    if (openWebUIModels.includes(modelName)) {
+                    if (isOpenWebUIModel) {
                         throw error;
                     }
                 }
@@ -57,6 +74,187 @@ class LocalDockerAdapter {
         throw new Error(`Could not connect to model ${modelName} on any of the common ports: ${portsToTry.join(', ')}`);
     }
 
+    /**
+     * Stream a request to a local Docker model, emitting tokens as they arrive
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Called with each text fragment as it is generated
+     * @param {function} onToolCall - Called with OpenAI-format tool call deltas
+     * @returns {object} Response from the model once the stream has finished
+     */
+    async streamRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const isOpenWebUIModel = this.wireFormat === 'openwebui';
+        let portsToTry = [...this.commonPorts];
+
+        if (isOpenWebUIModel && portsToTry.includes(3000)) {
+            portsToTry = portsToTry.filter(p => p !== 3000);
+            portsToTry.unshift(3000);
+        }
+
+        for (const port of portsToTry) {
+            let tokensEmitted = false;
+            const trackedOnToken = (token) => {
+                tokensEmitted = true;
+                onToken(token);
+            };
+            const trackedOnToolCall = (deltas) => {
+                tokensEmitted = true;
+                onToolCall(deltas);
+            };
+
+            try {
+                return await this.tryStreamPort(port, modelName, prompt, options, trackedOnToken, trackedOnToolCall);
+            } catch (error) {
+                // Once output has reached the caller, moving to another port would duplicate it
+                if (tokensEmitted) {
+                    throw error;
+                }
+                if (error.message.includes('authentication required') && isOpenWebUIModel) {
+                    throw error;
+                }
+                console.log(`Port ${port} failed to stream model ${modelName}: ${error.message}`);
+                continue;
+            }
+        }
+
+        throw new Error(`Could not connect to model ${modelName} on any of the common ports: ${portsToTry.join(', ')}`);
+    }
+
+    /**
+     * Try to stream from a specific port
+     * Streaming formats are tried first; non-streaming formats emit the whole answer as one token
+     * @param {number} port - Port to try
+     * @param {string} modelName - Name of the model
+     * @param {string} prompt - The prompt to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Response from the model
+     */
+    async tryStreamPort(port, modelName, prompt, options, onToken, onToolCall = () => {}) {
+        // A configured wire format is used on its own
+        if (this.wireFormat === 'openwebui') {
+            try {
+                return await this.streamOpenWebUIRequest(port, modelName, prompt, options, onToken, onToolCall);
+            } catch (error) {
+                throw this.wrapAuthError(error);
+            }
+        }
+        if (this.wireFormat === 'ollama') {
+            return await this.streamOllamaRequest(port, modelName, prompt, options, onToken, onToolCall);
+        }
+        if (this.wireFormat) {
+            return this.emitWholeResponse(await this.sendWithFormat(this.wireFormat, port, modelName, prompt, options), onToken);
+        }
+
+        if (port === 3000) {
+            try {
+                return await this.streamOpenWebUIRequest(port, modelName, prompt, options, onToken, onToolCall);
+            } catch (error) {
+                if (this.isAuthError(error)) {
+                    throw this.wrapAuthError(error);
+                }
+                if (error.partial) {
+                    throw error;
+                }
+                console.log(`Open WebUI streaming failed on port ${port}: ${error.message}`);
+            }
+        }
+
+        // Try Ollama-style chat endpoint
+        try {
+            return await this.streamOllamaRequest(port, modelName, prompt, options, onToken, onToolCall);
+        } catch (error) {
+            if (error.partial) {
+                throw error;
+            }
+            console.log(`Ollama streaming failed on port ${port}: ${error.message}`);
+        }
+
+        // Fall back to formats without streaming support
+        let response;
+        try {
+            response = await this.sendHuggingFaceRequest(port, prompt, options);
+        } catch (error) {
+            console.log(`HuggingFace format failed on port ${port}: ${error.message}`);
+            response = await this.sendGenericRequest(port, prompt, options);
+        }
+
+        return this.emitWholeResponse(response, onToken);
+    }
+
+    /**
+     * Pass a non-streamed response to the token callback as a single token
+     * @param {object} response - Parsed response
+     * @param {function} onToken - Token callback
+     * @returns {object} Response marked as not streamed
+     */
+    emitWholeResponse(response, onToken) {
+        if (response.content) {
+            onToken(response.content);
+        }
+
+        return {
+            ...response,
+            metadata: {
+                ...(response.metadata || {}),
+                streamed: false
+            }
+        };
+    }
+
+    /**
+     * Send a non-streaming request in one specific wire format
+     * @param {string} format - 'openwebui', 'ollama', 'huggingface' or 'generic'
+     * @param {number} port - Port to connect to
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @returns {object} Response from the model
+     */
+    async sendWithFormat(format, port, modelName, prompt, options = {}) {
+        switch (format) {
+            case 'openwebui':
+                try {
+                    return await this.sendOpenWebUIRequest(port, modelName, prompt, options);
+                } catch (error) {
+                    throw this.wrapAuthError(error);
+                }
+            case 'ollama': {
+                const response = await this.streamOllamaRequest(port, modelName, prompt, options);
+                return { ...response, metadata: { ...response.metadata, streamed: false } };
+            }
+            case 'huggingface':
+                return await this.sendHuggingFaceRequest(port, prompt, options);
+            case 'generic':
+                return await this.sendGenericRequest(port, prompt, options);
+            default:
+                throw new Error(`Unsupported wire format: ${format}`);
+        }
+    }
+
+    /**
+     * Check whether an error is an Open WebUI authentication failure
+     * @param {Error} error - Request error
+     * @returns {boolean}
+     */
+    isAuthError(error) {
+        return error.message.includes('Not authenticated') || error.message.includes('401');
+    }
+
+    /**
+     * Turn an Open WebUI authentication failure into an actionable error
+     * @param {Error} error - Request error
+     * @returns {Error} Rewritten error, or the original one
+     */
+    wrapAuthError(error) {
+        if (!this.isAuthError(error)) {
+            return error;
+        }
+        return new Error(`Open WebUI authentication required. Set ${this.authEnv} environment variable. Original error: ${error.message}`);
+    }
+
     /**
      * Try to connect to a specific port
      * @param {number} port - Port to try
@@ -66,14 +264,19 @@ class LocalDockerAdapter {
      * @returns {object} Response from the model
      */
     async tryPort(port, modelName, prompt, options = {}) {
+        // A configured wire format is used on its own
+        if (this.wireFormat) {
+            return await this.sendWithFormat(this.wireFormat, port, modelName, prompt, options);
+        }
+
         // For port 3000, prioritize Open WebUI format
         if (port === 3000) {
             try {
                 return await this.sendOpenWebUIRequest(port, modelName, prompt, options);
             } catch (error) {
                 // If it's an auth error, throw it immediately (don't try other formats)
-                if (error.message.includes('Not authenticated') || error.message.includes('401')) {
-                    throw new Error(`Open WebUI authentication required. Set OPENWEBUI_API_KEY environment variable. Original error: ${error.message}`);
+                if (this.isAuthError(error)) {
+                    throw this.wrapAuthError(error);
                 }
                 console.log(`Open WebUI format failed on port ${port}: ${error.message}`);
                 // Continue to try other formats
@@ -98,8 +301,9 @@ class LocalDockerAdapter {
 
     /**
      * Format messages for specific models to improve response quality
+     * The default system prompt is only added when the conversation brings none of its own
      * @param {string} modelName - Name of the model
-     * @param {string} prompt - The user prompt
+     * @param {string|Conversation} prompt - The user prompt or conversation
      * @returns {Array} Formatted messages array
      */
     formatMessagesForModel(modelName, prompt) {
@@ -113,16 +317,7 @@ class LocalDockerAdapter {
             systemPrompt = `You are a helpful AI assistant. Provide clear, accurate, and helpful responses.`;
         }
         
-        return [
-            {
-                role: 'system',
-                content: systemPrompt
-            },
-            {
-                role: 'user',
-                content: prompt
-            }
-        ];
+        return Conversation.from(prompt).toOpenAIMessages(systemPrompt);
     }
 
     /**
@@ -134,7 +329,7 @@ class LocalDockerAdapter {
      * @returns {object} Response from Open WebUI
      */
     async sendOpenWebUIRequest(port, modelName, prompt, options = {}) {
-        const apiKey = process.env.OPENWEBUI_API_KEY;
+        const apiKey = process.env[this.authEnv];
         
         // Format messages with system prompt for better responses
         const messages = this.formatMessagesForModel(modelName, prompt);
@@ -148,6 +343,7 @@ class LocalDockerAdapter {
             frequency_penalty: options.frequency_penalty || 0,
             presence_penalty: options.presence_penalty || 0,
             stream: false,
+            ...pickToolParams(options),
             ...options.openwebui_params
         });
 
@@ -162,7 +358,7 @@ class LocalDockerAdapter {
         }
 
         const requestOptions = {
-            hostname: 'localhost',
+            hostname: this.hostname,
             port: port,
             path: '/api/chat/completions',
             method: 'POST',
@@ -175,13 +371,13 @@ class LocalDockerAdapter {
 
     /**
      * Format prompt for HuggingFace models to improve response quality
-     * @param {string} prompt - The user prompt
+     * @param {string|Conversation} prompt - The user prompt or conversation
      * @returns {string} Formatted prompt
      */
     formatPromptForHuggingFace(prompt) {
         // Add clear instruction for direct answers without reasoning monologue
         const systemInstruction = "Provide a direct, clear answer to the following question without showing your reasoning process:\n\n";
-        return systemInstruction + prompt + "\n\nAnswer:";
+        return systemInstruction + Conversation.from(prompt).toPromptText() + "\n\nAnswer:";
     }
 
     /**
@@ -208,7 +404,7 @@ class LocalDockerAdapter {
         });
 
         const requestOptions = {
-            hostname: 'localhost',
+            hostname: this.hostname,
             port: port,
             path: '/api/predict', // Common HuggingFace Spaces endpoint
             method: 'POST',
@@ -231,7 +427,7 @@ class LocalDockerAdapter {
      */
     async sendGenericRequest(port, prompt, options = {}) {
         const postData = JSON.stringify({
-            prompt: prompt,
+            prompt: Conversation.from(prompt).toPromptText(),
             max_tokens: options.max_tokens || 256,
             temperature: options.temperature || 0.7,
             top_p: options.top_p || 0.9,
@@ -239,7 +435,7 @@ class LocalDockerAdapter {
         });
 
         const requestOptions = {
-            hostname: 'localhost',
+            hostname: this.hostname,
             port: port,
             path: '/generate', // Common generic endpoint
             method: 'POST',
@@ -253,6 +449,95 @@ class LocalDockerAdapter {
         return await this.makeRequestWithRetry(requestOptions, postData, 'generic');
     }
 
+    /**
+     * Stream request using Open WebUI API format (OpenAI-compatible SSE)
+     * @param {number} port - Port to connect to
+     * @param {string} modelName - Name of the model
+     * @param {string} prompt - The prompt to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Accumulated response from Open WebUI
+     */
+    async streamOpenWebUIRequest(port, modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const apiKey = process.env[this.authEnv];
+        const messages = this.formatMessagesForModel(modelName, prompt);
+
+        const postData = JSON.stringify({
+            model: modelName,
+            messages: messages,
+            max_tokens: options.max_tokens || 1500,
+            temperature: options.temperature || 0.7,
+            top_p: options.top_p || 0.9,
+            frequency_penalty: options.frequency_penalty || 0,
+            presence_penalty: options.presence_penalty || 0,
+            ...pickToolParams(options),
+            ...options.openwebui_params,
+            stream: true
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        };
+
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const requestOptions = {
+            hostname: this.hostname,
+            port: port,
+            path: '/api/chat/completions',
+            method: 'POST',
+            headers: headers,
+            timeout: this.timeout
+        };
+
+        return await this.makeStreamingRequest(requestOptions, postData, 'openwebui', onToken, onToolCall);
+    }
+
+    /**
+     * Stream request using Ollama chat format (newline-delimited JSON)
+     * @param {number} port - Port to connect to
+     * @param {string} modelName - Name of the model
+     * @param {string} prompt - The prompt to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Accumulated response from the model
+     */
+    async streamOllamaRequest(port, modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        const { tools } = pickToolParams(options);
+
+        const postData = JSON.stringify({
+            model: modelName,
+            messages: this.formatMessagesForModel(modelName, prompt),
+            ...(tools ? { tools } : {}),
+            stream: true,
+            options: {
+                num_predict: options.max_tokens || 1500,
+                temperature: options.temperature || 0.7,
+                top_p: options.top_p || 0.9,
+                ...options.ollama_params
+            }
+        });
+
+        const requestOptions = {
+            hostname: this.hostname,
+            port: port,
+            path: '/api/chat',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData)
+            },
+            timeout: this.timeout
+        };
+
+        return await this.makeStreamingRequest(requestOptions, postData, 'ollama', onToken, onToolCall);
+    }
+
     /**
      * Make HTTP request with retry logic
      * @param {object} requestOptions - HTTP request options
@@ -321,7 +606,7 @@ class LocalDockerAdapter {
             });
 
             // Set timeout
-            req.setTimeout(this.timeout);
+            req.setTimeout(requestOptions.timeout || this.timeout);
 
             // Send the data
             req.write(postData);
@@ -329,6 +614,226 @@ class LocalDockerAdapter {
         });
     }
 
+    /**
+     * Make streaming HTTP request
+     * Accepts both OpenAI-style SSE ("data: {...}") and Ollama-style newline-delimited JSON
+     * @param {object} requestOptions - HTTP request options
+     * @param {string} postData - Data to send in POST body
+     * @param {string} format - Format label for response metadata
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {Promise<object>} Accumulated response
+     */
+    async makeStreamingRequest(requestOptions, postData, format, onToken, onToolCall = () => {}) {
+        return new Promise((resolve, reject) => {
+            const state = {
+                content: '',
+                toolCalls: [],
+                reasoning: '',
+                usage: {},
+                model: '',
+                finish_reason: '',
+                events: 0
+            };
+            let settled = false;
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                error.partial = state.content.length > 0 || state.toolCalls.length > 0;
+                reject(error);
+            };
+
+            const finish = () => {
+                if (settled) return;
+                if (state.events === 0) {
+                    fail(new Error('Response did not contain any stream events'));
+                    return;
+                }
+                settled = true;
+
+                // Reasoning-only models never emit content deltas, so surface the cleaned answer once
+                if (!state.content && state.reasoning && state.toolCalls.length === 0) {
+                    state.content = this.extractFinalAnswer(state.reasoning);
+                    onToken(state.content);
+                }
+
+                resolve({
+                    content: state.content,
+                    tool_calls: state.toolCalls.length > 0 ? state.toolCalls : null,
+                    metadata: {
+                        format: format,
+                        streamed: true,
+                        usage: state.usage,
+                        model: state.model,
+                        finish_reason: state.finish_reason,
+                        has_reasoning: !!state.reasoning,
+                        reasoning_content: state.reasoning
+                    }
+                });
+            };
+
+            const handleLine = (line) => {
+                const event = this.parseStreamLine(line);
+                if (!event) return;
+
+                state.events++;
+                if (event.token) {
+                    state.content += event.token;
+                    onToken(event.token);
+                }
+                if (event.tool_calls) {
+                    // Ollama sends whole tool calls without an index, so number them after earlier ones
+                    const deltas = event.tool_calls.map((delta, i) => ({
+                        ...delta,
+                        index: delta.index ?? state.toolCalls.length + i
+                    }));
+                    mergeToolCallDeltas(state.toolCalls, deltas);
+                    onToolCall(deltas);
+                }
+                if (event.reasoning) state.reasoning += event.reasoning;
+                if (event.usage) state.usage = event.usage;
+                if (event.model) state.model = event.model;
+                if (event.finish_reason) state.finish_reason = event.finish_reason;
+            };
+
+            const req = http.request(requestOptions, (res) => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    let errorBody = '';
+                    res.on('data', (chunk) => {
+                        errorBody += chunk;
+                    });
+                    res.on('end', () => fail(new Error(`HTTP ${res.statusCode}: ${errorBody}`)));
+                    return;
+                }
+
+                let buffer = '';
+                res.setEncoding('utf8');
+
+                res.on('data', (chunk) => {
+                    buffer += chunk;
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+
+                    for (const line of lines) {
+                        try {
+                            handleLine(line);
+                        } catch (error) {
+                            req.destroy();
+                            fail(error);
+                            return;
+                        }
+                    }
+                });
+
+                res.on('end', () => {
+                    if (buffer.trim()) {
+                        try {
+                            handleLine(buffer);
+                        } catch (error) {
+                            fail(error);
+                            return;
+                        }
+                    }
+                    finish();
+                });
+
+                res.on('error', fail);
+            });
+
+            req.on('error', fail);
+
+            req.on('timeout', () => {
+                req.destroy();
+                fail(new Error('Request timeout'));
+            });
+
+            // Idle timeout between chunks rather than for the whole generation
+            req.setTimeout(this.timeout);
+
+            req.write(postData);
+            req.end();
+        });
+    }
+
+    /**
+     * Parse a single line of a streamed response
+     * @param {string} line - Raw line from the stream
+     * @returns {object|null} Parsed event ({token, reasoning, tool_calls, usage, model, finish_reason}) or null to skip
+     */
+    parseStreamLine(line) {
+        let payload = line.trim();
+
+        // Skip blank lines, SSE comments and event names
+        if (!payload || payload.startsWith(':') || payload.startsWith('event:')) {
+            return null;
+        }
+
+        if (payload.startsWith('data:')) {
+            payload = payload.slice(5).trim();
+            if (payload === '[DONE]') {
+                return null;
+            }
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(payload);
+        } catch (parseError) {
+            return null;
+        }
+
+        if (parsed.error) {
+            throw new Error(`Stream error: ${parsed.error.message || parsed.error}`);
+        }
+
+        // OpenAI-style chunk
+        if (Array.isArray(parsed.choices)) {
+            const choice = parsed.choices[0] || {};
+            return {
+                token: choice.delta?.content || '',
+                reasoning: choice.delta?.reasoning_content || '',
+                tool_calls: choice.delta?.tool_calls || null,
+                usage: parsed.usage || null,
+                model: parsed.model || '',
+                finish_reason: choice.finish_reason || ''
+            };
+        }
+
+        // Ollama-style chunk (/api/chat uses message.content, /api/generate uses response)
+        const event = {
+            token: parsed.message?.content || parsed.response || '',
+            reasoning: parsed.message?.thinking || '',
+            tool_calls: null,
+            usage: null,
+            model: parsed.model || '',
+            finish_reason: parsed.done ? (parsed.done_reason || 'stop') : ''
+        };
+
+        if (Array.isArray(parsed.message?.tool_calls) && parsed.message.tool_calls.length > 0) {
+            event.tool_calls = parsed.message.tool_calls.map(call => ({
+                id: call.id || `call_${Math.random().toString(36).substr(2, 9)}`,
+                type: 'function',
+                function: {
+                    name: call.function?.name || '',
+                    arguments: typeof call.function?.arguments === 'string'
+                        ? call.function.arguments
+                        : JSON.stringify(call.function?.arguments || {})
+                }
+            }));
+        }
+
+        if (parsed.done && (parsed.prompt_eval_count || parsed.eval_count)) {
+            event.usage = {
+                prompt_tokens: parsed.prompt_eval_count || 0,
+                completion_tokens: parsed.eval_count || 0,
+                total_tokens: (parsed.prompt_eval_count || 0) + (parsed.eval_count || 0)
+            };
+        }
+
+        return event;
+    }
+
     /**
      * Extract final answer from reasoning monologue or verbose responses
      * @param {string} content - Raw response content
@@ -417,8 +922,11 @@ class LocalDockerAdapter {
                 // Post-process to extract final answer from reasoning monologue
                 const cleanedContent = this.extractFinalAnswer(finalContent);
 
+                const toolCalls = parsed.choices?.[0]?.message?.tool_calls;
+
                 return {
                     content: cleanedContent,
+                    tool_calls: toolCalls && toolCalls.length > 0 ? toolCalls : null,
                     metadata: {
                         format: 'openwebui',
                         usage: parsed.usage || {},
@@ -503,7 +1011,7 @@ class LocalDockerAdapter {
     async isPortActive(port) {
         try {
             const requestOptions = {
-                hostname: 'localhost',
+                hostname: this.hostname,
                 port: port,
                 path: '/',
                 method: 'GET',
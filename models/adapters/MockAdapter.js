@@ -0,0 +1,64 @@
+const Conversation = require('../Conversation');
+
+/**
+ * Mock Adapter
+ * Answers without any server so evals and tests run offline.
+ * The answer is options.mock_response when given, otherwise an echo of the latest user message
+ */
+class MockAdapter {
+    /**
+     * @param {object} config - Adapter config from models.yaml; the mock needs no endpoint
+     */
+    constructor(config = {}) {
+        this.config = config;
+    }
+
+    /**
+     * Answer a request
+     * @param {string} modelName - Model id
+     * @param {string|Conversation} prompt - The prompt or conversation
+     * @param {object} options - Request options ({mock_response})
+     * @returns {object} Response in the adapter shape
+     */
+    async sendRequest(modelName, prompt, options = {}) {
+        const conversation = Conversation.from(prompt);
+        const content = typeof options.mock_response === 'string'
+            ? options.mock_response
+            : `[mock ${modelName}] ${conversation.getLatestUserText()}`;
+
+        // Rough token counts (4 characters per token) so cost and usage code sees the usual shape
+        const promptTokens = Math.ceil(conversation.getTextLength() / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+        return {
+            content,
+            tool_calls: null,
+            metadata: {
+                mock: true,
+                streamed: false,
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                }
+            }
+        };
+    }
+
+    /**
+     * Answer a request word by word
+     * @param {string} modelName - Model id
+     * @param {string|Conversation} prompt - The prompt or conversation
+     * @param {object} options - Request options ({mock_response})
+     * @param {function} onToken - Token callback
+     * @returns {object} Response once every token has been emitted
+     */
+    async streamRequest(modelName, prompt, options = {}, onToken = () => {}) {
+        const response = await this.sendRequest(modelName, prompt, options);
+        for (const token of response.content.match(/\S+\s*|\s+/g) || []) {
+            onToken(token);
+        }
+        return { ...response, metadata: { ...response.metadata, streamed: true } };
+    }
+}
+
+module.exports = MockAdapter;
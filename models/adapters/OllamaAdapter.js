@@ -0,0 +1,125 @@
+const LocalDockerAdapter = require('./LocalDockerAdapter');
+const Conversation = require('../Conversation');
+
+/**
+ * Ollama Adapter
+ * Talks to an Ollama server through its native /api/chat endpoint and
+ * lists installed models through /api/tags
+ */
+class OllamaAdapter extends LocalDockerAdapter {
+    /**
+     * @param {object} config - Adapter config from models.yaml ({endpoint}); endpoint defaults to OLLAMA_HOST
+     */
+    constructor(config = {}) {
+        super({
+            ...config,
+            endpoint: OllamaAdapter.normalizeEndpoint(config.endpoint || process.env.OLLAMA_HOST || 'http://localhost:11434'),
+            wire_format: 'ollama'
+        });
+        this.port = this.commonPorts[0];
+        this.discoveryTimeout = 3000;
+    }
+
+    /**
+     * Add the http:// scheme OLLAMA_HOST is often set without
+     * @param {string} endpoint - Endpoint URL or host:port
+     * @returns {string} Endpoint URL
+     */
+    static normalizeEndpoint(endpoint) {
+        return /^https?:\/\//.test(endpoint) ? endpoint : `http://${endpoint}`;
+    }
+
+    /**
+     * Send a chat request and wait for the whole answer
+     * @param {string} modelName - Ollama model name (e.g. llama3.2:3b)
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @returns {object} Response from the model
+     */
+    async sendRequest(modelName, prompt, options = {}) {
+        const response = await this.streamOllamaRequest(this.port, modelName, prompt, options);
+        return {
+            ...response,
+            metadata: {
+                ...response.metadata,
+                streamed: false
+            }
+        };
+    }
+
+    /**
+     * Stream a chat request, emitting tokens as they arrive
+     * @param {string} modelName - Ollama model name
+     * @param {string|Conversation} prompt - The prompt or conversation to send
+     * @param {object} options - Request options
+     * @param {function} onToken - Token callback
+     * @param {function} onToolCall - Tool call delta callback
+     * @returns {object} Response from the model once the stream has finished
+     */
+    async streamRequest(modelName, prompt, options = {}, onToken = () => {}, onToolCall = () => {}) {
+        return await this.streamOllamaRequest(this.port, modelName, prompt, options, onToken, onToolCall);
+    }
+
+    /**
+     * Ollama serves models as pulled; no response-cleanup system prompt is added
+     * @param {string} modelName - Name of the model
+     * @param {string|Conversation} prompt - The prompt or conversation
+     * @returns {Array} Messages
+     */
+    formatMessagesForModel(modelName, prompt) {
+        return Conversation.from(prompt).toOpenAIMessages();
+    }
+
+    /**
+     * List the models installed on the Ollama server
+     * @returns {Promise<Array>} Models ({model_id, size, family, parameter_size, quantization, modified_at})
+     */
+    async listModels() {
+        const body = await this.makeHttpRequest({
+            hostname: this.hostname,
+            port: this.port,
+            path: '/api/tags',
+            method: 'GET',
+            timeout: this.discoveryTimeout
+        }, '');
+
+        const parsed = JSON.parse(body);
+        return (parsed.models || []).map(model => ({
+            model_id: model.name || model.model,
+            size: model.size || null,
+            family: model.details?.family || null,
+            parameter_size: model.details?.parameter_size || null,
+            quantization: model.details?.quantization_level || null,
+            modified_at: model.modified_at || null
+        }));
+    }
+
+    /**
+     * Embed text with an embedding model installed on the server
+     * @param {string} modelName - Embedding model (e.g. nomic-embed-text)
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} Embedding vector
+     */
+    async embed(modelName, text) {
+        const postData = JSON.stringify({ model: modelName, input: text });
+        const body = await this.makeHttpRequest({
+            hostname: this.hostname,
+            port: this.port,
+            path: '/api/embed',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData)
+            },
+            timeout: this.discoveryTimeout
+        }, postData);
+
+        const parsed = JSON.parse(body);
+        if (parsed.error || !Array.isArray(parsed.embeddings?.[0])) {
+            throw new Error(`Ollama embedding failed: ${parsed.error || 'no embedding returned'}`);
+        }
+        return parsed.embeddings[0];
+    }
+}
+
+module.exports = OllamaAdapter;
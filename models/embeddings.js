@@ -0,0 +1,101 @@
+// #region start: Local text embeddings for The Steward
+// Turns text into vectors without leaving the machine, for near-duplicate and similarity lookups
+
+const crypto = require('crypto');
+
+const HASHED_DIMENSIONS = 256;
+
+/**
+ * Splits text into lowercase word tokens.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+function tokenize(text = '') {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Embeds text with the hashing trick over words and word pairs.
+ * Deterministic and dependency-free; good at catching rephrasings that share most of their words.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} L2-normalized vector
+ */
+function hashEmbedding(text, dimensions = HASHED_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const index = digest.readUInt32LE(0) % dimensions;
+    const sign = digest[4] & 1 ? 1 : -1;
+    vector[index] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors; 0 when their lengths differ or either is empty.
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Creates an embedder from config.
+ * 'hashed' runs in-process; 'ollama' asks a local Ollama server and falls back to 'hashed' when it is unreachable.
+ * Vectors are tagged with the model that produced them so only comparable vectors are compared.
+ * @param {object} config - {provider: 'hashed'|'ollama', model, endpoint, dimensions}
+ * @returns {function(string): Promise<{model: string, vector: number[]}>}
+ */
+function createEmbedder(config = {}) {
+  const dimensions = config.dimensions || HASHED_DIMENSIONS;
+  const hashed = async (text) => ({ model: `hashed-${dimensions}`, vector: hashEmbedding(text, dimensions) });
+
+  if (config.provider !== 'ollama') {
+    return hashed;
+  }
+
+  // Required lazily: the adapters pull in the model stack, which plain hashing never needs
+  const OllamaAdapter = require('./adapters/OllamaAdapter');
+  const adapter = new OllamaAdapter({ endpoint: config.endpoint });
+  const model = config.model || 'nomic-embed-text';
+
+  return async (text) => {
+    try {
+      return { model: `ollama:${model}`, vector: await adapter.embed(model, text) };
+    } catch (error) {
+      return hashed(text);
+    }
+  };
+}
+
+// #endregion end: Local text embeddings
+
+module.exports = {
+  tokenize,
+  hashEmbedding,
+  cosineSimilarity,
+  createEmbedder
+};
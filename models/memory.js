@@ -1,79 +1,107 @@
-// #region start: Placeholder memory module
+// #region start: Persistent memory module
+// Project, loadout and global memory stored in database/steward.db
+// Scoping follows preferences.memory_use in character-sheet.yaml; see MemoryStore
+
+const MemoryStore = require('./MemoryStore');
+const DatabaseManager = require('../database/DatabaseManager');
+
+let memoryStore = null;
+
+/**
+ * Returns the shared memory store, created on first use against database/steward.db.
+ *
+ * @returns {MemoryStore}
+ */
+function getMemoryStore() {
+  if (!memoryStore) {
+    memoryStore = new MemoryStore({ dbManager: new DatabaseManager() });
+  }
+  return memoryStore;
+}
+
+/**
+ * Replaces the shared memory store (another database, config or embedder).
+ *
+ * @param {MemoryStore|null} store - Store to use; null recreates the default on next use.
+ */
+function setMemoryStore(store) {
+  memoryStore = store;
+}
 
 /**
- * Placeholder for loading project memory.
- * Currently returns an empty string. Replace with real implementation.
+ * Loads the memory most relevant to a prompt, formatted for injection in front of it.
  *
  * @param {string} projectName - The name of the project to load memory for.
- * @returns {string} Empty string (placeholder)
+ * @param {string} query - Prompt or task to match; without one the newest entries are used.
+ * @param {object} context - {loadout, scope, limit}; loadout names the scope when memory_use.scope is 'loadout'.
+ * @returns {Promise<string>} Memory context, or an empty string when nothing is relevant
  */
-function loadMemory(projectName) {
-  // TODO: Implement persistent memory loading
-  return '';
+async function loadMemory(projectName, query = '', context = {}) {
+  const store = getMemoryStore();
+  const entries = await store.recall(query, { project: projectName, ...context }, { limit: context.limit });
+  return store.formatContext(entries);
 }
 
 /**
- * Placeholder for writing a memory entry.
- * Currently logs the entry to the console. Replace with real implementation.
+ * Writes a memory entry to the scope memory_use.scope selects.
  *
  * @param {string} projectName - The name of the project to write memory for.
- * @param {string} entry - The memory entry to write.
+ * @param {string|object} entry - The memory entry to write.
+ * @param {object} context - {loadout, scope, kind}
+ * @returns {Promise<number>} Memory entry ID
  */
-function writeMemory(projectName, entry) {
-  // TODO: Implement persistent memory writing
-  console.log(`[Memory][${projectName}]`, entry);
+async function writeMemory(projectName, entry, context = {}) {
+  return getMemoryStore().remember(entry, { project: projectName, ...context });
 }
 
 /**
- * Placeholder for writing project-specific memory.
- * Currently delegates to writeMemory. Replace with real implementation.
+ * Writes a memory entry to a project, whatever memory_use.scope says.
  *
  * @param {string} projectName - The name of the project to write memory for.
- * @param {string} entry - The memory entry to write.
+ * @param {string|object} entry - The memory entry to write.
+ * @returns {Promise<number>} Memory entry ID
  */
-function writeProjectMemory(projectName, entry) {
-  // TODO: Implement project-specific memory writing
-  return writeMemory(projectName, entry);
+async function writeProjectMemory(projectName, entry) {
+  return writeMemory(projectName, entry, { scope: 'project' });
 }
 
 /**
- * Placeholder for writing loadout-specific memory.
- * Currently logs to console. Replace with real implementation.
+ * Writes a memory entry to a loadout, whatever memory_use.scope says.
  *
  * @param {string} loadoutName - The name of the loadout.
- * @param {string} entry - The memory entry to write.
+ * @param {string|object} entry - The memory entry to write.
+ * @returns {Promise<number>} Memory entry ID
  */
-function writeLoadoutMemory(loadoutName, entry) {
-  // TODO: Implement loadout-specific memory writing
-  console.log(`[LoadoutMemory][${loadoutName}]`, entry);
+async function writeLoadoutMemory(loadoutName, entry) {
+  return getMemoryStore().remember(entry, { loadout: loadoutName, scope: 'loadout' });
 }
 
 /**
- * Placeholder for reading loadout-specific memory.
- * Currently returns empty string. Replace with real implementation.
+ * Loads the loadout memory most relevant to a prompt, formatted for injection in front of it.
  *
  * @param {string} loadoutName - The name of the loadout.
- * @returns {string} Empty string (placeholder)
+ * @param {string} query - Prompt or task to match; without one the newest entries are used.
+ * @returns {Promise<string>} Memory context, or an empty string when nothing is relevant
  */
-function readLoadoutMemory(loadoutName) {
-  // TODO: Implement loadout-specific memory reading
-  return '';
+async function readLoadoutMemory(loadoutName, query = '') {
+  const store = getMemoryStore();
+  const entries = await store.recall(query, { loadout: loadoutName, scope: 'loadout' });
+  return store.formatContext(entries);
 }
 
 /**
- * Placeholder for reading memory.
- * Currently returns empty array. Replace with real implementation.
+ * Reads the newest memory entries, with the fields of object entries spread back in.
  *
  * @param {string} projectName - The name of the project.
  * @param {number} limit - Number of entries to return.
- * @returns {Array} Empty array (placeholder)
+ * @returns {Promise<Array>} Entries, most recent first
  */
-function readMemory(projectName, limit = 5) {
-  // TODO: Implement persistent memory reading
-  return [];
+async function readMemory(projectName, limit = 5) {
+  const entries = await getMemoryStore().list({ project: projectName }, { limit });
+  return entries.map(({ data, ...entry }) => ({ ...entry, ...(data || {}) }));
 }
 
-// #endregion end: Placeholder memory module
+// #endregion end: Persistent memory module
 
 // #region Exports start
 module.exports = {
@@ -82,6 +110,8 @@ module.exports = {
   writeProjectMemory,
   writeLoadoutMemory,
   readLoadoutMemory,
-  readMemory
+  readMemory,
+  getMemoryStore,
+  setMemoryStore
 };
 // #endregion Exports end
@@ -45,6 +45,76 @@ function getModelsByUseCase(useCase) {
     .map(([name]) => name);
 }
 
+/**
+ * Returns true if the model can take tool definitions and return tool calls.
+ * @param {string} name - Model name
+ * @returns {boolean}
+ */
+function supportsTools(name) {
+  return getModelInfo(name)?.supports_tools === true;
+}
+
+/**
+ * Returns a list of model names that support tool calling.
+ * @returns {string[]}
+ */
+function getToolCapableModels() {
+  return Object.entries(modelsData)
+    .filter(([_, meta]) => meta && meta.supports_tools === true && !meta.deprecated)
+    .map(([name]) => name);
+}
+
+/**
+ * Adds models discovered on local Ollama / llama.cpp servers, replacing earlier discoveries.
+ * Names declared in models.yaml are never overwritten.
+ * @param {Array} models - Discovered models ({name, source, model_id, parameter_size, family})
+ * @returns {number} Number of models registered
+ */
+function registerDiscoveredModels(models = []) {
+  for (const [name, meta] of Object.entries(modelsData)) {
+    if (meta && meta.discovered) delete modelsData[name];
+  }
+
+  let registered = 0;
+  for (const model of models) {
+    if (modelsData[model.name]) continue;
+    modelsData[model.name] = {
+      tier: 'tier1-fast',
+      type: model.source,
+      cost: 'none',
+      cost_per_token: 0,
+      model_size: model.parameter_size || null,
+      use_cases: ['general'],
+      performance_rating: 6.5,
+      privacy_tier: 'local',
+      discovered: true,
+      discovery_source: model.source,
+      model_id: model.model_id,
+      family: model.family || null
+    };
+    registered++;
+  }
+  return registered;
+}
+
+/**
+ * Returns the names of models added by local discovery.
+ * @returns {string[]}
+ */
+function getDiscoveredModels() {
+  return Object.entries(modelsData)
+    .filter(([_, meta]) => meta && meta.discovered)
+    .map(([name]) => name);
+}
+
 // #endregion end: Model metadata loader
 
-module.exports = { getModelInfo, getModelsByTier, getModelsByUseCase };
+module.exports = {
+  getModelInfo,
+  getModelsByTier,
+  getModelsByUseCase,
+  supportsTools,
+  getToolCapableModels,
+  registerDiscoveredModels,
+  getDiscoveredModels
+};
@@ -111,11 +111,11 @@ const { writeMemory } = require('./memory');
 /**
  * Main CLI entry point for routing tasks.
  */
-function main() {
+async function main() {
   // Step: If --recall is passed, show past memory entries and exit
   if (process.argv.includes('--recall')) {
     const { readMemory } = require('./memory');
-    const past = readMemory('chip_talbert', 5);
+    const past = await readMemory('chip_talbert', 5);
     console.log('📜 Recent memory entries:\n', past.map(p => `- ${p.task} → ${p.model}`).join('\n'));
     return;
   }
@@ -149,8 +149,8 @@ function main() {
       model,
       routed_by: 'routing.js'
     };
-    writeMemory('chip_talbert', memoryEntry); // match the loadout or persona name
-    console.log('🧠 Memory written to /memory/chip_talbert.jsonl');
+    await writeMemory('chip_talbert', memoryEntry, { kind: 'routing' }); // match the loadout or persona name
+    console.log('🧠 Memory written for chip_talbert');
   }
   // #endregion
 }
@@ -158,13 +158,11 @@ function main() {
 
 // #region CLI entry
 if (require.main === module) {
-  try {
-    main();
-  } catch (err) {
+  main().catch((err) => {
     // Log error to stderr and exit nonzero
     console.error('Error:', err.message);
     process.exit(1);
-  }
+  });
 }
 // #endregion
 
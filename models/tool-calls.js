@@ -0,0 +1,110 @@
+// #region start: Tool call helpers for The Steward
+// Translates OpenAI-style tool definitions and tool calls to and from provider formats
+
+/**
+ * Picks the OpenAI tool parameters present in request options.
+ * @param {object} options - Request options
+ * @returns {object} Subset with tools, tool_choice and parallel_tool_calls
+ */
+function pickToolParams(options = {}) {
+  const params = {};
+  if (Array.isArray(options.tools) && options.tools.length > 0) {
+    params.tools = options.tools;
+    if (options.tool_choice !== undefined) params.tool_choice = options.tool_choice;
+    if (options.parallel_tool_calls !== undefined) params.parallel_tool_calls = options.parallel_tool_calls;
+  }
+  return params;
+}
+
+/**
+ * Converts OpenAI tool definitions to Anthropic tool definitions.
+ * @param {Array} tools - OpenAI tools ({type: 'function', function: {name, description, parameters}})
+ * @returns {Array}
+ */
+function toAnthropicTools(tools = []) {
+  return tools
+    .filter(tool => tool && tool.type === 'function' && tool.function)
+    .map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description || '',
+      input_schema: tool.function.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+/**
+ * Converts an OpenAI tool_choice value to Anthropic's format.
+ * @param {string|object} toolChoice - 'auto', 'none', 'required' or {type: 'function', function: {name}}
+ * @returns {object|undefined}
+ */
+function toAnthropicToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (toolChoice === 'auto') return { type: 'auto' };
+  if (toolChoice === 'none') return { type: 'none' };
+  if (toolChoice === 'required') return { type: 'any' };
+  if (toolChoice.type === 'function' && toolChoice.function?.name) {
+    return { type: 'tool', name: toolChoice.function.name };
+  }
+  return undefined;
+}
+
+/**
+ * Converts an Anthropic tool_use content block to an OpenAI tool call.
+ * @param {object} block - Anthropic tool_use block ({id, name, input})
+ * @returns {object}
+ */
+function fromAnthropicToolUse(block) {
+  return {
+    id: block.id,
+    type: 'function',
+    function: {
+      name: block.name,
+      arguments: JSON.stringify(block.input || {})
+    }
+  };
+}
+
+/**
+ * Parses tool call arguments, which OpenAI sends as a JSON string.
+ * @param {string|object} args - Arguments
+ * @returns {object}
+ */
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    return JSON.parse(args || '{}');
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Folds streamed tool call deltas into complete tool calls, keyed by delta index.
+ * @param {Array} toolCalls - Accumulated tool calls (mutated)
+ * @param {Array} deltas - OpenAI-format tool call deltas
+ * @returns {Array} The accumulated tool calls
+ */
+function mergeToolCallDeltas(toolCalls, deltas = []) {
+  for (const delta of deltas) {
+    const index = delta.index ?? toolCalls.length;
+    if (!toolCalls[index]) {
+      toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+    }
+    const call = toolCalls[index];
+    if (delta.id) call.id = delta.id;
+    if (delta.type) call.type = delta.type;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+  return toolCalls;
+}
+
+// #endregion end: Tool call helpers
+
+module.exports = {
+  pickToolParams,
+  toAnthropicTools,
+  toAnthropicToolChoice,
+  fromAnthropicToolUse,
+  parseToolArguments,
+  mergeToolCallDeltas
+};
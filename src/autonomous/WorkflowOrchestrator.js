@@ -5,7 +5,22 @@
 const TaskSequencePredictor = require('../workflows/TaskSequencePredictor');
 const CognitiveLoadPredictor = require('../workflows/CognitiveLoadPredictor');
 const HighConfidenceRouter = require('./HighConfidenceRouter');
+const WorkflowMemoryManager = require('../memory/WorkflowMemoryManager');
 const { makeRoutingDecision } = require('../core/routing-engine');
+const ModelInterface = require('../../models/ModelInterface');
+const WorkflowDefinition = require('../workflows/WorkflowDefinition');
+
+// {{task}}, {{project}}, {{input.<name>}}, {{previous.output}} and {{steps.<step_id|task_type|index>.output}}
+const PROMPT_PLACEHOLDER = /{{\s*([\w.-]+)\s*}}/g;
+
+// Model errors a retry cannot fix
+const NON_RETRYABLE_ERRORS = ['BudgetExceededError', 'SensitiveDataError'];
+
+// What a user-paced workflow accepts for its pending step
+const STEP_DECISIONS = ['approve', 'skip', 'edit'];
+
+// Workflows loaded again after a restart; completed and cancelled ones stay in the database only
+const RESTORED_STATES = ['created', 'scheduled', 'in_progress', 'awaiting_approval', 'paused', 'failed'];
 
 /**
  * WorkflowOrchestrator - Coordinates complex multi-step workflows
@@ -17,16 +32,33 @@ const { makeRoutingDecision } = require('../core/routing-engine');
  * - Provide workflow progress tracking and adjustment
  * - Enable workflow templates based on project patterns
  * - Integrate autonomous routing for workflow efficiency
+ * - Run each step on its routed model, chaining earlier step outputs into later prompts
+ * - Run independent steps in parallel, or pause before each step for the user to approve, skip or edit it
+ * - Save each workflow and its audit trail to SQLite, and pick unfinished workflows up again after a restart
+ * - Run workflows shared as YAML definitions, with per-step tiers, timeouts and conditions
  */
 class WorkflowOrchestrator {
+  /**
+   * @param {object} options - {modelInterface} to run steps through another ModelInterface, {dbManager}
+   *                          for the one created on first use and to save workflow state in, {workflowMemory}
+   *                          to infer step dependencies with, {definitionsDir} to load templates from;
+   *                          passed on to the predictors and router
+   */
   constructor(options = {}) {
     this.taskPredictor = new TaskSequencePredictor(options);
     this.cognitivePredictor = new CognitiveLoadPredictor(options);
     this.autonomousRouter = new HighConfidenceRouter(options);
+    this.modelInterface = options.modelInterface || null;
+    this.dbManager = options.dbManager || null;
+    this.ownsModelInterface = false; // Only a ModelInterface with its own database is closed here
+    // Only inferDependencies is used, so the memory manager is never initialized here
+    this.workflowMemory = options.workflowMemory || new WorkflowMemoryManager(options);
     
     this.activeWorkflows = new Map();
-    this.workflowTemplates = new Map();
+    this.workflowTemplates = new Map(); // WorkflowDefinitions by file name
+    this.definitionsDir = options.definitionsDir || WorkflowDefinition.DEFINITIONS_DIR;
     this.workflowHistory = [];
+    this.persistence = Promise.resolve(); // Workflow state writes, in the order they were made
     
     // Workflow execution configuration
     this.executionConfig = {
@@ -35,7 +67,9 @@ class WorkflowOrchestrator {
       cognitive_load_threshold: 0.8,
       auto_break_duration: 15, // minutes
       context_switch_buffer: 5, // minutes
-      enable_adaptive_scheduling: true
+      enable_adaptive_scheduling: true,
+      step_max_attempts: 2, // model calls per step before it fails
+      step_retry_delay_ms: 2000
     };
 
     // Workflow states
@@ -43,6 +77,7 @@ class WorkflowOrchestrator {
       CREATED: 'created',
       SCHEDULED: 'scheduled', 
       IN_PROGRESS: 'in_progress',
+      AWAITING_APPROVAL: 'awaiting_approval',
       PAUSED: 'paused',
       COMPLETED: 'completed',
       CANCELLED: 'cancelled',
@@ -78,37 +113,15 @@ class WorkflowOrchestrator {
   }
 
   /**
-   * Load workflow templates from historical patterns
+   * Load workflow templates from the YAML definitions in workflows/
    */
   async loadWorkflowTemplates() {
-    // Load common workflow patterns
-    const templates = {
-      'steward-development': {
-        name: 'Steward Development Workflow',
-        steps: [
-          { task: 'planning', duration: 30, dependencies: [], cognitive_load: 'medium' },
-          { task: 'implementation', duration: 90, dependencies: ['planning'], cognitive_load: 'high' },
-          { task: 'testing', duration: 45, dependencies: ['implementation'], cognitive_load: 'medium' },
-          { task: 'documentation', duration: 60, dependencies: ['testing'], cognitive_load: 'low' }
-        ],
-        success_rate: 0.85,
-        average_duration: 225
-      },
-      'creative-writing': {
-        name: 'Creative Writing Workflow',
-        steps: [
-          { task: 'research', duration: 40, dependencies: [], cognitive_load: 'medium' },
-          { task: 'planning', duration: 20, dependencies: ['research'], cognitive_load: 'low' },
-          { task: 'implementation', duration: 120, dependencies: ['planning'], cognitive_load: 'high' },
-          { task: 'review', duration: 30, dependencies: ['implementation'], cognitive_load: 'medium' }
-        ],
-        success_rate: 0.78,
-        average_duration: 210
+    try {
+      for (const [key, definition] of WorkflowDefinition.loadAll(this.definitionsDir)) {
+        this.workflowTemplates.set(key, definition);
       }
-    };
-
-    for (const [key, template] of Object.entries(templates)) {
-      this.workflowTemplates.set(key, template);
+    } catch (error) {
+      console.warn(`Workflow templates not loaded: ${error.message}`);
     }
 
     console.log(`Loaded ${this.workflowTemplates.size} workflow templates`);
@@ -116,13 +129,15 @@ class WorkflowOrchestrator {
 
   /**
    * Create a new workflow from task input
+   * Steps come from options.workflowSuggestion when given, otherwise from the task predictor;
+   * a step's prompt template may use the placeholders in PROMPT_PLACEHOLDER, with {{input.<name>}} read from options.inputs
    */
   async createWorkflow(taskInput, projectContext, characterSheet, options = {}) {
     try {
       const workflowId = `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
-      // Generate workflow suggestion using task predictor
-      const workflowSuggestion = await this.taskPredictor.generateWorkflowSuggestion(
+      // Use the chosen suggestion, or generate one using the task predictor
+      const workflowSuggestion = options.workflowSuggestion || await this.taskPredictor.generateWorkflowSuggestion(
         projectContext,
         options.currentProgress || []
       );
@@ -139,6 +154,9 @@ class WorkflowOrchestrator {
         name: options.name || `${projectContext} Workflow`,
         project_context: projectContext,
         original_task: taskInput,
+        inputs: options.inputs || {},
+        source_definition: options.sourceDefinition || null, // {description, tags, inputs} of the YAML definition it came from
+        account_id: options.account?.id ?? null,
         state: this.workflowStates.CREATED,
         execution_strategy: options.executionStrategy || 'adaptive',
         
@@ -147,6 +165,10 @@ class WorkflowOrchestrator {
         current_step: 0,
         completed_steps: [],
         failed_steps: [],
+        skipped_steps: [],
+        step_results: [], // By step index, including the model output of each step
+        pending_step: null, // Step a user-paced workflow is waiting on
+        execution_log: [],
         
         // Timing and progress
         created_at: new Date().toISOString(),
@@ -172,6 +194,11 @@ class WorkflowOrchestrator {
 
       // Store workflow
       this.activeWorkflows.set(workflowId, workflow);
+      this.persistWorkflow(workflow, {
+        event_type: 'created',
+        to_state: workflow.state,
+        details: { steps: workflow.steps.length, execution_strategy: workflow.execution_strategy }
+      });
 
       console.log(`Created workflow ${workflowId} with ${workflow.steps.length} steps`);
       
@@ -192,6 +219,46 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Create a workflow from a YAML definition
+   * @param {WorkflowDefinition} definition - Validated definition
+   * @param {string} taskInput - What the workflow works on, for {{task}}
+   * @param {object} characterSheet - Sheet the steps are planned with
+   * @param {object} options - As for createWorkflow; {inputs} are checked against the definition and
+   *                           completed with its defaults, {executionStrategy} overrides the definition's
+   * @throws {Error} When a required input is missing
+   */
+  async createWorkflowFromDefinition(definition, taskInput, characterSheet, options = {}) {
+    const inputs = definition.resolveInputs(options.inputs);
+
+    return await this.createWorkflow(taskInput, definition.project || 'general', characterSheet, {
+      ...options,
+      workflowSuggestion: definition.toWorkflowSuggestion(),
+      name: options.name || definition.name,
+      executionStrategy: options.executionStrategy || definition.execution_strategy,
+      inputs,
+      sourceDefinition: { description: definition.description, tags: definition.tags, inputs: definition.inputs }
+    });
+  }
+
+  /**
+   * Describe a workflow in the YAML definition format, to share or run again
+   * @param {string} workflowId - An active workflow, or one saved in the database
+   * @param {object|null} account - Only this account's workflows are found; null finds any
+   * @returns {Promise<WorkflowDefinition|null>} Null when there is no such workflow for the account
+   */
+  async exportWorkflowDefinition(workflowId, account = null) {
+    let workflow = this.getWorkflow(workflowId, account);
+    if (!workflow && this.dbManager) {
+      await this.persistence;
+      const saved = await this.dbManager.getWorkflowState(workflowId);
+      if (saved && saved.kind === 'orchestrator' && (!account || saved.user_id === account.id)) {
+        workflow = saved.definition;
+      }
+    }
+    return workflow ? WorkflowDefinition.fromWorkflow(workflow) : null;
+  }
+
   /**
    * Enhance workflow steps with cognitive load predictions
    */
@@ -217,6 +284,7 @@ class WorkflowOrchestrator {
 
       const enhancedStep = {
         ...step,
+        step_id: step.step_id || `step_${i}`,
         step_index: i,
         cognitive_prediction: capacityPrediction,
         optimal_timing_windows: optimalWindow,
@@ -243,7 +311,7 @@ class WorkflowOrchestrator {
     // Simple heuristic - could be enhanced with actual pattern matching
     return step.cognitive_load === 'low' && 
            step.confidence > 0.8 &&
-           characterSheet.autonomous_routing?.enable_autopilot;
+           characterSheet?.autonomous_routing?.enable_autopilot;
   }
 
   /**
@@ -256,8 +324,6 @@ class WorkflowOrchestrator {
     }
 
     try {
-      // Update workflow state
-      workflow.state = this.workflowStates.SCHEDULED;
       workflow.scheduling_options = schedulingOptions;
 
       // Generate execution schedule
@@ -269,6 +335,9 @@ class WorkflowOrchestrator {
         workflow.scheduled_breaks = this.scheduleAdaptiveBreaks(workflow);
       }
 
+      // Update workflow state
+      this.setWorkflowState(workflow, this.workflowStates.SCHEDULED, { scheduled_start: executionSchedule.start_time });
+
       console.log(`Scheduled workflow ${workflowId} for execution`);
       
       return {
@@ -281,7 +350,6 @@ class WorkflowOrchestrator {
 
     } catch (error) {
       console.error('Error scheduling workflow:', error);
-      workflow.state = this.workflowStates.CREATED; // Reset state
       throw error;
     }
   }
@@ -351,8 +419,21 @@ class WorkflowOrchestrator {
     return schedule;
   }
 
+  /**
+   * Breaks taken from the execution schedule, one after each step that recommends a break
+   */
+  scheduleAdaptiveBreaks(workflow) {
+    return (workflow.execution_schedule?.break_intervals || []).map(interval => ({
+      ...interval,
+      taken: false
+    }));
+  }
+
   /**
    * Execute workflow
+   * @param {string} workflowId - A scheduled workflow
+   * @param {object} executionOptions - {characterSheet} to route steps with, {account} the model calls are made as,
+   *                                   {maxAttempts} per step, {stopOnFailure}
    */
   async executeWorkflow(workflowId, executionOptions = {}) {
     const workflow = this.activeWorkflows.get(workflowId);
@@ -365,25 +446,52 @@ class WorkflowOrchestrator {
     }
 
     try {
-      workflow.state = this.workflowStates.IN_PROGRESS;
-      workflow.actual_start_time = new Date().toISOString();
-      workflow.execution_log = [];
+      // A resumed workflow keeps its first start time and log
+      workflow.actual_start_time = workflow.actual_start_time || new Date().toISOString();
+      workflow.execution_log = workflow.execution_log || [];
+      this.setWorkflowState(workflow, this.workflowStates.IN_PROGRESS);
 
       console.log(`Starting execution of workflow ${workflowId}`);
 
       // Execute based on strategy
       const result = await this.executeWorkflowStrategy(workflow, executionOptions);
-      
+
       return result;
 
     } catch (error) {
-      workflow.state = this.workflowStates.FAILED;
       workflow.error = error.message;
+      this.setWorkflowState(workflow, this.workflowStates.FAILED, { error: error.message });
       console.error(`Workflow ${workflowId} execution failed:`, error);
       throw error;
     }
   }
 
+  /**
+   * Resume a failed or paused workflow from its first unfinished step
+   * Completed steps keep their outputs; failed steps get a fresh set of attempts
+   */
+  async resumeWorkflow(workflowId, executionOptions = {}) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    if (![this.workflowStates.FAILED, this.workflowStates.PAUSED].includes(workflow.state)) {
+      throw new Error(`Workflow ${workflowId} is ${workflow.state}; only failed or paused workflows can be resumed`);
+    }
+
+    this.logWorkflowEvent(workflow, {
+      type: 'resume',
+      from_state: workflow.state,
+      failed_steps: workflow.failed_steps.map(failure => failure.step_index)
+    });
+    workflow.failed_steps = [];
+    workflow.error = null;
+    this.setWorkflowState(workflow, this.workflowStates.SCHEDULED);
+
+    return await this.executeWorkflow(workflowId, executionOptions);
+  }
+
   /**
    * Execute workflow based on chosen strategy
    */
@@ -406,28 +514,40 @@ class WorkflowOrchestrator {
    * Execute workflow sequentially
    */
   async executeSequentialWorkflow(workflow, options) {
-    const results = [];
-
     for (let i = 0; i < workflow.steps.length; i++) {
       const step = workflow.steps[i];
-      
+
+      // Already done before a resume
+      if (this.isStepDone(workflow, i)) {
+        continue;
+      }
+
+      const unmetCondition = this.getUnmetCondition(step, workflow);
+      if (unmetCondition) {
+        this.skipStep(workflow, i, unmetCondition);
+        continue;
+      }
+
       try {
         // Check if step prerequisites are met
-        if (!this.arePrerequisitesMet(step, workflow.completed_steps)) {
+        if (!this.arePrerequisitesMet(step, this.getDoneSteps(workflow), workflow.steps)) {
           throw new Error(`Prerequisites not met for step ${i}`);
         }
 
         // Execute step
         const stepResult = await this.executeWorkflowStep(step, workflow, options);
-        results.push(stepResult);
+
+        // Log execution
+        this.logWorkflowStepExecution(workflow.id, step, stepResult);
+
+        if (!stepResult.success) {
+          throw new Error(`Step ${step.step_id} failed: ${stepResult.error}`);
+        }
 
         // Update workflow progress
         workflow.completed_steps.push(i);
         workflow.current_step = i + 1;
-        workflow.progress_percentage = ((i + 1) / workflow.steps.length) * 100;
-
-        // Log execution
-        this.logWorkflowStepExecution(workflow.id, step, stepResult);
+        this.updateWorkflowProgress(workflow);
 
         // Check if break is needed
         if (step.break_recommended && i < workflow.steps.length - 1) {
@@ -435,8 +555,9 @@ class WorkflowOrchestrator {
         }
 
       } catch (error) {
+        workflow.current_step = i;
         workflow.failed_steps.push({ step_index: i, error: error.message });
-        
+
         // Decide whether to continue or fail
         if (options.stopOnFailure !== false) {
           throw error;
@@ -444,19 +565,28 @@ class WorkflowOrchestrator {
       }
     }
 
-    return this.completeWorkflow(workflow, results);
+    return this.completeWorkflow(workflow);
   }
 
   /**
    * Execute workflow with adaptive scheduling
    */
   async executeAdaptiveWorkflow(workflow, options) {
-    const results = [];
-    
     // Monitor cognitive load and adapt execution
     for (let i = 0; i < workflow.steps.length; i++) {
       const step = workflow.steps[i];
-      
+
+      // Already done before a resume
+      if (this.isStepDone(workflow, i)) {
+        continue;
+      }
+
+      const unmetCondition = this.getUnmetCondition(step, workflow);
+      if (unmetCondition) {
+        this.skipStep(workflow, i, unmetCondition);
+        continue;
+      }
+
       // Check current cognitive capacity
       const currentCapacity = this.cognitivePredictor.predictCognitiveCapacity(
         new Date(),
@@ -466,9 +596,10 @@ class WorkflowOrchestrator {
       // If capacity is too low, suggest rescheduling or break
       if (currentCapacity.predicted_capacity < 0.4 && step.cognitive_load === 'high') {
         const suggestion = await this.suggestAdaptiveAction(step, currentCapacity, workflow);
-        
+
         if (suggestion.action === 'reschedule') {
-          workflow.state = this.workflowStates.PAUSED;
+          workflow.current_step = i;
+          this.setWorkflowState(workflow, this.workflowStates.PAUSED, { reason: suggestion.reason });
           return {
             success: false,
             action: 'reschedule',
@@ -486,15 +617,21 @@ class WorkflowOrchestrator {
           cognitive_monitoring: true,
           adaptive_execution: true
         });
-        
-        results.push(stepResult);
+
+        this.logWorkflowStepExecution(workflow.id, step, stepResult);
+
+        if (!stepResult.success) {
+          throw new Error(`Step ${step.step_id} failed: ${stepResult.error}`);
+        }
+
         workflow.completed_steps.push(i);
         workflow.current_step = i + 1;
-        workflow.progress_percentage = ((i + 1) / workflow.steps.length) * 100;
+        this.updateWorkflowProgress(workflow);
 
       } catch (error) {
+        workflow.current_step = i;
         workflow.failed_steps.push({ step_index: i, error: error.message });
-        
+
         // Adaptive error handling
         const recovery = await this.attemptStepRecovery(step, error, workflow);
         if (!recovery.success) {
@@ -503,69 +640,757 @@ class WorkflowOrchestrator {
       }
     }
 
-    return this.completeWorkflow(workflow, results);
+    return this.completeWorkflow(workflow);
+  }
+
+  /**
+   * Execute workflow steps in parallel
+   * A step starts once the steps it depends on are done, with at most max_concurrent_workflows steps running
+   */
+  async executeParallelWorkflow(workflow, options) {
+    const concurrency = Math.max(1, this.executionConfig.max_concurrent_workflows);
+    const dependencies = this.buildDependencyGraph(workflow);
+    const running = new Map();
+    const failed = new Set();
+    let stopError = null;
+
+    const startStep = (index) => {
+      const step = workflow.steps[index];
+      const run = this.executeWorkflowStep(step, workflow, options).then(stepResult => {
+        running.delete(index);
+        this.logWorkflowStepExecution(workflow.id, step, stepResult);
+
+        if (stepResult.success) {
+          workflow.completed_steps.push(index);
+          this.updateWorkflowProgress(workflow);
+          return;
+        }
+
+        failed.add(index);
+        workflow.failed_steps.push({ step_index: index, error: stepResult.error });
+        if (options.stopOnFailure !== false && !stopError) {
+          stopError = new Error(`Step ${step.step_id} failed: ${stepResult.error}`);
+        }
+      });
+      running.set(index, run);
+    };
+
+    for (;;) {
+      if (!stopError) {
+        const done = this.getDoneSteps(workflow);
+        const ready = workflow.steps
+          .map((step, index) => index)
+          .filter(index => !done.includes(index) && !running.has(index) && !failed.has(index) &&
+                           this.arePrerequisitesMet({ dependencies: dependencies[index] }, done, workflow.steps));
+
+        // Skipping a step may unblock others, so look again before starting any
+        const unmet = ready
+          .map(index => [index, this.getUnmetCondition(workflow.steps[index], workflow)])
+          .filter(([, reason]) => reason);
+        if (unmet.length > 0) {
+          unmet.forEach(([index, reason]) => this.skipStep(workflow, index, reason));
+          continue;
+        }
+
+        for (const index of ready.slice(0, concurrency - running.size)) {
+          startStep(index);
+        }
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+      // Wait for any running step, then look for steps it unblocked
+      await Promise.race(running.values());
+    }
+
+    workflow.current_step = workflow.steps.findIndex((step, index) => !this.isStepDone(workflow, index));
+    if (workflow.current_step === -1) {
+      workflow.current_step = workflow.steps.length;
+    }
+
+    if (stopError) {
+      throw stopError;
+    }
+
+    // Steps left behind a failed step, or in a dependency cycle, never became ready
+    const blocked = workflow.steps
+      .map((step, index) => index)
+      .filter(index => !this.isStepDone(workflow, index) && !failed.has(index));
+    if (blocked.length > 0) {
+      const blockedError = new Error(`Prerequisites not met for steps ${blocked.join(', ')}`);
+      if (options.stopOnFailure !== false) {
+        throw blockedError;
+      }
+      for (const index of blocked) {
+        workflow.failed_steps.push({ step_index: index, error: blockedError.message });
+      }
+    }
+
+    return {
+      ...this.completeWorkflow(workflow),
+      merged_output: this.mergeStepOutputs(workflow)
+    };
+  }
+
+  /**
+   * Indices each step waits for: its own dependencies, or for a step without a dependencies list,
+   * the ones WorkflowMemoryManager infers from the task types in the workflow
+   */
+  buildDependencyGraph(workflow) {
+    const namedSteps = workflow.steps.map(step => [step.task_type || step.step_id, step]);
+
+    return workflow.steps.map((step, index) => {
+      const dependencies = Array.isArray(step.dependencies)
+        ? step.dependencies
+        : this.workflowMemory.inferDependencies(namedSteps[index][0], namedSteps, index);
+
+      // Resolve names to indices so a step never waits on itself
+      return dependencies
+        .map(dependency => {
+          const source = this.findWorkflowStep(workflow, dependency);
+          return source ? source.step_index : dependency;
+        })
+        .filter(dependency => dependency !== index);
+    });
+  }
+
+  /**
+   * Outputs of the finished steps in step order, each under a heading
+   */
+  mergeStepOutputs(workflow) {
+    return workflow.step_results
+      .filter(result => result?.success)
+      .map(result => `## ${workflow.steps[result.step_index].task_type || result.step_id}\n\n${result.output}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Execute workflow one step at a time, pausing before each step until decideWorkflowStep is called
+   * Returns with action 'awaiting_approval' and the pending step, or the completed workflow after the last step
+   */
+  async executeUserPacedWorkflow(workflow, options) {
+    const index = workflow.steps.findIndex((step, i) => !this.isStepDone(workflow, i));
+    if (index === -1) {
+      workflow.pending_step = null;
+      return this.completeWorkflow(workflow);
+    }
+
+    const step = workflow.steps[index];
+    if (!this.arePrerequisitesMet(step, this.getDoneSteps(workflow), workflow.steps)) {
+      throw new Error(`Prerequisites not met for step ${index}`);
+    }
+
+    // A step whose condition is not met is skipped without asking
+    const unmetCondition = this.getUnmetCondition(step, workflow);
+    if (unmetCondition) {
+      this.skipStep(workflow, index, unmetCondition);
+      return await this.executeUserPacedWorkflow(workflow, options);
+    }
+
+    // Show the prompt the model would get; an edit can fix one that cannot be rendered
+    let prompt = null;
+    let promptError = null;
+    try {
+      prompt = this.renderStepPrompt(step, workflow);
+    } catch (error) {
+      promptError = error.message;
+    }
+
+    workflow.current_step = index;
+    workflow.pending_step = {
+      step_index: index,
+      step_id: step.step_id,
+      task_type: step.task_type,
+      prompt_template: step.prompt || null,
+      prompt,
+      prompt_error: promptError,
+      waiting_since: new Date().toISOString()
+    };
+    this.setWorkflowState(workflow, this.workflowStates.AWAITING_APPROVAL, { step_id: step.step_id });
+
+    return {
+      success: true,
+      action: 'awaiting_approval',
+      workflow_id: workflow.id,
+      pending_step: workflow.pending_step,
+      completed_steps: workflow.completed_steps.length
+    };
+  }
+
+  /**
+   * Approve, skip or edit the step a user-paced workflow is waiting on, then run on to the next pause
+   * @param {string} workflowId - A workflow awaiting approval
+   * @param {object} decision - {action: 'approve'|'skip'|'edit', prompt} with the new prompt template for
+   *                            'edit', and optionally the {step_id} the decision was made for
+   * @param {object} executionOptions - As for executeWorkflow
+   */
+  async decideWorkflowStep(workflowId, decision = {}, executionOptions = {}) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    if (workflow.state !== this.workflowStates.AWAITING_APPROVAL || !workflow.pending_step) {
+      throw new Error(`Workflow ${workflowId} is ${workflow.state}, not waiting for a step decision`);
+    }
+
+    if (!STEP_DECISIONS.includes(decision.action)) {
+      throw new Error(`Unknown step decision: ${decision.action}. Use one of ${STEP_DECISIONS.join(', ')}`);
+    }
+
+    const pending = workflow.pending_step;
+    if (decision.step_id && decision.step_id !== pending.step_id) {
+      throw new Error(`Workflow ${workflowId} is waiting on step ${pending.step_id}, not ${decision.step_id}`);
+    }
+
+    if (decision.action === 'edit' && (typeof decision.prompt !== 'string' || !decision.prompt.trim())) {
+      throw new Error('An edit decision needs the new prompt');
+    }
+
+    const step = workflow.steps[pending.step_index];
+    if (decision.action === 'edit') {
+      step.prompt = decision.prompt;
+    }
+    workflow.pending_step = null;
+    this.logWorkflowEvent(workflow, {
+      type: 'decision',
+      action: decision.action,
+      step_index: step.step_index,
+      ...(decision.action === 'edit' ? { prompt: decision.prompt } : {})
+    });
+    this.setWorkflowState(workflow, this.workflowStates.IN_PROGRESS);
+
+    try {
+      if (decision.action === 'skip') {
+        workflow.skipped_steps.push(step.step_index);
+        this.updateWorkflowProgress(workflow);
+      } else {
+        const stepResult = await this.executeWorkflowStep(step, workflow, executionOptions);
+        this.logWorkflowStepExecution(workflow.id, step, stepResult);
+        if (!stepResult.success) {
+          workflow.failed_steps.push({ step_index: step.step_index, error: stepResult.error });
+          throw new Error(`Step ${step.step_id} failed: ${stepResult.error}`);
+        }
+
+        workflow.completed_steps.push(step.step_index);
+        this.updateWorkflowProgress(workflow);
+      }
+
+      return await this.executeUserPacedWorkflow(workflow, executionOptions);
+
+    } catch (error) {
+      workflow.error = error.message;
+      this.setWorkflowState(workflow, this.workflowStates.FAILED, { error: error.message });
+      console.error(`Workflow ${workflowId} execution failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Indices of the steps that are completed or skipped
+   */
+  getDoneSteps(workflow) {
+    return [...workflow.completed_steps, ...workflow.skipped_steps];
+  }
+
+  /**
+   * Whether a step is completed or skipped
+   */
+  isStepDone(workflow, index) {
+    return workflow.completed_steps.includes(index) || workflow.skipped_steps.includes(index);
+  }
+
+  /**
+   * Why a step's condition is not met, or null when the step should run
+   * The condition compares a workflow input or the output of an earlier step, as in WorkflowDefinition
+   */
+  getUnmetCondition(step, workflow) {
+    const condition = step.condition;
+    if (!condition) {
+      return null;
+    }
+
+    let value;
+    if ('input' in condition) {
+      value = workflow.inputs?.[condition.input];
+    } else {
+      const source = this.findWorkflowStep(workflow, condition.step);
+      const sourceResult = source && workflow.step_results[source.step_index];
+      value = sourceResult?.success ? sourceResult.output : undefined;
+    }
+
+    if (WorkflowDefinition.evaluateCondition(condition, value)) {
+      return null;
+    }
+    return `Condition on ${'input' in condition ? `input ${condition.input}` : `step ${condition.step}`} not met`;
+  }
+
+  /**
+   * Skip a step whose condition is not met, recording why in the audit trail
+   */
+  skipStep(workflow, index, reason) {
+    workflow.skipped_steps.push(index);
+    this.updateWorkflowProgress(workflow);
+    this.logWorkflowEvent(workflow, { type: 'skip', step_index: index, step_id: workflow.steps[index].step_id, reason });
+  }
+
+  /**
+   * Recalculate progress from the completed and skipped steps, and save it so a restart does not rerun them
+   */
+  updateWorkflowProgress(workflow) {
+    workflow.progress_percentage = (this.getDoneSteps(workflow).length / workflow.steps.length) * 100;
+    this.persistWorkflow(workflow);
+  }
+
+  /**
+   * Suggest what to do when predicted capacity is too low for a high cognitive load step
+   */
+  async suggestAdaptiveAction(step, currentCapacity, workflow) {
+    const [window] = this.cognitivePredictor.findOptimalTimeWindow(new Date(), step.cognitive_load);
+    if (!window) {
+      return { action: 'continue', reason: 'No better time window in sight' };
+    }
+
+    return {
+      action: 'reschedule',
+      reason: `Predicted capacity ${Math.round(currentCapacity.predicted_capacity * 100)}% is too low for ${step.task_type}`,
+      suggested_time: window.start_time
+    };
+  }
+
+  /**
+   * Recover from a step that failed every attempt: optional steps are skipped, anything else stops the workflow
+   */
+  async attemptStepRecovery(step, error, workflow) {
+    if (!step.optional) {
+      return { success: false, action: 'stop' };
+    }
+
+    workflow.skipped_steps.push(step.step_index);
+    this.updateWorkflowProgress(workflow);
+    this.logWorkflowEvent(workflow, {
+      type: 'skip',
+      step_index: step.step_index,
+      reason: error.message
+    });
+    return { success: true, action: 'skip' };
+  }
+
+  /**
+   * Record a break recommended after a step
+   */
+  async scheduleAdaptiveBreak(workflow, step) {
+    this.logWorkflowEvent(workflow, {
+      type: 'break',
+      after_step: step.step_index,
+      duration: this.executionConfig.auto_break_duration
+    });
+  }
+
+  /**
+   * Append a step's outcome to the workflow's execution log
+   */
+  logWorkflowStepExecution(workflowId, step, stepResult) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!workflow) {
+      return;
+    }
+
+    this.logWorkflowEvent(workflow, {
+      type: 'step',
+      step_index: step.step_index,
+      step_id: step.step_id,
+      success: stepResult.success,
+      model: stepResult.model || null,
+      attempts: stepResult.attempts?.length || 0,
+      error: stepResult.error || null,
+      timestamp: stepResult.end_time || new Date().toISOString()
+    });
+  }
+
+  /**
+   * Append an entry to the workflow's execution log and save it to the audit trail
+   * @param {object} workflow - The workflow
+   * @param {object} entry - {type, step_index, ...details}; timestamped now unless it has a timestamp
+   */
+  logWorkflowEvent(workflow, entry) {
+    const logEntry = { ...entry, timestamp: entry.timestamp || new Date().toISOString() };
+    workflow.execution_log.push(logEntry);
+
+    const { type, step_index: stepIndex, ...details } = logEntry;
+    this.persistWorkflow(workflow, { event_type: type, step_index: stepIndex, details });
+  }
+
+  /**
+   * Move the workflow to a new state and save the transition to the audit trail
+   * @param {object} workflow - The workflow
+   * @param {string} state - One of workflowStates
+   * @param {object} details - Why, e.g. {error} or {reason}
+   */
+  setWorkflowState(workflow, state, details = {}) {
+    const fromState = workflow.state;
+    workflow.state = state;
+    this.persistWorkflow(workflow, { event_type: 'state', from_state: fromState, to_state: state, details });
+  }
+
+  /**
+   * Save a snapshot of the workflow, with an event for its audit trail
+   * Writes are queued so they land in order; one that fails is logged and the workflow carries on
+   * @param {object} workflow - The workflow
+   * @param {object|null} event - {event_type, from_state, to_state, step_index, details}
+   * @returns {Promise<void>} Resolves once this and every earlier write has finished
+   */
+  persistWorkflow(workflow, event = null) {
+    if (!this.dbManager) {
+      return this.persistence;
+    }
+
+    // Snapshot now: the workflow keeps changing while earlier writes finish
+    const snapshot = {
+      id: workflow.id,
+      kind: 'orchestrator',
+      user_id: workflow.account_id,
+      name: workflow.name,
+      state: workflow.state,
+      execution_strategy: workflow.execution_strategy,
+      definition: JSON.parse(JSON.stringify(workflow)),
+      created_at: workflow.created_at
+    };
+
+    this.persistence = this.persistence
+      .then(async () => {
+        await this.dbManager.saveWorkflowState(snapshot);
+        if (event) {
+          await this.dbManager.saveWorkflowEvent({ workflow_id: workflow.id, ...event });
+        }
+      })
+      .catch(error => console.warn(`Could not save state of workflow ${workflow.id}:`, error.message));
+    return this.persistence;
+  }
+
+  /**
+   * Load the workflows a previous run left unfinished, after a restart
+   * Workflows that were in progress are marked failed, and with {resumeInterrupted} resumed from their first
+   * unfinished step; created, scheduled, paused, failed and user-paced workflows come back as they were
+   * @param {object} options - {resumeInterrupted}, {executionOptions(workflow)} returning the options a
+   *                           resumed workflow runs with, as for executeWorkflow
+   * @returns {Promise<object>} {restored, interrupted} workflow IDs and {resumed: [{workflow_id, success, error}]}
+   */
+  async restoreWorkflows(options = {}) {
+    const summary = { restored: [], interrupted: [], resumed: [] };
+    if (!this.dbManager) {
+      return summary;
+    }
+
+    const saved = await this.dbManager.getWorkflowStates('orchestrator', RESTORED_STATES);
+    for (const { definition: workflow } of saved) {
+      if (this.activeWorkflows.has(workflow.id)) {
+        continue;
+      }
+
+      this.activeWorkflows.set(workflow.id, workflow);
+      summary.restored.push(workflow.id);
+      this.logWorkflowEvent(workflow, { type: 'restored', state: workflow.state });
+
+      // The step that was running when the backend stopped has no result; it runs again on resume
+      if (workflow.state === this.workflowStates.IN_PROGRESS) {
+        workflow.error = 'Interrupted by a restart';
+        this.setWorkflowState(workflow, this.workflowStates.FAILED, { error: workflow.error });
+        summary.interrupted.push(workflow.id);
+      }
+    }
+
+    console.log(`Restored ${summary.restored.length} workflows, ${summary.interrupted.length} of them interrupted`);
+
+    if (options.resumeInterrupted) {
+      for (const workflowId of summary.interrupted) {
+        try {
+          const workflow = this.activeWorkflows.get(workflowId);
+          const executionOptions = options.executionOptions ? await options.executionOptions(workflow) : {};
+          await this.resumeWorkflow(workflowId, executionOptions);
+          summary.resumed.push({ workflow_id: workflowId, success: true, error: null });
+        } catch (error) {
+          summary.resumed.push({ workflow_id: workflowId, success: false, error: error.message });
+        }
+      }
+    }
+
+    await this.persistence;
+    return summary;
+  }
+
+  /**
+   * A workflow's audit trail from the database, including workflows that finished before a restart
+   * @param {string} workflowId - Workflow ID
+   * @param {object|null} account - Only the account's own workflows; any workflow for the owner
+   * @returns {Promise<object|null>} {workflow_id, name, state, created_at, updated_at, events}, or null when not found
+   */
+  async getWorkflowAudit(workflowId, account = null) {
+    if (!this.dbManager) {
+      throw new Error('Workflow state is only kept with a database');
+    }
+
+    await this.persistence;
+    const saved = await this.dbManager.getWorkflowState(workflowId);
+    if (!saved || saved.kind !== 'orchestrator' || (account && saved.user_id !== account.id)) {
+      return null;
+    }
+
+    return {
+      workflow_id: saved.id,
+      name: saved.name,
+      state: saved.state,
+      created_at: saved.created_at,
+      updated_at: saved.updated_at,
+      events: await this.dbManager.getWorkflowEvents(workflowId)
+    };
   }
 
   /**
    * Execute individual workflow step
+   * Routes the step, sends its rendered prompt to the chosen model through ModelInterface and stores
+   * the result in workflow.step_results; failed model calls are retried up to step.max_attempts
    */
   async executeWorkflowStep(step, workflow, options = {}) {
     const stepStartTime = Date.now();
-    
+    const maxAttempts = step.max_attempts || options.maxAttempts || this.executionConfig.step_max_attempts;
+    const attempts = [];
+    let prompt = null;
+    let routingResult = null;
+    let result;
+
     try {
+      // Fill in earlier step outputs; a missing one fails the step without calling a model
+      prompt = this.renderStepPrompt(step, workflow);
+
       // Generate step-specific task description
       const stepTask = this.generateStepTask(step, workflow);
-      
-      // Attempt autonomous routing if enabled
-      let routingResult;
-      if (step.autonomous_routing_eligible && workflow.autonomous_routing_enabled) {
+      const routingContext = {
+        step_context: step,
+        workflow_context: { id: workflow.id, name: workflow.name, project_context: workflow.project_context },
+        account: options.account
+      };
+      const characterSheet = options.characterSheet || workflow.user_preferences;
+
+      // A step that names its model skips routing; one that names a tier is routed within it
+      if (step.model) {
+        routingResult = { selection: { model: step.model, reason: 'Model set by workflow step', confidence: 1 } };
+      } else if (step.tier) {
+        routingResult = await makeRoutingDecision(stepTask, characterSheet, { ...routingContext, preferTier: step.tier, pinTier: true });
+      } else if (step.autonomous_routing_eligible && workflow.autonomous_routing_enabled) {
+        // Attempt autonomous routing if enabled
         const autonomousResult = await this.autonomousRouter.attemptAutonomousRouting(
           stepTask,
-          workflow.user_preferences,
-          { step_context: step, workflow_context: workflow }
+          characterSheet,
+          routingContext
         );
-        
+
         if (autonomousResult.autonomous) {
           routingResult = autonomousResult.decision;
         } else {
           // Fall back to standard routing
-          routingResult = await makeRoutingDecision(
-            stepTask,
-            workflow.user_preferences,
-            { step_context: step, workflow_context: workflow }
-          );
+          routingResult = await makeRoutingDecision(stepTask, characterSheet, routingContext);
         }
       } else {
         // Standard routing
-        routingResult = await makeRoutingDecision(
-          stepTask,
-          workflow.user_preferences,
-          { step_context: step, workflow_context: workflow }
+        routingResult = await makeRoutingDecision(stepTask, characterSheet, routingContext);
+      }
+
+      const model = routingResult.selection?.model;
+      if (!model) {
+        throw new Error(`No model was chosen for step ${step.step_id}`);
+      }
+
+      let response;
+      let pendingRequest = null;
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // A call that ran past the timeout may still answer (and be billed), so the next attempt waits for it
+        // again instead of sending the prompt a second time
+        const waited = Boolean(pendingRequest);
+        const request = pendingRequest || this.getModelInterface().sendRequest(
+          model,
+          prompt,
+          { account: options.account || null },
+          routingResult.classification?.type || step.task_type,
+          workflow.id
         );
+        response = await this.withStepTimeout(step, request);
+        pendingRequest = response.error?.type === 'TimeoutError' ? request : null;
+
+        attempts.push({
+          attempt,
+          waited,
+          error: response.error?.message || null,
+          duration_ms: response.timing?.duration_ms ?? null,
+          performance_id: response.metadata?.performance_id ?? null
+        });
+
+        if (!response.error || NON_RETRYABLE_ERRORS.includes(response.error.type)) {
+          break;
+        }
+        if (attempt < maxAttempts && this.executionConfig.step_retry_delay_ms > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.executionConfig.step_retry_delay_ms));
+        }
       }
 
-      const executionTime = Date.now() - stepStartTime;
+      if (response.error) {
+        throw new Error(response.error.message);
+      }
 
-      return {
+      result = {
         step_index: step.step_index,
+        step_id: step.step_id,
         success: true,
-        routing_decision: routingResult,
-        execution_time: executionTime,
+        model,
+        prompt,
+        output: response.content,
+        attempts,
+        routing: this.summarizeRouting(routingResult),
+        execution_time: Date.now() - stepStartTime,
         start_time: new Date(stepStartTime).toISOString(),
         end_time: new Date().toISOString(),
-        autonomous_routing: step.autonomous_routing_eligible && 
-                           workflow.autonomous_routing_enabled &&
-                           routingResult.autonomous
+        autonomous_routing: !!(step.autonomous_routing_eligible &&
+                              workflow.autonomous_routing_enabled &&
+                              routingResult.autonomous)
       };
 
     } catch (error) {
-      return {
+      result = {
         step_index: step.step_index,
+        step_id: step.step_id,
         success: false,
+        model: routingResult?.selection?.model || null,
+        prompt,
+        output: null,
+        attempts,
+        routing: routingResult ? this.summarizeRouting(routingResult) : null,
         error: error.message,
-        execution_time: Date.now() - stepStartTime
+        execution_time: Date.now() - stepStartTime,
+        start_time: new Date(stepStartTime).toISOString(),
+        end_time: new Date().toISOString()
       };
     }
+
+    workflow.step_results[step.step_index] = result;
+    return result;
+  }
+
+  /**
+   * Wait for a step's model call for at most step.timeout seconds
+   * A call that runs over answers with a TimeoutError; the call itself keeps running, and a retry
+   * waits on it once more rather than making another
+   */
+  async withStepTimeout(step, request) {
+    if (!step.timeout) {
+      return await request;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve({
+        error: { message: `Step ${step.step_id} timed out after ${step.timeout}s`, type: 'TimeoutError' }
+      }), step.timeout * 1000);
+    });
+
+    try {
+      return await Promise.race([request, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * The parts of a routing decision kept with a step result
+   */
+  summarizeRouting(routingResult) {
+    const selection = routingResult.selection || {};
+    return {
+      model: selection.model || null,
+      reason: selection.reason || null,
+      confidence: selection.confidence ?? null,
+      tier: selection.tier || null,
+      task_type: routingResult.classification?.type || null
+    };
+  }
+
+  /**
+   * ModelInterface the steps run through, created on first use
+   */
+  getModelInterface() {
+    if (!this.modelInterface) {
+      this.modelInterface = new ModelInterface(this.dbManager ? { dbManager: this.dbManager } : {});
+      this.ownsModelInterface = !this.dbManager;
+    }
+    return this.modelInterface;
+  }
+
+  /**
+   * Render the prompt sent to a step's model
+   * Without a step.prompt template, the step's task description is followed by the outputs of the steps it
+   * depends on, or of the previous step when it has no dependencies
+   */
+  renderStepPrompt(step, workflow) {
+    if (!step.prompt) {
+      // Parallel steps without dependencies may run before the previous step, so they get no earlier output
+      const sources = step.dependencies?.length > 0
+        ? step.dependencies.map(dependency => this.findWorkflowStep(workflow, dependency))
+        : workflow.execution_strategy === 'parallel' ? [] : [workflow.steps[step.step_index - 1]];
+
+      const sections = sources
+        .filter(source => source && workflow.step_results[source.step_index]?.success)
+        .map(source => `Output of the ${source.task_type || source.step_id} step:\n${workflow.step_results[source.step_index].output}`);
+
+      return [this.generateStepTask(step, workflow), ...sections].join('\n\n');
+    }
+
+    return step.prompt.replace(PROMPT_PLACEHOLDER, (placeholder, expression) => {
+      const value = this.resolvePromptPlaceholder(expression, step, workflow);
+      if (value === undefined || value === null) {
+        throw new Error(`Step ${step.step_id} prompt uses ${placeholder}, which has no value yet`);
+      }
+      return String(value);
+    });
+  }
+
+  /**
+   * Value of one prompt placeholder, or undefined when it names nothing with a value
+   */
+  resolvePromptPlaceholder(expression, step, workflow) {
+    const [scope, ...rest] = expression.split('.');
+
+    switch (scope) {
+      case 'task':
+        return workflow.original_task;
+      case 'project':
+        return workflow.project_context;
+      case 'input':
+        return workflow.inputs?.[rest.join('.')];
+      case 'previous': {
+        const previous = workflow.step_results.slice(0, step.step_index).filter(result => result?.success).pop();
+        return rest[0] === 'output' ? previous?.output : undefined;
+      }
+      case 'steps': {
+        // Step ids may themselves contain dots, so the field is the last part
+        const field = rest.pop();
+        const source = this.findWorkflowStep(workflow, rest.join('.'));
+        const sourceResult = source && workflow.step_results[source.step_index];
+        return field === 'output' && sourceResult?.success ? sourceResult.output : undefined;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Find a workflow step by index, step_id or task type
+   */
+  findWorkflowStep(workflow, reference) {
+    if (typeof reference === 'number' || /^\d+$/.test(String(reference))) {
+      return workflow.steps[Number(reference)];
+    }
+    return workflow.steps.find(step => step.step_id === reference) ||
+           workflow.steps.find(step => step.task_type === reference);
   }
 
   /**
@@ -588,23 +1413,31 @@ class WorkflowOrchestrator {
   /**
    * Check if step prerequisites are met
    */
-  arePrerequisitesMet(step, completedSteps) {
+  arePrerequisitesMet(step, completedSteps, steps = []) {
     if (!step.dependencies || step.dependencies.length === 0) {
       return true;
     }
 
-    // Check if all dependency step indices are completed
-    return step.dependencies.every(dep => completedSteps.includes(dep));
+    // Dependencies are step indices, or the step_id or task type of another step;
+    // a task type with no step in this workflow was done before it
+    return step.dependencies.every(dep => {
+      if (typeof dep === 'number') {
+        return completedSteps.includes(dep);
+      }
+      const index = steps.findIndex(other => other.step_id === dep || other.task_type === dep);
+      return index === -1 || completedSteps.includes(index);
+    });
   }
 
   /**
    * Complete workflow execution
    */
-  completeWorkflow(workflow, stepResults) {
-    workflow.state = this.workflowStates.COMPLETED;
+  completeWorkflow(workflow) {
+    const stepResults = workflow.step_results.filter(Boolean);
     workflow.actual_end_time = new Date().toISOString();
-    workflow.step_results = stepResults;
-    workflow.success_rate = stepResults.filter(r => r.success).length / stepResults.length;
+    workflow.success_rate = stepResults.length > 0
+      ? stepResults.filter(r => r.success).length / stepResults.length
+      : 0;
 
     // Calculate actual vs estimated duration
     const actualDuration = (new Date(workflow.actual_end_time).getTime() - 
@@ -614,6 +1447,7 @@ class WorkflowOrchestrator {
 
     // Record workflow completion for learning
     this.recordWorkflowCompletion(workflow);
+    this.setWorkflowState(workflow, this.workflowStates.COMPLETED, { success_rate: workflow.success_rate });
 
     console.log(`Workflow ${workflow.id} completed with ${Math.round(workflow.success_rate * 100)}% success rate`);
 
@@ -624,10 +1458,25 @@ class WorkflowOrchestrator {
       success_rate: workflow.success_rate,
       duration: actualDuration,
       steps_completed: workflow.completed_steps.length,
-      steps_failed: workflow.failed_steps.length
+      steps_failed: workflow.failed_steps.length,
+      steps_skipped: workflow.skipped_steps.length,
+      outputs: this.getWorkflowOutputs(workflow)
     };
   }
 
+  /**
+   * Outputs of the steps that succeeded, by step_id
+   */
+  getWorkflowOutputs(workflow) {
+    const outputs = {};
+    for (const result of workflow.step_results) {
+      if (result?.success) {
+        outputs[result.step_id] = result.output;
+      }
+    }
+    return outputs;
+  }
+
   /**
    * Calculate capacity requirements for steps
    */
@@ -722,7 +1571,7 @@ class WorkflowOrchestrator {
       actual_duration: workflow.actual_duration,
       estimated_duration: workflow.estimated_duration,
       steps_completed: workflow.completed_steps.length,
-      autonomous_routing_usage: workflow.step_results?.filter(r => r.autonomous_routing).length || 0,
+      autonomous_routing_usage: workflow.step_results?.filter(r => r?.autonomous_routing).length || 0,
       recorded_at: new Date().toISOString()
     };
 
@@ -734,6 +1583,18 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * A workflow the account may see: its own, or any workflow for the owner (no account)
+   * @returns {object|null} The workflow
+   */
+  getWorkflow(workflowId, account = null) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!workflow || (account && workflow.account_id !== account.id)) {
+      return null;
+    }
+    return workflow;
+  }
+
   /**
    * Get workflow status
    */
@@ -752,8 +1613,13 @@ class WorkflowOrchestrator {
       total_steps: workflow.steps.length,
       completed_steps: workflow.completed_steps.length,
       failed_steps: workflow.failed_steps.length,
+      skipped_steps: workflow.skipped_steps.length,
       estimated_remaining: this.calculateRemainingTime(workflow),
-      next_step: workflow.steps[workflow.current_step] || null
+      next_step: workflow.steps[workflow.current_step] || null,
+      pending_step: workflow.pending_step,
+      error: workflow.error || null,
+      step_results: workflow.step_results.filter(Boolean),
+      outputs: this.getWorkflowOutputs(workflow)
     };
   }
 
@@ -829,6 +1695,10 @@ class WorkflowOrchestrator {
     await this.taskPredictor.close();
     await this.cognitivePredictor.close();
     await this.autonomousRouter.close();
+    await this.persistence;
+    if (this.ownsModelInterface) {
+      await this.modelInterface.close();
+    }
   }
 }
 
@@ -24,9 +24,9 @@ class PredictiveWorkflowEngine {
     // Initialize core components
     this.taskPredictor = new TaskSequencePredictor(options);
     this.cognitivePredictor = new CognitiveLoadPredictor(options);
-    this.workflowOrchestrator = new WorkflowOrchestrator(options);
-    this.autonomousRouter = new HighConfidenceRouter(options);
     this.workflowMemory = new WorkflowMemoryManager(options);
+    this.workflowOrchestrator = new WorkflowOrchestrator({ ...options, workflowMemory: this.workflowMemory });
+    this.autonomousRouter = new HighConfidenceRouter(options);
     
     // Engine configuration
     this.config = {
@@ -0,0 +1,200 @@
+// #region start: Character Sheet Schema
+// JSON Schema for character-sheet.yaml and its loadouts
+// Sections the router reads are typed; other sections are free-form so the sheet can keep growing
+
+const { validateSchema } = require('../utils/json-schema');
+
+const MODEL_NAME = { type: 'string', minLength: 1 };
+const MODEL_LIST = { type: 'array', items: MODEL_NAME };
+const RATIO = { type: 'number', minimum: 0, maximum: 1 };
+
+const LOADOUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    model: MODEL_NAME,
+    tone: { type: 'string' },
+    memory: { type: ['string', 'boolean'] },
+    verbosity: { enum: ['low', 'medium', 'high'] },
+    tokens: { enum: ['low', 'medium', 'high'] },
+    tools: { type: ['string', 'array'] },
+    uncensored: { type: 'boolean' },
+    local_only: { type: 'boolean' },
+    description: { type: 'string' },
+    extends: { type: ['string', 'array'], minLength: 1, items: { type: 'string', minLength: 1 } },
+    merge: {
+      type: 'object',
+      additionalProperties: { enum: ['replace', 'append', 'prepend', 'union'] }
+    },
+    priority: { type: 'number' },
+    activate: {
+      type: 'object',
+      properties: {
+        schedule: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              days: { type: 'array', items: { enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } },
+              hours: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 0, maximum: 24 } }
+            }
+          }
+        },
+        projects: { type: 'array', items: { type: 'string', minLength: 1 } },
+        repos: { type: 'array', items: { type: 'string', minLength: 1 } }
+      }
+    }
+  }
+};
+
+const CHARACTER_SHEET_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    roles: { type: 'array', items: { type: 'string' } },
+    learning_goals: { type: 'array', items: { type: 'string' } },
+    current_projects: { type: 'array', items: { type: 'string' } },
+    preferred_formats: { type: 'array', items: { type: 'string' } },
+    active_memory: { type: 'array', items: { type: 'string' } },
+    task_type_preferences: {
+      type: 'object',
+      additionalProperties: MODEL_NAME
+    },
+    fallback_behavior: {
+      type: 'object',
+      properties: {
+        fallback: MODEL_NAME,
+        fallback_from_uncensored: MODEL_NAME,
+        allowFallback: { type: 'boolean' }
+      }
+    },
+    loadouts: {
+      type: 'object',
+      additionalProperties: LOADOUT_SCHEMA
+    },
+    memory_integration: {
+      type: 'object',
+      properties: {
+        project_context_awareness: { type: 'boolean' },
+        routing_history_weight: RATIO,
+        learning_rate: RATIO
+      }
+    },
+    project_preferences: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          preferred_models: MODEL_LIST,
+          complexity_bias: { enum: ['low', 'medium', 'high'] },
+          cost_sensitivity: { enum: ['low', 'medium', 'high'] }
+        }
+      }
+    },
+    uncensored_content_routing: {
+      type: 'object',
+      properties: {
+        default_model: MODEL_NAME,
+        fallback_chain: MODEL_LIST
+      }
+    },
+    sensitive_data: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        action: { enum: ['redact', 'force_local'] },
+        detectors: { type: 'array', items: { type: 'string' } },
+        force_local_on: { type: 'array', items: { type: 'string' } },
+        custom_patterns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'pattern'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              pattern: { type: 'string', minLength: 1 },
+              action: { enum: ['redact', 'force_local'] }
+            }
+          }
+        }
+      }
+    },
+    cost_settings: {
+      type: 'object',
+      properties: {
+        monthly_budget: { type: 'number', minimum: 0 },
+        cost_awareness: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Model references the router acts on, with the path they sit at
+ * project_preferences are soft hints and may name models that are not installed yet
+ * @param {object} sheet - Character sheet
+ * @returns {Array<{path: string, model: string}>}
+ */
+function getModelReferences(sheet) {
+  const references = [];
+  const add = (path, model) => {
+    if (typeof model === 'string' && model) references.push({ path, model });
+  };
+
+  for (const [taskType, model] of Object.entries(sheet.task_type_preferences || {})) {
+    add(`task_type_preferences.${taskType}`, model);
+  }
+  add('fallback_behavior.fallback', sheet.fallback_behavior?.fallback);
+  add('fallback_behavior.fallback_from_uncensored', sheet.fallback_behavior?.fallback_from_uncensored);
+  for (const [name, loadout] of Object.entries(sheet.loadouts || {})) {
+    add(`loadouts.${name}.model`, loadout?.model);
+  }
+  add('uncensored_content_routing.default_model', sheet.uncensored_content_routing?.default_model);
+  (sheet.uncensored_content_routing?.fallback_chain || []).forEach((model, i) => {
+    add(`uncensored_content_routing.fallback_chain[${i}]`, model);
+  });
+  return references;
+}
+
+/**
+ * Check a character sheet against the schema and, when a model lookup is given, against models.yaml
+ * @param {object} sheet - Parsed character sheet
+ * @param {object} options - {isKnownModel: name => boolean}
+ * @returns {string[]} Problems; empty when the sheet is valid
+ */
+function validateCharacterSheet(sheet, { isKnownModel = null } = {}) {
+  const problems = validateSchema(sheet, CHARACTER_SHEET_SCHEMA);
+  if (problems.length > 0 || !isKnownModel) {
+    return problems;
+  }
+
+  for (const { path, model } of getModelReferences(sheet)) {
+    if (!isKnownModel(model)) {
+      problems.push(`$.${path} names unknown model ${model}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check one loadout
+ * @param {object} loadout - Loadout settings
+ * @param {object} options - {isKnownModel: name => boolean}
+ * @returns {string[]} Problems; empty when the loadout is valid
+ */
+function validateLoadout(loadout, { isKnownModel = null } = {}) {
+  const problems = validateSchema(loadout, LOADOUT_SCHEMA);
+  if (problems.length === 0 && isKnownModel && loadout.model && !isKnownModel(loadout.model)) {
+    problems.push(`$.model names unknown model ${loadout.model}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  CHARACTER_SHEET_SCHEMA,
+  LOADOUT_SCHEMA,
+  getModelReferences,
+  validateCharacterSheet,
+  validateLoadout
+};
+
+// #endregion end: Character Sheet Schema
@@ -0,0 +1,301 @@
+// #region start: Character Sheet Store for The Steward
+// Validated, versioned writes of character-sheet.yaml (or an account's sheet) with diffs and rollback
+// Used by the API, the sheet CLI and accepted suggestions so no writer skips validation
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const DatabaseManager = require('../../database/DatabaseManager');
+const AdapterRegistry = require('../../models/AdapterRegistry');
+const LoadoutManager = require('./loadout-manager');
+const { validateCharacterSheet } = require('./character-sheet-schema');
+
+const CHARACTER_SHEET_PATH = path.join(__dirname, '../../character-sheet.yaml');
+const AUTHORS = ['user', 'suggestion', 'drift_detector', 'rollback', 'baseline'];
+
+/**
+ * Character Sheet Store
+ * Validated reads and writes of character-sheet.yaml with a versioned history
+ *
+ * Every write is checked against the schema and models.yaml first, then stored as a
+ * snapshot in character_sheet_versions with its author, so any change can be diffed
+ * and rolled back. The user_profile row for the sheet, when there is one, is kept in step.
+ * An account's sheet (userId) has no file: its newest version is the current sheet.
+ */
+class CharacterSheetStore {
+    /**
+     * @param {object} options - {dbManager, sheetPath, registry, loadoutsDir, userId}; loadouts default to the
+     *                           loadouts/ directory next to the sheet; userId selects an account's sheet
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        this.sheetPath = options.sheetPath || CHARACTER_SHEET_PATH;
+        this.registry = options.registry || null;
+        this.userId = options.userId ?? null;
+        this.loadoutManager = new LoadoutManager({
+            loadoutsDir: options.loadoutsDir || path.join(path.dirname(this.sheetPath), 'loadouts')
+        });
+    }
+
+    /**
+     * Read a character sheet given as an object or YAML text (e.g. an API request body)
+     * @param {object|string} input - Character sheet
+     * @returns {object} Character sheet, not yet validated
+     */
+    static toSheet(input) {
+        const sheet = typeof input === 'string' ? yaml.load(input) : input;
+        if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+            throw new Error('Character sheet must be a YAML mapping or object');
+        }
+        return sheet;
+    }
+
+    /**
+     * Check a sheet against the schema and the models in models.yaml, and check that its loadouts
+     * (with those in loadouts/) resolve
+     * @param {object} sheet - Parsed character sheet
+     * @returns {string[]} Problems; empty when the sheet is valid
+     */
+    validate(sheet) {
+        this.registry = this.registry || new AdapterRegistry();
+        const isKnownModel = model => this.registry.has(model);
+        const problems = validateCharacterSheet(sheet, { isKnownModel });
+        if (problems.length > 0) {
+            return problems;
+        }
+        return this.loadoutManager.validate(sheet, { isKnownModel });
+    }
+
+    /**
+     * Parse YAML text into a validated sheet
+     * @param {string} text - Character sheet YAML
+     * @returns {object} Character sheet
+     */
+    parse(text) {
+        const sheet = yaml.load(text);
+        const problems = this.validate(sheet);
+        if (problems.length > 0) {
+            throw new Error(`Invalid character sheet: ${problems.join('; ')}`);
+        }
+        return sheet;
+    }
+
+    /**
+     * Load and validate the character sheet file
+     * @returns {object} Character sheet
+     */
+    load() {
+        if (!fs.existsSync(this.sheetPath)) {
+            throw new Error(`Character sheet not found: ${this.sheetPath}`);
+        }
+        return this.parse(fs.readFileSync(this.sheetPath, 'utf8'));
+    }
+
+    /**
+     * The current sheet as written: the file, or an account's newest version
+     * @returns {Promise<string|null>} YAML text; null when there is no sheet yet
+     */
+    async readText() {
+        if (this.userId === null) {
+            return fs.existsSync(this.sheetPath) ? fs.readFileSync(this.sheetPath, 'utf8') : null;
+        }
+
+        const [latest] = await this.dbManager.getCharacterSheetVersions(1, this.userId);
+        const snapshot = latest ? await this.dbManager.getCharacterSheetVersion(latest.version, this.userId) : null;
+        return snapshot ? snapshot.content : null;
+    }
+
+    /**
+     * Load and validate the current sheet, whether it is the file or an account's
+     * @returns {Promise<object>} Character sheet
+     */
+    async loadCurrent() {
+        const content = await this.readText();
+        if (content === null) {
+            throw new Error(this.userId === null
+                ? `Character sheet not found: ${this.sheetPath}`
+                : `No character sheet stored for user ${this.userId}`);
+        }
+        return this.parse(content);
+    }
+
+    /**
+     * Validate and write a character sheet, recording the change as a new version
+     * @param {object} sheet - Complete character sheet
+     * @param {object} meta - {author, source_id, reason}
+     * @returns {Promise<object>} {version, changes}
+     */
+    async save(sheet, meta = {}) {
+        const problems = this.validate(sheet);
+        if (problems.length > 0) {
+            throw new Error(`Invalid character sheet: ${problems.join('; ')}`);
+        }
+        return this.write(yaml.dump(sheet, { lineWidth: -1, noRefs: true }), sheet, meta);
+    }
+
+    /**
+     * Apply a change to the current sheet and save it
+     * @param {function} change - Receives a copy of the current sheet and edits it (or returns a new one)
+     * @param {object} meta - {author, source_id, reason}
+     * @returns {Promise<object>} {version, changes, sheet}
+     */
+    async update(change, meta = {}) {
+        // Parsed fresh from the stored text, so the caller may edit it freely
+        const draft = yaml.load(await this.readText() || '') || {};
+        const updated = change(draft) || draft;
+        const saved = await this.save(updated, meta);
+        return { ...saved, sheet: updated };
+    }
+
+    /**
+     * Restore an earlier version exactly as it was written (comments included)
+     * @param {number} version - Version to restore
+     * @param {object} meta - {reason}
+     * @returns {Promise<object>} {version, changes, sheet}
+     */
+    async rollback(version, meta = {}) {
+        const snapshot = await this.dbManager.getCharacterSheetVersion(version, this.userId);
+        if (!snapshot) {
+            throw new Error(`Character sheet version ${version} not found`);
+        }
+
+        // Schemas and models.yaml may have moved on since the snapshot was taken
+        const sheet = this.parse(snapshot.content);
+        const saved = await this.write(snapshot.content, sheet, {
+            author: 'rollback',
+            source_id: version,
+            reason: meta.reason || `Rolled back to version ${version}`
+        });
+        return { ...saved, sheet };
+    }
+
+    /**
+     * Write YAML text and record it; the first tracked change also records the sheet it replaced
+     * @private
+     */
+    async write(content, sheet, { author = 'user', source_id = null, reason = null } = {}) {
+        if (!AUTHORS.includes(author)) {
+            throw new Error(`Unknown character sheet author: ${author}. Use one of ${AUTHORS.join(', ')}`);
+        }
+
+        const previousContent = await this.readText();
+        const previous = previousContent ? yaml.load(previousContent) || {} : {};
+        const [latest] = await this.dbManager.getCharacterSheetVersions(1, this.userId);
+        if (!latest && previousContent) {
+            await this.dbManager.saveCharacterSheetVersion({ author: 'baseline', reason: 'Sheet before the first tracked change', content: previousContent });
+        }
+
+        const changes = CharacterSheetStore.diff(previous, sheet);
+        if (this.userId === null) {
+            fs.writeFileSync(this.sheetPath, content);
+            await this.syncUserProfile(sheet);
+        }
+
+        const version = await this.dbManager.saveCharacterSheetVersion({ author, source_id, reason, content, changes, user_id: this.userId });
+        return { version, changes };
+    }
+
+    /**
+     * Keep the user_profile row (which the router reads before the YAML file) in step with the sheet
+     * @private
+     */
+    async syncUserProfile(sheet) {
+        const profile = sheet.name ? await this.dbManager.getUserProfile(sheet.name) : null;
+        if (!profile) {
+            return;
+        }
+
+        await this.dbManager.saveUserProfile({
+            time_of_day_profile: profile.time_of_day_profile,
+            cognitive_patterns: profile.cognitive_patterns,
+            ...sheet,
+            default_output_format: sheet.preferences?.default_output_format || sheet.default_output_format,
+            default_verbosity: sheet.preferences?.default_verbosity || sheet.default_verbosity
+        });
+    }
+
+    /**
+     * Version history, newest first
+     * @param {number} limit - Versions to return
+     * @returns {Promise<Array>} {version, timestamp, author, source_id, reason, changes}
+     */
+    async getHistory(limit = 50) {
+        return this.dbManager.getCharacterSheetVersions(limit, this.userId);
+    }
+
+    /**
+     * One version with its parsed sheet
+     * @param {number} version - Version number
+     * @returns {Promise<object|null>}
+     */
+    async getVersion(version) {
+        const snapshot = await this.dbManager.getCharacterSheetVersion(version, this.userId);
+        return snapshot ? { ...snapshot, sheet: yaml.load(snapshot.content) } : null;
+    }
+
+    /**
+     * Compare two versions, or a version with the current sheet
+     * @param {number} from - Older version
+     * @param {number|null} to - Newer version; null compares with the current sheet
+     * @returns {Promise<object>} {from, to, changes}
+     */
+    async compare(from, to = null) {
+        const before = await this.getVersion(from);
+        if (!before) {
+            throw new Error(`Character sheet version ${from} not found`);
+        }
+
+        let after;
+        if (to === null) {
+            after = yaml.load(await this.readText() || '') || {};
+        } else {
+            const snapshot = await this.getVersion(to);
+            if (!snapshot) {
+                throw new Error(`Character sheet version ${to} not found`);
+            }
+            after = snapshot.sheet;
+        }
+
+        return { from, to: to === null ? 'current' : to, changes: CharacterSheetStore.diff(before.sheet, after) };
+    }
+
+    /**
+     * Paths that differ between two sheets
+     * Mappings are compared key by key; lists and scalars are compared whole
+     * @param {*} before - Older value
+     * @param {*} after - Newer value
+     * @param {string} at - Path of the values
+     * @returns {Array<{path: string, op: string, before: *, after: *}>} op is added, removed or changed
+     */
+    static diff(before, after, at = '') {
+        const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (isMapping(before) && isMapping(after)) {
+            const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+            return keys.flatMap(key => CharacterSheetStore.diff(before[key], after[key], at ? `${at}.${key}` : key));
+        }
+
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return [];
+        }
+        if (before === undefined) {
+            return [{ path: at, op: 'added', before: null, after }];
+        }
+        if (after === undefined) {
+            return [{ path: at, op: 'removed', before, after: null }];
+        }
+        return [{ path: at, op: 'changed', before, after }];
+    }
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+        await this.dbManager.close();
+    }
+}
+
+module.exports = CharacterSheetStore;
+module.exports.CHARACTER_SHEET_PATH = CHARACTER_SHEET_PATH;
+module.exports.AUTHORS = AUTHORS;
+
+// #endregion end: Character Sheet Store for The Steward
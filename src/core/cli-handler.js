@@ -11,6 +11,7 @@ const readline = require('readline');
 
 // Import core modules
 const { makeRoutingDecision, validateRoutingDecision } = require('./routing-engine');
+const LoadoutManager = require('./loadout-manager');
 const { callModel } = require('../../models/model-handler');
 const { logTask, logFeedback } = require('../../models/logger');
 const { tryLocalTiers } = require('../utils/routing');
@@ -26,7 +27,7 @@ function parseArguments() {
     .demandCommand(1, 'Please provide a task description.')
     .option('loadout', {
       alias: 'l',
-      describe: 'Loadout name (e.g., creative, sqa_mode, frugal_mode)',
+      describe: 'Loadout name, or a stack joined with + (e.g., creative, sqa_mode+local_only)',
       type: 'string',
     })
     .option('tier', {
@@ -86,6 +87,10 @@ function parseArguments() {
       type: 'string',
       choices: ['on', 'off']
     })
+    .option('project', {
+      describe: 'Project whose memory is used (memory_use.scope: project)',
+      type: 'string'
+    })
     .option('mcp', {
       describe: 'Output MCP-formatted JSON to mcp_output.json',
       type: 'boolean',
@@ -142,9 +147,11 @@ function parseArguments() {
 }
 
 /**
- * Load and merge character sheet with loadout configuration
+ * Load the character sheet with the active loadout layered over it
+ * A named loadout (or stack such as sqa_mode+local_only) wins; without one, loadouts whose
+ * activate rules match the time or the current git repo are applied
  * @param {string} loadoutName - Optional loadout name
- * @returns {object} - Merged configuration
+ * @returns {object} - Merged configuration, with loadout and active_loadout
  */
 function loadConfiguration(loadoutName) {
   // Step 1: Load base character sheet
@@ -159,24 +166,18 @@ function loadConfiguration(loadoutName) {
     process.exit(1);
   }
   
-  // Step 2: Apply loadout overrides if specified
-  if (loadoutName) {
-    const loadoutPath = path.join(__dirname, '../../loadouts', `${loadoutName}.yaml`);
-    try {
-      const loadoutContents = fs.readFileSync(loadoutPath, 'utf8');
-      const loadoutConfig = yaml.load(loadoutContents);
-      
-      // Deep merge loadout into character sheet
-      characterSheet = {
-        ...characterSheet,
-        ...loadoutConfig,
-        loadout: loadoutName
-      };
-      
-      console.log(`✅ Loaded loadout: ${loadoutName}`);
-    } catch (err) {
-      console.warn(`⚠️ Warning: Failed to load loadout '${loadoutName}': ${err.message}`);
+  // Step 2: Deep-merge the loadout, its extends chain and any stacked loadouts into the sheet
+  try {
+    characterSheet = new LoadoutManager().activate(characterSheet, {
+      loadout: loadoutName,
+      repo: LoadoutManager.detectGitRepo()
+    });
+    
+    if (characterSheet.active_loadout.source !== 'none') {
+      console.log(`🎛 Loadout: ${LoadoutManager.describe(characterSheet.active_loadout)}`);
     }
+  } catch (err) {
+    console.warn(`⚠️ Warning: Failed to load loadout '${loadoutName}': ${err.message}`);
   }
   
   return characterSheet;
@@ -368,29 +369,56 @@ async function executeModelCall(prompt, decision, options) {
   };
 }
 
+/**
+ * Decide whether memory is used for this run
+ * --memory wins, then a loadout's `memory: false`, then memory_use.toggle or MEMORY=on
+ * @param {object} characterSheet - User configuration
+ * @param {object} options - CLI options
+ * @returns {boolean}
+ */
+function isMemoryEnabled(characterSheet, options) {
+  const memoryOverride = options.memory;
+  if (memoryOverride === 'on' || memoryOverride === 'off') {
+    return memoryOverride === 'on';
+  }
+  if (characterSheet.memory === false) {
+    return false;
+  }
+  const memoryUse = characterSheet.preferences?.memory_use || characterSheet.memory_use;
+  return memoryUse?.toggle === true || process.env.MEMORY === 'on';
+}
+
+/**
+ * Memory scope names for this run
+ * @param {object} characterSheet - User configuration
+ * @param {object} options - CLI options
+ * @returns {object} - {project, loadout}
+ */
+function getMemoryContext(characterSheet, options) {
+  return {
+    project: options.project || characterSheet.projectName || 'default',
+    loadout: characterSheet.loadout || 'default'
+  };
+}
+
 /**
  * Handle memory integration based on user settings
  * @param {string} taskInput - Original task input
  * @param {object} characterSheet - User configuration
  * @param {object} options - CLI options
- * @returns {string} - Complete prompt with memory context if enabled
+ * @returns {Promise<string>} - Complete prompt with memory context if enabled
  */
-function handleMemoryIntegration(taskInput, characterSheet, options) {
-  // Determine if memory should be used
-  const memoryOverride = options.memory;
-  const memoryEnabled = memoryOverride === 'on' || 
-    (memoryOverride !== 'off' && (characterSheet.memory_use?.toggle === true || process.env.MEMORY === 'on'));
-  
-  if (!memoryEnabled) {
+async function handleMemoryIntegration(taskInput, characterSheet, options) {
+  if (!isMemoryEnabled(characterSheet, options)) {
     return taskInput;
   }
-  
+
   try {
     // Import memory functions dynamically to avoid errors if not available
     const { loadMemory } = require('../../models/memory');
-    const projectName = characterSheet.projectName || 'default';
-    const memoryContext = loadMemory(projectName);
-    
+    const { project, loadout } = getMemoryContext(characterSheet, options);
+    const memoryContext = await loadMemory(project, taskInput, { loadout });
+
     if (memoryContext) {
       console.log('🧠 Memory context loaded');
       return `${memoryContext}\n\n${taskInput}`;
@@ -398,10 +426,37 @@ function handleMemoryIntegration(taskInput, characterSheet, options) {
   } catch (err) {
     console.warn(`⚠️ Memory loading failed: ${err.message}`);
   }
-  
+
   return taskInput;
 }
 
+/**
+ * Remember a completed task so later prompts in the same scope can recall it
+ * @param {string} taskInput - Original task input
+ * @param {object} result - Result of executeThreeTierModelCall
+ * @param {object} characterSheet - User configuration
+ * @param {object} options - CLI options
+ */
+async function storeTaskMemory(taskInput, result, characterSheet, options) {
+  if (!result.success || !isMemoryEnabled(characterSheet, options)) {
+    return;
+  }
+
+  try {
+    const { writeMemory } = require('../../models/memory');
+    const { project, loadout } = getMemoryContext(characterSheet, options);
+    const summary = String(result.response).replace(/\s+/g, ' ').trim().slice(0, 280);
+    await writeMemory(project, {
+      content: `${taskInput}\n→ ${summary}`,
+      task: taskInput,
+      model: result.model,
+      tier: result.tier
+    }, { loadout, kind: 'task' });
+  } catch (err) {
+    console.warn(`⚠️ Memory writing failed: ${err.message}`);
+  }
+}
+
 /**
  * Collect user feedback on the result
  * @param {string} taskId - Unique task identifier
@@ -544,7 +599,7 @@ async function main() {
     }
     
     // Step 7: Prepare prompt with memory context
-    const fullPrompt = handleMemoryIntegration(taskInput, characterSheet, argv);
+    const fullPrompt = await handleMemoryIntegration(taskInput, characterSheet, argv);
     
     // Step 8: Execute three-tier model call
     const result = await executeThreeTierModelCall(fullPrompt, decision, argv);
@@ -586,6 +641,9 @@ async function main() {
       privacy_protection: decision.tier_info.privacy_protection
     });
     
+    // Step 10.5: Remember the task for later prompts in the same memory scope
+    await storeTaskMemory(taskInput, result, characterSheet, argv);
+    
     // Step 11: Handle MCP integration
     await handleMCPIntegration(taskInput, result.model, result.response, argv);
     
@@ -962,6 +1020,7 @@ module.exports = {
   displayRoutingInfo,
   executeModelCall,
   handleMemoryIntegration,
+  storeTaskMemory,
   collectFeedback,
   handleMCPIntegration,
   // Three-tier specific functions
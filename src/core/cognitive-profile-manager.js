@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const Journal = require('../../models/Journal');
 
 /**
  * Cognitive Profile Manager
@@ -234,6 +235,7 @@ class CognitiveProfileManager {
 
     /**
      * Estimate current cognitive capacity
+     * Today's journal check-in (context.journal_entry) replaces the hour-of-day defaults when there is one
      * @param {number} currentHour - Current hour of day
      * @param {object} context - Additional context
      * @returns {object} - Cognitive capacity assessment
@@ -254,13 +256,19 @@ class CognitiveProfileManager {
             baseCapacity = 0.4;
         }
         
+        // Self-reported energy, mood and frustration outweigh the typical schedule
+        const journalCapacity = Journal.capacityFrom(context.journal_entry, currentHour, baseCapacity);
+        if (journalCapacity) {
+            baseCapacity = journalCapacity.capacity;
+        }
+        
         // ADHD-specific adjustments
         if (profile.neurotype_adaptations.adhd_aware) {
             // ADHD: more variable capacity, potential for hyperfocus
             const hyperfocusPotential = context.task_type === 'code' || context.task_type === 'debug';
             if (hyperfocusPotential && baseCapacity > 0.6) {
                 baseCapacity = Math.min(baseCapacity * 1.3, 1.0); // Hyperfocus boost
-            } else if (currentHour >= 13 && currentHour <= 15) {
+            } else if (currentHour >= 13 && currentHour <= 15 && !journalCapacity) {
                 baseCapacity *= 0.7; // Post-lunch energy dip more pronounced
             }
         }
@@ -280,6 +288,8 @@ class CognitiveProfileManager {
             factors: {
                 time_of_day: currentHour,
                 base_capacity: baseCapacity,
+                source: journalCapacity ? 'journal' : 'time_of_day',
+                journal: journalCapacity ? journalCapacity.factors : null,
                 adhd_adjustments: profile.neurotype_adaptations.adhd_aware,
                 hyperfocus_potential: profile.neurotype_adaptations.adhd_aware && 
                     (context.task_type === 'code' || context.task_type === 'debug'),
@@ -0,0 +1,294 @@
+// #region start: Failover Executor for The Steward
+// Walks a routing decision's fallback chain when a model call fails
+// Honors local-first privacy constraints and records every hop in routing_decisions
+
+const DatabaseManager = require('../../database/DatabaseManager');
+const LocalFirstRouter = require('./local-first-router');
+const SensitiveDataScanner = require('../../models/SensitiveDataScanner');
+const { getModelInfo } = require('../../models/model-metadata');
+
+/**
+ * Failover Executor
+ * Sends a request to the selected model and moves down the fallback chain on
+ * timeouts, 5xx errors, rate limits, unreachable models, budget blocks or empty output
+ */
+class FailoverExecutor {
+    /**
+     * @param {object} modelInterface - ModelInterface instance used for each attempt
+     * @param {object} options - {mapModelName, dbManager, maxAttempts, characterSheet, sensitiveDataScanner}
+     */
+    constructor(modelInterface, options = {}) {
+        this.modelInterface = modelInterface;
+        this.mapModelName = options.mapModelName || (modelName => modelName);
+        this.dbManager = options.dbManager || modelInterface.dbManager || new DatabaseManager();
+        this.localFirstRouter = new LocalFirstRouter();
+        this.maxAttempts = options.maxAttempts || 4;
+        this.characterSheet = options.characterSheet || null;
+        this.sensitiveDataScanner = options.sensitiveDataScanner || modelInterface.sensitiveDataScanner || new SensitiveDataScanner();
+    }
+
+    /**
+     * Execute a request along the routing decision's fallback chain
+     * @param {object} routingDecision - Smart routing decision
+     * @param {string|object} prompt - Prompt string or Conversation
+     * @param {object} requestOptions - Model request options
+     * @param {object} context - {taskType, sessionId, onToken, onToolCall}; onToken makes the request stream
+     * @returns {Promise<object>} - ModelInterface response with metadata.failover
+     */
+    async execute(routingDecision, prompt, requestOptions = {}, context = {}) {
+        const { taskType = null, sessionId = null, onToken = null, onToolCall = null } = context;
+        const characterSheet = routingDecision.options?.character_sheet || this.characterSheet || {};
+        const fallbackBehavior = characterSheet.fallback_behavior || {};
+        const requiresLocal = this.requiresLocalProcessing(routingDecision, requestOptions);
+
+        // Spend is charged to the project the request or its memory context names
+        const project = requestOptions.project || routingDecision.options?.project ||
+            routingDecision.memory_integration?.context_analysis?.project_context?.project || null;
+        const attemptOptions = project ? { ...requestOptions, project } : requestOptions;
+
+        let chain = this.buildChain(routingDecision, requiresLocal);
+        if (fallbackBehavior.allowFallback === false) {
+            chain = chain.slice(0, 1);
+        }
+
+        const attempts = [];
+        let localOnly = requiresLocal;
+        let response = null;
+
+        for (const candidate of chain) {
+            // A cloud failure can restrict the remaining hops to local models
+            if (localOnly && !candidate.local) {
+                continue;
+            }
+
+            // Skipped candidates do not count towards maxAttempts, only models actually tried
+            if (attempts.length >= this.maxAttempts) {
+                break;
+            }
+
+            let outputStarted = false;
+            const attemptContext = onToken ? {
+                onToken: (token) => {
+                    outputStarted = true;
+                    onToken(token);
+                },
+                onToolCall: (deltas) => {
+                    outputStarted = true;
+                    if (onToolCall) onToolCall(deltas);
+                }
+            } : null;
+
+            response = attemptContext
+                ? await this.modelInterface.streamRequest(
+                    candidate.mapped_model, prompt, attemptOptions, taskType, sessionId,
+                    attemptContext.onToken, attemptContext.onToolCall
+                )
+                : await this.modelInterface.sendRequest(
+                    candidate.mapped_model, prompt, attemptOptions, taskType, sessionId
+                );
+
+            const failure = this.classifyFailure(response);
+            const attempt = {
+                hop: attempts.length + 1,
+                model: candidate.model,
+                mapped_model: candidate.mapped_model,
+                local: candidate.local,
+                outcome: failure || 'success',
+                error: response.error?.message || null,
+                duration_ms: response.timing?.duration_ms || null,
+                performance_id: response.metadata?.performance_id || null,
+                sensitive_data: response.metadata?.sensitive_data || null
+            };
+            attempts.push(attempt);
+
+            await this.recordHop(routingDecision, attempt, chain, prompt);
+
+            if (!failure) {
+                break;
+            }
+
+            // Tokens already reached the client; another model would repeat or contradict them
+            if (outputStarted || failure === 'client_error') {
+                break;
+            }
+
+            // A blocked budget or sensitive data refuses every cloud model, so only local hops are worth trying
+            if (!candidate.local && (fallbackBehavior.cloud_failure === 'use_local_only' ||
+                failure === 'budget_blocked' || failure === 'sensitive_data')) {
+                localOnly = true;
+            }
+        }
+
+        if (!response) {
+            response = this.buildNoCandidateResponse(routingDecision, requiresLocal);
+        }
+
+        const finalAttempt = attempts[attempts.length - 1] || null;
+        return {
+            ...response,
+            metadata: {
+                ...(response.metadata || {}),
+                failover: {
+                    attempts,
+                    fallback_triggered: attempts.length > 1,
+                    final_model: finalAttempt ? finalAttempt.model : null,
+                    privacy_restricted: requiresLocal
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the ordered, de-duplicated list of models to try
+     * @param {object} routingDecision - Smart routing decision
+     * @param {boolean} requiresLocal - Whether privacy rules keep the request local
+     * @returns {Array} - Candidates ({model, mapped_model, local})
+     */
+    buildChain(routingDecision, requiresLocal) {
+        const selection = routingDecision.selection || {};
+        const names = [selection.model, ...(selection.fallbacks || [])]
+            .map(entry => typeof entry === 'string' ? entry : entry?.model)
+            .filter(Boolean);
+
+        const seen = new Set();
+        const chain = [];
+
+        for (const model of names) {
+            const mappedModel = this.mapModelName(model);
+            if (!mappedModel) continue;
+            if (this.modelInterface.isModelAvailable && !this.modelInterface.isModelAvailable(mappedModel)) continue;
+
+            // Several routing names are served by the same backend model; retrying it gains nothing
+            const resolved = this.modelInterface.resolveModel ? this.modelInterface.resolveModel(mappedModel) : null;
+            const key = resolved ? resolved.key : mappedModel;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const local = this.isLocalCandidate(model, mappedModel);
+            if (requiresLocal && !local) continue;
+
+            chain.push({ model, mapped_model: mappedModel, local });
+        }
+
+        return chain;
+    }
+
+    /**
+     * Determine whether privacy rules keep this request on local models
+     * @param {object} routingDecision - Smart routing decision
+     * @param {object} requestOptions - Request options
+     * @returns {boolean}
+     */
+    requiresLocalProcessing(routingDecision, requestOptions = {}) {
+        const selection = routingDecision.selection || {};
+        return !!(
+            requestOptions.local_only ||
+            routingDecision.options?.local_only ||
+            routingDecision.sensitive_data?.action === 'force_local' ||
+            selection.local_first_analysis?.privacy_analysis?.requires_local
+        );
+    }
+
+    /**
+     * Check whether a model runs locally
+     * @param {string} model - Routing model name
+     * @param {string} mappedModel - ModelInterface model name
+     * @returns {boolean}
+     */
+    isLocalCandidate(model, mappedModel) {
+        // The adapter that will actually serve the request is the authority
+        if (this.modelInterface.modelRouting?.[mappedModel]) {
+            return this.modelInterface.modelRouting[mappedModel] === 'local';
+        }
+        const info = getModelInfo(model);
+        if (info?.privacy_tier) {
+            return info.privacy_tier === 'local';
+        }
+        return this.localFirstRouter.isLocalModel(model);
+    }
+
+    /**
+     * Classify a ModelInterface response as success or a failure kind
+     * @param {object} response - ModelInterface response
+     * @returns {string|null} - null on success, otherwise the failure kind
+     */
+    classifyFailure(response) {
+        if (!response.error) {
+            const hasToolCalls = Array.isArray(response.tool_calls) && response.tool_calls.length > 0;
+            return (response.content || '').trim() || hasToolCalls ? null : 'empty_output';
+        }
+
+        const message = response.error.message || '';
+        if (response.error.type === 'BudgetExceededError') return 'budget_blocked';
+        if (response.error.type === 'SensitiveDataError') return 'sensitive_data';
+        if (/rate limit|HTTP 429/i.test(message)) return 'rate_limited';
+        if (/timeout|ETIMEDOUT/i.test(message)) return 'timeout';
+        if (/HTTP 5\d\d/.test(message)) return 'server_error';
+        if (/HTTP (400|422)/.test(message)) return 'client_error';
+        return 'unavailable';
+    }
+
+    /**
+     * Record a hop in routing_decisions
+     * @param {object} routingDecision - Smart routing decision
+     * @param {object} attempt - Attempt details
+     * @param {Array} chain - Full candidate chain
+     * @param {string|object} prompt - Prompt string or Conversation
+     */
+    async recordHop(routingDecision, attempt, chain, prompt) {
+        if (!this.dbManager?.logRoutingDecision) {
+            return;
+        }
+
+        const promptText = typeof prompt === 'string' ? prompt : (prompt?.getLatestUserText?.() || '');
+        // Local hops see the prompt as is; the log records what was found and done for cloud hops
+        const sensitiveData = attempt.sensitive_data ||
+            (attempt.outcome === 'sensitive_data' ? this.sensitiveDataScanner.inspect(prompt) : null);
+        const reason = attempt.hop === 1
+            ? `Failover executor: primary ${attempt.model} (${attempt.outcome})`
+            : `Failover executor: hop ${attempt.hop} to ${attempt.model} (${attempt.outcome})`;
+
+        try {
+            await this.dbManager.logRoutingDecision({
+                task_type: routingDecision.classification?.type || 'unknown',
+                prompt_snippet: this.sensitiveDataScanner.mask(promptText).substring(0, 100),
+                chosen_model: attempt.model,
+                routing_reason: attempt.error ? `${reason}: ${attempt.error.substring(0, 200)}` : reason,
+                alternatives_considered: chain.map(candidate => candidate.model).filter(model => model !== attempt.model),
+                user_loadout: typeof routingDecision.loadout === 'string' ? routingDecision.loadout : 'default',
+                fallback_triggered: attempt.hop > 1,
+                confidence_score: routingDecision.selection?.confidence || null,
+                performance_id: attempt.performance_id,
+                sensitive_data: sensitiveData || routingDecision.sensitive_data || null
+            });
+        } catch (error) {
+            console.warn('Failed to record failover hop:', error.message);
+        }
+    }
+
+    /**
+     * Build an error response when no model in the chain may be used
+     * @param {object} routingDecision - Smart routing decision
+     * @param {boolean} requiresLocal - Whether privacy rules kept the request local
+     * @returns {object} - ModelInterface-shaped error response
+     */
+    buildNoCandidateResponse(routingDecision, requiresLocal) {
+        const now = Date.now();
+        const message = requiresLocal
+            ? 'No local model is available and privacy rules do not allow cloud models for this request'
+            : `No available model in the fallback chain for ${routingDecision.selection?.model || 'this request'}`;
+
+        return {
+            content: '',
+            tool_calls: null,
+            metadata: {},
+            timing: { start_time: now, end_time: now, duration_ms: 0 },
+            model_used: null,
+            error: { message, type: 'FailoverError' }
+        };
+    }
+}
+
+module.exports = FailoverExecutor;
+
+// #endregion end: Failover Executor
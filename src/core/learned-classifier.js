@@ -0,0 +1,343 @@
+// #region start: Learned Task Classifier for The Steward
+// Naive Bayes over word n-grams, trained offline from routing history, feedback corrections and --task overrides
+// Blends with the keyword rules in routing-engine.js and task-classifier.js
+
+const { tokenize } = require('../../models/embeddings');
+
+// How much one labelled prompt counts for, by where its label came from
+const SOURCE_WEIGHTS = {
+    correction: 3, // The user said what the task type should have been
+    explicit: 2, // The user picked the task type with --task
+    history: 1 // A classified decision that held up
+};
+
+const MIN_TRAINING_EXAMPLES = 10;
+const SMOOTHING = 1;
+const CALIBRATION_FOLDS = 5;
+const CALIBRATION_TEMPERATURES = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16];
+
+// The learned model's share of a blend grows with its training data: examples / (examples + BLEND_PRIOR_EXAMPLES)
+const BLEND_PRIOR_EXAMPLES = 50;
+const MAX_LEARNED_WEIGHT = 0.8;
+// When no keyword rule matches, the learned type is used only if it is at least this confident
+const MIN_LEARNED_CONFIDENCE = 0.35;
+
+/**
+ * Learned Task Classifier
+ * Multinomial naive Bayes over word unigrams and bigrams. Confidence is the posterior after
+ * temperature scaling fitted on cross-validated predictions, so 0.8 means right about 80% of the time
+ */
+class LearnedClassifier {
+    /**
+     * @param {object} model - Model data from toJSON(); an untrained classifier when omitted
+     */
+    constructor(model = null) {
+        this.labels = model?.labels || {};
+        this.vocabulary = new Set(model?.vocabulary || []);
+        this.temperature = model?.temperature || 1;
+        this.examples = model?.examples || 0;
+        this.trainedAt = model?.trained_at || null;
+    }
+
+    /**
+     * Load the most recently trained classifier from the database
+     * @param {object} dbManager - DatabaseManager instance
+     * @returns {Promise<LearnedClassifier|null>} Classifier, or null when none has been trained
+     */
+    static async loadLatest(dbManager) {
+        const row = await dbManager.getLatestClassifierModel();
+        return row?.model_data ? new LearnedClassifier(row.model_data) : null;
+    }
+
+    /**
+     * Turn routing history into weighted training examples
+     * @param {Array} rows - Result of DatabaseManager.getClassifierExamples
+     * @returns {Array} {text, label, weight, source}
+     */
+    static toExamples(rows) {
+        return rows.map(row => ({
+            text: row.text,
+            label: row.label,
+            source: row.source,
+            weight: SOURCE_WEIGHTS[row.source] || 1
+        }));
+    }
+
+    /**
+     * Word unigrams and bigrams of a prompt, with common suffixes stripped
+     * @param {string} text - Prompt text
+     * @returns {string[]} Unique features
+     */
+    static featuresOf(text) {
+        const words = tokenize(text).map(word => (
+            word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word
+        ));
+        const features = [...words];
+        for (let i = 0; i < words.length - 1; i++) {
+            features.push(`${words[i]} ${words[i + 1]}`);
+        }
+        return [...new Set(features)];
+    }
+
+    /**
+     * Train on labelled prompts and calibrate confidence with cross-validation
+     * @param {Array} examples - {text, label, weight}
+     * @returns {object} Cross-validated metrics {examples, labels, accuracy, calibration_error, temperature}
+     */
+    train(examples) {
+        if (examples.length < MIN_TRAINING_EXAMPLES) {
+            throw new Error(`Need at least ${MIN_TRAINING_EXAMPLES} labelled prompts to train, found ${examples.length}`);
+        }
+
+        // Held-out log scores from models that did not see the example
+        const folds = Math.min(CALIBRATION_FOLDS, examples.length);
+        const heldOut = [];
+        for (let fold = 0; fold < folds; fold++) {
+            const foldModel = new LearnedClassifier().fit(examples.filter((_, i) => i % folds !== fold));
+            examples.forEach((example, i) => {
+                if (i % folds === fold) {
+                    heldOut.push({ example, scores: foldModel.logScores(example.text) });
+                }
+            });
+        }
+
+        let best = null;
+        for (const temperature of CALIBRATION_TEMPERATURES) {
+            const loss = heldOut.reduce((sum, { example, scores }) => {
+                const probability = LearnedClassifier.softmax(scores, temperature)[example.label] || 1e-9;
+                return sum - (example.weight || 1) * Math.log(probability);
+            }, 0);
+            if (!best || loss < best.loss) {
+                best = { temperature, loss };
+            }
+        }
+
+        this.fit(examples);
+        this.temperature = best.temperature;
+        this.trainedAt = new Date().toISOString();
+
+        const predictions = heldOut.map(({ example, scores }) => {
+            const distribution = LearnedClassifier.softmax(scores, this.temperature);
+            const type = LearnedClassifier.argmax(distribution);
+            return { label: example.label, type, confidence: distribution[type] };
+        });
+
+        return {
+            examples: examples.length,
+            labels: Object.keys(this.labels).length,
+            temperature: this.temperature,
+            ...LearnedClassifier.score(predictions)
+        };
+    }
+
+    /**
+     * Count features per label
+     * @param {Array} examples - {text, label, weight}
+     * @returns {LearnedClassifier} this
+     */
+    fit(examples) {
+        this.labels = {};
+        this.vocabulary = new Set();
+        this.examples = examples.length;
+
+        for (const { text, label, weight = 1 } of examples) {
+            const entry = this.labels[label] || (this.labels[label] = { count: 0, total: 0, features: {} });
+            entry.count += weight;
+            for (const feature of LearnedClassifier.featuresOf(text)) {
+                entry.features[feature] = (entry.features[feature] || 0) + weight;
+                entry.total += weight;
+                this.vocabulary.add(feature);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Unnormalized log posterior of each label
+     * @param {string} text - Prompt text
+     * @returns {object} label -> log score
+     */
+    logScores(text) {
+        const features = LearnedClassifier.featuresOf(text).filter(feature => this.vocabulary.has(feature));
+        const documents = Object.values(this.labels).reduce((sum, entry) => sum + entry.count, 0);
+        const vocabularySize = this.vocabulary.size;
+
+        const scores = {};
+        for (const [label, entry] of Object.entries(this.labels)) {
+            let score = Math.log(entry.count / documents);
+            for (const feature of features) {
+                score += Math.log(((entry.features[feature] || 0) + SMOOTHING) / (entry.total + SMOOTHING * vocabularySize));
+            }
+            scores[label] = score;
+        }
+        return scores;
+    }
+
+    /**
+     * Predict the task type of a prompt
+     * @param {string} text - Prompt text
+     * @returns {object|null} {type, confidence, distribution}, or null when no feature of the prompt was seen in training
+     */
+    predict(text) {
+        if (!this.examples || !text) return null;
+        if (!LearnedClassifier.featuresOf(text).some(feature => this.vocabulary.has(feature))) return null;
+
+        const distribution = LearnedClassifier.softmax(this.logScores(text), this.temperature);
+        const type = LearnedClassifier.argmax(distribution);
+        return { type, confidence: distribution[type], distribution };
+    }
+
+    /**
+     * Share of a blend that goes to the learned model
+     * @returns {number} 0 to MAX_LEARNED_WEIGHT
+     */
+    learnedWeight() {
+        return Math.min(MAX_LEARNED_WEIGHT, this.examples / (this.examples + BLEND_PRIOR_EXAMPLES));
+    }
+
+    /**
+     * Blend keyword rule scores with the learned prediction
+     * @param {object} ruleScores - task type -> rule score (0-1); empty when no rule matched
+     * @param {string} text - Prompt text
+     * @returns {object|null} {type, confidence, source, learned_type, learned_confidence, learned_weight},
+     *                        or null when the learned model has nothing to add
+     */
+    blend(ruleScores, text) {
+        const prediction = this.predict(text);
+        if (!prediction) return null;
+
+        const ruleTotal = Object.values(ruleScores).reduce((sum, score) => sum + score, 0);
+        if (ruleTotal === 0 && prediction.confidence < MIN_LEARNED_CONFIDENCE) return null;
+
+        const weight = ruleTotal > 0 ? this.learnedWeight() : 1;
+        const distribution = {};
+        for (const type of new Set([...Object.keys(ruleScores), ...Object.keys(prediction.distribution)])) {
+            const ruleShare = ruleTotal > 0 ? (ruleScores[type] || 0) / ruleTotal : 0;
+            distribution[type] = weight * (prediction.distribution[type] || 0) + (1 - weight) * ruleShare;
+        }
+
+        const type = LearnedClassifier.argmax(distribution);
+        return {
+            type,
+            confidence: distribution[type],
+            source: ruleTotal > 0 ? 'blended' : 'learned',
+            learned_type: prediction.type,
+            learned_confidence: prediction.confidence,
+            learned_weight: weight
+        };
+    }
+
+    /**
+     * Accuracy of the rules, the learned model and the blend on labelled prompts
+     * @param {Array} examples - {text, label}
+     * @param {function(string): object} ruleScorer - Prompt -> task type rule scores
+     * @returns {object} {examples, rules, learned, blended}; each {accuracy, calibration_error, correct, total}
+     */
+    evaluate(examples, ruleScorer) {
+        const results = { rules: [], learned: [], blended: [] };
+
+        for (const { text, label } of examples) {
+            const ruleScores = ruleScorer(text);
+            const ruleType = LearnedClassifier.argmax(ruleScores) || 'general';
+            const prediction = this.predict(text);
+            const blended = this.blend(ruleScores, text);
+
+            results.rules.push({ label, type: ruleType, confidence: Math.min(ruleScores[ruleType] || 0, 1) });
+            results.learned.push({ label, type: prediction?.type || null, confidence: prediction?.confidence || 0 });
+            results.blended.push(blended
+                ? { label, type: blended.type, confidence: blended.confidence }
+                : { label, type: ruleType, confidence: Math.min(ruleScores[ruleType] || 0, 1) });
+        }
+
+        return {
+            examples: examples.length,
+            rules: LearnedClassifier.score(results.rules),
+            learned: LearnedClassifier.score(results.learned),
+            blended: LearnedClassifier.score(results.blended)
+        };
+    }
+
+    /**
+     * Serializable model data
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            labels: this.labels,
+            vocabulary: [...this.vocabulary],
+            temperature: this.temperature,
+            examples: this.examples,
+            trained_at: this.trainedAt
+        };
+    }
+
+    /**
+     * Accuracy and expected calibration error (10 confidence bins) of a set of predictions
+     * @param {Array} predictions - {label, type, confidence}
+     * @returns {object} {accuracy, calibration_error, correct, total}
+     */
+    static score(predictions) {
+        const total = predictions.length;
+        const correct = predictions.filter(p => p.type === p.label).length;
+
+        const bins = Array.from({ length: 10 }, () => ({ count: 0, confidence: 0, correct: 0 }));
+        for (const p of predictions) {
+            const bin = bins[Math.min(Math.floor(p.confidence * 10), 9)];
+            bin.count++;
+            bin.confidence += p.confidence;
+            bin.correct += p.type === p.label ? 1 : 0;
+        }
+        const calibrationError = bins.reduce(
+            (sum, bin) => sum + (bin.count ? Math.abs(bin.correct - bin.confidence) : 0),
+            0
+        );
+
+        return {
+            accuracy: total ? correct / total : 0,
+            calibration_error: total ? calibrationError / total : 0,
+            correct,
+            total
+        };
+    }
+
+    /**
+     * Softmax of log scores at a temperature
+     * @param {object} scores - label -> log score
+     * @param {number} temperature - Higher spreads probability across labels
+     * @returns {object} label -> probability
+     */
+    static softmax(scores, temperature = 1) {
+        const max = Math.max(...Object.values(scores));
+        const exps = {};
+        let sum = 0;
+        for (const [label, score] of Object.entries(scores)) {
+            exps[label] = Math.exp((score - max) / temperature);
+            sum += exps[label];
+        }
+        for (const label of Object.keys(exps)) {
+            exps[label] /= sum;
+        }
+        return exps;
+    }
+
+    /**
+     * Label with the highest value
+     * @param {object} values - label -> number
+     * @returns {string|null}
+     */
+    static argmax(values) {
+        let best = null;
+        for (const [label, value] of Object.entries(values)) {
+            if (value > 0 && (best === null || value > values[best])) {
+                best = label;
+            }
+        }
+        return best;
+    }
+}
+
+// #endregion end: Learned Task Classifier
+
+module.exports = LearnedClassifier;
+module.exports.SOURCE_WEIGHTS = SOURCE_WEIGHTS;
+module.exports.MIN_TRAINING_EXAMPLES = MIN_TRAINING_EXAMPLES;
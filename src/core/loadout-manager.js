@@ -0,0 +1,377 @@
+// #region start: Loadout Manager for The Steward
+// Resolves loadouts from loadouts/*.yaml and the character sheet into settings layered over the sheet
+// Loadouts can extend each other, be stacked with "+" and switch on by schedule, project or git repo
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getModelReferences, validateLoadout } = require('./character-sheet-schema');
+
+const LOADOUTS_DIR = path.join(__dirname, '../../loadouts');
+const META_KEYS = ['extends', 'merge', 'activate', 'priority', 'description'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+// Loadouts are plain YAML data, so a JSON round trip copies them (structuredClone needs Node 17)
+const deepCopy = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Loadout Manager
+ * Turns a loadout name such as "sqa_mode+local_only" into the character sheet routing should use
+ *
+ * A loadout is a mapping of character sheet settings plus these optional keys:
+ *   extends:     loadout (or list of loadouts) whose settings this one starts from
+ *   merge:       list strategy per dotted path - replace (default), append, prepend or union
+ *   activate:    {schedule: [{days, hours: [from, to]}], projects: [...], repos: [...]}
+ *   priority:    order among automatically activated loadouts; higher stacks later and wins
+ *   description: shown in listings
+ * Mappings merge key by key at any depth; scalars and lists (unless a strategy says otherwise)
+ * are replaced by the later loadout.
+ */
+class LoadoutManager {
+    /**
+     * @param {object} options - {loadoutsDir}
+     */
+    constructor(options = {}) {
+        this.loadoutsDir = options.loadoutsDir || LOADOUTS_DIR;
+    }
+
+    /**
+     * Read the loadout files; the file name is the loadout name
+     * @returns {object} name → definition
+     */
+    loadFiles() {
+        if (!fs.existsSync(this.loadoutsDir)) {
+            return {};
+        }
+
+        const definitions = {};
+        for (const file of fs.readdirSync(this.loadoutsDir).filter(file => /\.ya?ml$/.test(file)).sort()) {
+            const name = file.replace(/\.ya?ml$/, '');
+            try {
+                definitions[name] = yaml.load(fs.readFileSync(path.join(this.loadoutsDir, file), 'utf8')) || {};
+            } catch (error) {
+                throw new Error(`Failed to read loadout ${file}: ${error.message}`);
+            }
+        }
+        return definitions;
+    }
+
+    /**
+     * Every loadout available to a sheet; loadouts in the sheet win over files with the same name
+     * @param {object} characterSheet - Character sheet
+     * @returns {object} name → definition
+     */
+    getDefinitions(characterSheet = {}) {
+        return { ...this.loadFiles(), ...(characterSheet?.loadouts || {}) };
+    }
+
+    /**
+     * Resolve a loadout, or several joined with "+", into the settings they layer over the sheet
+     * @param {string} name - Loadout name, e.g. "sqa_mode+local_only"
+     * @param {object} characterSheet - Character sheet
+     * @param {object} definitions - Loadout definitions (default: getDefinitions(characterSheet))
+     * @returns {object} {name, stack, chain, settings, merge}
+     */
+    resolve(name, characterSheet = {}, definitions = this.getDefinitions(characterSheet)) {
+        const stack = String(name).split('+').map(part => part.trim()).filter(Boolean);
+        if (stack.length === 0) {
+            throw new Error('Loadout name is empty');
+        }
+
+        let settings = {};
+        let merge = {};
+        const chain = [];
+        for (const part of stack) {
+            const resolved = this.resolveOne(part, definitions, []);
+            merge = { ...merge, ...resolved.merge };
+            settings = LoadoutManager.deepMerge(settings, resolved.settings, merge);
+            chain.push(...resolved.chain.filter(link => !chain.includes(link)));
+        }
+
+        return { name: stack.join('+'), stack, chain, settings, merge };
+    }
+
+    /**
+     * Resolve one loadout through its extends chain
+     * @private
+     */
+    resolveOne(name, definitions, trail) {
+        if (trail.includes(name)) {
+            throw new Error(`Circular loadout extends: ${[...trail, name].join(' -> ')}`);
+        }
+        const definition = definitions[name];
+        if (!isMapping(definition)) {
+            throw new Error(`Unknown loadout: ${name} (available: ${Object.keys(definitions).join(', ') || 'none'})`);
+        }
+
+        let settings = {};
+        let merge = {};
+        const chain = [];
+        for (const parent of [].concat(definition.extends || [])) {
+            const resolved = this.resolveOne(parent, definitions, [...trail, name]);
+            merge = { ...merge, ...resolved.merge };
+            settings = LoadoutManager.deepMerge(settings, resolved.settings, merge);
+            chain.push(...resolved.chain.filter(link => !chain.includes(link)));
+        }
+
+        merge = { ...merge, ...(isMapping(definition.merge) ? definition.merge : {}) };
+        settings = LoadoutManager.deepMerge(settings, LoadoutManager.settingsOf(definition), merge);
+        chain.push(name);
+        return { settings, merge, chain };
+    }
+
+    /**
+     * A loadout definition without the keys that describe the loadout itself
+     * @param {object} definition - Loadout definition
+     * @returns {object} Settings
+     */
+    static settingsOf(definition) {
+        return Object.fromEntries(Object.entries(definition).filter(([key]) => !META_KEYS.includes(key)));
+    }
+
+    /**
+     * Merge an overlay into a base without changing either
+     * @param {*} base - Earlier value
+     * @param {*} overlay - Later value
+     * @param {object} strategies - Dotted path → replace, append, prepend or union, for lists
+     * @param {string} at - Path of the values
+     * @returns {*} Merged value
+     */
+    static deepMerge(base, overlay, strategies = {}, at = '') {
+        if (overlay === undefined) {
+            return deepCopy(base);
+        }
+        if (isMapping(base) && isMapping(overlay)) {
+            const merged = deepCopy(base);
+            for (const [key, value] of Object.entries(overlay)) {
+                merged[key] = LoadoutManager.deepMerge(base[key], value, strategies, at ? `${at}.${key}` : key);
+            }
+            return merged;
+        }
+        if (Array.isArray(base) && Array.isArray(overlay)) {
+            switch (strategies[at] || 'replace') {
+            case 'append':
+                return deepCopy([...base, ...overlay]);
+            case 'prepend':
+                return deepCopy([...overlay, ...base]);
+            case 'union':
+                return deepCopy([...base, ...overlay].filter((item, i, items) =>
+                    items.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === i));
+            default:
+                return deepCopy(overlay);
+            }
+        }
+        return deepCopy(overlay);
+    }
+
+    /**
+     * Loadouts whose activate rules match the moment, stacked lowest priority first
+     * @param {object} characterSheet - Character sheet
+     * @param {object} context - {hour, day (0 = Sunday), project, repo: {name, path}}
+     * @returns {Array<{name: string, priority: number, reasons: string[]}>}
+     */
+    selectAutomatic(characterSheet = {}, context = {}, definitions = this.getDefinitions(characterSheet)) {
+        const matches = [];
+        for (const [name, definition] of Object.entries(definitions)) {
+            const reasons = LoadoutManager.matchActivation(definition?.activate, context);
+            if (reasons.length > 0) {
+                matches.push({ name, priority: Number(definition.priority) || 0, reasons });
+            }
+        }
+        return matches.sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Why an activate rule matches, if it does
+     * @param {object} activate - {schedule, projects, repos}
+     * @param {object} context - {hour, day, project, repo}
+     * @returns {string[]} Reasons; empty when nothing matches
+     */
+    static matchActivation(activate, { hour, day, project, repo } = {}) {
+        if (!isMapping(activate)) {
+            return [];
+        }
+
+        const reasons = [];
+        for (const slot of activate.schedule || []) {
+            const days = (slot.days || DAYS).map(d => String(d).slice(0, 3).toLowerCase());
+            const [from = 0, to = 24] = slot.hours || [];
+            const inHours = from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+            if (hour !== undefined && days.includes(DAYS[day]) && inHours) {
+                reasons.push(`schedule ${slot.days ? days.join(',') : 'daily'} ${from}-${to}h`);
+                break;
+            }
+        }
+
+        const lower = value => String(value).toLowerCase();
+        if (project && (activate.projects || []).some(name => lower(name) === lower(project))) {
+            reasons.push(`project ${project}`);
+        }
+
+        if (repo && (activate.repos || []).some(pattern => LoadoutManager.matchRepo(pattern, repo))) {
+            reasons.push(`repo ${repo.name}`);
+        }
+        return reasons;
+    }
+
+    /**
+     * Match a repo pattern against a repo's name, or its path when the pattern contains a slash
+     * "*" matches any run of characters
+     * @param {string} pattern - Repo name, path or glob
+     * @param {object} repo - {name, path}
+     * @returns {boolean}
+     */
+    static matchRepo(pattern, repo) {
+        const target = String(pattern).includes('/') ? repo.path : repo.name;
+        const expression = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${expression}$`, 'i').test(target || '');
+    }
+
+    /**
+     * The git repository containing a directory
+     * @param {string} cwd - Directory to start from
+     * @returns {object|null} {name, path}
+     */
+    static detectGitRepo(cwd = process.cwd()) {
+        let dir = path.resolve(cwd);
+        for (;;) {
+            if (fs.existsSync(path.join(dir, '.git'))) {
+                return { name: path.basename(dir), path: dir };
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
+    /**
+     * The character sheet with the active loadout layered over it
+     * A loadout named explicitly, or pinned as the sheet's "loadout", wins over activate rules;
+     * "default" turns loadouts off.
+     * @param {object} characterSheet - Character sheet
+     * @param {object} context - {loadout, now, hour, project, repo}
+     * @returns {object} Sheet with loadout (name) and active_loadout ({name, stack, chain, source, reasons, settings})
+     */
+    activate(characterSheet = {}, context = {}) {
+        const definitions = this.getDefinitions(characterSheet);
+        const now = context.now || new Date();
+        const requested = context.loadout || characterSheet.loadout || null;
+
+        let name = null;
+        let source = 'none';
+        let reasons = [];
+        if (requested && requested !== 'default') {
+            name = requested;
+            source = 'manual';
+            reasons = [context.loadout ? 'chosen for this request' : 'pinned in the character sheet'];
+        } else if (!requested) {
+            const matches = this.selectAutomatic(characterSheet, {
+                hour: context.hour ?? now.getHours(),
+                day: now.getDay(),
+                project: context.project,
+                repo: context.repo
+            }, definitions);
+            if (matches.length > 0) {
+                name = matches.map(match => match.name).join('+');
+                source = 'auto';
+                reasons = matches.flatMap(match => match.reasons.map(reason => `${match.name}: ${reason}`));
+            }
+        }
+
+        const sheet = { ...characterSheet };
+        delete sheet.loadout;
+        if (!name) {
+            return { ...sheet, active_loadout: { name: 'default', stack: [], chain: [], source, reasons, settings: {} } };
+        }
+
+        const resolved = this.resolve(name, characterSheet, definitions);
+        return {
+            ...LoadoutManager.deepMerge(sheet, resolved.settings, resolved.merge),
+            loadout: resolved.name,
+            active_loadout: {
+                name: resolved.name,
+                stack: resolved.stack,
+                chain: resolved.chain,
+                source,
+                reasons,
+                settings: resolved.settings
+            }
+        };
+    }
+
+    /**
+     * One-line description of an active loadout for banners and routing reasons
+     * @param {object} activeLoadout - active_loadout from activate()
+     * @returns {string} e.g. "sqa_mode+local_only (auto: local_only: repo notes-private)"
+     */
+    static describe(activeLoadout) {
+        if (!activeLoadout || activeLoadout.source === 'none') {
+            return 'default';
+        }
+        const inherited = activeLoadout.chain.length > activeLoadout.stack.length ? `, extends ${activeLoadout.chain.filter(name => !activeLoadout.stack.includes(name)).join(', ')}` : '';
+        const why = activeLoadout.source === 'auto' ? `auto: ${activeLoadout.reasons.join(', ')}` : activeLoadout.reasons.join(', ');
+        return `${activeLoadout.name} (${why}${inherited})`;
+    }
+
+    /**
+     * Check that every loadout resolves and names known models
+     * Loadouts in the sheet are checked against the schema with the rest of the sheet; files are checked here
+     * @param {object} characterSheet - Character sheet
+     * @param {object} options - {isKnownModel: name => boolean}
+     * @returns {string[]} Problems; empty when every loadout is valid
+     */
+    validate(characterSheet = {}, { isKnownModel = null } = {}) {
+        let files;
+        try {
+            files = this.loadFiles();
+        } catch (error) {
+            return [error.message];
+        }
+
+        const inSheet = characterSheet?.loadouts || {};
+        const definitions = { ...files, ...inSheet };
+        const problems = [];
+        for (const [name, definition] of Object.entries(definitions)) {
+            const label = name in inSheet ? `Loadout ${name}` : `Loadout ${name} (loadouts/${name}.yaml)`;
+            if (!(name in inSheet)) {
+                const fileProblems = validateLoadout(definition, { isKnownModel });
+                problems.push(...fileProblems.map(problem => `${label}: ${problem}`));
+                if (fileProblems.length > 0) continue;
+            }
+            if (!isMapping(definition)) {
+                continue; // the character sheet schema reports these
+            }
+
+            try {
+                this.resolveOne(name, definitions, []);
+            } catch (error) {
+                problems.push(`${label}: ${error.message}`);
+            }
+            if (isKnownModel) {
+                for (const { path: at, model } of getModelReferences(LoadoutManager.settingsOf(definition))) {
+                    if (!at.startsWith('loadouts.') && !isKnownModel(model)) {
+                        problems.push(`${label}: $.${at} names unknown model ${model}`);
+                    }
+                }
+            }
+        }
+
+        const pinned = characterSheet?.loadout;
+        if (typeof pinned === 'string' && pinned !== 'default') {
+            try {
+                this.resolve(pinned, characterSheet, definitions);
+            } catch (error) {
+                problems.push(`$.loadout: ${error.message}`);
+            }
+        }
+        return problems;
+    }
+}
+
+module.exports = LoadoutManager;
+module.exports.LOADOUTS_DIR = LOADOUTS_DIR;
+
+// #endregion end: Loadout Manager for The Steward
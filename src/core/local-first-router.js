@@ -52,7 +52,9 @@ class LocalFirstRouter {
         const privacyAnalysis = this.analyzePrivacyRequirements(
             enhanced_classification, 
             character_sheet,
-            routingContext.task || ''
+            routingContext.task || '',
+            routingContext.sensitive_data,
+            time_context?.current_hour
         );
         
         // Step 2: Evaluate local capability
@@ -68,7 +70,8 @@ class LocalFirstRouter {
             enhanced_classification,
             cognitive_state,
             localCapability,
-            character_sheet
+            character_sheet,
+            time_context?.current_hour
         );
         
         // Step 4: Make local-first decision
@@ -95,9 +98,11 @@ class LocalFirstRouter {
      * @param {object} classification - Task classification
      * @param {object} characterSheet - Character sheet data
      * @param {string} taskInput - Original task input
+     * @param {object} sensitiveData - SensitiveDataScanner summary ({action, detectors}) (optional)
+     * @param {number} currentHour - Hour of the request (defaults to now)
      * @returns {object} - Privacy analysis
      */
-    analyzePrivacyRequirements(classification, characterSheet, taskInput) {
+    analyzePrivacyRequirements(classification, characterSheet, taskInput, sensitiveData = null, currentHour = new Date().getHours()) {
         const taskType = classification.type;
         const keywords = classification.keywords || [];
         const taskLower = taskInput.toLowerCase();
@@ -112,8 +117,15 @@ class LocalFirstRouter {
         let privacyLevel = 'relaxed';
         let requiresLocal = false;
         let reasons = [];
+        const detected = sensitiveData && sensitiveData.action !== 'none'
+            ? Object.keys(sensitiveData.detectors).join(', ')
+            : null;
         
-        if (hasPrivacyKeywords) {
+        if (sensitiveData?.action === 'force_local') {
+            privacyLevel = 'strict';
+            requiresLocal = true;
+            reasons.push(`Sensitive data detected: ${detected}`);
+        } else if (hasPrivacyKeywords) {
             privacyLevel = 'strict';
             requiresLocal = true;
             reasons.push('Privacy keywords detected');
@@ -126,6 +138,12 @@ class LocalFirstRouter {
             reasons.push('Work-related task type');
         }
         
+        // Redacted values leave as placeholders, so cloud models stay allowed
+        if (sensitiveData?.action === 'redact') {
+            if (privacyLevel === 'relaxed') privacyLevel = 'medium';
+            reasons.push(`Sensitive data redacted before cloud calls: ${detected}`);
+        }
+        
         // Check character sheet privacy preferences
         const fallbackBehavior = characterSheet.fallback_behavior || {};
         if (fallbackBehavior.cloud_failure === 'use_local_only') {
@@ -134,7 +152,6 @@ class LocalFirstRouter {
         }
         
         // Time-based privacy (late hours = local only)
-        const currentHour = new Date().getHours();
         if (currentHour >= 22 || currentHour <= 5) {
             requiresLocal = true;
             reasons.push('Late hours privacy protection');
@@ -144,7 +161,8 @@ class LocalFirstRouter {
             privacy_level: privacyLevel,
             requires_local: requiresLocal,
             reasons: reasons,
-            confidence: hasPrivacyKeywords || this.privacyLevels.strict.includes(taskType) ? 0.9 : 0.6
+            sensitive_data: detected ? sensitiveData : null,
+            confidence: detected || hasPrivacyKeywords || this.privacyLevels.strict.includes(taskType) ? 0.9 : 0.6
         };
     }
 
@@ -227,9 +245,10 @@ class LocalFirstRouter {
      * @param {object} cognitiveState - Cognitive state
      * @param {object} localCapability - Local capability assessment
      * @param {object} characterSheet - Character sheet data
+     * @param {number} currentHour - Hour of the request (defaults to now)
      * @returns {object} - Cloud override evaluation
      */
-    evaluateCloudOverride(selection, classification, cognitiveState, localCapability, characterSheet) {
+    evaluateCloudOverride(selection, classification, cognitiveState, localCapability, characterSheet, currentHour = new Date().getHours()) {
         const taskType = classification.type;
         const complexity = classification.estimated_complexity || { level: 'medium' };
         const uncertainty = classification.uncertainty || { level: 'medium' };
@@ -277,7 +296,6 @@ class LocalFirstRouter {
         }
         
         // Time-based adjustments
-        const currentHour = new Date().getHours();
         if (currentHour >= 22 || currentHour <= 5) {
             overrideScore -= 0.5; // Strongly discourage cloud at night
             reasons.push('Late hours - prefer local processing');
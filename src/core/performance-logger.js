@@ -3,6 +3,7 @@
 // Built for The Steward's smart routing system
 
 const DatabaseManager = require('../../database/DatabaseManager');
+const SensitiveDataScanner = require('../../models/SensitiveDataScanner');
 
 /**
  * Performance Logger
@@ -11,6 +12,7 @@ const DatabaseManager = require('../../database/DatabaseManager');
 class PerformanceLogger {
     constructor() {
         this.dbManager = new DatabaseManager();
+        this.sensitiveDataScanner = new SensitiveDataScanner();
         this.performanceCache = new Map();
         this.insightCache = new Map();
         this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
@@ -28,18 +30,24 @@ class PerformanceLogger {
             const classification = routingDecision.classification || {};
             const selection = routingDecision.selection || {};
             const contexts = routingDecision.contexts || {};
+            // Detected secrets never reach the log, only which kinds were found
+            const maskedPrompt = this.sensitiveDataScanner.mask(routingDecision.task || '');
             
             // Prepare routing decision data
             const routingData = {
                 task_type: classification.type || 'unknown',
-                prompt_snippet: (routingDecision.task || '').substring(0, 100),
+                task_type_source: classification.source || 'rules',
+                prompt_snippet: maskedPrompt.substring(0, 100),
+                prompt_text: maskedPrompt,
                 chosen_model: selection.model || 'unknown',
                 routing_reason: selection.reason || 'No reason provided',
-                alternatives_considered: JSON.stringify(selection.fallbacks || []),
+                alternatives_considered: selection.fallbacks || [],
                 time_of_day: new Date().getHours(),
                 user_loadout: routingDecision.loadout || 'default',
                 fallback_triggered: selection.fallback_triggered || false,
-                confidence_score: selection.confidence || 0.5
+                confidence_score: selection.confidence || 0.5,
+                sensitive_data: routingDecision.sensitive_data || null,
+                user_id: routingDecision.account?.id ?? null
             };
             
             // Add smart routing specific data
@@ -83,7 +91,8 @@ class PerformanceLogger {
                     time_period: contexts.time_context?.time_period || null,
                     classification_confidence: classification.confidence || null
                 }),
-                user_rating: performanceData.user_rating || null
+                user_rating: performanceData.user_rating || null,
+                user_id: routingDecision.account?.id ?? null
             };
             
             // Log performance
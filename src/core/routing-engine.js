@@ -7,6 +7,10 @@ const path = require('path');
 const yaml = require('js-yaml');
 const { getModelsByTier, getModelsByUseCase, getModelInfo } = require('../../models/model-metadata');
 const ContextEngine = require('../memory/ContextEngine');
+const CostLedger = require('../../models/CostLedger');
+const SensitiveDataScanner = require('../../models/SensitiveDataScanner');
+const DatabaseManager = require('../../database/DatabaseManager');
+const LearnedClassifier = require('./learned-classifier');
 
 // Load tier configuration and cost tracking metadata
 let tierConfig = {};
@@ -20,6 +24,30 @@ try {
   console.warn('Warning: Could not load tier configuration');
 }
 
+// Tier names accepted in preferTier, by the tier they stand for
+const TIER_ALIASES = {
+  'fast': 'tier1-fast',
+  'local-heavy': 'tier2-heavy',
+  'heavy': 'tier2-heavy',
+  'cloud': 'tier3-cloud',
+  'tier1-fast': 'tier1-fast',
+  'tier2-heavy': 'tier2-heavy',
+  'tier3-cloud': 'tier3-cloud'
+};
+
+// Cost ledger read at the start of every routing decision; each decision carries its own budget status
+// as options.budget_status, so overlapping requests never see each other's spend
+let costLedger = null;
+
+// Latest trained task classifier, reloaded from the database at most once per CLASSIFIER_REFRESH_MS
+const CLASSIFIER_REFRESH_MS = 60 * 1000;
+let learnedClassifier = null;
+let learnedClassifierLoadedAt = 0;
+let classifierDbManager = null;
+
+// Secret and PII detection, configured by sensitive_data in the character sheet
+let sensitiveDataScanner = null;
+
 // Initialize context engine for memory-aware routing
 let contextEngine = null;
 let contextEngineInitialized = false;
@@ -48,16 +76,72 @@ async function initializeContextEngine() {
   return contextEngine;
 }
 
+/**
+ * Reload the latest trained task classifier from the database
+ * Without one, or when the database cannot be read, detectTaskType uses the keyword rules alone
+ * @param {object} options - {force: true} to reload even if the last load is recent, {dbManager}
+ * @returns {Promise<LearnedClassifier|null>}
+ */
+async function refreshLearnedClassifier(options = {}) {
+  if (!options.force && Date.now() - learnedClassifierLoadedAt < CLASSIFIER_REFRESH_MS) {
+    return learnedClassifier;
+  }
+
+  try {
+    if (!options.dbManager && !classifierDbManager) {
+      classifierDbManager = new DatabaseManager();
+    }
+    learnedClassifier = await LearnedClassifier.loadLatest(options.dbManager || classifierDbManager);
+  } catch (error) {
+    console.warn('Could not load learned task classifier - using keyword rules only:', error.message);
+    learnedClassifier = null;
+  }
+  learnedClassifierLoadedAt = Date.now();
+  return learnedClassifier;
+}
+
+/**
+ * Get the task classifier loaded by the last refresh
+ * @returns {LearnedClassifier|null}
+ */
+function getLearnedClassifier() {
+  return learnedClassifier;
+}
+
 /**
  * Enhanced task type detection using multiple classification methods
+ * Keyword rules are blended with the learned classifier once one has been trained
  * @param {string} input - User task input
- * @returns {object} - Classification result with type, confidence, and keywords
+ * @returns {object} - Classification result with type, confidence, keywords and source
  */
 function detectTaskType(input) {
   if (!input || typeof input !== 'string') {
     return { type: 'unknown', confidence: 0, keywords: [] };
   }
 
+  const { bestMatch, scores } = scoreTaskTypeRules(input);
+  const blended = learnedClassifier?.blend(scores, input);
+  if (!blended) {
+    return { ...bestMatch, source: 'rules' };
+  }
+
+  return {
+    type: blended.type,
+    confidence: blended.confidence,
+    keywords: blended.type === bestMatch.type ? bestMatch.keywords : [],
+    source: blended.source,
+    rule_type: bestMatch.confidence > 0 ? bestMatch.type : null,
+    learned_type: blended.learned_type,
+    learned_confidence: blended.learned_confidence
+  };
+}
+
+/**
+ * Score a task against the keyword rules
+ * @param {string} input - User task input
+ * @returns {object} - {bestMatch: {type, confidence, keywords}, scores: task type -> score for every matching rule}
+ */
+function scoreTaskTypeRules(input) {
   const lowered = input.toLowerCase();
   const tokens = lowered.split(/\s+/);
   
@@ -80,6 +164,7 @@ function detectTaskType(input) {
   ];
 
   let bestMatch = { type: 'general', confidence: 0, keywords: [] };
+  const scores = {};
   
   // Score each pattern against the input
   for (const pattern of patterns) {
@@ -98,6 +183,10 @@ function detectTaskType(input) {
       score *= 1.2;
     }
     
+    if (score > 0) {
+      scores[pattern.type] = Math.max(scores[pattern.type] || 0, Math.min(score, 1.0));
+    }
+    
     if (score > bestMatch.confidence) {
       bestMatch = {
         type: pattern.type,
@@ -107,7 +196,7 @@ function detectTaskType(input) {
     }
   }
   
-  return bestMatch;
+  return { bestMatch, scores };
 }
 
 /**
@@ -155,7 +244,9 @@ function detectUncensoredContent(taskInput, taskType, characterSheet, options) {
   // Check for loadout overrides
   const currentLoadout = characterSheet.loadout || options.loadout;
   if (!requiresUncensored && triggers.loadout_override && currentLoadout) {
-    if (triggers.loadout_override.includes(currentLoadout)) {
+    // Stacked loadouts ("sqa_mode+creative_uncensored") count when any part of the stack is listed
+    const stack = characterSheet.active_loadout?.stack || String(currentLoadout).split('+');
+    if (stack.some(name => triggers.loadout_override.includes(name))) {
       requiresUncensored = true;
       reason = `Loadout override for uncensored content: "${currentLoadout}"`;
       triggerType = 'loadout_override';
@@ -218,6 +309,11 @@ function selectUncensoredModel(taskType, characterSheet, reason, uncensoredInfo)
  * @returns {object} - Selected model with reasoning
  */
 async function selectModel(taskType, characterSheet, options = {}) {
+  // Step -2: Secrets that must not leave the machine outrank every other preference
+  if (options.sensitive_data?.action === 'force_local') {
+    return selectLocalModel(taskType, characterSheet, describeSensitiveData(options.sensitive_data));
+  }
+
   // Step -1: Initialize context engine if memory integration is enabled
   let contextAnalysis = null;
   if (characterSheet.memory_integration?.project_context_awareness) {
@@ -332,8 +428,9 @@ async function selectModel(taskType, characterSheet, options = {}) {
     }
   }
   
-  // Step 3: Cost-aware routing check
-  if (options.costAware || characterSheet.cost_settings?.cost_awareness) {
+  // Step 3: Cost-aware routing check (always on once a budget alert restricts cloud models)
+  if (options.costAware || characterSheet.cost_settings?.cost_awareness ||
+      ['restrict_tier3', 'block_tier3'].includes(options.budget_status?.action)) {
     const costOptimizedSelection = selectCostOptimizedModel(taskType, characterSheet, options);
     if (costOptimizedSelection) {
       return costOptimizedSelection;
@@ -375,6 +472,10 @@ async function selectModel(taskType, characterSheet, options = {}) {
  * @returns {object} - Privacy check result
  */
 function checkPrivacyRequirements(taskType, options) {
+  if (options.sensitive_data?.action === 'force_local') {
+    return { requiresLocal: true, reason: describeSensitiveData(options.sensitive_data) };
+  }
+
   const sensitiveTaskTypes = ['sensitive', 'private', 'confidential', 'personal'];
   const requiresLocal = options.privacyMode || 
                        sensitiveTaskTypes.includes(taskType) ||
@@ -386,6 +487,27 @@ function checkPrivacyRequirements(taskType, options) {
   };
 }
 
+/**
+ * Scan a task for secrets and PII
+ * @param {string|object} taskInput - Prompt or Conversation
+ * @returns {object} - {action: 'none'|'redact'|'force_local', detectors, count}
+ */
+function inspectSensitiveData(taskInput) {
+  if (!sensitiveDataScanner) {
+    sensitiveDataScanner = new SensitiveDataScanner();
+  }
+  return sensitiveDataScanner.inspect(taskInput);
+}
+
+/**
+ * Describe detected sensitive data for a routing reason, without the values
+ * @param {object} sensitiveData - Scanner summary
+ * @returns {string} - Reason text
+ */
+function describeSensitiveData(sensitiveData) {
+  return `Sensitive data detected (${Object.keys(sensitiveData.detectors).join(', ')})`;
+}
+
 /**
  * Select local-only model for privacy-sensitive content
  * @param {string} taskType - The task type
@@ -420,17 +542,7 @@ function selectLocalModel(taskType, characterSheet, reason) {
  * @returns {object|null} - Tier-based selection or null
  */
 function selectByTier(tierPreference, taskType, characterSheet, options) {
-  const tierMapping = {
-    'fast': 'tier1-fast',
-    'local-heavy': 'tier2-heavy', 
-    'heavy': 'tier2-heavy',
-    'cloud': 'tier3-cloud',
-    'tier1-fast': 'tier1-fast',
-    'tier2-heavy': 'tier2-heavy',
-    'tier3-cloud': 'tier3-cloud'
-  };
-  
-  const mappedTier = tierMapping[tierPreference] || tierPreference;
+  const mappedTier = TIER_ALIASES[tierPreference] || tierPreference;
   const tierModels = getModelsByTier(mappedTier);
   
   if (tierModels.length > 0) {
@@ -457,19 +569,21 @@ function selectByTier(tierPreference, taskType, characterSheet, options) {
  * @param {object} options - Routing options
  * @returns {object|null} - Cost-optimized selection or null
  */
-function selectCostOptimizedModel(taskType, characterSheet, options) {
-  const monthlyBudget = characterSheet.cost_settings?.monthly_budget || costTracking.monthly_budget || 10;
-  const currentSpend = getCurrentMonthlySpend(); // This would track actual usage
-  const remainingBudget = monthlyBudget - currentSpend;
+function selectCostOptimizedModel(taskType, characterSheet, options = {}) {
+  const budgetStatus = options.budget_status;
+  const remainingBudget = getRemainingBudget(characterSheet, budgetStatus);
+  const restrictedAction = ['restrict_tier3', 'block_tier3'].includes(budgetStatus?.action) ? budgetStatus.action : null;
   
-  // If budget is low, prefer local tiers
-  if (remainingBudget < 2) {
+  // If budget is low or a budget alert restricts cloud models, prefer local tiers
+  if (remainingBudget < 2 || restrictedAction) {
     const localModels = [...getModelsByTier('tier1-fast'), ...getModelsByTier('tier2-heavy')];
     const bestLocalModel = selectBestModelFromTier(localModels, taskType);
     
     return {
       model: bestLocalModel,
-      reason: `Cost optimization - Low budget remaining ($${remainingBudget.toFixed(2)})`,
+      reason: restrictedAction
+        ? `Cost optimization - Budget alert ${restrictedAction} ($${remainingBudget.toFixed(2)} remaining)`
+        : `Cost optimization - Low budget remaining ($${remainingBudget.toFixed(2)})`,
       confidence: 0.8,
       tier: getModelInfo(bestLocalModel)?.tier || 'tier1-fast',
       cost_estimate: 0,
@@ -633,12 +747,73 @@ function calculateCostEstimate(modelName, estimatedTokens) {
 }
 
 /**
- * Get current monthly spend (placeholder - would integrate with actual tracking)
+ * Read spend and budget alerts from the cost ledger for one routing decision
+ * A ledger that cannot be read leaves budgets unenforced for this decision rather than failing routing
+ * @param {object} characterSheet - User configuration (cost_settings.monthly_budget overrides models.yaml)
+ * @param {string} project - Project the request belongs to (optional)
+ * @param {object} account - Account making the request (optional); its sheet's monthly_budget is its own budget,
+ *                           not the instance's
+ * @returns {object|null} - Budget status from CostLedger.getStatus
+ */
+async function refreshBudgetStatus(characterSheet = {}, project = null, account = null) {
+  try {
+    if (!costLedger) {
+      costLedger = new CostLedger({ dbManager: new DatabaseManager(), config: costTracking });
+    }
+    return await costLedger.getStatus({
+      project,
+      monthlyBudget: account ? null : characterSheet.cost_settings?.monthly_budget,
+      account: account ? { ...account, monthly_budget: characterSheet.cost_settings?.monthly_budget } : null
+    });
+  } catch (error) {
+    console.warn('Could not read cost ledger - budgets not enforced:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get current monthly spend from a budget status
+ * @param {object|null} budgetStatus - Status from refreshBudgetStatus
  * @returns {number} - Current month spending
  */
-function getCurrentMonthlySpend() {
-  // Placeholder - would integrate with actual cost tracking system
-  return 0;
+function getCurrentMonthlySpend(budgetStatus = null) {
+  return budgetStatus?.monthly?.spend || 0;
+}
+
+/**
+ * Get the smallest budget left across the monthly, daily, project and account budgets
+ * @param {object} characterSheet - User configuration
+ * @param {object|null} budgetStatus - Status from refreshBudgetStatus
+ * @returns {number} - Remaining budget in dollars
+ */
+function getRemainingBudget(characterSheet, budgetStatus = null) {
+  const monthlyBudget = budgetStatus?.monthly?.budget || characterSheet.cost_settings?.monthly_budget || costTracking.monthly_budget || 10;
+  const remaining = [monthlyBudget - getCurrentMonthlySpend(budgetStatus)];
+  if (budgetStatus?.daily) remaining.push(budgetStatus.daily.remaining);
+  if (budgetStatus?.project) remaining.push(budgetStatus.project.remaining);
+  if (budgetStatus?.user) remaining.push(budgetStatus.user.remaining);
+  return Math.min(...remaining);
+}
+
+/**
+ * Check whether a budget alert rules out a cloud model
+ * block_tier3 rules out every cloud model; restrict_tier3 only when cloud was not asked for explicitly
+ * @param {string} model - The model to check
+ * @param {object} options - Routing options, with the decision's budget_status
+ * @returns {string|null} - Alert message when the model is ruled out, otherwise null
+ */
+function getBudgetRestriction(model, options = {}) {
+  const budgetStatus = options.budget_status;
+  const action = budgetStatus?.action;
+  if (action !== 'block_tier3' && action !== 'restrict_tier3') return null;
+
+  const modelInfo = getModelInfo(model);
+  if (modelInfo?.tier !== 'tier3-cloud' && modelInfo?.privacy_tier !== 'cloud') return null;
+
+  if (action === 'restrict_tier3' && ['cloud', 'tier3-cloud'].includes(options.preferTier)) return null;
+
+  const alert = budgetStatus.alerts.find(item => item.action === action);
+  return `${action}: ${alert.message}`;
 }
 
 /**
@@ -646,7 +821,7 @@ function getCurrentMonthlySpend() {
  * @param {string} model - The model to validate
  * @param {string} taskType - The task type
  * @param {object} characterSheet - User configuration
- * @param {object} options - Routing options
+ * @param {object} options - Routing options; pinTier keeps every model to the preferTier tier
  * @returns {object} - Validation result
  */
 function validateTierSelection(model, taskType, characterSheet, options) {
@@ -657,6 +832,12 @@ function validateTierSelection(model, taskType, characterSheet, options) {
   
   const tier = modelInfo.tier;
   const costEstimate = calculateCostEstimate(model, options.estimated_tokens || 1000);
+
+  // A pinned tier (a workflow step's tier) outranks a preferred model from another tier; a plain
+  // preferTier only applies once no preferred model was found
+  if (options.pinTier && options.preferTier && tier && tier !== (TIER_ALIASES[options.preferTier] || options.preferTier)) {
+    return { valid: false, reason: `Outside the requested ${options.preferTier} tier` };
+  }
   
   // Check privacy constraints
   if (options.privacyMode && modelInfo.privacy_tier !== 'local') {
@@ -664,9 +845,11 @@ function validateTierSelection(model, taskType, characterSheet, options) {
   }
   
   // Check cost constraints
-  const monthlyBudget = characterSheet.cost_settings?.monthly_budget || 10;
-  const currentSpend = getCurrentMonthlySpend();
-  if (costEstimate > (monthlyBudget - currentSpend)) {
+  const budgetRestriction = getBudgetRestriction(model, options);
+  if (budgetRestriction) {
+    return { valid: false, reason: `Budget alert ${budgetRestriction}` };
+  }
+  if (costEstimate > getRemainingBudget(characterSheet, options.budget_status)) {
     return { valid: false, reason: 'Exceeds remaining budget' };
   }
   
@@ -809,28 +992,40 @@ function generateThreeTierFallbackChain(primaryModel, taskType, characterSheet)
  * Complete memory-enhanced routing decision with context awareness
  * @param {string} taskInput - User task input
  * @param {object} characterSheet - User configuration
- * @param {object} options - Routing options
+ * @param {object} options - Routing options; a budget_status given here (null for none) is used instead of
+ *                           today's spend, as replays of past decisions do
  * @returns {object} - Complete routing decision
  */
 async function makeRoutingDecision(taskInput, characterSheet, options = {}) {
   const timestamp = new Date().toISOString();
   
-  // Step 1: Classify the task with three-tier awareness
-  const classification = detectTaskType(taskInput);
+  // Step 0: Load current spend so budget alerts apply to this decision, and the latest trained classifier
+  const budgetStatus = 'budget_status' in options
+    ? options.budget_status
+    : await refreshBudgetStatus(characterSheet, options.project, options.account);
+  await refreshLearnedClassifier();
+  
+  // Step 1: Classify the task with three-tier awareness; an explicit task type (--task) skips classification
+  const classification = options.task_type
+    ? { type: options.task_type, confidence: 1, keywords: [], source: 'explicit' }
+    : detectTaskType(taskInput);
   
   // Step 1.5: Enhance options with task input for complexity analysis
   const enhancedOptions = {
     ...options,
     task: taskInput,
-    estimated_tokens: estimateTokenCount(taskInput)
+    estimated_tokens: estimateTokenCount(taskInput),
+    sensitive_data: options.sensitive_data || inspectSensitiveData(taskInput),
+    budget_status: budgetStatus
   };
   
   // Step 2: Memory-enhanced model selection based on classification
   const selection = await selectModel(classification.type, characterSheet, enhancedOptions);
   
   // Step 3: Apply loadout overrides with three-tier validation
-  const loadout = characterSheet.loadout || {};
-  if (loadout.model && !enhancedOptions.preferTier && !enhancedOptions.useCase) {
+  const loadout = characterSheet.active_loadout?.settings || {};
+  if (loadout.model && !enhancedOptions.preferTier && !enhancedOptions.useCase &&
+      enhancedOptions.sensitive_data.action !== 'force_local') {
     const loadoutValidation = validateTierSelection(loadout.model, classification.type, characterSheet, enhancedOptions);
     if (loadoutValidation.valid) {
       selection.model = loadout.model;
@@ -844,7 +1039,7 @@ async function makeRoutingDecision(taskInput, characterSheet, options = {}) {
   }
   
   // Step 4: Cost and budget validation
-  const costValidation = validateCostConstraints(selection, characterSheet);
+  const costValidation = validateCostConstraints(selection, characterSheet, enhancedOptions);
   if (!costValidation.valid) {
     const costOptimizedSelection = selectCostOptimizedModel(classification.type, characterSheet, enhancedOptions);
     if (costOptimizedSelection) {
@@ -861,11 +1056,15 @@ async function makeRoutingDecision(taskInput, characterSheet, options = {}) {
     selection,
     loadout: characterSheet.loadout || 'default',
     options: enhancedOptions,
+    sensitive_data: enhancedOptions.sensitive_data,
     tier_info: {
       selected_tier: selection.tier,
       cost_estimate: selection.cost_estimate,
       privacy_protection: selection.privacy_protection || false,
-      budget_protection: selection.budget_protection || false
+      budget_protection: selection.budget_protection || false,
+      budget_action: budgetStatus?.action || 'none',
+      budget_alerts: budgetStatus?.alerts || [],
+      budget_warning: costValidation.warning || null
     },
     memory_integration: {
       context_analysis: selection.context_analysis || null,
@@ -881,8 +1080,8 @@ async function makeRoutingDecision(taskInput, characterSheet, options = {}) {
     }
   };
   
-  // Step 6: Record decision for future learning if memory integration is enabled
-  if (selection.context_analysis && contextEngine) {
+  // Step 6: Record decision for future learning if memory integration is enabled (not for dry runs)
+  if (selection.context_analysis && contextEngine && !options.dry_run) {
     try {
       await contextEngine.recordRoutingDecision(
         selection.context_analysis,
@@ -915,17 +1114,23 @@ function estimateTokenCount(input) {
 }
 
 /**
- * Validate cost constraints for a selection
+ * Validate cost constraints for a selection, enforcing the cost_alerts actions
  * @param {object} selection - Model selection object
  * @param {object} characterSheet - User configuration
+ * @param {object} options - Routing options with the decision's budget_status (preferTier lets an explicit
+ *                           cloud request through restrict_tier3)
  * @returns {object} - Cost validation result
  */
-function validateCostConstraints(selection, characterSheet) {
-  const monthlyBudget = characterSheet.cost_settings?.monthly_budget || costTracking.monthly_budget || 10;
-  const currentSpend = getCurrentMonthlySpend();
-  const remainingBudget = monthlyBudget - currentSpend;
+function validateCostConstraints(selection, characterSheet, options = {}) {
+  const budgetStatus = options.budget_status;
+  const remainingBudget = getRemainingBudget(characterSheet, budgetStatus);
   const estimatedCost = selection.cost_estimate || 0;
   
+  const budgetRestriction = getBudgetRestriction(selection.model, options);
+  if (budgetRestriction) {
+    return { valid: false, reason: `Budget alert ${budgetRestriction}` };
+  }
+  
   if (estimatedCost === 0) {
     return { valid: true, reason: 'No cost for local processing' };
   }
@@ -945,6 +1150,10 @@ function validateCostConstraints(selection, characterSheet) {
     };
   }
   
+  if (budgetStatus?.action === 'warn') {
+    return { valid: true, warning: budgetStatus.alerts.map(alert => alert.message).join('; ') };
+  }
+  
   return { valid: true, reason: 'Within budget constraints' };
 }
 
@@ -1100,6 +1309,9 @@ async function initializeMemorySystem() {
 
 module.exports = {
   detectTaskType,
+  scoreTaskTypeRules,
+  refreshLearnedClassifier,
+  getLearnedClassifier,
   selectModel,
   generateThreeTierFallbackChain,
   makeRoutingDecision,
@@ -1118,6 +1330,8 @@ module.exports = {
   calculateCostEstimate,
   validateTierSelection,
   validateCostConstraints,
+  getCurrentMonthlySpend,
+  refreshBudgetStatus,
   estimateTokenCount,
   validateTierConfiguration,
   // Uncensored content functions
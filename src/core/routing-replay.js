@@ -0,0 +1,285 @@
+// #region start: Routing Replay for The Steward
+// Re-runs stored prompts from routing_decisions through the current routing stack without calling models
+// Reports which decisions a routing, character sheet, loadout or models.yaml change would move
+
+const yaml = require('js-yaml');
+const DatabaseManager = require('../../database/DatabaseManager');
+const Journal = require('../../models/Journal');
+const SmartRoutingEngine = require('./smart-routing-engine');
+const { calculateCostEstimate } = require('./routing-engine');
+const { getModelInfo } = require('../../models/model-metadata');
+const AdapterRegistry = require('../../models/AdapterRegistry');
+const { validateCharacterSheet } = require('./character-sheet-schema');
+
+// Every request is costed at the routing engine's default size, so before and after compare like for like
+const REPLAY_TOKEN_ESTIMATE = 1000;
+
+// Sheets hold only YAML data; package.json still allows Node 16, which has no structuredClone
+const copySheet = sheet => JSON.parse(JSON.stringify(sheet));
+
+/**
+ * Routing Replay
+ * What-if simulator comparing stored routing decisions with what the routing stack decides now,
+ * optionally with a candidate character sheet or loadout that has not been saved yet
+ */
+class RoutingReplay {
+    /**
+     * @param {object} options - {dbManager, engine}; the engine defaults to a SmartRoutingEngine on the same database
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || options.engine?.dbManager || new DatabaseManager();
+        this.engine = options.engine || new SmartRoutingEngine({ dbManager: this.dbManager });
+        this.journal = new Journal({ dbManager: this.dbManager });
+    }
+
+    /**
+     * Parse a candidate character sheet given as an object or YAML text
+     * @param {object|string} input - Character sheet
+     * @returns {object} Character sheet
+     */
+    static parseCharacterSheet(input) {
+        const characterSheet = typeof input === 'string' ? yaml.load(input) : input;
+        if (!characterSheet || typeof characterSheet !== 'object' || Array.isArray(characterSheet)) {
+            throw new Error('Candidate character sheet must be a YAML mapping or object');
+        }
+        return characterSheet;
+    }
+
+    /**
+     * Check replay options before running them
+     * @param {object} options - {days, limit, task_type, character_sheet, loadout}
+     * @returns {Promise<string[]>} Problems; empty when the options are valid
+     */
+    async validate(options = {}) {
+        const problems = [];
+        for (const field of ['days', 'limit']) {
+            const value = options[field];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+                problems.push(`${field} must be a positive integer`);
+            }
+        }
+
+        let characterSheet = null;
+        if (options.character_sheet) {
+            try {
+                characterSheet = RoutingReplay.parseCharacterSheet(options.character_sheet);
+            } catch (error) {
+                problems.push(error.message);
+                return problems;
+            }
+
+            const registry = new AdapterRegistry();
+            problems.push(...validateCharacterSheet(characterSheet, { isKnownModel: model => registry.has(model) })
+                .map(problem => `Candidate character sheet ${problem}`));
+        }
+
+        if (options.loadout && options.loadout !== 'default') {
+            try {
+                this.engine.loadoutManager.resolve(options.loadout, characterSheet || await this.getSavedCharacterSheet());
+            } catch (error) {
+                problems.push(error.message);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Replay stored decisions and diff them against today's routing
+     * @param {object} options - {days, limit, task_type, character_sheet, loadout}
+     * @returns {Promise<object>} Diff report: {candidate, filters, summary, by_task_type, by_tier, changes, failures}
+     */
+    async replay(options = {}) {
+        const problems = await this.validate(options);
+        if (problems.length > 0) {
+            throw new Error(`Invalid replay options: ${problems.join('; ')}`);
+        }
+
+        const { days = 30, limit = 200, task_type = null, character_sheet = null, loadout = null } = options;
+        await this.prepare(character_sheet, loadout);
+        this.loadout = loadout;
+        const decisions = await this.dbManager.getReplayableDecisions({ days, task_type, limit });
+
+        const results = [];
+        const failures = [];
+        const journalEntries = new Map();
+        for (const stored of decisions) {
+            try {
+                results.push(await this.replayDecision(stored, journalEntries));
+            } catch (error) {
+                failures.push({ id: stored.id, error: error.message });
+            }
+        }
+
+        return {
+            candidate: {
+                character_sheet: character_sheet ? 'candidate' : 'current',
+                loadout: this.engine.characterSheet.loadout || 'default'
+            },
+            filters: { days, limit, task_type },
+            summary: this.summarize(results, failures),
+            by_task_type: this.groupByTaskType(results),
+            by_tier: this.groupByTier(results),
+            changes: results.filter(result => result.changed),
+            failures
+        };
+    }
+
+    /**
+     * The character sheet routing uses today, before any candidate replaced it
+     * @private
+     */
+    async getSavedCharacterSheet() {
+        await this.engine.characterSheetLoaded;
+        this.savedCharacterSheet = this.savedCharacterSheet || copySheet(this.engine.characterSheet || {});
+        return this.savedCharacterSheet;
+    }
+
+    /**
+     * Point the engine at the character sheet and loadout being tried
+     * Activity and session memory from the original requests are not stored, so project context is left out
+     * @private
+     */
+    async prepare(characterSheet, loadout) {
+        // Keep the saved sheet before a candidate replaces it; this also waits for the engine's own load
+        const savedCharacterSheet = await this.getSavedCharacterSheet();
+        const base = copySheet(characterSheet
+            ? RoutingReplay.parseCharacterSheet(characterSheet)
+            : savedCharacterSheet);
+
+        if (loadout === 'default') {
+            delete base.loadout;
+        } else if (loadout) {
+            base.loadout = loadout;
+        }
+
+        base.memory_integration = { ...base.memory_integration, project_context_awareness: false };
+        await this.engine.setCharacterSheet(base);
+    }
+
+    /**
+     * Route one stored prompt again with the hour, journal check-in and findings it originally had
+     * The whole masked prompt is replayed; decisions logged before it was stored only have the 100-char snippet.
+     * Spend at the time is not stored, so budget alerts are left out rather than judging old requests by today's.
+     * @private
+     */
+    async replayDecision(stored, journalEntries) {
+        const date = Journal.today(new Date(`${stored.timestamp.replace(' ', 'T')}Z`));
+        if (!journalEntries.has(date)) {
+            journalEntries.set(date, await this.journal.get(date).catch(() => null));
+        }
+
+        const decision = await this.engine.makeSmartRoutingDecision(stored.prompt_text || stored.prompt_snippet, {
+            dry_run: true,
+            budget_status: null,
+            current_hour_override: stored.time_of_day ?? undefined,
+            journal_entry: journalEntries.get(date),
+            // Without a loadout to try, each prompt keeps the loadout it was routed with (schedule,
+            // project and repo rules would otherwise see today's clock and working directory)
+            loadout: this.loadout || this.engine.characterSheet.loadout || stored.user_loadout || 'default',
+            task_type: stored.task_type_source === 'explicit' ? stored.task_type : undefined,
+            sensitive_data: stored.sensitive_data || undefined
+        });
+
+        const before = this.describe(stored.chosen_model, stored.task_type);
+        const after = this.describe(decision.selection.model, decision.classification.type);
+        return {
+            id: stored.id,
+            timestamp: stored.timestamp,
+            prompt_snippet: stored.prompt_snippet,
+            changed: before.model !== after.model || before.task_type !== after.task_type,
+            before,
+            after,
+            reason: decision.selection.reason || null
+        };
+    }
+
+    /**
+     * Model, task type, tier and estimated cost of one side of a comparison
+     * @private
+     */
+    describe(model, taskType) {
+        return {
+            model,
+            task_type: taskType,
+            tier: getModelInfo(model)?.tier || 'unknown',
+            estimated_cost: calculateCostEstimate(model, REPLAY_TOKEN_ESTIMATE)
+        };
+    }
+
+    /**
+     * Totals across all replayed decisions
+     * @private
+     */
+    summarize(results, failures) {
+        const changed = results.filter(result => result.changed).length;
+        const costBefore = results.reduce((sum, result) => sum + result.before.estimated_cost, 0);
+        const costAfter = results.reduce((sum, result) => sum + result.after.estimated_cost, 0);
+
+        return {
+            replayed: results.length,
+            changed,
+            unchanged: results.length - changed,
+            failed: failures.length,
+            change_rate: results.length > 0 ? changed / results.length : 0,
+            estimated_cost: { before: costBefore, after: costAfter, delta: costAfter - costBefore },
+            tokens_per_request: REPLAY_TOKEN_ESTIMATE
+        };
+    }
+
+    /**
+     * Changes and cost per originally recorded task type, most changed first
+     * @private
+     */
+    groupByTaskType(results) {
+        const groups = new Map();
+        for (const result of results) {
+            const taskType = result.before.task_type || 'unknown';
+            const group = groups.get(taskType) || { task_type: taskType, replayed: 0, changed: 0, reclassified: 0, cost_before: 0, cost_after: 0 };
+            group.replayed++;
+            if (result.changed) group.changed++;
+            if (result.before.task_type !== result.after.task_type) group.reclassified++;
+            group.cost_before += result.before.estimated_cost;
+            group.cost_after += result.after.estimated_cost;
+            groups.set(taskType, group);
+        }
+
+        return [...groups.values()]
+            .map(group => ({ ...group, cost_delta: group.cost_after - group.cost_before }))
+            .sort((a, b) => b.changed - a.changed || b.replayed - a.replayed);
+    }
+
+    /**
+     * Decisions per tier before and after, and the tier moves between them
+     * @private
+     */
+    groupByTier(results) {
+        const before = {};
+        const after = {};
+        const shifts = new Map();
+        for (const result of results) {
+            before[result.before.tier] = (before[result.before.tier] || 0) + 1;
+            after[result.after.tier] = (after[result.after.tier] || 0) + 1;
+            if (result.before.tier !== result.after.tier) {
+                const key = `${result.before.tier}→${result.after.tier}`;
+                const shift = shifts.get(key) || { from: result.before.tier, to: result.after.tier, count: 0 };
+                shift.count++;
+                shifts.set(key, shift);
+            }
+        }
+
+        return { before, after, shifts: [...shifts.values()].sort((a, b) => b.count - a.count) };
+    }
+
+    /**
+     * Close the engine and its database connection
+     */
+    async close() {
+        await this.engine.close();
+    }
+}
+
+module.exports = RoutingReplay;
+module.exports.REPLAY_TOKEN_ESTIMATE = REPLAY_TOKEN_ESTIMATE;
+
+// #endregion end: Routing Replay for The Steward
@@ -6,23 +6,51 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const DatabaseManager = require('../../database/DatabaseManager');
-const { makeRoutingDecision, detectTaskType, validateRoutingDecision } = require('./routing-engine');
+const {
+    makeRoutingDecision,
+    detectTaskType,
+    validateRoutingDecision,
+    validateCostConstraints,
+    selectCostOptimizedModel,
+    calculateCostEstimate,
+    refreshLearnedClassifier
+} = require('./routing-engine');
 const TaskClassifier = require('./task-classifier');
 const CognitiveProfileManager = require('./cognitive-profile-manager');
 const LocalFirstRouter = require('./local-first-router');
 const PerformanceLogger = require('./performance-logger');
+const Conversation = require('../../models/Conversation');
+const Journal = require('../../models/Journal');
+const SensitiveDataScanner = require('../../models/SensitiveDataScanner');
+const AdapterRegistry = require('../../models/AdapterRegistry');
+const ContextCollector = require('../memory/ContextCollector');
+const LoadoutManager = require('./loadout-manager');
+const { validateCharacterSheet } = require('./character-sheet-schema');
+const { getModelInfo, supportsTools, getToolCapableModels } = require('../../models/model-metadata');
 
 /**
  * Smart Routing Engine - Enhanced with time-awareness and cognitive profile integration
  * Integrates Chip's character sheet data for intelligent, personalized model selection
  */
 class SmartRoutingEngine {
-    constructor() {
-        this.dbManager = new DatabaseManager();
+    /**
+     * @param {object} options - {dbManager, registry, loadoutManager, characterSheetStore, account}; defaults to
+     *                           database/steward.db, models.yaml and loadouts/. An account ({id, username}) routes
+     *                           with the sheet in its characterSheetStore and is charged and logged separately
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        this.registry = options.registry || null;
+        this.loadoutManager = options.loadoutManager || new LoadoutManager();
+        this.characterSheetStore = options.characterSheetStore || null;
+        this.account = options.account || null;
+        this.contextCollector = new ContextCollector({ dbManager: this.dbManager });
+        this.journal = new Journal({ dbManager: this.dbManager });
         this.taskClassifier = new TaskClassifier();
         this.cognitiveProfileManager = new CognitiveProfileManager();
         this.localFirstRouter = new LocalFirstRouter();
         this.performanceLogger = new PerformanceLogger();
+        this.sensitiveDataScanner = new SensitiveDataScanner();
         
         this.characterSheet = null;
         this.cognitiveProfile = null;
@@ -34,7 +62,7 @@ class SmartRoutingEngine {
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
         
         // Initialize with character sheet data
-        this.loadCharacterSheet();
+        this.characterSheetLoaded = this.loadCharacterSheet();
     }
 
     /**
@@ -42,6 +70,12 @@ class SmartRoutingEngine {
      */
     async loadCharacterSheet() {
         try {
+            // An account's sheet lives in its own store, already validated
+            if (this.characterSheetStore) {
+                await this.setCharacterSheet(await this.characterSheetStore.loadCurrent());
+                return;
+            }
+
             // First try to load from database
             this.characterSheet = await this.dbManager.getUserProfile('Chip Talbert');
             
@@ -59,14 +93,13 @@ class SmartRoutingEngine {
                 }
             }
             
-            // Ensure we have required fields with sensible defaults
-            this.characterSheet = this.characterSheet || {};
-            this.characterSheet.task_type_preferences = this.characterSheet.task_type_preferences || {};
-            this.characterSheet.fallback_behavior = this.characterSheet.fallback_behavior || {};
-            this.characterSheet.time_of_day_profile = this.characterSheet.time_of_day_profile || this.generateDefaultTimeProfile();
+            // A sheet naming models that do not exist would send whole task types nowhere
+            const problems = this.validateCharacterSheet(this.characterSheet);
+            if (problems.length > 0) {
+                throw new Error(`Invalid character sheet: ${problems.join('; ')}`);
+            }
             
-            // Load cognitive profile
-            this.cognitiveProfile = await this.cognitiveProfileManager.loadCognitiveProfile(this.characterSheet);
+            await this.setCharacterSheet(this.characterSheet);
             
         } catch (error) {
             console.warn('Failed to load character sheet, using defaults:', error.message);
@@ -74,6 +107,86 @@ class SmartRoutingEngine {
         }
     }
 
+    /**
+     * Check a character sheet against its schema and models.yaml
+     * @param {object} characterSheet - Parsed character sheet
+     * @returns {string[]} Problems; empty when the sheet is valid
+     */
+    validateCharacterSheet(characterSheet) {
+        if (!characterSheet) {
+            return [];
+        }
+        this.registry = this.registry || new AdapterRegistry();
+        return validateCharacterSheet(characterSheet, { isKnownModel: model => this.registry.has(model) });
+    }
+
+    /**
+     * Route with the given character sheet instead of the stored one (e.g. a candidate sheet being replayed)
+     * @param {object} characterSheet - Parsed character sheet
+     */
+    async setCharacterSheet(characterSheet) {
+        // Ensure we have required fields with sensible defaults
+        this.characterSheet = characterSheet || {};
+        this.characterSheet.task_type_preferences = this.characterSheet.task_type_preferences || {};
+        this.characterSheet.fallback_behavior = this.characterSheet.fallback_behavior || {};
+        this.characterSheet.time_of_day_profile = this.characterSheet.time_of_day_profile || this.generateDefaultTimeProfile();
+        
+        // An account's secrets are detected and handled as its own sheet says; the owner's scanner reads
+        // character-sheet.yaml unless the sheet given here has a sensitive_data block
+        if (this.characterSheetStore || this.characterSheet.sensitive_data) {
+            this.sensitiveDataScanner = new SensitiveDataScanner({ config: this.characterSheet.sensitive_data || {} });
+            this.performanceLogger.sensitiveDataScanner = this.sensitiveDataScanner;
+        }
+        
+        // Load cognitive profile
+        this.cognitiveProfile = await this.cognitiveProfileManager.loadCognitiveProfile(this.characterSheet);
+    }
+
+    /**
+     * The character sheet with the active loadout layered over it
+     * A loadout chosen for the request or pinned in the sheet wins; otherwise loadouts whose activate rules
+     * match the hour, the project (given, or from recent activity) and the git repo are stacked
+     * @param {object} options - {loadout, project, cwd, current_hour_override, now}
+     * @returns {Promise<object>} Sheet with loadout and active_loadout
+     */
+    async activateLoadout(options = {}) {
+        await this.characterSheetLoaded;
+        const characterSheet = this.characterSheet || {};
+        const context = {
+            loadout: options.loadout,
+            now: options.now,
+            hour: options.current_hour_override
+        };
+
+        if (!options.loadout && !characterSheet.loadout) {
+            const activity = options.project ? null : await this.contextCollector.recentActivity({ minutes: 15 }).catch(() => null);
+            context.project = options.project || activity?.current_project?.project;
+            context.repo = LoadoutManager.detectGitRepo(options.cwd || process.cwd());
+        }
+
+        try {
+            return this.loadoutManager.activate(characterSheet, context);
+        } catch (error) {
+            if (options.loadout) {
+                throw error;
+            }
+            // A broken loadout file should not stop routing altogether
+            console.warn(`Loadout not applied: ${error.message}`);
+            const sheet = { ...characterSheet };
+            delete sheet.loadout;
+            return { ...sheet, active_loadout: { name: 'default', stack: [], chain: [], source: 'none', reasons: [error.message], settings: {} } };
+        }
+    }
+
+    /**
+     * The loadout routing would use right now
+     * @param {object} options - {loadout, project, cwd}
+     * @returns {Promise<object>} {name, stack, chain, source, reasons, settings}
+     */
+    async getActiveLoadout(options = {}) {
+        return (await this.activateLoadout(options)).active_loadout;
+    }
+
     /**
      * Generate default time-of-day profile based on common developer patterns
      */
@@ -160,51 +273,78 @@ class SmartRoutingEngine {
 
     /**
      * Smart routing with time-awareness and cognitive profile integration
-     * @param {string} taskInput - User task input
-     * @param {object} options - Additional routing options
+     * @param {string|Conversation} taskInput - User task input or multi-turn conversation
+     * @param {object} options - Additional routing options; replays pass current_hour_override and journal_entry
+     *                           for the original request and dry_run to leave logs and memory untouched
      * @returns {Promise<object>} - Enhanced routing decision
      */
     async makeSmartRoutingDecision(taskInput, options = {}) {
         const timestamp = new Date();
-        const currentHour = timestamp.getHours();
+        const currentHour = options.current_hour_override ?? timestamp.getHours();
+        
+        // Conversations are classified on the latest user turn; privacy checks see every turn
+        const conversation = taskInput instanceof Conversation ? taskInput : null;
+        const taskText = conversation ? conversation.getLatestUserText() : taskInput;
         
         // Ensure character sheet is loaded
         if (!this.characterSheet) {
             await this.loadCharacterSheet();
         }
 
-        // Step 1: Time-aware context enhancement
+        // Step 0: Layer the active loadout (chosen, pinned or activated by schedule, project or repo) over the sheet
+        const characterSheet = await this.activateLoadout({ ...options, now: timestamp });
+        const activeLoadout = characterSheet.active_loadout;
+
+        // Step 1: Time-aware context enhancement; today's journal check-in outranks the typical schedule
         const timeContext = this.analyzeTimeContext(currentHour);
+        const journalEntry = options.journal_entry !== undefined
+            ? options.journal_entry
+            : await this.journal.get().catch(() => null);
+        
+        // Step 1b: Secrets and PII anywhere in the conversation decide whether cloud models may see it
+        // (replayed prompts are stored masked, so replays pass what was found originally)
+        const sensitiveData = options.sensitive_data || this.sensitiveDataScanner.inspect(taskInput);
         
-        // Step 2: Enhanced task classification
+        // Step 2: Enhanced task classification, blended with the learned classifier once one is trained
+        const learnedClassifier = await refreshLearnedClassifier({ dbManager: this.dbManager });
         const enhancedClassification = this.taskClassifier.classifyTask(
-            taskInput, 
-            { current_hour: currentHour, energy_level: timeContext.energy_level }
+            taskText, 
+            { current_hour: currentHour, energy_level: journalEntry?.energy_level || timeContext.energy_level },
+            {
+                requires_tools: !!options.requires_tools,
+                task_type: options.task_type,
+                learned_classifier: learnedClassifier
+            }
         );
         
         // Step 3: Cognitive profile analysis with enhanced classification
         const cognitiveState = this.cognitiveProfileManager.analyzeCognitiveState({
             current_hour: currentHour,
             task_type: enhancedClassification.type,
-            task_complexity: enhancedClassification.estimated_complexity
+            task_complexity: enhancedClassification.estimated_complexity,
+            journal_entry: journalEntry
         });
         
         // Step 4: Performance-based model selection
-        const performanceContext = await this.analyzePerformanceContext(taskInput);
+        const performanceContext = await this.analyzePerformanceContext(taskText);
         
         // Step 5: Enhanced options with all contexts
         const enhancedOptions = {
             ...options,
+            task: conversation ? conversation.toPromptText() : taskText,
             time_context: timeContext,
             cognitive_state: cognitiveState,
             performance_context: performanceContext,
             enhanced_classification: enhancedClassification,
-            character_sheet: this.characterSheet,
-            cognitive_profile: this.cognitiveProfile
+            character_sheet: characterSheet,
+            cognitive_profile: this.cognitiveProfile,
+            sensitive_data: sensitiveData,
+            local_only: options.local_only || activeLoadout.settings.local_only === true,
+            account: this.account
         };
 
         // Step 6: Make base routing decision using existing engine
-        const baseDecision = await makeRoutingDecision(taskInput, this.characterSheet, enhancedOptions);
+        const baseDecision = await makeRoutingDecision(taskText, characterSheet, enhancedOptions);
         
         // Step 7: Apply smart routing enhancements with enhanced classification
         const smartEnhancements = this.applySmartEnhancements(baseDecision, enhancedOptions);
@@ -221,6 +361,12 @@ class SmartRoutingEngine {
         const smartDecision = {
             ...baseDecision,
             classification: enhancedClassification, // Use enhanced classification
+            sensitive_data: sensitiveData,
+            active_loadout: activeLoadout,
+            // Passed on to ModelInterface so the call is charged to the account's budget
+            account: this.account
+                ? { ...this.account, monthly_budget: characterSheet.cost_settings?.monthly_budget || null }
+                : null,
             selection: {
                 ...baseDecision.selection,
                 ...smartEnhancements.selection,
@@ -240,10 +386,39 @@ class SmartRoutingEngine {
                 time_context: timeContext,
                 cognitive_state: cognitiveState,
                 performance_context: performanceContext,
-                enhanced_classification: enhancedClassification
+                enhanced_classification: enhancedClassification,
+                conversation: conversation ? conversation.getSummary() : null
             }
         };
 
+        // Step 10b: Requests carrying tool definitions need a model that can call them
+        if (options.requires_tools) {
+            smartDecision.selection = this.applyToolRequirements(smartDecision.selection, enhancedOptions);
+        }
+
+        // Step 10c: Budget alerts apply to whatever model the enhancements settled on, using the budget
+        // status this decision read rather than a newer one
+        const budgetOptions = { ...enhancedOptions, budget_status: baseDecision.options.budget_status };
+        const costValidation = validateCostConstraints({
+            ...smartDecision.selection,
+            cost_estimate: calculateCostEstimate(smartDecision.selection.model, baseDecision.options.estimated_tokens)
+        }, characterSheet, budgetOptions);
+        if (!costValidation.valid) {
+            const costOptimizedSelection = selectCostOptimizedModel(enhancedClassification.type, characterSheet, budgetOptions);
+            if (costOptimizedSelection) {
+                smartDecision.selection = {
+                    ...smartDecision.selection,
+                    ...costOptimizedSelection,
+                    reason: `${costOptimizedSelection.reason} (Cost optimized: ${costValidation.reason})`
+                };
+            }
+        }
+
+        // Step 10d: Say which loadout shaped the decision, and why it is active
+        if (activeLoadout.source !== 'none') {
+            smartDecision.selection.reason = `${smartDecision.selection.reason || 'Model selected'} [Loadout: ${LoadoutManager.describe(activeLoadout)}]`;
+        }
+
         // Step 11: Validate and log the decision
         const validation = validateRoutingDecision(smartDecision);
         if (!validation.valid) {
@@ -259,11 +434,63 @@ class SmartRoutingEngine {
         }
 
         // Step 12: Log to performance logger for learning
-        await this.performanceLogger.logRoutingPerformance(smartDecision);
+        if (!options.dry_run) {
+            await this.performanceLogger.logRoutingPerformance(smartDecision);
+        }
         
         return smartDecision;
     }
 
+    /**
+     * Switch to a tool-capable model when the request carries tool definitions
+     * Candidates come from the fallback chain first, then local models, then cloud models by rating;
+     * local-only and privacy-protected requests never leave local models
+     * @param {object} selection - Current model selection
+     * @param {object} options - Enhanced routing options
+     * @returns {object} - Selection with tool_support details
+     */
+    applyToolRequirements(selection, options = {}) {
+        if (supportsTools(selection.model)) {
+            return {
+                ...selection,
+                tool_support: { required: true, native: true }
+            };
+        }
+
+        const requiresLocal = options.local_only ||
+            selection.local_first_analysis?.privacy_analysis?.requires_local || false;
+        const isLocal = (name) => getModelInfo(name)?.privacy_tier === 'local';
+
+        const fallbackModels = (selection.fallbacks || [])
+            .map(fallback => typeof fallback === 'string' ? fallback : fallback?.model)
+            .filter(Boolean);
+        const rankedModels = getToolCapableModels().sort((a, b) => {
+            if (isLocal(a) !== isLocal(b)) return isLocal(a) ? -1 : 1;
+            return (getModelInfo(b)?.performance_rating || 0) - (getModelInfo(a)?.performance_rating || 0);
+        });
+
+        const candidates = [...new Set([...fallbackModels, ...rankedModels])]
+            .filter(name => supportsTools(name))
+            .filter(name => !requiresLocal || isLocal(name));
+
+        if (candidates.length === 0) {
+            return {
+                ...selection,
+                reason: `${selection.reason || 'Model selected'} (no tool-capable model allowed for this request)`,
+                tool_support: { required: true, native: false }
+            };
+        }
+
+        const model = candidates[0];
+        return {
+            ...selection,
+            model,
+            tier: getModelInfo(model)?.tier || selection.tier,
+            reason: `Tool calling required: ${selection.model} does not support tools, using ${model}`,
+            tool_support: { required: true, native: true, replaced_model: selection.model }
+        };
+    }
+
     /**
      * Analyze time context for routing decisions
      * @param {number} currentHour - Current hour (0-23)
@@ -387,7 +614,7 @@ class SmartRoutingEngine {
      */
     applyCharacterSheetMapping(selection, options) {
         const { enhanced_classification, cognitive_state, time_context, cognitive_profile } = options;
-        const characterSheet = this.characterSheet || {};
+        const characterSheet = options.character_sheet || this.characterSheet || {};
         
         // Apply loadout overrides first
         const loadoutMapping = this.applyLoadoutMapping(selection, enhanced_classification, characterSheet);
@@ -438,20 +665,19 @@ class SmartRoutingEngine {
      * Apply loadout mapping from character sheet
      * @param {object} selection - Current selection
      * @param {object} classification - Enhanced classification
-     * @param {object} characterSheet - Character sheet data
+     * @param {object} characterSheet - Character sheet with the active loadout applied
      * @returns {object} - Loadout mapping result
      */
     applyLoadoutMapping(selection, classification, characterSheet) {
-        const loadouts = characterSheet.loadouts || {};
-        const currentLoadout = characterSheet.loadout;
+        const activeLoadout = characterSheet.active_loadout;
         
-        if (currentLoadout && loadouts[currentLoadout]) {
-            const loadoutConfig = loadouts[currentLoadout];
+        if (activeLoadout && activeLoadout.source !== 'none') {
+            const loadoutConfig = activeLoadout.settings;
             if (loadoutConfig.model && loadoutConfig.model !== selection.model) {
                 return {
                     model_changed: true,
                     new_model: loadoutConfig.model,
-                    reason: `${currentLoadout} loadout override`,
+                    reason: `${activeLoadout.name} loadout override`,
                     loadout_config: loadoutConfig
                 };
             }
@@ -851,7 +1077,7 @@ class SmartRoutingEngine {
                 routing_reason: decision.selection.reason,
                 alternatives_considered: JSON.stringify(decision.selection.fallbacks || []),
                 time_of_day: new Date().getHours(),
-                user_loadout: this.characterSheet.loadout || 'default',
+                user_loadout: decision.loadout || 'default',
                 fallback_triggered: false,
                 confidence_score: decision.selection.confidence,
                 smart_routing_data: JSON.stringify({
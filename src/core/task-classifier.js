@@ -131,7 +131,7 @@ class TaskClassifier {
      * Classify task with enhanced analysis and uncertainty handling
      * @param {string} taskInput - User task input
      * @param {object} cognitiveContext - User's cognitive context
-     * @param {object} options - Classification options
+     * @param {object} options - Classification options: {requires_tools, task_type (explicit override), learned_classifier}
      * @returns {object} - Comprehensive task classification
      */
     classifyTask(taskInput, cognitiveContext = {}, options = {}) {
@@ -142,8 +142,16 @@ class TaskClassifier {
         // Pre-process input
         const processedInput = this.preprocessInput(taskInput);
         
-        // Multi-dimensional classification
-        const primaryClassification = this.performPrimaryClassification(processedInput);
+        // Multi-dimensional classification; an explicit task type (--task) replaces the primary classification
+        const primaryClassification = options.task_type
+            ? {
+                type: options.task_type,
+                confidence: 1,
+                matched_keywords: [],
+                pattern_data: this.classificationPatterns[options.task_type],
+                source: 'explicit'
+            }
+            : this.performPrimaryClassification(processedInput, options.learned_classifier);
         const secondaryClassifications = this.identifySecondaryElements(processedInput);
         const uncertaintyAnalysis = this.analyzeUncertainty(primaryClassification, secondaryClassifications);
         const cognitiveRequirements = this.analyzeCognitiveRequirements(primaryClassification, processedInput, cognitiveContext);
@@ -154,6 +162,10 @@ class TaskClassifier {
             type: primaryClassification.type,
             confidence: primaryClassification.confidence,
             keywords: primaryClassification.matched_keywords,
+            source: primaryClassification.source,
+            learned: primaryClassification.learned_type
+                ? { type: primaryClassification.learned_type, confidence: primaryClassification.learned_confidence }
+                : null,
             
             // Secondary elements
             secondary_types: secondaryClassifications,
@@ -176,6 +188,12 @@ class TaskClassifier {
             timestamp: new Date().toISOString()
         };
         
+        // Tool definitions in the request limit routing to tool-capable models
+        if (options.requires_tools) {
+            classification.requires_tools = true;
+            classification.routing_preferences.model_characteristics.push('tool_calling');
+        }
+        
         // Apply cognitive profile adjustments
         if (cognitiveContext && Object.keys(cognitiveContext).length > 0) {
             classification.cognitive_adjustments = this.applyCognitiveAdjustments(classification, cognitiveContext);
@@ -220,14 +238,19 @@ class TaskClassifier {
     /**
      * Perform primary task classification
      * @param {object} processedInput - Preprocessed input
+     * @param {LearnedClassifier} learnedClassifier - Trained classifier to blend with the patterns (optional)
      * @returns {object} - Primary classification result
      */
-    performPrimaryClassification(processedInput) {
+    performPrimaryClassification(processedInput, learnedClassifier = null) {
         let bestMatch = { type: 'general', confidence: 0, matched_keywords: [] };
+        const scores = {};
         
         // Score each classification pattern
         for (const [type, pattern] of Object.entries(this.classificationPatterns)) {
             const score = this.calculatePatternScore(processedInput, pattern);
+            if (score.confidence > 0) {
+                scores[type] = score.confidence;
+            }
             
             if (score.confidence > bestMatch.confidence) {
                 bestMatch = {
@@ -241,6 +264,26 @@ class TaskClassifier {
         
         // Apply context-based adjustments
         bestMatch = this.applyContextualAdjustments(bestMatch, processedInput);
+        bestMatch.source = 'rules';
+        
+        // Blend with the learned classifier; a contextual adjustment counts as pattern evidence for its type
+        if (bestMatch.confidence > 0) {
+            scores[bestMatch.type] = Math.max(scores[bestMatch.type] || 0, bestMatch.confidence);
+        }
+        const blended = learnedClassifier?.blend(scores, processedInput.original);
+        if (blended) {
+            const ruleType = bestMatch.type;
+            bestMatch = {
+                ...bestMatch,
+                type: blended.type,
+                confidence: blended.confidence,
+                matched_keywords: blended.type === ruleType ? bestMatch.matched_keywords : [],
+                pattern_data: this.classificationPatterns[blended.type] || (blended.type === ruleType ? bestMatch.pattern_data : undefined),
+                source: blended.source,
+                learned_type: blended.learned_type,
+                learned_confidence: blended.learned_confidence
+            };
+        }
         
         return bestMatch;
     }
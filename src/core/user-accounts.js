@@ -0,0 +1,262 @@
+// #region start: User Accounts for The Steward
+// Accounts and API keys for an instance shared by a team
+// Each account routes with its own character sheet and loadouts, and has its own budget, feedback and memory
+
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const DatabaseManager = require('../../database/DatabaseManager');
+const CharacterSheetStore = require('./character-sheet-store');
+
+const ROLES = ['owner', 'admin', 'member'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const KEY_PREFIX = 'stw_';
+// Characters of a key kept in the clear so keys can be told apart in listings
+const KEY_PREFIX_LENGTH = 12;
+
+/**
+ * User Accounts
+ * Creates accounts, issues and checks API keys and maps OpenAI "user" values to accounts
+ *
+ * The first account is the owner: it keeps character-sheet.yaml, and its routing decisions,
+ * costs, feedback and memory are stored with user_id NULL like those made before accounts existed.
+ * Every other account starts from a copy of the owner's sheet, stored only in character_sheet_versions.
+ * Keys are shown once when issued; only their SHA-256 hash is stored.
+ */
+class UserAccounts {
+    /**
+     * @param {object} options - {dbManager, characterSheetStore, registry}; characterSheetStore is the owner's
+     *                           (character-sheet.yaml), registry is used to validate account sheets
+     */
+    constructor(options = {}) {
+        this.dbManager = options.dbManager || new DatabaseManager();
+        this.registry = options.registry || null;
+        this.ownerStore = options.characterSheetStore ||
+            new CharacterSheetStore({ dbManager: this.dbManager, registry: this.registry });
+    }
+
+    /**
+     * SHA-256 of an API key, as stored in api_keys
+     * @param {string} key - API key
+     * @returns {string} Hex digest
+     */
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * What routing, budgets and logs know about the account making a request
+     * @param {object|null} user - Account from the users table
+     * @returns {object|null} {id, username, role}; null for the owner, whose data keeps user_id NULL
+     */
+    static accountOf(user) {
+        if (!user || user.role === 'owner') {
+            return null;
+        }
+        return { id: user.id, username: user.username, role: user.role };
+    }
+
+    /**
+     * Whether an account may manage other accounts
+     * @param {object} user - Account
+     * @returns {boolean}
+     */
+    static isAdmin(user) {
+        return !!user && ['owner', 'admin'].includes(user.role);
+    }
+
+    /**
+     * Create an account; the first one is the owner, later ones get a copy of the owner's character sheet
+     * @param {object} user - {username, display_name, role}; role defaults to member
+     * @returns {Promise<object>} Account
+     */
+    async createUser({ username, display_name = null, role = null } = {}) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw new Error(`Invalid username: ${username} (use letters, digits, dots, dashes and underscores)`);
+        }
+        if (await this.dbManager.getUserByName(username)) {
+            throw new Error(`User already exists: ${username}`);
+        }
+
+        const isFirst = (await this.dbManager.getUsers()).length === 0;
+        const resolvedRole = isFirst ? 'owner' : role || 'member';
+        if (!ROLES.includes(resolvedRole)) {
+            throw new Error(`Unknown role: ${resolvedRole}. Use one of ${ROLES.join(', ')}`);
+        }
+        if (resolvedRole === 'owner' && !isFirst) {
+            throw new Error('There is already an owner; new users can be admin or member');
+        }
+
+        // Check the copied sheet first so a sheet that no longer validates does not leave an account without one
+        const sheet = resolvedRole === 'owner' ? null : await this.copyOwnerSheet(display_name || username);
+        const problems = sheet ? this.ownerStore.validate(sheet) : [];
+        if (problems.length > 0) {
+            throw new Error(`Cannot copy character-sheet.yaml for ${username}: ${problems.join('; ')}`);
+        }
+
+        const id = await this.dbManager.createUser({ username, display_name, role: resolvedRole });
+        const user = await this.dbManager.getUser(id);
+        if (sheet) {
+            await this.getCharacterSheetStore(user).save(sheet, {
+                author: 'baseline',
+                reason: `Copied from character-sheet.yaml when ${username} was created`
+            });
+        }
+        return user;
+    }
+
+    /**
+     * The owner's sheet under another name, as a starting point for a new account
+     * @private
+     */
+    async copyOwnerSheet(name) {
+        const content = await this.ownerStore.readText();
+        return { ...(content ? yaml.load(content) || {} : {}), name };
+    }
+
+    /**
+     * The character sheet store an account reads and writes
+     * @param {object} user - Account
+     * @returns {CharacterSheetStore} The owner's store for the owner, otherwise one on the account's versions
+     */
+    getCharacterSheetStore(user) {
+        if (!user || user.role === 'owner') {
+            return this.ownerStore;
+        }
+        return new CharacterSheetStore({
+            dbManager: this.dbManager,
+            registry: this.registry,
+            sheetPath: this.ownerStore.sheetPath,
+            loadoutsDir: this.ownerStore.loadoutManager.loadoutsDir,
+            userId: user.id
+        });
+    }
+
+    /**
+     * Find an account by username
+     * @param {string} username - Username
+     * @returns {Promise<object>} Account
+     */
+    async getUser(username) {
+        const user = await this.dbManager.getUserByName(username);
+        if (!user || user.username !== username) {
+            throw new Error(`Unknown user: ${username}`);
+        }
+        return user;
+    }
+
+    /**
+     * Every account with its number of active keys
+     * @returns {Promise<Array>}
+     */
+    async listUsers() {
+        return this.dbManager.getUsers();
+    }
+
+    /**
+     * Issue a new API key
+     * @param {string} username - Account the key belongs to
+     * @param {object} options - {label}
+     * @returns {Promise<object>} {id, key, key_prefix, user}; the key itself cannot be shown again
+     */
+    async issueKey(username, { label = null } = {}) {
+        const user = await this.getUser(username);
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const keyPrefix = key.slice(0, KEY_PREFIX_LENGTH);
+
+        const id = await this.dbManager.saveApiKey({
+            user_id: user.id,
+            label,
+            key_prefix: keyPrefix,
+            key_hash: UserAccounts.hashKey(key)
+        });
+        return { id, key, key_prefix: keyPrefix, user };
+    }
+
+    /**
+     * Keys without their hashes
+     * @param {string|null} username - Only this account's keys; null for every account
+     * @returns {Promise<Array>}
+     */
+    async listKeys(username = null) {
+        const user = username ? await this.getUser(username) : null;
+        return this.dbManager.getApiKeys(user ? user.id : null);
+    }
+
+    /**
+     * Revoke a key
+     * @param {number} id - API key ID
+     * @returns {Promise<void>}
+     */
+    async revokeKey(id) {
+        const changes = await this.dbManager.revokeApiKey(id);
+        if (changes === 0) {
+            throw new Error(`API key ${id} not found or already revoked`);
+        }
+    }
+
+    /**
+     * The account an API key belongs to
+     * @param {string} key - API key from the request
+     * @returns {Promise<object|null>} Account with key_id; null when the key is unknown or revoked
+     */
+    async authenticate(key) {
+        if (!key || typeof key !== 'string') {
+            return null;
+        }
+
+        const found = await this.dbManager.getApiKeyByHash(UserAccounts.hashKey(key));
+        if (!found) {
+            return null;
+        }
+
+        await this.dbManager.touchApiKey(found.key_id);
+        return { ...found.user, key_id: found.key_id };
+    }
+
+    /**
+     * The account an OpenAI "user" value maps to, by username or alias
+     * @param {string} value - The request's user field
+     * @returns {Promise<object|null>}
+     */
+    async resolveOpenAIUser(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+        return this.dbManager.getUserByName(value);
+    }
+
+    /**
+     * Map an OpenAI "user" value (e.g. an Open WebUI user id or email) to an account
+     * @param {string} username - Account
+     * @param {string} alias - Value clients send in the user field
+     * @returns {Promise<object>} Account with its aliases
+     */
+    async addAlias(username, alias) {
+        const user = await this.getUser(username);
+        if (!alias || typeof alias !== 'string') {
+            throw new Error('Alias must be a non-empty string');
+        }
+
+        const existing = await this.dbManager.getUserByName(alias);
+        if (existing && existing.id !== user.id) {
+            throw new Error(`${alias} already maps to ${existing.username}`);
+        }
+
+        if (!user.aliases.includes(alias) && alias !== user.username) {
+            await this.dbManager.updateUser(user.id, { aliases: [...user.aliases, alias] });
+        }
+        return this.dbManager.getUser(user.id);
+    }
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+        await this.dbManager.close();
+    }
+}
+
+module.exports = UserAccounts;
+module.exports.ROLES = ROLES;
+
+// #endregion end: User Accounts for The Steward
@@ -0,0 +1,383 @@
+// #region start: Eval Runner for The Steward
+// Runs eval suites against chosen models through ModelInterface and scores the answers
+// Scores land in eval_results and can replace the hand-typed performance_rating values in models.yaml
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const ModelInterface = require('../../models/ModelInterface');
+const DatabaseManager = require('../../database/DatabaseManager');
+const { validateSchema } = require('../utils/json-schema');
+
+const MODELS_PATH = path.join(__dirname, '../../models/models.yaml');
+const DEFAULT_JUDGE_MODEL = 'smollm3';
+const DEFAULT_RUBRIC_MIN_SCORE = 7;
+const SNIPPET_LENGTH = 500;
+
+/**
+ * EvalRunner - Scores models on eval suites
+ *
+ * Key Features:
+ * - Sends every case to every chosen model through ModelInterface (cache bypassed)
+ * - Checks answers with contains, regex, JSON Schema and rubric checks; rubrics are scored by a local judge model
+ * - Stores one eval_results row per case and model, grouped by run
+ * - Runs fully offline against local endpoints, or against the mock adapter with mock: true
+ */
+class EvalRunner {
+  /**
+   * @param {object} options - {dbManager, modelInterface, mock, judgeModel, modelsPath}
+   *                           mock answers every model and judge with the mock adapter and logs no performance
+   */
+  constructor(options = {}) {
+    this.dbManager = options.dbManager || options.modelInterface?.dbManager || new DatabaseManager();
+    this.modelInterface = options.modelInterface || new ModelInterface({ dbManager: this.dbManager });
+    this.mock = !!options.mock;
+    this.judgeModel = options.judgeModel || null;
+    this.modelsPath = options.modelsPath || MODELS_PATH;
+
+    if (this.mock) {
+      this.modelInterface.trackPerformance = false;
+    }
+  }
+
+  /**
+   * Run suites against models
+   * @param {object} params - {suites: EvalSuite[], models: string[], onResult}
+   * @returns {Promise<object>} {run_id, mock, models, suites, results, summary}
+   */
+  async run({ suites, models, onResult = null }) {
+    if (!Array.isArray(models) || models.length === 0) {
+      throw new Error('Choose at least one model to evaluate');
+    }
+    if (!Array.isArray(suites) || suites.length === 0) {
+      throw new Error('No eval suites to run');
+    }
+
+    for (const model of models) {
+      this.prepareModel(model);
+    }
+
+    const runId = `eval-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+    const results = [];
+    for (const suite of suites) {
+      for (const evalCase of suite.cases) {
+        for (const model of models) {
+          const result = await this.runCase(runId, suite, evalCase, model);
+          result.id = await this.dbManager.saveEvalResult(result);
+          results.push(result);
+          if (onResult) onResult(result);
+        }
+      }
+    }
+
+    return {
+      run_id: runId,
+      mock: this.mock,
+      models,
+      suites: suites.map(suite => suite.name),
+      results,
+      summary: EvalRunner.summarize(results)
+    };
+  }
+
+  /**
+   * Make sure a model can be reached; in mock mode it is answered by the mock adapter instead
+   * @private
+   */
+  prepareModel(model) {
+    if (this.mock) {
+      this.modelInterface.registry.registerModel(model, { type: 'mock' }, { privacy_tier: 'local' });
+    } else if (!this.modelInterface.registry.has(model)) {
+      throw new Error(`Unknown model: ${model}. Add it to models/models.yaml`);
+    }
+  }
+
+  /**
+   * Send one case to one model and check the answer
+   * @private
+   * @returns {Promise<object>} eval_results row
+   */
+  async runCase(runId, suite, evalCase, model) {
+    const options = { ...suite.options, ...evalCase.options, cache: false };
+    if (this.mock && typeof evalCase.mock_response === 'string') {
+      options.mock_response = evalCase.mock_response;
+    }
+
+    const response = await this.modelInterface.sendRequest(model, evalCase.prompt, options, suite.task_type, runId);
+    const result = {
+      run_id: runId,
+      suite: suite.name,
+      task_type: suite.task_type,
+      case_id: evalCase.id,
+      model_name: model,
+      score: 0,
+      passed: false,
+      checks: [],
+      response_time_ms: response.timing?.duration_ms ?? null,
+      response_snippet: (response.content || '').substring(0, SNIPPET_LENGTH),
+      error_message: response.error ? response.error.message : null,
+      mock: this.mock,
+      performance_id: response.metadata?.performance_id || null
+    };
+    if (response.error) {
+      return result;
+    }
+
+    let totalWeight = 0;
+    let weightedScore = 0;
+    for (const check of evalCase.expect) {
+      const outcome = await this.check(check, response.content || '', evalCase, suite, runId);
+      const weight = check.weight || 1;
+      totalWeight += weight;
+      weightedScore += weight * outcome.score;
+      result.checks.push({ type: check.type, weight, ...outcome });
+    }
+
+    result.score = totalWeight > 0 ? weightedScore / totalWeight : 0;
+    result.passed = result.checks.every(outcome => outcome.passed);
+    return result;
+  }
+
+  /**
+   * Score an answer against one expected property
+   * @param {object} check - Check from the suite (type set by EvalSuite)
+   * @param {string} content - Model answer
+   * @param {object} evalCase - Case the answer belongs to
+   * @param {object} suite - Suite the case belongs to
+   * @param {string} runId - Run the judge call is grouped under
+   * @returns {Promise<object>} {passed, score (0-1), detail}
+   */
+  async check(check, content, evalCase, suite, runId = null) {
+    if (check.type === 'contains') {
+      const texts = Array.isArray(check.contains) ? check.contains : [check.contains];
+      const missing = texts.filter(text => !content.toLowerCase().includes(text.toLowerCase()));
+      return {
+        passed: missing.length === 0,
+        score: (texts.length - missing.length) / texts.length,
+        detail: missing.length > 0 ? `missing: ${missing.join(', ')}` : null
+      };
+    }
+
+    if (check.type === 'regex') {
+      const passed = new RegExp(check.regex, check.flags || '').test(content);
+      return { passed, score: passed ? 1 : 0, detail: passed ? null : `no match for /${check.regex}/${check.flags || ''}` };
+    }
+
+    if (check.type === 'json_schema') {
+      const json = EvalRunner.extractJson(content);
+      if (!json.found) {
+        return { passed: false, score: 0, detail: 'no JSON in the answer' };
+      }
+      const problems = validateSchema(json.value, check.json_schema);
+      return {
+        passed: problems.length === 0,
+        score: problems.length === 0 ? 1 : 0,
+        detail: problems.length > 0 ? problems.slice(0, 3).join('; ') : null
+      };
+    }
+
+    return this.judge(check, content, evalCase, suite, runId);
+  }
+
+  /**
+   * Have a local judge model score the answer against a rubric
+   * @private
+   */
+  async judge(check, content, evalCase, suite, runId) {
+    const judgeModel = this.judgeModel || suite.judge_model || DEFAULT_JUDGE_MODEL;
+    const minScore = check.min_score ?? DEFAULT_RUBRIC_MIN_SCORE;
+
+    if (this.mock) {
+      this.modelInterface.registry.registerModel(judgeModel, { type: 'mock' }, { privacy_tier: 'local' });
+    }
+    const resolved = this.modelInterface.registry.resolve(judgeModel);
+    if (!resolved) {
+      return { passed: false, score: 0, detail: `unknown judge model ${judgeModel}` };
+    }
+    if (resolved.location !== 'local') {
+      return { passed: false, score: 0, detail: `judge model ${judgeModel} is not local; rubrics are only scored by local models` };
+    }
+
+    const prompt = [
+      'You are grading an AI assistant\'s answer against a rubric.',
+      '',
+      `Rubric: ${check.rubric}`,
+      '',
+      'Task given to the assistant:',
+      evalCase.prompt,
+      '',
+      'Answer to grade:',
+      content,
+      '',
+      'Reply with JSON only: {"score": <0-10>, "reason": "<one sentence>"}'
+    ].join('\n');
+    const options = { cache: false, temperature: 0, max_tokens: 200 };
+    if (this.mock && typeof check.mock_response === 'string') {
+      options.mock_response = check.mock_response;
+    }
+
+    const response = await this.modelInterface.sendRequest(judgeModel, prompt, options, 'eval_judge', runId);
+    if (response.error) {
+      return { passed: false, score: 0, detail: `judge ${judgeModel} failed: ${response.error.message}` };
+    }
+
+    const verdict = EvalRunner.parseJudgeVerdict(response.content || '');
+    if (verdict.score === null) {
+      return { passed: false, score: 0, detail: `judge ${judgeModel} gave no score` };
+    }
+    return {
+      passed: verdict.score >= minScore,
+      score: verdict.score / 10,
+      detail: `${verdict.score}/10 from ${judgeModel}${verdict.reason ? `: ${verdict.reason}` : ''}`
+    };
+  }
+
+  /**
+   * Find the JSON value in an answer: the whole answer, a fenced block, or the outermost object or array
+   * @param {string} text - Model answer
+   * @returns {object} {found, value}
+   */
+  static extractJson(text) {
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+    for (const [open, close] of [['{', '}'], ['[', ']']]) {
+      const start = text.indexOf(open);
+      const end = text.lastIndexOf(close);
+      if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        return { found: true, value: JSON.parse(candidate) };
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return { found: false, value: null };
+  }
+
+  /**
+   * Read the judge's score (0-10) and reason from JSON or plain text
+   * @param {string} text - Judge answer
+   * @returns {object} {score, reason}; score is null when none was given
+   */
+  static parseJudgeVerdict(text) {
+    const json = EvalRunner.extractJson(text);
+    let score = null;
+    let reason = null;
+    if (json.found && json.value && typeof json.value === 'object') {
+      score = Number(json.value.score);
+      reason = typeof json.value.reason === 'string' ? json.value.reason : null;
+    }
+    if (score === null || isNaN(score)) {
+      const match = text.match(/score\W{0,3}(\d+(?:\.\d+)?)/i) || text.match(/^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*10)?/);
+      score = match ? Number(match[1]) : null;
+    }
+    return { score: score === null ? null : Math.min(10, Math.max(0, score)), reason };
+  }
+
+  /**
+   * Average score and pass rate per model and task type
+   * @param {object[]} results - Case results
+   * @returns {object[]} {model_name, task_type, cases, passed, errors, avg_score, pass_rate}
+   */
+  static summarize(results) {
+    const groups = new Map();
+    for (const result of results) {
+      const key = `${result.model_name}|${result.task_type}`;
+      const group = groups.get(key) || { model_name: result.model_name, task_type: result.task_type, cases: 0, passed: 0, errors: 0, total_score: 0 };
+      group.cases++;
+      if (result.passed) group.passed++;
+      if (result.error_message) group.errors++;
+      group.total_score += result.score;
+      groups.set(key, group);
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => a.model_name.localeCompare(b.model_name) || a.task_type.localeCompare(b.task_type))
+      .map(({ total_score, ...group }) => ({
+        ...group,
+        avg_score: total_score / group.cases,
+        pass_rate: group.passed / group.cases
+      }));
+  }
+
+  /**
+   * Write each model's average score from a run to performance_rating in models.yaml (0-10 scale)
+   * Models that could not be reached in any case keep their rating; comments and anchors are kept
+   * @param {object} run - Report returned by run()
+   * @returns {object} {model: {before, after}} for updated models and {model: {skipped}} for the others
+   */
+  updateRatings(run) {
+    if (run.mock) {
+      throw new Error('Mock runs do not update performance_rating');
+    }
+
+    let text = fs.readFileSync(this.modelsPath, 'utf8');
+    const current = yaml.load(text) || {};
+    const changes = {};
+
+    for (const model of run.models) {
+      const results = run.results.filter(result => result.model_name === model);
+      if (results.every(result => result.error_message)) {
+        changes[model] = { skipped: 'no case could be run' };
+        continue;
+      }
+
+      const entryName = this.modelInterface.registry.resolve(model)?.entry_name || model;
+      if (!current[entryName]) {
+        changes[model] = { skipped: `${entryName} is not in models.yaml` };
+        continue;
+      }
+
+      const rating = Math.round(results.reduce((sum, result) => sum + result.score, 0) / results.length * 100) / 10;
+      text = EvalRunner.setPerformanceRating(text, entryName, rating);
+      changes[model] = { before: current[entryName].performance_rating ?? null, after: rating };
+    }
+
+    fs.writeFileSync(this.modelsPath, text);
+    return changes;
+  }
+
+  /**
+   * Set performance_rating in one top-level entry of models.yaml text, leaving the rest untouched
+   * @param {string} text - models.yaml contents
+   * @param {string} entryName - Top-level model entry
+   * @param {number} rating - New rating
+   * @returns {string} Updated contents
+   */
+  static setPerformanceRating(text, entryName, rating) {
+    const lines = text.split('\n');
+    const start = lines.findIndex(line => line.replace(/^["']|["'](?=:)/g, '').startsWith(`${entryName}:`));
+    if (start === -1) {
+      return text;
+    }
+
+    let end = start + 1;
+    while (end < lines.length && !/^[^\s#]/.test(lines[end])) end++;
+
+    const ratingLine = lines.slice(start + 1, end).findIndex(line => /^\s+performance_rating:/.test(line));
+    if (ratingLine === -1) {
+      const indent = (lines.slice(start + 1, end).find(line => /^\s+\S/.test(line)) || '  ').match(/^\s*/)[0];
+      lines.splice(start + 1, 0, `${indent}performance_rating: ${rating}`);
+    } else {
+      const index = start + 1 + ratingLine;
+      lines[index] = lines[index].replace(/(performance_rating:\s*)[^\s#]+/, `$1${rating}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    await this.dbManager.close();
+  }
+}
+
+module.exports = EvalRunner;
+module.exports.DEFAULT_JUDGE_MODEL = DEFAULT_JUDGE_MODEL;
+
+// #endregion end: Eval Runner for The Steward
@@ -0,0 +1,182 @@
+// #region start: Eval Suite for The Steward
+// Loads and validates YAML eval suites: prompts for one classifier task type and the properties a good answer has
+// Suites live in evals/*.yaml and are run by the EvalRunner
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SUITES_DIR = path.join(__dirname, '../../evals');
+const CHECK_TYPES = ['contains', 'regex', 'json_schema', 'rubric'];
+
+/**
+ * EvalSuite - One task type's cases with their expected properties
+ *
+ * Each case has a prompt and a list of checks:
+ * - contains: text (or list of texts) the answer must include, case-insensitive
+ * - regex: pattern the answer must match (flags optional)
+ * - json_schema: schema the JSON in the answer must satisfy
+ * - rubric: criteria a local judge model scores from 0 to 10 (passes at min_score, default 7)
+ * Every check may carry a weight; mock_response fields are used only by the mock adapter
+ */
+class EvalSuite {
+  /**
+   * @param {object} data - Validated suite data
+   * @param {string} name - Suite name; defaults to data.name
+   */
+  constructor(data, name = null) {
+    this.name = data.name || name;
+    this.task_type = data.task_type;
+    this.description = data.description || '';
+    this.judge_model = data.judge_model || null;
+    this.options = data.options || {};
+    this.cases = data.cases.map(evalCase => ({
+      ...evalCase,
+      expect: evalCase.expect.map(check => ({ ...check, type: CHECK_TYPES.find(type => type in check) }))
+    }));
+  }
+
+  /**
+   * Check suite data before it is used
+   * @param {object} data - Parsed suite
+   * @returns {string[]} Problems; empty when the suite is valid
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['suite must be a mapping'];
+    }
+
+    const problems = [];
+    if (typeof data.task_type !== 'string' || !data.task_type.trim()) {
+      problems.push('task_type is required');
+    }
+    if (data.options != null && (typeof data.options !== 'object' || Array.isArray(data.options))) {
+      problems.push('options must be a mapping');
+    }
+    if (!Array.isArray(data.cases) || data.cases.length === 0) {
+      problems.push('cases must be a non-empty list');
+      return problems;
+    }
+
+    const ids = new Set();
+    data.cases.forEach((evalCase, i) => {
+      const at = `cases[${i}]`;
+      if (!evalCase || typeof evalCase !== 'object') {
+        problems.push(`${at} must be a mapping`);
+        return;
+      }
+      if (typeof evalCase.id !== 'string' || !evalCase.id.trim()) {
+        problems.push(`${at}.id is required`);
+      } else if (ids.has(evalCase.id)) {
+        problems.push(`${at}.id ${evalCase.id} is used twice`);
+      } else {
+        ids.add(evalCase.id);
+      }
+      if (typeof evalCase.prompt !== 'string' || !evalCase.prompt.trim()) {
+        problems.push(`${at}.prompt is required`);
+      }
+      if (!Array.isArray(evalCase.expect) || evalCase.expect.length === 0) {
+        problems.push(`${at}.expect must be a non-empty list of checks`);
+        return;
+      }
+      evalCase.expect.forEach((check, j) => {
+        problems.push(...EvalSuite.validateCheck(check).map(problem => `${at}.expect[${j}] ${problem}`));
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Check one expected property
+   * @private
+   * @returns {string[]} Problems
+   */
+  static validateCheck(check) {
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+      return ['must be a mapping'];
+    }
+
+    const types = CHECK_TYPES.filter(type => type in check);
+    if (types.length !== 1) {
+      return [`must have exactly one of ${CHECK_TYPES.join(', ')}`];
+    }
+
+    const problems = [];
+    const value = check[types[0]];
+    if (types[0] === 'contains') {
+      const texts = Array.isArray(value) ? value : [value];
+      if (texts.length === 0 || texts.some(text => typeof text !== 'string' || !text)) {
+        problems.push('contains must be a text or a list of texts');
+      }
+    } else if (types[0] === 'regex') {
+      try {
+        new RegExp(value, check.flags || '');
+      } catch (error) {
+        problems.push(`regex is invalid: ${error.message}`);
+      }
+    } else if (types[0] === 'json_schema') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push('json_schema must be a schema mapping');
+      }
+    } else if (typeof value !== 'string' || !value.trim()) {
+      problems.push('rubric must describe what a good answer does');
+    }
+
+    if (check.weight != null && !(typeof check.weight === 'number' && check.weight > 0)) {
+      problems.push('weight must be a positive number');
+    }
+    if (check.min_score != null && !(typeof check.min_score === 'number' && check.min_score >= 0 && check.min_score <= 10)) {
+      problems.push('min_score must be between 0 and 10');
+    }
+    return problems;
+  }
+
+  /**
+   * Build a suite from parsed data
+   * @param {object} data - Parsed suite
+   * @param {string} name - Suite name when data has none
+   * @returns {EvalSuite}
+   */
+  static fromObject(data, name = null) {
+    const problems = EvalSuite.validate(data);
+    if (problems.length > 0) {
+      throw new Error(`Invalid eval suite ${data?.name || name || ''}: ${problems.join('; ')}`);
+    }
+    return new EvalSuite(data, name);
+  }
+
+  /**
+   * Load a suite file; the suite is named after the file unless it sets name
+   * @param {string} filePath - Path to a .yaml suite
+   * @returns {EvalSuite}
+   */
+  static load(filePath) {
+    const data = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    return EvalSuite.fromObject(data, path.basename(filePath).replace(/\.ya?ml$/, ''));
+  }
+
+  /**
+   * Load every suite in a directory
+   * @param {string} dir - Suites directory (default: evals/)
+   * @param {object} filters - {suite, task_type}
+   * @returns {EvalSuite[]} Suites sorted by name
+   */
+  static loadAll(dir = SUITES_DIR, { suite = null, task_type = null } = {}) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Eval suites directory not found: ${dir}`);
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => /\.ya?ml$/.test(file))
+      .sort()
+      .map(file => EvalSuite.load(path.join(dir, file)))
+      .filter(loaded => (!suite || loaded.name === suite) && (!task_type || loaded.task_type === task_type));
+  }
+}
+
+module.exports = EvalSuite;
+module.exports.SUITES_DIR = SUITES_DIR;
+module.exports.CHECK_TYPES = CHECK_TYPES;
+
+// #endregion end: Eval Suite for The Steward
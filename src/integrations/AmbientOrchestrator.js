@@ -17,6 +17,7 @@ const EventEmitter = require('events');
  * - Provide unified API for ambient intelligence operations
  * - Handle conflict resolution and data consistency
  * - Monitor cross-app workflow progress and completion
+ * - Save coordinated workflows to SQLite so they survive a restart
  */
 class AmbientOrchestrator extends EventEmitter {
   constructor(options = {}) {
@@ -43,7 +44,9 @@ class AmbientOrchestrator extends EventEmitter {
       appleNotes: new AppleNotesIntegration(options.appleNotes || {})
     };
 
-    // Orchestration state
+    // Orchestration state; workflows are saved through options.dbManager when there is one
+    this.dbManager = options.dbManager || null;
+    this.persistence = Promise.resolve();
     this.activeWorkflows = new Map();
     this.contextSyncQueue = [];
     this.operationQueue = [];
@@ -69,6 +72,8 @@ class AmbientOrchestrator extends EventEmitter {
     try {
       console.log('Initializing AmbientOrchestrator...');
 
+      await this.restoreWorkflows();
+
       // Initialize all integrations in parallel
       const integrationResults = await Promise.allSettled([
         this.integrations.notion.initialize(),
@@ -151,6 +156,7 @@ class AmbientOrchestrator extends EventEmitter {
         dependencies: new Set(),
         sync_points: []
       });
+      this.persistWorkflow(workflowId, { event_type: 'state', to_state: 'coordinating', details: { target_apps: targetApps } });
 
       // Add realistic delay for dry-run mode to enable performance testing
       if (options.dryRun && options.performanceTest) {
@@ -227,6 +233,12 @@ class AmbientOrchestrator extends EventEmitter {
       results.coordination_time = Date.now() - startTime;
       results.success = Object.values(results.app_results).some(result => result.success);
       results.apps_coordinated = Object.keys(results.app_results);
+      this.persistWorkflow(workflowId, {
+        event_type: 'state',
+        from_state: 'coordinating',
+        to_state: 'active',
+        details: { apps_coordinated: results.apps_coordinated, success: results.success }
+      });
 
       // Emit coordination complete event
       this.emit('workflow_coordinated', {
@@ -242,6 +254,14 @@ class AmbientOrchestrator extends EventEmitter {
     } catch (error) {
       console.error('Error coordinating workflow:', error);
       this.operationStats.errors_handled++;
+
+      const workflowId = workflowData.workflow_id || workflowData.id;
+      const workflow = this.activeWorkflows.get(workflowId);
+      if (workflow?.status === 'coordinating') {
+        workflow.status = 'failed';
+        workflow.error = error.message;
+        this.persistWorkflow(workflowId, { event_type: 'state', from_state: 'coordinating', to_state: 'failed', details: { error: error.message } });
+      }
       
       return {
         success: false,
@@ -544,6 +564,7 @@ class AmbientOrchestrator extends EventEmitter {
         workflow.shared_context = {};
       }
       workflow.shared_context[sourceApp] = contextData;
+      this.persistWorkflow(workflowId, { event_type: 'context', details: { source_app: sourceApp } });
 
       // Schedule context sync to other apps
       const syncUpdate = {
@@ -758,6 +779,74 @@ class AmbientOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Save a snapshot of a coordinated workflow, with an event for its audit trail
+   * Writes are queued so they land in order; one that fails is logged and coordination carries on
+   */
+  persistWorkflow(workflowId, event = null) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!this.dbManager || !workflow) {
+      return this.persistence;
+    }
+
+    // Sets do not survive JSON
+    const definition = JSON.parse(JSON.stringify({ ...workflow, dependencies: [...workflow.dependencies] }));
+    const snapshot = {
+      id: workflowId,
+      kind: 'ambient',
+      name: workflow.name || workflow.project_context || null,
+      state: workflow.status,
+      definition,
+      created_at: new Date(workflow.start_time).toISOString()
+    };
+
+    this.persistence = this.persistence
+      .then(async () => {
+        await this.dbManager.saveWorkflowState(snapshot);
+        if (event) {
+          await this.dbManager.saveWorkflowEvent({ workflow_id: workflowId, ...event });
+        }
+      })
+      .catch(error => console.warn(`Could not save state of ambient workflow ${workflowId}:`, error.message));
+    return this.persistence;
+  }
+
+  /**
+   * Load the coordinated workflows saved before a restart
+   * Coordination that was cut off is marked failed rather than run again, since the apps may
+   * already hold some of its pages, tasks or notes
+   */
+  async restoreWorkflows() {
+    if (!this.dbManager) {
+      return { restored: 0, interrupted: 0 };
+    }
+
+    const saved = await this.dbManager.getWorkflowStates('ambient', ['coordinating', 'active']);
+    let restored = 0;
+    let interrupted = 0;
+    for (const { id, definition } of saved) {
+      if (this.activeWorkflows.has(id)) {
+        continue;
+      }
+      restored++;
+
+      this.activeWorkflows.set(id, { ...definition, dependencies: new Set(definition.dependencies || []) });
+      this.crossAppDependencies.set(id, definition.dependencies || []);
+      this.persistWorkflow(id, { event_type: 'restored', details: { state: definition.status } });
+
+      if (definition.status === 'coordinating') {
+        const workflow = this.activeWorkflows.get(id);
+        workflow.status = 'failed';
+        workflow.error = 'Interrupted by a restart';
+        this.persistWorkflow(id, { event_type: 'state', from_state: 'coordinating', to_state: 'failed', details: { error: workflow.error } });
+        interrupted++;
+      }
+    }
+
+    await this.persistence;
+    return { restored, interrupted };
+  }
+
   /**
    * Get orchestration status and statistics
    */
@@ -836,7 +925,8 @@ class AmbientOrchestrator extends EventEmitter {
         this.integrations.appleNotes.close()
       ]);
 
-      // Clear state
+      // Clear state once it is saved
+      await this.persistence;
       this.activeWorkflows.clear();
       this.contextSyncQueue = [];
       this.operationQueue = [];
@@ -0,0 +1,219 @@
+// #region start: Context Collector for The Steward
+// Normalizes editor, terminal, browser and file watcher activity into the context_data table
+// Summarizes recent activity so the ContextEngine can see which project is actually being worked on
+
+const path = require('path');
+const SensitiveDataScanner = require('../../models/SensitiveDataScanner');
+
+const SOURCE_TYPES = ['vscode', 'terminal', 'browser', 'system', 'manual', 'file_watcher'];
+const COGNITIVE_LOADS = ['light', 'medium', 'heavy'];
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Activity touching these is kept only briefly, see DatabaseManager.pruneContextData
+const SENSITIVE_PATHS = /(^|[/\\])(\.env(\..*)?|\.ssh|\.aws|\.gnupg|\.netrc|id_[a-z0-9]+|[^/\\]+\.(pem|key|p12|pfx))($|[/\\])/i;
+const SENSITIVE_COMMANDS = /^\s*(sudo\s+)?(ssh|scp|gpg|pass|op|vault|aws\s+configure|security\s+find)\b/i;
+
+/**
+ * ContextCollector - Records real activity and reports the project it points to
+ *
+ * Key Features:
+ * - Validates and normalizes events from the shell hook, file watcher and collector API
+ * - Derives project names from git repositories and file types from extensions
+ * - Masks secrets in commands and URLs with the SensitiveDataScanner and flags sensitive activity for short retention
+ * - Summarizes recent activity per project with switch counts for ADHD awareness
+ */
+class ContextCollector {
+  /**
+   * @param {object} options - {dbManager, retentionDays, sensitiveDataScanner}
+   */
+  constructor(options = {}) {
+    this.dbManager = options.dbManager;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.sensitiveDataScanner = options.sensitiveDataScanner || new SensitiveDataScanner();
+  }
+
+  /**
+   * Check an incoming event
+   * @param {object} event - Raw event
+   * @returns {string[]} Problems; empty when the event is valid
+   */
+  static validate(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      return ['event must be an object'];
+    }
+
+    const problems = [];
+    if (!SOURCE_TYPES.includes(event.source_type)) {
+      problems.push(`source_type must be one of ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (typeof event.activity_type !== 'string' || !event.activity_type.trim()) {
+      problems.push('activity_type is required');
+    }
+    if (event.cognitive_load != null && !COGNITIVE_LOADS.includes(event.cognitive_load)) {
+      problems.push(`cognitive_load must be one of ${COGNITIVE_LOADS.join(', ')}`);
+    }
+    if (event.retention_days != null && !(Number.isInteger(event.retention_days) && event.retention_days > 0)) {
+      problems.push('retention_days must be a positive integer');
+    }
+    if (event.timestamp != null && isNaN(new Date(event.timestamp).getTime())) {
+      problems.push('timestamp must be a date');
+    }
+    return problems;
+  }
+
+  /**
+   * Replace secrets in a command or URL with [REDACTED_...] placeholders
+   * @param {string} text - Text to redact
+   * @returns {{text: string, redacted: boolean}}
+   */
+  redact(text) {
+    if (typeof text !== 'string') return { text, redacted: false };
+
+    const redactedText = this.sensitiveDataScanner.mask(text);
+    return { text: redactedText, redacted: redactedText !== text };
+  }
+
+  /**
+   * Turn a raw event into context_data columns
+   * @param {object} event - Event from the shell hook, file watcher or collector API
+   * @returns {object} Event ready for DatabaseManager.logContextEvent
+   */
+  normalize(event) {
+    const problems = ContextCollector.validate(event);
+    if (problems.length > 0) {
+      throw new Error(`Invalid context event: ${problems.join('; ')}`);
+    }
+
+    const sourceDetails = { ...(event.source_details || {}) };
+    const activityData = { ...(event.activity_data || {}) };
+    let sensitive = !!event.contains_sensitive;
+
+    for (const field of ['command', 'url']) {
+      if (typeof activityData[field] !== 'string') continue;
+      const { text, redacted } = this.redact(activityData[field]);
+      activityData[field] = text;
+      sensitive = sensitive || redacted || (field === 'command' && SENSITIVE_COMMANDS.test(text));
+    }
+
+    const filePath = event.file_path || null;
+    if (filePath && SENSITIVE_PATHS.test(filePath)) {
+      sensitive = true;
+    }
+
+    const gitRoot = sourceDetails.git_root || activityData.git_root;
+    const projectName = event.project_name || (gitRoot ? path.basename(gitRoot) : null);
+    const fileType = event.file_type || (filePath ? path.extname(filePath).slice(1).toLowerCase() || null : null);
+
+    return {
+      source_type: event.source_type,
+      source_details: sourceDetails,
+      activity_type: event.activity_type.trim(),
+      activity_data: activityData,
+      project_name: projectName,
+      file_path: filePath,
+      file_type: fileType,
+      duration_seconds: event.duration_seconds ?? null,
+      session_id: event.session_id || null,
+      current_task: event.current_task || null,
+      cognitive_load: event.cognitive_load || null,
+      contains_sensitive: sensitive,
+      retention_days: event.retention_days || this.retentionDays,
+      timestamp: event.timestamp ? this.toSqliteTimestamp(event.timestamp) : null
+    };
+  }
+
+  /**
+   * Store one or more events
+   * @param {object|object[]} events - Raw events
+   * @returns {Promise<number[]>} Stored event IDs
+   */
+  async record(events) {
+    const batch = Array.isArray(events) ? events : [events];
+    // Validate the whole batch before storing any of it
+    const normalized = batch.map(event => this.normalize(event));
+
+    const ids = [];
+    for (const event of normalized) {
+      ids.push(await this.dbManager.logContextEvent(event));
+    }
+    return ids;
+  }
+
+  /**
+   * Summarize recent activity per project
+   * @param {object} options - {minutes, limit}
+   * @returns {Promise<object>} {event_count, event_ids, projects, current_project, timeline, switches, window_minutes}
+   */
+  async recentActivity({ minutes = 15, limit = 200 } = {}) {
+    const events = await this.dbManager.getContextEvents({ minutes, limit });
+    const withProject = events.filter(event => event.project_name);
+
+    const projects = new Map();
+    for (const event of withProject) {
+      const entry = projects.get(event.project_name) || {
+        project: event.project_name,
+        events: 0,
+        last_seen: event.timestamp,
+        sources: []
+      };
+      entry.events += 1;
+      if (!entry.sources.includes(event.source_type)) entry.sources.push(event.source_type);
+      projects.set(event.project_name, entry);
+    }
+
+    const projectList = [...projects.values()].map(entry => ({
+      ...entry,
+      share: entry.events / withProject.length
+    }));
+
+    // Events come most recent first; the timeline reads oldest first
+    const timeline = withProject
+      .map(event => ({
+        project: event.project_name,
+        timestamp: this.fromSqliteTimestamp(event.timestamp),
+        source_type: event.source_type
+      }))
+      .reverse();
+    const switches = timeline.filter((entry, i) => i > 0 && entry.project !== timeline[i - 1].project).length;
+
+    return {
+      event_count: events.length,
+      event_ids: events.map(event => event.id),
+      projects: projectList,
+      current_project: projectList.length > 0 ? projectList[0] : null,
+      timeline,
+      switches,
+      window_minutes: minutes
+    };
+  }
+
+  /**
+   * Delete events past their retention
+   * @param {object} options - {sensitiveDays, maxDays}
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async prune(options = {}) {
+    return this.dbManager.pruneContextData(options);
+  }
+
+  /**
+   * Convert a date to SQLite's CURRENT_TIMESTAMP format (UTC)
+   * @private
+   */
+  toSqliteTimestamp(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Convert a stored SQLite timestamp (UTC) to ISO 8601
+   * @private
+   */
+  fromSqliteTimestamp(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`).toISOString();
+  }
+}
+
+module.exports = ContextCollector;
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
+
+// #endregion end: Context Collector
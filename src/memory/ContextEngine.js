@@ -3,12 +3,17 @@
 // Enables intelligent model selection based on historical patterns and project requirements
 
 const ProjectMemoryManager = require('./ProjectMemoryManager');
+const ContextCollector = require('./ContextCollector');
+const DatabaseManager = require('../../database/DatabaseManager');
+
+// Activity from the last 15 minutes decides the current project
+const ACTIVITY_WINDOW_MINUTES = 15;
 
 /**
  * ContextEngine - Intelligent context detection and routing recommendation engine
  * 
  * Key Features:
- * - Real-time project context detection from task input
+ * - Real-time project context detection from editor, terminal and file activity, falling back to task input
  * - Historical pattern correlation for routing decisions
  * - Context switching awareness for ADHD accommodation
  * - Cross-session learning integration
@@ -16,6 +21,9 @@ const ProjectMemoryManager = require('./ProjectMemoryManager');
 class ContextEngine {
   constructor(options = {}) {
     this.memoryManager = new ProjectMemoryManager(options);
+    this.ownsActivityDb = !options.contextCollector;
+    this.contextCollector = options.contextCollector ||
+      new ContextCollector({ dbManager: new DatabaseManager(options.stewardDbPath) });
     this.contextCache = new Map();
     this.sessionHistory = [];
     
@@ -81,6 +89,11 @@ class ContextEngine {
       
       // Step 6: Update session history for learning
       this.updateSessionHistory(taskInput, contextAnalysis);
+
+      if (projectContext.activity?.event_ids.length > 0) {
+        this.contextCollector.dbManager.markContextUsedForRouting(projectContext.activity.event_ids)
+          .catch(error => console.warn('Could not mark context events:', error.message));
+      }
       
       return contextAnalysis;
       
@@ -91,9 +104,33 @@ class ContextEngine {
   }
 
   /**
-   * Detect project context from task input
+   * Detect project context from recent activity, or from task input when there is none
    */
   async detectProjectContext(taskInput) {
+    const promptDetection = await this.detectPromptContext(taskInput);
+    const activity = await this.getRecentActivity();
+
+    if (!activity?.current_project) {
+      return { ...promptDetection, source: 'prompt', activity };
+    }
+
+    // What the user is actually editing and running outranks keywords in the prompt
+    const current = activity.current_project;
+    return {
+      project: current.project,
+      context_type: promptDetection.context_type,
+      confidence: Math.min(0.6 + current.share * 0.4, 1.0),
+      keywords_matched: promptDetection.keywords_matched,
+      source: 'activity',
+      activity,
+      original_detection: promptDetection
+    };
+  }
+
+  /**
+   * Detect project context from task input keywords
+   */
+  async detectPromptContext(taskInput) {
     // Check cache first
     const cacheKey = this.generateContextCacheKey(taskInput);
     if (this.contextCache.has(cacheKey)) {
@@ -112,6 +149,19 @@ class ContextEngine {
     return enhancedDetection;
   }
 
+  /**
+   * Summarize recent editor, terminal and file activity; null when the collector has nothing
+   */
+  async getRecentActivity() {
+    try {
+      const activity = await this.contextCollector.recentActivity({ minutes: ACTIVITY_WINDOW_MINUTES });
+      return activity.event_count > 0 ? activity : null;
+    } catch (error) {
+      console.warn('Context activity unavailable:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Enhance context detection with additional analysis
    */
@@ -169,6 +219,10 @@ class ContextEngine {
    * Analyze context switching patterns for ADHD awareness
    */
   analyzeContextSwitching(currentContext) {
+    if (currentContext.activity?.timeline.length > 1) {
+      return this.analyzeActivitySwitching(currentContext);
+    }
+
     const now = Date.now();
     const recentHistory = this.sessionHistory.filter(entry => 
       now - new Date(entry.timestamp).getTime() < this.contextSwitchingPatterns.rapid_switching.timeWindow
@@ -197,7 +251,42 @@ class ContextEngine {
       recommended_accommodation: isRapidSwitching ? 
         this.contextSwitchingPatterns.rapid_switching.accommodation :
         (isHyperfocus ? this.contextSwitchingPatterns.hyperfocus.accommodation : 'standard'),
-      pattern_confidence: Math.max(recentHistory.length / 10, 0.1)
+      pattern_confidence: Math.max(recentHistory.length / 10, 0.1),
+      source: 'session'
+    };
+  }
+
+  /**
+   * Analyze context switching from the projects recent activity moved between
+   */
+  analyzeActivitySwitching(currentContext) {
+    const now = Date.now();
+    const { timeline } = currentContext.activity;
+    const recentTimeline = timeline.filter(entry =>
+      now - new Date(entry.timestamp).getTime() < this.contextSwitchingPatterns.rapid_switching.timeWindow
+    );
+
+    const uniqueContexts = [...new Set(recentTimeline.map(entry => entry.project))];
+    const isRapidSwitching = uniqueContexts.length >= this.contextSwitchingPatterns.rapid_switching.threshold;
+
+    // Hyperfocus: the whole activity window stayed on the current project
+    const isHyperfocus = timeline.length >= this.contextSwitchingPatterns.hyperfocus.threshold &&
+                        timeline.every(entry => entry.project === currentContext.project);
+
+    const switches = recentTimeline.filter((entry, i) => i > 0 && entry.project !== recentTimeline[i - 1].project).length;
+    const contextSwitchFrequency = recentTimeline.length > 1 ? switches / (recentTimeline.length - 1) : 0;
+
+    return {
+      is_rapid_switching: isRapidSwitching,
+      is_hyperfocus: isHyperfocus,
+      recent_contexts: uniqueContexts,
+      switch_frequency: contextSwitchFrequency,
+      switch_count: switches,
+      recommended_accommodation: isRapidSwitching ?
+        this.contextSwitchingPatterns.rapid_switching.accommodation :
+        (isHyperfocus ? this.contextSwitchingPatterns.hyperfocus.accommodation : 'standard'),
+      pattern_confidence: Math.min(Math.max(timeline.length / 10, 0.1), 1.0),
+      source: 'activity'
     };
   }
 
@@ -519,6 +608,9 @@ class ContextEngine {
    */
   async close() {
     await this.memoryManager.close();
+    if (this.ownsActivityDb) {
+      await this.contextCollector.dbManager.close();
+    }
     this.contextCache.clear();
     this.sessionHistory = [];
   }
@@ -0,0 +1,107 @@
+// #region start: JSON Schema Validation
+// Validates values against the commonly used subset of JSON Schema
+// Keywords: type, enum, const, required, properties, additionalProperties, items,
+// minItems, maxItems, minLength, maxLength, pattern, minimum, maximum, anyOf
+
+/**
+ * JSON Schema type of a value ('integer' values are also 'number')
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema
+ * @param {string} at - Path of the value, for messages
+ * @returns {string[]} Problems; empty when the value matches
+ */
+function validateSchema(value, schema = {}, at = '$') {
+  const problems = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [`${at} should be ${allowed.join(' or ')}, got ${type}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push(`${at} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    problems.push(`${at} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, at).length === 0)) {
+    problems.push(`${at} does not match any allowed schema`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${at} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${at} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${at} should match /${schema.pattern}/`);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${at} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${at} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${at} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${at} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        problems.push(`${at}.${key} is required`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        problems.push(...validateSchema(item, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(item, schema.additionalProperties, `${at}.${key}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateSchema,
+  typeOf
+};
+
+// #endregion end: JSON Schema Validation
@@ -2,7 +2,59 @@
 // Executes automation rules and manages workflow automation triggers
 // Coordinates with ambient intelligence system for seamless workflow execution
 
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TriggerSchedule = require('./TriggerSchedule');
+
+// setTimeout cannot wait longer than this; schedules further out wake up and wait again
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Compare two secrets in constant time; hashing first gives both the same length
+ */
+function secretsMatch(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Match a file name against a glob: *, ?, [abc] and {a,b}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+  for (const char of pattern) {
+    switch (char) {
+      case '*':
+        source += '[^/]*';
+        break;
+      case '?':
+        source += '[^/]';
+        break;
+      case '{':
+        source += '(?:';
+        inGroup = true;
+        break;
+      case '}':
+        source += inGroup ? ')' : '\\}';
+        inGroup = false;
+        break;
+      case ',':
+        source += inGroup ? '|' : ',';
+        break;
+      case '[':
+      case ']':
+        source += char;
+        break;
+      default:
+        source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
 
 /**
  * AutomationEngine - Manages and executes automation rules for ambient intelligence
@@ -14,6 +66,8 @@ const EventEmitter = require('events');
  * - Track automation performance and learning
  * - Integration with ambient intelligence orchestrator
  * - Real-time automation monitoring and control
+ * - Queued, debounced and retried runs are saved to SQLite and picked up again after a restart
+ * - Time (rule.schedule), file-system (rule.watch) and webhook (rule.webhook) triggers
  */
 class AutomationEngine extends EventEmitter {
   constructor(options = {}) {
@@ -27,14 +81,19 @@ class AutomationEngine extends EventEmitter {
       retry_delay: options.retryDelay || 5000, // 5 seconds
       enable_learning: options.enableLearning !== false,
       performance_tracking: options.performanceTracking !== false,
-      conflict_resolution: options.conflictResolution || 'priority_based' // priority_based, timestamp_based, cancel_duplicate
+      conflict_resolution: options.conflictResolution || 'priority_based', // priority_based, timestamp_based, cancel_duplicate
+      file_settle_time: options.fileSettleTime ?? 500 // ms a watched file must be quiet before it triggers
     };
 
-    // State management
+    // State management; the queue is saved through options.dbManager when there is one
     this.isRunning = false;
     this.activeAutomations = new Map();
     this.automationQueue = [];
+    this.dbManager = options.dbManager || null;
+    this.persistence = Promise.resolve();
     this.triggerListeners = new Map();
+    this.scheduledTriggers = new Map();
+    this.fileWatchers = new Map();
     this.performanceStats = new Map();
     
     // Dependencies
@@ -79,6 +138,18 @@ class AutomationEngine extends EventEmitter {
       user_feedback_received: {
         description: 'Triggered when user provides feedback',
         data_format: { feedback_type: 'string', rating: 'number', context: 'string' }
+      },
+      scheduled_time: {
+        description: 'Triggered at the times in the rule\'s schedule, a cron expression or a phrase such as "every weekday at 9"',
+        data_format: { rule_id: 'string', schedule: 'string', scheduled_for: 'string' }
+      },
+      file_changed: {
+        description: 'Triggered when a file matching the rule\'s watch pattern is added to or changed in its directory',
+        data_format: { rule_id: 'string', directory: 'string', path: 'string', file: 'string', event: 'string' }
+      },
+      webhook_received: {
+        description: 'Triggered by POST /api/automation/hooks/:id for the rule\'s webhook',
+        data_format: { hook_id: 'string', payload: 'object' }
       }
     };
 
@@ -99,6 +170,9 @@ class AutomationEngine extends EventEmitter {
         console.warn('AutomationEngine: No template manager provided - template-based automations will be limited');
       }
 
+      // Pick up runs queued before a restart
+      await this.restoreQueue();
+
       // Start the automation engine
       this.startEngine();
       
@@ -155,12 +229,15 @@ class AutomationEngine extends EventEmitter {
       this.cancelAutomation(id);
     });
 
+    this.stopTriggerSources();
+
     this.emit('engine_stopped');
     console.log('Automation engine stopped');
   }
 
   /**
    * Register a trigger event
+   * @returns {object|undefined} The trigger data as passed to the matching rules; undefined when it was ignored
    */
   registerTrigger(triggerType, triggerData = {}) {
     if (!this.isRunning) {
@@ -194,6 +271,8 @@ class AutomationEngine extends EventEmitter {
         trigger_data: enrichedTriggerData
       });
 
+      return enrichedTriggerData;
+
     } catch (error) {
       console.error('Error registering trigger:', error);
     }
@@ -210,7 +289,7 @@ class AutomationEngine extends EventEmitter {
       }
 
       // Get automation rules that match this trigger
-      const matchingRules = this.getMatchingAutomationRules(triggerType);
+      const matchingRules = this.getMatchingAutomationRules(triggerType, triggerData);
       
       if (matchingRules.length === 0) {
         console.log(`No automation rules found for trigger: ${triggerType}`);
@@ -231,14 +310,26 @@ class AutomationEngine extends EventEmitter {
 
   /**
    * Get automation rules that match a trigger type
+   * Schedule and file triggers are for the one rule that set them up; webhooks for the rules on that hook
    */
-  getMatchingAutomationRules(triggerType) {
+  getMatchingAutomationRules(triggerType, triggerData = {}) {
     if (!this.templateManager || !this.templateManager.automationRules) {
       return [];
     }
 
     return Array.from(this.templateManager.automationRules.values())
-      .filter(rule => rule.enabled && rule.trigger === triggerType);
+      .filter(rule => rule.enabled && rule.trigger === triggerType)
+      .filter(rule => {
+        switch (triggerType) {
+          case 'scheduled_time':
+          case 'file_changed':
+            return rule.id === triggerData.rule_id;
+          case 'webhook_received':
+            return this.getWebhookId(rule) === triggerData.hook_id;
+          default:
+            return true;
+        }
+      });
   }
 
   /**
@@ -263,20 +354,13 @@ class AutomationEngine extends EventEmitter {
         }
         
         // Set debounce
-        setTimeout(() => {
-          this.executeAutomation(rule, triggerData);
-        }, rule.debounce);
+        this.enqueueAutomation(rule, triggerData, { delay: rule.debounce });
         
         return;
       }
 
       // Queue for immediate execution
-      this.automationQueue.push({
-        rule,
-        trigger_data: triggerData,
-        queued_at: Date.now(),
-        attempts: 0
-      });
+      this.enqueueAutomation(rule, triggerData);
 
       console.log(`Queued automation: ${rule.name}`);
 
@@ -298,12 +382,7 @@ class AutomationEngine extends EventEmitter {
       // Check if we're at max concurrent automations
       if (this.activeAutomations.size >= this.config.max_concurrent_automations) {
         console.warn(`Max concurrent automations reached (${this.config.max_concurrent_automations}), queueing automation`);
-        this.automationQueue.push({
-          rule,
-          trigger_data: triggerData,
-          queued_at: Date.now(),
-          attempts: 0
-        });
+        this.enqueueAutomation(rule, triggerData);
         return;
       }
 
@@ -467,24 +546,14 @@ class AutomationEngine extends EventEmitter {
       await this.cancelAutomation(conflict.conflicting_automation);
       
       // Queue the higher priority automation
-      this.automationQueue.push({
-        rule,
-        trigger_data: triggerData,
-        queued_at: Date.now(),
-        attempts: 0
-      });
+      this.enqueueAutomation(rule, triggerData);
     }
   }
 
   async resolveTimestampBasedConflict(rule, triggerData, conflict) {
     // In timestamp-based resolution, newer automations wait
     console.log(`Queueing automation due to timestamp-based conflict: ${rule.name}`);
-    this.automationQueue.push({
-      rule,
-      trigger_data: triggerData,
-      queued_at: Date.now(),
-      attempts: 0
-    });
+    this.enqueueAutomation(rule, triggerData);
   }
 
   /**
@@ -517,44 +586,148 @@ class AutomationEngine extends EventEmitter {
     }, 1000); // Process queue every second
   }
 
+  /**
+   * Add a run to the automation queue and save it
+   * @param {object} rule - Automation rule
+   * @param {object} triggerData - Trigger the rule runs for
+   * @param {object} options - {delay} in ms before it may run (debounce), {attempts} made so far
+   * @returns {object} The queue item
+   */
+  enqueueAutomation(rule, triggerData, { delay = 0, attempts = 0 } = {}) {
+    const queuedAt = Date.now();
+    const queuedAutomation = {
+      id: this.generateQueueId(),
+      rule,
+      trigger_data: triggerData,
+      queued_at: queuedAt,
+      run_after: queuedAt + delay,
+      attempts,
+      status: 'queued'
+    };
+
+    this.automationQueue.push(queuedAutomation);
+    this.persistQueueItem(queuedAutomation);
+    return queuedAutomation;
+  }
+
   /**
    * Process the automation queue
+   * Runs the first item that is due; debounced and retried items wait for their run_after time
    */
   async processAutomationQueue() {
     if (this.automationQueue.length === 0) return;
     if (this.activeAutomations.size >= this.config.max_concurrent_automations) return;
 
-    const queuedAutomation = this.automationQueue.shift();
-    if (!queuedAutomation) return;
+    const index = this.automationQueue.findIndex(item => item.run_after <= Date.now());
+    if (index === -1) return;
+    const [queuedAutomation] = this.automationQueue.splice(index, 1);
 
     const { rule, trigger_data, attempts } = queuedAutomation;
 
     // Check if automation has timed out in queue
-    const queueTime = Date.now() - queuedAutomation.queued_at;
+    const queueTime = Date.now() - queuedAutomation.run_after;
     if (queueTime > this.config.automation_timeout) {
       console.warn(`Automation timed out in queue: ${rule.name}`);
+      this.removeQueueItem(queuedAutomation);
       return;
     }
 
+    // Saved as running, so a restart part way through does not run its actions twice
+    queuedAutomation.status = 'running';
+    this.persistQueueItem(queuedAutomation);
+
     try {
       await this.executeAutomation(rule, trigger_data);
+      this.removeQueueItem(queuedAutomation);
     } catch (error) {
       console.error(`Error processing queued automation ${rule.name}:`, error);
       
       // Retry if enabled and under retry limit
       if (this.config.retry_failed_automations && attempts < this.config.max_retries) {
         console.log(`Retrying automation ${rule.name} (attempt ${attempts + 1}/${this.config.max_retries})`);
-        
-        setTimeout(() => {
-          this.automationQueue.push({
-            ...queuedAutomation,
-            attempts: attempts + 1
-          });
-        }, this.config.retry_delay);
+
+        Object.assign(queuedAutomation, {
+          attempts: attempts + 1,
+          run_after: Date.now() + this.config.retry_delay,
+          status: 'queued'
+        });
+        this.automationQueue.push(queuedAutomation);
+        this.persistQueueItem(queuedAutomation);
+      } else {
+        this.removeQueueItem(queuedAutomation);
       }
     }
   }
 
+  /**
+   * Save a queue item; writes are queued so they land in order, and one that fails is only logged
+   */
+  persistQueueItem(queuedAutomation) {
+    if (!this.dbManager) return this.persistence;
+
+    const item = { ...queuedAutomation };
+    this.persistence = this.persistence
+      .then(() => this.dbManager.saveAutomationQueueItem(item))
+      .catch(error => console.warn(`Could not save queued automation ${item.id}:`, error.message));
+    return this.persistence;
+  }
+
+  /**
+   * Remove a finished queue item from the database
+   */
+  removeQueueItem(queuedAutomation) {
+    if (!this.dbManager) return this.persistence;
+
+    this.persistence = this.persistence
+      .then(() => this.dbManager.deleteAutomationQueueItem(queuedAutomation.id))
+      .catch(error => console.warn(`Could not remove queued automation ${queuedAutomation.id}:`, error.message));
+    return this.persistence;
+  }
+
+  /**
+   * Load the runs queued before a restart
+   * Waiting runs are queued again, using the current version of their rule; a run that had started
+   * is marked failed rather than run again, since some of its actions may already have happened
+   * @returns {Promise<object>} {restored, interrupted}
+   */
+  async restoreQueue() {
+    if (!this.dbManager) {
+      return { restored: 0, interrupted: 0 };
+    }
+
+    const saved = await this.dbManager.getAutomationQueue(['queued', 'running']);
+    let restored = 0;
+    let interrupted = 0;
+    for (const item of saved) {
+      if (this.automationQueue.some(queued => queued.id === item.id)) {
+        continue;
+      }
+
+      if (item.status === 'running') {
+        await this.dbManager.saveAutomationQueueItem({ ...item, status: 'failed', error: 'Interrupted by a restart' });
+        interrupted++;
+        continue;
+      }
+
+      this.automationQueue.push({
+        id: item.id,
+        rule: this.templateManager?.automationRules?.get(item.rule_id) || item.rule,
+        trigger_data: item.trigger_data,
+        queued_at: item.queued_at,
+        // The queue timeout counts from the restart for runs that were already due
+        run_after: Math.max(item.run_after, Date.now()),
+        attempts: item.attempts,
+        status: 'queued'
+      });
+      restored++;
+    }
+
+    if (saved.length > 0) {
+      console.log(`Restored ${restored} queued automations, ${interrupted} interrupted`);
+    }
+    return { restored, interrupted };
+  }
+
   /**
    * Set up built-in trigger listeners
    */
@@ -576,9 +749,186 @@ class AutomationEngine extends EventEmitter {
       this.registerTrigger('project_context_switch', data);
     });
 
+    // Schedules and watched directories come from the rules, so set them up again when a rule is added
+    if (this.templateManager && typeof this.templateManager.on === 'function' && !this.ruleCreatedListener) {
+      this.ruleCreatedListener = () => this.setupTriggerSources();
+      this.templateManager.on('automation_rule_created', this.ruleCreatedListener);
+    }
+    this.setupTriggerSources();
+
     console.log('Built-in trigger listeners set up');
   }
 
+  /**
+   * Start the timers and file watchers of the enabled scheduled_time and file_changed rules
+   * A rule whose schedule or directory is unusable is skipped with a warning
+   */
+  setupTriggerSources() {
+    this.stopTriggerSources();
+    if (!this.templateManager || !this.templateManager.automationRules) return;
+
+    for (const rule of this.templateManager.automationRules.values()) {
+      if (!rule.enabled) continue;
+
+      try {
+        if (rule.trigger === 'scheduled_time') {
+          this.scheduleRule(rule, TriggerSchedule.parse(rule.schedule));
+        } else if (rule.trigger === 'file_changed') {
+          this.watchRule(rule);
+        }
+      } catch (error) {
+        console.warn(`Automation rule ${rule.name} has no ${rule.trigger} trigger:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stop every schedule timer and file watcher
+   */
+  stopTriggerSources() {
+    this.scheduledTriggers.forEach(scheduled => clearTimeout(scheduled.timer));
+    this.scheduledTriggers.clear();
+
+    this.fileWatchers.forEach(({ watcher, pending }) => {
+      pending.forEach(timer => clearTimeout(timer));
+      watcher.close();
+    });
+    this.fileWatchers.clear();
+  }
+
+  /**
+   * Fire a rule's scheduled_time trigger at each time in its schedule
+   * Times that pass while the engine is stopped are not made up
+   */
+  scheduleRule(rule, schedule) {
+    const nextRun = schedule.next();
+    if (!nextRun) {
+      console.warn(`Schedule "${rule.schedule}" of automation rule ${rule.name} never fires`);
+      this.scheduledTriggers.delete(rule.id);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (Date.now() >= nextRun.getTime()) {
+        this.registerTrigger('scheduled_time', {
+          rule_id: rule.id,
+          schedule: rule.schedule,
+          scheduled_for: nextRun.toISOString()
+        });
+      }
+      this.scheduleRule(rule, schedule);
+    }, Math.min(nextRun.getTime() - Date.now(), MAX_TIMER_DELAY));
+
+    this.scheduledTriggers.set(rule.id, { schedule, next_run: nextRun, timer });
+  }
+
+  /**
+   * Fire a rule's file_changed trigger when a file matching rule.watch.pattern is added to or changed in
+   * rule.watch.directory (not its subdirectories). Events for one file are gathered until it has been quiet
+   * for file_settle_time, so one save triggers once; rule.watch.events may add 'removed'
+   */
+  watchRule(rule) {
+    const { directory, pattern = '*', events = ['added', 'changed'] } = rule.watch || {};
+    if (!directory) {
+      throw new Error('watch.directory is required');
+    }
+
+    const watchedDirectory = path.resolve(directory.replace(/^~(?=$|\/)/, os.homedir()));
+    const matcher = globToRegExp(pattern);
+    const known = new Set(fs.readdirSync(watchedDirectory));
+    const pending = new Map();
+
+    const watcher = fs.watch(watchedDirectory, (eventType, file) => {
+      if (!file || !matcher.test(file)) return;
+
+      clearTimeout(pending.get(file));
+      pending.set(file, setTimeout(() => {
+        pending.delete(file);
+        const filePath = path.join(watchedDirectory, file);
+        const exists = fs.existsSync(filePath);
+        const event = !exists ? 'removed' : known.has(file) ? 'changed' : 'added';
+        if (exists) known.add(file); else known.delete(file);
+
+        if (events.includes(event)) {
+          this.registerTrigger('file_changed', { rule_id: rule.id, directory: watchedDirectory, path: filePath, file, event });
+        }
+      }, this.config.file_settle_time));
+    });
+    watcher.on('error', error => console.warn(`Stopped watching ${watchedDirectory} for ${rule.name}:`, error.message));
+
+    this.fileWatchers.set(rule.id, { watcher, pending, directory: watchedDirectory, pattern });
+  }
+
+  /**
+   * Hook id a webhook_received rule listens on; the rule's id unless it sets webhook
+   */
+  getWebhookId(rule) {
+    return rule.webhook || rule.id;
+  }
+
+  /**
+   * Check a webhook request against the secret of every enabled rule on its hook
+   * A rule names the environment variable holding its secret in webhook_secret_env; the request proves it with
+   * X-Steward-Signature: sha256=<HMAC-SHA256 of the raw body> or X-Steward-Token: <secret>. A rule without a
+   * secret is never fired over HTTP
+   * @param {string} hookId - Hook id from the URL
+   * @param {object} request - {body: raw request body, signature, token}
+   * @returns {boolean} False too when no enabled rule listens on the hook
+   */
+  verifyWebhook(hookId, { body = '', signature = null, token = null } = {}) {
+    const rules = this.getMatchingAutomationRules('webhook_received', { hook_id: hookId });
+
+    return rules.length > 0 && rules.every(rule => {
+      const secret = rule.webhook_secret_env ? process.env[rule.webhook_secret_env] : null;
+      if (!secret) return false;
+      if (signature) {
+        return secretsMatch(signature, `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+      }
+      return Boolean(token) && secretsMatch(token, secret);
+    });
+  }
+
+  /**
+   * Fire the webhook_received trigger of the rules on a hook
+   * @param {string} hookId - Hook id from the URL
+   * @param {object} payload - Request body, passed on as trigger_data.payload
+   * @returns {object|null} {hook_id, rules, trigger_id}; null when no enabled rule listens on the hook
+   */
+  receiveWebhook(hookId, payload = {}) {
+    const rules = this.getMatchingAutomationRules('webhook_received', { hook_id: hookId });
+    if (rules.length === 0) return null;
+
+    const triggerData = this.registerTrigger('webhook_received', { hook_id: hookId, payload });
+    return {
+      hook_id: hookId,
+      rules: rules.map(rule => rule.id),
+      trigger_id: triggerData ? triggerData.trigger_id : null
+    };
+  }
+
+  /**
+   * Schedules, watched directories and webhooks of the enabled rules
+   * @returns {Array} {rule_id, rule_name, trigger, ...}; next_run for schedules
+   */
+  getTriggerSources() {
+    if (!this.templateManager || !this.templateManager.automationRules) return [];
+
+    return Array.from(this.templateManager.automationRules.values())
+      .filter(rule => rule.enabled && ['scheduled_time', 'file_changed', 'webhook_received'].includes(rule.trigger))
+      .map(rule => {
+        const source = { rule_id: rule.id, rule_name: rule.name, trigger: rule.trigger };
+        if (rule.trigger === 'scheduled_time') {
+          const scheduled = this.scheduledTriggers.get(rule.id);
+          return { ...source, schedule: rule.schedule, cron: scheduled?.schedule.cron || null, next_run: scheduled?.next_run.toISOString() || null };
+        }
+        if (rule.trigger === 'file_changed') {
+          const watched = this.fileWatchers.get(rule.id);
+          return { ...source, directory: watched?.directory || null, pattern: watched?.pattern || null, watching: Boolean(watched) };
+        }
+        return { ...source, hook_id: this.getWebhookId(rule) };
+      });
+  }
+
   /**
    * Start performance monitoring
    */
@@ -645,9 +995,13 @@ class AutomationEngine extends EventEmitter {
     return `automation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateQueueId() {
+    return `queued_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   findExistingDebounce(ruleId) {
-    // Simple implementation - could be enhanced with proper debounce tracking
-    return false;
+    // A run of the rule is still waiting out its debounce
+    return this.automationQueue.some(item => item.rule.id === ruleId && item.run_after > Date.now());
   }
 
   getPriorityValue(priority) {
@@ -692,6 +1046,7 @@ class AutomationEngine extends EventEmitter {
       active_automations: this.activeAutomations.size,
       queued_automations: this.automationQueue.length,
       supported_triggers: Object.keys(this.supportedTriggers),
+      trigger_sources: this.getTriggerSources(),
       execution_history_length: this.executionHistory.length,
       performance_stats_count: this.performanceStats.size,
       configuration: this.config
@@ -747,6 +1102,12 @@ class AutomationEngine extends EventEmitter {
    */
   async close() {
     this.stopEngine();
+    this.stopTriggerSources();
+    if (this.ruleCreatedListener) {
+      this.templateManager.removeListener('automation_rule_created', this.ruleCreatedListener);
+      this.ruleCreatedListener = null;
+    }
+    await this.persistence;
     this.removeAllListeners();
     this.activeAutomations.clear();
     this.automationQueue = [];
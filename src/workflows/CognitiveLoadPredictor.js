@@ -3,6 +3,8 @@
 // Analyzes hyperfocus cycles, context switching costs, and optimal task timing
 
 const ContextEngine = require('../memory/ContextEngine');
+const DatabaseManager = require('../../database/DatabaseManager');
+const Journal = require('../../models/Journal');
 
 /**
  * CognitiveLoadPredictor - Predicts cognitive capacity and provides timing optimization
@@ -17,6 +19,9 @@ const ContextEngine = require('../memory/ContextEngine');
 class CognitiveLoadPredictor {
   constructor(options = {}) {
     this.contextEngine = new ContextEngine(options);
+    this.journal = new Journal({ dbManager: options.dbManager || new DatabaseManager() });
+    this.journalEntry = null; // Today's check-in, loaded by initialize()
+    this.ownsJournalDb = !options.dbManager;
     this.cognitivePatterns = new Map();
     this.hyperfocusCycles = [];
     this.contextSwitchingHistory = [];
@@ -98,6 +103,7 @@ class CognitiveLoadPredictor {
     try {
       await this.contextEngine.initialize();
       await this.loadCognitiveHistory();
+      await this.loadJournalEntry();
       return true;
     } catch (error) {
       console.error('Failed to initialize CognitiveLoadPredictor:', error);
@@ -127,35 +133,58 @@ class CognitiveLoadPredictor {
     }
   }
 
+  /**
+   * Load today's journal check-in, which replaces the hour-of-day capacity patterns
+   */
+  async loadJournalEntry() {
+    try {
+      this.journalEntry = await this.journal.get(Journal.today());
+    } catch (error) {
+      console.warn('Could not load journal entry:', error.message);
+      this.journalEntry = null;
+    }
+    return this.journalEntry;
+  }
+
   /**
    * Predict cognitive capacity for specific time and task
+   * currentContext.journal_entry, or today's entry loaded by initialize(), replaces the hour-of-day pattern;
+   * currentContext.skip_optimal_window leaves out the window search (findOptimalTimeWindow predicts each hour with it)
    */
   predictCognitiveCapacity(targetTime, taskComplexity, currentContext = {}) {
     try {
       const hour = targetTime.getHours();
-      const baseCapacity = this.timePatterns[hour] || this.timePatterns[12]; // Fallback to noon
+      const basePattern = this.timePatterns[hour] || this.timePatterns[12]; // Fallback to noon
+      
+      // The journal only describes its own day
+      const journalEntry = currentContext.journal_entry
+        || (this.journalEntry?.date === Journal.today(targetTime) ? this.journalEntry : null);
+      const journalCapacity = Journal.capacityFrom(journalEntry, hour, basePattern.capacity);
+      const baseCapacity = journalCapacity ? journalCapacity.capacity : basePattern.capacity;
       
       // Calculate cognitive load factors
-      const factors = this.calculateLoadFactors(targetTime, taskComplexity, currentContext);
+      const factors = this.calculateLoadFactors(targetTime, taskComplexity, currentContext, !!journalCapacity);
       
       // Apply ADHD-specific adjustments
       const adhdAdjustments = this.calculateADHDAdjustments(targetTime, currentContext);
       
       // Calculate final capacity prediction
       const predictedCapacity = Math.max(0.1, Math.min(1.0, 
-        baseCapacity.capacity * factors.overall_multiplier * adhdAdjustments.capacity_modifier
+        baseCapacity * factors.overall_multiplier * adhdAdjustments.capacity_modifier
       ));
 
       return {
         predicted_capacity: predictedCapacity,
-        base_capacity: baseCapacity.capacity,
+        base_capacity: baseCapacity,
+        capacity_source: journalCapacity ? 'journal' : 'time_of_day',
+        journal: journalCapacity ? journalCapacity.factors : null,
         time_of_day_factor: factors.time_factor,
         complexity_factor: factors.complexity_factor,
         switching_penalty: factors.switching_penalty,
         adhd_adjustments: adhdAdjustments,
         confidence: factors.confidence,
         recommendations: this.generateCapacityRecommendations(predictedCapacity, factors, adhdAdjustments),
-        optimal_window: this.findOptimalTimeWindow(targetTime, taskComplexity),
+        optimal_window: currentContext.skip_optimal_window ? null : this.findOptimalTimeWindow(targetTime, taskComplexity),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -166,13 +195,14 @@ class CognitiveLoadPredictor {
 
   /**
    * Calculate cognitive load factors
+   * With a journal entry the time of day factor is neutral: the entry already describes the day
    */
-  calculateLoadFactors(targetTime, taskComplexity, currentContext) {
+  calculateLoadFactors(targetTime, taskComplexity, currentContext, fromJournal = false) {
     const hour = targetTime.getHours();
     const basePattern = this.timePatterns[hour] || this.timePatterns[12];
     
     // Time of day factor
-    const timeFactor = this.calculateTimeOfDayFactor(hour);
+    const timeFactor = fromJournal ? 1.0 : this.calculateTimeOfDayFactor(hour);
     
     // Task complexity factor
     const complexityInfo = this.complexityLoads[taskComplexity] || this.complexityLoads['moderate'];
@@ -403,7 +433,7 @@ class CognitiveLoadPredictor {
     // Search next several hours for optimal capacity
     for (let i = 0; i < searchHours; i++) {
       const testTime = new Date(currentTime.getTime() + (i * 60 * 60 * 1000));
-      const prediction = this.predictCognitiveCapacity(testTime, taskComplexity);
+      const prediction = this.predictCognitiveCapacity(testTime, taskComplexity, { skip_optimal_window: true });
       
       // Check if capacity meets task requirements
       if (prediction.predicted_capacity >= complexityInfo.cognitive_load) {
@@ -663,6 +693,9 @@ class CognitiveLoadPredictor {
     if (this.contextEngine) {
       await this.contextEngine.close();
     }
+    if (this.ownsJournalDb) {
+      await this.journal.dbManager.close();
+    }
   }
 }
 
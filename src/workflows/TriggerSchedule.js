@@ -0,0 +1,257 @@
+// #region start: Trigger Schedule for The Steward
+// Parses the schedules of time-based automation triggers, either cron expressions ("0 18 * * 1-5") or
+// phrases ("every weekday at 9", "every evening"), and works out when each one next fires, in local time
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES.map(day => day.slice(0, 3)), offset: 0 }
+];
+
+// Hours the times of day in phrases stand for
+const TIMES_OF_DAY = { morning: 9, afternoon: 14, evening: 18, night: 21 };
+const DAY_GROUPS = { day: '*', weekday: '1-5', weekend: '0,6' };
+
+// A schedule that has not fired in this long never will (Feb 29 comes round within 8 years)
+const LOOKAHEAD_DAYS = 8 * 366;
+
+/**
+ * TriggerSchedule - When a scheduled_time automation rule fires
+ *
+ * Cron expressions have five fields: minute, hour, day of month, month and day of week, each `*`, a number,
+ * a range `a-b`, a list `a,b` or a step `*\/n`; months and days may be given by name. As in cron, a rule that
+ * restricts both day of month and day of week fires on days matching either.
+ *
+ * Phrases are turned into cron expressions:
+ *   every 15 minutes, every hour, every 2 hours
+ *   every day|weekday|weekend|monday|monday and thursday [morning|afternoon|evening|night] [at 9|9:30|6pm|noon]
+ *   every morning|afternoon|evening|night [at 7]
+ */
+class TriggerSchedule {
+  /**
+   * @param {string} expression - Schedule as written in the rule
+   * @param {string} cron - Equivalent cron expression
+   */
+  constructor(expression, cron) {
+    const parts = cron.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Invalid schedule "${expression}": expected a phrase such as "every weekday at 9" or a cron expression with 5 fields`);
+    }
+
+    this.expression = expression;
+    this.cron = parts.join(' ');
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      parts.map((part, index) => TriggerSchedule.parseField(part, FIELDS[index], expression));
+
+    // Day of week 7 is Sunday, as is 0
+    if (this.daysOfWeek.delete(7)) {
+      this.daysOfWeek.add(0);
+    }
+    // As in cron, a day field starting with * (including */n) does not restrict the day on its own
+    this.restrictsDayOfMonth = !parts[2].startsWith('*');
+    this.restrictsDayOfWeek = !parts[4].startsWith('*');
+  }
+
+  /**
+   * Parse a cron expression or phrase
+   * @param {string} expression - Schedule
+   * @returns {TriggerSchedule}
+   * @throws {Error} When the schedule cannot be read
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('A schedule is required, e.g. "every weekday at 9" or "0 9 * * 1-5"');
+    }
+
+    const cron = /^\s*every\b/i.test(expression) ? TriggerSchedule.fromPhrase(expression) : expression;
+    if (!cron) {
+      throw new Error(`Invalid schedule "${expression}": expected a phrase such as "every weekday at 9", "every evening" or "every 15 minutes"`);
+    }
+    return new TriggerSchedule(expression, cron);
+  }
+
+  /**
+   * Turn a phrase into a cron expression
+   * @param {string} phrase - e.g. "every weekday at 9"
+   * @returns {string|null} Cron expression; null when the phrase is not understood
+   */
+  static fromPhrase(phrase) {
+    const text = phrase.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    let match = /^every (?:(\d+) )?minutes?$/.exec(text);
+    if (match) {
+      const every = TriggerSchedule.interval(match[1], 59);
+      return every && `${every} * * * *`;
+    }
+
+    match = /^every (?:(\d+) )?hours?$/.exec(text);
+    if (match) {
+      const every = TriggerSchedule.interval(match[1], 23);
+      return every && `0 ${every} * * *`;
+    }
+
+    match = /^every (.+?)(?: at (.+))?$/.exec(text);
+    if (!match) return null;
+
+    let days = match[1];
+    let time = { hour: 0, minute: 0 };
+    let timeOfDay = null;
+
+    const part = / ?\b(morning|afternoon|evening|night)$/.exec(days);
+    if (part) {
+      timeOfDay = part[1];
+      days = days.slice(0, part.index) || 'day';
+      time = { hour: TIMES_OF_DAY[timeOfDay], minute: 0 };
+    }
+
+    if (match[2]) {
+      time = TriggerSchedule.parseTime(match[2], timeOfDay);
+      if (!time) return null;
+    }
+
+    const daysOfWeek = TriggerSchedule.parseDays(days);
+    return daysOfWeek && `${time.minute} ${time.hour} * * ${daysOfWeek}`;
+  }
+
+  /**
+   * Step for "every n minutes/hours"
+   * @private
+   */
+  static interval(count, max) {
+    const every = count === undefined ? 1 : Number(count);
+    if (every < 1 || every > max) return null;
+    return every === 1 ? '*' : `*/${every}`;
+  }
+
+  /**
+   * Read a time of day: 9, 9:30, 18:30, 6pm, 6:15 am, noon or midnight
+   * After "evening", "afternoon" or "night", an hour before 12 is in the afternoon ("every evening at 7")
+   * @private
+   * @returns {object|null} {hour, minute}
+   */
+  static parseTime(text, timeOfDay = null) {
+    if (text === 'noon') return { hour: 12, minute: 0 };
+    if (text === 'midnight') return { hour: 0, minute: 0 };
+
+    const match = /^(\d{1,2})(?::(\d{2}))? ?(am|pm)?$/.exec(text);
+    if (!match) return null;
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (match[3]) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+    } else if (timeOfDay && timeOfDay !== 'morning' && hour < 12) {
+      hour += 12;
+    }
+
+    return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+  }
+
+  /**
+   * Read the days of a phrase: day, weekday, weekend, or day names joined by commas or "and"
+   * @private
+   * @returns {string|null} Day of week field
+   */
+  static parseDays(text) {
+    if (DAY_GROUPS[text]) return DAY_GROUPS[text];
+
+    const days = new Set();
+    for (const name of text.split(/\s*,\s*(?:and )?|\s+and\s+/)) {
+      const day = DAY_NAMES.findIndex(dayName => [dayName, `${dayName}s`, dayName.slice(0, 3)].includes(name));
+      if (day === -1) return null;
+      days.add(day);
+    }
+    return [...days].sort((a, b) => a - b).join(',');
+  }
+
+  /**
+   * Read one cron field into the set of values it allows
+   * @private
+   */
+  static parseField(text, field, expression) {
+    const values = new Set();
+    const invalid = () => new Error(`Invalid schedule "${expression}": bad ${field.name} field "${text}"`);
+    const toNumber = (value) => {
+      const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+      const number = named === -1 ? Number(value) : named + field.offset;
+      if (!/^\d+$/.test(String(number)) || number < field.min || number > field.max) throw invalid();
+      return number;
+    };
+
+    for (const item of text.split(',')) {
+      const match = /^(\*|[\da-z]+(?:-[\da-z]+)?)(?:\/(\d+))?$/i.exec(item);
+      if (!match) throw invalid();
+
+      let [start, end] = [field.min, field.max];
+      if (match[1] !== '*') {
+        const [first, last] = match[1].split('-');
+        start = toNumber(first);
+        // "5/15" runs from 5 to the end of the range
+        end = last !== undefined ? toNumber(last) : match[2] ? field.max : start;
+      }
+      const step = match[2] ? Number(match[2]) : 1;
+      if (start > end || step < 1) throw invalid();
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Whether the schedule fires on a day
+   * @private
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+    if (this.restrictsDayOfMonth && this.restrictsDayOfWeek) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * When the schedule next fires
+   * @param {Date} from - Time to start from; the result is always a later minute
+   * @returns {Date|null} Next time; null when the schedule never fires (e.g. "0 9 31 2 *")
+   */
+  next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from.getTime() + LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  toJSON() {
+    return { expression: this.expression, cron: this.cron };
+  }
+}
+
+module.exports = TriggerSchedule;
+
+// #endregion end: Trigger Schedule for The Steward
@@ -0,0 +1,514 @@
+// #region start: Workflow Definition for The Steward
+// Loads, validates and writes the YAML workflow format: steps with prompts, model or tier constraints,
+// dependencies, conditions, timeouts and cognitive load. Shared workflows live in workflows/*.yaml
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateSchema } = require('../utils/json-schema');
+
+const DEFINITIONS_DIR = path.join(__dirname, '../../workflows');
+const FORMAT_VERSION = 1;
+const TIERS = ['fast', 'local-heavy', 'heavy', 'cloud', 'tier1-fast', 'tier2-heavy', 'tier3-cloud'];
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'matches', 'exists'];
+const PROMPT_PLACEHOLDER = /{{\s*([\w.-]+)\s*}}/g;
+
+const STEP_ID = { type: 'string', pattern: '^[A-Za-z][\\w-]*$' };
+const TEXT = { type: 'string', minLength: 1 };
+
+const CONDITION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    input: TEXT,
+    step: STEP_ID,
+    equals: { type: ['string', 'number', 'boolean'] },
+    not_equals: { type: ['string', 'number', 'boolean'] },
+    contains: TEXT,
+    not_contains: TEXT,
+    matches: TEXT,
+    exists: { type: 'boolean' }
+  }
+};
+
+const STEP_SCHEMA = {
+  type: 'object',
+  required: ['id', 'task_type'],
+  additionalProperties: false,
+  properties: {
+    id: STEP_ID,
+    task_type: TEXT,
+    description: { type: 'string' },
+    prompt: TEXT,
+    model: TEXT,
+    tier: { enum: TIERS },
+    depends_on: { type: 'array', items: STEP_ID },
+    condition: CONDITION_SCHEMA,
+    timeout: { type: 'integer', minimum: 1 },
+    max_attempts: { type: 'integer', minimum: 1, maximum: 10 },
+    cognitive_load: { enum: ['low', 'medium', 'high'] },
+    estimated_duration: { type: 'number', minimum: 0 }
+  }
+};
+
+const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['steward_workflow', 'name', 'steps'],
+  additionalProperties: false,
+  properties: {
+    steward_workflow: { const: FORMAT_VERSION },
+    name: TEXT,
+    description: { type: 'string' },
+    project: TEXT,
+    execution_strategy: { enum: ['sequential', 'parallel', 'adaptive', 'user_paced'] },
+    tags: { type: 'array', items: TEXT },
+    inputs: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string' },
+          required: { type: 'boolean' },
+          default: { type: ['string', 'number', 'boolean'] }
+        }
+      }
+    },
+    steps: { type: 'array', minItems: 1, items: STEP_SCHEMA }
+  }
+};
+
+/**
+ * WorkflowDefinition - A workflow shared as one YAML file
+ *
+ * Steps run in file order unless depends_on says otherwise; a step without depends_on waits for nothing.
+ * A step may pin a model or ask for a tier, but not both, and is skipped when its condition is not met:
+ * - condition.input: compares a workflow input
+ * - condition.step: compares the output of a step it depends on, directly or through other steps
+ * Prompts use the orchestrator's placeholders: {{task}}, {{project}}, {{input.<name>}}, {{previous.output}}
+ * and {{steps.<id>.output}}
+ */
+class WorkflowDefinition {
+  /**
+   * @param {object} data - Validated definition data
+   * @param {string} name - Workflow name when data has none
+   */
+  constructor(data, name = null) {
+    this.name = data.name || name;
+    this.description = data.description || '';
+    this.project = data.project || null;
+    this.execution_strategy = data.execution_strategy || 'sequential';
+    this.tags = data.tags || [];
+    this.inputs = data.inputs || {};
+    this.steps = data.steps.map(step => ({ ...step }));
+  }
+
+  /**
+   * Read a definition given as an object or YAML text (e.g. an API request body)
+   * @param {object|string} input - Definition
+   * @returns {*} Definition data, not yet validated
+   */
+  static toData(input) {
+    return typeof input === 'string' ? yaml.load(input) : input;
+  }
+
+  /**
+   * Check definition data against the schema, then the references between its steps
+   * @param {object} data - Parsed definition
+   * @param {object} options - {isKnownModel: name => boolean}
+   * @returns {string[]} Problems; empty when the definition is valid
+   */
+  static validate(data, { isKnownModel = null } = {}) {
+    const problems = validateSchema(data, WORKFLOW_SCHEMA);
+    if (problems.length > 0) {
+      return problems;
+    }
+
+    const ids = new Map();
+    data.steps.forEach((step, i) => {
+      if (ids.has(step.id)) {
+        problems.push(`$.steps[${i}].id ${step.id} is used twice`);
+      } else {
+        ids.set(step.id, i);
+      }
+    });
+
+    data.steps.forEach((step, i) => {
+      const at = `$.steps[${i}]`;
+      for (const dependency of step.depends_on || []) {
+        if (dependency === step.id) {
+          problems.push(`${at}.depends_on names the step itself`);
+        } else if (!ids.has(dependency)) {
+          problems.push(`${at}.depends_on names unknown step ${dependency}`);
+        }
+      }
+      if (step.model && step.tier) {
+        problems.push(`${at} sets both model and tier; use one`);
+      }
+      if (step.model && isKnownModel && !isKnownModel(step.model)) {
+        problems.push(`${at}.model names unknown model ${step.model}`);
+      }
+      if (step.condition) {
+        problems.push(...WorkflowDefinition.validateCondition(step.condition, step, data).map(problem => `${at}.condition ${problem}`));
+      }
+      if (step.prompt) {
+        problems.push(...WorkflowDefinition.validatePrompt(step.prompt, step, data).map(problem => `${at}.prompt ${problem}`));
+      }
+    });
+
+    const cycle = WorkflowDefinition.findCycle(data.steps);
+    if (cycle) {
+      problems.push(`$.steps have a dependency cycle: ${cycle.join(' -> ')}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Check a step condition
+   * @private
+   * @returns {string[]} Problems
+   */
+  static validateCondition(condition, step, data) {
+    const problems = [];
+    if (('input' in condition) === ('step' in condition)) {
+      problems.push('must have exactly one of input, step');
+    }
+    if (!CONDITION_OPERATORS.some(operator => operator in condition)) {
+      problems.push(`must have at least one of ${CONDITION_OPERATORS.join(', ')}`);
+    }
+    if ('input' in condition && !Object.hasOwn(data.inputs || {}, condition.input)) {
+      problems.push(`uses undeclared input ${condition.input}`);
+    }
+    if ('step' in condition && !WorkflowDefinition.dependsOn(data.steps, step.id, condition.step)) {
+      problems.push(`uses step ${condition.step}, which the step does not depend on`);
+    }
+    if ('matches' in condition) {
+      try {
+        new RegExp(condition.matches);
+      } catch (error) {
+        problems.push(`matches is invalid: ${error.message}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Check the placeholders in a prompt template
+   * @private
+   * @returns {string[]} Problems
+   */
+  static validatePrompt(prompt, step, data) {
+    const problems = [];
+    for (const [placeholder, expression] of prompt.matchAll(PROMPT_PLACEHOLDER)) {
+      const [root, ...rest] = expression.split('.');
+      const wellFormed = {
+        task: rest.length === 0,
+        project: rest.length === 0,
+        input: rest.length > 0,
+        previous: rest.join('.') === 'output',
+        steps: rest.length >= 2 && rest[rest.length - 1] === 'output'
+      };
+      if (wellFormed[root] !== true) {
+        problems.push(`uses unknown placeholder ${placeholder}`);
+      } else if (root === 'input' && !Object.hasOwn(data.inputs || {}, rest.join('.'))) {
+        problems.push(`uses undeclared input ${placeholder}`);
+      } else if (root === 'steps') {
+        const source = rest.slice(0, -1).join('.');
+        if (!data.steps.some(other => other.id === source)) {
+          problems.push(`uses ${placeholder}, but there is no step ${source}`);
+        } else if (!WorkflowDefinition.dependsOn(data.steps, step.id, source)) {
+          problems.push(`uses ${placeholder}, but the step does not depend on ${source}`);
+        }
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Whether a step waits for another, directly or through other steps
+   * @private
+   */
+  static dependsOn(steps, stepId, otherId) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const seen = new Set();
+    const pending = [...(byId.get(stepId)?.depends_on || [])];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (id === otherId) {
+        return true;
+      }
+      if (!seen.has(id)) {
+        seen.add(id);
+        pending.push(...(byId.get(id)?.depends_on || []));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * First dependency cycle among the steps
+   * @private
+   * @returns {string[]|null} Step ids around the cycle, starting and ending with the same step
+   */
+  static findCycle(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const done = new Set();
+
+    const visit = (id, trail) => {
+      if (trail.includes(id)) {
+        return [...trail.slice(trail.indexOf(id)), id];
+      }
+      if (done.has(id) || !byId.has(id)) {
+        return null;
+      }
+      for (const dependency of byId.get(id).depends_on || []) {
+        const cycle = dependency !== id && visit(dependency, [...trail, id]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      done.add(id);
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.id, []);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a condition holds for a value
+   * @param {object} condition - Step condition
+   * @param {*} value - The input, or the step output; undefined when it has none
+   * @returns {boolean}
+   */
+  static evaluateCondition(condition, value) {
+    const exists = value !== undefined && value !== null && value !== '';
+    if ('exists' in condition && condition.exists !== exists) {
+      return false;
+    }
+    const text = exists ? String(value) : '';
+    if ('equals' in condition && text !== String(condition.equals)) {
+      return false;
+    }
+    if ('not_equals' in condition && text === String(condition.not_equals)) {
+      return false;
+    }
+    if ('contains' in condition && !text.toLowerCase().includes(condition.contains.toLowerCase())) {
+      return false;
+    }
+    if ('not_contains' in condition && text.toLowerCase().includes(condition.not_contains.toLowerCase())) {
+      return false;
+    }
+    if ('matches' in condition && !new RegExp(condition.matches).test(text)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Build a definition from parsed data
+   * @param {object} data - Parsed definition
+   * @param {string} name - Workflow name when data has none
+   * @param {object} options - As for validate
+   * @returns {WorkflowDefinition}
+   */
+  static fromObject(data, name = null, options = {}) {
+    const problems = WorkflowDefinition.validate(data, options);
+    if (problems.length > 0) {
+      throw new Error(`Invalid workflow ${data?.name || name || ''}: ${problems.join('; ')}`);
+    }
+    return new WorkflowDefinition(data, name);
+  }
+
+  /**
+   * Parse a definition from YAML (or JSON) text
+   * @param {string} text - Definition file contents
+   * @param {object} options - As for validate
+   * @returns {WorkflowDefinition}
+   */
+  static parse(text, options = {}) {
+    return WorkflowDefinition.fromObject(WorkflowDefinition.toData(text), null, options);
+  }
+
+  /**
+   * Load a definition file
+   * @param {string} filePath - Path to a .yaml definition
+   * @param {object} options - As for validate
+   * @returns {WorkflowDefinition}
+   */
+  static load(filePath, options = {}) {
+    return WorkflowDefinition.parse(fs.readFileSync(filePath, 'utf8'), options);
+  }
+
+  /**
+   * Load every definition in a directory, keyed by file name
+   * @param {string} dir - Definitions directory (default: workflows/)
+   * @returns {Map<string, WorkflowDefinition>}
+   */
+  static loadAll(dir = DEFINITIONS_DIR) {
+    if (!fs.existsSync(dir)) {
+      return new Map();
+    }
+
+    return new Map(fs.readdirSync(dir)
+      .filter(file => /\.ya?ml$/.test(file))
+      .sort()
+      .map(file => [file.replace(/\.ya?ml$/, ''), WorkflowDefinition.load(path.join(dir, file))]));
+  }
+
+  /**
+   * Describe an existing workflow in the definition format
+   * Accepts an orchestrator workflow, an orchestrator template ({task, duration} steps) or a
+   * WorkflowTemplateManager template ({phase|task_type} steps); dependencies by index, step_id or
+   * task type become step ids. A workflow created from a definition keeps that definition's description,
+   * tags and inputs; any other workflow's inputs become defaults
+   * @param {object} source - Workflow or template
+   * @returns {WorkflowDefinition}
+   */
+  static fromWorkflow(source) {
+    const taskTypes = source.steps.map(step => step.task_type || step.task || step.phase || 'general');
+    const ids = source.steps.map((step, i) => {
+      const base = String(step.step_id || taskTypes[i]).replace(/[^\w-]/g, '_').replace(/^[^A-Za-z]+/, '');
+      return base || `step_${i}`;
+    });
+    // Task types repeat within a workflow, so later steps get a suffix
+    ids.forEach((id, i) => {
+      if (ids.indexOf(id) !== i) {
+        ids[i] = `${id}_${i}`;
+      }
+    });
+
+    const resolveDependency = (dependency, i) => {
+      if (typeof dependency === 'number' || /^\d+$/.test(String(dependency))) {
+        return ids[Number(dependency)];
+      }
+      const index = source.steps.findIndex(step => step.step_id === dependency);
+      return ids[index !== -1 ? index : taskTypes.findIndex((taskType, j) => j !== i && taskType === dependency)];
+    };
+
+    const declared = source.source_definition || {};
+    const description = declared.description || source.description;
+    const data = {
+      steward_workflow: FORMAT_VERSION,
+      name: source.name || 'Exported workflow',
+      ...(description ? { description } : {}),
+      ...(source.project_context ? { project: source.project_context } : {}),
+      execution_strategy: source.execution_strategy || 'sequential',
+      ...(declared.tags?.length > 0 ? { tags: declared.tags } : {}),
+      steps: source.steps.map((step, i) => {
+        const defined = { id: ids[i], task_type: taskTypes[i] };
+        if (step.description) defined.description = step.description;
+        if (step.prompt) defined.prompt = step.prompt;
+        if (step.model) defined.model = step.model;
+        else if (step.tier) defined.tier = step.tier;
+        const dependsOn = (step.dependencies || []).map(dependency => resolveDependency(dependency, i)).filter(Boolean);
+        if (dependsOn.length > 0) defined.depends_on = dependsOn;
+        if (step.condition) defined.condition = step.condition;
+        if (step.timeout) defined.timeout = step.timeout;
+        if (step.max_attempts) defined.max_attempts = step.max_attempts;
+        if (step.cognitive_load) defined.cognitive_load = step.cognitive_load;
+        const duration = step.estimated_duration ?? step.duration;
+        if (duration != null) defined.estimated_duration = duration;
+        return defined;
+      })
+    };
+
+    const inputs = Object.entries(source.inputs || {});
+    if (declared.inputs) {
+      data.inputs = declared.inputs;
+    } else if (inputs.length > 0) {
+      data.inputs = Object.fromEntries(inputs.map(([name, value]) => [name, { default: value }]));
+    }
+    return new WorkflowDefinition(data);
+  }
+
+  /**
+   * Inputs to run with: the given ones, then the defaults
+   * @param {object} inputs - Input values by name
+   * @returns {object} Inputs by name
+   * @throws {Error} When a required input has no value
+   */
+  resolveInputs(inputs = {}) {
+    const resolved = { ...inputs };
+    const missing = [];
+    for (const [name, input] of Object.entries(this.inputs)) {
+      if (resolved[name] === undefined && input.default !== undefined) {
+        resolved[name] = input.default;
+      }
+      if (resolved[name] === undefined && input.required) {
+        missing.push(name);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`Workflow ${this.name} needs input ${missing.join(', ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Steps in the shape WorkflowOrchestrator.createWorkflow takes as options.workflowSuggestion
+   * @returns {object} {name, steps, total_estimated_duration}
+   */
+  toWorkflowSuggestion() {
+    const steps = this.steps.map(step => ({
+      step_id: step.id,
+      task_type: step.task_type,
+      description: step.description,
+      prompt: step.prompt,
+      model: step.model,
+      tier: step.tier,
+      dependencies: step.depends_on || [],
+      condition: step.condition,
+      timeout: step.timeout,
+      max_attempts: step.max_attempts,
+      cognitive_load: step.cognitive_load || 'medium',
+      estimated_duration: step.estimated_duration ?? 30
+    }));
+
+    return {
+      name: this.name,
+      steps,
+      total_estimated_duration: steps.reduce((total, step) => total + step.estimated_duration, 0)
+    };
+  }
+
+  /**
+   * Definition data, without empty sections
+   * @returns {object}
+   */
+  toObject() {
+    return {
+      steward_workflow: FORMAT_VERSION,
+      name: this.name,
+      ...(this.description ? { description: this.description } : {}),
+      ...(this.project ? { project: this.project } : {}),
+      execution_strategy: this.execution_strategy,
+      ...(this.tags.length > 0 ? { tags: this.tags } : {}),
+      ...(Object.keys(this.inputs).length > 0 ? { inputs: this.inputs } : {}),
+      steps: this.steps
+    };
+  }
+
+  /**
+   * Definition as a YAML file
+   * @returns {string}
+   */
+  toYaml() {
+    return `# Steward workflow: ${this.name}\n` +
+           '# Format: workflows/README.md. Check with: npm run workflow -- validate <file>\n' +
+           yaml.dump(this.toObject(), { lineWidth: 120, noRefs: true });
+  }
+}
+
+module.exports = WorkflowDefinition;
+module.exports.DEFINITIONS_DIR = DEFINITIONS_DIR;
+module.exports.WORKFLOW_SCHEMA = WORKFLOW_SCHEMA;
+module.exports.TIERS = TIERS;
+module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
+
+// #endregion end: Workflow Definition for The Steward
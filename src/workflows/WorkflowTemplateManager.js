@@ -5,6 +5,12 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const yaml = require('js-yaml');
+const TriggerSchedule = require('./TriggerSchedule');
+const WorkflowDefinition = require('./WorkflowDefinition');
+
+const MODELS_PATH = path.join(__dirname, '../../models/models.yaml');
+const TRIGGER_PLACEHOLDER = /{{\s*trigger\.([\w.-]+)\s*}}/g;
 
 /**
  * WorkflowTemplateManager - Manages reusable workflow templates and automation
@@ -31,6 +37,10 @@ class WorkflowTemplateManager extends EventEmitter {
       max_templates_per_category: options.maxTemplatesPerCategory || 20
     };
 
+    // Rule actions run as workflows through options.workflowOrchestrator, routed with the sheet from options.loadCharacterSheet
+    this.workflowOrchestrator = options.workflowOrchestrator || null;
+    this.loadCharacterSheet = options.loadCharacterSheet || (async () => ({}));
+
     // Template storage
     this.templates = new Map();
     this.automationRules = new Map();
@@ -377,10 +387,14 @@ class WorkflowTemplateManager extends EventEmitter {
 
   /**
    * Create automation rule
+   * scheduled_time rules need a schedule, file_changed rules a watch {directory, pattern, events};
+   * webhook_received rules listen on their webhook id, or their id without one, and only fire for requests that
+   * prove the secret in the environment variable named by webhook_secret_env
    */
   createAutomationRule(ruleData) {
     try {
       const {
+        id,
         name,
         description,
         trigger,
@@ -389,14 +403,24 @@ class WorkflowTemplateManager extends EventEmitter {
         enabled = true,
         priority = 'medium',
         debounce = 0,
+        schedule,
+        watch,
+        webhook,
+        webhook_secret_env,
         metadata = {}
       } = ruleData;
 
       if (!name || !trigger || actions.length === 0) {
         throw new Error('Rule name, trigger, and actions are required');
       }
+      if (trigger === 'scheduled_time') {
+        TriggerSchedule.parse(schedule);
+      }
+      if (trigger === 'file_changed' && !(watch && watch.directory)) {
+        throw new Error('file_changed rules need watch.directory');
+      }
 
-      const ruleId = this.generateRuleId(name);
+      const ruleId = id || this.generateRuleId(name);
       
       const rule = {
         id: ruleId,
@@ -408,6 +432,10 @@ class WorkflowTemplateManager extends EventEmitter {
         enabled,
         priority,
         debounce,
+        schedule,
+        watch,
+        webhook,
+        webhook_secret_env,
         
         // Performance tracking
         execution_count: 0,
@@ -778,18 +806,78 @@ class WorkflowTemplateManager extends EventEmitter {
     });
   }
 
+  /**
+   * Carry out one rule action through the workflow orchestrator
+   * An action names a workflow in workflows/ or is {workflow, task, inputs} to run one, or {prompt, model or tier,
+   * task_type, timeout} for a single model call; {{trigger.<field>}} in a prompt, task or input is replaced with
+   * the trigger data, e.g. {{trigger.path}} or {{trigger.payload.text}}
+   * @returns {Promise<object>} {action, workflow_id, outputs, executed_at}
+   * @throws {Error} When there is no orchestrator, the workflow is unknown or a step fails
+   */
   async executeAction(action, triggerData) {
-    // This would integrate with the actual ambient intelligence system
-    console.log(`Executing action: ${action} with data:`, triggerData);
-    
-    // Return mock result for now
+    if (!this.workflowOrchestrator) {
+      throw new Error(`No workflow orchestrator to run action ${this.describeAction(action)}`);
+    }
+
+    const spec = typeof action === 'string' ? { workflow: action } : action || {};
+    const render = value => (typeof value === 'string' ? this.renderTriggerText(value, triggerData) : value);
+    let definition;
+    if (spec.workflow) {
+      definition = this.workflowOrchestrator.workflowTemplates.get(spec.workflow);
+      if (!definition) {
+        throw new Error(`Unknown workflow ${spec.workflow}; automation actions run the workflows in workflows/`);
+      }
+    } else if (spec.prompt) {
+      const step = { id: 'action', task_type: spec.task_type || 'general', prompt: render(spec.prompt) };
+      for (const field of ['model', 'tier', 'timeout']) {
+        if (spec[field] !== undefined) step[field] = spec[field];
+      }
+      definition = WorkflowDefinition.fromObject({ steward_workflow: 1, name: spec.name || 'Automation action', steps: [step] });
+    } else {
+      throw new Error(`Action ${this.describeAction(action)} needs a workflow or a prompt`);
+    }
+    if (definition.execution_strategy === 'user_paced') {
+      throw new Error(`Workflow ${definition.name} waits for a decision before each step, so it cannot run as an automation`);
+    }
+
+    const inputs = Object.fromEntries(Object.entries(spec.inputs || {}).map(([name, value]) => [name, render(value)]));
+    const characterSheet = await this.loadCharacterSheet();
+    const created = await this.workflowOrchestrator.createWorkflowFromDefinition(
+      definition,
+      render(spec.task) || definition.description || definition.name,
+      characterSheet,
+      { inputs }
+    );
+    if (!created.success) {
+      throw new Error(created.error);
+    }
+
+    await this.workflowOrchestrator.scheduleWorkflow(created.workflow_id);
+    const result = await this.workflowOrchestrator.executeWorkflow(created.workflow_id, { characterSheet });
+
     return {
-      success: true,
-      action: action,
+      action: spec.workflow || 'prompt',
+      workflow_id: created.workflow_id,
+      outputs: result.outputs,
       executed_at: new Date().toISOString()
     };
   }
 
+  /**
+   * Replace {{trigger.<field>}} placeholders with trigger data; objects are written as JSON, missing fields as ''
+   */
+  renderTriggerText(text, triggerData) {
+    return text.replace(TRIGGER_PLACEHOLDER, (match, field) => {
+      const value = field.split('.').reduce((data, key) => (data == null ? undefined : data[key]), triggerData);
+      if (value == null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  describeAction(action) {
+    return typeof action === 'string' ? action : JSON.stringify(action);
+  }
+
   analyzeCommonModifications(template) {
     const recentModifications = template.user_modifications.slice(-10);
     const commonPatterns = {};
@@ -893,6 +981,21 @@ class WorkflowTemplateManager extends EventEmitter {
     });
   }
 
+  /**
+   * Read the automations block of models.yaml: rule data keyed by rule id
+   * @param {string} modelsPath - Path to models.yaml
+   * @returns {Promise<Array>} Rule data with ids, for createAutomationRule; empty when there is none
+   */
+  static async loadConfiguredRules(modelsPath = MODELS_PATH) {
+    try {
+      const modelsData = yaml.load(await fs.readFile(modelsPath, 'utf8')) || {};
+      return Object.entries(modelsData.automations || {}).map(([id, rule]) => ({ id, ...rule }));
+    } catch (error) {
+      console.warn('Warning: Could not load automation rules:', error.message);
+      return [];
+    }
+  }
+
   async loadTemplateUsageStats() {
     // Implementation would load from storage
     console.log('Loading template usage statistics...');
@@ -17,6 +17,10 @@ const { callModel } = require('./models/model-handler');
 const { detectTaskType, selectModel } = require('./models/routing');
 // #endregion end: Import routing logic
 
+// #region start: Import loadout resolution
+const LoadoutManager = require('./src/core/loadout-manager');
+// #endregion end: Import loadout resolution
+
 // #region start: Import Docker local fallback
 const { tryLocalTiers } = require('./src/utils/routing');
 // #endregion end: Import Docker local fallback
@@ -36,7 +40,7 @@ const argv = yargs(process.argv.slice(2))
   .demandCommand(1, 'Please provide a task description.')
   .option('loadout', {
     alias: 'l',
-    describe: 'Optional loadout name (e.g., creative, sqa_mode)',
+    describe: 'Optional loadout name, or a stack joined with + (e.g., creative, sqa_mode+local_only)',
     type: 'string',
   })
   .option('mcp', {
@@ -76,24 +80,20 @@ try {
   process.exit(1);
 }
 
-// 4. Optionally load and merge loadout config
-if (loadoutName) {
-  const loadoutPath = path.join(__dirname, 'loadouts', `${loadoutName}.yaml`);
-  try {
-    const loadoutContents = fs.readFileSync(loadoutPath, 'utf8');
-    const loadoutConfig = yaml.load(loadoutContents);
-    characterSheet = {
-      ...characterSheet,
-      ...loadoutConfig, // Loadout overrides base config
-    };
-  } catch (err) {
-    console.warn(`Warning: Failed to load loadout '${loadoutName}':`, err.message);
-  }
+// 4. Layer the loadout (chosen, or activated by schedule or git repo) over the sheet
+// Loadouts deep-merge, can extend each other and stack: --loadout sqa_mode+local_only
+try {
+  characterSheet = new LoadoutManager().activate(characterSheet, {
+    loadout: loadoutName,
+    repo: LoadoutManager.detectGitRepo()
+  });
+} catch (err) {
+  console.warn(`Warning: Failed to load loadout '${loadoutName}':`, err.message);
 }
 
 // 5. Print summary for confirmation
 console.log('\n📥 Input Task:\n', taskInput);
-console.log('\n🎛 Active Loadout:', loadoutName || 'default');
+console.log('\n🎛 Active Loadout:', LoadoutManager.describe(characterSheet.active_loadout));
 console.log('\n🧾 Parsed Config:\n', characterSheet);
 
 // #region start: Routing logic
@@ -0,0 +1,83 @@
+// #region Jest Test for Adapter Registry
+// adapter-registry.test.js
+//
+// Tests that models resolve from models.yaml alone and that plugin adapters load.
+// #endregion
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const CloudAPIAdapter = require('../models/adapters/CloudAPIAdapter');
+
+describe('AdapterRegistry', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steward-registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('resolves names, aliases and served_by entries from the shipped models.yaml', () => {
+    const registry = new AdapterRegistry({ pluginsDir: tempDir });
+
+    expect(registry.resolve('smollm3-8b')).toMatchObject({
+      type: 'local-docker',
+      model_id: 'ai/smollm3:latest',
+      wire_format: 'openwebui',
+      location: 'local'
+    });
+    expect(registry.resolve('ai/smollm3:latest').key).toBe(registry.resolve('smollm3-1.7b').key);
+    expect(registry.resolve('hf-pro-llama3-70b')).toMatchObject({ model_id: 'gpt-4', location: 'cloud' });
+    expect(registry.resolve('not-a-model')).toBeNull();
+  });
+
+  it('configures cloud adapters from the model entry', () => {
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, [
+      'gateway-model:',
+      '  privacy_tier: cloud',
+      '  adapter:',
+      '    type: cloud',
+      '    wire_format: openai',
+      '    endpoint: "http://gateway.internal:8000/v1/chat/completions"',
+      '    auth_env: GATEWAY_KEY'
+    ].join('\n'));
+
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    const adapter = registry.getAdapter('gateway-model');
+
+    expect(adapter).toBeInstanceOf(CloudAPIAdapter);
+    expect(adapter.getProviderFromModel('anything')).toBe('openai');
+    expect(adapter.getRequestTarget('openai')).toEqual({
+      protocol: 'http:',
+      hostname: 'gateway.internal',
+      port: '8000',
+      path: '/v1/chat/completions'
+    });
+    expect(() => adapter.getApiKey('openai')).toThrow('GATEWAY_KEY environment variable is required');
+  });
+
+  it('loads adapter types from the plugins directory', () => {
+    fs.writeFileSync(path.join(tempDir, 'echo.js'), [
+      'module.exports = {',
+      "  type: 'echo',",
+      "  location: 'local',",
+      '  createAdapter: (config) => ({',
+      '    config,',
+      '    sendRequest: async (modelId, prompt) => ({ content: `${modelId}: ${prompt}` })',
+      '  })',
+      '};'
+    ].join('\n'));
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, 'echo-model:\n  adapter:\n    type: echo\n    endpoint: "http://localhost:9999"\n');
+
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+
+    expect(registry.getRoutingTable()).toEqual({ 'echo-model': 'local' });
+    expect(registry.getAdapter('echo-model').config.endpoint).toBe('http://localhost:9999');
+  });
+});
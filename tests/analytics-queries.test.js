@@ -0,0 +1,130 @@
+// #region Jest Test for Analytics Queries
+// analytics-queries.test.js
+//
+// Tests the DatabaseManager queries behind the analytics endpoints: filters, pagination and derived metrics.
+// #endregion
+
+const { createTestDatabase } = require('./helpers/test-database');
+
+describe('DatabaseManager analytics queries', () => {
+  let dbManager;
+  let cleanup;
+
+  async function addRequest({ model, task, success = true, time = 1000, rating = null, hoursAgo = 1 }) {
+    const result = await dbManager._query(
+      `INSERT INTO model_performance (timestamp, model_name, adapter_type, task_type, response_time_ms, success, hour_of_day, user_rating)
+       VALUES (datetime('now', ?), ?, 'local', ?, ?, ?, 10, ?)`,
+      [`-${hoursAgo} hours`, model, task, time, success, rating]
+    );
+    return result.lastID;
+  }
+
+  async function addDecision({ model, task, reason = 'Task type preference', performanceId = null, fallback = false, hoursAgo = 1, alternatives = '[]' }) {
+    const result = await dbManager._query(
+      `INSERT INTO routing_decisions (timestamp, task_type, chosen_model, routing_reason, alternatives_considered,
+         time_of_day, fallback_triggered, confidence_score, performance_id)
+       VALUES (datetime('now', ?), ?, ?, ?, ?, 10, ?, 0.8, ?)`,
+      [`-${hoursAgo} hours`, task, model, reason, alternatives, fallback, performanceId]
+    );
+    return result.lastID;
+  }
+
+  beforeEach(async () => {
+    ({ dbManager, cleanup } = await createTestDatabase('steward-analytics-'));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('filters and paginates the routing feed', async () => {
+    const performanceId = await addRequest({ model: 'smollm3', task: 'debug', time: 400 });
+    await addDecision({ model: 'smollm3', task: 'debug', performanceId, alternatives: JSON.stringify(JSON.stringify(['codellama'])) });
+    await addDecision({ model: 'smollm3', task: 'write', hoursAgo: 2 });
+    await addDecision({ model: 'dolphin-mistral', task: 'uncensored_tasks', reason: 'Explicit request - Using uncensored model' });
+    await addDecision({ model: 'smollm3', task: 'debug', hoursAgo: 24 * 10 });
+
+    const page = await dbManager.getRoutingFeed({ hours: 24 * 7, models: ['smollm3'], limit: 1, offset: 0 });
+    expect(page.total).toBe(2);
+    expect(page.decisions).toHaveLength(1);
+    expect(page.decisions[0]).toMatchObject({
+      task_type: 'debug',
+      response_time_ms: 400,
+      success: true,
+      uncensored: false,
+      alternatives_considered: ['codellama']
+    });
+
+    const nextPage = await dbManager.getRoutingFeed({ hours: 24 * 7, models: ['smollm3'], limit: 1, offset: 1 });
+    expect(nextPage.decisions[0].task_type).toBe('write');
+
+    const uncensored = await dbManager.getRoutingFeed({ hours: 24 * 7, uncensored: true });
+    expect(uncensored.decisions.map(decision => decision.chosen_model)).toEqual(['dolphin-mistral']);
+    expect(uncensored.uncensored_ratio).toBe(1);
+  });
+
+  it('builds daily activity with routing accuracy, feedback and context switches', async () => {
+    const failedId = await addRequest({ model: 'gpt-4', task: 'write', success: false, time: 3000 });
+    const wrongId = await addRequest({ model: 'smollm3', task: 'debug', time: 500 });
+    await addRequest({ model: 'smollm3', task: 'debug', time: 700, rating: 4 });
+    await addDecision({ model: 'gpt-4', task: 'write', performanceId: failedId });
+    const wrongDecision = await addDecision({ model: 'smollm3', task: 'debug', performanceId: wrongId });
+    await addDecision({ model: 'smollm3', task: 'debug', fallback: true });
+    await addDecision({ model: 'smollm3', task: 'debug' });
+    await dbManager._query(
+      `INSERT INTO user_feedback (performance_id, routing_id, satisfaction_rating, routing_feedback) VALUES (?, ?, 2, 'wrong_model')`,
+      [wrongId, wrongDecision]
+    );
+
+    const [day] = await dbManager.getActivitySeries({ hours: 24 * 7 }, 'day');
+    expect(day).toMatchObject({
+      request_count: 3,
+      decisions: 4,
+      good_decisions: 1,
+      feedback_count: 1,
+      avg_satisfaction: 2,
+      avg_rating: 4,
+      context_switches: 1
+    });
+    expect(day.success_rate).toBeCloseTo(2 / 3);
+
+    const [debugOnly] = await dbManager.getActivitySeries({ hours: 24 * 7, taskTypes: ['debug'] }, 'hour');
+    expect(debugOnly).toMatchObject({ bucket: 10, request_count: 2, decisions: 3, avg_response_time: 600 });
+  });
+
+  it('compares models within the timeframe', async () => {
+    const ratedId = await addRequest({ model: 'smollm3', task: 'debug', time: 400 });
+    await addRequest({ model: 'smollm3', task: 'write', time: 600 });
+    await addRequest({ model: 'gpt-4', task: 'write', time: 2000 });
+    await addRequest({ model: 'claude', task: 'write', time: 1500, hoursAgo: 24 * 40 });
+    await dbManager._query(`INSERT INTO user_feedback (performance_id, satisfaction_rating) VALUES (?, 5)`, [ratedId]);
+
+    const comparison = await dbManager.getModelComparison({ hours: 24 * 30, limit: 1 });
+    expect(comparison.total).toBe(2);
+    expect(comparison.models).toEqual([
+      expect.objectContaining({ model_name: 'smollm3', usage_count: 2, avg_response_time: 500, success_rate: 1, avg_satisfaction: 5 })
+    ]);
+
+    const writeOnly = await dbManager.getModelComparison({ hours: 24 * 30, taskTypes: ['write'], models: ['gpt-4'] });
+    expect(writeOnly.models).toEqual([expect.objectContaining({ model_name: 'gpt-4', usage_count: 1, feedback_count: 0 })]);
+  });
+
+  it('limits every query to one account\'s requests when asked, the owner\'s being those without one', async () => {
+    const ownerId = await addRequest({ model: 'smollm3', task: 'debug' });
+    const memberId = await addRequest({ model: 'gpt-4', task: 'write' });
+    await addDecision({ model: 'smollm3', task: 'debug', performanceId: ownerId });
+    const memberDecision = await addDecision({ model: 'gpt-4', task: 'write', performanceId: memberId });
+    await dbManager._query('UPDATE model_performance SET user_id = 7 WHERE id = ?', [memberId]);
+    await dbManager._query('UPDATE routing_decisions SET user_id = 7, prompt_snippet = ? WHERE id = ?', ['Member draft', memberDecision]);
+
+    const memberFeed = await dbManager.getRoutingFeed({ hours: 24, userId: 7 });
+    expect(memberFeed.decisions.map(decision => decision.prompt_snippet)).toEqual(['Member draft']);
+    expect((await dbManager.getRoutingFeed({ hours: 24, userId: null })).decisions.map(decision => decision.chosen_model)).toEqual(['smollm3']);
+    expect((await dbManager.getRoutingFeed({ hours: 24 })).total).toBe(2);
+
+    const [memberDay] = await dbManager.getActivitySeries({ hours: 24, userId: 7 }, 'day');
+    expect(memberDay).toMatchObject({ request_count: 1, decisions: 1 });
+    expect((await dbManager.getModelComparison({ hours: 24, userId: 7 })).models.map(model => model.model_name)).toEqual(['gpt-4']);
+    expect((await dbManager.getModelComparison({ hours: 24, userId: 8 })).total).toBe(0);
+  });
+});
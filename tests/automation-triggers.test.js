@@ -0,0 +1,228 @@
+// #region Jest Test for Automation Triggers
+// automation-triggers.test.js
+//
+// Tests the time, file-system and webhook triggers of automation rules: schedules written as cron expressions
+// or phrases, rules firing at their scheduled time, files changing in a watched directory, webhooks going through
+// the same debounce as every other trigger and proving their rule's secret, and actions running as workflows.
+// #endregion
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const WorkflowOrchestrator = require('../src/autonomous/WorkflowOrchestrator');
+const AutomationEngine = require('../src/workflows/AutomationEngine');
+const TriggerSchedule = require('../src/workflows/TriggerSchedule');
+const WorkflowTemplateManager = require('../src/workflows/WorkflowTemplateManager');
+
+describe('Automation triggers', () => {
+  let tempDir;
+  let templateManager;
+  let engine;
+  let executed;
+
+  const startEngine = (options = {}) => {
+    engine = new AutomationEngine({ performanceTracking: false, ...options });
+    engine.templateManager = templateManager;
+    engine.startEngine();
+    engine.setupBuiltInTriggers();
+    return engine;
+  };
+
+  const createRule = (ruleData) => {
+    const created = templateManager.createAutomationRule({ actions: ['summarize_new_notes'], ...ruleData });
+    expect(created).toMatchObject({ success: true });
+    return created.rule;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steward-automation-triggers-'));
+    templateManager = new WorkflowTemplateManager();
+    executed = [];
+    templateManager.on('automation_rule_executed', event => executed.push(event.rule_id));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    if (engine) await engine.close();
+    engine = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reads cron expressions and phrases and finds the next time they fire', () => {
+    const friday = new Date(2026, 9, 16, 17, 30);
+    const next = (expression) => TriggerSchedule.parse(expression).next(friday);
+
+    expect(TriggerSchedule.parse('every weekday at 9').cron).toBe('0 9 * * 1-5');
+    expect(TriggerSchedule.parse('every evening').cron).toBe('0 18 * * *');
+    expect(TriggerSchedule.parse('every Monday and Thursday at 6:30pm').cron).toBe('30 18 * * 1,4');
+    expect(TriggerSchedule.parse('every 15 minutes').cron).toBe('*/15 * * * *');
+
+    expect(next('every weekday at 9')).toEqual(new Date(2026, 9, 19, 9, 0));
+    expect(next('every weekday evening at 7')).toEqual(new Date(2026, 9, 16, 19, 0));
+    expect(next('every weekend at noon')).toEqual(new Date(2026, 9, 17, 12, 0));
+    expect(next('*/20 9-17 * * mon-fri')).toEqual(new Date(2026, 9, 16, 17, 40));
+    // Day of month and day of week both set: either one matches, as in cron
+    expect(next('0 0 1,15 * 7')).toEqual(new Date(2026, 9, 18, 0, 0));
+    // A */n day of month is a step, not a restriction, so both fields must match: odd days that are Mondays
+    expect(next('0 9 */2 * 1')).toEqual(new Date(2026, 9, 19, 9, 0));
+    expect(TriggerSchedule.parse('0 9 */2 * 1').next(new Date(2026, 9, 19, 9, 0))).toEqual(new Date(2026, 10, 9, 9, 0));
+    expect(next('0 9 31 2 *')).toBeNull();
+
+    expect(() => TriggerSchedule.parse('every blue moon')).toThrow('Invalid schedule "every blue moon"');
+    expect(() => TriggerSchedule.parse('61 * * * *')).toThrow('bad minute field "61"');
+    expect(templateManager.createAutomationRule({ name: 'Broken', trigger: 'scheduled_time', schedule: '0 9 * *', actions: ['x'] }))
+      .toMatchObject({ success: false, error: expect.stringContaining('cron expression with 5 fields') });
+  });
+
+  it('fires a scheduled rule at its time and waits for the next one', async () => {
+    jest.useFakeTimers({ now: new Date(2026, 9, 16, 17, 59, 30) });
+    const rule = createRule({ id: 'evening-notes', name: 'Evening notes', trigger: 'scheduled_time', schedule: 'every weekday evening' });
+    const triggers = [];
+    startEngine().on('trigger_registered', event => triggers.push(event));
+
+    expect(engine.getTriggerSources()).toEqual([{
+      rule_id: rule.id, rule_name: 'Evening notes', trigger: 'scheduled_time',
+      schedule: 'every weekday evening', cron: '0 18 * * 1-5', next_run: new Date(2026, 9, 16, 18, 0).toISOString()
+    }]);
+
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(triggers).toHaveLength(0);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(triggers).toHaveLength(1);
+    expect(triggers[0]).toMatchObject({
+      trigger_type: 'scheduled_time',
+      trigger_data: { rule_id: rule.id, scheduled_for: new Date(2026, 9, 16, 18, 0).toISOString() }
+    });
+    expect(executed).toEqual([rule.id]);
+    // Friday evening's run is followed by Monday's
+    expect(engine.getTriggerSources()[0].next_run).toBe(new Date(2026, 9, 19, 18, 0).toISOString());
+  });
+
+  it('triggers when a file matching the pattern is added or changed in the watched directory', async () => {
+    const rule = createRule({ id: 'meeting-notes', name: 'Meeting notes', trigger: 'file_changed', watch: { directory: tempDir, pattern: '*.md' } });
+    const triggers = [];
+    startEngine({ fileSettleTime: 50 }).on('trigger_registered', event => triggers.push(event.trigger_data));
+    const waitForTriggers = async (count) => {
+      for (let waited = 0; triggers.length < count && waited < 3000; waited += 25) {
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+      // Quiet for longer than the settle time, so nothing else is on its way
+      await new Promise(resolve => setTimeout(resolve, 200));
+    };
+
+    const notePath = path.join(tempDir, 'standup.md');
+    fs.writeFileSync(path.join(tempDir, 'ignored.txt'), 'not a note');
+    fs.writeFileSync(notePath, '# Standup');
+    fs.appendFileSync(notePath, '\n- shipped the importer');
+    await waitForTriggers(1);
+
+    expect(triggers).toHaveLength(1);
+    expect(triggers[0]).toMatchObject({ rule_id: rule.id, file: 'standup.md', path: notePath, event: 'added' });
+
+    fs.appendFileSync(notePath, '\n- next: webhooks');
+    await waitForTriggers(2);
+    expect(triggers.map(trigger => trigger.event)).toEqual(['added', 'changed']);
+
+    // Removing the file is not one of the rule's events
+    fs.rmSync(notePath);
+    await waitForTriggers(3);
+    expect(triggers).toHaveLength(2);
+  });
+
+  it('runs webhook rules through the usual debounce and sets up rules added later', async () => {
+    startEngine();
+    const rule = createRule({ id: 'notes-pushed', name: 'Notes pushed', trigger: 'webhook_received', webhook: 'notes', debounce: 60000 });
+    createRule({ id: 'other-hook', name: 'Other hook', trigger: 'webhook_received' });
+
+    expect(engine.receiveWebhook('missing')).toBeNull();
+    expect(engine.receiveWebhook('notes', { file: 'standup.md' })).toMatchObject({ hook_id: 'notes', rules: [rule.id] });
+    await new Promise(setImmediate);
+    expect(engine.receiveWebhook('notes', { file: 'retro.md' })).toMatchObject({ rules: [rule.id] });
+    await new Promise(setImmediate);
+
+    // The second call falls inside the first one's debounce
+    expect(engine.automationQueue).toHaveLength(1);
+    expect(engine.automationQueue[0].trigger_data).toMatchObject({ trigger_type: 'webhook_received', hook_id: 'notes', payload: { file: 'standup.md' } });
+
+    // A scheduled rule created while the engine runs gets its timer
+    createRule({ id: 'nightly', name: 'Nightly', trigger: 'scheduled_time', schedule: 'every night' });
+    expect(engine.getTriggerSources().map(source => [source.rule_id, source.hook_id || source.cron])).toEqual([
+      ['notes-pushed', 'notes'],
+      ['other-hook', 'other-hook'],
+      ['nightly', '0 21 * * *']
+    ]);
+  });
+
+  it('accepts a webhook only with the HMAC signature or token of every rule on the hook', () => {
+    process.env.STEWARD_TEST_HOOK_SECRET = 'hook-secret';
+    try {
+      startEngine();
+      createRule({ id: 'signed', name: 'Signed', trigger: 'webhook_received', webhook: 'notes', webhook_secret_env: 'STEWARD_TEST_HOOK_SECRET' });
+      createRule({ id: 'open', name: 'Open', trigger: 'webhook_received' });
+      const body = JSON.stringify({ file: 'standup.md' });
+      const sign = secret => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+      expect(engine.verifyWebhook('notes', { body, signature: sign('hook-secret') })).toBe(true);
+      expect(engine.verifyWebhook('notes', { body: Buffer.from(body), signature: sign('hook-secret') })).toBe(true);
+      expect(engine.verifyWebhook('notes', { body, token: 'hook-secret' })).toBe(true);
+      expect(engine.verifyWebhook('notes', { body, signature: sign('wrong') })).toBe(false);
+      expect(engine.verifyWebhook('notes', { body: `${body} `, signature: sign('hook-secret') })).toBe(false);
+      expect(engine.verifyWebhook('notes', { body, token: 'hook' })).toBe(false);
+      expect(engine.verifyWebhook('notes', { body })).toBe(false);
+      // A rule without a secret, or no rule at all, is never fired over HTTP
+      expect(engine.verifyWebhook('open', { body, token: '' })).toBe(false);
+      expect(engine.verifyWebhook('missing', { body, token: 'hook-secret' })).toBe(false);
+    } finally {
+      delete process.env.STEWARD_TEST_HOOK_SECRET;
+    }
+  });
+
+  it('runs a fired rule\'s actions as workflows that call the model with the trigger data', async () => {
+    const { dbManager, cleanup } = await createTestDatabase('steward-automation-actions-');
+    const calls = [];
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'missing.yaml'), pluginsDir: path.join(tempDir, 'plugins') });
+    registry.registerAdapterType('mock', () => ({
+      sendRequest: async (modelName, prompt) => {
+        calls.push({ modelName, prompt });
+        return { content: `Noted: ${prompt}`, metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerModel('echo-model', { type: 'mock' }, { privacy_tier: 'local' });
+    const orchestrator = new WorkflowOrchestrator({ dbManager, modelInterface: new ModelInterface({ registry, dbManager }) });
+    templateManager.workflowOrchestrator = orchestrator;
+
+    try {
+      startEngine();
+      createRule({
+        id: 'notes-pushed',
+        name: 'Notes pushed',
+        trigger: 'webhook_received',
+        actions: [{ prompt: 'Summarize {{trigger.payload.text}}', model: 'echo-model', task_type: 'summarize' }]
+      });
+      const completed = new Promise(resolve => engine.once('automation_completed', resolve));
+      engine.receiveWebhook('notes-pushed', { text: 'the standup notes' });
+
+      expect(await completed).toMatchObject({ success: true });
+      expect(calls).toEqual([{ modelName: 'echo-model', prompt: 'Summarize the standup notes' }]);
+      expect(executed).toEqual(['notes-pushed']);
+
+      // An action naming no known workflow fails its rule instead of passing silently
+      const result = await templateManager.executeAutomationRule(createRule({
+        id: 'unknown-workflow', name: 'Unknown workflow', trigger: 'webhook_received', actions: ['summarize_new_notes']
+      }).id);
+      expect(result.success).toBe(false);
+      expect(result.actions_executed[0].error).toMatch('Unknown workflow summarize_new_notes');
+      expect(calls).toHaveLength(1);
+    } finally {
+      await engine.close();
+      engine = null;
+      await orchestrator.close();
+      await cleanup();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+// #region Jest Test for Character Sheet Store
+// character-sheet-store.test.js
+//
+// Tests schema and model validation of character sheets, versioned saves with authors, diffs and rollback.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const CharacterSheetStore = require('../src/core/character-sheet-store');
+const CharacterSheetSuggestionsEngine = require('../web-interface/src/learning/CharacterSheetSuggestionsEngine');
+
+const SHEET = `# Hand-written comments survive a rollback
+name: Test User
+task_type_preferences:
+  debug: claude
+  write: claude
+loadouts:
+  frugal_mode:
+    model: smollm3
+    memory: off
+`;
+
+describe('CharacterSheetStore', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let store;
+  let sheetPath;
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-sheet-'));
+
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, '{}\n');
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    registry.registerModel('claude', { type: 'mock' }, { privacy_tier: 'cloud' });
+    registry.registerModel('smollm3', { type: 'mock' }, { privacy_tier: 'local' });
+
+    sheetPath = path.join(tempDir, 'character-sheet.yaml');
+    fs.writeFileSync(sheetPath, SHEET);
+    store = new CharacterSheetStore({ dbManager, sheetPath, registry });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await cleanup();
+  });
+
+  it('rejects sheets that break the schema or name unknown models without writing them', async () => {
+    expect(store.validate(store.load())).toEqual([]);
+    expect(store.validate({ task_type_preferences: { debug: 'gpt-5' }, loadouts: { focus: { model: 'nope', verbosity: 'loud' } } })).toEqual([
+      '$.loadouts.focus.verbosity should be one of "low", "medium", "high"'
+    ]);
+    expect(store.validate({ task_type_preferences: { debug: 'gpt-5' }, loadouts: { focus: { model: 'nope' } } })).toEqual([
+      '$.task_type_preferences.debug names unknown model gpt-5',
+      '$.loadouts.focus.model names unknown model nope'
+    ]);
+
+    await expect(store.update(sheet => { sheet.task_type_preferences.debug = 'gpt-5'; }))
+      .rejects.toThrow('Invalid character sheet: $.task_type_preferences.debug names unknown model gpt-5');
+    expect(fs.readFileSync(sheetPath, 'utf8')).toBe(SHEET);
+    expect(await store.getHistory()).toEqual([]);
+  });
+
+  it('records each change with its author and rolls back to the sheet as written', async () => {
+    const saved = await store.update(sheet => { sheet.task_type_preferences.debug = 'smollm3'; }, { author: 'suggestion', source_id: 7, reason: 'Debug runs locally' });
+
+    expect(saved.changes).toEqual([{ path: 'task_type_preferences.debug', op: 'changed', before: 'claude', after: 'smollm3' }]);
+    const history = await store.getHistory();
+    expect(history.map(version => [version.version, version.author, version.source_id])).toEqual([
+      [2, 'suggestion', '7'],
+      [1, 'baseline', null]
+    ]);
+
+    const diff = await store.compare(1);
+    expect(diff).toEqual({ from: 1, to: 'current', changes: saved.changes });
+
+    const rolledBack = await store.rollback(1);
+    expect(rolledBack.version).toBe(3);
+    expect(fs.readFileSync(sheetPath, 'utf8')).toBe(SHEET);
+    expect((await store.getHistory(1))[0]).toMatchObject({ author: 'rollback', source_id: '1', reason: 'Rolled back to version 1' });
+
+    await expect(store.rollback(42)).rejects.toThrow('Character sheet version 42 not found');
+  });
+
+  it('diffs nested mappings by path and compares lists whole', () => {
+    expect(CharacterSheetStore.diff(
+      { a: { b: 1, c: [1, 2] }, gone: true },
+      { a: { b: 2, c: [1, 2], d: 'x' } }
+    )).toEqual([
+      { path: 'a.b', op: 'changed', before: 1, after: 2 },
+      { path: 'a.d', op: 'added', before: null, after: 'x' },
+      { path: 'gone', op: 'removed', before: true, after: null }
+    ]);
+  });
+
+  it('refuses an accepted suggestion that names a model that does not exist', async () => {
+    const engine = new CharacterSheetSuggestionsEngine();
+    engine.dbManager = dbManager;
+    engine.characterSheetStore = store;
+
+    const result = await engine.applySuggestionToCharacterSheet({
+      id: 3, setting_path: 'task_type_preferences.debug', suggested_value: 'missing-model', reasoning: 'Drift'
+    });
+    expect(result).toEqual({ applied: false, error: 'Invalid character sheet: $.task_type_preferences.debug names unknown model missing-model' });
+    expect(fs.readFileSync(sheetPath, 'utf8')).toBe(SHEET);
+
+    const applied = await engine.applySuggestionToCharacterSheet({
+      id: 4, setting_path: 'task_type_preferences.debug', suggested_value: 'smollm3', reasoning: 'Drift'
+    });
+    expect(applied).toEqual({ applied: true, error: null, version: 2 });
+  });
+});
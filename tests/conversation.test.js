@@ -0,0 +1,45 @@
+// #region Jest Test for Conversation Serialization
+// conversation.test.js
+//
+// Tests that multi-turn chats keep their roles when serialized for each provider.
+// #endregion
+
+const Conversation = require('../models/Conversation');
+
+describe('Conversation', () => {
+  const messages = [
+    { role: 'system', content: 'You are terse.' },
+    { role: 'user', content: 'Name a prime.' },
+    { role: 'assistant', content: '7' },
+    { role: 'user', content: [{ type: 'text', text: 'Another one?' }] }
+  ];
+
+  it('wraps a plain prompt as a single user message', () => {
+    const conversation = Conversation.from('Hello');
+    expect(conversation.toPromptText()).toBe('Hello');
+    expect(conversation.toOpenAIMessages('Be helpful.')).toEqual([
+      { role: 'system', content: 'Be helpful.' },
+      { role: 'user', content: 'Hello' }
+    ]);
+  });
+
+  it('keeps the OpenAI chat array intact and skips the default system prompt', () => {
+    const conversation = new Conversation(messages);
+    const serialized = conversation.toOpenAIMessages('Be helpful.');
+    expect(serialized).toHaveLength(4);
+    expect(serialized[0].content).toBe('You are terse.');
+    expect(conversation.getLatestUserText()).toBe('Another one?');
+  });
+
+  it('moves system text to the Anthropic system field and merges repeated roles', () => {
+    const conversation = new Conversation([...messages, { role: 'user', content: 'Odd only.' }]);
+    const payload = conversation.toAnthropicPayload();
+    expect(payload.system).toBe('You are terse.');
+    expect(payload.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(payload.messages[2].content).toBe('Another one?\n\nOdd only.');
+  });
+
+  it('rejects unknown roles', () => {
+    expect(() => new Conversation([{ role: 'narrator', content: 'x' }])).toThrow('Unsupported message role');
+  });
+});
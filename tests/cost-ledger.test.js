@@ -0,0 +1,126 @@
+// #region Jest Test for Cost Ledger
+// cost-ledger.test.js
+//
+// Tests cost ledger pricing, daily and project budget alerts and the block_tier3 action through ModelInterface.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const CostLedger = require('../models/CostLedger');
+const { createTestDatabase } = require('./helpers/test-database');
+
+const COST_CONFIG = {
+  monthly_budget: 10,
+  daily_budget: 2,
+  project_budgets: { atlas: 1 },
+  default_cost_per_token: { cloud: 0.001, local: 0 },
+  cost_alerts: [
+    { threshold: 5, action: 'warn' },
+    { threshold: 8, action: 'restrict_tier3' },
+    { threshold: 10, action: 'block_tier3' }
+  ]
+};
+
+describe('CostLedger', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let calls;
+  let modelInterface;
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-cost-'));
+    fs.writeFileSync(path.join(tempDir, 'models.yaml'), '{}\n');
+    calls = [];
+
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'models.yaml'), pluginsDir: tempDir });
+    registry.registerAdapterType('paid', () => ({
+      sendRequest: async (modelId, prompt) => {
+        calls.push({ modelId, prompt });
+        return {
+          content: 'paid answer',
+          metadata: { usage: { prompt_tokens: 400, completion_tokens: 600, total_tokens: 1000 } }
+        };
+      }
+    }), { location: 'cloud' });
+    registry.registerAdapterType('free', () => ({
+      sendRequest: async (modelId, prompt) => {
+        calls.push({ modelId, prompt });
+        return { content: 'free answer', metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerModel('paid-model', { type: 'paid' }, { privacy_tier: 'cloud' });
+    registry.registerModel('free-model', { type: 'free' }, { privacy_tier: 'local' });
+
+    modelInterface = new ModelInterface({
+      registry,
+      dbManager,
+      costLedger: new CostLedger({ dbManager, config: COST_CONFIG })
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.warn.mockRestore();
+    await cleanup();
+  });
+
+  it('prices calls from reported or estimated token usage', async () => {
+    const paid = await modelInterface.sendRequest('paid-model', 'Draft a release note', { cache: false }, 'write');
+    const free = await modelInterface.sendRequest('free-model', 'Draft a release note', { cache: false }, 'write');
+
+    expect(paid.metadata.cost).toMatchObject({ tokens_total: 1000, tokens_estimated: false, cost_per_token: 0.001 });
+    expect(paid.metadata.cost.cost_usd).toBeCloseTo(1);
+    expect(free.metadata.cost).toMatchObject({ tokens_estimated: true, cost_usd: 0 });
+    expect(free.metadata.cost.tokens_total).toBeGreaterThan(0);
+
+    const rows = await dbManager._query('SELECT model_name, adapter_type, tokens_total FROM cost_ledger ORDER BY id');
+    expect(rows.map(row => row.model_name)).toEqual(['paid-model', 'free-model']);
+    expect(await dbManager.getSpend('month')).toBeCloseTo(1);
+  });
+
+  it('raises a daily budget alert before the monthly budget is close', async () => {
+    const response = await modelInterface.sendRequest('paid-model', 'Summarize the meeting', { cache: false }, 'summarize');
+
+    expect(response.metadata.budget.action).toBe('warn');
+    expect(response.metadata.budget.alerts).toEqual([
+      expect.objectContaining({ scope: 'daily', action: 'warn' })
+    ]);
+    expect(response.metadata.budget.monthly.alert).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Budget alert: daily spend'));
+  });
+
+  it('refuses cloud models once a project budget reaches block_tier3 but keeps local models working', async () => {
+    await modelInterface.sendRequest('paid-model', 'Plan the sprint', { cache: false, project: 'atlas' }, 'analyze');
+    const blocked = await modelInterface.sendRequest('paid-model', 'Plan the next sprint', { cache: false, project: 'atlas' }, 'analyze');
+    const local = await modelInterface.sendRequest('free-model', 'Plan the next sprint', { cache: false, project: 'atlas' }, 'analyze');
+    const otherProject = await modelInterface.sendRequest('paid-model', 'Plan the next sprint', { cache: false }, 'analyze');
+
+    expect(blocked.error).toMatchObject({ type: 'BudgetExceededError' });
+    expect(blocked.error.message).toContain('project spend $1.00 of $1.00');
+    expect(local.error).toBeNull();
+    expect(otherProject.error).toBeNull();
+    expect(calls).toHaveLength(3);
+
+    const status = await modelInterface.getBudgetStatus('atlas');
+    expect(status.project).toMatchObject({ name: 'atlas', remaining: 0 });
+    expect(status.action).toBe('block_tier3');
+  });
+
+  it('judges each routing decision by the budget status it read, whatever other requests read meanwhile', async () => {
+    const { validateCostConstraints, selectCostOptimizedModel } = require('../src/core/routing-engine');
+    await modelInterface.sendRequest('paid-model', 'Plan the sprint', { cache: false, project: 'atlas' }, 'analyze');
+    const atlasStatus = await modelInterface.getBudgetStatus('atlas');
+    const otherStatus = await modelInterface.getBudgetStatus();
+    const cloudSelection = { model: 'claude', cost_estimate: 0.01 };
+
+    // Both statuses are in hand at once, as with overlapping requests
+    expect(validateCostConstraints(cloudSelection, {}, { budget_status: atlasStatus }))
+      .toMatchObject({ valid: false, reason: expect.stringContaining('block_tier3') });
+    expect(validateCostConstraints(cloudSelection, {}, { budget_status: otherStatus })).toMatchObject({ valid: true });
+    expect(selectCostOptimizedModel('analyze', {}, { budget_status: atlasStatus })).toMatchObject({ budget_protection: true });
+    expect(selectCostOptimizedModel('analyze', {}, { budget_status: otherStatus }).reason).toBe('Cost optimization - Low budget remaining ($1.00)');
+  });
+});
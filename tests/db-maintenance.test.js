@@ -0,0 +1,126 @@
+// #region Jest Test for Database Maintenance
+// db-maintenance.test.js
+//
+// Tests retention across tables that point at each other, verified online backups with rotation, restore and the nightly schedule.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const DatabaseMaintenance = require('../database/maintenance');
+
+const CONFIG = {
+  enabled: true,
+  run_at_hour: 3,
+  retention_days: { model_performance: 90, routing_decisions: 90, user_feedback: 365, cost_ledger: 400 },
+  vacuum: true,
+  analyze: true
+};
+
+describe('DatabaseMaintenance', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let maintenance;
+
+  const insertPerformance = async (daysAgo) => {
+    const result = await dbManager._query(
+      `INSERT INTO model_performance (timestamp, model_name, adapter_type, response_time_ms)
+       VALUES (datetime('now', ?), 'smollm3', 'local', 100)`,
+      [`-${daysAgo} days`]
+    );
+    return result.lastID;
+  };
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-maintenance-'));
+
+    maintenance = new DatabaseMaintenance({
+      dbManager,
+      config: { ...CONFIG, backups: { directory: path.join(tempDir, 'backups'), keep: 2 } }
+    });
+  });
+
+  afterEach(async () => {
+    await maintenance.close();
+    await cleanup();
+  });
+
+  it('deletes expired rows without breaking the rows kept longer that point at them', async () => {
+    const old = await insertPerformance(200);
+    const rated = await insertPerformance(200);
+    const recent = await insertPerformance(1);
+    await dbManager._query(
+      `INSERT INTO routing_decisions (timestamp, task_type, chosen_model, routing_reason, performance_id)
+       VALUES (datetime('now', '-200 days'), 'debug', 'smollm3', 'fallback', ?)`,
+      [old]
+    );
+    await dbManager._query(
+      `INSERT INTO cost_ledger (timestamp, performance_id, model_name, adapter_type, tokens_total, cost_per_token, cost_usd)
+       VALUES (datetime('now', '-200 days'), ?, 'smollm3', 'local', 10, 0, 0)`,
+      [old]
+    );
+    await dbManager._query('INSERT INTO user_feedback (performance_id, satisfaction_rating) VALUES (?, 4)', [rated]);
+
+    const run = await maintenance.run({ triggeredBy: 'cli' });
+
+    expect(run).toMatchObject({ status: 'ok', error: null, backup_verified: true });
+    expect(run.deleted).toMatchObject({ model_performance: 1, routing_decisions: 1, cost_ledger: 0, user_feedback: 0 });
+    expect((await dbManager._query('SELECT id FROM model_performance ORDER BY id')).map(row => row.id)).toEqual([rated, recent]);
+    expect(await dbManager._query('SELECT performance_id FROM cost_ledger')).toEqual([{ performance_id: null }]);
+
+    const [recorded] = await dbManager.getMaintenanceRuns(1);
+    expect(recorded).toMatchObject({ id: run.id, triggered_by: 'cli', status: 'ok', backup_verified: true, deleted: run.deleted });
+    await expect(dbManager.cleanupOldData({ users: 30 })).rejects.toThrow(/^No retention policy for users/);
+  });
+
+  it('keeps the newest verified backups and restores one after backing up the current database', async () => {
+    await insertPerformance(1);
+    const first = await maintenance.backup();
+    await insertPerformance(1);
+    await maintenance.backup();
+    await maintenance.backup();
+
+    expect(first).toMatchObject({ verified: true, integrity: 'ok', problems: [] });
+    expect(first.tables.model_performance).toBe(1);
+    expect(maintenance.listBackups()).toHaveLength(2);
+    expect(fs.existsSync(first.path)).toBe(false);
+
+    const kept = maintenance.listBackups()[1];
+    fs.writeFileSync(path.join(tempDir, 'backups', 'steward-backup-broken.db'), 'not a database');
+    const broken = await maintenance.verifyBackup('steward-backup-broken.db');
+    expect(broken.verified).toBe(false);
+    await expect(maintenance.restore('steward-backup-broken.db')).rejects.toThrow(/^Refusing to restore steward-backup-broken\.db/);
+
+    await insertPerformance(1);
+    const restored = await maintenance.restore(kept.name);
+    expect(restored.tables.model_performance).toBe(2);
+    expect((await dbManager.getTableCounts()).model_performance).toBe(2);
+    expect((await DatabaseMaintenance.inspect(restored.safety_backup)).tables.model_performance).toBe(3);
+  });
+
+  it('waits for the next run_at_hour without a previous run, then runs once a night', async () => {
+    const now = new Date();
+    const beforeHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 2, 30);
+    expect(maintenance.lastScheduledTime(beforeHour).getDate()).toBe(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1).getDate());
+
+    // A fresh database is not purged the moment the schedule starts
+    expect(await maintenance.runIfDue(now)).toBeNull();
+    expect((await maintenance.status()).next_run).not.toBe('due');
+    expect(await dbManager.getMaintenanceRuns(1)).toHaveLength(0);
+
+    // A schedule first checked two days ago has since passed run_at_hour
+    maintenance.scheduledSince = new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000);
+    const first = await maintenance.runIfDue(now);
+    expect(first).toMatchObject({ triggered_by: 'schedule', status: 'ok' });
+    expect(await maintenance.runIfDue(now)).toBeNull();
+
+    const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    tomorrow.setHours(3, 30);
+    expect(await maintenance.runIfDue(tomorrow)).toMatchObject({ triggered_by: 'schedule' });
+
+    const status = await maintenance.status();
+    expect(status.runs).toHaveLength(2);
+    expect(status.backups).toHaveLength(2);
+  });
+});
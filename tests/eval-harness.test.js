@@ -0,0 +1,152 @@
+// #region Jest Test for Eval Harness
+// eval-harness.test.js
+//
+// Tests suite validation, scoring of each check type against the mock adapter, stored results and rating updates.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const EvalSuite = require('../src/evals/EvalSuite');
+const EvalRunner = require('../src/evals/EvalRunner');
+
+const SUITE = {
+  task_type: 'code',
+  cases: [
+    {
+      id: 'package-json',
+      prompt: 'Write a package.json for tiny-cache',
+      mock_response: 'Here you go:\n```json\n{"name": "tiny-cache", "version": "0.1.0"}\n```',
+      expect: [
+        { json_schema: { type: 'object', required: ['name', 'version'], properties: { name: { const: 'tiny-cache' } } }, weight: 2 },
+        { contains: ['tiny-cache', 'jest'] },
+        { regex: 'VERSION', flags: 'i' }
+      ]
+    },
+    {
+      id: 'slugify',
+      prompt: 'Write slugify(text)',
+      mock_response: 'function slugify(text) { return text.toLowerCase(); }',
+      expect: [
+        { rubric: 'Collapses separators', min_score: 7, mock_response: '{"score": 6, "reason": "Misses separators"}' }
+      ]
+    }
+  ]
+};
+
+describe('Eval harness', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-evals-'));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('validates suites and loads the bundled ones', () => {
+    expect(EvalSuite.validate({ task_type: 'code', cases: [{ id: 'a', prompt: 'p', expect: [{ regex: '(' }, { contains: 'x', rubric: 'y' }] }] }))
+      .toEqual([
+        expect.stringMatching(/^cases\[0\]\.expect\[0\] regex is invalid/),
+        'cases[0].expect[1] must have exactly one of contains, regex, json_schema, rubric'
+      ]);
+    expect(() => EvalSuite.fromObject({ cases: [] }, 'empty')).toThrow('Invalid eval suite empty: task_type is required; cases must be a non-empty list');
+
+    const suites = EvalSuite.loadAll();
+    expect(suites.length).toBeGreaterThan(0);
+    expect(EvalSuite.loadAll(undefined, { task_type: 'debug' }).every(suite => suite.task_type === 'debug')).toBe(true);
+  });
+
+  it('scores every check type against mock answers and stores the results', async () => {
+    const runner = new EvalRunner({ dbManager, mock: true });
+    const report = await runner.run({ suites: [EvalSuite.fromObject(SUITE, 'code')], models: ['smollm3'] });
+
+    const [packageJson, slugify] = report.results;
+    expect(packageJson.checks.map(check => [check.type, check.passed, check.score])).toEqual([
+      ['json_schema', true, 1],
+      ['contains', false, 0.5],
+      ['regex', true, 1]
+    ]);
+    expect(packageJson.score).toBeCloseTo((2 + 0.5 + 1) / 4);
+    expect(packageJson.passed).toBe(false);
+    expect(slugify.checks[0]).toMatchObject({ type: 'rubric', passed: false, score: 0.6 });
+
+    const stored = await dbManager.getEvalResults({ run_id: report.run_id });
+    expect(stored).toHaveLength(2);
+    expect(stored.find(row => row.case_id === 'package-json')).toMatchObject({ mock: true, passed: false, checks: packageJson.checks });
+
+    // Mock runs stay out of summaries unless the run is picked
+    expect(await dbManager.getEvalSummary()).toEqual([]);
+    const [summary] = await dbManager.getEvalSummary({ run_id: report.run_id });
+    expect(summary).toMatchObject({ model_name: 'smollm3', task_type: 'code', cases: 2, passed: 0 });
+    expect(() => runner.updateRatings(report)).toThrow('Mock runs do not update performance_rating');
+  });
+
+  it('only lets local models judge rubrics', async () => {
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, '{}\n');
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    registry.registerModel('local-model', { type: 'mock' }, { privacy_tier: 'local' });
+    registry.registerModel('cloud-judge', { type: 'mock' }, { privacy_tier: 'cloud' });
+    const modelInterface = new ModelInterface({ dbManager, registry });
+    modelInterface.trackPerformance = false;
+
+    const runner = new EvalRunner({ dbManager, modelInterface, judgeModel: 'cloud-judge' });
+    const outcome = await runner.check({ type: 'rubric', rubric: 'Is correct' }, 'answer', { prompt: 'question' }, {});
+    expect(outcome).toEqual({ passed: false, score: 0, detail: 'judge model cloud-judge is not local; rubrics are only scored by local models' });
+
+    expect(EvalRunner.parseJudgeVerdict('Score: 8/10 - solid')).toEqual({ score: 8, reason: null });
+    expect(EvalRunner.parseJudgeVerdict('no idea').score).toBeNull();
+  });
+
+  it('writes run scores to performance_rating and keeps comments and anchors', () => {
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, [
+      '# Local models',
+      'base: &base',
+      '  tier: tier1-fast',
+      'smollm3:',
+      '  <<: *base',
+      '  performance_rating: 8.0 # hand tuned',
+      'codellama:',
+      '  <<: *base',
+      ''
+    ].join('\n'));
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    const runner = new EvalRunner({ dbManager, modelInterface: new ModelInterface({ dbManager, registry }), modelsPath });
+
+    const changes = runner.updateRatings({
+      mock: false,
+      models: ['smollm3', 'codellama', 'offline'],
+      results: [
+        { model_name: 'smollm3', score: 0.9 },
+        { model_name: 'smollm3', score: 0.64 },
+        { model_name: 'codellama', score: 0.5 },
+        { model_name: 'offline', score: 0, error_message: 'connect ECONNREFUSED' }
+      ]
+    });
+
+    expect(changes).toEqual({
+      smollm3: { before: 8, after: 7.7 },
+      codellama: { before: null, after: 5 },
+      offline: { skipped: 'no case could be run' }
+    });
+    expect(fs.readFileSync(modelsPath, 'utf8')).toBe([
+      '# Local models',
+      'base: &base',
+      '  tier: tier1-fast',
+      'smollm3:',
+      '  <<: *base',
+      '  performance_rating: 7.7 # hand tuned',
+      'codellama:',
+      '  performance_rating: 5',
+      '  <<: *base',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,120 @@
+// #region Jest Test for Failover Executor
+// failover-executor.test.js
+//
+// Tests that failed model calls walk the fallback chain without breaking privacy rules.
+// #endregion
+
+const FailoverExecutor = require('../src/core/failover-executor');
+
+function createModelInterface(responses) {
+  const calls = [];
+  return {
+    calls,
+    modelRouting: { 'cloud-a': 'cloud', 'cloud-b': 'cloud', 'local-a': 'local' },
+    isModelAvailable(modelName) {
+      return Object.prototype.hasOwnProperty.call(this.modelRouting, modelName);
+    },
+    async sendRequest(modelName) {
+      calls.push(modelName);
+      return { content: '', tool_calls: null, metadata: {}, ...responses[modelName] };
+    },
+    async streamRequest(modelName, prompt, options, taskType, sessionId, onToken) {
+      calls.push(modelName);
+      const response = { content: '', tool_calls: null, metadata: {}, ...responses[modelName] };
+      if (response.content) onToken(response.content);
+      return response;
+    }
+  };
+}
+
+function createDecision(model, fallbacks, extra = {}) {
+  return {
+    classification: { type: 'general' },
+    selection: { model, fallbacks, confidence: 0.8, ...extra }
+  };
+}
+
+describe('FailoverExecutor', () => {
+  let dbManager;
+
+  beforeEach(() => {
+    dbManager = { logRoutingDecision: jest.fn().mockResolvedValue(1) };
+  });
+
+  it('moves past rate limits and empty output, recording every hop', async () => {
+    const modelInterface = createModelInterface({
+      'cloud-a': { error: { message: 'Rate limit exceeded. Please try again later.' } },
+      'cloud-b': { content: '   ' },
+      'local-a': { content: 'Answer' }
+    });
+    const executor = new FailoverExecutor(modelInterface, { dbManager });
+
+    const response = await executor.execute(createDecision('cloud-a', ['cloud-b', 'local-a']), 'Hi');
+
+    expect(response.content).toBe('Answer');
+    expect(response.metadata.failover.attempts.map(a => a.outcome))
+      .toEqual(['rate_limited', 'empty_output', 'success']);
+    expect(dbManager.logRoutingDecision).toHaveBeenCalledTimes(3);
+    expect(dbManager.logRoutingDecision.mock.calls[2][0]).toMatchObject({
+      chosen_model: 'local-a',
+      fallback_triggered: true
+    });
+  });
+
+  it('never falls through to a cloud model when the task must stay local', async () => {
+    const modelInterface = createModelInterface({
+      'local-a': { error: { message: 'Request timeout after 30000ms' } },
+      'cloud-a': { content: 'Leaked' }
+    });
+    const executor = new FailoverExecutor(modelInterface, { dbManager });
+    const decision = createDecision('local-a', ['cloud-a'], {
+      local_first_analysis: { privacy_analysis: { requires_local: true } }
+    });
+
+    const response = await executor.execute(decision, 'My SSN is on file');
+
+    expect(modelInterface.calls).toEqual(['local-a']);
+    expect(response.error.message).toContain('timeout');
+    expect(response.metadata.failover.privacy_restricted).toBe(true);
+  });
+
+  it('counts only the models it tries towards maxAttempts once cloud hops are skipped', async () => {
+    const modelInterface = createModelInterface({
+      'cloud-a': { error: { message: 'Rate limit exceeded. Please try again later.' } },
+      'cloud-b': { content: 'unused' },
+      'local-a': { content: 'Answer' }
+    });
+    const executor = new FailoverExecutor(modelInterface, {
+      dbManager,
+      maxAttempts: 2,
+      characterSheet: { fallback_behavior: { cloud_failure: 'use_local_only' } }
+    });
+
+    const response = await executor.execute(createDecision('cloud-a', ['cloud-b', 'local-a']), 'Hi');
+
+    expect(modelInterface.calls).toEqual(['cloud-a', 'local-a']);
+    expect(response.content).toBe('Answer');
+  });
+
+  it('stops after a client error and after streamed output', async () => {
+    const modelInterface = createModelInterface({
+      'cloud-a': { error: { message: 'HTTP 400: bad request' } },
+      'local-a': { content: 'unused' }
+    });
+    const executor = new FailoverExecutor(modelInterface, { dbManager });
+
+    await executor.execute(createDecision('cloud-a', ['local-a']), 'Hi');
+    expect(modelInterface.calls).toEqual(['cloud-a']);
+
+    const streaming = createModelInterface({
+      'cloud-a': { content: 'partial', error: { message: 'HTTP 502: upstream closed' } },
+      'local-a': { content: 'unused' }
+    });
+    const tokens = [];
+    await new FailoverExecutor(streaming, { dbManager })
+      .execute(createDecision('cloud-a', ['local-a']), 'Hi', {}, { onToken: token => tokens.push(token) });
+
+    expect(streaming.calls).toEqual(['cloud-a']);
+    expect(tokens).toEqual(['partial']);
+  });
+});
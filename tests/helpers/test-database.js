@@ -0,0 +1,34 @@
+// #region start: Test Database Helper
+// Gives a test suite its own Steward database in a temporary directory, with every table from tables.sql
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../database/DatabaseManager');
+
+const TABLES_PATH = path.join(__dirname, '../../database/tables.sql');
+
+/**
+ * Create a temporary directory holding an initialized steward.db
+ * @param {string} prefix - Name prefix of the temporary directory, e.g. 'steward-cost-'
+ * @returns {Promise<object>} {tempDir, dbManager, cleanup}; cleanup closes the database and deletes the directory
+ */
+async function createTestDatabase(prefix = 'steward-test-') {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  const dbManager = new DatabaseManager(path.join(tempDir, 'steward.db'));
+  await dbManager.initialize();
+  await new Promise((resolve, reject) => {
+    dbManager.db.exec(fs.readFileSync(TABLES_PATH, 'utf8'), err => (err ? reject(err) : resolve()));
+  });
+
+  const cleanup = async () => {
+    await dbManager.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  };
+
+  return { tempDir, dbManager, cleanup };
+}
+
+module.exports = { createTestDatabase };
+
+// #endregion end: Test Database Helper
@@ -0,0 +1,95 @@
+// #region Jest Test for Journal
+// journal.test.js
+//
+// Tests daily journal check-ins, journal-based cognitive capacity and the end-of-day usage summary.
+// #endregion
+
+const { createTestDatabase } = require('./helpers/test-database');
+const Journal = require('../models/Journal');
+const CognitiveProfileManager = require('../src/core/cognitive-profile-manager');
+
+describe('Journal', () => {
+  let dbManager;
+  let cleanup;
+  let journal;
+
+  async function logRequest(model_name, success = true, user_rating = null) {
+    return dbManager.logPerformance({
+      model_name, adapter_type: 'test', task_type: 'debug', response_time_ms: 500, success, user_rating
+    });
+  }
+
+  beforeEach(async () => {
+    ({ dbManager, cleanup } = await createTestDatabase('steward-journal-'));
+    journal = new Journal({ dbManager });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('checks in and updates an entry without losing fields', async () => {
+    await journal.checkIn({ energy_level: 'high', productive_hours: ['9-11'], goals_set: ['Ship the journal'] });
+    const entry = await journal.save(Journal.today(), { mood: 'focused', daily_reflection: 'Went well' });
+
+    expect(entry).toMatchObject({
+      energy_level: 'high',
+      mood: 'focused',
+      productive_hours: ['9-11'],
+      goals_set: ['Ship the journal'],
+      word_count: 2
+    });
+    expect(entry.completion_percentage).toBeGreaterThan(0);
+    expect((await journal.list()).total).toBe(1);
+  });
+
+  it('rejects invalid entries', async () => {
+    expect(Journal.validate({ energy_level: 'extreme', frustration_level: 9, productive_hours: ['25'] }, '2026-13-01'))
+      .toHaveLength(4);
+    await expect(journal.save(Journal.today(), { frustration_level: 0 })).rejects.toThrow(/frustration_level/);
+  });
+
+  it('estimates capacity from today\'s entry instead of the hour of day', () => {
+    const manager = new CognitiveProfileManager();
+    const peakHour = manager.estimateCognitiveCapacity(10, { task_type: 'write' });
+    expect(peakHour.factors.source).toBe('time_of_day');
+    expect(peakHour.level).toBe('high');
+
+    const journalEntry = { date: Journal.today(), energy_level: 'low', mood: 'scattered', frustration_level: 4, productive_hours: ['14-16'] };
+    const rough = manager.estimateCognitiveCapacity(10, { task_type: 'write', journal_entry: journalEntry });
+    expect(rough.factors.source).toBe('journal');
+    expect(rough.factors.journal).toMatchObject({ energy_level: 'low', productive_hour: false });
+    expect(rough.level).toBe('low');
+
+    const lateButRested = manager.estimateCognitiveCapacity(21, { task_type: 'write', journal_entry: { energy_level: 'high' } });
+    expect(lateButRested.level).toBe('high');
+  });
+
+  it('summarizes a day\'s AI usage from the logs', async () => {
+    await journal.checkIn({ energy_level: 'medium' });
+    await logRequest('gpt-4', true, 5);
+    await logRequest('gpt-4', true, 4);
+    await logRequest('smollm3', false);
+    await logRequest('smollm3', true);
+
+    const entry = await journal.summarizeDay();
+    expect(entry).toMatchObject({
+      energy_level: 'medium',
+      ai_requests_count: 4,
+      most_helpful_model: 'gpt-4',
+      least_helpful_model: 'smollm3',
+      preferred_task_types: ['debug']
+    });
+    expect(entry.summarized_at).toBeTruthy();
+  });
+
+  it('summarizes past days that ended without a summary', async () => {
+    await dbManager.saveJournalEntry('2020-01-01', { energy_level: 'low' });
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await dbManager.saveJournalEntry(Journal.today(yesterday), { energy_level: 'high' });
+
+    expect(await journal.summarizePendingDays()).toEqual([Journal.today(yesterday)]);
+    expect(await journal.summarizePendingDays()).toEqual([]);
+    expect(await journal.summarizeDay('2020-01-02')).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+// #region Jest Test for Learned Task Classifier
+// learned-classifier.test.js
+//
+// Tests training the naive Bayes task classifier from routing history, feedback corrections and --task
+// overrides, blending it with the keyword rules, and the classifier CLI's train and evaluate reports.
+// #endregion
+
+const { createTestDatabase } = require('./helpers/test-database');
+const LearnedClassifier = require('../src/core/learned-classifier');
+const TaskClassifier = require('../src/core/task-classifier');
+const ClassifierCLI = require('../cli/classifier');
+const { detectTaskType, refreshLearnedClassifier } = require('../src/core/routing-engine');
+
+const HISTORY = [
+  ['debug', 'the app crashes on startup'],
+  ['debug', 'it keeps crashing when I click save'],
+  ['debug', 'why does this throw a null pointer exception'],
+  ['debug', 'the build crashes after the upgrade'],
+  ['debug', 'stop the server from crashing under load'],
+  ['write', 'a blog post about spring gardening'],
+  ['write', 'a cover letter for a backend role'],
+  ['write', 'a short poem about the sea'],
+  ['write', 'an email to the team about the offsite'],
+  ['summarize', 'give me the gist of this meeting transcript'],
+  ['summarize', 'the key points of this article in three bullets'],
+  ['summarize', 'shorten these meeting notes to the key points']
+];
+
+describe('Learned task classifier', () => {
+  let dbManager;
+  let cleanup;
+
+  async function logDecision(task_type, prompt_snippet, extra = {}) {
+    return dbManager.logRoutingDecision({
+      task_type,
+      prompt_snippet,
+      chosen_model: 'gpt-4',
+      routing_reason: 'test',
+      alternatives_considered: [],
+      user_loadout: 'default',
+      fallback_triggered: false,
+      confidence_score: 0.5,
+      ...extra
+    });
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ dbManager, cleanup } = await createTestDatabase('steward-classifier-'));
+
+    for (const [type, prompt] of HISTORY) {
+      await logDecision(type, prompt);
+    }
+    // Held-up history only: fallbacks and general decisions are not training data
+    await logDecision('write', 'the parser crashes on empty files', { fallback_triggered: true });
+    await logDecision('general', 'hello there');
+    // Picked with --task
+    await logDecision('debug', 'my script crashes with a segfault', { task_type_source: 'explicit' });
+    // Misclassified, then corrected in feedback
+    const performanceId = await dbManager.logPerformance({ model_name: 'gpt-4', adapter_type: 'openai', task_type: 'general', response_time_ms: 800, success: true });
+    await logDecision('general', 'the page crashes when it loads', { performance_id: performanceId });
+    await dbManager.storeFeedback({ performance_id: performanceId, corrected_task_type: 'debug' });
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await cleanup();
+  });
+
+  it('collects weighted examples from history, --task overrides and corrections', async () => {
+    const examples = LearnedClassifier.toExamples(await dbManager.getClassifierExamples());
+    expect(examples).toHaveLength(HISTORY.length + 2);
+    expect(examples.find(e => e.text === 'the page crashes when it loads')).toMatchObject({ label: 'debug', source: 'correction', weight: 3 });
+    expect(examples.find(e => e.text === 'my script crashes with a segfault')).toMatchObject({ source: 'explicit', weight: 2 });
+    expect(examples.some(e => e.text === 'the parser crashes on empty files')).toBe(false);
+  });
+
+  it('refuses to train on too few examples', () => {
+    expect(() => new LearnedClassifier().train(HISTORY.slice(0, 3).map(([label, text]) => ({ label, text }))))
+      .toThrow(/at least 10/);
+  });
+
+  it('trains, stores and blends with the keyword rules', async () => {
+    const metrics = await new ClassifierCLI({ dbManager }).train({ days: 365 });
+    expect(metrics.examples).toBe(HISTORY.length + 2);
+    expect(metrics.accuracy).toBeGreaterThan(0);
+    expect(metrics.calibration_error).toBeGreaterThanOrEqual(0);
+
+    // No keyword rule matches; the learned model recognizes a crash report
+    expect(detectTaskType('make this not crash')).toMatchObject({ type: 'general', source: 'rules' });
+    await refreshLearnedClassifier({ force: true, dbManager });
+    const detected = detectTaskType('make this not crash');
+    expect(detected).toMatchObject({ type: 'debug', source: 'learned' });
+    expect(detected.confidence).toBeGreaterThan(0);
+    expect(detected.confidence).toBeLessThan(1);
+
+    // Rule matches stay in the blend
+    expect(detectTaskType('Debug this error')).toMatchObject({ type: 'debug', source: 'blended' });
+
+    const learned = await LearnedClassifier.loadLatest(dbManager);
+    const classification = new TaskClassifier().classifyTask('make this not crash', {}, { learned_classifier: learned });
+    expect(classification.type).toBe('debug');
+    expect(classification.learned).toMatchObject({ type: 'debug' });
+  });
+
+  it('honours an explicit task type over both', async () => {
+    const classification = new TaskClassifier().classifyTask('make this not crash', {}, { task_type: 'write' });
+    expect(classification).toMatchObject({ type: 'write', confidence: 1, source: 'explicit' });
+  });
+
+  it('evaluates rules, learned and blended accuracy', async () => {
+    const cli = new ClassifierCLI({ dbManager });
+    await cli.train({ days: 365 });
+    const report = await cli.evaluate({ days: 365 });
+
+    expect(report.examples).toBe(HISTORY.length + 2);
+    for (const method of ['rules', 'learned', 'blended']) {
+      expect(report[method].total).toBe(report.examples);
+      expect(report[method].accuracy).toBeGreaterThanOrEqual(0);
+      expect(report[method].accuracy).toBeLessThanOrEqual(1);
+    }
+    expect(report.learned.accuracy).toBeGreaterThan(report.rules.accuracy);
+  });
+});
@@ -0,0 +1,109 @@
+// #region Jest Test for Loadout Manager
+// loadouts.test.js
+//
+// Tests loadout inheritance, deep merging with list strategies, stacking, cycle detection and automatic activation.
+// #endregion
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LoadoutManager = require('../src/core/loadout-manager');
+
+const SHEET = {
+  name: 'Test User',
+  task_type_preferences: { debug: 'claude', write: 'claude' },
+  fallback_behavior: { fallback: 'smollm3', allowFallback: true },
+  uncensored_content_routing: { fallback_chain: ['claude'] },
+  loadouts: {
+    sqa_mode: { model: 'claude', memory: 'project-sqa', verbosity: 'medium' },
+    careful: { extends: 'sqa_mode', verbosity: 'high', task_type_preferences: { debug: 'smollm3' } }
+  }
+};
+
+describe('LoadoutManager', () => {
+  let tempDir;
+  let manager;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steward-loadouts-'));
+    fs.writeFileSync(path.join(tempDir, 'fallback.yaml'), 'local_tiers:\n  - smollm3\n');
+    fs.writeFileSync(path.join(tempDir, 'local_only.yaml'), [
+      'extends: fallback',
+      'model: smollm3',
+      'local_only: true',
+      'local_tiers: [mistral-7b, smollm3]',
+      'uncensored_content_routing:',
+      '  fallback_chain: [smollm3]',
+      'merge:',
+      '  local_tiers: union',
+      '  uncensored_content_routing.fallback_chain: prepend',
+      'activate:',
+      '  repos: ["*-private"]',
+      '  schedule:',
+      '    - days: [mon, tue, wed, thu, fri]',
+      '      hours: [22, 6]',
+      'priority: 10',
+      ''
+    ].join('\n'));
+    manager = new LoadoutManager({ loadoutsDir: tempDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('deep-merges an extends chain over the sheet without clobbering nested keys', () => {
+    const sheet = manager.activate(SHEET, { loadout: 'careful' });
+
+    expect(sheet.task_type_preferences).toEqual({ debug: 'smollm3', write: 'claude' });
+    expect(sheet.fallback_behavior).toEqual(SHEET.fallback_behavior);
+    expect(sheet).toMatchObject({ model: 'claude', memory: 'project-sqa', verbosity: 'high', loadout: 'careful' });
+    expect(sheet.active_loadout).toMatchObject({ name: 'careful', stack: ['careful'], chain: ['sqa_mode', 'careful'], source: 'manual' });
+    expect(SHEET.task_type_preferences.debug).toBe('claude');
+  });
+
+  it('stacks loadouts left to right and merges lists by the declared strategy', () => {
+    const sheet = manager.activate(SHEET, { loadout: 'careful+local_only' });
+
+    expect(sheet.model).toBe('smollm3');
+    expect(sheet.verbosity).toBe('high');
+    expect(sheet.local_tiers).toEqual(['smollm3', 'mistral-7b']);
+    expect(sheet.uncensored_content_routing.fallback_chain).toEqual(['smollm3', 'claude']);
+    expect(sheet.active_loadout.chain).toEqual(['sqa_mode', 'careful', 'fallback', 'local_only']);
+    expect(LoadoutManager.describe(sheet.active_loadout)).toBe('careful+local_only (chosen for this request, extends sqa_mode, fallback)');
+
+    expect(LoadoutManager.deepMerge({ tags: ['a', 'b'] }, { tags: ['b', 'c'] })).toEqual({ tags: ['b', 'c'] });
+    expect(LoadoutManager.deepMerge({ tags: ['a', 'b'] }, { tags: ['b', 'c'] }, { tags: 'append' })).toEqual({ tags: ['a', 'b', 'b', 'c'] });
+  });
+
+  it('reports unknown loadouts and circular extends', () => {
+    expect(() => manager.resolve('sqa_mode+nope', SHEET)).toThrow(/^Unknown loadout: nope \(available: fallback, local_only, sqa_mode, careful\)$/);
+
+    const circular = { loadouts: { a: { extends: 'b' }, b: { extends: ['fallback', 'a'] } } };
+    expect(() => manager.resolve('a', circular)).toThrow('Circular loadout extends: a -> b -> a');
+    expect(manager.validate({ ...circular, loadout: 'missing' })).toEqual([
+      'Loadout a: Circular loadout extends: a -> b -> a',
+      'Loadout b: Circular loadout extends: b -> a -> b',
+      expect.stringMatching(/^\$\.loadout: Unknown loadout: missing/)
+    ]);
+    expect(manager.validate(SHEET, { isKnownModel: model => model !== 'mistral-7b' })).toEqual([]);
+  });
+
+  it('switches loadouts on by repo and schedule unless one is chosen or turned off', () => {
+    const monday = hour => new Date(2026, 9, 19, hour);
+    const repo = { name: 'notes-private', path: '/work/notes-private' };
+
+    expect(manager.activate(SHEET, { now: monday(14) }).active_loadout).toMatchObject({ name: 'default', source: 'none' });
+    expect(manager.activate(SHEET, { now: monday(14), repo }).active_loadout).toMatchObject({
+      name: 'local_only',
+      source: 'auto',
+      reasons: ['local_only: repo notes-private']
+    });
+    expect(manager.activate(SHEET, { now: monday(23) }).active_loadout.reasons).toEqual(['local_only: schedule mon,tue,wed,thu,fri 22-6h']);
+    expect(manager.activate(SHEET, { now: new Date(2026, 9, 18, 23) }).active_loadout.source).toBe('none');
+
+    expect(manager.activate(SHEET, { now: monday(23), loadout: 'sqa_mode' }).loadout).toBe('sqa_mode');
+    expect(manager.activate(SHEET, { now: monday(23), loadout: 'default' }).active_loadout.source).toBe('none');
+    expect(manager.activate({ ...SHEET, loadout: 'careful' }, { now: monday(23) }).active_loadout.reasons).toEqual(['pinned in the character sheet']);
+  });
+});
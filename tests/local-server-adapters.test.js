@@ -0,0 +1,89 @@
+// #region Jest Test for Ollama and llama.cpp Adapters
+// local-server-adapters.test.js
+//
+// Tests the Ollama and llama.cpp adapters and model discovery against throwaway local HTTP servers.
+// #endregion
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const OllamaAdapter = require('../models/adapters/OllamaAdapter');
+const LlamaCppAdapter = require('../models/adapters/LlamaCppAdapter');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const { getModelInfo } = require('../models/model-metadata');
+
+function startServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function ollamaHandler(req, res) {
+  if (req.url === '/api/tags') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      models: [{ name: 'qwen2.5:latest', details: { family: 'qwen2', parameter_size: '7.6B' } }]
+    }));
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  res.write('{"model":"qwen2.5:latest","message":{"content":"Hel"},"done":false}\n');
+  res.end('{"model":"qwen2.5:latest","message":{"content":"lo"},"done":true,"done_reason":"stop","prompt_eval_count":3,"eval_count":2}\n');
+}
+
+describe('local server adapters', () => {
+  it('chats with Ollama through /api/chat', async () => {
+    const server = await startServer(ollamaHandler);
+    const adapter = new OllamaAdapter({ endpoint: `127.0.0.1:${server.address().port}` });
+
+    const tokens = [];
+    const result = await adapter.streamRequest('qwen2.5:latest', 'Hi', {}, token => tokens.push(token));
+    server.close();
+
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(result.metadata.usage.total_tokens).toBe(5);
+  });
+
+  it('streams native llama.cpp /completion chunks', async () => {
+    let requestPath;
+    const server = await startServer((req, res) => {
+      requestPath = req.url;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"content":"4","stop":false}\n\n');
+      res.end('data: {"content":"","stop":true,"stop_type":"eos","tokens_evaluated":6,"tokens_predicted":1}\n\n');
+    });
+    const adapter = new LlamaCppAdapter({ endpoint: `http://127.0.0.1:${server.address().port}`, wire_format: 'completion' });
+
+    const result = await adapter.streamRequest('smollm3', '2+2?');
+    server.close();
+
+    expect(requestPath).toBe('/completion');
+    expect(result.content).toBe('4');
+    expect(result.metadata.finish_reason).toBe('eos');
+    expect(result.metadata.usage).toEqual({ prompt_tokens: 6, completion_tokens: 1, total_tokens: 7 });
+  });
+
+  it('registers discovered Ollama models with the registry and model-metadata', async () => {
+    const server = await startServer(ollamaHandler);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steward-discovery-'));
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, [
+      'local_discovery:',
+      '  - type: ollama',
+      `    endpoint: "http://127.0.0.1:${server.address().port}"`,
+      '  - type: llama-cpp',
+      '    endpoint: "http://127.0.0.1:1"'
+    ].join('\n'));
+
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    const discovery = await registry.discoverModels();
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    expect(discovery.sources.map(source => source.status)).toEqual(['available', 'unreachable']);
+    expect(registry.resolve('qwen2.5')).toMatchObject({ type: 'ollama', model_id: 'qwen2.5:latest', location: 'local' });
+    expect(getModelInfo('qwen2.5:latest')).toMatchObject({ discovered: true, privacy_tier: 'local', model_size: '7.6B' });
+  });
+});
@@ -1,26 +1,92 @@
-// Unit tests for memory.js
-const fs = require('fs');
-const path = require('path');
-const { writeMemory, readMemory } = require('../models/memory');
+// #region Jest Test for Memory
+// memory.test.js
+//
+// Tests the SQLite-backed memory module: writing and reading, memory_use scoping, long_term_bleed and top-k recall.
+// #endregion
+
+const MemoryStore = require('../models/MemoryStore');
+const { createTestDatabase } = require('./helpers/test-database');
+const {
+  writeMemory, readMemory, loadMemory, writeLoadoutMemory, readLoadoutMemory, setMemoryStore
+} = require('../models/memory');
 
 describe('Memory module', () => {
   const testUser = 'test_user';
-  const memFile = path.join(__dirname, `../memory/${testUser}.jsonl`);
+  let dbManager;
+  let cleanup;
+
+  function useConfig(config = {}) {
+    const store = new MemoryStore({ dbManager, config: { scope: 'project', toggle: true, long_term_bleed: false, ...config } });
+    setMemoryStore(store);
+    return store;
+  }
+
+  beforeEach(async () => {
+    ({ dbManager, cleanup } = await createTestDatabase('steward-memory-'));
+    useConfig();
+  });
 
-  afterEach(() => {
-    if (fs.existsSync(memFile)) fs.unlinkSync(memFile);
+  afterEach(async () => {
+    setMemoryStore(null);
+    await cleanup();
   });
 
-  it('should write and read memory entries', () => {
+  it('should write and read memory entries', async () => {
     const entry = { foo: 'bar', n: 1 };
-    writeMemory(testUser, entry);
-    const entries = readMemory(testUser, 1);
+    await writeMemory(testUser, entry);
+    const entries = await readMemory(testUser, 1);
     expect(entries.length).toBe(1);
     expect(entries[0].foo).toBe('bar');
   });
 
-  it('should return empty array if file does not exist', () => {
-    if (fs.existsSync(memFile)) fs.unlinkSync(memFile);
-    expect(readMemory(testUser, 5)).toEqual([]);
+  it('should return empty array if nothing was written', async () => {
+    expect(await readMemory(testUser, 5)).toEqual([]);
+    expect(await loadMemory(testUser, 'anything')).toBe('');
+  });
+
+  it('keeps projects apart unless long_term_bleed is on', async () => {
+    await writeMemory('steward', 'The routing engine reads budgets from the cost ledger');
+    await writeMemory('garden', 'The tomato beds need compost in spring');
+
+    const own = await loadMemory('garden', 'how does the routing engine read budgets');
+    expect(own).toBe('');
+
+    useConfig({ long_term_bleed: true });
+    const bled = await loadMemory('garden', 'how does the routing engine read budgets');
+    expect(bled).toContain('(project: steward) The routing engine reads budgets');
+  });
+
+  it('recalls the top-k most relevant entries of the scope', async () => {
+    useConfig({ top_k: 2 });
+    await writeMemory('steward', 'Use SQLite for the response cache');
+    await writeMemory('steward', 'The frontend polls the analytics feed every minute');
+    await writeMemory('steward', 'We use SQLite for the cost ledger too');
+    await writeMemory('steward', 'Weekly review happens on Friday');
+
+    const context = await loadMemory('steward', 'what do we use SQLite for');
+    const lines = context.split('\n').slice(1);
+    expect(context.startsWith('Relevant memory (project: steward):')).toBe(true);
+    expect(lines).toHaveLength(2);
+    expect(lines.every(line => line.includes('SQLite'))).toBe(true);
+
+    const [recalled] = await dbManager._query('SELECT SUM(recall_count) as recalls FROM memory_entries');
+    expect(recalled.recalls).toBe(2);
+  });
+
+  it('follows memory_use.scope and lists and prunes per scope', async () => {
+    const store = useConfig({ scope: 'loadout' });
+    await writeMemory('steward', 'Creative drafts stay informal', { loadout: 'creative' });
+    await writeLoadoutMemory('creative', 'Prefer second person in stories');
+    await writeMemory('steward', 'Default loadout entry');
+
+    expect(await readLoadoutMemory('creative', 'how informal are creative drafts')).toContain('Creative drafts stay informal');
+    expect(await store.list({ scope: 'loadout', loadout: 'creative' })).toHaveLength(2);
+    expect((await store.stats()).map(scope => `${scope.scope_type}:${scope.scope_name}`).sort())
+      .toEqual(['loadout:creative', 'loadout:default']);
+
+    expect(await store.prune({ scope: 'loadout', loadout: 'creative' }, { keep: 1 })).toBe(1);
+    const [kept] = await store.list({ scope: 'loadout', loadout: 'creative' });
+    expect(kept.content).toBe('Prefer second person in stories');
+    expect(await store.list({ all: true })).toHaveLength(2);
   });
 });
@@ -0,0 +1,120 @@
+// #region Jest Test for Response Cache
+// response-cache.test.js
+//
+// Tests exact and near-duplicate cache hits, bypass rules, cache-hit logging through ModelInterface, and that
+// stored prompts are masked.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const ResponseCache = require('../models/ResponseCache');
+const { createTestDatabase } = require('./helpers/test-database');
+
+const CACHE_CONFIG = {
+  enabled: true,
+  default_ttl_seconds: 600,
+  ttl_by_task_type: { creative: 0 },
+  bypass: { max_temperature: 0.9 },
+  semantic: { enabled: false, similarity_threshold: 0.85 }
+};
+
+describe('ResponseCache', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let calls;
+  let modelInterface;
+
+  function createModelInterface(config = CACHE_CONFIG) {
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'models.yaml'), pluginsDir: tempDir });
+    registry.registerAdapterType('echo', () => ({
+      sendRequest: async (modelId, prompt) => {
+        calls.push(prompt);
+        return {
+          content: `answer ${calls.length}`,
+          metadata: { usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }
+        };
+      }
+    }), { location: 'local' });
+    registry.registerModel('echo-model', { type: 'echo', aliases: ['echo-alias'] }, { privacy_tier: 'local' });
+
+    return new ModelInterface({
+      registry,
+      dbManager,
+      responseCache: new ResponseCache({ dbManager, config })
+    });
+  }
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-cache-'));
+    fs.writeFileSync(path.join(tempDir, 'models.yaml'), '{}\n');
+    calls = [];
+    modelInterface = createModelInterface();
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('serves a repeated prompt from the cache and logs the hit', async () => {
+    const first = await modelInterface.sendRequest('echo-model', 'Summarize this changelog', { temperature: 0.2 }, 'summarize');
+    const second = await modelInterface.sendRequest('echo-alias', '  Summarize   this changelog\n', { temperature: 0.2 }, 'summarize');
+
+    expect(calls).toHaveLength(1);
+    expect(first.metadata.cache).toEqual({ hit: false, stored: true, bypass: null });
+    expect(second.content).toBe('answer 1');
+    expect(second.metadata.cache).toMatchObject({ hit: true, match: 'exact' });
+
+    const hits = await dbManager._query('SELECT model_name, tokens_total, cache_hit FROM model_performance WHERE cache_hit = TRUE');
+    expect(hits).toEqual([{ model_name: 'echo-alias', tokens_total: 15, cache_hit: 1 }]);
+
+    const stats = await modelInterface.getCacheStats();
+    expect(stats.total_hits).toBe(1);
+    expect(stats.hits_by_model[0]).toMatchObject({ hits: 1, tokens_saved: 15 });
+  });
+
+  it('keys on sampling options and bypasses creative, high-temperature and opted-out requests', async () => {
+    await modelInterface.sendRequest('echo-model', 'Explain closures', { temperature: 0.2 }, 'explain');
+    await modelInterface.sendRequest('echo-model', 'Explain closures', { temperature: 0.3 }, 'explain');
+    await modelInterface.sendRequest('echo-model', 'Write a poem', { temperature: 0.2 }, 'creative');
+    const creative = await modelInterface.sendRequest('echo-model', 'Write a poem', { temperature: 0.2 }, 'creative');
+    await modelInterface.sendRequest('echo-model', 'Name a color', { temperature: 1.2 }, 'quick_query');
+    const hot = await modelInterface.sendRequest('echo-model', 'Name a color', { temperature: 1.2 }, 'quick_query');
+    const optedOut = await modelInterface.sendRequest('echo-model', 'Explain closures', { temperature: 0.2, cache: false }, 'explain');
+
+    expect(calls).toHaveLength(7);
+    expect(creative.metadata.cache.bypass).toBe('task_type');
+    expect(hot.metadata.cache.bypass).toBe('temperature');
+    expect(optedOut.metadata.cache.bypass).toBe('requested');
+  });
+
+  it('matches near-duplicate prompts when semantic mode is on', async () => {
+    modelInterface = createModelInterface({ ...CACHE_CONFIG, semantic: { ...CACHE_CONFIG.semantic, enabled: true } });
+
+    await modelInterface.sendRequest('echo-model', 'Summarize this changelog for me please', {}, 'summarize');
+    const near = await modelInterface.sendRequest('echo-model', 'Please summarize this changelog for me', {}, 'summarize');
+    const different = await modelInterface.sendRequest('echo-model', 'Translate this paragraph into French', {}, 'summarize');
+
+    expect(calls).toHaveLength(2);
+    expect(near.metadata.cache).toMatchObject({ hit: true, match: 'semantic' });
+    expect(near.metadata.cache.similarity).toBeGreaterThan(0.85);
+    expect(different.metadata.cache.hit).toBe(false);
+  });
+
+  it('keeps only the masked prompt, still matching the original exactly and by embedding', async () => {
+    modelInterface = createModelInterface({ ...CACHE_CONFIG, semantic: { ...CACHE_CONFIG.semantic, enabled: true } });
+    const prompt = 'Summarize the thread from ana@example.com about the release';
+
+    await modelInterface.sendRequest('echo-model', prompt, {}, 'summarize');
+    const repeat = await modelInterface.sendRequest('echo-model', prompt, {}, 'summarize');
+
+    const rows = await dbManager._query('SELECT prompt_text, embedding FROM response_cache');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].prompt_text).toBe('Summarize the thread from [REDACTED_EMAIL] about the release');
+    expect(rows[0].embedding).not.toBeNull();
+    expect(repeat.metadata.cache).toMatchObject({ hit: true, match: 'exact' });
+    expect(calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,102 @@
+// #region Jest Test for Routing Replay
+// routing-replay.test.js
+//
+// Tests re-routing stored decisions without logging, the diff by task type, tier and cost, and candidate sheets and loadouts.
+// #endregion
+
+const { createTestDatabase } = require('./helpers/test-database');
+const RoutingReplay = require('../src/core/routing-replay');
+
+// Lets cloud models through where the saved sheet keeps everything local
+const CLOUD_CANDIDATE = {
+  task_type_preferences: { write: 'gpt-4', debug: 'gpt-4' },
+  fallback_behavior: {},
+  prefer_cloud_override: true,
+  loadouts: { focus: { model: 'gpt-4' } }
+};
+
+describe('RoutingReplay', () => {
+  let dbManager;
+  let cleanup;
+  let replayer;
+
+  const countRows = async () => {
+    const [row] = await dbManager._query(`SELECT
+      (SELECT COUNT(*) FROM routing_decisions) as decisions,
+      (SELECT COUNT(*) FROM model_performance) as performance`);
+    return row;
+  };
+
+  beforeEach(async () => {
+    ({ dbManager, cleanup } = await createTestDatabase('steward-replay-'));
+
+    const decision = { routing_reason: 'Smart routing', user_loadout: 'default', fallback_triggered: false, confidence_score: 0.8 };
+    await dbManager.logRoutingDecision({ ...decision, task_type: 'debug', prompt_snippet: 'Help me debug this JavaScript function that throws', chosen_model: 'smollm3' });
+    await dbManager.logRoutingDecision({ ...decision, task_type: 'write', task_type_source: 'explicit', prompt_snippet: 'A blog post about gardening', chosen_model: 'gpt-4' });
+    await dbManager.logRoutingDecision({ ...decision, task_type: 'write', prompt_snippet: 'A blog post about gardening', chosen_model: 'smollm3', routing_reason: 'Failover executor: hop 2 to smollm3 (success)' });
+    // Late hours keep everything local, so the stored requests were made mid-morning
+    await dbManager._query('UPDATE routing_decisions SET time_of_day = 10');
+
+    replayer = new RoutingReplay({ dbManager });
+  });
+
+  afterEach(async () => {
+    await replayer.close();
+    await cleanup();
+  });
+
+  it('re-routes stored prompts without logging and reports changes by task type, tier and cost', async () => {
+    const before = await countRows();
+    const report = await replayer.replay({ days: 7 });
+
+    expect(await countRows()).toEqual(before);
+    expect(report.candidate).toEqual({ character_sheet: 'current', loadout: 'default' });
+    expect(report.summary).toMatchObject({ replayed: 2, changed: 1, unchanged: 1, failed: 0, change_rate: 0.5 });
+    expect(report.summary.estimated_cost.delta).toBeCloseTo(-0.03);
+
+    expect(report.changes).toHaveLength(1);
+    expect(report.changes[0].before).toEqual({ model: 'gpt-4', task_type: 'write', tier: 'tier3-cloud', estimated_cost: expect.closeTo(0.03) });
+    expect(report.changes[0].after).toMatchObject({ task_type: 'write', tier: 'tier1-fast', estimated_cost: 0 });
+
+    expect(report.by_task_type.map(group => [group.task_type, group.replayed, group.changed])).toEqual([['write', 1, 1], ['debug', 1, 0]]);
+    expect(report.by_tier.shifts).toEqual([{ from: 'tier3-cloud', to: 'tier1-fast', count: 1 }]);
+  });
+
+  it('previews a candidate character sheet and loadout without touching the saved one', async () => {
+    const candidate = await replayer.replay({ character_sheet: CLOUD_CANDIDATE, loadout: 'focus' });
+
+    expect(candidate.candidate).toEqual({ character_sheet: 'candidate', loadout: 'focus' });
+    expect(candidate.changes.map(change => [change.before.model, change.after.model])).toEqual([['smollm3', 'gpt-4']]);
+    expect(candidate.by_tier.after).toEqual({ 'tier3-cloud': 2 });
+    expect(candidate.summary.estimated_cost.delta).toBeCloseTo(0.03);
+
+    const saved = await replayer.replay({});
+    expect(saved.candidate.character_sheet).toBe('current');
+    expect(saved.changes.map(change => change.id)).toEqual([2]);
+  });
+
+  it('replays the whole masked prompt and leaves today\'s budget out of past decisions', async () => {
+    const prompt = `Review this deployment script ${'step by step '.repeat(12)}and explain each stage`;
+    await dbManager.logRoutingDecision({
+      task_type: 'analyze', prompt_snippet: prompt.substring(0, 100), prompt_text: prompt, chosen_model: 'smollm3',
+      routing_reason: 'Smart routing', user_loadout: 'default', fallback_triggered: false, confidence_score: 0.8
+    });
+    const routed = jest.spyOn(replayer.engine, 'makeSmartRoutingDecision');
+
+    await replayer.replay({});
+
+    const prompts = routed.mock.calls.map(([replayed]) => replayed);
+    expect(prompts).toContain(prompt);
+    // Older decisions only have the snippet
+    expect(prompts).toContain('Help me debug this JavaScript function that throws');
+    expect(routed.mock.calls.every(([, options]) => options.budget_status === null)).toBe(true);
+  });
+
+  it('rejects unknown loadouts and character sheets that are not mappings', async () => {
+    expect(await replayer.validate({ loadout: 'focus' })).toEqual([expect.stringMatching(/^Unknown loadout: focus/)]);
+    expect(await replayer.validate({ character_sheet: CLOUD_CANDIDATE, loadout: 'focus', days: 0 }))
+      .toEqual(['days must be a positive integer']);
+    await expect(replayer.replay({ character_sheet: '- just\n- a list' }))
+      .rejects.toThrow('Candidate character sheet must be a YAML mapping or object');
+  });
+});
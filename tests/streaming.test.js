@@ -0,0 +1,66 @@
+// #region Jest Test for Local Adapter Streaming
+// streaming.test.js
+//
+// Tests LocalDockerAdapter token streaming against a throwaway local HTTP server.
+// #endregion
+
+const http = require('http');
+const LocalDockerAdapter = require('../models/adapters/LocalDockerAdapter');
+
+function startServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('LocalDockerAdapter streaming', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new LocalDockerAdapter();
+  });
+
+  it('parses OpenAI-style SSE lines', () => {
+    const event = adapter.parseStreamLine('data: {"choices":[{"delta":{"content":"Hi"},"finish_reason":null}]}');
+    expect(event.token).toBe('Hi');
+    expect(adapter.parseStreamLine('data: [DONE]')).toBeNull();
+    expect(adapter.parseStreamLine(': keep-alive')).toBeNull();
+  });
+
+  it('parses Ollama-style JSON lines including usage', () => {
+    const event = adapter.parseStreamLine('{"model":"llama3","message":{"content":""},"done":true,"done_reason":"stop","prompt_eval_count":4,"eval_count":6}');
+    expect(event.finish_reason).toBe('stop');
+    expect(event.usage.total_tokens).toBe(10);
+  });
+
+  it('emits SSE tokens in order as they arrive', async () => {
+    const server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+      res.write('data: {"choices":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n');
+      res.end('data: [DONE]\n\n');
+    });
+    const options = { hostname: '127.0.0.1', port: server.address().port, path: '/', method: 'POST' };
+
+    const tokens = [];
+    const result = await adapter.makeStreamingRequest(options, '{}', 'openwebui', token => tokens.push(token));
+    server.close();
+
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(result.content).toBe('Hello');
+    expect(result.metadata.streamed).toBe(true);
+    expect(result.metadata.finish_reason).toBe('stop');
+  });
+
+  it('rejects responses that are not streams so the caller can fall back', async () => {
+    const server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html></html>');
+    });
+    const options = { hostname: '127.0.0.1', port: server.address().port, path: '/', method: 'POST' };
+
+    await expect(adapter.makeStreamingRequest(options, '{}', 'ollama', () => {})).rejects.toThrow('stream events');
+    server.close();
+  });
+});
@@ -0,0 +1,73 @@
+// #region Jest Test for Tool Call Translation
+// tool-calls.test.js
+//
+// Tests OpenAI <-> Anthropic tool call translation used by the OpenAI-compatible endpoint.
+// #endregion
+
+const Conversation = require('../models/Conversation');
+const CloudAPIAdapter = require('../models/adapters/CloudAPIAdapter');
+const { mergeToolCallDeltas, toAnthropicTools, toAnthropicToolChoice } = require('../models/tool-calls');
+
+const weatherTool = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Current weather',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } }
+  }
+};
+
+describe('tool call translation', () => {
+  it('converts OpenAI tools and tool_choice to Anthropic format', () => {
+    expect(toAnthropicTools([weatherTool])).toEqual([{
+      name: 'get_weather',
+      description: 'Current weather',
+      input_schema: weatherTool.function.parameters
+    }]);
+    expect(toAnthropicToolChoice('required')).toEqual({ type: 'any' });
+    expect(toAnthropicToolChoice({ type: 'function', function: { name: 'get_weather' } }))
+      .toEqual({ type: 'tool', name: 'get_weather' });
+  });
+
+  it('folds streamed deltas into complete tool calls', () => {
+    const calls = [];
+    mergeToolCallDeltas(calls, [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } }]);
+    mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '{"city":' } }]);
+    mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '"Oslo"}' } }]);
+    expect(calls).toEqual([{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }]);
+  });
+
+  it('sends tool calls and results to Anthropic as tool_use and tool_result blocks', () => {
+    const conversation = new Conversation([
+      { role: 'user', content: 'Weather in Oslo?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '4C and raining' }
+    ]);
+    const { messages } = conversation.toAnthropicPayload();
+
+    expect(messages[1]).toEqual({
+      role: 'assistant',
+      content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Oslo' } }]
+    });
+    expect(messages[2]).toEqual({
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '4C and raining' }]
+    });
+  });
+
+  it('returns Anthropic tool_use blocks as OpenAI tool_calls', () => {
+    const adapter = new CloudAPIAdapter();
+    const parsed = adapter.parseAnthropicResponse(JSON.stringify({
+      content: [
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } }
+      ],
+      stop_reason: 'tool_use'
+    }));
+
+    expect(parsed.content).toBe('Checking.');
+    expect(parsed.tool_calls).toEqual([
+      { id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }
+    ]);
+  });
+});
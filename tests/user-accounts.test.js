@@ -0,0 +1,167 @@
+// #region Jest Test for User Accounts
+// user-accounts.test.js
+//
+// Tests account creation with copied character sheets, API keys, OpenAI user aliases and per-account sheets, spend and memory.
+// #endregion
+
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const CostLedger = require('../models/CostLedger');
+const MemoryStore = require('../models/MemoryStore');
+const CharacterSheetStore = require('../src/core/character-sheet-store');
+const UserAccounts = require('../src/core/user-accounts');
+const { createAuth, getRequestKey } = require('../web-interface/backend/src/auth');
+
+const SHEET = `name: Owner
+task_type_preferences:
+  debug: claude
+cost_settings:
+  monthly_budget: 50
+`;
+
+describe('UserAccounts', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let sheetPath;
+  let accounts;
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-users-'));
+
+    const modelsPath = path.join(tempDir, 'models.yaml');
+    fs.writeFileSync(modelsPath, '{}\n');
+    const registry = new AdapterRegistry({ modelsPath, pluginsDir: tempDir });
+    registry.registerModel('claude', { type: 'mock' }, { privacy_tier: 'cloud' });
+    registry.registerModel('smollm3', { type: 'mock' }, { privacy_tier: 'local' });
+
+    sheetPath = path.join(tempDir, 'character-sheet.yaml');
+    fs.writeFileSync(sheetPath, SHEET);
+    accounts = new UserAccounts({
+      dbManager,
+      registry,
+      characterSheetStore: new CharacterSheetStore({ dbManager, sheetPath, registry })
+    });
+  });
+
+  afterEach(async () => {
+    await accounts.close();
+    await cleanup();
+  });
+
+  it('makes the first account the owner and starts later ones from a copy of the owner sheet', async () => {
+    const owner = await accounts.createUser({ username: 'chip', role: 'member' });
+    const sam = await accounts.createUser({ username: 'sam', display_name: 'Sam' });
+
+    expect(owner.role).toBe('owner');
+    expect(sam.role).toBe('member');
+    expect(UserAccounts.accountOf(owner)).toBeNull();
+    expect(UserAccounts.accountOf(sam)).toEqual({ id: sam.id, username: 'sam', role: 'member' });
+    await expect(accounts.createUser({ username: 'sam' })).rejects.toThrow('User already exists: sam');
+    await expect(accounts.createUser({ username: 'eve', role: 'owner' })).rejects.toThrow('There is already an owner');
+    await expect(accounts.createUser({ username: 'no spaces' })).rejects.toThrow('Invalid username: no spaces');
+
+    const samStore = accounts.getCharacterSheetStore(sam);
+    expect(await samStore.loadCurrent()).toMatchObject({ name: 'Sam', task_type_preferences: { debug: 'claude' } });
+
+    await samStore.update(sheet => { sheet.task_type_preferences.debug = 'smollm3'; }, { author: 'user' });
+    expect((await samStore.loadCurrent()).task_type_preferences.debug).toBe('smollm3');
+    expect((await samStore.getHistory()).map(version => [version.version, version.author])).toEqual([[2, 'user'], [1, 'baseline']]);
+
+    expect(fs.readFileSync(sheetPath, 'utf8')).toBe(SHEET);
+    expect(await accounts.getCharacterSheetStore(owner).getHistory()).toEqual([]);
+  });
+
+  it('issues keys that authenticate until revoked and stores only their hash', async () => {
+    await accounts.createUser({ username: 'chip' });
+    await accounts.createUser({ username: 'sam' });
+
+    const issued = await accounts.issueKey('sam', { label: 'Open WebUI' });
+    expect(issued.key).toMatch(/^stw_/);
+    expect(issued.key_prefix).toBe(issued.key.slice(0, 12));
+
+    const user = await accounts.authenticate(issued.key);
+    expect(user).toMatchObject({ username: 'sam', key_id: issued.id });
+    expect(await accounts.authenticate('stw_not-a-key')).toBeNull();
+
+    const [listed] = await accounts.listKeys('sam');
+    expect(listed).toMatchObject({ id: issued.id, username: 'sam', label: 'Open WebUI' });
+    expect(listed.last_used_at).not.toBeNull();
+    expect(JSON.stringify(await dbManager._query('SELECT * FROM api_keys'))).not.toContain(issued.key);
+
+    await accounts.revokeKey(issued.id);
+    expect(await accounts.authenticate(issued.key)).toBeNull();
+    await expect(accounts.revokeKey(issued.id)).rejects.toThrow(`API key ${issued.id} not found or already revoked`);
+    await expect(accounts.issueKey('nobody')).rejects.toThrow('Unknown user: nobody');
+  });
+
+  it('maps OpenAI user values to accounts and refuses an alias another account already has', async () => {
+    await accounts.createUser({ username: 'chip' });
+    await accounts.createUser({ username: 'sam' });
+
+    const sam = await accounts.addAlias('sam', 'sam@example.com');
+    expect(sam.aliases).toEqual(['sam@example.com']);
+    expect((await accounts.resolveOpenAIUser('sam@example.com')).username).toBe('sam');
+    expect((await accounts.resolveOpenAIUser('chip')).role).toBe('owner');
+    expect(await accounts.resolveOpenAIUser('open-webui-1234')).toBeNull();
+
+    await expect(accounts.addAlias('chip', 'sam@example.com')).rejects.toThrow('sam@example.com already maps to sam');
+    await expect(accounts.addAlias('chip', 'sam')).rejects.toThrow('sam already maps to sam');
+  });
+
+  it('keeps spend and memory apart per account while the instance budget counts everyone', async () => {
+    await accounts.createUser({ username: 'chip' });
+    const sam = UserAccounts.accountOf(await accounts.createUser({ username: 'sam' }));
+
+    const ledger = new CostLedger({ dbManager, config: { monthly_budget: 10, default_cost_per_token: { cloud: 0.001 } } });
+    await ledger.record({ modelName: 'house-model', location: 'cloud', taskType: 'debug', usage: { total_tokens: 1000 } });
+    await ledger.record({ modelName: 'house-model', location: 'cloud', taskType: 'debug', account: sam, usage: { total_tokens: 3000 } });
+
+    const status = await ledger.getStatus({ account: { ...sam, monthly_budget: 4 } });
+    expect(status.monthly.spend).toBeCloseTo(4);
+    expect(status.user).toMatchObject({ name: 'sam', budget: 4 });
+    expect(status.user.spend).toBeCloseTo(3);
+    expect((await ledger.getStatus()).user).toBeNull();
+
+    const ownerMemory = new MemoryStore({ dbManager, config: {} });
+    const samMemory = new MemoryStore({ dbManager, config: {}, userId: sam.id });
+    await ownerMemory.remember('Owner prefers tabs', { project: 'atlas' });
+    await samMemory.remember('Sam prefers spaces', { project: 'atlas' });
+
+    expect((await ownerMemory.list({ project: 'atlas' })).map(entry => entry.content)).toEqual(['Owner prefers tabs']);
+    expect((await samMemory.recall('', { project: 'atlas' })).map(entry => entry.content)).toEqual(['Sam prefers spaces']);
+  });
+
+  it('lets keyless requests from this machine act as the owner and asks everyone else for a key', async () => {
+    const smartRouter = { dbManager };
+    const auth = createAuth({ userAccounts: accounts, smartRouter, mode: 'local' });
+    const respond = () => {
+      const res = { statusCode: 200, body: null };
+      res.status = code => { res.statusCode = code; return res; };
+      res.json = body => { res.body = body; return res; };
+      return res;
+    };
+
+    expect(getRequestKey({ authorization: 'Bearer stw_abc' })).toBe('stw_abc');
+    expect(getRequestKey({ 'x-api-key': 'stw_def' })).toBe('stw_def');
+
+    const local = { headers: {}, socket: { remoteAddress: '127.0.0.1' }, originalUrl: '/api/prompt' };
+    const next = jest.fn();
+    await auth.authenticate(local, respond(), next);
+    expect(next).toHaveBeenCalled();
+    expect(local).toMatchObject({ user: null, account: null, smartRouter });
+
+    const remote = respond();
+    await auth.authenticate({ headers: {}, socket: { remoteAddress: '10.0.0.7' }, originalUrl: '/v1/chat/completions' }, remote, next);
+    expect(remote.statusCode).toBe(401);
+    expect(remote.body.error).toMatchObject({ code: 'missing_api_key' });
+
+    const required = createAuth({ userAccounts: accounts, smartRouter, mode: 'required' });
+    const refused = respond();
+    await required.authenticate({ headers: { authorization: 'Bearer stw_wrong' }, socket: { remoteAddress: '127.0.0.1' }, originalUrl: '/api/budget' }, refused, next);
+    expect(refused).toMatchObject({ statusCode: 401, body: { error: 'Unauthorized', message: 'Invalid or revoked API key' } });
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
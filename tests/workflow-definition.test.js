@@ -0,0 +1,213 @@
+// #region Jest Test for Workflow Definitions
+// workflow-definition.test.js
+//
+// Tests the YAML workflow format: validation of the shared workflows and of broken ones, conditions that skip
+// steps, step timeouts and their retries, tiers pinned by a step, and exporting a workflow and importing it again.
+// #endregion
+
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const WorkflowOrchestrator = require('../src/autonomous/WorkflowOrchestrator');
+const WorkflowDefinition = require('../src/workflows/WorkflowDefinition');
+const { makeRoutingDecision } = require('../src/core/routing-engine');
+
+const TRIAGE = `
+steward_workflow: 1
+name: Triage
+execution_strategy: sequential
+inputs:
+  report: {required: true}
+  logs: {default: ''}
+steps:
+  - id: summarize
+    task_type: summarize
+    model: echo-model
+    prompt: 'Summarize {{input.report}}'
+  - id: logs
+    task_type: debug
+    depends_on: [summarize]
+    condition: {input: logs, exists: true}
+    model: echo-model
+    prompt: 'Read {{input.logs}}'
+  - id: fix
+    task_type: debug
+    depends_on: [summarize]
+    condition: {step: summarize, not_contains: duplicate}
+    model: slow-model
+    timeout: 1
+    max_attempts: 1
+    prompt: 'Fix {{steps.summarize.output}}'
+`;
+
+describe('Workflow definitions', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let orchestrator;
+  let slowDelay;
+  let slowCalls;
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-workflow-definitions-'));
+
+    slowDelay = 0;
+    slowCalls = 0;
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'missing.yaml'), pluginsDir: path.join(tempDir, 'plugins') });
+    registry.registerAdapterType('slow', () => ({
+      sendRequest: async (modelName, prompt) => {
+        slowCalls++;
+        await new Promise(resolve => setTimeout(resolve, slowDelay));
+        return { content: `[slow] ${prompt}`, metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerModel('echo-model', { type: 'mock' }, { privacy_tier: 'local' });
+    registry.registerModel('slow-model', { type: 'slow' }, { privacy_tier: 'local' });
+
+    orchestrator = new WorkflowOrchestrator({
+      dbManager,
+      stewardDbPath: path.join(tempDir, 'steward.db'),
+      modelInterface: new ModelInterface({ registry, dbManager })
+    });
+    orchestrator.executionConfig.step_retry_delay_ms = 0;
+  });
+
+  afterEach(async () => {
+    await orchestrator.close();
+    await cleanup();
+  });
+
+  const runDefinition = async (definition, inputs) => {
+    const { workflow_id: workflowId } = await orchestrator.createWorkflowFromDefinition(definition, 'the login bug', {}, { inputs });
+    await orchestrator.scheduleWorkflow(workflowId);
+    return workflowId;
+  };
+
+  it('loads the shared workflows in workflows/ as orchestrator templates', async () => {
+    await orchestrator.loadWorkflowTemplates();
+
+    expect([...orchestrator.workflowTemplates.keys()]).toEqual(expect.arrayContaining(['bug-triage', 'steward-development']));
+    for (const definition of orchestrator.workflowTemplates.values()) {
+      expect(WorkflowDefinition.validate(definition.toObject())).toEqual([]);
+    }
+    expect(orchestrator.workflowTemplates.get('bug-triage').steps.find(step => step.id === 'fix-plan'))
+      .toMatchObject({ tier: 'heavy', depends_on: ['classify'], condition: { step: 'classify' } });
+  });
+
+  it('reports every broken reference in a definition', () => {
+    const problems = WorkflowDefinition.validate({
+      steward_workflow: 1,
+      name: 'Broken',
+      inputs: { topic: {} },
+      steps: [
+        { id: 'draft', task_type: 'write', model: 'gpt-4', tier: 'fast', depends_on: ['review'] },
+        { id: 'review', task_type: 'review', depends_on: ['draft', 'publish'], prompt: 'Review {{steps.outline.output}} for {{input.audience}}' },
+        { id: 'notify', task_type: 'write', condition: { step: 'draft', matches: '(' } }
+      ]
+    }, { isKnownModel: model => model !== 'gpt-4' });
+
+    expect(problems).toEqual([
+      '$.steps[0] sets both model and tier; use one',
+      '$.steps[0].model names unknown model gpt-4',
+      '$.steps[1].depends_on names unknown step publish',
+      '$.steps[1].prompt uses {{steps.outline.output}}, but there is no step outline',
+      '$.steps[1].prompt uses undeclared input {{input.audience}}',
+      '$.steps[2].condition uses step draft, which the step does not depend on',
+      '$.steps[2].condition matches is invalid: Invalid regular expression: /(/: Unterminated group',
+      '$.steps have a dependency cycle: draft -> review -> draft'
+    ]);
+    expect(WorkflowDefinition.validate({ steward_workflow: 2, name: 'Next', steps: [{ id: 'a', task_type: 'write', retries: 3 }] }))
+      .toEqual(['$.steward_workflow should be 1', '$.steps[0].retries is not allowed']);
+    expect(() => WorkflowDefinition.parse(TRIAGE).resolveInputs({})).toThrow('Workflow Triage needs input report');
+  });
+
+  it('skips steps whose condition is not met and records why', async () => {
+    const workflowId = await runDefinition(WorkflowDefinition.parse(TRIAGE), { report: 'duplicate of #12' });
+
+    const result = await orchestrator.executeWorkflow(workflowId);
+
+    expect(result).toMatchObject({ success: true, steps_completed: 1, steps_skipped: 2 });
+    expect(Object.keys(result.outputs)).toEqual(['summarize']);
+    const skips = (await orchestrator.getWorkflowAudit(workflowId)).events.filter(event => event.event_type === 'skip');
+    expect(skips.map(event => [event.step_index, event.details.reason])).toEqual([
+      [1, 'Condition on input logs not met'],
+      [2, 'Condition on step summarize not met']
+    ]);
+  });
+
+  it('routes a step that pins a tier within it, where a plain preferTier yields to a preferred model', async () => {
+    const characterSheet = { task_type_preferences: { write: 'gpt-4' }, fallback_behavior: {}, prefer_cloud_override: true };
+    const options = { task_type: 'write', budget_status: null, dry_run: true, preferTier: 'fast' };
+
+    const preferred = await makeRoutingDecision('Draft the release notes', characterSheet, options);
+    const pinned = await makeRoutingDecision('Draft the release notes', characterSheet, { ...options, pinTier: true });
+
+    expect(preferred.selection).toMatchObject({ model: 'gpt-4', tier: 'tier3-cloud' });
+    expect(pinned.selection).toMatchObject({ tier: 'tier1-fast', reason: 'Tier override: fast (tier1-fast)' });
+  });
+
+  it('fails a step whose model call runs past its timeout', async () => {
+    slowDelay = 1500;
+    const workflowId = await runDefinition(WorkflowDefinition.parse(TRIAGE), { report: 'login fails', logs: 'TypeError at auth.js:12' });
+
+    await expect(orchestrator.executeWorkflow(workflowId)).rejects.toThrow('Step fix failed: Step fix timed out after 1s');
+
+    const status = orchestrator.getWorkflowStatus(workflowId);
+    expect(status).toMatchObject({ state: 'failed', completed_steps: 2 });
+    expect(status.outputs.logs).toBe('[mock echo-model] Read TypeError at auth.js:12');
+
+    // Let the abandoned call finish before the database closes
+    await new Promise(resolve => setTimeout(resolve, slowDelay));
+  });
+
+  it('retries a timed-out step by waiting on its call again rather than sending the prompt twice', async () => {
+    slowDelay = 1500;
+    const workflowId = await runDefinition(WorkflowDefinition.parse(`
+steward_workflow: 1
+name: Slow draft
+steps:
+  - id: draft
+    task_type: write
+    model: slow-model
+    timeout: 1
+    max_attempts: 2
+    prompt: 'Draft the notes'
+`));
+
+    const result = await orchestrator.executeWorkflow(workflowId);
+
+    expect(slowCalls).toBe(1);
+    expect(result.outputs.draft).toBe('[slow] Draft the notes');
+    expect(orchestrator.getWorkflowStatus(workflowId).step_results[0].attempts.map(attempt => [attempt.waited, attempt.error]))
+      .toEqual([[false, 'Step draft timed out after 1s'], [true, null]]);
+  });
+
+  it('exports a workflow that imports again with the same steps', async () => {
+    const definition = WorkflowDefinition.parse(TRIAGE);
+    const workflowId = await runDefinition(definition, { report: 'login fails' });
+    await orchestrator.executeWorkflow(workflowId);
+
+    const exported = await orchestrator.exportWorkflowDefinition(workflowId);
+    expect(await orchestrator.exportWorkflowDefinition(workflowId, { id: 4 })).toBeNull();
+    const imported = WorkflowDefinition.parse(exported.toYaml(), { isKnownModel: model => ['echo-model', 'slow-model'].includes(model) });
+
+    // Defaults the workflow was planned with are written out
+    expect(imported.toWorkflowSuggestion()).toEqual(definition.toWorkflowSuggestion());
+    expect(imported).toMatchObject({ name: 'Triage', execution_strategy: 'sequential', inputs: definition.inputs });
+
+    // Templates in the older shapes convert too, with dependencies by task type becoming step ids
+    const converted = WorkflowDefinition.fromWorkflow({
+      name: 'Steward Development Workflow',
+      steps: [
+        { task: 'planning', duration: 30, dependencies: [], cognitive_load: 'medium' },
+        { task: 'implementation', duration: 90, dependencies: ['planning'], cognitive_load: 'high' }
+      ]
+    });
+    expect(WorkflowDefinition.validate(converted.toObject())).toEqual([]);
+    expect(converted.steps).toEqual([
+      { id: 'planning', task_type: 'planning', cognitive_load: 'medium', estimated_duration: 30 },
+      { id: 'implementation', task_type: 'implementation', depends_on: ['planning'], cognitive_load: 'high', estimated_duration: 90 }
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+// #region Jest Test for Workflow Execution
+// workflow-execution.test.js
+//
+// Tests that workflow steps call their models, chain earlier outputs into later prompts, retry failed calls and resume,
+// and the parallel and user-paced strategies.
+// #endregion
+
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const WorkflowOrchestrator = require('../src/autonomous/WorkflowOrchestrator');
+
+const STEPS = [
+  { step_id: 'outline', task_type: 'planning', estimated_duration: 10, cognitive_load: 'low', dependencies: [], model: 'echo-model', prompt: 'Outline {{task}} for {{input.audience}}' },
+  { step_id: 'draft', task_type: 'implementation', estimated_duration: 20, cognitive_load: 'medium', dependencies: ['outline'], model: 'flaky-model', prompt: 'Draft from:\n{{steps.outline.output}}' },
+  { step_id: 'summary', task_type: 'documentation', estimated_duration: 10, cognitive_load: 'low', dependencies: ['draft'], model: 'echo-model' }
+];
+
+describe('WorkflowOrchestrator step execution', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let orchestrator;
+  let flakyFailures;
+  let flakyCalls;
+  let slowActive;
+  let slowMaxActive;
+
+  const createScheduledWorkflow = async (steps = STEPS, executionStrategy = 'sequential') => {
+    const { workflow_id: workflowId } = await orchestrator.createWorkflow('a release note', 'steward-development', {}, {
+      workflowSuggestion: { steps, total_estimated_duration: 40 },
+      executionStrategy,
+      inputs: { audience: 'users' }
+    });
+    await orchestrator.scheduleWorkflow(workflowId);
+    return workflowId;
+  };
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-workflows-'));
+
+    flakyFailures = 0;
+    flakyCalls = 0;
+    slowActive = 0;
+    slowMaxActive = 0;
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'missing.yaml'), pluginsDir: path.join(tempDir, 'plugins') });
+    registry.registerAdapterType('flaky', () => ({
+      sendRequest: async (modelName, prompt) => {
+        flakyCalls++;
+        if (flakyCalls <= flakyFailures) {
+          throw new Error('Connection reset');
+        }
+        return { content: `[draft] ${prompt}`, metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerAdapterType('slow', () => ({
+      sendRequest: async (modelName, prompt) => {
+        slowActive++;
+        slowMaxActive = Math.max(slowMaxActive, slowActive);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        slowActive--;
+        return { content: `[slow] ${prompt.split('\n')[0]}`, metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerModel('echo-model', { type: 'mock' }, { privacy_tier: 'local' });
+    registry.registerModel('flaky-model', { type: 'flaky' }, { privacy_tier: 'local' });
+    registry.registerModel('slow-model', { type: 'slow' }, { privacy_tier: 'local' });
+
+    orchestrator = new WorkflowOrchestrator({
+      dbManager,
+      stewardDbPath: path.join(tempDir, 'steward.db'),
+      modelInterface: new ModelInterface({ registry, dbManager })
+    });
+    orchestrator.executionConfig.step_retry_delay_ms = 0;
+  });
+
+  afterEach(async () => {
+    await orchestrator.close();
+    await cleanup();
+  });
+
+  it('feeds each step the outputs of the steps before it and stores the results', async () => {
+    const workflowId = await createScheduledWorkflow();
+
+    const result = await orchestrator.executeWorkflow(workflowId);
+
+    expect(result).toMatchObject({ success: true, success_rate: 1, steps_completed: 3, steps_failed: 0 });
+    expect(result.outputs.outline).toBe('[mock echo-model] Outline a release note for users');
+    expect(result.outputs.draft).toBe('[draft] Draft from:\n[mock echo-model] Outline a release note for users');
+    expect(result.outputs.summary).toBe(
+      '[mock echo-model] Document the completed work for: a release note\n\nOutput of the implementation step:\n' + result.outputs.draft
+    );
+
+    const status = orchestrator.getWorkflowStatus(workflowId);
+    expect(status).toMatchObject({ state: 'completed', progress_percentage: 100, error: null });
+    expect(status.step_results.map(step => [step.step_id, step.model, step.attempts.length])).toEqual([
+      ['outline', 'echo-model', 1],
+      ['draft', 'flaky-model', 1],
+      ['summary', 'echo-model', 1]
+    ]);
+
+    // Every model call is logged under the workflow's session
+    const calls = await dbManager._query('SELECT model_name FROM model_performance WHERE session_id = ? ORDER BY id', [workflowId]);
+    expect(calls.map(call => call.model_name)).toEqual(['echo-model', 'flaky-model', 'echo-model']);
+  });
+
+  it('retries a failing step, then resumes the failed workflow without rerunning finished steps', async () => {
+    flakyFailures = 3;
+    const workflowId = await createScheduledWorkflow();
+
+    await expect(orchestrator.executeWorkflow(workflowId)).rejects.toThrow('Step draft failed: Connection reset');
+
+    let status = orchestrator.getWorkflowStatus(workflowId);
+    expect(status).toMatchObject({ state: 'failed', current_step: 1, completed_steps: 1, failed_steps: 1 });
+    expect(status.step_results[1]).toMatchObject({ success: false, error: 'Connection reset', output: null });
+    expect(status.step_results[1].attempts).toHaveLength(2);
+    expect(flakyCalls).toBe(2);
+    await expect(orchestrator.executeWorkflow(workflowId)).rejects.toThrow(/is not scheduled/);
+
+    // Still failing on the third call, which is one attempt of the resumed run
+    const result = await orchestrator.resumeWorkflow(workflowId);
+
+    expect(result).toMatchObject({ success: true, steps_completed: 3, steps_failed: 0 });
+    expect(flakyCalls).toBe(4);
+    status = orchestrator.getWorkflowStatus(workflowId);
+    expect(status.step_results[1].attempts.map(attempt => attempt.error)).toEqual(['Connection reset', null]);
+    expect(status.step_results[0].attempts).toHaveLength(1);
+    await expect(orchestrator.resumeWorkflow(workflowId)).rejects.toThrow(/only failed or paused workflows can be resumed/);
+  });
+
+  it('fails a step whose prompt uses an output that does not exist without calling its model', async () => {
+    const { workflow_id: workflowId } = await orchestrator.createWorkflow('a release note', 'steward-development', {}, {
+      workflowSuggestion: { steps: [{ ...STEPS[1], prompt: 'Draft from {{steps.research.output}}', dependencies: [] }] },
+      executionStrategy: 'sequential'
+    });
+    await orchestrator.scheduleWorkflow(workflowId);
+
+    await expect(orchestrator.executeWorkflow(workflowId)).rejects.toThrow('Step draft failed: Step draft prompt uses {{steps.research.output}}, which has no value yet');
+    expect(flakyCalls).toBe(0);
+  });
+
+  it('runs independent steps in parallel within the concurrency limit and merges their outputs', async () => {
+    orchestrator.executionConfig.max_concurrent_workflows = 2;
+    const research = topic => ({
+      step_id: topic, task_type: topic, estimated_duration: 10, cognitive_load: 'low', dependencies: [], model: 'slow-model', prompt: `Research ${topic}`
+    });
+    const workflowId = await createScheduledWorkflow([
+      research('pricing'),
+      research('competitors'),
+      research('support'),
+      { step_id: 'synthesis', task_type: 'synthesis', estimated_duration: 10, cognitive_load: 'low', dependencies: ['pricing', 'competitors', 'support'],
+        model: 'echo-model', prompt: '{{steps.pricing.output}} / {{steps.competitors.output}} / {{steps.support.output}}' },
+      // No dependencies list: testing is inferred to wait for implementation
+      { step_id: 'implementation', task_type: 'implementation', estimated_duration: 10, cognitive_load: 'low', dependencies: [], model: 'echo-model', prompt: 'Build' },
+      { step_id: 'testing', task_type: 'testing', estimated_duration: 10, cognitive_load: 'low', model: 'echo-model', prompt: 'Test {{steps.implementation.output}}' }
+    ], 'parallel');
+
+    expect(orchestrator.buildDependencyGraph(orchestrator.activeWorkflows.get(workflowId))).toEqual([[], [], [], [0, 1, 2], [], [4]]);
+
+    const result = await orchestrator.executeWorkflow(workflowId);
+
+    expect(result).toMatchObject({ success: true, steps_completed: 6, steps_failed: 0 });
+    expect(slowMaxActive).toBe(2);
+    expect(result.outputs.synthesis).toBe('[mock echo-model] [slow] Research pricing / [slow] Research competitors / [slow] Research support');
+    expect(result.outputs.testing).toBe('[mock echo-model] Test [mock echo-model] Build');
+    expect(result.merged_output.split('\n\n').filter(line => line.startsWith('## '))).toEqual([
+      '## pricing', '## competitors', '## support', '## synthesis', '## implementation', '## testing'
+    ]);
+  });
+
+  it('pauses a user-paced workflow before each step until it is approved, edited or skipped', async () => {
+    const workflowId = await createScheduledWorkflow(STEPS, 'user_paced');
+
+    let result = await orchestrator.executeWorkflow(workflowId);
+    expect(result).toMatchObject({ action: 'awaiting_approval', pending_step: { step_id: 'outline', prompt: 'Outline a release note for users' } });
+    expect(orchestrator.getWorkflowStatus(workflowId).state).toBe('awaiting_approval');
+    expect(await dbManager._query('SELECT id FROM model_performance')).toHaveLength(0);
+
+    result = await orchestrator.decideWorkflowStep(workflowId, { action: 'approve', step_id: 'outline' });
+    expect(result.pending_step).toMatchObject({ step_id: 'draft', prompt: 'Draft from:\n[mock echo-model] Outline a release note for users' });
+
+    await expect(orchestrator.decideWorkflowStep(workflowId, { action: 'approve', step_id: 'outline' }))
+      .rejects.toThrow(`Workflow ${workflowId} is waiting on step draft, not outline`);
+    await expect(orchestrator.decideWorkflowStep(workflowId, { action: 'later' })).rejects.toThrow('Unknown step decision: later. Use one of approve, skip, edit');
+
+    result = await orchestrator.decideWorkflowStep(workflowId, { action: 'edit', prompt: 'Shorten: {{steps.outline.output}}' });
+    expect(result.pending_step.step_id).toBe('summary');
+    expect(orchestrator.getWorkflowStatus(workflowId).outputs.draft).toBe('[draft] Shorten: [mock echo-model] Outline a release note for users');
+
+    result = await orchestrator.decideWorkflowStep(workflowId, { action: 'skip' });
+    expect(result).toMatchObject({ success: true, steps_completed: 2, steps_skipped: 1 });
+    expect(Object.keys(result.outputs)).toEqual(['outline', 'draft']);
+    expect(orchestrator.getWorkflowStatus(workflowId)).toMatchObject({ state: 'completed', progress_percentage: 100, pending_step: null });
+    await expect(orchestrator.decideWorkflowStep(workflowId, { action: 'approve' })).rejects.toThrow(/is completed, not waiting for a step decision/);
+  });
+});
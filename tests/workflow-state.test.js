@@ -0,0 +1,212 @@
+// #region Jest Test for Workflow State
+// workflow-state.test.js
+//
+// Tests that workflows, cross-app workflows and queued automations are saved to SQLite, that a restart picks
+// interrupted workflows up again, either resumed or marked failed, and the per-workflow audit trail.
+// #endregion
+
+const path = require('path');
+const { createTestDatabase } = require('./helpers/test-database');
+const AdapterRegistry = require('../models/AdapterRegistry');
+const ModelInterface = require('../models/ModelInterface');
+const WorkflowOrchestrator = require('../src/autonomous/WorkflowOrchestrator');
+const AmbientOrchestrator = require('../src/integrations/AmbientOrchestrator');
+const AutomationEngine = require('../src/workflows/AutomationEngine');
+
+const STEPS = [
+  { step_id: 'outline', task_type: 'planning', estimated_duration: 10, cognitive_load: 'low', dependencies: [], model: 'echo-model', prompt: 'Outline {{task}}' },
+  { step_id: 'draft', task_type: 'implementation', estimated_duration: 20, cognitive_load: 'medium', dependencies: ['outline'], model: 'stalling-model', prompt: 'Draft from {{steps.outline.output}}' }
+];
+
+describe('Durable workflow state', () => {
+  let tempDir;
+  let dbManager;
+  let cleanup;
+  let stall;
+  let echoCalls;
+  let orchestrators;
+
+  // A fresh orchestrator on the same database stands in for the backend after a restart
+  const startOrchestrator = () => {
+    const registry = new AdapterRegistry({ modelsPath: path.join(tempDir, 'missing.yaml'), pluginsDir: path.join(tempDir, 'plugins') });
+    registry.registerAdapterType('echo', () => ({
+      sendRequest: async (modelName, prompt) => {
+        echoCalls++;
+        return { content: `[echo] ${prompt}`, metadata: {} };
+      }
+    }), { location: 'local' });
+    registry.registerAdapterType('stalling', () => ({
+      // Never answers while stall is set, as if the backend stopped during the call
+      sendRequest: (modelName, prompt) => (stall ? new Promise(() => {}) : Promise.resolve({ content: `[draft] ${prompt}`, metadata: {} }))
+    }), { location: 'local' });
+    registry.registerModel('echo-model', { type: 'echo' }, { privacy_tier: 'local' });
+    registry.registerModel('stalling-model', { type: 'stalling' }, { privacy_tier: 'local' });
+
+    const orchestrator = new WorkflowOrchestrator({
+      dbManager,
+      stewardDbPath: path.join(tempDir, 'steward.db'),
+      modelInterface: new ModelInterface({ registry, dbManager })
+    });
+    orchestrator.executionConfig.step_retry_delay_ms = 0;
+    orchestrators.push(orchestrator);
+    return orchestrator;
+  };
+
+  const createScheduledWorkflow = async (orchestrator, executionStrategy, account = null) => {
+    const { workflow_id: workflowId } = await orchestrator.createWorkflow('a release note', 'steward-development', {}, {
+      workflowSuggestion: { steps: STEPS, total_estimated_duration: 30 },
+      executionStrategy,
+      account
+    });
+    await orchestrator.scheduleWorkflow(workflowId);
+    return workflowId;
+  };
+
+  // Start a sequential workflow and let it get stuck in its second step
+  const interruptWorkflow = async (orchestrator) => {
+    const workflowId = await createScheduledWorkflow(orchestrator, 'sequential');
+    stall = true;
+    orchestrator.executeWorkflow(workflowId);
+    while (orchestrator.activeWorkflows.get(workflowId).completed_steps.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    await orchestrator.persistence;
+    return workflowId;
+  };
+
+  beforeEach(async () => {
+    ({ tempDir, dbManager, cleanup } = await createTestDatabase('steward-workflow-state-'));
+    stall = false;
+    echoCalls = 0;
+    orchestrators = [];
+  });
+
+  afterEach(async () => {
+    for (const orchestrator of orchestrators) {
+      await orchestrator.close();
+    }
+    await cleanup();
+  });
+
+  it('resumes a workflow interrupted by a restart without rerunning its finished steps', async () => {
+    const workflowId = await interruptWorkflow(startOrchestrator());
+    expect((await dbManager.getWorkflowState(workflowId)).state).toBe('in_progress');
+
+    stall = false;
+    const restarted = startOrchestrator();
+    const summary = await restarted.restoreWorkflows({ resumeInterrupted: true });
+
+    expect(summary).toEqual({
+      restored: [workflowId],
+      interrupted: [workflowId],
+      resumed: [{ workflow_id: workflowId, success: true, error: null }]
+    });
+    expect(echoCalls).toBe(1);
+    expect(restarted.getWorkflowStatus(workflowId)).toMatchObject({ state: 'completed', completed_steps: 2 });
+    expect(restarted.getWorkflowStatus(workflowId).outputs.draft).toBe('[draft] Draft from [echo] Outline a release note');
+    expect((await dbManager.getWorkflowState(workflowId)).state).toBe('completed');
+
+    const audit = await restarted.getWorkflowAudit(workflowId);
+    expect(audit.events.map(event => [event.event_type, event.from_state, event.to_state])).toEqual([
+      ['created', null, 'created'],
+      ['state', 'created', 'scheduled'],
+      ['state', 'scheduled', 'in_progress'],
+      ['step', null, null],
+      ['restored', null, null],
+      ['state', 'in_progress', 'failed'],
+      ['resume', null, null],
+      ['state', 'failed', 'scheduled'],
+      ['state', 'scheduled', 'in_progress'],
+      ['step', null, null],
+      ['state', 'in_progress', 'completed']
+    ]);
+    expect(audit.events[5].details).toEqual({ error: 'Interrupted by a restart' });
+    expect(audit.events[9]).toMatchObject({ step_index: 1, details: { step_id: 'draft', success: true, model: 'stalling-model' } });
+  });
+
+  it('marks interrupted workflows failed and brings waiting ones back as they were', async () => {
+    const before = startOrchestrator();
+    const interruptedId = await interruptWorkflow(before);
+    stall = false;
+    const pacedId = await createScheduledWorkflow(before, 'user_paced', { id: 7, username: 'sam', role: 'member' });
+    await before.executeWorkflow(pacedId);
+    await before.persistence;
+
+    const restarted = startOrchestrator();
+    const summary = await restarted.restoreWorkflows();
+
+    expect(summary).toEqual({ restored: [interruptedId, pacedId], interrupted: [interruptedId], resumed: [] });
+    expect(restarted.getWorkflowStatus(interruptedId)).toMatchObject({ state: 'failed', completed_steps: 1, error: 'Interrupted by a restart' });
+    expect(restarted.getWorkflowStatus(pacedId)).toMatchObject({ state: 'awaiting_approval', pending_step: { step_id: 'outline' } });
+
+    // The failed workflow resumes on request; the user-paced one carries on from its decision
+    await expect(restarted.resumeWorkflow(interruptedId)).resolves.toMatchObject({ success: true, steps_completed: 2 });
+    const result = await restarted.decideWorkflowStep(pacedId, { action: 'skip' });
+    expect(result.pending_step.step_id).toBe('draft');
+
+    expect(await restarted.getWorkflowAudit(pacedId, { id: 8 })).toBeNull();
+    const audit = await restarted.getWorkflowAudit(pacedId, { id: 7 });
+    expect(audit).toMatchObject({ workflow_id: pacedId, state: 'awaiting_approval' });
+    expect(audit.events.find(event => event.event_type === 'decision').details).toMatchObject({ action: 'skip' });
+
+    // Finished workflows stay out of memory after the next restart, but keep their audit trail
+    const again = startOrchestrator();
+    expect((await again.restoreWorkflows()).restored).toEqual([pacedId]);
+    expect((await again.getWorkflowAudit(interruptedId)).state).toBe('completed');
+  });
+
+  it('restores coordinated cross-app workflows, failing the ones cut off mid-coordination', async () => {
+    const ambient = new AmbientOrchestrator({ dbManager });
+    for (const [id, status] of [['notes-sync', 'active'], ['planning-sync', 'coordinating']]) {
+      ambient.activeWorkflows.set(id, {
+        workflow_id: id, target_apps: ['things'], start_time: Date.now(), status, app_results: {},
+        dependencies: new Set([{ from: 'things', to: 'appleNotes' }]), sync_points: []
+      });
+      ambient.persistWorkflow(id, { event_type: 'state', to_state: status });
+    }
+    await ambient.persistence;
+
+    const restarted = new AmbientOrchestrator({ dbManager });
+    expect(await restarted.restoreWorkflows()).toEqual({ restored: 2, interrupted: 1 });
+    expect(restarted.activeWorkflows.get('notes-sync').dependencies).toEqual(new Set([{ from: 'things', to: 'appleNotes' }]));
+    expect(restarted.activeWorkflows.get('planning-sync')).toMatchObject({ status: 'failed', error: 'Interrupted by a restart' });
+    expect((await dbManager.getWorkflowEvents('planning-sync')).map(event => event.to_state)).toEqual(['coordinating', null, 'failed']);
+  });
+
+  it('keeps queued and debounced automations across a restart and fails the one that was running', async () => {
+    const executed = [];
+    const rule = { id: 'capture-notes', name: 'Capture notes', trigger: 'steward_session_ends', enabled: true, actions: [{}], debounce: 60000 };
+    const templateManager = {
+      automationRules: new Map([[rule.id, rule]]),
+      executeAutomationRule: async (ruleId, triggerData) => {
+        executed.push([ruleId, triggerData.session_id]);
+        return { success: true, actions_executed: [] };
+      }
+    };
+
+    const engine = new AutomationEngine({ dbManager, performanceTracking: false });
+    engine.templateManager = templateManager;
+    await engine.queueAutomationExecution(rule, { session_id: 'a' });
+    await engine.queueAutomationExecution(rule, { session_id: 'b' });
+    await engine.queueAutomationExecution({ ...rule, id: 'publish', debounce: 0 }, { session_id: 'c' });
+    expect(engine.automationQueue).toHaveLength(2);
+
+    // The debounced run is not due yet; the other one is left running when the backend stops
+    const running = engine.automationQueue[1];
+    running.status = 'running';
+    await engine.persistQueueItem(running);
+    await engine.close();
+
+    const restarted = new AutomationEngine({ dbManager, performanceTracking: false });
+    restarted.templateManager = templateManager;
+    expect(await restarted.restoreQueue()).toEqual({ restored: 1, interrupted: 1 });
+    expect(await dbManager.getAutomationQueue(['failed'])).toMatchObject([{ rule_id: 'publish', error: 'Interrupted by a restart' }]);
+
+    restarted.automationQueue[0].run_after = Date.now();
+    await restarted.processAutomationQueue();
+    await restarted.persistence;
+    expect(executed).toEqual([['capture-notes', 'a']]);
+    expect(await dbManager.getAutomationQueue(['queued', 'running'])).toEqual([]);
+    await restarted.close();
+  });
+});
@@ -0,0 +1,150 @@
+// API Key Authentication for The Steward Backend
+// Every /api and /v1 request is made as an account, which routes with its own character sheet
+// Requests without a key are only accepted from this machine, as the owner, unless STEWARD_AUTH=required.
+// A reverse proxy on the same host makes every caller look local, so set STEWARD_AUTH=required behind one
+
+const UserAccounts = require('../../../src/core/user-accounts.js');
+const SmartRoutingEngine = require('../../../src/core/smart-routing-engine.js');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Read the API key from Authorization: Bearer <key> or X-API-Key
+ */
+function getRequestKey(headers = {}) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || '');
+  return match ? match[1] : headers['x-api-key'] || null;
+}
+
+/**
+ * Send an authentication error in the shape the client expects: OpenAI-style under /v1
+ */
+function sendAuthError(req, res, status, message, code) {
+  if (/^\/(openai\/)?v1(\/|$)/.test(req.originalUrl || req.url)) {
+    return res.status(status).json({
+      error: {
+        message,
+        type: status === 401 ? 'invalid_request_error' : 'permission_error',
+        code
+      }
+    });
+  }
+
+  return res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    message
+  });
+}
+
+/**
+ * Create the authentication middleware
+ * @param {object} options - {userAccounts, smartRouter, mode}; smartRouter routes for the owner,
+ *                           mode is 'local' (keyless requests from this machine act as the owner) or 'required'
+ * @returns {object} {authenticate, mapOpenAIUser, authenticateSocket, routerFor}
+ */
+function createAuth({ userAccounts, smartRouter, mode = process.env.STEWARD_AUTH || 'local' }) {
+  // One routing engine per account, loaded with that account's character sheet
+  const engines = new Map();
+
+  /**
+   * The routing engine for an account; the owner (or no account) uses the server's engine
+   */
+  function routerFor(user) {
+    const account = UserAccounts.accountOf(user);
+    if (!account) {
+      return smartRouter;
+    }
+    if (!engines.has(account.id)) {
+      engines.set(account.id, new SmartRoutingEngine({
+        dbManager: smartRouter.dbManager,
+        characterSheetStore: userAccounts.getCharacterSheetStore(user),
+        account
+      }));
+    }
+    return engines.get(account.id);
+  }
+
+  /**
+   * Work out who is making a request
+   * @param {string|null} key - API key sent with the request
+   * @param {string} remoteAddress - Address the request came from
+   * @returns {Promise<object>} {user} on success (null user is the owner at this machine), or {status, message, code}
+   */
+  async function identify(key, remoteAddress) {
+    if (key) {
+      const user = await userAccounts.authenticate(key);
+      return user ? { user } : { status: 401, message: 'Invalid or revoked API key', code: 'invalid_api_key' };
+    }
+
+    if (mode !== 'required' && LOOPBACK_ADDRESSES.includes(remoteAddress)) {
+      return { user: null };
+    }
+    return {
+      status: 401,
+      message: 'API key required: send "Authorization: Bearer <key>" or "X-API-Key: <key>" (create one with "steward users key <username>")',
+      code: 'missing_api_key'
+    };
+  }
+
+  /**
+   * Attach the caller as req.user, req.account and req.smartRouter
+   */
+  function attach(req, user) {
+    req.user = user;
+    req.account = UserAccounts.accountOf(user);
+    req.smartRouter = routerFor(user);
+  }
+
+  /**
+   * Middleware for /api and /v1
+   */
+  async function authenticate(req, res, next) {
+    try {
+      const result = await identify(getRequestKey(req.headers), req.socket.remoteAddress);
+      if (result.status) {
+        return sendAuthError(req, res, result.status, result.message, result.code);
+      }
+
+      attach(req, result.user);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Middleware for /v1: act as the account the OpenAI "user" field maps to
+   * The owner, admins and keyless local requests may act as anyone; other keys only as themselves.
+   * Values that map to no account are ignored, so clients that always send one keep working
+   */
+  async function mapOpenAIUser(req, res, next) {
+    try {
+      const mapped = await userAccounts.resolveOpenAIUser(req.body?.user);
+      if (!mapped || mapped.id === req.user?.id) {
+        return next();
+      }
+
+      if (req.user && !UserAccounts.isAdmin(req.user)) {
+        return sendAuthError(req, res, 403, `This API key cannot act as ${req.body.user}`, 'user_not_allowed');
+      }
+
+      attach(req, mapped);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check a WebSocket upgrade request; the key may also be given as ?api_key=
+   * @returns {Promise<object>} {user} or {status, message}
+   */
+  async function authenticateSocket(req) {
+    const key = new URL(req.url, 'http://localhost').searchParams.get('api_key') || getRequestKey(req.headers);
+    return identify(key, req.socket.remoteAddress);
+  }
+
+  return { authenticate, mapOpenAIUser, authenticateSocket, routerFor };
+}
+
+module.exports = { createAuth, getRequestKey };
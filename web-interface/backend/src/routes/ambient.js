@@ -12,8 +12,10 @@ const ContextBridge = require('../../../../src/integrations/ContextBridge.js');
 const NotionIntegration = require('../../../../src/integrations/NotionIntegration.js');
 const ThingsIntegration = require('../../../../src/integrations/ThingsIntegration.js');
 const AppleNotesIntegration = require('../../../../src/integrations/AppleNotesIntegration.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
 
-// Initialize ambient intelligence components
+// Initialize ambient intelligence components; coordinated workflows are saved in the Steward database
+const dbManager = new DatabaseManager();
 let ambientOrchestrator = null;
 let contextBridge = null;
 let isInitialized = false;
@@ -59,6 +61,7 @@ async function initializeAmbientIntelligence() {
     // Initialize ambient orchestrator with integrations
     ambientOrchestrator = new AmbientOrchestrator({
       ...config.orchestrator,
+      dbManager,
       notion: config.notion,
       things: config.things,
       appleNotes: config.appleNotes
@@ -506,6 +509,41 @@ router.put('/config', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ambient/workflows/:workflowId/audit
+ * State transitions of a coordinated workflow, kept across restarts
+ */
+router.get('/workflows/:workflowId/audit', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const workflow = await dbManager.getWorkflowState(workflowId);
+
+    if (!workflow || workflow.kind !== 'ambient') {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        message: `No coordinated workflow ${workflowId}`
+      });
+    }
+
+    res.json({
+      workflow_id: workflowId,
+      state: workflow.state,
+      created_at: workflow.created_at,
+      updated_at: workflow.updated_at,
+      events: await dbManager.getWorkflowEvents(workflowId),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching workflow audit trail:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workflow audit trail',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * DELETE /api/ambient/workflows/:workflowId
  * Cancel or clean up a coordinated workflow
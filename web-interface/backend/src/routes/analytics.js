@@ -1,189 +1,295 @@
 // The Steward Analytics API Routes
-// Enhanced analytics endpoints for performance monitoring and learning insights (Mock Data Version)
+// Enhanced analytics endpoints for performance monitoring and learning insights
+// Feed, trend, comparison and cognitive pattern endpoints query database/steward.db
+// Workflow endpoints run each step on its routed model through WorkflowOrchestrator
 
 const express = require('express');
 const router = express.Router();
 const { getMemoryInsights, recordRoutingFeedback } = require('../../../../src/core/routing-engine.js');
 const SemanticMemoryImporter = require('../../../../src/memory/SemanticMemoryImporter.js');
 const ProjectMemoryManager = require('../../../../src/memory/ProjectMemoryManager.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+const AdapterRegistry = require('../../../../models/AdapterRegistry.js');
+const WorkflowDefinition = require('../../../../src/workflows/WorkflowDefinition.js');
+
+const dbManager = new DatabaseManager();
+
+let workflowOrchestrator = null;
+let notifyWorkflowUpdate = () => {};
+let modelRegistry = null; // models.yaml, loaded when the first workflow definition is imported
+
+// Initialize with the server's orchestrator, shared with the WebSocket step decisions, and its update broadcast
+function initializeAnalyticsRoutes(orchestrator, onWorkflowUpdate) {
+  workflowOrchestrator = orchestrator;
+  notifyWorkflowUpdate = onWorkflowUpdate || notifyWorkflowUpdate;
+}
+
+const TIMEFRAME_PATTERN = /^(\d+)([hd])$/;
+const MAX_PAGE_SIZE = 100;
+
+// Routing reasons the smart routing engine gives when it applies an ADHD accommodation
+const ADHD_ACCOMMODATIONS = [
+  {
+    type: 'Fast Local Routing',
+    description: 'Prefers fast local models during low cognitive capacity or poor task alignment',
+    patterns: ['%fast local%']
+  },
+  {
+    type: 'Hyperfocus Detection',
+    description: 'Routes complex tasks to capable models during detected hyperfocus',
+    patterns: ['%hyperfocus%']
+  },
+  {
+    type: 'Context Switch Management',
+    description: 'Simplifies routing when frequent context switching is detected',
+    patterns: ['%simplified_routing%', '%context switch%']
+  },
+  {
+    type: 'Clarity-First Explanations',
+    description: 'Prefers clear explanatory models for explain tasks',
+    patterns: ['%Clarity-first%']
+  }
+];
+
+/**
+ * Parse the timeframe, model, task type and pagination query parameters shared by the analytics endpoints,
+ * and the account whose requests they cover
+ * Sends a 400 response and returns null when the timeframe is invalid
+ * @param {object} req - Express request (timeframe=24h|7d|..., models, task_types, limit, offset)
+ * @param {object} res - Express response
+ * @returns {object|null} Filters for the DatabaseManager analytics queries
+ */
+const readFilters = (req, res) => {
+  const timeframe = req.query.timeframe || '7d';
+  const match = TIMEFRAME_PATTERN.exec(timeframe);
+  if (!match || parseInt(match[1], 10) === 0) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid timeframe "${timeframe}" - use hours or days, e.g. 24h or 7d`
+    });
+    return null;
+  }
+
+  // Lists may repeat the parameter or separate values with commas
+  const list = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
 
-// Mock data generator for testing the analytics dashboard
-const generateMockData = () => {
-  const now = new Date();
   return {
-    real_time_feed: Array.from({length: 15}, (_, i) => ({
-      id: i + 1,
-      timestamp: new Date(now - i * 60000).toISOString(),
-      task_type: ['reasoning', 'creative', 'coding', 'analysis'][i % 4],
-      chosen_model: ['gpt-4o', 'claude-3-5-sonnet', 'smollm3', 'uncensored'][i % 4],
-      routing_reason: 'Optimal for task complexity and current cognitive load',
-      confidence_score: 0.75 + Math.random() * 0.25,
-      response_time_ms: 800 + Math.random() * 2400,
-      success: Math.random() > 0.1,
-      uncensored: i % 4 === 0,
-      satisfaction_rating: 3 + Math.random() * 2,
-      quality_score: 0.8 + Math.random() * 0.2
-    })),
-    performance_trends: Array.from({length: 30}, (_, i) => ({
-      date: new Date(now - i * 24 * 60 * 60 * 1000).toISOString(),
-      routing_accuracy: 0.82 + Math.random() * 0.15,
-      user_satisfaction: 0.88 + Math.random() * 0.12,
-      avg_response_time: 1200 + Math.random() * 800,
-      cognitive_load: 2.2 + Math.random() * 1.6,
-      context_switches: Math.floor(Math.random() * 6),
-      accuracy_upper: 0.95 + Math.random() * 0.05,
-      accuracy_lower: 0.70 + Math.random() * 0.10
-    })),
-    cognitive_patterns: Array.from({length: 24}, (_, hour) => ({
-      hour,
-      cognitive_load: 2 + Math.sin((hour - 6) * Math.PI / 12) + Math.random() * 0.8,
-      context_switches: Math.floor(1 + Math.random() * 4),
-      hyperfocus_detected: (hour >= 9 && hour <= 11) || (hour >= 14 && hour <= 16),
-      request_count: Math.floor(3 + Math.random() * 12),
-      task_complexity: 2 + Math.random() * 2
-    })),
-    adhd_accommodations: [
-      {
-        type: 'Fast Local Routing',
-        description: 'Prefers local models during high distraction periods',
-        effectiveness: 0.89,
-        trend: 'improving',
-        usage_count: 45
-      },
-      {
-        type: 'Hyperfocus Detection',
-        description: 'Routes complex tasks during detected hyperfocus sessions',
-        effectiveness: 0.94,
-        trend: 'improving',
-        usage_count: 23
-      },
-      {
-        type: 'Context Switch Management',
-        description: 'Limits concurrent tasks to optimal 3-4 items',
-        effectiveness: 0.82,
-        trend: 'stable',
-        usage_count: 67
-      },
-      {
-        type: 'Distraction Mitigation',
-        description: 'Switches to faster models during high cognitive load',
-        effectiveness: 0.76,
-        trend: 'improving',
-        usage_count: 34
-      }
-    ],
-    model_comparison: [
-      {
-        model: 'claude-3-5-sonnet',
-        avg_response_time: 2100,
-        user_satisfaction: 0.93,
-        usage_count: 156,
-        success_rate: 0.96
-      },
-      {
-        model: 'gpt-4o',
-        avg_response_time: 1800,
-        user_satisfaction: 0.91,
-        usage_count: 142,
-        success_rate: 0.94
-      },
-      {
-        model: 'smollm3',
-        avg_response_time: 450,
-        user_satisfaction: 0.78,
-        usage_count: 89,
-        success_rate: 0.88
-      },
-      {
-        model: 'uncensored',
-        avg_response_time: 2300,
-        user_satisfaction: 0.85,
-        usage_count: 67,
-        success_rate: 0.91
-      }
-    ],
-    insights: [
-      {
-        type: 'routing_optimization',
-        message: 'You perform 18% better with Claude models during morning hours (9-11 AM)',
-        actionable: true,
-        confidence: 0.87
-      },
-      {
-        type: 'cognitive_pattern',
-        message: 'Your hyperfocus sessions average 2.3 hours with 94% higher task completion',
-        actionable: false,
-        confidence: 0.92
-      },
-      {
-        type: 'model_preference',
-        message: 'SmolLM3 shows optimal performance for your coding tasks under 500 tokens',
-        actionable: true,
-        confidence: 0.81
-      }
-    ],
-    optimization_insights: [
-      {
-        title: 'Morning Cognitive Peak Optimization',
-        description: 'Route complex reasoning tasks to Claude-3.5-Sonnet between 9-11 AM for 18% performance boost',
-        priority: 'high',
-        impact_estimate: 18,
-        confidence: 87,
-        actionable: true,
-        affected_models: ['claude-3-5-sonnet']
-      },
-      {
-        title: 'Fast Local Model Preference',
-        description: 'Use SmolLM3 for simple tasks when cognitive load > 3.5 to reduce decision fatigue',
-        priority: 'medium',
-        impact_estimate: 12,
-        confidence: 74,
-        actionable: true,
-        affected_models: ['smollm3']
-      }
-    ]
+    timeframe,
+    hours: parseInt(match[1], 10) * (match[2] === 'd' ? 24 : 1),
+    models: list(req.query.models || req.query.model),
+    taskTypes: list(req.query.task_types || req.query.task_type),
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(req.query.offset, 10) || 0, 0),
+    // Each account sees its own requests; the owner's are the ones without an account
+    userId: req.account?.id ?? null
   };
 };
 
+const describeFilters = ({ timeframe, models, taskTypes }) => ({ timeframe, models, task_types: taskTypes });
+
+const paginate = ({ limit, offset }, total) => ({
+  limit,
+  offset,
+  total,
+  has_more: offset + limit < total
+});
+
+/**
+ * 95% Wilson score interval for a proportion
+ * @param {number} successes - Successful trials
+ * @param {number} total - All trials
+ * @returns {object} {lower, upper}, both null without trials
+ */
+const wilsonInterval = (successes, total) => {
+  if (!total) return { lower: null, upper: null };
+
+  const z = 1.96;
+  const p = successes / total;
+  const denominator = 1 + (z * z) / total;
+  const centre = (p + (z * z) / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total))) / denominator;
+  return { lower: Math.max(centre - margin, 0), upper: Math.min(centre + margin, 1) };
+};
+
+// Satisfaction on a 0-1 scale: explicit feedback first, then per-request ratings (both 1-5)
+const toSatisfaction = (row) => {
+  if (row.avg_satisfaction != null) return row.avg_satisfaction / 5;
+  if (row.avg_rating != null) return row.avg_rating / 5;
+  return null;
+};
+
+// More data points make a pattern more trustworthy; never fully certain
+const sampleConfidence = (count) => Math.min(count / (count + 10), 0.95);
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const toTrendPoint = (row) => {
+  const decisions = row.decisions || 0;
+  const interval = wilsonInterval(row.good_decisions || 0, decisions);
+  return {
+    date: row.bucket,
+    request_count: row.request_count || 0,
+    success_rate: row.success_rate ?? null,
+    routing_decisions: decisions,
+    routing_accuracy: decisions ? row.good_decisions / decisions : null,
+    accuracy_lower: interval.lower,
+    accuracy_upper: interval.upper,
+    avg_confidence: row.avg_confidence ?? null,
+    user_satisfaction: toSatisfaction(row),
+    feedback_count: row.feedback_count || 0,
+    avg_response_time: row.avg_response_time ?? null,
+    total_tokens: row.total_tokens || 0,
+    cache_hits: row.cache_hits || 0,
+    context_switches: row.context_switches || 0,
+    cognitive_load: row.cognitive_load ?? null
+  };
+};
+
+/**
+ * Turn stored learning insights into optimization insight cards
+ * @param {Array} insights - Rows from DatabaseManager.getActionableInsights
+ * @param {string[]} models - Only keep insights about these models (optional)
+ * @returns {Array} Optimization insights
+ */
+const toOptimizationInsights = (insights, models = []) => insights
+  .map(insight => {
+    const data = insight.pattern_data && typeof insight.pattern_data === 'object' ? insight.pattern_data : {};
+    const affectedModels = [].concat(data.models || data.model || []);
+    return {
+      id: insight.id,
+      title: insight.pattern_description,
+      description: insight.recommendation || insight.pattern_description,
+      priority: insight.confidence >= 0.8 ? 'high' : insight.confidence >= 0.6 ? 'medium' : 'low',
+      impact_estimate: data.impact_estimate ?? null,
+      confidence: Math.round(insight.confidence * 100),
+      actionable: Boolean(insight.recommendation),
+      affected_models: affectedModels,
+      sample_size: insight.sample_size
+    };
+  })
+  .filter(insight => models.length === 0 || insight.affected_models.some(model => models.includes(model)));
+
+/**
+ * Build the 24-hour cognitive pattern from per-hour activity
+ * An hour counts as hyperfocus when it is well above the usual request volume with few task switches
+ * @param {Array} series - Rows from DatabaseManager.getActivitySeries(filters, 'hour')
+ * @returns {Array} One entry per hour of day
+ */
+const toCognitivePatterns = (series) => {
+  const byHour = new Map(series.map(row => [row.bucket, row]));
+  const active = series.filter(row => row.request_count > 0);
+  const avgRequests = active.length > 0
+    ? active.reduce((sum, row) => sum + row.request_count, 0) / active.length
+    : 0;
+
+  return Array.from({ length: 24 }, (_, hour) => {
+    const row = byHour.get(hour) || {};
+    const requests = row.request_count || 0;
+    const switches = row.context_switches || 0;
+    return {
+      hour,
+      request_count: requests,
+      success_rate: row.success_rate ?? null,
+      avg_response_time: row.avg_response_time ?? null,
+      cognitive_load: row.cognitive_load ?? null,
+      context_switches: switches,
+      user_satisfaction: toSatisfaction(row),
+      hyperfocus_detected: requests >= Math.max(3, avgRequests * 1.5) && switches / requests < 0.25
+    };
+  });
+};
+
+const toCognitiveInsights = (patterns) => {
+  const insights = [];
+  const measured = patterns.filter(pattern => pattern.request_count >= 5);
+
+  const withSuccess = measured.filter(pattern => pattern.success_rate !== null);
+  if (withSuccess.length > 1) {
+    const best = withSuccess.reduce((a, b) => (b.success_rate > a.success_rate ? b : a));
+    insights.push({
+      type: 'routing_optimization',
+      message: `Requests around ${formatHour(best.hour)} succeed most often (${Math.round(best.success_rate * 100)}% of ${best.request_count})`,
+      actionable: true,
+      confidence: sampleConfidence(best.request_count)
+    });
+  }
+
+  const hyperfocus = patterns.filter(pattern => pattern.hyperfocus_detected);
+  if (hyperfocus.length > 0) {
+    const requests = hyperfocus.reduce((sum, pattern) => sum + pattern.request_count, 0);
+    insights.push({
+      type: 'cognitive_pattern',
+      message: `Sustained single-task work shows up at ${hyperfocus.map(pattern => formatHour(pattern.hour)).join(', ')} - good windows for complex tasks`,
+      actionable: false,
+      confidence: sampleConfidence(requests)
+    });
+  }
+
+  const switching = measured
+    .map(pattern => ({ ...pattern, switch_rate: pattern.context_switches / pattern.request_count }))
+    .filter(pattern => pattern.switch_rate >= 0.5);
+  if (switching.length > 0) {
+    insights.push({
+      type: 'context_switching',
+      message: `Task type changes on half or more of requests at ${switching.map(pattern => formatHour(pattern.hour)).join(', ')}`,
+      actionable: true,
+      confidence: sampleConfidence(switching.reduce((sum, pattern) => sum + pattern.request_count, 0))
+    });
+  }
+
+  return insights;
+};
+
+/**
+ * Measure each ADHD accommodation from the routing decisions that applied it
+ * @param {object} filters - Analytics filters
+ * @returns {Promise<Array>} {type, description, effectiveness, trend, usage_count}
+ */
+const loadAccommodations = (filters) => Promise.all(ADHD_ACCOMMODATIONS.map(async ({ type, description, patterns }) => {
+  const stats = await dbManager.getRoutingReasonStats(filters, patterns);
+  const { earlier_effectiveness: earlier, recent_effectiveness: recent } = stats;
+
+  let trend = 'insufficient_data';
+  if (earlier !== null && recent !== null) {
+    trend = recent - earlier > 0.05 ? 'improving' : earlier - recent > 0.05 ? 'declining' : 'stable';
+  }
+
+  return {
+    type,
+    description,
+    effectiveness: stats.effectiveness,
+    trend,
+    usage_count: stats.usage_count
+  };
+}));
+
 // Real-time feed endpoint
-router.get('/real-time-feed', (req, res) => {
+router.get('/real-time-feed', async (req, res) => {
   try {
-    const { limit = 20, filter_uncensored } = req.query;
-    const mockData = generateMockData();
-    
-    let decisions = [...mockData.real_time_feed];
-    
-    // Apply filtering
-    if (filter_uncensored === 'true') {
-      decisions = decisions.filter(d => d.uncensored);
-    } else if (filter_uncensored === 'false') {
-      decisions = decisions.filter(d => !d.uncensored);
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
+    const { filter_uncensored } = req.query;
+    if (filter_uncensored === 'true' || filter_uncensored === 'false') {
+      filters.uncensored = filter_uncensored === 'true';
     }
-    
-    // Apply limit
-    decisions = decisions.slice(0, parseInt(limit));
-    
-    // Calculate summary
-    const totalDecisions = decisions.length;
-    const avgConfidence = totalDecisions > 0 
-      ? decisions.reduce((sum, d) => sum + d.confidence_score, 0) / totalDecisions 
-      : 0;
-    const uncensoredRatio = totalDecisions > 0 
-      ? decisions.filter(d => d.uncensored).length / totalDecisions 
-      : 0;
-    const avgResponseTime = totalDecisions > 0 
-      ? decisions.reduce((sum, d) => sum + d.response_time_ms, 0) / totalDecisions 
-      : 0;
-        
+
+    const feed = await dbManager.getRoutingFeed(filters);
+
     res.json({
       success: true,
-      data: decisions,
+      data: feed.decisions,
       summary: {
-        total_decisions: totalDecisions,
-        avg_confidence: avgConfidence,
-        uncensored_ratio: uncensoredRatio,
-        avg_response_time: avgResponseTime
-      }
+        total_decisions: feed.total,
+        avg_confidence: feed.avg_confidence || 0,
+        uncensored_ratio: feed.uncensored_ratio || 0,
+        avg_response_time: feed.avg_response_time || 0
+      },
+      pagination: paginate(filters, feed.total),
+      filters: describeFilters(filters)
     });
   } catch (error) {
     console.error('Error fetching real-time feed:', error);
@@ -195,15 +301,21 @@ router.get('/real-time-feed', (req, res) => {
 });
 
 // Performance trends endpoint
-router.get('/performance-trends', (req, res) => {
+router.get('/performance-trends', async (req, res) => {
   try {
-    const { timeframe = '7d' } = req.query;
-    const mockData = generateMockData();
-    
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
+    const [series, insights] = await Promise.all([
+      dbManager.getActivitySeries(filters, 'day'),
+      dbManager.getActionableInsights()
+    ]);
+
     res.json({
       success: true,
-      trends: mockData.performance_trends,
-      optimization_insights: mockData.optimization_insights
+      trends: series.map(toTrendPoint),
+      optimization_insights: toOptimizationInsights(insights, filters.models),
+      filters: describeFilters(filters)
     });
   } catch (error) {
     console.error('Error fetching performance trends:', error);
@@ -215,21 +327,22 @@ router.get('/performance-trends', (req, res) => {
 });
 
 // Model comparison endpoint
-router.get('/model-comparison', (req, res) => {
+router.get('/model-comparison', async (req, res) => {
   try {
-    const { timeframe = '7d', models } = req.query;
-    const mockData = generateMockData();
-    
-    let modelData = mockData.model_comparison;
-    
-    // Filter by specific models if requested
-    if (models && Array.isArray(models)) {
-      modelData = modelData.filter(m => models.includes(m.model));
-    }
-    
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
+    const comparison = await dbManager.getModelComparison(filters);
+
     res.json({
       success: true,
-      models: modelData
+      models: comparison.models.map(({ model_name, ...stats }) => ({
+        model: model_name,
+        ...stats,
+        user_satisfaction: toSatisfaction(stats)
+      })),
+      pagination: paginate(filters, comparison.total),
+      filters: describeFilters(filters)
     });
   } catch (error) {
     console.error('Error fetching model comparison:', error);
@@ -241,16 +354,23 @@ router.get('/model-comparison', (req, res) => {
 });
 
 // Enhanced cognitive patterns endpoint
-router.get('/cognitive-patterns-enhanced', (req, res) => {
+router.get('/cognitive-patterns-enhanced', async (req, res) => {
   try {
-    const { timeframe = '7d' } = req.query;
-    const mockData = generateMockData();
-    
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
+    const [series, accommodations] = await Promise.all([
+      dbManager.getActivitySeries(filters, 'hour'),
+      loadAccommodations(filters)
+    ]);
+    const cognitivePatterns = toCognitivePatterns(series);
+
     res.json({
       success: true,
-      cognitive_patterns: mockData.cognitive_patterns,
-      adhd_accommodations: mockData.adhd_accommodations,
-      insights: mockData.insights
+      cognitive_patterns: cognitivePatterns,
+      adhd_accommodations: accommodations,
+      insights: toCognitiveInsights(cognitivePatterns),
+      filters: describeFilters(filters)
     });
   } catch (error) {
     console.error('Error fetching cognitive patterns:', error);
@@ -262,14 +382,15 @@ router.get('/cognitive-patterns-enhanced', (req, res) => {
 });
 
 // ADHD accommodations endpoint
-router.get('/adhd-accommodations', (req, res) => {
+router.get('/adhd-accommodations', async (req, res) => {
   try {
-    const { timeframe = '7d' } = req.query;
-    const mockData = generateMockData();
-    
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
     res.json({
       success: true,
-      accommodations: mockData.adhd_accommodations
+      accommodations: await loadAccommodations(filters),
+      filters: describeFilters(filters)
     });
   } catch (error) {
     console.error('Error fetching ADHD accommodations:', error);
@@ -370,13 +491,38 @@ router.post('/learning/reject-suggestion', (req, res) => {
 });
 
 // Feedback submission endpoint
-router.post('/feedback', (req, res) => {
+// A corrected_task_type becomes a training label for the learned task classifier
+// Feedback is stored against the account making the request
+router.post('/feedback', async (req, res) => {
   try {
-    const feedback = req.body;
-    console.log('Feedback received:', feedback);
+    const feedback = req.body || {};
+    if (!feedback.performance_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'performance_id is required'
+      });
+    }
+
+    const feedbackId = await dbManager.storeFeedback({
+      performance_id: feedback.performance_id,
+      routing_id: feedback.routing_id || null,
+      satisfaction_rating: feedback.satisfaction_rating || null,
+      quality_rating: feedback.quality_rating || null,
+      speed_rating: feedback.speed_rating || null,
+      feedback_text: feedback.feedback_text || null,
+      suggested_improvements: feedback.suggested_improvements || null,
+      correction_provided: !!feedback.corrected_task_type || !!feedback.corrected_output,
+      original_output: feedback.original_output || null,
+      corrected_output: feedback.corrected_output || null,
+      preferred_model: feedback.preferred_model || null,
+      routing_feedback: feedback.routing_feedback || null,
+      corrected_task_type: feedback.corrected_task_type || null,
+      user_id: req.account?.id ?? null
+    });
     
     res.json({
       success: true,
+      feedback_id: feedbackId,
       message: 'Feedback submitted successfully and will improve future routing decisions'
     });
   } catch (error) {
@@ -894,15 +1040,45 @@ router.post('/workflows/suggestions', async (req, res) => {
   }
 });
 
+/**
+ * Find a workflow the caller may see: its own, or any workflow for the owner at this machine
+ * Sends a 404 response and returns null otherwise
+ * @param {object} req - Express request with :workflowId
+ * @param {object} res - Express response
+ * @returns {object|null} The workflow
+ */
+const findWorkflow = (req, res) => {
+  const workflow = workflowOrchestrator.getWorkflow(req.params.workflowId, req.account);
+  if (!workflow) {
+    res.status(404).json({
+      success: false,
+      error: `Workflow ${req.params.workflowId} not found`
+    });
+    return null;
+  }
+  return workflow;
+};
+
+/**
+ * Options the caller's steps are routed and run with
+ * @param {object} req - Express request
+ * @returns {Promise<object>} {characterSheet, account}
+ */
+const executionContext = async (req) => {
+  await req.smartRouter.characterSheetLoaded;
+  return { characterSheet: req.smartRouter.characterSheet, account: req.account || null };
+};
+
 // Create workflow from suggestion
 router.post('/workflows/create', async (req, res) => {
   try {
-    const { 
-      taskInput, 
-      projectContext, 
+    const {
+      taskInput,
+      projectContext,
       workflowSuggestion,
       userModifications = {},
-      executionStrategy = 'adaptive'
+      executionStrategy = 'adaptive',
+      inputs = {}
     } = req.body;
 
     if (!taskInput || !workflowSuggestion) {
@@ -912,29 +1088,32 @@ router.post('/workflows/create', async (req, res) => {
       });
     }
 
-    const workflowId = `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (!Array.isArray(workflowSuggestion.steps) || workflowSuggestion.steps.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Workflow suggestion must have at least one step'
+      });
+    }
 
-    // Mock workflow creation (would use WorkflowOrchestrator in real implementation)
-    const createdWorkflow = {
-      id: workflowId,
+    const { characterSheet, account } = await executionContext(req);
+    const result = await workflowOrchestrator.createWorkflow(taskInput, projectContext, characterSheet, {
+      workflowSuggestion,
       name: userModifications.name || workflowSuggestion.name,
-      project_context: projectContext,
-      original_task: taskInput,
-      state: 'created',
-      execution_strategy: executionStrategy,
-      steps: workflowSuggestion.steps,
-      created_at: new Date().toISOString(),
-      estimated_duration: workflowSuggestion.total_estimated_duration,
-      completion_probability: workflowSuggestion.completion_probability,
-      cognitive_load_distribution: workflowSuggestion.cognitive_load_distribution
-    };
+      executionStrategy,
+      inputs,
+      account
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
     res.json({
       success: true,
       data: {
-        workflow_id: workflowId,
-        workflow: createdWorkflow,
-        next_action: 'schedule_workflow'
+        workflow_id: result.workflow_id,
+        workflow: result.workflow,
+        next_action: result.next_action
       }
     });
   } catch (error) {
@@ -950,17 +1129,13 @@ router.post('/workflows/create', async (req, res) => {
 // Schedule workflow execution
 router.post('/workflows/schedule/:workflowId', async (req, res) => {
   try {
-    const { workflowId } = req.params;
+    if (!findWorkflow(req, res)) return;
     const { startTime, schedulingOptions = {} } = req.body;
 
-    // Mock workflow scheduling
-    const scheduledWorkflow = {
-      workflow_id: workflowId,
-      scheduled_start: startTime || new Date().toISOString(),
-      estimated_completion: new Date(Date.now() + (135 * 60 * 1000)).toISOString(), // 135 minutes from now
-      scheduled_breaks: 2,
-      state: 'scheduled'
-    };
+    const scheduledWorkflow = await workflowOrchestrator.scheduleWorkflow(req.params.workflowId, {
+      ...schedulingOptions,
+      startTime
+    });
 
     res.json({
       success: true,
@@ -976,21 +1151,26 @@ router.post('/workflows/schedule/:workflowId', async (req, res) => {
   }
 });
 
-// Execute workflow
+// Execute workflow: runs the steps on their models and answers once the workflow has finished, stopped,
+// or (user_paced) reached a step waiting for a decision
 router.post('/workflows/execute/:workflowId', async (req, res) => {
   try {
-    const { workflowId } = req.params;
+    const workflow = findWorkflow(req, res);
+    if (!workflow) return;
     const { executionOptions = {} } = req.body;
 
-    // Mock workflow execution
-    const executionResult = {
-      workflow_id: workflowId,
-      execution_started: new Date().toISOString(),
-      state: 'in_progress',
-      current_step: 0,
-      steps_completed: 0,
-      estimated_remaining: 135 // minutes
-    };
+    if (workflow.state !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        error: `Workflow ${workflow.id} is ${workflow.state}; schedule it before executing`
+      });
+    }
+
+    const executionResult = await workflowOrchestrator.executeWorkflow(workflow.id, {
+      ...executionOptions,
+      ...(await executionContext(req))
+    });
+    notifyWorkflowUpdate(workflow.id, req.account);
 
     res.json({
       success: true,
@@ -998,40 +1178,103 @@ router.post('/workflows/execute/:workflowId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error executing workflow:', error);
+    notifyWorkflowUpdate(req.params.workflowId, req.account);
     res.status(500).json({
       success: false,
       error: 'Failed to execute workflow',
-      details: error.message
+      details: error.message,
+      data: workflowOrchestrator.getWorkflowStatus(req.params.workflowId)
     });
   }
 });
 
-// Get workflow status
+// Resume a failed or paused workflow from its first unfinished step
+router.post('/workflows/resume/:workflowId', async (req, res) => {
+  try {
+    const workflow = findWorkflow(req, res);
+    if (!workflow) return;
+    const { executionOptions = {} } = req.body;
+
+    if (!['failed', 'paused'].includes(workflow.state)) {
+      return res.status(400).json({
+        success: false,
+        error: `Workflow ${workflow.id} is ${workflow.state}; only failed or paused workflows can be resumed`
+      });
+    }
+
+    const executionResult = await workflowOrchestrator.resumeWorkflow(workflow.id, {
+      ...executionOptions,
+      ...(await executionContext(req))
+    });
+    notifyWorkflowUpdate(workflow.id, req.account);
+
+    res.json({
+      success: true,
+      data: executionResult
+    });
+  } catch (error) {
+    console.error('Error resuming workflow:', error);
+    notifyWorkflowUpdate(req.params.workflowId, req.account);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume workflow',
+      details: error.message,
+      data: workflowOrchestrator.getWorkflowStatus(req.params.workflowId)
+    });
+  }
+});
+
+// Approve, skip or edit the step a user-paced workflow is waiting on; also accepted over the WebSocket
+router.post('/workflows/decide/:workflowId', async (req, res) => {
+  try {
+    const workflow = findWorkflow(req, res);
+    if (!workflow) return;
+    const { action, prompt, step_id: stepId, executionOptions = {} } = req.body;
+
+    if (workflow.state !== 'awaiting_approval') {
+      return res.status(400).json({
+        success: false,
+        error: `Workflow ${workflow.id} is ${workflow.state}, not waiting for a step decision`
+      });
+    }
+
+    if (!['approve', 'skip', 'edit'].includes(action) || (action === 'edit' && !prompt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be approve, skip or edit; edit needs the new prompt'
+      });
+    }
+
+    const executionResult = await workflowOrchestrator.decideWorkflowStep(workflow.id, { action, prompt, step_id: stepId }, {
+      ...executionOptions,
+      ...(await executionContext(req))
+    });
+    notifyWorkflowUpdate(workflow.id, req.account);
+
+    res.json({
+      success: true,
+      data: executionResult
+    });
+  } catch (error) {
+    console.error('Error deciding workflow step:', error);
+    notifyWorkflowUpdate(req.params.workflowId, req.account);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decide workflow step',
+      details: error.message,
+      data: workflowOrchestrator.getWorkflowStatus(req.params.workflowId)
+    });
+  }
+});
+
+// Get workflow status, with each step's result and output
 router.get('/workflows/status/:workflowId', async (req, res) => {
   try {
-    const { workflowId } = req.params;
-
-    // Mock workflow status
-    const workflowStatus = {
-      found: true,
-      workflow_id: workflowId,
-      state: 'in_progress',
-      progress_percentage: 35,
-      current_step: 1,
-      total_steps: 4,
-      completed_steps: 1,
-      failed_steps: 0,
-      estimated_remaining: 85,
-      next_step: {
-        phase: 'Implementation',
-        estimated_duration: 75,
-        cognitive_load: 'high'
-      }
-    };
+    if (!findWorkflow(req, res)) return;
 
     res.json({
       success: true,
-      data: workflowStatus
+      data: workflowOrchestrator.getWorkflowStatus(req.params.workflowId)
     });
   } catch (error) {
     console.error('Error fetching workflow status:', error);
@@ -1043,34 +1286,176 @@ router.get('/workflows/status/:workflowId', async (req, res) => {
   }
 });
 
-// Get active workflows
-router.get('/workflows/active', async (req, res) => {
+// Get a workflow's audit trail: state transitions, step results and decisions, kept across restarts
+router.get('/workflows/audit/:workflowId', async (req, res) => {
   try {
-    const activeWorkflows = {
-      total_active: 2,
-      by_state: {
-        created: 0,
-        scheduled: 1,
-        in_progress: 1,
-        paused: 0,
-        completed: 0,
-        cancelled: 0,
-        failed: 0
-      },
-      by_project: {
-        'steward-development': 2
-      },
-      execution_statistics: {
-        average_success_rate: 0.87,
-        average_duration_variance: 12, // minutes
-        autonomous_routing_adoption: 0.45,
-        total_workflows_completed: 23
+    const audit = await workflowOrchestrator.getWorkflowAudit(req.params.workflowId, req.account || null);
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        error: `Workflow ${req.params.workflowId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: audit
+    });
+  } catch (error) {
+    console.error('Error fetching workflow audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow audit trail',
+      details: error.message
+    });
+  }
+});
+
+// Shared workflow definitions from workflows/*.yaml
+router.get('/workflows/definitions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: [...workflowOrchestrator.workflowTemplates].map(([key, definition]) => ({
+        key,
+        name: definition.name,
+        description: definition.description,
+        execution_strategy: definition.execution_strategy,
+        tags: definition.tags,
+        inputs: definition.inputs,
+        steps: definition.steps.length
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching workflow definitions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow definitions',
+      details: error.message
+    });
+  }
+});
+
+// Create a workflow from a YAML definition (text or parsed), or from a shared one by its key
+router.post('/workflows/import', async (req, res) => {
+  try {
+    const { definition, template, taskInput, inputs = {}, executionStrategy } = req.body;
+
+    let workflowDefinition = template ? workflowOrchestrator.workflowTemplates.get(template) : null;
+    if (template && !workflowDefinition) {
+      return res.status(404).json({
+        success: false,
+        error: `Workflow definition ${template} not found`
+      });
+    }
+
+    if (!workflowDefinition) {
+      let data;
+      try {
+        data = WorkflowDefinition.toData(definition);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Workflow definition is not valid YAML',
+          details: error.message
+        });
       }
-    };
 
+      modelRegistry = modelRegistry || new AdapterRegistry();
+      const problems = WorkflowDefinition.validate(data, { isKnownModel: model => modelRegistry.has(model) });
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid workflow definition',
+          details: problems.join('; '),
+          problems
+        });
+      }
+      workflowDefinition = new WorkflowDefinition(data);
+    }
+
+    let resolvedInputs;
+    try {
+      resolvedInputs = workflowDefinition.resolveInputs(inputs);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const { characterSheet, account } = await executionContext(req);
+    const result = await workflowOrchestrator.createWorkflowFromDefinition(
+      workflowDefinition,
+      taskInput || workflowDefinition.description || workflowDefinition.name,
+      characterSheet,
+      { inputs: resolvedInputs, executionStrategy, account }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        workflow_id: result.workflow_id,
+        workflow: result.workflow,
+        next_action: result.next_action
+      }
+    });
+  } catch (error) {
+    console.error('Error importing workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import workflow',
+      details: error.message
+    });
+  }
+});
+
+// Export a workflow as a YAML definition; ?format=yaml sends the file itself
+router.get('/workflows/export/:workflowId', async (req, res) => {
+  try {
+    const definition = await workflowOrchestrator.exportWorkflowDefinition(req.params.workflowId, req.account || null);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: `Workflow ${req.params.workflowId} not found`
+      });
+    }
+
+    if (req.query.format === 'yaml') {
+      const fileName = definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workflow';
+      res.setHeader('Content-Type', 'text/yaml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.yaml"`);
+      return res.send(definition.toYaml());
+    }
+
+    res.json({
+      success: true,
+      data: {
+        workflow_id: req.params.workflowId,
+        definition: definition.toObject(),
+        yaml: definition.toYaml()
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export workflow',
+      details: error.message
+    });
+  }
+});
+
+// Get active workflows
+router.get('/workflows/active', async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: activeWorkflows
+      data: workflowOrchestrator.getActiveWorkflows()
     });
   } catch (error) {
     console.error('Error fetching active workflows:', error);
@@ -1384,4 +1769,4 @@ router.post('/autonomous/override', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = { router, initializeAnalyticsRoutes };
\ No newline at end of file
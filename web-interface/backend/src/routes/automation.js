@@ -0,0 +1,122 @@
+// #region start: Automation API Routes
+// Runs the automation rules (built-in ones and the automations block in models.yaml) with their
+// scheduled, file-system and webhook triggers; webhooks arrive at POST /api/automation/hooks/:hookId, and each
+// action runs as a workflow through the server's WorkflowOrchestrator
+
+const express = require('express');
+const router = express.Router();
+// Webhooks come from other services rather than accounts, so server.js mounts these ahead of authentication
+const hookRouter = express.Router();
+
+const AutomationEngine = require('../../../../src/workflows/AutomationEngine.js');
+const WorkflowTemplateManager = require('../../../../src/workflows/WorkflowTemplateManager.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+const UserAccounts = require('../../../../src/core/user-accounts.js');
+
+// Queued and debounced runs are saved in the Steward database and picked up again after a restart
+const automationEngine = new AutomationEngine({ dbManager: new DatabaseManager() });
+
+/**
+ * Load the configured rules and start the engine; server.js calls this once it is listening
+ * @param {object} dependencies - {workflowOrchestrator} the rule actions run through, {smartRouter} whose
+ *                                character sheet (the owner's) routes their steps
+ */
+async function startAutomation({ workflowOrchestrator, smartRouter } = {}) {
+  try {
+    const templateManager = new WorkflowTemplateManager({
+      workflowOrchestrator,
+      loadCharacterSheet: async () => {
+        await smartRouter.characterSheetLoaded;
+        return smartRouter.characterSheet;
+      }
+    });
+    await templateManager.initialize();
+    for (const ruleData of await WorkflowTemplateManager.loadConfiguredRules()) {
+      const created = templateManager.createAutomationRule(ruleData);
+      if (!created.success) console.warn(`Skipping automation rule ${ruleData.id}:`, created.error);
+    }
+    await automationEngine.initialize({ templateManager });
+
+    for (const rule of templateManager.automationRules.values()) {
+      if (rule.enabled && rule.trigger === 'webhook_received' && !process.env[rule.webhook_secret_env]) {
+        console.warn(`Automation rule ${rule.id} has no webhook secret (webhook_secret_env), so its webhook is refused`);
+      }
+    }
+
+    const sources = automationEngine.getTriggerSources();
+    if (sources.length > 0) {
+      console.log(`⏰ Automation triggers: ${sources.map(source => `${source.rule_id} (${source.trigger})`).join(', ')}`);
+    }
+  } catch (error) {
+    console.warn('Could not start automation engine:', error.message);
+  }
+}
+
+/**
+ * POST /api/automation/hooks/:hookId
+ * Trigger the webhook_received rules on a hook; the JSON body is passed on as trigger_data.payload.
+ * The request must prove the secret of each rule (see AutomationEngine.verifyWebhook) instead of sending an API key
+ */
+hookRouter.post('/:hookId', (req, res) => {
+  try {
+    if (!automationEngine.isRunning) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'The automation engine is not running'
+      });
+    }
+
+    // Unknown hooks answer the same as a bad secret, so callers cannot probe for hook ids
+    const verified = automationEngine.verifyWebhook(req.params.hookId, {
+      body: req.rawBody || '',
+      signature: req.get('X-Steward-Signature') || null,
+      token: req.get('X-Steward-Token') || null
+    });
+    if (!verified) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: `Webhook ${req.params.hookId} needs a valid X-Steward-Signature or X-Steward-Token`
+      });
+    }
+
+    const received = automationEngine.receiveWebhook(req.params.hookId, req.body || {});
+    if (!received) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No enabled automation rule listens on webhook ${req.params.hookId}`
+      });
+    }
+
+    res.status(202).json({ success: true, ...received });
+  } catch (error) {
+    console.error('Error receiving webhook:', error);
+    res.status(500).json({
+      error: 'Failed to receive webhook',
+      message: error.message
+    });
+  }
+});
+
+// Automations act for the owner, so only the owner at this machine and admin accounts run them
+router.use((req, res, next) => {
+  if (!req.user || UserAccounts.isAdmin(req.user)) return next();
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Only an admin can run automations'
+  });
+});
+
+/**
+ * GET /api/automation
+ * Engine status, with each rule's schedule and next run, watched directory or webhook
+ */
+router.get('/', (req, res) => {
+  res.json(automationEngine.getStatus());
+});
+
+module.exports = router;
+module.exports.hookRouter = hookRouter;
+module.exports.startAutomation = startAutomation;
+
+// #endregion end: Automation API Routes
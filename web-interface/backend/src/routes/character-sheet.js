@@ -0,0 +1,300 @@
+// #region start: Character Sheet API Routes
+// Reads and validated, versioned writes of the caller's character sheet (character-sheet.yaml for the owner)
+// Every write is stored as a snapshot, so changes can be diffed and rolled back
+
+const express = require('express');
+const router = express.Router();
+
+const CharacterSheetStore = require('../../../../src/core/character-sheet-store.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+
+const store = new CharacterSheetStore({ dbManager: new DatabaseManager() });
+
+const MAX_HISTORY = 200;
+
+let smartRouter = null;
+
+// Initialize with the server's routing engine so saved changes take effect immediately
+function initializeCharacterSheetRoutes(sr) {
+  smartRouter = sr;
+}
+
+/**
+ * The routing engine for the account making the request (set by the auth middleware)
+ */
+function routerFor(req) {
+  return req.smartRouter || smartRouter;
+}
+
+/**
+ * The sheet store for the account making the request; the owner's is character-sheet.yaml
+ */
+function storeFor(req) {
+  return routerFor(req)?.characterSheetStore || store;
+}
+
+/**
+ * Reload the routing engine's character sheet after a write
+ */
+async function reloadRouter(req) {
+  if (routerFor(req)) {
+    await routerFor(req).loadCharacterSheet();
+  }
+}
+
+/**
+ * Remove sensitive information before the sheet is sent to the frontend
+ */
+function sanitizeCharacterSheet(characterSheet) {
+  const sanitized = { ...characterSheet };
+  delete sanitized.api_keys;
+  delete sanitized.private_settings;
+  return sanitized;
+}
+
+/**
+ * Respond 400 when a sheet fails the schema or names unknown models
+ * @returns {boolean} Whether a response was sent
+ */
+function rejectInvalid(res, sheet) {
+  const problems = store.validate(sheet);
+  if (problems.length === 0) return false;
+
+  res.status(400).json({
+    error: 'Invalid character sheet',
+    message: problems.join('; '),
+    problems
+  });
+  return true;
+}
+
+/**
+ * Parse a version number from a request
+ * @returns {number|null} Version, or null when it is not a positive integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * GET /api/character-sheet
+ * Get character sheet preferences, the latest version number and the loadout routing would use now
+ * Query: loadout (name or stack to resolve instead), project (for project-activated loadouts)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const engine = routerFor(req);
+    await engine?.characterSheetLoaded;
+    const characterSheet = engine?.characterSheet || {};
+    const [latest] = await storeFor(req).getHistory(1);
+
+    let activeLoadout = null;
+    if (engine) {
+      try {
+        activeLoadout = await engine.getActiveLoadout({ loadout: req.query.loadout, project: req.query.project });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid loadout',
+          message: error.message
+        });
+      }
+    }
+
+    res.json({
+      characterSheet: sanitizeCharacterSheet(characterSheet),
+      version: latest ? latest.version : null,
+      active_loadout: activeLoadout,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting character sheet:', error);
+    res.status(500).json({
+      error: 'Failed to get character sheet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/character-sheet
+ * Update the character sheet and record the change as a new version
+ * Body: {preferences (top-level sections to replace) | character_sheet (whole sheet, object or YAML text), reason}
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { preferences, character_sheet: replacement, reason = null } = req.body || {};
+
+    if (!replacement && (!preferences || typeof preferences !== 'object' || Array.isArray(preferences))) {
+      return res.status(400).json({
+        error: 'Invalid preferences',
+        message: 'Preferences must be an object'
+      });
+    }
+
+    let characterSheet;
+    try {
+      characterSheet = replacement ? CharacterSheetStore.toSheet(replacement) : { ...await storeFor(req).loadCurrent(), ...preferences };
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid character sheet',
+        message: error.message
+      });
+    }
+    if (rejectInvalid(res, characterSheet)) return;
+
+    const { version, changes } = await storeFor(req).save(characterSheet, { author: 'user', reason });
+    await reloadRouter(req);
+
+    res.json({
+      success: true,
+      message: 'Character sheet preferences updated',
+      version,
+      changes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating character sheet:', error);
+    res.status(500).json({
+      error: 'Failed to update character sheet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/character-sheet/validate
+ * Check a sheet without saving it
+ * Body: {character_sheet (object or YAML text)}
+ */
+router.post('/validate', (req, res) => {
+  let characterSheet;
+  try {
+    characterSheet = CharacterSheetStore.toSheet(req.body?.character_sheet);
+  } catch (error) {
+    return res.json({ valid: false, problems: [error.message] });
+  }
+
+  const problems = store.validate(characterSheet);
+  res.json({ valid: problems.length === 0, problems });
+});
+
+/**
+ * GET /api/character-sheet/history
+ * Versions, newest first, with who made each change
+ * Query: limit (default 50)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_HISTORY);
+    res.json({ versions: await storeFor(req).getHistory(limit) });
+  } catch (error) {
+    console.error('Error getting character sheet history:', error);
+    res.status(500).json({
+      error: 'Failed to get character sheet history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/character-sheet/history/:version
+ * One version, with the YAML as written
+ */
+router.get('/history/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const snapshot = version ? await storeFor(req).getVersion(version) : null;
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `No character sheet version ${req.params.version}`
+      });
+    }
+
+    res.json({ ...snapshot, sheet: sanitizeCharacterSheet(snapshot.sheet || {}) });
+  } catch (error) {
+    console.error('Error getting character sheet version:', error);
+    res.status(500).json({
+      error: 'Failed to get character sheet version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/character-sheet/diff
+ * Changed paths between two versions
+ * Query: from (version), to (version; default: the current sheet)
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? null : parseVersion(req.query.to);
+    if (!from || (req.query.to !== undefined && !to)) {
+      return res.status(400).json({
+        error: 'Invalid versions',
+        message: 'from (and to, when given) must be version numbers'
+      });
+    }
+
+    res.json(await storeFor(req).compare(from, to));
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return res.status(404).json({ error: 'Version not found', message: error.message });
+    }
+    console.error('Error diffing character sheet versions:', error);
+    res.status(500).json({
+      error: 'Failed to diff character sheet versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/character-sheet/rollback
+ * Restore an earlier version; the rollback is itself recorded as a new version
+ * Body: {version, reason}
+ */
+router.post('/rollback', async (req, res) => {
+  try {
+    const version = parseVersion(req.body?.version);
+    if (!version) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'version must be a version number'
+      });
+    }
+
+    const snapshot = await storeFor(req).getVersion(version);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `No character sheet version ${version}`
+      });
+    }
+    if (rejectInvalid(res, snapshot.sheet)) return;
+
+    const result = await storeFor(req).rollback(version, { reason: req.body.reason });
+    await reloadRouter(req);
+
+    res.json({
+      success: true,
+      message: `Character sheet rolled back to version ${version}`,
+      version: result.version,
+      changes: result.changes
+    });
+  } catch (error) {
+    console.error('Error rolling back character sheet:', error);
+    res.status(500).json({
+      error: 'Failed to roll back character sheet',
+      message: error.message
+    });
+  }
+});
+
+module.exports = { router, initializeCharacterSheetRoutes };
+
+// #endregion end: Character Sheet API Routes
@@ -0,0 +1,118 @@
+// #region start: Context Activity API Routes
+// Local collector for editor, terminal, browser and file watcher activity
+// Events land in the context_data table of database/steward.db and inform project detection in routing
+
+const express = require('express');
+const router = express.Router();
+
+const ContextCollector = require('../../../../src/memory/ContextCollector.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+
+const collector = new ContextCollector({ dbManager: new DatabaseManager() });
+
+const MAX_BATCH_SIZE = 500;
+const MAX_PAGE_SIZE = 500;
+// Sensitive events are kept at most a day, so expired events are pruned hourly
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Delete activity events past their retention
+ */
+async function pruneExpiredEvents() {
+  try {
+    const deleted = await collector.prune();
+    if (deleted > 0) {
+      console.log(`🛰️  Context collector: pruned ${deleted} expired events`);
+    }
+  } catch (error) {
+    console.warn('Context pruning failed:', error.message);
+  }
+}
+
+/**
+ * POST /api/context/events
+ * Record one event or an array of events
+ * Body: {source_type, activity_type, activity_data, source_details, project_name, file_path, ...}
+ */
+router.post('/events', async (req, res) => {
+  try {
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    if (events.length === 0 || events.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid context events',
+        message: `Send between 1 and ${MAX_BATCH_SIZE} events`
+      });
+    }
+
+    const problems = events
+      .map((event, i) => ContextCollector.validate(event).map(problem => (events.length > 1 ? `event ${i}: ${problem}` : problem)))
+      .flat();
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid context events',
+        message: problems.join('; ')
+      });
+    }
+
+    const ids = await collector.record(events);
+    res.status(201).json({ recorded: ids.length, ids });
+  } catch (error) {
+    console.error('Error recording context events:', error);
+    res.status(500).json({
+      error: 'Failed to record context events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/context/events
+ * Recent events, most recent first
+ * Query: minutes (default 60), source_type, project, limit (default 100)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const minutes = parseInt(req.query.minutes) || 60;
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+    const events = await collector.dbManager.getContextEvents({
+      minutes,
+      source_type: req.query.source_type || null,
+      project_name: req.query.project || null,
+      limit
+    });
+
+    res.json({ events, count: events.length, window_minutes: minutes });
+  } catch (error) {
+    console.error('Error listing context events:', error);
+    res.status(500).json({
+      error: 'Failed to list context events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/context/current
+ * The project recent activity points to, with per-project counts and switches
+ * Query: minutes (default 15)
+ */
+router.get('/current', async (req, res) => {
+  try {
+    const minutes = parseInt(req.query.minutes) || 15;
+    res.json(await collector.recentActivity({ minutes }));
+  } catch (error) {
+    console.error('Error summarizing context activity:', error);
+    res.status(500).json({
+      error: 'Failed to summarize context activity',
+      message: error.message
+    });
+  }
+});
+
+// Prune at startup, then hourly
+pruneExpiredEvents();
+setInterval(pruneExpiredEvents, PRUNE_INTERVAL_MS).unref();
+
+module.exports = router;
+
+// #endregion end: Context Activity API Routes
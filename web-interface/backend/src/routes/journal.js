@@ -0,0 +1,215 @@
+// #region start: Journal API Routes
+// Express routes for daily journal check-ins in database/steward.db
+// Today's entry feeds the cognitive capacity estimates used by routing
+
+const express = require('express');
+const router = express.Router();
+
+const Journal = require('../../../../models/Journal.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+
+const journal = new Journal({ dbManager: new DatabaseManager() });
+
+const MAX_PAGE_SIZE = 100;
+// Past days are summarized once they have ended; checking hourly catches midnight without a scheduler
+const SUMMARY_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Summarize past days that ended without an end-of-day summary
+ */
+async function summarizePendingDays() {
+  try {
+    const dates = await journal.summarizePendingDays();
+    if (dates.length > 0) {
+      console.log(`📓 Journal: summarized ${dates.join(', ')}`);
+    }
+  } catch (error) {
+    console.warn('Journal summary failed:', error.message);
+  }
+}
+
+/**
+ * Respond 400 when journal data or its date is invalid
+ * @returns {boolean} Whether a response was sent
+ */
+function rejectInvalid(res, data, date) {
+  const problems = Journal.validate(data, date);
+  if (problems.length === 0) return false;
+
+  res.status(400).json({
+    error: 'Invalid journal entry',
+    message: problems.join('; ')
+  });
+  return true;
+}
+
+/**
+ * GET /api/journal
+ * List entries, most recent first
+ * Query: from, to (YYYY-MM-DD), limit (default 30), offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    for (const date of [from, to].filter(Boolean)) {
+      if (rejectInvalid(res, {}, date)) return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, MAX_PAGE_SIZE);
+    const offset = parseInt(req.query.offset) || 0;
+    const { entries, total } = await journal.list({ from, to, limit, offset });
+
+    res.json({
+      entries,
+      pagination: { total, limit, offset, has_more: offset + entries.length < total },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing journal entries:', error);
+    res.status(500).json({
+      error: 'Failed to list journal entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/journal/today
+ * Today's entry; entry is null before the first check-in
+ */
+router.get('/today', async (req, res) => {
+  try {
+    const date = Journal.today();
+    res.json({ date, entry: await journal.get(date) });
+  } catch (error) {
+    console.error('Error loading today\'s journal entry:', error);
+    res.status(500).json({
+      error: 'Failed to load journal entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/journal
+ * Today's check-in; body holds journal fields (energy_level, mood, frustration_level, productive_hours, goals_set, ...)
+ * Past days still open are summarized first
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = req.body || {};
+    if (rejectInvalid(res, data)) return;
+
+    const entry = await journal.checkIn(data);
+    res.status(201).json({ entry });
+  } catch (error) {
+    console.error('Error saving journal check-in:', error);
+    res.status(500).json({
+      error: 'Failed to save journal check-in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/journal/:date
+ * One entry
+ */
+router.get('/:date', async (req, res) => {
+  try {
+    if (rejectInvalid(res, {}, req.params.date)) return;
+
+    const entry = await journal.get(req.params.date);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Journal entry not found',
+        message: `No journal entry for ${req.params.date}`
+      });
+    }
+    res.json({ entry });
+  } catch (error) {
+    console.error('Error loading journal entry:', error);
+    res.status(500).json({
+      error: 'Failed to load journal entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/journal/:date
+ * Create or update an entry; fields missing from the body keep their stored value
+ */
+router.put('/:date', async (req, res) => {
+  try {
+    const data = req.body || {};
+    if (rejectInvalid(res, data, req.params.date)) return;
+
+    const entry = await journal.save(req.params.date, data);
+    res.json({ entry });
+  } catch (error) {
+    console.error('Error saving journal entry:', error);
+    res.status(500).json({
+      error: 'Failed to save journal entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/journal/:date
+ * Delete an entry
+ */
+router.delete('/:date', async (req, res) => {
+  try {
+    if (rejectInvalid(res, {}, req.params.date)) return;
+
+    const deleted = await journal.remove(req.params.date);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Journal entry not found',
+        message: `No journal entry for ${req.params.date}`
+      });
+    }
+    res.json({ deleted: true, date: req.params.date });
+  } catch (error) {
+    console.error('Error deleting journal entry:', error);
+    res.status(500).json({
+      error: 'Failed to delete journal entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/journal/:date/summary
+ * Fill an entry's AI request count, most and least helpful model and task types from the logs
+ */
+router.post('/:date/summary', async (req, res) => {
+  try {
+    if (rejectInvalid(res, {}, req.params.date)) return;
+
+    const entry = await journal.summarizeDay(req.params.date);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Nothing to summarize',
+        message: `No journal entry and no AI requests on ${req.params.date}`
+      });
+    }
+    res.json({ entry });
+  } catch (error) {
+    console.error('Error summarizing journal day:', error);
+    res.status(500).json({
+      error: 'Failed to summarize journal day',
+      message: error.message
+    });
+  }
+});
+
+// End-of-day summaries for days that passed while the server was down, then hourly
+summarizePendingDays();
+setInterval(summarizePendingDays, SUMMARY_INTERVAL_MS).unref();
+
+module.exports = router;
+
+// #endregion end: Journal API Routes
@@ -0,0 +1,130 @@
+// #region start: Database Maintenance API Routes
+// Retention, VACUUM/ANALYZE and verified backups of database/steward.db (admin only)
+// Runs nightly after database_maintenance.run_at_hour in models.yaml; restore stays in the CLI
+
+const express = require('express');
+const router = express.Router();
+
+const DatabaseMaintenance = require('../../../../database/maintenance.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+const UserAccounts = require('../../../../src/core/user-accounts.js');
+
+const maintenance = new DatabaseMaintenance({ dbManager: new DatabaseManager() });
+
+// The nightly run happens at the first check after run_at_hour, so a server that was down catches up
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+let scheduleTimer = null;
+
+/**
+ * Run the nightly maintenance if it is due
+ */
+async function runScheduledMaintenance() {
+  try {
+    const run = await maintenance.runIfDue();
+    if (run) {
+      const deleted = Object.values(run.deleted || {}).reduce((sum, count) => sum + count, 0);
+      console.log(`🧹 Database maintenance ${run.status}: ${deleted} old rows deleted${run.backup_path ? `, backup ${run.backup_verified ? 'verified' : 'NOT verified'}` : ''}`);
+      if (run.error) console.warn('Database maintenance failed:', run.error);
+    }
+  } catch (error) {
+    console.warn('Database maintenance failed:', error.message);
+  }
+}
+
+/**
+ * Check the nightly maintenance now and then hourly; server.js calls this once it is listening
+ */
+function startMaintenanceSchedule() {
+  if (scheduleTimer) return;
+  runScheduledMaintenance();
+  scheduleTimer = setInterval(runScheduledMaintenance, SCHEDULE_INTERVAL_MS);
+  scheduleTimer.unref();
+}
+
+// Only the owner at this machine and admin accounts manage the database
+router.use((req, res, next) => {
+  if (!req.user || UserAccounts.isAdmin(req.user)) return next();
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Only an admin can manage the database'
+  });
+});
+
+/**
+ * GET /api/maintenance
+ * Database size, recent runs, backups and the next nightly run
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await maintenance.status());
+  } catch (error) {
+    console.error('Error getting maintenance status:', error);
+    res.status(500).json({
+      error: 'Failed to get maintenance status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/maintenance/run
+ * Apply retention, VACUUM and ANALYZE, then take a verified backup
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const run = await maintenance.run({ triggeredBy: 'api' });
+    res.status(run.status === 'ok' ? 200 : 500).json({ success: run.status === 'ok', run });
+  } catch (error) {
+    console.error('Error running database maintenance:', error);
+    res.status(500).json({
+      error: 'Failed to run database maintenance',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/maintenance/backups
+ * Take and verify an online backup now
+ */
+router.post('/backups', async (req, res) => {
+  try {
+    const backup = await maintenance.backup();
+    res.status(backup.verified ? 201 : 500).json({ success: backup.verified, backup });
+  } catch (error) {
+    console.error('Error backing up database:', error);
+    res.status(500).json({
+      error: 'Failed to back up database',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/maintenance/backups/:name/verify
+ * Check a backup's integrity and tables
+ */
+router.post('/backups/:name/verify', async (req, res) => {
+  try {
+    const backup = maintenance.listBackups().find(item => item.name === req.params.name);
+    if (!backup) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Backup ${req.params.name} not found`
+      });
+    }
+    res.json(await maintenance.verifyBackup(backup.path));
+  } catch (error) {
+    console.error('Error verifying backup:', error);
+    res.status(500).json({
+      error: 'Failed to verify backup',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.startMaintenanceSchedule = startMaintenanceSchedule;
+
+// #endregion end: Database Maintenance API Routes
@@ -2,15 +2,17 @@
 // Allows Open WebUI and other OpenAI-compatible clients to connect to The Steward
 
 const express = require('express');
+const Conversation = require('../../../../models/Conversation.js');
 const router = express.Router();
 
 // We'll need these from the main server
-let smartRouter, modelInterface;
+let smartRouter, modelInterface, failoverExecutor;
 
-// Initialize with references from main server
-function initializeOpenAIRoutes(sr, mi) {
+// Initialize with references from main server; requests fail over through the server's own FailoverExecutor
+function initializeOpenAIRoutes(sr, mi, fe) {
   smartRouter = sr;
   modelInterface = mi;
+  failoverExecutor = fe;
 }
 
 /**
@@ -88,6 +90,10 @@ router.post('/chat/completions', async (req, res) => {
       max_tokens = 1500,
       top_p = 0.9,
       stream = false,
+      tools,
+      tool_choice,
+      parallel_tool_calls,
+      user, // Mapped to an account by the auth middleware; not passed on to models
       ...otherParams 
     } = req.body;
 
@@ -102,28 +108,67 @@ router.post('/chat/completions', async (req, res) => {
       });
     }
 
-    // Extract the user's prompt from messages
-    const prompt = extractPromptFromMessages(messages);
+    // Keep roles and turns intact so each adapter can send the full chat natively
+    let conversation;
+    try {
+      conversation = new Conversation(messages);
+    } catch (conversationError) {
+      return res.status(400).json({
+        error: {
+          message: conversationError.message,
+          type: 'invalid_request_error',
+          code: 'invalid_messages'
+        }
+      });
+    }
+
+    if (conversation.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Messages must include at least one user message',
+          type: 'invalid_request_error',
+          code: 'missing_user_message'
+        }
+      });
+    }
+
+    // Latest user turn, used for logging
+    const prompt = conversation.getLatestUserText();
+
+    if (tools !== undefined && !Array.isArray(tools)) {
+      return res.status(400).json({
+        error: {
+          message: 'tools must be an array of function definitions',
+          type: 'invalid_request_error',
+          code: 'invalid_tools'
+        }
+      });
+    }
+
+    // Tool definitions only matter to routing when the client lets the model call them
+    const requiresTools = Array.isArray(tools) && tools.length > 0 && tool_choice !== 'none';
     
     // Determine routing preferences based on selected "model"
     const routingHints = getRoutingHints(model);
     
     const startTime = Date.now();
     
-    // Make smart routing decision with hints
+    // Make smart routing decision with hints, using the character sheet of the account making the request
     let routingDecision;
     try {
-      if (!smartRouter) {
+      const accountRouter = req.smartRouter || smartRouter;
+      if (!accountRouter) {
         throw new Error('Smart router not initialized');
       }
-      routingDecision = await smartRouter.makeSmartRoutingDecision(prompt, {
+      routingDecision = await accountRouter.makeSmartRoutingDecision(conversation, {
         ...routingHints,
         temperature,
         max_tokens,
         top_p,
         session_id: generateSessionId(),
         openai_compatible: true,
-        original_model_request: model
+        original_model_request: model,
+        requires_tools: requiresTools
       });
     } catch (routingError) {
       console.warn('Smart routing failed, using fallback:', routingError.message);
@@ -153,36 +198,56 @@ router.post('/chat/completions', async (req, res) => {
     // Map model name for ModelInterface
     const selectedModel = mapModelName(routingDecision.selection.model);
     
-    // Send request to model
+    const requestOptions = {
+      max_tokens,
+      temperature,
+      top_p,
+      ...otherParams,
+      account: routingDecision.account || req.account || null
+    };
+
+    if (Array.isArray(tools) && tools.length > 0) {
+      requestOptions.tools = tools;
+      if (tool_choice !== undefined) requestOptions.tool_choice = tool_choice;
+      if (parallel_tool_calls !== undefined) requestOptions.parallel_tool_calls = parallel_tool_calls;
+    }
+
+    // Cache-Control: no-cache asks for a fresh answer instead of a cached one
+    if (/no-cache|no-store/i.test(req.get('cache-control') || '')) {
+      requestOptions.cache = false;
+    }
+
+    // Streaming requests forward tokens to the client as the model produces them
+    if (stream) {
+      return handleStreamingResponse(res, {
+        routingDecision,
+        selectedModel,
+        conversation,
+        prompt,
+        requestOptions,
+        requestedModel: model,
+        startTime
+      });
+    }
+
+    // Send request to model, walking the fallback chain if it fails
     let response;
     try {
-      if (!modelInterface) {
+      if (!failoverExecutor) {
         throw new Error('Model interface not initialized');
       }
-      response = await modelInterface.sendRequest(
-        selectedModel,
-        prompt,
-        {
-          max_tokens,
-          temperature,
-          top_p,
-          ...otherParams
-        },
-        routingDecision.classification?.type || 'general',
-        generateSessionId()
-      );
+      response = await failoverExecutor.execute(routingDecision, conversation, requestOptions, {
+        taskType: routingDecision.classification?.type || 'general',
+        sessionId: generateSessionId()
+      });
     } catch (modelError) {
       console.warn('Model request failed, using fallback response:', modelError.message);
-      // Fallback response
-      response = {
-        content: `I apologize, but I'm experiencing technical difficulties. The Steward's routing system is temporarily unavailable. Please try again in a moment.`,
-        error: false,
-        metadata: {
-          model: selectedModel,
-          fallback: true,
-          error_reason: modelError.message
-        }
-      };
+      response = createFallbackResponse(selectedModel, modelError.message);
+    }
+
+    if (response.error) {
+      console.warn('All models in the fallback chain failed:', response.error.message);
+      response = createFallbackResponse(selectedModel, response.error.message, response.metadata?.failover);
     }
 
     const totalTime = Date.now() - startTime;
@@ -201,15 +266,13 @@ router.post('/chat/completions', async (req, res) => {
       console.warn('Failed to log performance data:', logError.message);
     }
 
-    // Handle streaming vs non-streaming response
-    if (stream) {
-      return handleStreamingResponse(res, response, routingDecision);
-    } else {
-      return handleNonStreamingResponse(res, response, routingDecision, model);
-    }
+    return handleNonStreamingResponse(res, response, routingDecision, model);
 
   } catch (error) {
     console.error('Error in /v1/chat/completions:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       error: {
         message: error.message || 'Internal server error',
@@ -264,6 +327,7 @@ router.post('/feedback', async (req, res) => {
         task_classification: stewardMetadata.task_classification,
         confidence: stewardMetadata.confidence,
         response_time: stewardMetadata.response_time,
+        username: req.user?.username || null,
         
         // Analysis for learning
         routing_successful: rating >= 3, // Assuming 1-5 scale
@@ -344,29 +408,6 @@ router.post('/completions', async (req, res) => {
 
 // Utility Functions
 
-/**
- * Extract prompt from OpenAI messages format
- */
-function extractPromptFromMessages(messages) {
-  // Simple approach: concatenate all user messages
-  const userMessages = messages
-    .filter(msg => msg.role === 'user')
-    .map(msg => msg.content)
-    .join('\n\n');
-  
-  // Include system messages as context
-  const systemMessages = messages
-    .filter(msg => msg.role === 'system')
-    .map(msg => msg.content)
-    .join('\n\n');
-    
-  if (systemMessages) {
-    return `${systemMessages}\n\n${userMessages}`;
-  }
-  
-  return userMessages;
-}
-
 /**
  * Get routing hints based on the selected "model"
  */
@@ -397,27 +438,21 @@ function getRoutingHints(model) {
 
 /**
  * Map smart routing model name to ModelInterface model name
+ * ModelInterface resolves every models.yaml name and alias, so only a missing name needs a default
  */
 function mapModelName(smartRoutingModel) {
-  const modelNameMapping = {
-    'smollm3': 'ai/smollm3:latest',
-    'smollm3-1.7b': 'ai/smollm3:latest', 
-    'smollm3-8b': 'ai/smollm3:latest',
-    'llama': 'llama',
-    'mistral': 'mistral',
-    'codellama': 'codellama',
-    'gpt-4': 'gpt-4',
-    'gpt-4o': 'gpt-4o',
-    'claude-3.5-sonnet': 'claude-3.5-sonnet'
-  };
-  
-  return modelNameMapping[smartRoutingModel] || smartRoutingModel || 'ai/smollm3:latest';
+  return smartRoutingModel || 'smollm3';
 }
 
 /**
  * Handle non-streaming response
  */
 function handleNonStreamingResponse(res, response, routingDecision, requestedModel) {
+  const toolCalls = response.tool_calls && response.tool_calls.length > 0 ? response.tool_calls : null;
+  const message = toolCalls
+    ? { role: 'assistant', content: response.content || null, tool_calls: toolCalls }
+    : { role: 'assistant', content: response.content || response.text || 'No response generated' };
+
   const openaiResponse = {
     id: `chatcmpl-${generateId()}`,
     object: 'chat.completion',
@@ -426,11 +461,8 @@ function handleNonStreamingResponse(res, response, routingDecision, requestedMod
     choices: [
       {
         index: 0,
-        message: {
-          role: 'assistant',
-          content: response.content || response.text || 'No response generated'
-        },
-        finish_reason: response.error ? 'stop' : 'stop'
+        message,
+        finish_reason: toolCalls ? 'tool_calls' : 'stop'
       }
     ],
     usage: {
@@ -444,7 +476,10 @@ function handleNonStreamingResponse(res, response, routingDecision, requestedMod
       selected_model: response.metadata?.model || 'unknown',
       response_time: response.metadata?.response_time || 0,
       task_classification: routingDecision.classification?.type,
-      confidence: routingDecision.selection?.confidence
+      confidence: routingDecision.selection?.confidence,
+      failover: response.metadata?.failover || null,
+      cache: response.metadata?.cache || null,
+      budget: response.metadata?.budget || null
     }
   };
 
@@ -452,34 +487,133 @@ function handleNonStreamingResponse(res, response, routingDecision, requestedMod
 }
 
 /**
- * Handle streaming response (simplified for now)
+ * Handle streaming response
+ * Relays model tokens as chat.completion.chunk events while the model is still generating
  */
-function handleStreamingResponse(res, response, routingDecision) {
-  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache');
+async function handleStreamingResponse(res, context) {
+  const { routingDecision, selectedModel, conversation, prompt, requestOptions, requestedModel, startTime } = context;
+  const completionId = `chatcmpl-${generateId()}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  // no-transform keeps the compression middleware from buffering the stream
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
   res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const writeChunk = (delta, finishReason = null, extra = {}) => {
+    if (clientClosed) return;
+    const streamChunk = {
+      id: completionId,
+      object: 'chat.completion.chunk',
+      created,
+      model: requestedModel,
+      choices: [
+        {
+          index: 0,
+          delta,
+          finish_reason: finishReason
+        }
+      ],
+      ...extra
+    };
+    res.write(`data: ${JSON.stringify(streamChunk)}\n\n`);
+  };
 
-  // For now, send the complete response as a single chunk
-  // TODO: Implement proper streaming when underlying models support it
-  const streamChunk = {
-    id: `chatcmpl-${generateId()}`,
-    object: 'chat.completion.chunk',
-    created: Math.floor(Date.now() / 1000),
-    model: 'the-steward',
-    choices: [
-      {
-        index: 0,
-        delta: {
-          content: response.content || response.text || ''
-        },
-        finish_reason: 'stop'
+  writeChunk({ role: 'assistant', content: '' });
+
+  let response;
+  let tokensSent = false;
+  let toolCallsSent = false;
+  try {
+    if (!failoverExecutor) {
+      throw new Error('Model interface not initialized');
+    }
+    // Failover only moves to the next model while nothing has been written for this completion
+    response = await failoverExecutor.execute(routingDecision, conversation, requestOptions, {
+      taskType: routingDecision.classification?.type || 'general',
+      sessionId: generateSessionId(),
+      onToken: (token) => {
+        tokensSent = true;
+        writeChunk({ content: token });
+      },
+      onToolCall: (toolCallDeltas) => {
+        toolCallsSent = true;
+        writeChunk({ tool_calls: toolCallDeltas });
       }
-    ]
-  };
+    });
+  } catch (modelError) {
+    console.warn('Model stream failed, using fallback response:', modelError.message);
+    response = createFallbackResponse(selectedModel, modelError.message);
+  }
+
+  // Nothing reached the client, so close the stream with a readable answer instead of an empty one
+  if (!tokensSent && !toolCallsSent) {
+    if (response.error) {
+      response = createFallbackResponse(selectedModel, response.error.message, response.metadata?.failover);
+    }
+    writeChunk({ content: response.content || 'No response generated' });
+  }
+
+  const totalTime = Date.now() - startTime;
+  const stopReason = response.metadata?.finish_reason || response.metadata?.stop_reason;
+  let finishReason = stopReason === 'length' || stopReason === 'max_tokens' ? 'length' : 'stop';
+  if (toolCallsSent) {
+    finishReason = 'tool_calls';
+  }
+
+  writeChunk({}, finishReason, {
+    steward_metadata: {
+      routing_decision: routingDecision,
+      selected_model: response.metadata?.model || selectedModel,
+      response_time: totalTime,
+      task_classification: routingDecision.classification?.type,
+      confidence: routingDecision.selection?.confidence,
+      failover: response.metadata?.failover || null,
+      cache: response.metadata?.cache || null,
+      budget: response.metadata?.budget || null
+    }
+  });
+
+  if (!clientClosed) {
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+
+  try {
+    await logPerformanceData({
+      routingDecision,
+      response,
+      totalTime,
+      selectedModel,
+      prompt,
+      options: requestOptions
+    });
+  } catch (logError) {
+    console.warn('Failed to log performance data:', logError.message);
+  }
+}
 
-  res.write(`data: ${JSON.stringify(streamChunk)}\n\n`);
-  res.write('data: [DONE]\n\n');
-  res.end();
+/**
+ * Build the apology response used when the model cannot be reached
+ */
+function createFallbackResponse(selectedModel, reason, failover = null) {
+  return {
+    content: `I apologize, but I'm experiencing technical difficulties. The Steward's routing system is temporarily unavailable. Please try again in a moment.`,
+    error: false,
+    metadata: {
+      model: selectedModel,
+      fallback: true,
+      error_reason: reason,
+      failover
+    }
+  };
 }
 
 /**
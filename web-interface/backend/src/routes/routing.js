@@ -0,0 +1,50 @@
+// #region start: Routing Replay API Routes
+// What-if simulator for routing changes
+// Re-routes stored prompts from routing_decisions without calling models and reports what would change
+
+const express = require('express');
+const router = express.Router();
+
+const RoutingReplay = require('../../../../src/core/routing-replay.js');
+const DatabaseManager = require('../../../../database/DatabaseManager.js');
+
+const MAX_REPLAY_LIMIT = 1000;
+
+/**
+ * POST /api/routing/replay
+ * Replay stored decisions with the saved or a candidate character sheet and loadout
+ * Body: {days (default 30), limit (default 200), task_type, character_sheet (object or YAML text), loadout}
+ */
+router.post('/replay', async (req, res) => {
+  // Each replay routes with its own character sheet, so replays never share an engine
+  const replayer = new RoutingReplay({ dbManager: new DatabaseManager() });
+  try {
+    const { days, limit, task_type = null, character_sheet = null, loadout = null } = req.body || {};
+    const options = { days, limit, task_type, character_sheet, loadout };
+
+    const problems = await replayer.validate(options);
+    if (limit > MAX_REPLAY_LIMIT) {
+      problems.push(`limit must be at most ${MAX_REPLAY_LIMIT}`);
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid replay options',
+        message: problems.join('; ')
+      });
+    }
+
+    res.json(await replayer.replay(options));
+  } catch (error) {
+    console.error('Error replaying routing decisions:', error);
+    res.status(500).json({
+      error: 'Failed to replay routing decisions',
+      message: error.message
+    });
+  } finally {
+    await replayer.close();
+  }
+});
+
+module.exports = router;
+
+// #endregion end: Routing Replay API Routes
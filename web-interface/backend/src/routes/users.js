@@ -0,0 +1,172 @@
+// #region start: User Account API Routes
+// Accounts, API keys and OpenAI "user" aliases for an instance shared by a team
+// Admins (and the owner at this machine) manage every account; members manage their own keys and aliases
+
+const express = require('express');
+const router = express.Router();
+
+const UserAccounts = require('../../../../src/core/user-accounts.js');
+
+let userAccounts = null;
+
+// Initialize with the server's accounts so keys issued here are checked by the auth middleware
+function initializeUserRoutes(accounts) {
+  userAccounts = accounts;
+}
+
+/**
+ * Whether the caller may manage every account; keyless requests from this machine are the owner
+ */
+function isAdmin(req) {
+  return !req.user || UserAccounts.isAdmin(req.user);
+}
+
+/**
+ * Respond 403 unless the caller is an admin or the account itself
+ * @returns {boolean} Whether a response was sent
+ */
+function rejectUnlessAllowed(req, res, username = null) {
+  if (isAdmin(req) || (username && req.user?.username === username)) return false;
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: username ? `Only an admin or ${username} can do this` : 'Only an admin can do this'
+  });
+  return true;
+}
+
+/**
+ * Send a UserAccounts error as 404 (unknown account or key), 400 (bad input) or 500
+ */
+function sendError(res, error, action) {
+  if (/^Unknown user|not found/.test(error.message)) {
+    return res.status(404).json({ error: 'Not found', message: error.message });
+  }
+  if (/^(Invalid|Unknown role|User already exists|There is already an owner|Cannot copy|Alias must)|already maps to/.test(error.message)) {
+    return res.status(400).json({ error: 'Invalid request', message: error.message });
+  }
+
+  console.error(`Error trying to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/users/me
+ * The account making the request; null user means the owner at this machine without a key
+ */
+router.get('/me', async (req, res) => {
+  try {
+    res.json({
+      user: req.user || null,
+      admin: isAdmin(req),
+      keys: req.user ? await userAccounts.listKeys(req.user.username) : []
+    });
+  } catch (error) {
+    sendError(res, error, 'get the current user');
+  }
+});
+
+/**
+ * GET /api/users
+ * Every account with its number of active keys (admin)
+ */
+router.get('/', async (req, res) => {
+  if (rejectUnlessAllowed(req, res)) return;
+  try {
+    res.json({ users: await userAccounts.listUsers() });
+  } catch (error) {
+    sendError(res, error, 'list users');
+  }
+});
+
+/**
+ * POST /api/users
+ * Create an account (admin); it starts with a copy of character-sheet.yaml
+ * Body: {username, display_name, role ('admin' or 'member')}
+ */
+router.post('/', async (req, res) => {
+  if (rejectUnlessAllowed(req, res)) return;
+  try {
+    const { username, display_name = null, role = 'member' } = req.body || {};
+    const user = await userAccounts.createUser({ username, display_name, role });
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    sendError(res, error, 'create user');
+  }
+});
+
+/**
+ * GET /api/users/:username/keys
+ * The account's API keys, without the keys themselves
+ */
+router.get('/:username/keys', async (req, res) => {
+  if (rejectUnlessAllowed(req, res, req.params.username)) return;
+  try {
+    res.json({ keys: await userAccounts.listKeys(req.params.username) });
+  } catch (error) {
+    sendError(res, error, 'list API keys');
+  }
+});
+
+/**
+ * POST /api/users/:username/keys
+ * Issue an API key; the key is only ever shown in this response
+ * Body: {label}
+ */
+router.post('/:username/keys', async (req, res) => {
+  if (rejectUnlessAllowed(req, res, req.params.username)) return;
+  try {
+    const { id, key, key_prefix } = await userAccounts.issueKey(req.params.username, { label: req.body?.label || null });
+    res.status(201).json({
+      success: true,
+      id,
+      key,
+      key_prefix,
+      message: 'Store this key now; it cannot be shown again'
+    });
+  } catch (error) {
+    sendError(res, error, 'issue API key');
+  }
+});
+
+/**
+ * DELETE /api/users/keys/:id
+ * Revoke an API key (admin, or the key's own account)
+ */
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const key = (await userAccounts.listKeys()).find(item => item.id === id);
+    if (!key) {
+      return res.status(404).json({ error: 'Not found', message: `API key ${req.params.id} not found` });
+    }
+    if (rejectUnlessAllowed(req, res, key.username)) return;
+
+    await userAccounts.revokeKey(id);
+    res.json({ success: true, message: `API key ${key.key_prefix}… revoked` });
+  } catch (error) {
+    sendError(res, error, 'revoke API key');
+  }
+});
+
+/**
+ * POST /api/users/:username/aliases
+ * Map an OpenAI "user" value (e.g. an Open WebUI user id) to the account
+ * Body: {alias}
+ */
+router.post('/:username/aliases', async (req, res) => {
+  if (rejectUnlessAllowed(req, res, req.params.username)) return;
+  try {
+    const user = await userAccounts.addAlias(req.params.username, req.body?.alias);
+    res.json({ success: true, user });
+  } catch (error) {
+    sendError(res, error, 'add alias');
+  }
+});
+
+module.exports = { router, initializeUserRoutes };
+
+// #endregion end: User Account API Routes
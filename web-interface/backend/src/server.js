@@ -14,15 +14,26 @@ require('dotenv').config();
 // Import The Steward components
 const SmartRoutingEngine = require('../../../src/core/smart-routing-engine.js');
 const ModelInterface = require('../../../models/ModelInterface.js');
+const FailoverExecutor = require('../../../src/core/failover-executor.js');
+const UserAccounts = require('../../../src/core/user-accounts.js');
+const WorkflowOrchestrator = require('../../../src/autonomous/WorkflowOrchestrator.js');
+const { createAuth } = require('./auth');
 
 // Import route handlers
-const analyticsRoutes = require('./routes/analytics');
+const { router: analyticsRoutes, initializeAnalyticsRoutes } = require('./routes/analytics');
 const ambientRoutes = require('./routes/ambient');
+const journalRoutes = require('./routes/journal');
+const contextRoutes = require('./routes/context');
+const routingRoutes = require('./routes/routing');
+const maintenanceRoutes = require('./routes/maintenance');
+const automationRoutes = require('./routes/automation');
+const { router: characterSheetRoutes, initializeCharacterSheetRoutes } = require('./routes/character-sheet');
 const { router: openaiRoutes, initializeOpenAIRoutes } = require('./routes/openai');
+const { router: userRoutes, initializeUserRoutes } = require('./routes/users');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifySocketClient });
 
 // Configuration
 const PORT = process.env.PORT || 3002;
@@ -33,7 +44,43 @@ const smartRouter = new SmartRoutingEngine();
 const modelInterface = new ModelInterface();
 
 // Initialize OpenAI compatibility layer
-initializeOpenAIRoutes(smartRouter, modelInterface);
+const failoverExecutor = new FailoverExecutor(modelInterface, { mapModelName });
+initializeOpenAIRoutes(smartRouter, modelInterface, failoverExecutor);
+initializeCharacterSheetRoutes(smartRouter);
+
+// Initialize accounts: API keys pick the account, and with it the character sheet, budget and memory
+const userAccounts = new UserAccounts({ dbManager: smartRouter.dbManager });
+const auth = createAuth({ userAccounts, smartRouter });
+// Cloud requests are scanned for secrets with the sensitive_data rules of the calling account's sheet
+modelInterface.sensitiveDataScannerFor = async (account) => {
+  const router = auth.routerFor(account);
+  await router.characterSheetLoaded;
+  return router.sensitiveDataScanner;
+};
+initializeUserRoutes(userAccounts);
+
+// Workflows run their steps through the server's ModelInterface; user-paced steps are decided over REST or WebSocket
+const workflowOrchestrator = new WorkflowOrchestrator({ modelInterface, dbManager: smartRouter.dbManager });
+initializeAnalyticsRoutes(workflowOrchestrator, broadcastWorkflowUpdate);
+workflowOrchestrator.loadWorkflowTemplates(); // Shared definitions in workflows/*.yaml
+
+// Workflows are saved as they run; pick up the ones the last run left unfinished.
+// Interrupted workflows are marked failed, or resumed with STEWARD_RESUME_WORKFLOWS=true
+workflowOrchestrator.restoreWorkflows({
+  resumeInterrupted: process.env.STEWARD_RESUME_WORKFLOWS === 'true',
+  executionOptions: async (workflow) => {
+    const user = workflow.account_id === null ? null : await smartRouter.dbManager.getUser(workflow.account_id);
+    const router = auth.routerFor(user);
+    await router.characterSheetLoaded;
+    return { characterSheet: router.characterSheet, account: UserAccounts.accountOf(user) };
+  }
+})
+  .then(({ restored, interrupted, resumed }) => {
+    if (restored.length > 0) {
+      console.log(`🔁 Workflows restored: ${restored.length} (${interrupted.length} interrupted, ${resumed.filter(run => run.success).length} resumed)`);
+    }
+  })
+  .catch(error => console.warn('Could not restore workflows:', error.message));
 
 // Middleware
 app.use(helmet({
@@ -55,7 +102,13 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.json({
+  limit: '10mb',
+  // Webhook signatures are an HMAC of the body exactly as it was sent
+  verify: (req, res, buf) => {
+    if (req.url.startsWith('/api/automation/hooks/')) req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -79,12 +132,40 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Automation webhooks prove their rule's secret instead of an API key, so they are answered before authentication
+app.use('/api/automation/hooks', automationRoutes.hookRouter);
+
+// Every API request is made as an account; /v1 clients may also pick one with the OpenAI "user" field
+app.use(['/api', '/v1', '/openai/v1'], auth.authenticate);
+app.use(['/v1', '/openai/v1'], auth.mapOpenAIUser);
+
+// Mount user account routes
+app.use('/api/users', userRoutes);
+
 // Mount analytics routes
 app.use('/api/analytics', analyticsRoutes);
 
 // Mount ambient intelligence routes
 app.use('/api/ambient', ambientRoutes);
 
+// Mount journal routes
+app.use('/api/journal', journalRoutes);
+
+// Mount context activity collector routes
+app.use('/api/context', contextRoutes);
+
+// Mount routing replay routes
+app.use('/api/routing', routingRoutes);
+
+// Mount database maintenance routes (retention, compaction and verified backups; also runs nightly)
+app.use('/api/maintenance', maintenanceRoutes);
+
+// Mount automation routes (scheduled, file and webhook triggers; rules in models.yaml)
+app.use('/api/automation', automationRoutes);
+
+// Mount character sheet routes (validated writes, history, diff and rollback)
+app.use('/api/character-sheet', characterSheetRoutes);
+
 // Mount OpenAI-compatible routes
 app.use('/v1', openaiRoutes);
 app.use('/openai/v1', openaiRoutes); // Alternative path
@@ -94,6 +175,7 @@ app.use('/openai/v1', openaiRoutes); // Alternative path
 /**
  * POST /api/prompt
  * Process a prompt with smart routing
+ * Set options.stream to receive routing, token and done server-sent events
  */
 app.post('/api/prompt', async (req, res) => {
   try {
@@ -108,30 +190,53 @@ app.post('/api/prompt', async (req, res) => {
 
     const startTime = Date.now();
     
-    // Make smart routing decision
-    const routingDecision = await smartRouter.makeSmartRoutingDecision(prompt, options);
+    // Make smart routing decision with the account's character sheet
+    const routingDecision = await req.smartRouter.makeSmartRoutingDecision(prompt, options);
     
     // Map model name for ModelInterface
     const selectedModel = mapModelName(routingDecision.selection?.model);
     
-    // Send request to model
-    const response = await modelInterface.sendRequest(
-      selectedModel,
-      prompt,
-      {
-        max_tokens: options.max_tokens || 1500,
-        temperature: options.temperature || 0.7,
-        top_p: options.top_p || 0.9
-      },
-      routingDecision.classification?.type || 'general',
-      options.session_id || generateSessionId()
-    );
+    const requestOptions = {
+      max_tokens: options.max_tokens || 1500,
+      temperature: options.temperature || 0.7,
+      top_p: options.top_p || 0.9,
+      cache: options.cache,
+      project: options.project,
+      account: routingDecision.account || req.account
+    };
+    const taskType = routingDecision.classification?.type || 'general';
+    const sessionId = options.session_id || generateSessionId();
+
+    // When streaming, answer with server-sent events: routing, token..., then done
+    let sendEvent = null;
+    if (options.stream) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+
+      sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+      };
+      sendEvent('routing', { routingDecision, selectedModel });
+    }
+
+    // Send request to model, walking the fallback chain if it fails
+    const response = await failoverExecutor.execute(routingDecision, prompt, requestOptions, {
+      taskType,
+      sessionId,
+      onToken: sendEvent ? (token) => sendEvent('token', { content: token }) : null
+    });
 
     const totalTime = Date.now() - startTime;
 
     // Log performance data for analytics
     try {
       await logPerformanceData({
+        router: req.smartRouter,
         routingDecision,
         response,
         totalTime,
@@ -152,21 +257,37 @@ app.post('/api/prompt', async (req, res) => {
         totalTime,
         timestamp: new Date().toISOString()
       }
-    });
+    }, req.account);
 
-    res.json({
+    const result = {
       success: !response.error,
       routingDecision,
       response,
       metadata: {
         totalTime,
-        selectedModel,
+        selectedModel: response.metadata?.failover?.final_model
+          ? mapModelName(response.metadata.failover.final_model)
+          : selectedModel,
+        failover: response.metadata?.failover || null,
+        cache: response.metadata?.cache || null,
+        budget: response.metadata?.budget || null,
         timestamp: new Date().toISOString()
       }
-    });
+    };
+
+    if (sendEvent) {
+      sendEvent('done', result);
+      return res.end();
+    }
+
+    res.json(result);
 
   } catch (error) {
     console.error('Error processing prompt:', error);
+    if (res.headersSent) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Internal server error', message: error.message })}\n\n`);
+      return res.end();
+    }
     res.status(500).json({
       error: 'Internal server error',
       message: error.message,
@@ -178,9 +299,13 @@ app.post('/api/prompt', async (req, res) => {
 /**
  * GET /api/models
  * Get available models and their status
+ * Set ?refresh=true to re-run local model discovery
  */
 app.get('/api/models', async (req, res) => {
   try {
+    // Pick up models installed on local Ollama / llama.cpp servers (cached briefly)
+    const discovery = await modelInterface.discoverLocalModels({ force: req.query.refresh === 'true' });
+    const discovered = new Map(discovery.models.filter(model => model.registered).map(model => [model.name, model]));
     const availableModels = modelInterface.getAvailableModels();
     
     // Add model metadata
@@ -188,8 +313,11 @@ app.get('/api/models', async (req, res) => {
       local: availableModels.local.map(model => ({
         name: model,
         type: 'local',
-        status: 'available', // Could check actual availability
-        description: getModelDescription(model)
+        status: discovered.has(model) ? 'installed' : 'available', // Could check actual availability
+        source: discovered.has(model) ? discovered.get(model).source : 'models.yaml',
+        description: discovered.has(model)
+          ? `Installed on ${discovered.get(model).source}${discovered.get(model).parameter_size ? ` (${discovered.get(model).parameter_size})` : ''}`
+          : getModelDescription(model)
       })),
       cloud: availableModels.cloud.map(model => ({
         name: model,
@@ -201,6 +329,11 @@ app.get('/api/models', async (req, res) => {
 
     res.json({
       models: modelsWithStatus,
+      discovery: {
+        sources: discovery.sources,
+        models: discovery.models,
+        discovered_at: new Date(discovery.timestamp).toISOString()
+      },
       timestamp: new Date().toISOString()
     });
 
@@ -214,95 +347,121 @@ app.get('/api/models', async (req, res) => {
 });
 
 /**
- * GET /api/character-sheet
- * Get character sheet preferences
+ * GET /api/performance (Legacy endpoint for backward compatibility)
+ * Get performance metrics and insights
  */
-app.get('/api/character-sheet', async (req, res) => {
+app.get('/api/performance', async (req, res) => {
   try {
-    const characterSheet = await smartRouter.characterSheet || {};
+    const { timeframe = '24h', task_type } = req.query;
     
+    // Get performance insights from smart router
+    const hours = timeframe === '24h' ? 24 : timeframe === '7d' ? 168 : 24;
+    const insights = await smartRouter.performanceLogger.getPerformanceInsights(
+      task_type || 'all',
+      hours
+    );
+
     res.json({
-      characterSheet: sanitizeCharacterSheet(characterSheet),
+      insights,
+      timeframe,
+      task_type: task_type || 'all',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error getting character sheet:', error);
+    console.error('Error getting performance metrics:', error);
     res.status(500).json({
-      error: 'Failed to get character sheet',
+      error: 'Failed to get performance metrics',
       message: error.message
     });
   }
 });
 
 /**
- * PUT /api/character-sheet
- * Update character sheet preferences
+ * GET /api/cache/stats
+ * Response cache size, hits and the tokens and cost they saved
  */
-app.put('/api/character-sheet', async (req, res) => {
+app.get('/api/cache/stats', async (req, res) => {
   try {
-    const { preferences } = req.body;
-    
-    if (!preferences || typeof preferences !== 'object') {
-      return res.status(400).json({
-        error: 'Invalid preferences',
-        message: 'Preferences must be an object'
-      });
-    }
+    const days = parseInt(req.query.days, 10) || 30;
+    const stats = await modelInterface.getCacheStats(days);
 
-    // Update character sheet (this would normally save to database)
-    // For now, we'll just acknowledge the update
-    console.log('Character sheet update requested:', preferences);
+    res.json({
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({
+      error: 'Failed to get cache stats',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Clear every cached response
+ */
+app.delete('/api/cache', async (req, res) => {
+  try {
+    const deleted = await modelInterface.clearResponseCache();
 
     res.json({
       success: true,
-      message: 'Character sheet preferences updated',
+      deleted,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error updating character sheet:', error);
+    console.error('Error clearing response cache:', error);
     res.status(500).json({
-      error: 'Failed to update character sheet',
+      error: 'Failed to clear response cache',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/performance (Legacy endpoint for backward compatibility)
- * Get performance metrics and insights
+ * GET /api/budget
+ * Spend against the monthly, daily and project budgets, with active alerts and spend breakdowns
  */
-app.get('/api/performance', async (req, res) => {
+app.get('/api/budget', async (req, res) => {
   try {
-    const { timeframe = '24h', task_type } = req.query;
-    
-    // Get performance insights from smart router
-    const hours = timeframe === '24h' ? 24 : timeframe === '7d' ? 168 : 24;
-    const insights = await smartRouter.performanceLogger.getPerformanceInsights(
-      task_type || 'all',
-      hours
-    );
+    const days = parseInt(req.query.days, 10) || 30;
+
+    // Accounts are also held to the monthly budget in their own character sheet
+    await req.smartRouter.characterSheetLoaded;
+    const account = req.account
+      ? { ...req.account, monthly_budget: req.smartRouter.characterSheet?.cost_settings?.monthly_budget || null }
+      : null;
+
+    const [status, summary] = await Promise.all([
+      modelInterface.getBudgetStatus(req.query.project || null, account),
+      modelInterface.getCostSummary(days)
+    ]);
 
     res.json({
-      insights,
-      timeframe,
-      task_type: task_type || 'all',
+      ...status,
+      summary,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error getting performance metrics:', error);
+    console.error('Error getting budget status:', error);
     res.status(500).json({
-      error: 'Failed to get performance metrics',
+      error: 'Failed to get budget status',
       message: error.message
     });
   }
 });
 
 // WebSocket handling for real-time updates
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
+wss.on('connection', (ws, req) => {
+  ws.account = req.account || null;
+  ws.smartRouter = req.smartRouter || smartRouter;
+  console.log(`WebSocket client connected${ws.account ? ` as ${ws.account.username}` : ''}`);
   
   ws.on('message', (message) => {
     try {
@@ -317,6 +476,9 @@ wss.on('connection', (ws) => {
         case 'subscribe':
           ws.subscriptions = data.channels || [];
           break;
+        case 'workflow_step_decision':
+          decideWorkflowStep(ws, data);
+          break;
         default:
           console.log('Unknown WebSocket message type:', data.type);
       }
@@ -339,15 +501,34 @@ wss.on('connection', (ws) => {
 
 // Utility functions
 
+/**
+ * Accept a WebSocket connection only with a valid API key, or from this machine without one
+ */
+function verifySocketClient(info, callback) {
+  auth.authenticateSocket(info.req)
+    .then(result => {
+      if (result.status) {
+        return callback(false, result.status, result.message);
+      }
+      info.req.account = UserAccounts.accountOf(result.user);
+      info.req.smartRouter = auth.routerFor(result.user);
+      callback(true);
+    })
+    .catch(error => {
+      console.error('WebSocket authentication failed:', error);
+      callback(false, 500, 'Authentication failed');
+    });
+}
+
 /**
  * Log performance data for analytics
  */
 async function logPerformanceData(data) {
   try {
-    const { routingDecision, response, totalTime, selectedModel, prompt, options } = data;
+    const { router = smartRouter, routingDecision, response, totalTime, selectedModel, prompt, options } = data;
     
-    // Log to smart router's performance logger
-    await smartRouter.logPerformance(routingDecision, {
+    // Log to the account's smart router's performance logger
+    await router.logPerformance(routingDecision, {
       response_time: totalTime,
       success: !response.error,
       model_used: selectedModel,
@@ -363,21 +544,10 @@ async function logPerformanceData(data) {
 
 /**
  * Map smart routing model name to ModelInterface model name
+ * ModelInterface resolves every models.yaml name and alias, so only a missing name needs a default
  */
 function mapModelName(smartRoutingModel) {
-  const modelNameMapping = {
-    'smollm3': 'ai/smollm3:latest',
-    'smollm3-1.7b': 'ai/smollm3:latest',
-    'smollm3-8b': 'ai/smollm3:latest',
-    'llama': 'llama',
-    'mistral': 'mistral',
-    'codellama': 'codellama',
-    'gpt-4': 'gpt-4',
-    'gpt-4o': 'gpt-4o',
-    'claude-3.5-sonnet': 'claude-3.5-sonnet'
-  };
-  
-  return modelNameMapping[smartRoutingModel] || smartRoutingModel || 'ai/smollm3:latest';
+  return smartRoutingModel || 'smollm3';
 }
 
 /**
@@ -405,27 +575,65 @@ function generateSessionId() {
 }
 
 /**
- * Sanitize character sheet for frontend consumption
- */
-function sanitizeCharacterSheet(characterSheet) {
-  // Remove sensitive information if any
-  const sanitized = { ...characterSheet };
-  delete sanitized.api_keys;
-  delete sanitized.private_settings;
-  return sanitized;
-}
-
-/**
- * Broadcast message to all connected WebSocket clients
+ * Broadcast message to the WebSocket clients connected as an account (null for the owner)
  */
-function broadcastToClients(message) {
+function broadcastToClients(message, account = null) {
   wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
+    if (client.readyState === WebSocket.OPEN && (client.account?.id ?? null) === (account?.id ?? null)) {
       client.send(JSON.stringify(message));
     }
   });
 }
 
+/**
+ * Tell an account's WebSocket clients where one of its workflows stands, e.g. that a step awaits a decision
+ */
+function broadcastWorkflowUpdate(workflowId, account = null) {
+  const status = workflowOrchestrator.getWorkflowStatus(workflowId);
+  if (!status.found) {
+    return;
+  }
+
+  broadcastToClients({
+    type: 'workflow_update',
+    workflow_id: workflowId,
+    state: status.state,
+    progress_percentage: status.progress_percentage,
+    pending_step: status.pending_step,
+    error: status.error,
+    timestamp: new Date().toISOString()
+  }, account);
+}
+
+/**
+ * Apply a {workflow_id, action, prompt, step_id} decision sent over the WebSocket to a user-paced workflow
+ */
+async function decideWorkflowStep(ws, data) {
+  const sendError = (message) => ws.send(JSON.stringify({
+    type: 'workflow_error',
+    workflow_id: data.workflow_id || null,
+    message,
+    timestamp: new Date().toISOString()
+  }));
+
+  const workflow = workflowOrchestrator.getWorkflow(data.workflow_id, ws.account);
+  if (!workflow) {
+    return sendError(`Workflow ${data.workflow_id} not found`);
+  }
+
+  try {
+    await ws.smartRouter.characterSheetLoaded;
+    await workflowOrchestrator.decideWorkflowStep(workflow.id, data, {
+      characterSheet: ws.smartRouter.characterSheet,
+      account: ws.account
+    });
+  } catch (error) {
+    console.error('Error deciding workflow step:', error);
+    sendError(error.message);
+  }
+  broadcastWorkflowUpdate(workflow.id, ws.account);
+}
+
 // Error handling
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -446,15 +654,32 @@ app.use((req, res) => {
 });
 
 // Start server on all interfaces to allow network access
+// Discover local Ollama / llama.cpp models so routing can use them from the first request
+modelInterface.discoverLocalModels()
+  .then(({ models, sources }) => {
+    const reachable = sources.filter(source => source.status === 'available').map(source => source.type);
+    console.log(`🔎 Local model discovery: ${models.length} models${reachable.length ? ` from ${reachable.join(', ')}` : ''}`);
+  })
+  .catch(error => console.warn('Local model discovery failed:', error.message));
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 The Steward Backend API running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`📱 Network access: http://192.168.1.18:${PORT}/health`);
   console.log(`📈 Analytics: http://localhost:${PORT}/api/analytics/*`);
   console.log(`🤖 Ambient Intelligence: http://localhost:${PORT}/api/ambient/*`);
+  console.log(`📓 Journal: http://localhost:${PORT}/api/journal`);
+  console.log(`🛰️  Context collector: http://localhost:${PORT}/api/context/events`);
+  console.log(`🧹 Database maintenance: http://localhost:${PORT}/api/maintenance`);
+  console.log(`⏰ Automation webhooks: http://localhost:${PORT}/api/automation/hooks/:id`);
   console.log(`🔌 OpenAI Compatible API: http://localhost:${PORT}/v1/*`);
+  console.log(`🔑 Auth: ${process.env.STEWARD_AUTH === 'required' ? 'API key required for every request' : 'API key required except from this machine'} (manage with "steward users")`);
   console.log(`🌐 CORS enabled for: ${FRONTEND_URL}`);
   console.log(`⚡ WebSocket server ready for real-time updates`);
+
+  // Background jobs start once the server is listening, not when their route modules are loaded
+  maintenanceRoutes.startMaintenanceSchedule();
+  automationRoutes.startAutomation({ workflowOrchestrator, smartRouter });
 });
 
 // Graceful shutdown
@@ -25,7 +25,8 @@ import {
   Analytics as AnalyticsIcon,
   Person as PersonIcon,
   Home as HomeIcon,
-  Build as SystemIcon
+  Build as SystemIcon,
+  MenuBook as JournalIcon
 } from '@mui/icons-material';
 
 import PromptInterface from './components/PromptInterface';
@@ -33,6 +34,7 @@ import PerformanceDashboard from './components/PerformanceDashboard';
 import CharacterSheetManager from './components/CharacterSheetManager';
 import ModelSelector from './components/ModelSelector';
 import SystemControl from './components/SystemControl';
+import JournalPanel from './components/JournalPanel';
 import { ApiService } from './services/api';
 import { WebSocketService } from './services/websocket';
 
@@ -102,6 +104,7 @@ function App() {
     { id: 'models', label: 'Model Management', icon: <SettingsIcon />, path: '/models' },
     { id: 'character', label: 'Character Sheet', icon: <PersonIcon />, path: '/character' },
     { id: 'performance', label: 'Performance & Analytics', icon: <AnalyticsIcon />, path: '/performance' },
+    { id: 'journal', label: 'Daily Journal', icon: <JournalIcon />, path: '/journal' },
     { id: 'system', label: 'System Control', icon: <SystemIcon />, path: '/system' },
   ];
 
@@ -282,6 +285,7 @@ function App() {
               <Route path="/models" element={<ModelSelector />} />
               <Route path="/character" element={<CharacterSheetManager />} />
               <Route path="/performance" element={<PerformanceDashboard />} />
+              <Route path="/journal" element={<JournalPanel />} />
               <Route path="/system" element={<SystemControl />} />
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
@@ -39,6 +39,7 @@ function FeedbackInterface({
   const [feedbackText, setFeedbackText] = useState('');
   const [routingFeedback, setRoutingFeedback] = useState('good_choice');
   const [preferredModel, setPreferredModel] = useState('');
+  const [correctedTaskType, setCorrectedTaskType] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [submitted, setSubmitted] = useState(false);
   const [error, setError] = useState(null);
@@ -56,7 +57,8 @@ function FeedbackInterface({
         speed_rating: speedRating,
         feedback_text: feedbackText.trim() || null,
         routing_feedback: routingFeedback,
-        preferred_model: preferredModel.trim() || null
+        preferred_model: preferredModel.trim() || null,
+        corrected_task_type: correctedTaskType.trim().toLowerCase() || null
       };
 
       await ApiService.submitFeedback(feedbackData);
@@ -81,6 +83,7 @@ function FeedbackInterface({
     setFeedbackText('');
     setRoutingFeedback('good_choice');
     setPreferredModel('');
+    setCorrectedTaskType('');
     setSubmitting(false);
     setSubmitted(false);
     setError(null);
@@ -229,6 +232,15 @@ function FeedbackInterface({
               sx={{ mt: 2, minWidth: 250 }}
             />
           )}
+
+          <TextField
+            label="Correct task type (if misclassified)"
+            value={correctedTaskType}
+            onChange={(e) => setCorrectedTaskType(e.target.value)}
+            placeholder="e.g., debug, write, analyze"
+            size="small"
+            sx={{ mt: 2, minWidth: 250, display: 'block' }}
+          />
         </Box>
 
         {/* Additional Comments */}
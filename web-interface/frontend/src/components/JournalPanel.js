@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Alert,
+  CircularProgress,
+  Grid,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Snackbar,
+  LinearProgress
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Summarize as SummaryIcon,
+  Today as TodayIcon
+} from '@mui/icons-material';
+import { ApiService } from '../services/api';
+
+// Journal list fields are edited one item per line; productive hours as comma-separated ranges
+const LINE_FIELDS = ['goals_set', 'goals_achieved', 'blockers_encountered'];
+
+const EMPTY_FORM = {
+  energy_level: '',
+  mood: '',
+  frustration_level: '',
+  productive_hours: '',
+  goals_set: '',
+  goals_achieved: '',
+  blockers_encountered: '',
+  workflow_notes: '',
+  daily_reflection: '',
+  tomorrow_focus: ''
+};
+
+function toForm(entry) {
+  if (!entry) return EMPTY_FORM;
+  const form = { ...EMPTY_FORM };
+  for (const field of Object.keys(EMPTY_FORM)) {
+    const value = entry[field];
+    if (LINE_FIELDS.includes(field)) {
+      form[field] = (value || []).join('\n');
+    } else if (field === 'productive_hours') {
+      form[field] = (value || []).join(', ');
+    } else {
+      form[field] = value ?? '';
+    }
+  }
+  return form;
+}
+
+function fromForm(form) {
+  const entry = {};
+  for (const [field, value] of Object.entries(form)) {
+    if (LINE_FIELDS.includes(field)) {
+      entry[field] = value.split('\n').map(line => line.trim()).filter(Boolean);
+    } else if (field === 'productive_hours') {
+      entry[field] = value.split(',').map(hours => hours.trim()).filter(Boolean);
+    } else if (field === 'frustration_level') {
+      entry[field] = value === '' ? null : Number(value);
+    } else {
+      entry[field] = value.trim() || null;
+    }
+  }
+  return entry;
+}
+
+function JournalPanel() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [date, setDate] = useState(null);
+  const [entry, setEntry] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [recent, setRecent] = useState([]);
+  const [error, setError] = useState(null);
+  const [notification, setNotification] = useState(null);
+
+  useEffect(() => {
+    loadJournal();
+  }, []);
+
+  const loadJournal = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [today, history] = await Promise.all([
+        ApiService.getTodayJournal(),
+        ApiService.getJournalEntries({ limit: 14 })
+      ]);
+      setDate(today.date);
+      setEntry(today.entry);
+      setForm(toForm(today.entry));
+      setRecent(history.entries || []);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const result = await ApiService.saveJournalEntry(date, fromForm(form));
+      setEntry(result.entry);
+      setForm(toForm(result.entry));
+      setNotification({ message: 'Check-in saved - routing will use it for today', severity: 'success' });
+      const history = await ApiService.getJournalEntries({ limit: 14 });
+      setRecent(history.entries || []);
+    } catch (error) {
+      setNotification({ message: error.message, severity: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSummarize = async () => {
+    try {
+      const result = await ApiService.summarizeJournalDay(date);
+      setEntry(result.entry);
+      setNotification({ message: 'Today\'s AI usage summarized', severity: 'success' });
+    } catch (error) {
+      setNotification({ message: error.message, severity: 'info' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+        <TodayIcon color="primary" />
+        <Typography variant="h5">Daily Check-in</Typography>
+        {date && <Chip label={date} size="small" />}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={8}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                How is today going?
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Your check-in replaces the time-of-day defaults when The Steward estimates cognitive capacity.
+              </Typography>
+
+              <Grid container spacing={2}>
+                <Grid item xs={12} sm={4}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Energy</InputLabel>
+                    <Select value={form.energy_level} label="Energy" onChange={handleChange('energy_level')}>
+                      <MenuItem value="">Not set</MenuItem>
+                      <MenuItem value="high">High</MenuItem>
+                      <MenuItem value="medium">Medium</MenuItem>
+                      <MenuItem value="low">Low</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    label="Mood"
+                    value={form.mood}
+                    onChange={handleChange('mood')}
+                    placeholder="focused, scattered, creative..."
+                    size="small"
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Frustration</InputLabel>
+                    <Select value={form.frustration_level} label="Frustration" onChange={handleChange('frustration_level')}>
+                      <MenuItem value="">Not set</MenuItem>
+                      {[1, 2, 3, 4, 5].map(level => (
+                        <MenuItem key={level} value={level}>{level} / 5</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    label="Productive hours"
+                    value={form.productive_hours}
+                    onChange={handleChange('productive_hours')}
+                    placeholder="e.g., 9-11, 14-16"
+                    size="small"
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Goals for today (one per line)"
+                    value={form.goals_set}
+                    onChange={handleChange('goals_set')}
+                    multiline
+                    rows={3}
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Goals achieved (one per line)"
+                    value={form.goals_achieved}
+                    onChange={handleChange('goals_achieved')}
+                    multiline
+                    rows={3}
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    label="Blockers (one per line)"
+                    value={form.blockers_encountered}
+                    onChange={handleChange('blockers_encountered')}
+                    multiline
+                    rows={2}
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    label="Workflow notes"
+                    value={form.workflow_notes}
+                    onChange={handleChange('workflow_notes')}
+                    multiline
+                    rows={2}
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Reflection"
+                    value={form.daily_reflection}
+                    onChange={handleChange('daily_reflection')}
+                    multiline
+                    rows={2}
+                    fullWidth
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Tomorrow's focus"
+                    value={form.tomorrow_focus}
+                    onChange={handleChange('tomorrow_focus')}
+                    multiline
+                    rows={2}
+                    fullWidth
+                  />
+                </Grid>
+              </Grid>
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={16} /> : <SaveIcon />}
+                  onClick={handleSave}
+                  disabled={saving}
+                >
+                  Save Check-in
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Today's AI Usage
+              </Typography>
+              {entry ? (
+                <Box>
+                  <Typography variant="body2">Requests: {entry.ai_requests_count || 0}</Typography>
+                  <Typography variant="body2">Most helpful: {entry.most_helpful_model || '—'}</Typography>
+                  <Typography variant="body2">Least helpful: {entry.least_helpful_model || '—'}</Typography>
+                  <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                    Filled in: {Math.round((entry.completion_percentage || 0) * 100)}%
+                  </Typography>
+                  <LinearProgress variant="determinate" value={(entry.completion_percentage || 0) * 100} sx={{ mt: 0.5 }} />
+                </Box>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No check-in yet today.
+                </Typography>
+              )}
+              <Button size="small" startIcon={<SummaryIcon />} onClick={handleSummarize} sx={{ mt: 2 }}>
+                Summarize from logs
+              </Button>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Recent Days
+              </Typography>
+              {recent.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No journal entries yet.
+                </Typography>
+              ) : (
+                <List dense>
+                  {recent.map(day => (
+                    <ListItem key={day.date} disableGutters>
+                      <ListItemText
+                        primary={day.date}
+                        secondary={[
+                          day.energy_level && `${day.energy_level} energy`,
+                          day.mood,
+                          day.frustration_level && `frustration ${day.frustration_level}/5`,
+                          day.ai_requests_count ? `${day.ai_requests_count} AI requests` : null
+                        ].filter(Boolean).join(' · ') || 'No check-in'}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <Snackbar
+        open={!!notification}
+        autoHideDuration={4000}
+        onClose={() => setNotification(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        {notification && (
+          <Alert onClose={() => setNotification(null)} severity={notification.severity}>
+            {notification.message}
+          </Alert>
+        )}
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default JournalPanel;
@@ -52,6 +52,13 @@ import {
   Warning as WarningIcon,
   Info as InfoIcon
 } from '@mui/icons-material';
+import { ApiService, getApiKey, setApiKey } from '../services/api';
+import WebSocketService from '../services/websocket';
+
+const formatSize = (bytes) => (bytes === null || bytes === undefined ? '—' : `${(bytes / (1024 * 1024)).toFixed(2)} MB`);
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone
+const formatTimestamp = (timestamp) => new Date(`${String(timestamp).replace(' ', 'T')}Z`).toLocaleString();
 
 function SystemControl() {
   const [loading, setLoading] = useState(true);
@@ -70,7 +77,15 @@ function SystemControl() {
   const [notification, setNotification] = useState(null);
   const [autoStart, setAutoStart] = useState(true);
   const [debugMode, setDebugMode] = useState(false);
+  const [maintenance, setMaintenance] = useState(null);
+  const [maintenanceError, setMaintenanceError] = useState(null);
+  const [maintenanceBusy, setMaintenanceBusy] = useState(false);
+  const [apiKey, setApiKeyInput] = useState(getApiKey() || '');
   
+  useEffect(() => {
+    loadMaintenanceStatus();
+  }, []);
+
   useEffect(() => {
     loadSystemStatus();
     // Set up periodic health checks
@@ -95,6 +110,46 @@ function SystemControl() {
     }
   };
 
+  const loadMaintenanceStatus = async () => {
+    try {
+      setMaintenance(await ApiService.getMaintenanceStatus());
+      setMaintenanceError(null);
+    } catch (error) {
+      setMaintenanceError(error.message);
+    }
+  };
+
+  const handleMaintenance = async (action) => {
+    try {
+      setMaintenanceBusy(true);
+      if (action === 'run') {
+        const { run } = await ApiService.runMaintenance();
+        const deleted = Object.values(run.deleted || {}).reduce((sum, count) => sum + count, 0);
+        setNotification({
+          message: `Maintenance done: ${deleted} old rows deleted, ${formatSize(run.size_before)} → ${formatSize(run.size_after)}, backup verified`,
+          severity: 'success'
+        });
+      } else {
+        const { backup } = await ApiService.createDatabaseBackup();
+        setNotification({ message: `Backup ${backup.path.split('/').pop()} verified`, severity: 'success' });
+      }
+    } catch (error) {
+      setNotification({ message: error.message, severity: 'error' });
+    } finally {
+      setMaintenanceBusy(false);
+      loadMaintenanceStatus();
+    }
+  };
+
+  const handleSaveApiKey = () => {
+    setApiKey(apiKey);
+    // Reconnect so the socket is authenticated with the new key
+    WebSocketService.disconnect();
+    WebSocketService.connect();
+    setNotification({ message: apiKey ? 'API key saved in this browser' : 'API key removed from this browser', severity: 'success' });
+    loadMaintenanceStatus();
+  };
+
   const calculateUptime = () => {
     // Simulate uptime calculation
     const hours = Math.floor(Math.random() * 12) + 1;
@@ -295,6 +350,128 @@ function SystemControl() {
         </CardContent>
       </Card>
 
+      {/* Database Maintenance */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center' }}>
+              <DatabaseIcon sx={{ mr: 1 }} />
+              Database Maintenance
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<BackupIcon />}
+                disabled={maintenanceBusy || !maintenance}
+                onClick={() => handleMaintenance('backup')}
+              >
+                Back Up Now
+              </Button>
+              <Button
+                size="small"
+                variant="contained"
+                startIcon={maintenanceBusy ? <CircularProgress size={16} color="inherit" /> : <RestartIcon />}
+                disabled={maintenanceBusy || !maintenance}
+                onClick={() => handleMaintenance('run')}
+              >
+                Run Maintenance
+              </Button>
+            </Box>
+          </Box>
+
+          {maintenanceError && (
+            <Alert severity="warning">{maintenanceError}</Alert>
+          )}
+
+          {maintenance && (
+            <Grid container spacing={3}>
+              <Grid item xs={12} sm={6} md={3}>
+                <Paper sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Database Size
+                  </Typography>
+                  <Typography variant="h6">
+                    {formatSize(maintenance.database.size)}
+                  </Typography>
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} sm={6} md={3}>
+                <Paper sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Last Run
+                  </Typography>
+                  {maintenance.last_run ? (
+                    <>
+                      <Typography variant="body2">
+                        {formatTimestamp(maintenance.last_run.timestamp)}
+                      </Typography>
+                      <Chip
+                        size="small"
+                        label={`${maintenance.last_run.status} (${maintenance.last_run.triggered_by})`}
+                        color={maintenance.last_run.status === 'ok' ? 'success' : 'error'}
+                        variant="outlined"
+                        sx={{ mt: 1 }}
+                      />
+                    </>
+                  ) : (
+                    <Typography variant="body2">Never</Typography>
+                  )}
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} sm={6} md={3}>
+                <Paper sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Next Nightly Run
+                  </Typography>
+                  <Typography variant="body2">
+                    {!maintenance.next_run
+                      ? 'Disabled'
+                      : maintenance.next_run === 'due'
+                        ? 'Due now'
+                        : new Date(maintenance.next_run).toLocaleString()}
+                  </Typography>
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} sm={6} md={3}>
+                <Paper sx={{ p: 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Backups
+                  </Typography>
+                  <Typography variant="h6">
+                    {maintenance.backups.length} / {maintenance.config.backups.keep}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {maintenance.backups[0] ? `latest ${formatSize(maintenance.backups[0].size)}` : 'none yet'}
+                  </Typography>
+                </Paper>
+              </Grid>
+
+              {maintenance.last_run?.error && (
+                <Grid item xs={12}>
+                  <Alert severity="error">{maintenance.last_run.error}</Alert>
+                </Grid>
+              )}
+
+              <Grid item xs={12}>
+                <Typography variant="body2" color="text.secondary">
+                  Retention (days):{' '}
+                  {Object.entries(maintenance.config.retention_days || {})
+                    .map(([table, days]) => `${table} ${days ?? 'forever'}`)
+                    .join(', ') || 'defaults'}
+                  {maintenance.last_run?.deleted && Object.keys(maintenance.last_run.deleted).length > 0 && (
+                    <> · last run deleted {Object.values(maintenance.last_run.deleted).reduce((sum, count) => sum + count, 0)} rows</>
+                  )}
+                </Typography>
+              </Grid>
+            </Grid>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Service Management */}
       <Accordion defaultExpanded>
         <AccordionSummary expandIcon={<ExpandMoreIcon />}>
@@ -450,6 +627,22 @@ function SystemControl() {
               />
             </Grid>
             
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                <TextField
+                  fullWidth
+                  type="password"
+                  label="API key"
+                  value={apiKey}
+                  onChange={(e) => setApiKeyInput(e.target.value)}
+                  helperText='Needed when this browser is not on the backend machine; create one with "steward users key <username>"'
+                />
+                <Button variant="outlined" onClick={handleSaveApiKey}>
+                  Save
+                </Button>
+              </Box>
+            </Grid>
+
             <Grid item xs={12} md={6}>
               <FormControl fullWidth>
                 <InputLabel>Log Level</InputLabel>
@@ -70,11 +70,12 @@ const PerformanceTrendsVisualization = () => {
     try {
       setLoading(true);
       
+      const params = new URLSearchParams({ timeframe });
+      selectedModels.forEach(model => params.append('models', model));
+      
       const [trends, comparison] = await Promise.all([
-        ApiService.request('GET', `/api/analytics/performance-trends?timeframe=${timeframe}`),
-        ApiService.request('GET', `/api/analytics/model-comparison?timeframe=${timeframe}`, {
-          models: selectedModels
-        })
+        ApiService.request('GET', `/api/analytics/performance-trends?${params}`),
+        ApiService.request('GET', `/api/analytics/model-comparison?${params}`)
       ]);
       
       setTrendsData(trends.trends || []);
@@ -442,19 +443,21 @@ const PerformanceTrendsVisualization = () => {
                         {insight.description}
                       </Typography>
                       <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-                        <Chip
-                          label={`${insight.impact_estimate}% improvement`}
-                          size="small"
-                          color="success"
-                          variant="outlined"
-                        />
+                        {insight.impact_estimate != null && (
+                          <Chip
+                            label={`${insight.impact_estimate}% improvement`}
+                            size="small"
+                            color="success"
+                            variant="outlined"
+                          />
+                        )}
                         <Chip
                           label={`${insight.confidence}% confidence`}
                           size="small"
                           color="info"
                           variant="outlined"
                         />
-                        {insight.affected_models && (
+                        {insight.affected_models?.length > 0 && (
                           <Chip
                             label={`Affects: ${insight.affected_models.join(', ')}`}
                             size="small"
@@ -72,13 +72,21 @@ const RealTimeIntelligencePanel = () => {
   const loadRealTimeFeed = async () => {
     try {
       setLoading(true);
-      const data = await ApiService.request('GET', '/api/analytics/real-time-feed', {
-        limit: 20,
-        filter_uncensored: filterUncensored
-      });
+      const params = new URLSearchParams({ timeframe: '24h', limit: 20 });
+      if (filterUncensored) {
+        params.append('filter_uncensored', 'true');
+      }
+      const data = await ApiService.request('GET', `/api/analytics/real-time-feed?${params}`);
       
-      setRoutingFeed(data.decisions || []);
-      setSummary(data.summary || summary);
+      setRoutingFeed(data.data || []);
+      if (data.summary) {
+        setSummary({
+          avgConfidence: data.summary.avg_confidence,
+          uncensoredRatio: data.summary.uncensored_ratio,
+          avgResponseTime: data.summary.avg_response_time,
+          totalDecisions: data.summary.total_decisions
+        });
+      }
     } catch (error) {
       console.error('Error loading real-time feed:', error);
     } finally {
@@ -2,6 +2,7 @@
 // Handles all HTTP requests to the backend API with enhanced analytics support
 
 import axios from 'axios';
+import { getApiKey, setApiKey } from './apiKey';
 
 // Dynamic API base URL - use network IP when accessed from network
 const getApiBaseUrl = () => {
@@ -30,9 +31,13 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Request interceptor: send the API key, then log
 api.interceptors.request.use(
   (config) => {
+    const apiKey = getApiKey();
+    if (apiKey) {
+      config.headers.Authorization = `Bearer ${apiKey}`;
+    }
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`, config.data);
     return config;
   },
@@ -54,6 +59,9 @@ api.interceptors.response.use(
       data: error.response?.data,
       url: error.config?.url,
     });
+    if (error.response?.status === 401) {
+      console.warn('The Steward backend needs an API key: save one under System Management or set REACT_APP_API_KEY');
+    }
     return Promise.reject(error);
   }
 );
@@ -98,6 +106,67 @@ export class ApiService {
     }
   }
 
+  /**
+   * Process a prompt with smart routing, receiving tokens as they are generated
+   * @param {string} prompt - The user prompt
+   * @param {object} options - Options for processing
+   * @param {function} onToken - Called with each text fragment
+   * @param {function} onRouting - Called once with the routing decision (optional)
+   * @returns {object} Final result, same shape as processPrompt
+   */
+  static async streamPrompt(prompt, options = {}, onToken = () => {}, onRouting = () => {}) {
+    const response = await fetch(`${API_BASE_URL}/api/prompt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        prompt,
+        options: {
+          max_tokens: options.maxTokens || 1500,
+          temperature: options.temperature || 0.7,
+          top_p: options.topP || 0.9,
+          session_id: options.sessionId,
+          task_type: options.taskType,
+          local_only: options.localOnly || false,
+          ...options,
+          stream: true,
+        },
+      }),
+    });
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`Failed to process prompt: ${data.message || response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        const eventName = rawEvent.match(/^event: (.*)$/m)?.[1];
+        const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1];
+        if (!eventName || !dataLine) continue;
+
+        const data = JSON.parse(dataLine);
+        if (eventName === 'routing') onRouting(data.routingDecision);
+        else if (eventName === 'token') onToken(data.content);
+        else if (eventName === 'done') result = data;
+        else if (eventName === 'error') throw new Error(`Failed to process prompt: ${data.message}`);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Get available models and their status
    */
@@ -308,6 +377,117 @@ export class ApiService {
     }
   }
 
+  /**
+   * Get today's journal entry
+   * @returns {object} {date, entry}; entry is null before the first check-in
+   */
+  static async getTodayJournal() {
+    try {
+      const response = await api.get('/api/journal/today');
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to get journal entry: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * List journal entries, most recent first
+   * @param {object} params - {from, to, limit, offset}
+   */
+  static async getJournalEntries(params = {}) {
+    try {
+      const response = await api.get('/api/journal', { params });
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to get journal entries: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Create or update the journal entry for a date
+   * @param {string} date - YYYY-MM-DD
+   * @param {object} entry - Journal fields; missing fields keep their stored value
+   */
+  static async saveJournalEntry(date, entry) {
+    try {
+      const response = await api.put(`/api/journal/${date}`, entry);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to save journal entry: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Delete the journal entry for a date
+   * @param {string} date - YYYY-MM-DD
+   */
+  static async deleteJournalEntry(date) {
+    try {
+      const response = await api.delete(`/api/journal/${date}`);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to delete journal entry: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Fill a journal entry's AI usage from the logs
+   * @param {string} date - YYYY-MM-DD
+   */
+  static async summarizeJournalDay(date) {
+    try {
+      const response = await api.post(`/api/journal/${date}/summary`);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to summarize journal day: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Get database size, recent maintenance runs, backups and the next nightly run
+   */
+  static async getMaintenanceStatus() {
+    try {
+      const response = await api.get('/api/maintenance');
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Failed to get maintenance status: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Apply retention, VACUUM and ANALYZE, then take a verified backup
+   */
+  static async runMaintenance() {
+    try {
+      const response = await api.post('/api/maintenance/run');
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.run?.error || error.response?.data?.message || error.message;
+      throw new Error(`Database maintenance failed: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Take and verify a database backup now
+   */
+  static async createDatabaseBackup() {
+    try {
+      const response = await api.post('/api/maintenance/backups');
+      return response.data;
+    } catch (error) {
+      const backup = error.response?.data?.backup;
+      const errorMessage = backup ? backup.problems.join('; ') : error.response?.data?.message || error.message;
+      throw new Error(`Database backup failed: ${errorMessage}`);
+    }
+  }
+
   /**
    * Legacy performance endpoint for backward compatibility
    */
@@ -341,6 +521,6 @@ export class ApiService {
   }
 }
 
-// Export the axios instance for direct use if needed
-export { api };
+// Export the axios instance for direct use if needed, and the API key settings
+export { api, getApiKey, setApiKey };
 export default ApiService;
\ No newline at end of file
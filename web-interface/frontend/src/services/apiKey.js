@@ -0,0 +1,42 @@
+// API key for The Steward backend
+// The backend asks for a key on every /api call and WebSocket connection unless the browser runs on
+// its own machine. A key saved in this browser (System Management) wins over REACT_APP_API_KEY.
+
+const STORAGE_KEY = 'steward_api_key';
+
+/**
+ * The key to send, or null to send none
+ */
+export const getApiKey = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || process.env.REACT_APP_API_KEY || null;
+  } catch (error) {
+    // Storage is unavailable in some private windows
+    return process.env.REACT_APP_API_KEY || null;
+  }
+};
+
+/**
+ * Save a key in this browser; an empty key goes back to REACT_APP_API_KEY
+ * @param {string} key - API key from "steward users key <username>"
+ */
+export const setApiKey = (key) => {
+  if (key && key.trim()) {
+    window.localStorage.setItem(STORAGE_KEY, key.trim());
+  } else {
+    window.localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+/**
+ * Add ?api_key= to a WebSocket URL when there is a key; browsers cannot set headers on a WebSocket
+ * @param {string} url - ws:// or wss:// URL
+ */
+export const withApiKey = (url) => {
+  const key = getApiKey();
+  if (!key) return url;
+
+  const socketUrl = new URL(url);
+  socketUrl.searchParams.set('api_key', key);
+  return socketUrl.toString();
+};
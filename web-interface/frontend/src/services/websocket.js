@@ -1,6 +1,8 @@
 // WebSocket Service for real-time communication with The Steward backend
 // Handles real-time updates for routing decisions and performance monitoring
 
+import { withApiKey } from './apiKey';
+
 class WebSocketManager {
   constructor() {
     this.ws = null;
@@ -31,7 +33,8 @@ class WebSocketManager {
     console.log(`Connecting to WebSocket: ${this.url}`);
     
     try {
-      this.ws = new WebSocket(this.url);
+      // The key is read on every connect, so a newly saved one applies from the next reconnect
+      this.ws = new WebSocket(withApiKey(this.url));
       this.setupEventHandlers();
     } catch (error) {
       console.error('Failed to create WebSocket connection:', error);
@@ -3,11 +3,13 @@
 
 const DatabaseManager = require('../../../database/DatabaseManager');
 const PreferenceDriftDetector = require('./PreferenceDriftDetector');
+const CharacterSheetStore = require('../../../src/core/character-sheet-store');
 
 class CharacterSheetSuggestionsEngine {
     constructor() {
         this.dbManager = new DatabaseManager();
         this.driftDetector = new PreferenceDriftDetector();
+        this.characterSheetStore = new CharacterSheetStore({ dbManager: this.dbManager });
         
         // Thresholds for generating suggestions
         this.minConfidenceThreshold = 0.75;
@@ -289,35 +291,32 @@ class CharacterSheetSuggestionsEngine {
 
     /**
      * Apply suggestion to character sheet
+     * Goes through the character sheet store, so a suggestion naming an unknown model is refused
+     * and an applied one can be rolled back
      */
     async applySuggestionToCharacterSheet(suggestion) {
         try {
-            // Get current character sheet
-            const characterSheet = await this.getCurrentCharacterSheet();
-            if (!characterSheet) {
-                return { applied: false, error: 'Character sheet not found' };
-            }
-            
-            // Apply the change
             const pathParts = suggestion.setting_path.split('.');
-            let current = characterSheet;
-            
-            // Navigate to parent object
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                if (!current[pathParts[i]]) {
-                    return { applied: false, error: `Path ${pathParts.slice(0, i + 1).join('.')} not found` };
+            const saved = await this.characterSheetStore.update(characterSheet => {
+                let current = characterSheet;
+                
+                // Navigate to parent object
+                for (let i = 0; i < pathParts.length - 1; i++) {
+                    if (!current[pathParts[i]]) {
+                        throw new Error(`Path ${pathParts.slice(0, i + 1).join('.')} not found`);
+                    }
+                    current = current[pathParts[i]];
                 }
-                current = current[pathParts[i]];
-            }
-            
-            // Update the value
-            const finalKey = pathParts[pathParts.length - 1];
-            current[finalKey] = suggestion.suggested_value;
-            
-            // Save back to database
-            await this.saveCharacterSheet(characterSheet);
+                
+                // Update the value
+                current[pathParts[pathParts.length - 1]] = suggestion.suggested_value;
+            }, {
+                author: 'suggestion',
+                source_id: suggestion.id,
+                reason: suggestion.reasoning
+            });
             
-            return { applied: true, error: null };
+            return { applied: true, error: null, version: saved.version };
             
         } catch (error) {
             return { applied: false, error: error.message };
@@ -350,22 +349,6 @@ class CharacterSheetSuggestionsEngine {
         });
     }
 
-    /**
-     * Save character sheet back to database
-     */
-    async saveCharacterSheet(characterSheet) {
-        const sql = `
-            UPDATE user_profile 
-            SET task_type_preferences = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `;
-        
-        await this.dbManager._query(sql, [
-            JSON.stringify(characterSheet.task_type_preferences),
-            characterSheet.id
-        ]);
-    }
-
     /**
      * Categorize suggestion for UI organization
      */